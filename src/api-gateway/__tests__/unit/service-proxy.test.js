@@ -0,0 +1,58 @@
+/**
+ * Unit tests for the API Gateway service proxy
+ */
+
+const axios = require('axios');
+const serviceRegistry = require('../../../shared/services/service-registry');
+const { makeServiceRequest } = require('../../utils/service-proxy');
+
+jest.mock('axios');
+
+jest.mock('../../../shared/services/service-registry', () => ({
+  getServiceUrl: jest.fn(() => 'http://payment-service'),
+  isServiceAvailable: jest.fn(() => true),
+  getServiceStatus: jest.fn(() => ({})),
+  _handleSuccessfulHealthCheck: jest.fn(),
+  _handleFailedHealthCheck: jest.fn()
+}));
+
+describe('Service Proxy', () => {
+  const unavailable = Object.assign(new Error('Service Unavailable'), { response: { status: 503, data: {} } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    serviceRegistry.isServiceAvailable.mockReturnValue(true);
+  });
+
+  describe('makeServiceRequest', () => {
+    it('should send the same generated Idempotency-Key on every retry of a POST', async () => {
+      axios.mockRejectedValueOnce(unavailable).mockResolvedValueOnce({ data: { id: 'payment1' } });
+
+      const result = await makeServiceRequest('paymentService', 'POST', '/api/payments', { amount: 10 });
+
+      expect(result.data).toEqual({ service: 'paymentService', id: 'payment1' });
+      expect(axios).toHaveBeenCalledTimes(2);
+      const [first, retry] = axios.mock.calls.map(([options]) => options.headers['Idempotency-Key']);
+      expect(first).toEqual(expect.any(String));
+      expect(retry).toBe(first);
+    });
+
+    it('should keep the Idempotency-Key the client sent', async () => {
+      axios.mockResolvedValueOnce({ data: {} });
+
+      await makeServiceRequest('paymentService', 'POST', '/api/payments', {}, { 'idempotency-key': 'client-key' });
+
+      const { headers } = axios.mock.calls[0][0];
+      expect(headers['idempotency-key']).toBe('client-key');
+      expect(headers['Idempotency-Key']).toBeUndefined();
+    });
+
+    it('should not add an Idempotency-Key to GET requests', async () => {
+      axios.mockResolvedValueOnce({ data: {} });
+
+      await makeServiceRequest('paymentService', 'GET', '/api/payments/payment1');
+
+      expect(axios.mock.calls[0][0].headers['Idempotency-Key']).toBeUndefined();
+    });
+  });
+});
@@ -33,6 +33,7 @@ const serviceUrls = {
   development: {
     userService: process.env.USER_SERVICE_URL || 'http://localhost:4001',
     expenseService: process.env.EXPENSE_SERVICE_URL || 'http://localhost:4002',
+    groupService: process.env.GROUP_SERVICE_URL || 'http://localhost:4007',
     settlementService: process.env.SETTLEMENT_SERVICE_URL || 'http://localhost:4003',
     notificationService: process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:4004',
     paymentService: process.env.PAYMENT_SERVICE_URL || 'http://localhost:4005',
@@ -41,6 +42,7 @@ const serviceUrls = {
   test: {
     userService: process.env.USER_SERVICE_URL || 'http://localhost:4001',
     expenseService: process.env.EXPENSE_SERVICE_URL || 'http://localhost:4002',
+    groupService: process.env.GROUP_SERVICE_URL || 'http://localhost:4007',
     settlementService: process.env.SETTLEMENT_SERVICE_URL || 'http://localhost:4003',
     notificationService: process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:4004',
     analyticsService: process.env.ANALYTICS_SERVICE_URL || 'http://localhost:4005',
@@ -49,6 +51,7 @@ const serviceUrls = {
   production: {
     userService: process.env.USER_SERVICE_URL || 'http://localhost:4001',
     expenseService: process.env.EXPENSE_SERVICE_URL || 'http://localhost:4002',
+    groupService: process.env.GROUP_SERVICE_URL || 'http://localhost:4007',
     settlementService: process.env.SETTLEMENT_SERVICE_URL || 'http://localhost:4003',
     notificationService: process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:4004',
     analyticsService: process.env.ANALYTICS_SERVICE_URL || 'http://localhost:4005',
@@ -69,6 +72,11 @@ const circuitBreaker = {
     resetTimeout: parseInt(process.env.EXPENSE_SERVICE_RESET_TIMEOUT || '30000', 10),
     successThreshold: parseInt(process.env.EXPENSE_SERVICE_SUCCESS_THRESHOLD || '2', 10)
   },
+  groupService: {
+    failureThreshold: parseInt(process.env.GROUP_SERVICE_FAILURE_THRESHOLD || '3', 10),
+    resetTimeout: parseInt(process.env.GROUP_SERVICE_RESET_TIMEOUT || '30000', 10),
+    successThreshold: parseInt(process.env.GROUP_SERVICE_SUCCESS_THRESHOLD || '2', 10)
+  },
   settlementService: {
     failureThreshold: parseInt(process.env.SETTLEMENT_SERVICE_FAILURE_THRESHOLD || '3', 10),
     resetTimeout: parseInt(process.env.SETTLEMENT_SERVICE_RESET_TIMEOUT || '30000', 10),
@@ -106,9 +114,10 @@ const security = {
       'Authorization',
       'X-Request-ID',
       'X-User-ID',
-      'X-User-Roles'
+      'X-User-Roles',
+      'Idempotency-Key'
     ],
-    exposedHeaders: ['X-Request-ID'],
+    exposedHeaders: ['X-Request-ID', 'Idempotent-Replayed'],
     credentials: true,
     maxAge: 86400 // 24 hours
   },
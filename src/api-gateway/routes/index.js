@@ -32,9 +32,19 @@ router.use('/users', asyncHandler(async (req, res) => {
   await forwardRequest(req, res, 'userService', '/api/users' + req.path);
 }));
 
-// Group Routes (handled by Expense Service in our mock setup)
+// A group's expenses are served by the expense service
+router.use('/groups/:groupId/expenses', asyncHandler(async (req, res) => {
+  await forwardRequest(req, res, 'expenseService', `/api/groups/${req.params.groupId}/expenses` + req.path);
+}));
+
+// ...and so are its balances
+router.use('/groups/:groupId/balances', asyncHandler(async (req, res) => {
+  await forwardRequest(req, res, 'expenseService', `/api/groups/${req.params.groupId}/balances` + req.path);
+}));
+
+// Group Service Routes
 router.use('/groups', asyncHandler(async (req, res) => {
-  await forwardRequest(req, res, 'expenseService', '/api/groups' + req.path);
+  await forwardRequest(req, res, 'groupService', '/api/groups' + req.path);
 }));
 
 // Expense Service Routes
@@ -42,6 +52,10 @@ router.use('/expenses', asyncHandler(async (req, res) => {
   await forwardRequest(req, res, 'expenseService', '/api/expenses' + req.path);
 }));
 
+router.use('/recurring-expenses', asyncHandler(async (req, res) => {
+  await forwardRequest(req, res, 'expenseService', '/api/recurring-expenses' + req.path);
+}));
+
 // Settlement Service Routes
 router.use('/settlements', asyncHandler(async (req, res) => {
   // Handle the specific case for generate endpoint
@@ -60,6 +74,11 @@ router.use('/settlements', asyncHandler(async (req, res) => {
   }
 }));
 
+// Currency Routes (exchange rates are served by the settlement service)
+router.use('/currencies', asyncHandler(async (req, res) => {
+  await forwardRequest(req, res, 'settlementService', '/api/currencies' + req.path);
+}));
+
 // Notification Service Routes
 router.use('/notifications', asyncHandler(async (req, res) => {
   await forwardRequest(req, res, 'notificationService', '/api/notifications' + req.path);
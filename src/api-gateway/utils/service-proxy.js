@@ -4,6 +4,7 @@
  * Provides functions for making HTTP requests to microservices
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const config = require('../config');
 const { ServiceUnavailableError } = require('../../shared/errors');
@@ -25,6 +26,9 @@ const RETRY_CONFIG = {
   retryableStatusCodes: [408, 429, 500, 502, 503, 504]
 };
 
+// Methods a service may not safely run twice; see withIdempotencyKey
+const NON_IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -50,6 +54,23 @@ function getServiceUrl(serviceName) {
   return url;
 }
 
+/**
+ * Give a non-idempotent request an Idempotency-Key when the client sent
+ * none, so every retry of it carries the same key and the service runs it
+ * at most once
+ * @param {string} method - HTTP method
+ * @param {Object} headers - Request headers
+ * @returns {Object} Headers to send on every attempt
+ */
+function withIdempotencyKey(method, headers) {
+  if (!NON_IDEMPOTENT_METHODS.includes(method.toUpperCase())) {
+    return headers;
+  }
+
+  const hasKey = Object.keys(headers).some(name => name.toLowerCase() === 'idempotency-key');
+  return hasKey ? headers : { ...headers, 'Idempotency-Key': crypto.randomUUID() };
+}
+
 /**
  * Forward a request to a microservice with retry mechanism
  * @param {string} serviceName Name of the service
@@ -62,6 +83,7 @@ function getServiceUrl(serviceName) {
  */
 async function makeServiceRequest(serviceName, method, path, data = null, headers = {}, baseUrlOverride = null) {
   let lastError;
+  const requestHeaders = withIdempotencyKey(method, headers);
   
   for (let attempt = 1; attempt <= RETRY_CONFIG.maxRetries; attempt++) {
     try {
@@ -73,7 +95,7 @@ async function makeServiceRequest(serviceName, method, path, data = null, header
         url: `${baseUrl}${path}`,
         data,
         headers: {
-          ...headers,
+          ...requestHeaders,
           'Content-Type': 'application/json',
           'X-Request-ID': headers['x-request-id'] || Date.now().toString()
         }
@@ -230,6 +252,11 @@ async function forwardRequest(req, res, serviceName, path = null) {
         }
       }
       
+      // Tell clients when a service answered a retry with a stored response
+      if (response.headers && response.headers['idempotent-replayed']) {
+        res.set('Idempotent-Replayed', response.headers['idempotent-replayed']);
+      }
+
       // Forward the response
       res.status(response.status || 200).json(response.data);
     } catch (error) {
@@ -0,0 +1,61 @@
+/**
+ * Property Test Helpers
+ *
+ * Minimal seeded property runner for money invariants. Every run is
+ * reproducible: a failure reports the seed and the generated case.
+ */
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Object} Random helpers
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    next,
+    int,
+    pick: values => values[int(0, values.length - 1)],
+    array: (minLength, maxLength, generate) =>
+      Array.from({ length: int(minLength, maxLength) }, (_, index) => generate(index))
+  };
+}
+
+/**
+ * Check a property against many generated cases
+ * @param {Function} generate - Receives random helpers, returns a test case
+ * @param {Function} property - Receives a test case, throws (or rejects) when the property fails
+ * @param {Object} [options] - Runner options
+ * @param {number} [options.runs=200] - Number of cases to check
+ * @param {number} [options.seed=20240101] - Seed of the first case
+ * @returns {Promise<void>} Resolves when every case holds
+ */
+async function forAll(generate, property, { runs = 200, seed = 20240101 } = {}) {
+  for (let run = 0; run < runs; run++) {
+    const caseSeed = seed + run;
+    const testCase = generate(createRandom(caseSeed));
+
+    try {
+      await property(testCase);
+    } catch (error) {
+      error.message = `Property failed for seed ${caseSeed} with ${JSON.stringify(testCase)}\n${error.message}`;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  createRandom,
+  forAll
+};
@@ -0,0 +1,242 @@
+/**
+ * Balance Service Tests
+ */
+
+const balanceService = require('../../src/services/balance.service');
+const splitService = require('../../src/services/split.service');
+const { toMinorUnits, fromMinorUnits } = require('../../src/utils/math.utils');
+const { forAll } = require('../property');
+
+const users = ['user1', 'user2', 'user3'].map(id => ({ id, name: id }));
+
+describe('Balance Service', () => {
+  describe('calculateGroupBalances', () => {
+    it('should not drift over many small expenses', async () => {
+      const expenses = Array.from({ length: 1000 }, (_, index) => ({
+        id: `expense${index}`,
+        amount: 0.3,
+        currency: 'USD',
+        paidBy: 'user1',
+        splits: [
+          { userId: 'user1', amount: 0.1 },
+          { userId: 'user2', amount: 0.1 },
+          { userId: 'user3', amount: 0.1 }
+        ]
+      }));
+
+      const balances = await balanceService.calculateGroupBalances('group1', expenses, [], users);
+
+      expect(balances.user1.netBalance).toBe(200);
+      expect(balances.user2.owedToUsers.user1.amount).toBe(100);
+      expect(balances.user3.netBalance).toBe(-100);
+    });
+
+    it('should keep zero-decimal currencies in whole units', async () => {
+      const expenses = [{
+        id: 'expense1',
+        amount: 1000,
+        currency: 'JPY',
+        paidBy: 'user1',
+        splits: splitService.calculateSplitAmounts(
+          { id: 'expense1', amount: 1000, currency: 'JPY' },
+          users.map(user => ({ userId: user.id, splitType: 'equal' }))
+        )
+      }];
+
+      const balances = await balanceService.calculateGroupBalances('group1', expenses, [], users);
+
+      expect(balances.user1.currency).toBe('JPY');
+      expect([333, 334]).toContain(balances.user2.netBalance * -1);
+      expect(balances.user1.netBalance + balances.user2.netBalance + balances.user3.netBalance).toBe(0);
+    });
+
+    it('should always net to zero across the group', async () => {
+      await forAll(
+        random => {
+          const currency = random.pick(['USD', 'JPY', 'KWD']);
+
+          return {
+            currency,
+            expenses: random.array(1, 30, index => {
+              const participants = users.filter(() => random.next() < 0.7);
+
+              return {
+                id: `expense${index}`,
+                amount: fromMinorUnits(random.int(users.length, 1000000), currency),
+                currency,
+                paidBy: random.pick(users).id,
+                splitUsers: (participants.length > 0 ? participants : users).map(user => user.id)
+              };
+            })
+          };
+        },
+        async ({ currency, expenses }) => {
+          const withSplits = expenses.map(({ splitUsers, ...expense }) => ({
+            ...expense,
+            splits: splitService.calculateSplitAmounts(
+              expense,
+              splitUsers.map(userId => ({ userId, splitType: 'equal' }))
+            )
+          }));
+
+          const balances = await balanceService.calculateGroupBalances('group1', withSplits, [], users);
+          const netMinor = Object.values(balances)
+            .reduce((sum, balance) => sum + toMinorUnits(balance.netBalance, currency), 0);
+
+          expect(netMinor).toBe(0);
+        },
+        { runs: 100 }
+      );
+    });
+
+    it('should count what has been paid towards partially paid settlements', async () => {
+      const expenses = [{
+        id: 'expense1',
+        amount: 90,
+        currency: 'USD',
+        paidBy: 'user1',
+        splits: [
+          { userId: 'user1', amount: 30 },
+          { userId: 'user2', amount: 30 },
+          { userId: 'user3', amount: 30 }
+        ]
+      }];
+      const settlements = [
+        { id: 'settlement1', payerId: 'user2', receiverId: 'user1', amount: 30, amountPaid: 12.5, currency: 'USD', status: 'partially_paid' },
+        { id: 'settlement2', payerId: 'user3', receiverId: 'user1', amount: 30, amountPaid: 0, currency: 'USD', status: 'pending' }
+      ];
+
+      const balances = await balanceService.calculateGroupBalances('group1', expenses, settlements, users);
+
+      expect(balances.user2.owedToUsers.user1.amount).toBe(17.5);
+      expect(balances.user3.owedToUsers.user1.amount).toBe(30);
+      expect(balances.user1.netBalance).toBe(47.5);
+    });
+  });
+
+  describe('calculating from a snapshot', () => {
+    const expenses = [
+      {
+        id: 'expense1',
+        amount: 90,
+        currency: 'USD',
+        paidBy: 'user1',
+        date: '2024-03-01T10:00:00.000Z',
+        splits: [
+          { userId: 'user1', amount: 30 },
+          { userId: 'user2', amount: 30 },
+          { userId: 'user3', amount: 30 }
+        ]
+      },
+      {
+        id: 'expense2',
+        amount: 40,
+        currency: 'USD',
+        paidBy: 'user2',
+        date: '2024-03-05T10:00:00.000Z',
+        splits: [
+          { userId: 'user1', amount: 20 },
+          { userId: 'user2', amount: 20 }
+        ]
+      }
+    ];
+    const settlements = [{
+      id: 'settlement1',
+      payerId: 'user3',
+      receiverId: 'user1',
+      amount: 30,
+      amountPaid: 30,
+      currency: 'USD',
+      status: 'completed',
+      payments: [
+        { amount: 10, paidAt: '2024-03-02T10:00:00.000Z' },
+        { amount: 20, paidAt: '2024-03-06T10:00:00.000Z' }
+      ],
+      completedAt: '2024-03-06T10:00:00.000Z'
+    }];
+
+    it('should give the same balances as calculating from scratch', async () => {
+      const cutoff = '2024-03-04T00:00:00.000Z';
+      const snapshot = await balanceService.calculateGroupBalances('group1', expenses, settlements, users, { until: cutoff });
+      const continued = await balanceService.calculateGroupBalances('group1', expenses, settlements, users, {
+        initialBalances: snapshot,
+        from: cutoff
+      });
+
+      expect(snapshot.user3.owedToUsers.user1.amount).toBe(20);
+      expect(snapshot.user2.owedToUsers.user1).toEqual({ amount: 30, currency: 'USD' });
+      expect(continued).toEqual(await balanceService.calculateGroupBalances('group1', expenses, settlements, users));
+      expect(continued.user3.owedToUsers.user1).toBeUndefined();
+    });
+
+    it('should leave the snapshot it continues from unchanged', async () => {
+      const snapshot = await balanceService.calculateGroupBalances('group1', expenses, [], users, { until: '2024-03-02T00:00:00.000Z' });
+      const copy = JSON.parse(JSON.stringify(snapshot));
+
+      await balanceService.calculateGroupBalances('group1', expenses, [], users, {
+        initialBalances: snapshot,
+        from: '2024-03-02T00:00:00.000Z'
+      });
+
+      expect(snapshot).toEqual(copy);
+    });
+
+    it('should apply a settlement paid before an expense before that expense', async () => {
+      const balances = await balanceService.calculateGroupBalances('group1', expenses.slice(1), [{
+        payerId: 'user1',
+        receiverId: 'user2',
+        amount: 20,
+        currency: 'USD',
+        status: 'completed',
+        completedAt: '2024-03-04T10:00:00.000Z'
+      }], users);
+
+      // Nothing was owed when the payment was made, so it doesn't reduce the later expense
+      expect(balances.user1.owedToUsers.user2.amount).toBe(20);
+    });
+  });
+
+  describe('getSettlementPayments', () => {
+    it('should date recorded payments and the rest of a completed settlement', () => {
+      expect(balanceService.getSettlementPayments({
+        amount: 30,
+        amountPaid: 10,
+        currency: 'USD',
+        status: 'completed',
+        payments: [{ amount: 10, paidAt: '2024-03-02' }],
+        completedAt: '2024-03-06'
+      })).toEqual([
+        { amount: 10, date: '2024-03-02' },
+        { amount: 20, date: '2024-03-06' }
+      ]);
+    });
+
+    it('should count nothing for unpaid settlements', () => {
+      expect(balanceService.getSettlementPayments({ amount: 30, currency: 'USD', status: 'pending' })).toEqual([]);
+    });
+  });
+
+  describe('calculateUserBalance', () => {
+    it('should list partial settlement payments in the activity log', async () => {
+      const expenses = [{
+        id: 'expense1',
+        amount: 60,
+        currency: 'USD',
+        paidBy: 'user1',
+        date: '2024-03-01',
+        splits: [
+          { userId: 'user1', amount: 30 },
+          { userId: 'user2', amount: 30 }
+        ]
+      }];
+      const settlements = [
+        { id: 'settlement1', payerId: 'user2', receiverId: 'user1', amount: 30, amountPaid: 10, currency: 'USD', status: 'partially_paid', createdAt: '2024-03-02' }
+      ];
+
+      const balance = await balanceService.calculateUserBalance('user2', 'group1', expenses, settlements);
+
+      expect(balance.netBalance).toBe(-20);
+      expect(balance.activities[0]).toMatchObject({ type: 'settlement', id: 'settlement1', amount: 10 });
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * CSV Utilities Tests
+ */
+
+const { parseCsv, parseCsvRecords } = require('../../src/utils/csv.utils');
+
+describe('CSV Utilities', () => {
+  describe('parseCsv', () => {
+    it('should handle quoted delimiters, quotes and line breaks', () => {
+      const rows = parseCsv('\uFEFFa,b\r\n"Dinner, drinks","He said ""hi""\nthen left"\r\n\r\nlast,row');
+
+      expect(rows).toEqual([
+        { line: 1, fields: ['a', 'b'] },
+        { line: 2, fields: ['Dinner, drinks', 'He said "hi"\nthen left'] },
+        { line: 5, fields: ['last', 'row'] }
+      ]);
+    });
+
+    it('should support other delimiters', () => {
+      expect(parseCsv('a;b\n1,5;2', { delimiter: ';' })).toEqual([
+        { line: 1, fields: ['a', 'b'] },
+        { line: 2, fields: ['1,5', '2'] }
+      ]);
+    });
+
+    it('should reject an unterminated quote', () => {
+      expect(() => parseCsv('a,b\n"open,1')).toThrow('Unterminated quoted field starting on line 2');
+    });
+  });
+
+  describe('parseCsvRecords', () => {
+    it('should key values by trimmed header', () => {
+      const { headers, records } = parseCsvRecords(' Date ,Amount\n2024-03-01, 12.50 \n2024-03-02');
+
+      expect(headers).toEqual(['Date', 'Amount']);
+      expect(records).toEqual([
+        { line: 2, values: { Date: '2024-03-01', Amount: '12.50' } },
+        { line: 3, values: { Date: '2024-03-02', Amount: '' } }
+      ]);
+    });
+  });
+});
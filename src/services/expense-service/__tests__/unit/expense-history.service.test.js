@@ -0,0 +1,178 @@
+/**
+ * Unit tests for Expense History Service
+ */
+
+const expenseHistoryService = require('../../src/services/expense-history.service');
+
+jest.mock('../../src/repositories/expense-history.repository', () => ({
+  createEntry: jest.fn(),
+  findLatest: jest.fn(),
+  findVersion: jest.fn(),
+  findByExpenseId: jest.fn()
+}));
+
+const expenseHistoryRepository = require('../../src/repositories/expense-history.repository');
+const { DatabaseError } = require('../../../../shared/errors');
+
+describe('Expense History Service', () => {
+  const expense = {
+    _id: 'expense1',
+    groupId: 'group1',
+    description: 'Dinner',
+    amount: 90,
+    currency: 'USD',
+    date: new Date('2024-03-01T00:00:00.000Z'),
+    category: 'food',
+    paidBy: 'user1',
+    createdBy: 'user1',
+    splits: [
+      { _id: 'split2', expenseId: 'expense1', userId: 'user2', splitType: 'equal', amount: 45 },
+      { _id: 'split1', expenseId: 'expense1', userId: 'user1', splitType: 'equal', amount: 45 }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    expenseHistoryRepository.createEntry.mockImplementation(entry => Promise.resolve(entry));
+  });
+
+  describe('snapshotExpense', () => {
+    it('should keep the tracked fields with splits sorted by user', () => {
+      expect(expenseHistoryService.snapshotExpense(expense)).toEqual({
+        description: 'Dinner',
+        amount: 90,
+        currency: 'USD',
+        date: '2024-03-01T00:00:00.000Z',
+        category: 'food',
+        notes: null,
+        paidBy: 'user1',
+        splits: [
+          { userId: 'user1', splitType: 'equal', amount: 45 },
+          { userId: 'user2', splitType: 'equal', amount: 45 }
+        ],
+        deleted: false
+      });
+    });
+
+    it('should carry over the previous splits when the expense has none loaded', () => {
+      const previous = expenseHistoryService.snapshotExpense(expense);
+      const snapshot = expenseHistoryService.snapshotExpense({ ...expense, splits: undefined }, previous);
+
+      expect(snapshot.splits).toEqual(previous.splits);
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list only the fields that changed', () => {
+      const before = expenseHistoryService.snapshotExpense(expense);
+      const after = expenseHistoryService.snapshotExpense({
+        ...expense,
+        amount: 100,
+        paidBy: 'user2',
+        splits: [{ userId: 'user1', splitType: 'equal', amount: 50 }, { userId: 'user2', splitType: 'equal', amount: 50 }]
+      });
+
+      expect(expenseHistoryService.diffSnapshots(before, after)).toEqual([
+        { field: 'amount', from: 90, to: 100 },
+        { field: 'paidBy', from: 'user1', to: 'user2' },
+        { field: 'splits', from: before.splits, to: after.splits }
+      ]);
+    });
+
+    it('should list every set field of a new expense', () => {
+      const changes = expenseHistoryService.diffSnapshots(null, expenseHistoryService.snapshotExpense(expense));
+
+      expect(changes.map(change => change.field)).toEqual([
+        'description', 'amount', 'currency', 'date', 'category', 'paidBy', 'splits'
+      ]);
+      expect(changes[1]).toEqual({ field: 'amount', from: null, to: 90 });
+    });
+  });
+
+  describe('recordChange', () => {
+    it('should record the first version of a new expense', async () => {
+      expenseHistoryRepository.findLatest.mockResolvedValue(null);
+
+      const entry = await expenseHistoryService.recordChange('create', expense, 'user1');
+
+      expect(entry).toMatchObject({
+        expenseId: 'expense1',
+        groupId: 'group1',
+        version: 1,
+        action: 'create',
+        actorId: 'user1'
+      });
+      expect(entry.snapshot.amount).toBe(90);
+    });
+
+    it('should diff against the latest version', async () => {
+      const snapshot = expenseHistoryService.snapshotExpense(expense);
+      expenseHistoryRepository.findLatest.mockResolvedValue({ version: 4, snapshot });
+
+      const entry = await expenseHistoryService.recordChange(
+        'update',
+        { ...expense, category: 'drinks', splits: undefined },
+        'user2'
+      );
+
+      expect(entry.version).toBe(5);
+      expect(entry.changes).toEqual([{ field: 'category', from: 'food', to: 'drinks' }]);
+      expect(entry.snapshot.splits).toEqual(snapshot.splits);
+    });
+
+    it('should diff against the old state of an expense without history', async () => {
+      expenseHistoryRepository.findLatest.mockResolvedValue(null);
+
+      const entry = await expenseHistoryService.recordChange(
+        'delete',
+        { ...expense, isDeleted: true },
+        'user1',
+        { before: expense }
+      );
+
+      expect(entry.version).toBe(1);
+      expect(entry.changes).toEqual([{ field: 'deleted', from: false, to: true }]);
+    });
+
+    it('should retry when another writer took the version', async () => {
+      const duplicate = new DatabaseError('Failed to create document', Object.assign(new Error('E11000'), { code: 11000 }));
+      const snapshot = expenseHistoryService.snapshotExpense(expense);
+      expenseHistoryRepository.findLatest
+        .mockResolvedValueOnce({ version: 1, snapshot })
+        .mockResolvedValueOnce({ version: 2, snapshot });
+      expenseHistoryRepository.createEntry.mockRejectedValueOnce(duplicate);
+
+      const entry = await expenseHistoryService.recordChange('update', { ...expense, amount: 120 }, 'user1');
+
+      expect(expenseHistoryRepository.createEntry).toHaveBeenCalledTimes(2);
+      expect(entry.version).toBe(3);
+    });
+  });
+
+  describe('getExpenseHistory', () => {
+    it('should return a page of history with pagination', async () => {
+      expenseHistoryRepository.findByExpenseId.mockResolvedValue({ rows: [{ version: 2 }, { version: 1 }], count: 5 });
+
+      const result = await expenseHistoryService.getExpenseHistory('expense1', { page: 1, limit: 2 });
+
+      expect(expenseHistoryRepository.findByExpenseId).toHaveBeenCalledWith('expense1', { page: 1, limit: 2 });
+      expect(result.pagination).toEqual({ page: 1, limit: 2, total: 5, totalPages: 3 });
+    });
+
+    it('should throw if the expense has no history', async () => {
+      expenseHistoryRepository.findByExpenseId.mockResolvedValue({ rows: [], count: 0 });
+
+      await expect(expenseHistoryService.getExpenseHistory('missing'))
+        .rejects.toThrow('No history found for expense missing');
+    });
+  });
+
+  describe('getExpenseVersion', () => {
+    it('should throw if the version does not exist', async () => {
+      expenseHistoryRepository.findVersion.mockResolvedValue(null);
+
+      await expect(expenseHistoryService.getExpenseVersion('expense1', 9))
+        .rejects.toThrow('Version 9 of expense expense1 not found');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Expense Aggregate Tests
+ */
+
+const ExpenseAggregate = require('../../src/aggregates/expense.aggregate');
+
+const { EVENTS } = ExpenseAggregate;
+
+const expenseData = {
+  groupId: 'group1',
+  description: 'Dinner',
+  amount: 90,
+  currency: 'USD',
+  date: '2024-03-01T00:00:00.000Z',
+  paidBy: 'user1',
+  splits: [
+    { userId: 'user1', amount: 45 },
+    { userId: 'user2', amount: 45 }
+  ]
+};
+
+// Decide events and apply them, as a command would after appending them
+const execute = (aggregate, decide) => {
+  const events = decide(aggregate);
+  events.forEach(event => aggregate.applyEvent(event));
+  return events;
+};
+
+const createdExpense = () => {
+  const aggregate = new ExpenseAggregate('expense1');
+  execute(aggregate, expense => expense.create(expenseData, 'user1'));
+  return aggregate;
+};
+
+describe('Expense Aggregate', () => {
+  it('should create an expense with its splits', () => {
+    const aggregate = new ExpenseAggregate('expense1');
+    const events = execute(aggregate, expense => expense.create(expenseData, 'user1'));
+
+    expect(events.map(event => event.type)).toEqual([EVENTS.CREATED, EVENTS.SPLITS_ASSIGNED]);
+    expect(aggregate.revision).toBe(1);
+    expect(aggregate.getState()).toMatchObject({
+      id: 'expense1',
+      amount: 90,
+      createdBy: 'user1',
+      deleted: false,
+      splits: expenseData.splits,
+      revision: 1
+    });
+  });
+
+  it('should reject splits that do not add up to the amount', () => {
+    expect(() => new ExpenseAggregate('expense1').create(
+      { ...expenseData, splits: [{ userId: 'user1', amount: 40 }] },
+      'user1'
+    )).toThrow('Split amounts must add up to the expense amount');
+  });
+
+  it('should record only changed fields with their previous values', () => {
+    const aggregate = createdExpense();
+    const events = execute(aggregate, expense => expense.update({ description: 'Lunch', currency: 'USD' }, 'user2'));
+
+    expect(events).toHaveLength(1);
+    expect(events[0].data).toEqual({
+      expenseId: 'expense1',
+      changes: { description: 'Lunch' },
+      previous: { description: 'Dinner' }
+    });
+    expect(aggregate.getState().description).toBe('Lunch');
+  });
+
+  it('should require new splits when the amount changes', () => {
+    const aggregate = createdExpense();
+
+    expect(() => aggregate.update({ amount: 100 }, 'user1'))
+      .toThrow('Split amounts must add up to the expense amount');
+
+    const events = execute(aggregate, expense => expense.update({
+      amount: 100,
+      splits: [{ userId: 'user1', amount: 50 }, { userId: 'user2', amount: 50 }]
+    }, 'user1'));
+
+    expect(events.map(event => event.type)).toEqual([EVENTS.UPDATED, EVENTS.SPLITS_ASSIGNED]);
+    expect(aggregate.getState().splits.map(split => split.amount)).toEqual([50, 50]);
+  });
+
+  it('should delete and restore an expense', () => {
+    const aggregate = createdExpense();
+
+    execute(aggregate, expense => expense.delete('user2', 'Duplicate'));
+    expect(aggregate.getState()).toMatchObject({ deleted: true, deletedBy: 'user2' });
+    expect(() => aggregate.update({ description: 'Lunch' }, 'user1')).toThrow('Expense has been deleted');
+    expect(() => aggregate.delete('user1')).toThrow('Expense has been deleted');
+
+    execute(aggregate, expense => expense.restore('user1'));
+    expect(aggregate.getState()).toMatchObject({ deleted: false, deletedBy: null, revision: 3 });
+    expect(() => aggregate.restore('user1')).toThrow('Expense has not been deleted');
+  });
+
+  it('should rebuild the same state by replaying its events', () => {
+    const aggregate = new ExpenseAggregate('expense1');
+    const history = [
+      ...execute(aggregate, expense => expense.create(expenseData, 'user1')),
+      ...execute(aggregate, expense => expense.update({ category: 'food' }, 'user1')),
+      ...execute(aggregate, expense => expense.delete('user1'))
+    ].map((event, revision) => ({ ...event, revision }));
+
+    const replayed = ExpenseAggregate.fromEvents('expense1', history);
+
+    expect(replayed.getState()).toEqual(aggregate.getState());
+    expect(replayed.revision).toBe(3);
+  });
+
+  it('should count unknown events towards the revision without changing state', () => {
+    const aggregate = createdExpense();
+    const before = aggregate.getState();
+
+    aggregate.applyEvent({ type: 'ExpenseTagged', data: { expenseId: 'expense1' }, metadata: {} });
+
+    expect(aggregate.revision).toBe(2);
+    expect(aggregate.getState()).toEqual({ ...before, revision: 2 });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the event-sourced expense commands and projection
+ */
+
+jest.mock('../../../../shared/cache', () => ({
+  del: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../src/repositories/expense-read-model.repository', () => ({
+  saveProjection: jest.fn().mockResolvedValue(true),
+  findById: jest.fn()
+}));
+
+const eventStore = require('../../../../shared/event-sourcing/event-store');
+const MemoryEventStoreAdapter = require('../../../../shared/event-sourcing/adapters/memory.adapter');
+const cache = require('../../../../shared/cache');
+const expenseReadModelRepository = require('../../src/repositories/expense-read-model.repository');
+const { ConflictError } = require('../../../../shared/errors');
+const CreateExpenseCommand = require('../../src/commands/create-expense.command');
+const UpdateExpenseCommand = require('../../src/commands/update-expense.command');
+const DeleteExpenseCommand = require('../../src/commands/delete-expense.command');
+const expenseProjection = require('../../src/projections/expense.projection');
+
+describe('Expense commands', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = eventStore.useAdapter(new MemoryEventStoreAdapter());
+    jest.spyOn(store, 'appendToStream');
+  });
+
+  const createExpense = () => new CreateExpenseCommand({
+    groupId: 'group1',
+    description: 'Dinner',
+    amount: 90,
+    currency: 'USD',
+    paidBy: 'user1',
+    userId: 'user1',
+    splits: [{ userId: 'user1', amount: 45 }, { userId: 'user2', amount: 45 }]
+  }).execute();
+
+  it('should append the created expense to a new stream and project it', async () => {
+    const expense = await createExpense();
+
+    expect(store.appendToStream).toHaveBeenCalledWith(
+      `expense-${expense.id}`,
+      expect.any(Array),
+      'no_stream'
+    );
+    expect(expense.revision).toBe(1);
+    expect(expenseReadModelRepository.saveProjection).toHaveBeenCalledWith(expense, {});
+    expect(cache.del).toHaveBeenCalledWith(`expense:${expense.id}`);
+  });
+
+  it('should update an expense at the revision the user saw', async () => {
+    const expense = await createExpense();
+
+    const updated = await new UpdateExpenseCommand(expense.id, { description: 'Lunch' }, {
+      userId: 'user2',
+      expectedRevision: 1
+    }).execute();
+
+    expect(updated).toMatchObject({ description: 'Lunch', revision: 2 });
+    expect(store.appendToStream).toHaveBeenLastCalledWith(`expense-${expense.id}`, expect.any(Array), 1);
+  });
+
+  it('should reject updates based on a stale revision', async () => {
+    const expense = await createExpense();
+    await new UpdateExpenseCommand(expense.id, { description: 'Lunch' }, { userId: 'user2' }).execute();
+
+    await expect(new UpdateExpenseCommand(expense.id, { category: 'food' }, {
+      userId: 'user1',
+      expectedRevision: 1
+    }).execute()).rejects.toThrow('Expense has been modified (expected revision 1, current revision 2)');
+  });
+
+  it('should not lose a concurrent write between load and append', async () => {
+    const expense = await createExpense();
+    const command = new DeleteExpenseCommand(expense.id, { userId: 'user1' });
+
+    // Another instance writes right after this command loaded the stream
+    const load = store.readStream.bind(store);
+    jest.spyOn(store, 'readStream').mockImplementationOnce(async function* (streamName) {
+      yield* load(streamName);
+      await store.appendToStream(streamName, [{
+        type: 'ExpenseUpdated',
+        data: { expenseId: expense.id, changes: { category: 'food' }, previous: {} }
+      }]);
+    });
+
+    await expect(command.execute()).rejects.toBeInstanceOf(ConflictError);
+  });
+
+  it('should throw if the expense does not exist', async () => {
+    await expect(new DeleteExpenseCommand('missing', { userId: 'user1' }).execute())
+      .rejects.toThrow('Expense not found');
+  });
+});
+
+describe('Expense projection', () => {
+  let store;
+
+  const created = expenseId => ({
+    type: 'ExpenseCreated',
+    data: { expenseId, groupId: 'group1', amount: 90, currency: 'USD', paidBy: 'user1' },
+    metadata: { userId: 'user1', timestamp: '2024-03-01T00:00:00.000Z' }
+  });
+  const splitsAssigned = expenseId => ({
+    type: 'ExpenseSplitsAssigned',
+    data: { expenseId, splits: [{ userId: 'user1', amount: 90 }] },
+    metadata: { userId: 'user1', timestamp: '2024-03-01T00:00:00.000Z' }
+  });
+  const deleted = expenseId => ({
+    type: 'ExpenseDeleted',
+    data: { expenseId, reason: null },
+    metadata: { userId: 'user1', timestamp: '2024-03-02T00:00:00.000Z' }
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    store = eventStore.useAdapter(new MemoryEventStoreAdapter());
+    await store.appendToStream('expense-expense1', [created('expense1'), splitsAssigned('expense1'), deleted('expense1')]);
+  });
+
+  it('should ignore events that were already projected', async () => {
+    expenseReadModelRepository.findById.mockResolvedValue({ _id: 'expense1', revision: 2 });
+    jest.spyOn(store, 'readStream');
+
+    await expenseProjection.handle({ ...deleted('expense1'), revision: 2 });
+
+    expect(store.readStream).not.toHaveBeenCalled();
+    expect(expenseReadModelRepository.saveProjection).not.toHaveBeenCalled();
+  });
+
+  it('should project new events from the full stream', async () => {
+    expenseReadModelRepository.findById.mockResolvedValue({ _id: 'expense1', revision: 0 });
+
+    await expenseProjection.handle({ ...deleted('expense1'), revision: 2 });
+
+    expect(expenseReadModelRepository.saveProjection).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'expense1', deleted: true, revision: 2 }),
+      {}
+    );
+  });
+
+  it('should follow the expense category as a subscription', async () => {
+    expenseReadModelRepository.findById.mockResolvedValue(null);
+
+    await expenseProjection.start();
+
+    expect(expenseReadModelRepository.saveProjection).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'expense1', revision: 2 }),
+      {}
+    );
+  });
+
+  it('should rebuild the read model from every expense stream', async () => {
+    await store.appendToStream('expense-expense2', [created('expense2'), splitsAssigned('expense2')]);
+    await eventStore.createSnapshot('expense-expense1', {}, 2);
+
+    const projected = await expenseProjection.rebuildAll();
+
+    expect(projected).toBe(2);
+    expect(expenseReadModelRepository.saveProjection).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'expense2', deleted: false, revision: 1 }),
+      { replace: true }
+    );
+  });
+});
@@ -2,6 +2,7 @@
  * Unit tests for Expense Service
  */
 
+const crypto = require('crypto');
 const expenseService = require('../../src/services/expense.service');
 
 // Mock repositories
@@ -9,12 +10,37 @@ jest.mock('../../src/repositories/expense.repository', () => ({
   create: jest.fn(),
   findById: jest.fn(),
   update: jest.fn(),
-  delete: jest.fn(),
-  findByGroupId: jest.fn()
+  updateExpense: jest.fn(),
+  deleteExpense: jest.fn(),
+  restoreExpense: jest.fn(),
+  findDeletedByGroup: jest.fn(),
+  purgeDeletedBefore: jest.fn(),
+  findByGroupId: jest.fn(),
+  findGroupIdsChangedSince: jest.fn()
+}));
+
+jest.mock('../../src/repositories/balance-snapshot.repository', () => ({
+  findLatest: jest.fn().mockResolvedValue(null),
+  saveSnapshot: jest.fn().mockResolvedValue({}),
+  deleteAfter: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../src/services/expense-history.service', () => ({
+  recordChange: jest.fn().mockResolvedValue({}),
+  getExpenseVersion: jest.fn()
+}));
+
+jest.mock('../../src/services/settlement.client', () => ({
+  invalidateGroupDebtGraph: jest.fn().mockResolvedValue(true),
+  getDailyRates: jest.fn(),
+  getGroupSettlements: jest.fn()
 }));
 
 // Import the mocked repository
 const expenseRepository = require('../../src/repositories/expense.repository');
+const balanceSnapshotRepository = require('../../src/repositories/balance-snapshot.repository');
+const settlementClient = require('../../src/services/settlement.client');
+const expenseHistoryService = require('../../src/services/expense-history.service');
 
 describe('Expense Service', () => {
   beforeEach(() => {
@@ -117,6 +143,48 @@ describe('Expense Service', () => {
       expect(result).toEqual(updatedExpense);
     });
 
+    it('should invalidate balance snapshots from the earlier of the old and new dates', async () => {
+      const existingExpense = { id: 'expense1', groupId: 'group1', amount: 100, paidBy: 'user1', date: '2024-03-10T00:00:00.000Z' };
+      expenseRepository.findById.mockResolvedValue(existingExpense);
+      expenseRepository.update.mockResolvedValue({ ...existingExpense, date: '2024-02-01T00:00:00.000Z' });
+
+      await expenseService.updateExpense('expense1', { date: '2024-02-01T00:00:00.000Z' });
+
+      expect(balanceSnapshotRepository.deleteAfter).toHaveBeenCalledWith('group1', new Date('2024-02-01T00:00:00.000Z'));
+      expect(settlementClient.invalidateGroupDebtGraph).toHaveBeenCalledWith('group1');
+    });
+
+    it('should replace splits and record the change in the history', async () => {
+      const existingExpense = { id: 'expense1', groupId: 'group1', amount: 100, paidBy: 'user1' };
+      const splits = [{ userId: 'user1', amount: 75 }, { userId: 'user2', amount: 75 }];
+      const updatedExpense = { ...existingExpense, amount: 150, splits };
+      expenseRepository.findById.mockResolvedValue(existingExpense);
+      expenseRepository.updateExpense.mockResolvedValue(updatedExpense);
+
+      await expenseService.updateExpense('expense1', { amount: 150 }, splits, 'user2');
+
+      expect(expenseRepository.updateExpense).toHaveBeenCalledWith('expense1', { amount: 150 }, splits);
+      expect(expenseHistoryService.recordChange).toHaveBeenCalledWith(
+        'update',
+        updatedExpense,
+        'user2',
+        { before: existingExpense }
+      );
+    });
+
+    it('should keep the update when the history cannot be recorded', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expenseRepository.findById.mockResolvedValue({ id: 'expense1', amount: 100 });
+      expenseRepository.update.mockResolvedValue({ id: 'expense1', amount: 150 });
+      expenseHistoryService.recordChange.mockRejectedValueOnce(new Error('write failed'));
+
+      const result = await expenseService.updateExpense('expense1', { amount: 150 }, null, 'user1');
+
+      expect(result).toEqual({ id: 'expense1', amount: 150 });
+      expect(console.error).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
     it('should throw error if expense is not found', async () => {
       // Mock repository response
       expenseRepository.findById.mockResolvedValue(null);
@@ -128,7 +196,7 @@ describe('Expense Service', () => {
   });
 
   describe('deleteExpense', () => {
-    it('should delete an expense', async () => {
+    it('should move an expense to the trash', async () => {
       // Mock data
       const expenseId = 'expense1';
       const existingExpense = {
@@ -138,18 +206,49 @@ describe('Expense Service', () => {
         description: 'Dinner',
         paidBy: 'user1'
       };
+      const deletedExpense = {
+        ...existingExpense,
+        isDeleted: true,
+        deletedAt: '2024-03-01T00:00:00.000Z',
+        deletedBy: 'user1'
+      };
 
       // Mock repository responses
       expenseRepository.findById.mockResolvedValue(existingExpense);
-      expenseRepository.delete.mockResolvedValue(true);
+      expenseRepository.deleteExpense.mockResolvedValue(deletedExpense);
 
       // Call service
-      const result = await expenseService.deleteExpense(expenseId);
+      const result = await expenseService.deleteExpense(expenseId, 'user1');
 
       // Assert
       expect(expenseRepository.findById).toHaveBeenCalledWith(expenseId);
-      expect(expenseRepository.delete).toHaveBeenCalledWith(expenseId);
-      expect(result).toBe(true);
+      expect(expenseRepository.deleteExpense).toHaveBeenCalledWith(expenseId, 'user1');
+      expect(result).toEqual({ ...deletedExpense, restorableUntil: '2024-03-31T00:00:00.000Z' });
+    });
+
+    it('should record the deletion in the history', async () => {
+      const existingExpense = { id: 'expense1', groupId: 'group1', amount: 100 };
+      const deletedExpense = { ...existingExpense, isDeleted: true, deletedAt: '2024-03-01T00:00:00.000Z' };
+      expenseRepository.findById.mockResolvedValue(existingExpense);
+      expenseRepository.deleteExpense.mockResolvedValue(deletedExpense);
+
+      await expenseService.deleteExpense('expense1', 'user1');
+
+      expect(expenseHistoryService.recordChange).toHaveBeenCalledWith(
+        'delete',
+        deletedExpense,
+        'user1',
+        { before: existingExpense }
+      );
+    });
+
+    it('should invalidate the group debt graph in settlement-service', async () => {
+      expenseRepository.findById.mockResolvedValue({ id: 'expense1', groupId: 'group1' });
+      expenseRepository.deleteExpense.mockResolvedValue({ id: 'expense1', groupId: 'group1', isDeleted: true });
+
+      await expenseService.deleteExpense('expense1');
+
+      expect(settlementClient.invalidateGroupDebtGraph).toHaveBeenCalledWith('group1');
     });
 
     it('should throw error if expense is not found', async () => {
@@ -160,6 +259,182 @@ describe('Expense Service', () => {
       await expect(expenseService.deleteExpense('non-existent'))
         .rejects.toThrow('Expense not found');
     });
+
+    it('should throw error if expense is already deleted', async () => {
+      expenseRepository.findById.mockResolvedValue({ id: 'expense1', isDeleted: true });
+
+      await expect(expenseService.deleteExpense('expense1'))
+        .rejects.toThrow('Expense not found');
+      expect(expenseRepository.deleteExpense).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreExpense', () => {
+    const deletedExpense = {
+      id: 'expense1',
+      groupId: 'group1',
+      amount: 100,
+      paidBy: 'user2',
+      createdBy: 'user1',
+      isDeleted: true,
+      deletedAt: '2024-03-01T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers().setSystemTime(new Date('2024-03-10T00:00:00.000Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should restore a deleted expense and invalidate the debt graph', async () => {
+      const restoredExpense = { ...deletedExpense, isDeleted: false, deletedAt: null };
+      expenseRepository.findById.mockResolvedValue(deletedExpense);
+      expenseRepository.restoreExpense.mockResolvedValue(restoredExpense);
+
+      const result = await expenseService.restoreExpense('expense1', 'user2');
+
+      expect(expenseRepository.restoreExpense).toHaveBeenCalledWith('expense1');
+      expect(settlementClient.invalidateGroupDebtGraph).toHaveBeenCalledWith('group1');
+      expect(expenseHistoryService.recordChange).toHaveBeenCalledWith(
+        'restore',
+        restoredExpense,
+        'user2',
+        { before: deletedExpense }
+      );
+      expect(result).toEqual(restoredExpense);
+    });
+
+    it('should only restore deleted expenses', async () => {
+      expenseRepository.findById.mockResolvedValue({ ...deletedExpense, isDeleted: false });
+
+      await expect(expenseService.restoreExpense('expense1', 'user1'))
+        .rejects.toThrow('Expense is not deleted');
+    });
+
+    it('should only let the creator or payer restore', async () => {
+      expenseRepository.findById.mockResolvedValue(deletedExpense);
+
+      await expect(expenseService.restoreExpense('expense1', 'user3'))
+        .rejects.toThrow('Only the creator or payer can restore this expense');
+      expect(expenseRepository.restoreExpense).not.toHaveBeenCalled();
+    });
+
+    it('should not restore after the retention window', async () => {
+      jest.setSystemTime(new Date('2024-04-01T00:00:00.000Z'));
+      expenseRepository.findById.mockResolvedValue(deletedExpense);
+
+      await expect(expenseService.restoreExpense('expense1', 'user1'))
+        .rejects.toThrow('The restore window for this expense has passed');
+    });
+  });
+
+  describe('getGroupTrash', () => {
+    it('should list deleted expenses with when they can be restored until', async () => {
+      expenseRepository.findDeletedByGroup.mockResolvedValue({
+        rows: [{ id: 'expense1', isDeleted: true, deletedAt: '2024-03-01T00:00:00.000Z' }],
+        count: 1
+      });
+
+      const result = await expenseService.getGroupTrash(
+        'group1',
+        { page: 1, limit: 20 },
+        new Date('2024-03-10T00:00:00.000Z')
+      );
+
+      expect(expenseRepository.findDeletedByGroup).toHaveBeenCalledWith(
+        'group1',
+        { page: 1, limit: 20 },
+        '2024-02-09T00:00:00.000Z'
+      );
+      expect(result.expenses[0].restorableUntil).toBe('2024-03-31T00:00:00.000Z');
+      expect(result.retentionDays).toBe(30);
+      expect(result.pagination).toEqual({ page: 1, limit: 20, total: 1, totalPages: 1 });
+    });
+  });
+
+  describe('purgeExpiredTrash', () => {
+    it('should purge expenses deleted before the retention window', async () => {
+      expenseRepository.purgeDeletedBefore.mockResolvedValue(0);
+
+      await expenseService.purgeExpiredTrash(new Date('2024-03-31T00:00:00.000Z'));
+
+      expect(expenseRepository.purgeDeletedBefore).toHaveBeenCalledWith('2024-03-01T00:00:00.000Z');
+    });
+  });
+
+  describe('revertExpense', () => {
+    const existingExpense = {
+      id: 'expense1',
+      groupId: 'group1',
+      amount: 150,
+      currency: 'USD',
+      paidBy: 'user2',
+      createdBy: 'user1'
+    };
+    const snapshot = {
+      description: 'Dinner',
+      amount: 100,
+      currency: 'USD',
+      date: '2024-03-01T00:00:00.000Z',
+      category: 'food',
+      notes: null,
+      paidBy: 'user1',
+      splits: [{ userId: 'user1', amount: 50 }, { userId: 'user2', amount: 50 }],
+      deleted: false
+    };
+
+    beforeEach(() => {
+      expenseRepository.findById.mockResolvedValue(existingExpense);
+    });
+
+    it('should restore the fields and splits of the version', async () => {
+      const revertedExpense = { ...existingExpense, amount: 100, paidBy: 'user1' };
+      expenseHistoryService.getExpenseVersion.mockResolvedValue({ version: 1, snapshot });
+      expenseRepository.updateExpense.mockResolvedValue(revertedExpense);
+
+      const result = await expenseService.revertExpense('expense1', 1, 'user1');
+
+      expect(expenseHistoryService.getExpenseVersion).toHaveBeenCalledWith('expense1', 1);
+      expect(expenseRepository.updateExpense).toHaveBeenCalledWith(
+        'expense1',
+        {
+          description: 'Dinner',
+          amount: 100,
+          currency: 'USD',
+          date: '2024-03-01T00:00:00.000Z',
+          category: 'food',
+          notes: null,
+          paidBy: 'user1'
+        },
+        snapshot.splits
+      );
+      expect(expenseHistoryService.recordChange).toHaveBeenCalledWith(
+        'revert',
+        revertedExpense,
+        'user1',
+        { before: existingExpense, revertedToVersion: 1 }
+      );
+      expect(settlementClient.invalidateGroupDebtGraph).toHaveBeenCalledWith('group1');
+      expect(result).toEqual(revertedExpense);
+    });
+
+    it('should only let the creator or payer revert', async () => {
+      await expect(expenseService.revertExpense('expense1', 1, 'user3'))
+        .rejects.toThrow('Only the creator or payer can revert this expense');
+      expect(expenseRepository.updateExpense).not.toHaveBeenCalled();
+    });
+
+    it('should not revert to a deleted version', async () => {
+      expenseHistoryService.getExpenseVersion.mockResolvedValue({
+        version: 3,
+        snapshot: { ...snapshot, deleted: true }
+      });
+
+      await expect(expenseService.revertExpense('expense1', 3, 'user2'))
+        .rejects.toThrow('Version 3 is a deleted version of the expense');
+    });
   });
 
   describe('getExpensesByGroup', () => {
@@ -201,4 +476,233 @@ describe('Expense Service', () => {
         .rejects.toThrow('Group ID is required');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('getGroupDebtGraph', () => {
+    const expenses = [
+      {
+        _id: 'expense1',
+        amount: 90,
+        currency: 'USD',
+        paidBy: 'user1',
+        groupId: 'group1',
+        splits: [
+          { userId: 'user1', amount: 30 },
+          { userId: 'user2', amount: 30 },
+          { userId: 'user3', amount: 30 }
+        ]
+      },
+      {
+        _id: 'expense2',
+        amount: 20,
+        currency: 'USD',
+        paidBy: 'user2',
+        groupId: 'group1',
+        splits: [
+          { userId: 'user1', amount: 10 },
+          { userId: 'user2', amount: 10 }
+        ]
+      }
+    ];
+
+    it('should build the debt graph from group expenses', async () => {
+      expenseRepository.findByGroupId.mockResolvedValue(expenses);
+
+      const result = await expenseService.getGroupDebtGraph('group1');
+
+      expect(result.users).toEqual(['user1', 'user2', 'user3']);
+      expect(result.debts).toEqual(expect.arrayContaining([
+        { from: 'user2', to: 'user1', amount: 30, currency: 'USD' },
+        { from: 'user3', to: 'user1', amount: 30, currency: 'USD' },
+        { from: 'user1', to: 'user2', amount: 10, currency: 'USD' }
+      ]));
+      expect(result.balances.user1.netBalance).toBe(50);
+    });
+
+    it('should apply completed settlements only', async () => {
+      expenseRepository.findByGroupId.mockResolvedValue(expenses);
+
+      const result = await expenseService.getGroupDebtGraph('group1', [
+        { payerId: 'user3', receiverId: 'user1', amount: 30, currency: 'USD', status: 'completed' },
+        { payerId: 'user2', receiverId: 'user1', amount: 30, currency: 'USD', status: 'pending' }
+      ]);
+
+      expect(result.debts).not.toContainEqual(expect.objectContaining({ from: 'user3' }));
+      expect(result.debts).toContainEqual({ from: 'user2', to: 'user1', amount: 30, currency: 'USD' });
+      expect(result.balances.user3.netBalance).toBe(0);
+    });
+
+    it('should convert mixed currencies at the rate of each expense date', async () => {
+      expenseRepository.findByGroupId.mockResolvedValue([
+        ...expenses,
+        {
+          _id: 'expense3',
+          amount: 40,
+          currency: 'EUR',
+          date: '2024-07-01T12:00:00.000Z',
+          paidBy: 'user3',
+          groupId: 'group1',
+          splits: [
+            { userId: 'user1', amount: 20 },
+            { userId: 'user3', amount: 20 }
+          ]
+        }
+      ]);
+      settlementClient.getDailyRates.mockResolvedValue({ base: 'USD', rates: { USD: 1, EUR: 0.8 } });
+
+      const result = await expenseService.getGroupDebtGraph('group1');
+
+      expect(settlementClient.getDailyRates).toHaveBeenCalledWith('USD', '2024-07-01');
+      expect(result.currency).toBe('USD');
+      expect(result.debts).toContainEqual({ from: 'user1', to: 'user3', amount: 25, currency: 'USD' });
+    });
+
+    it('should calculate balances at the end of a past day', async () => {
+      expenseRepository.findByGroupId.mockResolvedValue([]);
+
+      const result = await expenseService.getGroupDebtGraph('group1', [], { asOf: '2024-01-31' });
+
+      expect(expenseRepository.findByGroupId).toHaveBeenCalledWith('group1', {
+        from: null,
+        until: new Date('2024-02-01T00:00:00.000Z')
+      });
+      expect(balanceSnapshotRepository.findLatest).toHaveBeenCalledWith('group1', new Date('2024-02-01T00:00:00.000Z'));
+      expect(result.asOf).toBe('2024-01-31');
+    });
+
+    it('should continue from the latest snapshot', async () => {
+      const cutoff = '2024-03-01T00:00:00.000Z';
+      balanceSnapshotRepository.findLatest.mockResolvedValueOnce({
+        groupId: 'group1',
+        cutoff,
+        currency: 'USD',
+        currencyCounts: { USD: 5 },
+        settlementsKey: crypto.createHash('sha256').update('').digest('hex'),
+        expenseCount: 5,
+        balances: {
+          user1: { userId: 'user1', name: 'user1', totalOwed: 0, totalOwedToUser: 40, netBalance: 40, currency: 'USD', owedToUsers: {}, owedByUsers: { user4: { amount: 40, currency: 'USD' } } },
+          user4: { userId: 'user4', name: 'user4', totalOwed: 40, totalOwedToUser: 0, netBalance: -40, currency: 'USD', owedToUsers: { user1: { amount: 40, currency: 'USD' } }, owedByUsers: {} }
+        }
+      });
+      expenseRepository.findByGroupId.mockResolvedValue(expenses.map(expense => ({ ...expense, date: '2024-03-02T00:00:00.000Z' })));
+
+      const result = await expenseService.getGroupDebtGraph('group1');
+
+      expect(expenseRepository.findByGroupId).toHaveBeenCalledWith('group1', { from: cutoff, until: null });
+      expect(result.balances.user1.netBalance).toBe(90);
+      expect(result.balances.user4.netBalance).toBe(-40);
+      expect(balanceSnapshotRepository.saveSnapshot).not.toHaveBeenCalled();
+    });
+
+    it('should recalculate from scratch when a snapshot\'s settlements changed', async () => {
+      balanceSnapshotRepository.findLatest.mockResolvedValueOnce({
+        cutoff: '2024-03-01T00:00:00.000Z',
+        currency: 'USD',
+        settlementsKey: 'before-a-backdated-payment',
+        balances: {}
+      });
+      expenseRepository.findByGroupId.mockResolvedValue(expenses);
+
+      const result = await expenseService.getGroupDebtGraph('group1', [
+        { payerId: 'user3', receiverId: 'user1', amount: 30, currency: 'USD', status: 'completed', completedAt: '2024-02-15T00:00:00.000Z' }
+      ]);
+
+      expect(expenseRepository.findByGroupId).toHaveBeenCalledWith('group1', { from: null, until: null });
+      expect(result.balances.user3.netBalance).toBe(0);
+    });
+
+    it('should take a snapshot once enough expenses have built up', async () => {
+      expenseRepository.findByGroupId.mockResolvedValue(Array.from({ length: 100 }, (_, index) => ({
+        ...expenses[0],
+        _id: `expense${index}`,
+        date: '2024-01-01T00:00:00.000Z'
+      })));
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+
+      const result = await expenseService.getGroupDebtGraph('group1');
+
+      expect(balanceSnapshotRepository.saveSnapshot).toHaveBeenCalledWith(expect.objectContaining({
+        groupId: 'group1',
+        cutoff: today,
+        currency: 'USD',
+        currencyCounts: { USD: 100 },
+        expenseCount: 100,
+        balances: result.balances
+      }));
+    });
+
+    it('should throw error if groupId is not provided', async () => {
+      await expect(expenseService.getGroupDebtGraph())
+        .rejects.toThrow('Group ID is required');
+    });
+  });
+
+  describe('getGroupBalances', () => {
+    it('should calculate balances with the settlements from settlement-service', async () => {
+      settlementClient.getGroupSettlements.mockResolvedValue([
+        { payerId: 'user2', receiverId: 'user1', amount: 10, currency: 'USD', status: 'completed' }
+      ]);
+      expenseRepository.findByGroupId.mockResolvedValue([{
+        _id: 'expense1',
+        amount: 20,
+        currency: 'USD',
+        paidBy: 'user1',
+        splits: [{ userId: 'user1', amount: 10 }, { userId: 'user2', amount: 10 }]
+      }]);
+
+      const result = await expenseService.getGroupBalances('group1', { asOf: '2024-01-31' });
+
+      expect(settlementClient.getGroupSettlements).toHaveBeenCalledWith('group1');
+      expect(result.balances.user2.netBalance).toBe(0);
+      expect(result.asOf).toBe('2024-01-31');
+    });
+  });
+
+  describe('snapshotGroupBalances', () => {
+    it('should refresh the balances of each changed group and carry on past failures', async () => {
+      expenseRepository.findGroupIdsChangedSince.mockResolvedValue(['group1', 'group2', 'group3']);
+      settlementClient.getGroupSettlements
+        .mockResolvedValueOnce([])
+        .mockRejectedValueOnce(new Error('settlement-service unavailable'))
+        .mockResolvedValueOnce([]);
+      expenseRepository.findByGroupId.mockResolvedValue([]);
+      const since = new Date('2024-03-01T00:00:00.000Z');
+
+      const refreshed = await expenseService.snapshotGroupBalances(since);
+
+      expect(expenseRepository.findGroupIdsChangedSince).toHaveBeenCalledWith(since);
+      expect(settlementClient.getGroupSettlements.mock.calls).toEqual([['group1'], ['group2'], ['group3']]);
+      expect(refreshed).toBe(2);
+    });
+  });
+
+  describe('getGroupInteractions', () => {
+    it('should count the expenses each pair paid or owed a part of', async () => {
+      expenseRepository.findByGroupId.mockResolvedValue([
+        {
+          _id: 'expense1',
+          paidBy: 'user1',
+          splits: [{ userId: 'user1', amount: 10 }, { userId: 'user2', amount: 10 }, { userId: 'user3', amount: 0 }]
+        },
+        {
+          _id: 'expense2',
+          paidBy: 'user3',
+          splits: [{ userId: 'user2', amount: 15 }]
+        },
+        {
+          _id: 'expense3',
+          paidBy: 'user2',
+          splits: [{ userId: 'user1', amount: 5 }]
+        }
+      ]);
+
+      const result = await expenseService.getGroupInteractions('group1', { since: '2024-01-01' });
+
+      expect(expenseRepository.findByGroupId).toHaveBeenCalledWith('group1', { from: '2024-01-01' });
+      expect(result).toEqual([
+        { user1: 'user1', user2: 'user2', sharedExpenses: 2 },
+        { user1: 'user2', user2: 'user3', sharedExpenses: 1 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for Import Service
+ */
+
+const importService = require('../../src/services/import.service');
+
+jest.mock('../../src/repositories/expense.repository', () => ({
+  findByGroupId: jest.fn()
+}));
+
+jest.mock('../../src/services/expense.service', () => ({
+  createExpense: jest.fn()
+}));
+
+jest.mock('../../src/services/group.client', () => ({
+  getGroupMembers: jest.fn()
+}));
+
+const expenseRepository = require('../../src/repositories/expense.repository');
+const expenseService = require('../../src/services/expense.service');
+const groupClient = require('../../src/services/group.client');
+const { ForbiddenError } = require('../../../../shared/errors');
+
+describe('Import Service', () => {
+  const members = [
+    { userId: 'user1', role: 'admin' },
+    { userId: 'user2', role: 'member' }
+  ];
+
+  // group-service knows members by ID only, so names are mapped by the user
+  const memberMapping = { 'Alice Smith': 'user1', 'Bob Jones': 'user2' };
+
+  const splitwiseCsv = [
+    'Date,Description,Category,Cost,Currency,Alice Smith,Bob Jones,Chris',
+    '2024-03-01,Groceries,Groceries,90.00,USD,45.00,-45.00,0.00',
+    '2024-03-02,Taxi,Taxi,20.00,USD,-10.00,10.00,0.00',
+    '2024-03-01,Groceries,Groceries,90.00,USD,45.00,-45.00,0.00',
+    '2024-03-04,Gift,General,30.00,USD,-10.00,-10.00,20.00'
+  ].join('\n');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    groupClient.getGroupMembers.mockResolvedValue({ groupId: 'group1', isArchived: false, members });
+    expenseRepository.findByGroupId.mockResolvedValue([
+      { _id: 'expense1', description: 'taxi ', amount: 20, currency: 'USD', date: new Date('2024-03-02T18:30:00.000Z') }
+    ]);
+    expenseService.createExpense.mockImplementation(async (data, splits) => ({ _id: `new-${data.description}`, ...data, splits }));
+  });
+
+  describe('previewImport', () => {
+    it('should validate rows, match members and flag duplicates', async () => {
+      const preview = await importService.previewImport('group1', 'user1', {
+        source: 'splitwise',
+        content: splitwiseCsv,
+        memberMapping
+      });
+
+      expect(preview.summary).toEqual({ total: 4, ready: 1, duplicates: 2, skipped: 0, errors: 1 });
+      expect(preview.rows[0]).toEqual({
+        line: 2,
+        status: 'ready',
+        expense: expect.objectContaining({ description: 'Groceries', paidBy: 'user1' }),
+        splits: [
+          { userId: 'user1', splitType: 'fixed', amount: 45 },
+          { userId: 'user2', splitType: 'fixed', amount: 45 }
+        ]
+      });
+      expect(preview.rows[1]).toMatchObject({ status: 'duplicate', duplicateOf: { expenseId: 'expense1' } });
+      expect(preview.rows[2]).toMatchObject({ status: 'duplicate', duplicateOf: { line: 2 } });
+      expect(preview.rows[3]).toEqual({ line: 5, status: 'error', reason: 'Unknown member "Chris"' });
+      expect(preview.members).toEqual(expect.arrayContaining([
+        { reference: 'Alice Smith', userId: 'user1', matchedBy: 'mapping' },
+        { reference: 'Chris', userId: null, matchedBy: null }
+      ]));
+      expect(expenseService.createExpense).not.toHaveBeenCalled();
+    });
+
+    it('should use the member mapping for names that cannot be matched', async () => {
+      groupClient.getGroupMembers.mockResolvedValue({
+        groupId: 'group1',
+        isArchived: false,
+        members: [...members, { userId: 'user3', role: 'member' }]
+      });
+
+      const preview = await importService.previewImport('group1', 'user1', {
+        source: 'splitwise',
+        content: splitwiseCsv,
+        memberMapping: { ...memberMapping, Chris: 'user3' }
+      });
+
+      expect(preview.rows[3]).toMatchObject({ status: 'ready', expense: { paidBy: 'user3' } });
+    });
+
+    it('should default bank rows to the importer paying and an equal split', async () => {
+      const preview = await importService.previewImport('group1', 'user2', {
+        source: 'bank_csv',
+        content: 'Date,Details,Amount\n2024-03-05,Pizza,-25.01',
+        template: { columns: { date: 'Date', description: 'Details', amount: 'Amount' } }
+      });
+
+      expect(preview.rows[0]).toMatchObject({ status: 'ready', expense: { paidBy: 'user2', amount: 25.01 } });
+      expect(preview.rows[0].splits.map(split => split.amount).sort()).toEqual([12.5, 12.51]);
+    });
+
+    it('should report split errors from the split service', async () => {
+      const preview = await importService.previewImport('group1', 'user1', {
+        source: 'json',
+        content: JSON.stringify([{
+          description: 'Dinner',
+          amount: 50,
+          date: '2024-03-01',
+          paidBy: 'user1',
+          splits: [{ userId: 'user1', amount: 20 }, { userId: 'user2', amount: 20 }]
+        }])
+      });
+
+      expect(preview.rows[0]).toEqual({ line: 1, status: 'error', reason: 'Split amounts must add up to the expense amount' });
+    });
+
+    it('should reject files that cannot be read', async () => {
+      await expect(importService.previewImport('group1', 'user1', { source: 'splitwise', content: 'a,b\n1,2' }))
+        .rejects.toThrow('Could not read the splitwise file: Missing columns');
+    });
+
+    it('should only let members of the group import into it', async () => {
+      await expect(importService.previewImport('group1', 'user3', { source: 'splitwise', content: splitwiseCsv, memberMapping }))
+        .rejects.toThrow(ForbiddenError);
+      expect(groupClient.getGroupMembers).toHaveBeenCalledWith('group1');
+      expect(expenseRepository.findByGroupId).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('commitImport', () => {
+    const validCsv = splitwiseCsv.split('\n').slice(0, 4).join('\n');
+
+    it('should create the ready rows and skip duplicates', async () => {
+      const result = await importService.commitImport('group1', 'user1', {
+        source: 'splitwise',
+        content: validCsv,
+        memberMapping
+      });
+
+      expect(expenseService.createExpense).toHaveBeenCalledTimes(1);
+      expect(expenseService.createExpense).toHaveBeenCalledWith(
+        expect.objectContaining({ groupId: 'group1', createdBy: 'user1', importSource: 'splitwise', amount: 90 }),
+        expect.any(Array)
+      );
+      expect(result.summary).toMatchObject({ ready: 1, duplicates: 2, imported: 1 });
+    });
+
+    it('should import duplicates when asked to', async () => {
+      const result = await importService.commitImport('group1', 'user1', {
+        source: 'splitwise',
+        content: validCsv,
+        memberMapping,
+        includeDuplicates: true
+      });
+
+      expect(result.summary.imported).toBe(3);
+    });
+
+    it('should save nothing while any row has an error', async () => {
+      await expect(importService.commitImport('group1', 'user1', { source: 'splitwise', content: splitwiseCsv, memberMapping }))
+        .rejects.toThrow('1 row(s) cannot be imported; preview the import to see why');
+      expect(expenseService.createExpense).not.toHaveBeenCalled();
+    });
+  });
+});
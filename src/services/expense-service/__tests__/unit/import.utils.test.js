@@ -0,0 +1,191 @@
+/**
+ * Import Utilities Tests
+ */
+
+const {
+  parseDate,
+  parseAmount,
+  createMemberMatcher,
+  parseSplitwiseCsv,
+  parseBankCsv,
+  parseJsonExport
+} = require('../../src/utils/import.utils');
+
+describe('Import Utilities', () => {
+  describe('parseDate', () => {
+    it('should read each supported format', () => {
+      expect(parseDate('2024-03-31')).toBe('2024-03-31T00:00:00.000Z');
+      expect(parseDate('31/03/2024', 'DD/MM/YYYY')).toBe('2024-03-31T00:00:00.000Z');
+      expect(parseDate('03.31.2024', 'MM/DD/YYYY')).toBe('2024-03-31T00:00:00.000Z');
+    });
+
+    it('should reject dates that do not exist', () => {
+      expect(parseDate('2023-02-29')).toBeNull();
+      expect(parseDate('31/03/2024')).toBeNull();
+      expect(parseDate('yesterday')).toBeNull();
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('should read statement notations', () => {
+      expect(parseAmount('-1,234.50')).toBe(-1234.5);
+      expect(parseAmount('(12.00)')).toBe(-12);
+      expect(parseAmount('$8')).toBe(8);
+      expect(parseAmount('1.234,50', ',')).toBe(1234.5);
+      expect(parseAmount('n/a')).toBeNaN();
+    });
+  });
+
+  describe('createMemberMatcher', () => {
+    const members = [
+      { userId: 'user1', name: 'Alice Smith', email: 'alice@example.com' },
+      { userId: 'user2', name: 'Bob Jones', email: 'bobby@example.com' },
+      { userId: 'user3', name: 'Bob Brown' },
+      { userId: 'user4', name: 'José Díaz' }
+    ];
+
+    it('should match by ID, name, email and unique first name', () => {
+      const match = createMemberMatcher(members);
+
+      expect(match('user2')).toMatchObject({ userId: 'user2', matchedBy: 'id' });
+      expect(match('  alice   SMITH ')).toMatchObject({ userId: 'user1', matchedBy: 'name' });
+      expect(match('Jose Diaz')).toMatchObject({ userId: 'user4', matchedBy: 'name' });
+      expect(match('bobby')).toMatchObject({ userId: 'user2', matchedBy: 'email' });
+      expect(match('Alice S.')).toMatchObject({ userId: 'user1', matchedBy: 'first_name' });
+    });
+
+    it('should leave ambiguous and unknown names unmatched unless mapped', () => {
+      const match = createMemberMatcher(members, { 'Bob B': 'user3' });
+
+      expect(match('Bob')).toBeNull();
+      expect(match('Carol')).toBeNull();
+      expect(match('bob b')).toMatchObject({ userId: 'user3', matchedBy: 'mapping' });
+    });
+  });
+
+  describe('parseSplitwiseCsv', () => {
+    const csv = [
+      'Date,Description,Category,Cost,Currency,Alice Smith,Bob Jones,Carol White',
+      '',
+      '2024-03-01,Groceries,Groceries,90.00,USD,60.00,-30.00,-30.00',
+      '2024-03-02,Alice paid Bob,Payment,30.00,USD,30.00,-30.00,0.00',
+      '2024-03-03,Taxi,Taxi,25.00,USD,-10.00,25.00,-15.00',
+      '2024-03-04,Hotel,Hotel,100.00,USD,50.00,50.00,-100.00',
+      ',Total balance,,,USD,80.00,15.00,-95.00'
+    ].join('\n');
+
+    it('should work out the payer and shares from member balances', () => {
+      const rows = parseSplitwiseCsv(csv);
+
+      expect(rows[0]).toEqual({
+        line: 3,
+        status: 'parsed',
+        expense: {
+          description: 'Groceries',
+          amount: 90,
+          currency: 'USD',
+          date: '2024-03-01T00:00:00.000Z',
+          category: 'Groceries'
+        },
+        paidBy: 'Alice Smith',
+        splits: [
+          { member: 'Alice Smith', splitType: 'fixed', amount: 30 },
+          { member: 'Bob Jones', splitType: 'fixed', amount: 30 },
+          { member: 'Carol White', splitType: 'fixed', amount: 30 }
+        ]
+      });
+      expect(rows[2]).toMatchObject({
+        paidBy: 'Bob Jones',
+        splits: [
+          { member: 'Alice Smith', amount: 10 },
+          { member: 'Carol White', amount: 15 }
+        ]
+      });
+    });
+
+    it('should skip payments and the total row, and reject multiple payers', () => {
+      const rows = parseSplitwiseCsv(csv);
+
+      expect(rows[1]).toEqual({ line: 4, status: 'skipped', reason: 'Payments between members are settlements, not expenses' });
+      expect(rows[3]).toEqual({ line: 6, status: 'error', reason: 'Expenses paid by more than one person cannot be imported' });
+      expect(rows[4]).toEqual({ line: 7, status: 'skipped', reason: 'Total balance row' });
+    });
+
+    it('should reject files without the Splitwise columns', () => {
+      expect(() => parseSplitwiseCsv('Date,Amount\n2024-03-01,10')).toThrow('Missing columns: Description, Category, Cost, Currency');
+    });
+  });
+
+  describe('parseBankCsv', () => {
+    const template = {
+      columns: { date: 'Booking date', description: 'Details', amount: 'Amount (EUR)' },
+      dateFormat: 'DD/MM/YYYY',
+      delimiter: ';',
+      decimalSeparator: ',',
+      currency: 'EUR',
+      splitWith: ['Alice', 'Bob']
+    };
+
+    it('should map columns and keep only spending', () => {
+      const rows = parseBankCsv([
+        'Booking date;Details;Amount (EUR)',
+        '01/03/2024;SUPERMARKET;-45,30',
+        '02/03/2024;Salary;2.500,00',
+        '03/03/2024;Cinema;-abc'
+      ].join('\n'), template);
+
+      expect(rows).toEqual([
+        {
+          line: 2,
+          status: 'parsed',
+          expense: { description: 'SUPERMARKET', amount: 45.3, currency: 'EUR', date: '2024-03-01T00:00:00.000Z', category: null },
+          paidBy: null,
+          splits: [{ member: 'Alice', splitType: 'equal' }, { member: 'Bob', splitType: 'equal' }]
+        },
+        { line: 3, status: 'skipped', reason: 'Not an expense (income or zero amount)' },
+        { line: 4, status: 'error', reason: 'Invalid amount "-abc"' }
+      ]);
+    });
+
+    it('should report mapped columns missing from the file', () => {
+      expect(() => parseBankCsv('Date;Details;Amount\n', template)).toThrow('Missing columns: Booking date, Amount (EUR)');
+    });
+  });
+
+  describe('parseJsonExport', () => {
+    it('should read the expenses of an API response as fixed splits', () => {
+      const rows = parseJsonExport(JSON.stringify({
+        success: true,
+        data: {
+          expenses: [{
+            description: 'Rent',
+            amount: 1000,
+            currency: 'usd',
+            date: '2024-03-01T00:00:00.000Z',
+            paidBy: 'user1',
+            splits: [
+              { userId: 'user1', splitType: 'percentage', percentage: 60, amount: 600 },
+              { userId: 'user2', splitType: 'percentage', percentage: 40, amount: 400 }
+            ]
+          }]
+        }
+      }));
+
+      expect(rows).toEqual([{
+        line: 1,
+        status: 'parsed',
+        expense: { description: 'Rent', amount: 1000, currency: 'USD', date: '2024-03-01T00:00:00.000Z', category: null, notes: null },
+        paidBy: 'user1',
+        splits: [
+          { member: 'user1', splitType: 'fixed', amount: 600 },
+          { member: 'user2', splitType: 'fixed', amount: 400 }
+        ]
+      }]);
+    });
+
+    it('should reject files that are not an expense export', () => {
+      expect(() => parseJsonExport('{"settlements": []}')).toThrow('Expected an array of expenses');
+      expect(() => parseJsonExport('not json')).toThrow('Invalid JSON');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Math Utilities Tests
+ */
+
+const {
+  getCurrencyExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  hasValidPrecision,
+  addAmounts,
+  subtractAmounts,
+  allocateProportionally
+} = require('../../src/utils/math.utils');
+const { forAll } = require('../property');
+
+describe('Math Utilities', () => {
+  describe('minor units', () => {
+    it('should use ISO 4217 exponents', () => {
+      expect(getCurrencyExponent('USD')).toBe(2);
+      expect(getCurrencyExponent('jpy')).toBe(0);
+      expect(getCurrencyExponent('KWD')).toBe(3);
+      expect(getCurrencyExponent(null)).toBe(2);
+    });
+
+    it('should convert amounts to and from minor units', () => {
+      expect(toMinorUnits(12.34, 'USD')).toBe(1234);
+      expect(toMinorUnits(1.005, 'USD')).toBe(101);
+      expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+      expect(toMinorUnits(1.234, 'KWD')).toBe(1234);
+      expect(fromMinorUnits(1234, 'KWD')).toBe(1.234);
+      expect(fromMinorUnits(1500, 'JPY')).toBe(1500);
+    });
+
+    it('should detect amounts more precise than the currency allows', () => {
+      expect(hasValidPrecision(10.5, 'JPY')).toBe(false);
+      expect(hasValidPrecision(1.234, 'USD')).toBe(false);
+      expect(hasValidPrecision(1.234, 'KWD')).toBe(true);
+      expect(hasValidPrecision(0.1 + 0.2, 'USD')).toBe(true);
+    });
+
+    it('should add and subtract without floating point drift', () => {
+      expect(addAmounts([0.1, 0.2], 'USD')).toBe(0.3);
+      expect(subtractAmounts(0.3, 0.1, 'USD')).toBe(0.2);
+      expect(addAmounts(Array(1000).fill(0.01), 'USD')).toBe(10);
+    });
+
+    it('should round-trip every minor-unit amount', async () => {
+      await forAll(
+        random => ({
+          minorUnits: random.int(0, 10000000),
+          currency: random.pick(['USD', 'JPY', 'KWD'])
+        }),
+        ({ minorUnits, currency }) => {
+          expect(toMinorUnits(fromMinorUnits(minorUnits, currency), currency)).toBe(minorUnits);
+        }
+      );
+    });
+  });
+
+  describe('allocateProportionally', () => {
+    it('should give leftover units to the largest remainders', () => {
+      expect(allocateProportionally(100, [1, 1, 1])).toEqual([34, 33, 33]);
+      expect(allocateProportionally(10, [1, 2, 3, 4])).toEqual([1, 2, 3, 4]);
+      expect(allocateProportionally(100, [10, 20, 70])).toEqual([10, 20, 70]);
+    });
+
+    it('should rotate ties from the offset', () => {
+      expect(allocateProportionally(100, [1, 1, 1], 1)).toEqual([33, 34, 33]);
+      expect(allocateProportionally(101, [1, 1, 1], 2)).toEqual([34, 33, 34]);
+      expect(allocateProportionally(100, [1, 1, 1], 5)).toEqual([33, 33, 34]);
+    });
+
+    it('should reject invalid totals and weights', () => {
+      expect(() => allocateProportionally(1.5, [1])).toThrow('Total must be a non-negative integer');
+      expect(() => allocateProportionally(100, [])).toThrow('Weights must be a non-empty array');
+      expect(() => allocateProportionally(100, [0, 0])).toThrow('Weights must total more than 0');
+    });
+
+    it('should always allocate exactly the total', async () => {
+      await forAll(
+        random => ({
+          total: random.int(0, 10000000),
+          weights: random.array(1, 12, () => random.int(0, 1000)),
+          offset: random.int(0, 100)
+        }),
+        ({ total, weights, offset }) => {
+          if (weights.every(weight => weight === 0)) {
+            weights[0] = 1;
+          }
+
+          const parts = allocateProportionally(total, weights, offset);
+          expect(parts.reduce((sum, part) => sum + part, 0)).toBe(total);
+        }
+      );
+    });
+
+    it('should keep every part within one unit of its exact share', async () => {
+      await forAll(
+        random => ({
+          total: random.int(0, 1000000),
+          weights: random.array(1, 12, () => random.int(1, 1000))
+        }),
+        ({ total, weights }) => {
+          const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+          const parts = allocateProportionally(total, weights);
+
+          parts.forEach((part, index) => {
+            expect(Number.isInteger(part)).toBe(true);
+            expect(Math.abs(part - (total * weights[index]) / weightTotal)).toBeLessThan(1);
+          });
+        }
+      );
+    });
+  });
+});
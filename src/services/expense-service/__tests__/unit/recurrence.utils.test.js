@@ -0,0 +1,80 @@
+/**
+ * Recurrence Utilities Tests
+ */
+
+const {
+  parseRule,
+  formatRule,
+  getOccurrences,
+  getNextOccurrence
+} = require('../../src/utils/recurrence.utils');
+
+const isoDates = dates => dates.map(date => date.toISOString().slice(0, 10));
+
+describe('Recurrence Utilities', () => {
+  describe('parseRule', () => {
+    it('should parse and normalize a rule', () => {
+      const rule = parseRule('RRULE:FREQ=weekly;INTERVAL=2;BYDAY=FR,MO;COUNT=4');
+
+      expect(rule).toMatchObject({ freq: 'WEEKLY', interval: 2, byDay: [1, 5], count: 4 });
+      expect(formatRule(rule)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=4');
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => parseRule('INTERVAL=2')).toThrow('FREQ is required');
+      expect(() => parseRule('FREQ=HOURLY')).toThrow('FREQ must be one of');
+      expect(() => parseRule('FREQ=DAILY;COUNT=0')).toThrow('COUNT must be a positive integer');
+      expect(() => parseRule('FREQ=DAILY;BYDAY=MO')).toThrow('BYDAY is only supported for WEEKLY rules');
+      expect(() => parseRule('FREQ=DAILY;COUNT=2;UNTIL=20250101')).toThrow('COUNT and UNTIL cannot be combined');
+      expect(() => parseRule('FREQ=DAILY;BYHOUR=9')).toThrow('Unsupported rule part "BYHOUR"');
+    });
+  });
+
+  describe('getOccurrences', () => {
+    it('should fall back to the last day of shorter months', () => {
+      const occurrences = getOccurrences('FREQ=MONTHLY', '2024-01-31T00:00:00Z', { limit: 4 });
+
+      expect(isoDates(occurrences)).toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+    });
+
+    it('should support the last day of the month', () => {
+      const occurrences = getOccurrences('FREQ=MONTHLY;BYMONTHDAY=-1', '2023-02-10T00:00:00Z', { limit: 3 });
+
+      expect(isoDates(occurrences)).toEqual(['2023-02-28', '2023-03-31', '2023-04-30']);
+    });
+
+    it('should expand weekdays of every other week', () => {
+      // 2024-01-03 is a Wednesday
+      const occurrences = getOccurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', '2024-01-03T00:00:00Z', { limit: 4 });
+
+      expect(isoDates(occurrences)).toEqual(['2024-01-05', '2024-01-15', '2024-01-19', '2024-01-29']);
+    });
+
+    it('should stop at COUNT, UNTIL and the end date', () => {
+      expect(getOccurrences('FREQ=DAILY;COUNT=3', '2024-01-01T00:00:00Z')).toHaveLength(3);
+      expect(getOccurrences('FREQ=DAILY;UNTIL=20240105', '2024-01-01T00:00:00Z')).toHaveLength(5);
+      expect(getOccurrences('FREQ=DAILY', '2024-01-01T00:00:00Z', { endDate: '2024-01-10T00:00:00Z' }))
+        .toHaveLength(10);
+    });
+
+    it('should only return occurrences inside the window', () => {
+      const occurrences = getOccurrences('FREQ=MONTHLY', '2024-01-01T00:00:00Z', {
+        from: '2024-03-01T00:00:00Z',
+        to: '2024-05-15T00:00:00Z'
+      });
+
+      expect(isoDates(occurrences)).toEqual(['2024-03-01', '2024-04-01', '2024-05-01']);
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    it('should return the first occurrence after a date', () => {
+      expect(getNextOccurrence('FREQ=YEARLY', '2024-02-29T00:00:00Z', '2024-02-29T00:00:00Z').toISOString())
+        .toBe('2025-02-28T00:00:00.000Z');
+    });
+
+    it('should return null once the series has ended', () => {
+      expect(getNextOccurrence('FREQ=DAILY;COUNT=2', '2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Unit tests for Recurring Expense Service
+ */
+
+const recurringExpenseService = require('../../src/services/recurring-expense.service');
+
+jest.mock('../../src/repositories/recurring-expense.repository', () => ({
+  createRecurringExpense: jest.fn(),
+  findById: jest.fn(),
+  findByGroupId: jest.fn(),
+  findDue: jest.fn(),
+  updateRecurringExpense: jest.fn()
+}));
+
+jest.mock('../../src/repositories/expense.repository', () => ({
+  findByOccurrence: jest.fn()
+}));
+
+jest.mock('../../src/services/expense.service', () => ({
+  createExpense: jest.fn()
+}));
+
+jest.mock('../../src/services/job-queue.service', () => ({
+  addRecurringExpenseJob: jest.fn().mockResolvedValue({})
+}));
+
+const recurringExpenseRepository = require('../../src/repositories/recurring-expense.repository');
+const expenseRepository = require('../../src/repositories/expense.repository');
+const expenseService = require('../../src/services/expense.service');
+const jobQueue = require('../../src/services/job-queue.service');
+
+const rent = (overrides = {}) => ({
+  _id: 'recurring1',
+  groupId: 'group1',
+  description: 'Rent',
+  amount: 1000,
+  currency: 'USD',
+  paidBy: 'user1',
+  createdBy: 'user1',
+  splits: [
+    { userId: 'user1', splitType: 'equal' },
+    { userId: 'user2', splitType: 'equal' },
+    { userId: 'user3', splitType: 'equal' }
+  ],
+  schedule: { rule: 'FREQ=MONTHLY', startDate: '2024-01-01T00:00:00.000Z', endDate: null },
+  status: 'active',
+  nextOccurrenceAt: '2024-01-01T00:00:00.000Z',
+  lastOccurrenceAt: null,
+  skippedOccurrences: [],
+  generatedCount: 0,
+  ...overrides
+});
+
+describe('Recurring Expense Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    recurringExpenseRepository.updateRecurringExpense.mockImplementation((id, data) => Promise.resolve(data));
+    expenseRepository.findByOccurrence.mockResolvedValue(null);
+    expenseService.createExpense.mockImplementation(data => Promise.resolve({ _id: data.occurrenceDate, ...data }));
+  });
+
+  describe('createRecurringExpense', () => {
+    it('should normalize the schedule and queue catch-up for past start dates', async () => {
+      recurringExpenseRepository.createRecurringExpense.mockImplementation(data => Promise.resolve({ _id: 'recurring1', ...data }));
+
+      const result = await recurringExpenseService.createRecurringExpense(
+        { ...rent(), schedule: { rule: 'RRULE:FREQ=monthly;BYMONTHDAY=1', startDate: '2024-01-01' } },
+        'user1'
+      );
+
+      expect(result.schedule.rule).toBe('FREQ=MONTHLY;BYMONTHDAY=1');
+      expect(result.nextOccurrenceAt).toBe('2024-01-01T00:00:00.000Z');
+      expect(jobQueue.addRecurringExpenseJob).toHaveBeenCalledWith('recurring1');
+    });
+
+    it('should reject invalid rules and split templates', async () => {
+      await expect(recurringExpenseService.createRecurringExpense(
+        { ...rent(), schedule: { rule: 'FREQ=HOURLY', startDate: '2024-01-01' } },
+        'user1'
+      )).rejects.toThrow('Invalid recurrence rule');
+
+      await expect(recurringExpenseService.createRecurringExpense(
+        { ...rent(), splits: [{ userId: 'user1', splitType: 'fixed', amount: 10 }] },
+        'user1'
+      )).rejects.toThrow('Split amounts must add up to the expense amount');
+
+      expect(recurringExpenseRepository.createRecurringExpense).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateDueOccurrences', () => {
+    it('should back-fill every missed occurrence with calculated splits', async () => {
+      recurringExpenseRepository.findById.mockResolvedValue(rent());
+
+      const created = await recurringExpenseService.generateDueOccurrences(
+        'recurring1',
+        new Date('2024-03-15T00:00:00Z')
+      );
+
+      expect(created.map(expense => expense.occurrenceDate)).toEqual([
+        '2024-01-01T00:00:00.000Z',
+        '2024-02-01T00:00:00.000Z',
+        '2024-03-01T00:00:00.000Z'
+      ]);
+
+      const [expenseData, splits] = expenseService.createExpense.mock.calls[0];
+      expect(expenseData).toMatchObject({ recurringExpenseId: 'recurring1', date: '2024-01-01T00:00:00.000Z' });
+      expect(splits.map(split => split.amount).sort()).toEqual([333.33, 333.33, 333.34]);
+
+      expect(recurringExpenseRepository.updateRecurringExpense).toHaveBeenCalledWith('recurring1', {
+        lastOccurrenceAt: '2024-03-01T00:00:00.000Z',
+        nextOccurrenceAt: '2024-04-01T00:00:00.000Z',
+        generatedCount: 3,
+        status: 'active'
+      });
+    });
+
+    it('should not duplicate occurrences that already exist', async () => {
+      recurringExpenseRepository.findById.mockResolvedValue(rent());
+      expenseRepository.findByOccurrence.mockImplementation((id, occurrenceDate) =>
+        Promise.resolve(occurrenceDate === '2024-01-01T00:00:00.000Z' ? { _id: 'existing' } : null));
+
+      // A concurrent run inserted February first
+      expenseService.createExpense.mockImplementation(data => {
+        if (data.occurrenceDate === '2024-02-01T00:00:00.000Z') {
+          const error = new Error('Database operation failed');
+          error.originalError = { code: 11000 };
+          return Promise.reject(error);
+        }
+        return Promise.resolve({ ...data });
+      });
+
+      const created = await recurringExpenseService.generateDueOccurrences(
+        'recurring1',
+        new Date('2024-03-15T00:00:00Z')
+      );
+
+      expect(created.map(expense => expense.occurrenceDate)).toEqual(['2024-03-01T00:00:00.000Z']);
+      expect(recurringExpenseRepository.updateRecurringExpense).toHaveBeenCalledWith(
+        'recurring1',
+        expect.objectContaining({ generatedCount: 1, nextOccurrenceAt: '2024-04-01T00:00:00.000Z' })
+      );
+    });
+
+    it('should leave out skipped occurrences', async () => {
+      recurringExpenseRepository.findById.mockResolvedValue(rent({
+        skippedOccurrences: ['2024-02-01T00:00:00.000Z']
+      }));
+
+      const created = await recurringExpenseService.generateDueOccurrences(
+        'recurring1',
+        new Date('2024-03-15T00:00:00Z')
+      );
+
+      expect(created.map(expense => expense.occurrenceDate)).toEqual([
+        '2024-01-01T00:00:00.000Z',
+        '2024-03-01T00:00:00.000Z'
+      ]);
+    });
+
+    it('should complete the schedule after its last occurrence', async () => {
+      recurringExpenseRepository.findById.mockResolvedValue(rent({
+        schedule: { rule: 'FREQ=MONTHLY;COUNT=2', startDate: '2024-01-01T00:00:00.000Z', endDate: null }
+      }));
+
+      await recurringExpenseService.generateDueOccurrences('recurring1', new Date('2024-06-01T00:00:00Z'));
+
+      expect(expenseService.createExpense).toHaveBeenCalledTimes(2);
+      expect(recurringExpenseRepository.updateRecurringExpense).toHaveBeenCalledWith(
+        'recurring1',
+        expect.objectContaining({ nextOccurrenceAt: null, status: 'completed' })
+      );
+    });
+
+    it('should not generate paused schedules', async () => {
+      recurringExpenseRepository.findById.mockResolvedValue(rent({ status: 'paused' }));
+
+      const created = await recurringExpenseService.generateDueOccurrences('recurring1', new Date('2024-03-15T00:00:00Z'));
+
+      expect(created).toEqual([]);
+      expect(expenseService.createExpense).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pause, resume and skip', () => {
+    it('should skip the next occurrence', async () => {
+      recurringExpenseRepository.findById.mockResolvedValue(rent());
+
+      const result = await recurringExpenseService.skipNextOccurrence('recurring1', 'user1');
+
+      expect(result).toEqual({
+        skippedOccurrences: ['2024-01-01T00:00:00.000Z'],
+        nextOccurrenceAt: '2024-02-01T00:00:00.000Z'
+      });
+    });
+
+    it('should only pause active schedules', async () => {
+      recurringExpenseRepository.findById.mockResolvedValue(rent({ status: 'paused' }));
+
+      await expect(recurringExpenseService.pauseRecurringExpense('recurring1', 'user1'))
+        .rejects.toThrow('Cannot pause a paused recurring expense');
+    });
+
+    it('should resume from the next occurrence without back-filling the pause', async () => {
+      jest.useFakeTimers().setSystemTime(new Date('2024-05-10T00:00:00Z'));
+
+      try {
+        recurringExpenseRepository.findById.mockResolvedValue(rent({
+          status: 'paused',
+          nextOccurrenceAt: '2024-03-01T00:00:00.000Z'
+        }));
+
+        const result = await recurringExpenseService.resumeRecurringExpense('recurring1', 'user1');
+
+        expect(result).toEqual({ status: 'active', nextOccurrenceAt: '2024-06-01T00:00:00.000Z', pausedAt: null });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should not let other users change the schedule', async () => {
+      recurringExpenseRepository.findById.mockResolvedValue(rent());
+
+      await expect(recurringExpenseService.pauseRecurringExpense('recurring1', 'user3'))
+        .rejects.toThrow('You do not have permission to change this recurring expense');
+    });
+  });
+
+  describe('processDueRecurringExpenses', () => {
+    it('should keep going when one schedule fails', async () => {
+      recurringExpenseRepository.findDue.mockResolvedValue([{ _id: 'broken' }, { _id: 'recurring1' }]);
+      recurringExpenseRepository.findById.mockImplementation(id =>
+        id === 'broken' ? Promise.reject(new Error('boom')) : Promise.resolve(rent()));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const summary = await recurringExpenseService.processDueRecurringExpenses(new Date('2024-01-15T00:00:00Z'));
+
+      expect(summary).toEqual({ processed: 1, generated: 1, failed: 1 });
+      console.error.mockRestore();
+    });
+  });
+});
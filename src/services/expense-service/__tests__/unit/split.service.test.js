@@ -0,0 +1,296 @@
+/**
+ * Split Service Tests
+ */
+
+const splitService = require('../../src/services/split.service');
+const { toMinorUnits, fromMinorUnits } = require('../../src/utils/math.utils');
+const { forAll } = require('../property');
+
+const sumMinorUnits = (splits, currency) =>
+  splits.reduce((sum, split) => sum + toMinorUnits(split.amount, currency), 0);
+
+describe('Split Service', () => {
+  describe('calculateSplitAmounts', () => {
+    const equalSplits = userIds => userIds.map(userId => ({ userId, splitType: 'equal' }));
+
+    it('should spread leftover cents instead of giving them all to one user', () => {
+      const result = splitService.calculateSplitAmounts(
+        { amount: 100, currency: 'USD' },
+        equalSplits(['user1', 'user2', 'user3'])
+      );
+
+      expect(result.map(split => split.amount).sort()).toEqual([33.33, 33.33, 33.34]);
+    });
+
+    it('should rotate the leftover cent between expenses', () => {
+      const receivers = new Set(['expense1', 'expense2', 'expense3', 'expense4', 'expense5', 'expense6']
+        .map(id => splitService.calculateSplitAmounts(
+          { _id: id, amount: 10, currency: 'USD' },
+          equalSplits(['user1', 'user2', 'user3'])
+        ))
+        .map(splits => splits.find(split => split.amount === 3.34).userId));
+
+      expect(receivers.size).toBeGreaterThan(1);
+    });
+
+    it('should split zero-decimal currencies in whole units', () => {
+      const result = splitService.calculateSplitAmounts(
+        { amount: 1000, currency: 'JPY' },
+        equalSplits(['user1', 'user2', 'user3'])
+      );
+
+      expect(result.map(split => split.amount).sort()).toEqual([333, 333, 334]);
+    });
+
+    it('should split three-decimal currencies in fils', () => {
+      const result = splitService.calculateSplitAmounts(
+        { amount: 10, currency: 'KWD' },
+        equalSplits(['user1', 'user2', 'user3'])
+      );
+
+      expect(result.map(split => split.amount).sort()).toEqual([3.333, 3.333, 3.334]);
+    });
+
+    it('should reject amounts more precise than the currency allows', () => {
+      expect(() => splitService.calculateSplitAmounts(
+        { amount: 100.5, currency: 'JPY' },
+        equalSplits(['user1', 'user2'])
+      )).toThrow('JPY amounts allow 0 decimal places');
+    });
+
+    it('should reject fixed splits that do not cover the expense', () => {
+      expect(() => splitService.calculateSplitAmounts(
+        { amount: 100, currency: 'USD' },
+        [
+          { userId: 'user1', splitType: 'fixed', amount: 40 },
+          { userId: 'user2', splitType: 'fixed', amount: 50 }
+        ]
+      )).toThrow('Split amounts must add up to the expense amount');
+    });
+
+    it('should always sum exactly to the expense amount', async () => {
+      await forAll(
+        random => {
+          const currency = random.pick(['USD', 'JPY', 'KWD', 'EUR']);
+          const userCount = random.int(1, 10);
+          const amountMinor = random.int(userCount * 10, 10000000);
+          const userIds = Array.from({ length: userCount }, (_, index) => `user${index}`);
+
+          // Up to half the users pay a fixed part, the rest share what is left
+          const fixedCount = random.int(0, Math.floor(userCount / 2));
+          const fixed = userIds.slice(0, fixedCount).map(userId => ({
+            userId,
+            splitType: 'fixed',
+            amount: fromMinorUnits(random.int(1, Math.floor(amountMinor / (2 * userCount))), currency)
+          }));
+
+          const splitType = random.pick(['equal', 'share', 'percentage']);
+          const others = userIds.slice(fixedCount);
+
+          // Every user gets at least 1%, the rest is handed out at random
+          const percentages = others.map(() => 1);
+          for (let point = others.length; point < 100 && others.length > 0; point++) {
+            percentages[random.int(0, others.length - 1)]++;
+          }
+
+          const rest = others.map((userId, index) => ({
+            userId,
+            splitType,
+            shares: random.int(1, 5),
+            percentage: percentages[index]
+          }));
+
+          return {
+            expense: { _id: `expense${random.int(0, 1000)}`, amount: fromMinorUnits(amountMinor, currency), currency },
+            splits: [...fixed, ...rest],
+            amountMinor
+          };
+        },
+        ({ expense, splits, amountMinor }) => {
+          const result = splitService.calculateSplitAmounts(expense, splits);
+
+          expect(sumMinorUnits(result, expense.currency)).toBe(amountMinor);
+          expect(splitService.validateSplitTotal(result, expense)).toBe(true);
+          result.forEach(split => expect(split.amount).toBeGreaterThanOrEqual(0));
+        }
+      );
+    });
+  });
+
+  describe('calculateSplitAmounts - itemized', () => {
+    const splits = [
+      { userId: 'user1', splitType: 'itemized' },
+      { userId: 'user2', splitType: 'itemized' },
+      { userId: 'user3', splitType: 'itemized' }
+    ];
+
+    it('should charge each user for their own items', () => {
+      const result = splitService.calculateSplitAmounts(
+        {
+          amount: 45,
+          items: [
+            { name: 'Burger', unitPrice: 15, assignedTo: ['user1'] },
+            { name: 'Salad', unitPrice: 10, assignedTo: ['user2'] },
+            { name: 'Steak', unitPrice: 20, assignedTo: ['user3'] }
+          ]
+        },
+        splits
+      );
+
+      expect(result.map(split => split.amount)).toEqual([15, 10, 20]);
+      expect(result[0].breakdown).toEqual({
+        items: [{ name: 'Burger', amount: 15 }],
+        subtotal: 15,
+        tax: 0,
+        tip: 0,
+        serviceCharge: 0
+      });
+    });
+
+    it('should share items by assigned quantity', () => {
+      const result = splitService.calculateSplitAmounts(
+        {
+          amount: 18,
+          items: [
+            {
+              name: 'Beer',
+              unitPrice: 6,
+              quantity: 3,
+              assignedTo: [{ userId: 'user1', quantity: 2 }, { userId: 'user2', quantity: 1 }]
+            }
+          ]
+        },
+        splits.slice(0, 2)
+      );
+
+      expect(result.map(split => split.amount)).toEqual([12, 6]);
+    });
+
+    it('should allocate tax, tip and service charge in proportion to item subtotals', () => {
+      const result = splitService.calculateSplitAmounts(
+        {
+          amount: 130,
+          items: [
+            { name: 'Pasta', unitPrice: 20, assignedTo: ['user1'] },
+            { name: 'Pizza', unitPrice: 30, assignedTo: ['user2'] },
+            { name: 'Wine', unitPrice: 50, assignedTo: ['user1', 'user2'] }
+          ],
+          tax: 10,
+          tip: 15,
+          serviceCharge: 5
+        },
+        splits.slice(0, 2)
+      );
+
+      // user1 has 45 of 100 in items, user2 has 55
+      expect(result[0].breakdown).toMatchObject({ subtotal: 45, tax: 4.5, tip: 6.75, serviceCharge: 2.25 });
+      expect(result[1].breakdown).toMatchObject({ subtotal: 55, tax: 5.5, tip: 8.25, serviceCharge: 2.75 });
+      expect(result.map(split => split.amount)).toEqual([58.5, 71.5]);
+    });
+
+    it('should always sum to the expense amount after rounding', () => {
+      const result = splitService.calculateSplitAmounts(
+        {
+          amount: 11.01,
+          items: [
+            { name: 'Nachos', unitPrice: 10, assignedTo: ['user1', 'user2', 'user3'] }
+          ],
+          tax: 1.01
+        },
+        splits
+      );
+
+      const amounts = result.map(split => split.amount);
+      expect(amounts).toEqual([3.67, 3.67, 3.67]);
+      expect(Math.round(amounts.reduce((sum, amount) => sum + amount, 0) * 100)).toBe(1101);
+    });
+
+    it('should reject receipts that do not add up to the expense amount', () => {
+      expect(() => splitService.calculateSplitAmounts(
+        {
+          amount: 50,
+          items: [{ name: 'Burger', unitPrice: 15, assignedTo: ['user1'] }],
+          tax: 2
+        },
+        splits.slice(0, 1)
+      )).toThrow('Itemized total 17 does not match expense amount 50');
+    });
+
+    it('should reject items assigned to users outside the split', () => {
+      expect(() => splitService.calculateSplitAmounts(
+        {
+          amount: 15,
+          items: [{ name: 'Burger', unitPrice: 15, assignedTo: ['user4'] }]
+        },
+        splits.slice(0, 1)
+      )).toThrow('Item "Burger" is assigned to user user4 who is not part of the split');
+    });
+
+    it('should reject assigned quantities that do not match the item quantity', () => {
+      expect(() => splitService.calculateSplitAmounts(
+        {
+          amount: 18,
+          items: [
+            { name: 'Beer', unitPrice: 6, quantity: 3, assignedTo: [{ userId: 'user1', quantity: 2 }] }
+          ]
+        },
+        splits.slice(0, 1)
+      )).toThrow('Assigned quantities for item "Beer" must total 3');
+    });
+
+    it('should reject users without any items', () => {
+      expect(() => splitService.calculateSplitAmounts(
+        {
+          amount: 15,
+          items: [{ name: 'Burger', unitPrice: 15, assignedTo: ['user1'] }]
+        },
+        splits.slice(0, 2)
+      )).toThrow('No items assigned to user user2');
+    });
+
+    it('should always sum exactly to the receipt total', async () => {
+      await forAll(
+        random => {
+          const currency = random.pick(['USD', 'JPY', 'KWD']);
+          const userIds = Array.from({ length: random.int(1, 6) }, (_, index) => `user${index}`);
+          const items = userIds.map(userId => ({
+            name: `Item for ${userId}`,
+            unitPrice: fromMinorUnits(random.int(1, 100000), currency),
+            quantity: random.int(1, 4),
+            assignedTo: [userId, ...userIds.filter(() => random.next() < 0.3)]
+              .filter((id, index, ids) => ids.indexOf(id) === index)
+          }));
+          const charges = {
+            tax: fromMinorUnits(random.int(0, 10000), currency),
+            tip: fromMinorUnits(random.int(0, 10000), currency),
+            serviceCharge: fromMinorUnits(random.int(0, 1000), currency)
+          };
+          const amountMinor = items.reduce(
+            (sum, item) => sum + toMinorUnits(item.unitPrice, currency) * item.quantity,
+            0
+          ) + Object.values(charges).reduce((sum, charge) => sum + toMinorUnits(charge, currency), 0);
+
+          return {
+            expense: { amount: fromMinorUnits(amountMinor, currency), currency, items, ...charges },
+            splits: userIds.map(userId => ({ userId, splitType: 'itemized' })),
+            amountMinor
+          };
+        },
+        ({ expense, splits, amountMinor }) => {
+          const result = splitService.calculateSplitAmounts(expense, splits);
+          expect(sumMinorUnits(result, expense.currency)).toBe(amountMinor);
+        }
+      );
+    });
+
+    it('should not allow itemized splits to be mixed with other types', () => {
+      expect(() => splitService.calculateSplitAmounts(
+        {
+          amount: 15,
+          items: [{ name: 'Burger', unitPrice: 15, assignedTo: ['user1'] }]
+        },
+        [splits[0], { userId: 'user2', splitType: 'equal' }]
+      )).toThrow('Itemized splits cannot be combined with other split types');
+    });
+  });
+});
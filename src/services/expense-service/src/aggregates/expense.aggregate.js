@@ -0,0 +1,282 @@
+/**
+ * Expense Aggregate
+ *
+ * Event-sourced expense. State is only ever changed by applying events,
+ * so replaying an expense's stream rebuilds it exactly. Command methods
+ * check the business rules and return the events to append; they do not
+ * change state themselves.
+ */
+
+const { BadRequestError, ConflictError } = require('../../../../shared/errors');
+const { toMinorUnits } = require('../utils/math.utils');
+
+const EVENTS = {
+  CREATED: 'ExpenseCreated',
+  SPLITS_ASSIGNED: 'ExpenseSplitsAssigned',
+  UPDATED: 'ExpenseUpdated',
+  DELETED: 'ExpenseDeleted',
+  RESTORED: 'ExpenseRestored'
+};
+
+// Fields an ExpenseUpdated event may change. The group is fixed at creation.
+const UPDATABLE_FIELDS = ['description', 'amount', 'currency', 'date', 'category', 'notes', 'paidBy'];
+
+class ExpenseAggregate {
+  /**
+   * @param {string} expenseId Expense ID
+   */
+  constructor(expenseId) {
+    this.id = expenseId;
+    this.state = null;
+    // Revision of the last applied event; -1 until the expense exists
+    this.revision = -1;
+  }
+
+  /**
+   * Event types
+   * @returns {Object} Event type constants
+   */
+  static get EVENTS() {
+    return EVENTS;
+  }
+
+  /**
+   * Get the event stream name of an expense
+   * @param {string} expenseId Expense ID
+   * @returns {string} Stream name
+   */
+  static streamName(expenseId) {
+    return `expense-${expenseId}`;
+  }
+
+  /**
+   * Rebuild an aggregate from its events
+   * @param {string} expenseId Expense ID
+   * @param {Array} events Events in stream order
+   * @returns {ExpenseAggregate} Aggregate
+   */
+  static fromEvents(expenseId, events) {
+    const aggregate = new ExpenseAggregate(expenseId);
+    events.forEach(event => aggregate.applyEvent(event));
+    return aggregate;
+  }
+
+  /**
+   * Build an event for this expense
+   * @param {string} type Event type
+   * @param {Object} data Event data
+   * @param {string} userId ID of the user causing the event
+   * @returns {Object} Event
+   * @private
+   */
+  _event(type, data, userId) {
+    return {
+      type,
+      data: { expenseId: this.id, ...data },
+      metadata: {
+        userId,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Make sure the expense exists and has not been deleted
+   * @private
+   */
+  _assertActive() {
+    if (!this.state) {
+      throw new BadRequestError('Expense does not exist');
+    }
+    if (this.state.deleted) {
+      throw new ConflictError('Expense has been deleted');
+    }
+  }
+
+  /**
+   * Make sure splits add up to the expense amount
+   * @param {Array} splits Splits
+   * @param {number} amount Expense amount
+   * @param {string} currency Expense currency
+   * @private
+   */
+  _assertSplitsMatch(splits, amount, currency) {
+    if (!Array.isArray(splits) || splits.length === 0) {
+      throw new BadRequestError('At least one split is required');
+    }
+
+    const total = splits.reduce((sum, split) => sum + toMinorUnits(split.amount, currency), 0);
+    if (total !== toMinorUnits(amount, currency)) {
+      throw new BadRequestError('Split amounts must add up to the expense amount');
+    }
+  }
+
+  /**
+   * Decide the events that create an expense
+   * @param {Object} data Expense data including calculated splits
+   * @param {string} userId ID of the creating user
+   * @returns {Array} Events to append
+   */
+  create(data, userId) {
+    if (this.state) {
+      throw new ConflictError('Expense already exists');
+    }
+    if (!data.groupId || !data.amount || !data.paidBy) {
+      throw new BadRequestError('Invalid expense data');
+    }
+
+    this._assertSplitsMatch(data.splits, data.amount, data.currency);
+
+    return [
+      this._event(EVENTS.CREATED, {
+        description: data.description,
+        amount: data.amount,
+        currency: data.currency,
+        date: data.date,
+        category: data.category,
+        paidBy: data.paidBy,
+        groupId: data.groupId
+      }, userId),
+      this._event(EVENTS.SPLITS_ASSIGNED, { splits: data.splits }, userId)
+    ];
+  }
+
+  /**
+   * Decide the events that update an expense
+   * @param {Object} changes Changed fields, optionally with recalculated splits
+   * @param {string} userId ID of the updating user
+   * @returns {Array} Events to append (empty if nothing changed)
+   */
+  update(changes, userId) {
+    this._assertActive();
+
+    const { splits, ...fields } = changes;
+    const changed = {};
+    const previous = {};
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (fields[field] !== undefined && fields[field] !== this.state[field]) {
+        changed[field] = fields[field];
+        previous[field] = this.state[field] === undefined ? null : this.state[field];
+      }
+    });
+
+    const amount = changed.amount !== undefined ? changed.amount : this.state.amount;
+    const currency = changed.currency || this.state.currency;
+    const events = [];
+
+    if (Object.keys(changed).length > 0) {
+      events.push(this._event(EVENTS.UPDATED, { changes: changed, previous }, userId));
+    }
+
+    if (splits) {
+      this._assertSplitsMatch(splits, amount, currency);
+      events.push(this._event(EVENTS.SPLITS_ASSIGNED, { splits }, userId));
+    } else if (changed.amount !== undefined || changed.currency !== undefined) {
+      // The current splits no longer describe the new amount
+      this._assertSplitsMatch(this.state.splits, amount, currency);
+    }
+
+    return events;
+  }
+
+  /**
+   * Decide the event that deletes an expense
+   * @param {string} userId ID of the deleting user
+   * @param {string} [reason] Optional reason
+   * @returns {Array} Events to append
+   */
+  delete(userId, reason) {
+    this._assertActive();
+    return [this._event(EVENTS.DELETED, { reason: reason || null }, userId)];
+  }
+
+  /**
+   * Decide the event that restores a deleted expense
+   * @param {string} userId ID of the restoring user
+   * @returns {Array} Events to append
+   */
+  restore(userId) {
+    if (!this.state) {
+      throw new BadRequestError('Expense does not exist');
+    }
+    if (!this.state.deleted) {
+      throw new ConflictError('Expense has not been deleted');
+    }
+    return [this._event(EVENTS.RESTORED, {}, userId)];
+  }
+
+  /**
+   * Apply an event to the aggregate state
+   * @param {Object} event Event with type, data and metadata
+   */
+  applyEvent(event) {
+    const timestamp = (event.metadata && event.metadata.timestamp) || null;
+    const userId = (event.metadata && event.metadata.userId) || null;
+
+    switch (event.type) {
+      case EVENTS.CREATED:
+        this.state = {
+          id: this.id,
+          groupId: event.data.groupId,
+          description: event.data.description,
+          amount: event.data.amount,
+          currency: event.data.currency,
+          date: event.data.date,
+          category: event.data.category,
+          paidBy: event.data.paidBy,
+          splits: [],
+          deleted: false,
+          deletedAt: null,
+          deletedBy: null,
+          createdBy: userId,
+          createdAt: timestamp,
+          updatedAt: timestamp
+        };
+        break;
+      case EVENTS.SPLITS_ASSIGNED:
+        this.state.splits = event.data.splits;
+        this.state.updatedAt = timestamp;
+        break;
+      case EVENTS.UPDATED:
+        Object.assign(this.state, event.data.changes);
+        this.state.updatedAt = timestamp;
+        break;
+      case EVENTS.DELETED:
+        this.state.deleted = true;
+        this.state.deletedAt = timestamp;
+        this.state.deletedBy = userId;
+        break;
+      case EVENTS.RESTORED:
+        this.state.deleted = false;
+        this.state.deletedAt = null;
+        this.state.deletedBy = null;
+        this.state.updatedAt = timestamp;
+        break;
+      default:
+        // Unknown events (e.g. from newer versions) change nothing, but
+        // still count towards the stream revision
+        break;
+    }
+
+    this.revision = event.revision !== undefined ? event.revision : this.revision + 1;
+  }
+
+  /**
+   * Get a copy of the current state
+   * @returns {Object|null} Expense state with its revision, or null if it does not exist
+   */
+  getState() {
+    if (!this.state) {
+      return null;
+    }
+
+    return {
+      ...this.state,
+      splits: this.state.splits.map(split => ({ ...split })),
+      revision: this.revision
+    };
+  }
+}
+
+module.exports = ExpenseAggregate;
@@ -0,0 +1,27 @@
+const ExpenseCommand = require('./expense.command');
+
+class DeleteExpenseCommand extends ExpenseCommand {
+  /**
+   * @param {string} expenseId Expense ID
+   * @param {Object} options Command options
+   * @param {string} options.userId ID of the deleting user
+   * @param {number} [options.expectedRevision] Revision the user last saw
+   * @param {string} [options.reason] Why the expense was deleted
+   */
+  constructor(expenseId, { userId, expectedRevision, reason }) {
+    super();
+    this.expenseId = expenseId;
+    this.userId = userId;
+    this.expectedRevision = expectedRevision;
+    this.reason = reason;
+  }
+
+  async execute() {
+    const expense = await this.load(this.expenseId, this.expectedRevision);
+    const events = expense.delete(this.userId, this.reason);
+
+    return this.commit(expense, events);
+  }
+}
+
+module.exports = DeleteExpenseCommand;
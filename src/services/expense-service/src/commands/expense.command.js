@@ -0,0 +1,64 @@
+const eventStore = require('../../../../shared/event-sourcing/event-store');
+const ExpenseAggregate = require('../aggregates/expense.aggregate');
+const expenseProjection = require('../projections/expense.projection');
+const { NotFoundError, ConflictError } = require('../../../../shared/errors');
+
+/**
+ * Base class for commands that change an event-sourced expense
+ */
+class ExpenseCommand {
+  /**
+   * Load an existing expense aggregate
+   * @param {string} expenseId Expense ID
+   * @param {number} [expectedRevision] Revision the caller last saw
+   * @returns {Promise<ExpenseAggregate>} Aggregate
+   * @throws {NotFoundError} If the expense does not exist
+   * @throws {ConflictError} If the expense changed since the caller last saw it
+   */
+  async load(expenseId, expectedRevision) {
+    const aggregate = await expenseProjection.load(expenseId);
+
+    if (!aggregate.getState()) {
+      throw new NotFoundError('Expense not found');
+    }
+
+    if (expectedRevision !== undefined && expectedRevision !== aggregate.revision) {
+      throw new ConflictError(
+        `Expense has been modified (expected revision ${expectedRevision}, current revision ${aggregate.revision})`
+      );
+    }
+
+    return aggregate;
+  }
+
+  /**
+   * Append events to the expense stream and project the new state.
+   * The append only succeeds if nobody else wrote to the stream since the
+   * aggregate was loaded.
+   * @param {ExpenseAggregate} aggregate Aggregate the events were decided on
+   * @param {Array} events Events to append
+   * @param {number|string} [expectedRevision] Expected stream revision (defaults to the aggregate's)
+   * @returns {Promise<Object>} New expense state
+   */
+  async commit(aggregate, events, expectedRevision = aggregate.revision) {
+    if (events.length === 0) {
+      return aggregate.getState();
+    }
+
+    await eventStore.appendToStream(ExpenseAggregate.streamName(aggregate.id), events, expectedRevision);
+
+    events.forEach(event => aggregate.applyEvent({ ...event, revision: aggregate.revision + 1 }));
+    const state = aggregate.getState();
+
+    // The events are stored; if projecting fails here the subscription catches up
+    try {
+      await expenseProjection.project(state);
+    } catch (error) {
+      console.error(`Failed to project expense ${aggregate.id}:`, error.message);
+    }
+
+    return state;
+  }
+}
+
+module.exports = ExpenseCommand;
@@ -0,0 +1,25 @@
+const ExpenseCommand = require('./expense.command');
+
+class RestoreExpenseCommand extends ExpenseCommand {
+  /**
+   * @param {string} expenseId Expense ID
+   * @param {Object} options Command options
+   * @param {string} options.userId ID of the restoring user
+   * @param {number} [options.expectedRevision] Revision the user last saw
+   */
+  constructor(expenseId, { userId, expectedRevision }) {
+    super();
+    this.expenseId = expenseId;
+    this.userId = userId;
+    this.expectedRevision = expectedRevision;
+  }
+
+  async execute() {
+    const expense = await this.load(this.expenseId, this.expectedRevision);
+    const events = expense.restore(this.userId);
+
+    return this.commit(expense, events);
+  }
+}
+
+module.exports = RestoreExpenseCommand;
@@ -0,0 +1,27 @@
+const ExpenseCommand = require('./expense.command');
+
+class UpdateExpenseCommand extends ExpenseCommand {
+  /**
+   * @param {string} expenseId Expense ID
+   * @param {Object} changes Changed fields, optionally with recalculated splits
+   * @param {Object} options Command options
+   * @param {string} options.userId ID of the updating user
+   * @param {number} [options.expectedRevision] Revision the user last saw
+   */
+  constructor(expenseId, changes, { userId, expectedRevision }) {
+    super();
+    this.expenseId = expenseId;
+    this.changes = changes;
+    this.userId = userId;
+    this.expectedRevision = expectedRevision;
+  }
+
+  async execute() {
+    const expense = await this.load(this.expenseId, this.expectedRevision);
+    const events = expense.update(this.changes, this.userId);
+
+    return this.commit(expense, events);
+  }
+}
+
+module.exports = UpdateExpenseCommand;
@@ -7,8 +7,10 @@
 
 const { BadRequestError, NotFoundError } = require('../../../../shared/errors');
 const expenseService = require('../services/expense.service');
+const expenseHistoryService = require('../services/expense-history.service');
 const splitService = require('../services/split.service');
 const balanceService = require('../services/balance.service');
+const importService = require('../services/import.service');
 
 /**
  * Create a new expense
@@ -18,7 +20,10 @@ const balanceService = require('../services/balance.service');
  */
 async function createExpense(req, res, next) {
   try {
-    const { groupId, description, amount, currency, date, category, paidBy, splits } = req.body;
+    const {
+      groupId, description, amount, currency, date, category, paidBy, splits,
+      items, tax, tip, serviceCharge
+    } = req.body;
     const createdBy = req.user.id;
 
     // Validate required fields
@@ -38,9 +43,22 @@ async function createExpense(req, res, next) {
       createdBy
     };
 
+    // Itemized expenses keep their receipt so the split can be recalculated
+    if (items) {
+      Object.assign(expenseData, { items, tax, tip, serviceCharge });
+    }
+
     // Calculate split amounts
     const processedSplits = splitService.calculateSplitAmounts(
-      { amount: expenseData.amount },
+      {
+        amount: expenseData.amount,
+        currency: expenseData.currency,
+        date: expenseData.date,
+        items,
+        tax,
+        tip,
+        serviceCharge
+      },
       splits
     );
 
@@ -65,6 +83,27 @@ async function createExpense(req, res, next) {
   }
 }
 
+/**
+ * Get expenses matching query filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getExpenses(req, res, next) {
+  try {
+    const { page, limit, sortBy, sortOrder, ...filters } = req.query;
+
+    const expenses = await expenseService.listExpenses(filters, { page, limit, sortBy, sortOrder });
+
+    res.json({
+      success: true,
+      data: expenses
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Get all expenses for a group
  * @param {Object} req - Express request object
@@ -102,7 +141,7 @@ async function getGroupExpenses(req, res, next) {
 async function getExpenseById(req, res, next) {
   try {
     const { expenseId } = req.params;
-    const expense = await expenseService.getExpenseById(expenseId);
+    const expense = await expenseService.getExpense(expenseId);
 
     if (!expense) {
       throw new NotFoundError(`Expense with ID ${expenseId} not found`);
@@ -142,7 +181,7 @@ async function updateExpense(req, res, next) {
     const userId = req.user.id;
 
     // Get the existing expense
-    const existingExpense = await expenseService.getExpenseById(expenseId);
+    const existingExpense = await expenseService.getExpense(expenseId);
     if (!existingExpense) {
       throw new NotFoundError(`Expense with ID ${expenseId} not found`);
     }
@@ -156,8 +195,17 @@ async function updateExpense(req, res, next) {
     let processedSplits = null;
     if (updateData.splits) {
       const expenseAmount = updateData.amount || existingExpense.amount;
+      const receipt = updateData.items ? updateData : existingExpense;
       processedSplits = splitService.calculateSplitAmounts(
-        { amount: parseFloat(expenseAmount) },
+        {
+          id: expenseId,
+          amount: parseFloat(expenseAmount),
+          currency: updateData.currency || existingExpense.currency,
+          items: receipt.items,
+          tax: receipt.tax,
+          tip: receipt.tip,
+          serviceCharge: receipt.serviceCharge
+        },
         updateData.splits
       );
     }
@@ -166,7 +214,8 @@ async function updateExpense(req, res, next) {
     const updatedExpense = await expenseService.updateExpense(
       expenseId,
       updateData,
-      processedSplits
+      processedSplits,
+      userId
     );
 
     // Generate visualization
@@ -202,7 +251,7 @@ async function deleteExpense(req, res, next) {
     const userId = req.user.id;
 
     // Get the existing expense
-    const existingExpense = await expenseService.getExpenseById(expenseId);
+    const existingExpense = await expenseService.getExpense(expenseId);
     if (!existingExpense) {
       throw new NotFoundError(`Expense with ID ${expenseId} not found`);
     }
@@ -212,12 +261,135 @@ async function deleteExpense(req, res, next) {
       throw new BadRequestError('You do not have permission to delete this expense');
     }
 
-    // Soft delete the expense
-    await expenseService.deleteExpense(expenseId);
+    // Soft delete the expense; it stays in the group's trash until purged
+    const deletedExpense = await expenseService.deleteExpense(expenseId, userId);
+
+    res.json({
+      success: true,
+      message: 'Expense deleted successfully',
+      data: {
+        expenseId,
+        restorableUntil: deletedExpense.restorableUntil
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Restore a deleted expense from the trash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function restoreExpense(req, res, next) {
+  try {
+    const { expenseId } = req.params;
+
+    const expense = await expenseService.restoreExpense(expenseId, req.user.id);
+
+    res.json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the deleted expenses of a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getGroupTrash(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const { page, limit } = req.query;
+
+    const trash = await expenseService.getGroupTrash(groupId, { page, limit });
+
+    res.json({
+      success: true,
+      data: trash
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the change history of an expense
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getExpenseHistory(req, res, next) {
+  try {
+    const { expenseId } = req.params;
+    const { page, limit } = req.query;
+
+    const history = await expenseHistoryService.getExpenseHistory(expenseId, { page, limit });
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revert an expense to a version from its history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function revertExpense(req, res, next) {
+  try {
+    const { expenseId } = req.params;
+    const { version } = req.body;
+
+    const expense = await expenseService.revertExpense(expenseId, version, req.user.id);
 
     res.json({
       success: true,
-      message: 'Expense deleted successfully'
+      data: expense
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Import a group's expenses from another app, or preview the import
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function importExpenses(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const { dryRun, ...params } = req.body;
+    const userId = req.user.id;
+
+    if (dryRun) {
+      const preview = await importService.previewImport(groupId, userId, params);
+
+      return res.json({
+        success: true,
+        data: preview
+      });
+    }
+
+    const result = await importService.commitImport(groupId, userId, params);
+
+    res.status(201).json({
+      success: true,
+      data: result
     });
   } catch (error) {
     next(error);
@@ -225,7 +397,7 @@ async function deleteExpense(req, res, next) {
 }
 
 /**
- * Get balances for a group
+ * Get balances for a group, now or at the end of a past day
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -233,31 +405,19 @@ async function deleteExpense(req, res, next) {
 async function getGroupBalances(req, res, next) {
   try {
     const { groupId } = req.params;
+    const { asOf, includeDebtGraph } = req.query;
     
-    // Get expenses, settlements, and users for the group
-    const expenses = await expenseService.getExpensesByGroup(groupId);
-    const settlements = await expenseService.getSettlementsByGroup(groupId);
-    const users = await expenseService.getGroupMembers(groupId);
-    
-    // Calculate balances
-    const balances = await balanceService.calculateGroupBalances(
-      groupId,
-      expenses,
-      settlements,
-      users
-    );
-    
-    // Generate debt graph if requested
-    let debtGraph = null;
-    if (req.query.includeDebtGraph === 'true') {
-      debtGraph = balanceService.calculateDebtGraph(balances);
-    }
+    const { currency, asOf: balancesAsOf, users, debts, balances } =
+      await expenseService.getGroupBalances(groupId, { asOf });
     
     res.json({
       success: true,
       data: {
+        groupId,
+        currency,
+        asOf: balancesAsOf,
         balances,
-        debtGraph
+        debtGraph: includeDebtGraph ? { users, debts } : null
       }
     });
   } catch (error) {
@@ -340,13 +500,66 @@ async function getUserBalanceSummary(req, res, next) {
   }
 }
 
+/**
+ * Get the debt graph for a group (service-to-service)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getGroupDebtGraph(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const { settlements } = req.body;
+
+    const debtGraph = await expenseService.getGroupDebtGraph(groupId, settlements);
+
+    res.json({
+      success: true,
+      data: debtGraph
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Count the expenses each pair of a group's members shared
+ * (service-to-service)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getGroupInteractions(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const { since } = req.query;
+
+    const interactions = await expenseService.getGroupInteractions(groupId, { since });
+
+    res.json({
+      success: true,
+      data: interactions
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   createExpense,
+  getExpenses,
   getGroupExpenses,
   getExpenseById,
   updateExpense,
   deleteExpense,
+  restoreExpense,
+  getGroupTrash,
+  importExpenses,
+  getExpenseHistory,
+  revertExpense,
   getGroupBalances,
   getUserGroupBalance,
-  getUserBalanceSummary
+  getUserBalanceSummary,
+  getGroupDebtGraph,
+  getGroupInteractions
 }; 
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * Recurring Expense Controller
+ *
+ * Handles HTTP requests for recurring expenses: creating and editing
+ * schedules, pausing, resuming and skipping occurrences.
+ */
+
+const recurringExpenseService = require('../services/recurring-expense.service');
+
+/**
+ * Create a recurring expense
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function createRecurringExpense(req, res, next) {
+  try {
+    const recurringExpense = await recurringExpenseService.createRecurringExpense(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: recurringExpense
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the recurring expenses of a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getRecurringExpenses(req, res, next) {
+  try {
+    const recurringExpenses = await recurringExpenseService.getGroupRecurringExpenses(req.query.groupId);
+
+    res.json({
+      success: true,
+      data: recurringExpenses
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a recurring expense by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getRecurringExpenseById(req, res, next) {
+  try {
+    const recurringExpense = await recurringExpenseService.getRecurringExpense(req.params.recurringExpenseId);
+
+    res.json({
+      success: true,
+      data: recurringExpense
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a recurring expense
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function updateRecurringExpense(req, res, next) {
+  try {
+    const recurringExpense = await recurringExpenseService.updateRecurringExpense(
+      req.params.recurringExpenseId,
+      req.body,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: recurringExpense
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Cancel a recurring expense
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function cancelRecurringExpense(req, res, next) {
+  try {
+    await recurringExpenseService.cancelRecurringExpense(req.params.recurringExpenseId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Recurring expense cancelled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Pause a recurring expense
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function pauseRecurringExpense(req, res, next) {
+  try {
+    const recurringExpense = await recurringExpenseService.pauseRecurringExpense(
+      req.params.recurringExpenseId,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: recurringExpense
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Resume a paused recurring expense
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function resumeRecurringExpense(req, res, next) {
+  try {
+    const recurringExpense = await recurringExpenseService.resumeRecurringExpense(
+      req.params.recurringExpenseId,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: recurringExpense
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Skip the next occurrence of a recurring expense
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function skipNextOccurrence(req, res, next) {
+  try {
+    const recurringExpense = await recurringExpenseService.skipNextOccurrence(
+      req.params.recurringExpenseId,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: recurringExpense
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Preview the upcoming occurrences of a recurring expense
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getUpcomingOccurrences(req, res, next) {
+  try {
+    const occurrences = await recurringExpenseService.getUpcomingOccurrences(
+      req.params.recurringExpenseId,
+      req.query.limit
+    );
+
+    res.json({
+      success: true,
+      data: occurrences
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  createRecurringExpense,
+  getRecurringExpenses,
+  getRecurringExpenseById,
+  updateRecurringExpense,
+  cancelRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  skipNextOccurrence,
+  getUpcomingOccurrences
+};
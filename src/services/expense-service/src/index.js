@@ -9,6 +9,25 @@ const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const { createClient } = require('@supabase/supabase-js');
+const { initializeDatabase } = require('../../../shared/database');
+const internalRoutes = require('./routes/internal.routes');
+const expenseRoutes = require('./routes/expense.routes');
+const groupExpenseRoutes = require('./routes/group-expense.routes');
+const groupBalanceRoutes = require('./routes/group-balance.routes');
+const recurringExpenseRoutes = require('./routes/recurring-expense.routes');
+const expenseRepository = require('./repositories/expense.repository');
+const expenseHistoryRepository = require('./repositories/expense-history.repository');
+const balanceSnapshotRepository = require('./repositories/balance-snapshot.repository');
+const {
+  startRecurringExpenseWorker,
+  startTrashPurgeWorker,
+  startBalanceSnapshotWorker
+} = require('./services/job-queue.service');
+const { purgeExpiredTrash, snapshotGroupBalances } = require('./services/expense.service');
+const {
+  generateDueOccurrences,
+  processDueRecurringExpenses
+} = require('./services/recurring-expense.service');
 
 // Create Express app
 const app = express();
@@ -59,6 +78,10 @@ const authenticate = async (req, res, next) => {
 app.use(helmet());
 app.use(cors());
 app.use(morgan('dev'));
+// Imports carry whole export files, so they get a larger body limit
+app.use('/api/groups/:groupId/expenses/import', express.json({
+  limit: process.env.EXPENSE_IMPORT_MAX_BODY || '5mb'
+}));
 app.use(express.json());
 
 // Root route
@@ -388,8 +411,63 @@ app.delete('/expenses/:id', authenticate, async (req, res) => {
   }
 });
 
+// Service-to-service routes (require the shared service key)
+app.use('/api/internal', internalRoutes);
+
+// Expenses (MongoDB-backed, with change history and a per-group trash)
+app.use('/api/expenses', expenseRoutes);
+app.use('/api/groups/:groupId/expenses', groupExpenseRoutes);
+app.use('/api/groups/:groupId/balances', groupBalanceRoutes);
+
+// Recurring expenses (MongoDB-backed, generated by the Bull worker)
+app.use('/api/recurring-expenses', recurringExpenseRoutes);
+
+// Error handler
+app.use((err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+
+  if (statusCode >= 500) {
+    console.error('Expense service error:', err);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode >= 500 ? 'Internal server error' : err.message,
+    code: err.errorCode || 'ERR_INTERNAL'
+  });
+});
+
 // Start server
 if (!module.parent) {
+  // Balance calculations read expenses from MongoDB; the Supabase routes work without it
+  initializeDatabase()
+    .then(async () => {
+      await expenseRepository.ensureIndexes();
+      await expenseHistoryRepository.ensureIndexes();
+      await balanceSnapshotRepository.ensureIndexes();
+
+      // Missed occurrences are back-filled by the worker's startup sweep
+      if (process.env.RECURRING_EXPENSES_ENABLED !== 'false') {
+        startRecurringExpenseWorker({
+          generate: generateDueOccurrences,
+          sweep: processDueRecurringExpenses
+        }).catch(error => {
+          console.error('Recurring expense worker failed to start:', error.message);
+        });
+      }
+
+      startTrashPurgeWorker(() => purgeExpiredTrash()).catch(error => {
+        console.error('Expense trash purge worker failed to start:', error.message);
+      });
+
+      startBalanceSnapshotWorker(since => snapshotGroupBalances(since)).catch(error => {
+        console.error('Balance snapshot worker failed to start:', error.message);
+      });
+    })
+    .catch(error => {
+      console.error('MongoDB unavailable, internal balance routes will fail:', error.message);
+    });
+
   app.listen(PORT, () => {
     console.log(`Expense Service running on port ${PORT}`);
     console.log(`Health check available at http://localhost:${PORT}/health`);
@@ -0,0 +1,33 @@
+/**
+ * Balance Snapshot Model
+ *
+ * A group's balances materialized at a cutoff time: everything that
+ * happened before the cutoff, so balances at a later time only need the
+ * activity since
+ */
+const BaseModel = require('../../../../shared/database/models/base.model');
+
+class BalanceSnapshotModel extends BaseModel {
+  /**
+   * Create a new balance snapshot
+   * @param {Object} data - Snapshot data
+   * @returns {Object} Balance snapshot object
+   */
+  static create(data) {
+    return {
+      _id: data._id || this.generateId(),
+      groupId: String(data.groupId),
+      cutoff: new Date(data.cutoff).toISOString(),
+      currency: data.currency,
+      // Expenses per currency before the cutoff, to pick the group currency
+      currencyCounts: data.currencyCounts || {},
+      // Identifies the settlement payments made before the cutoff
+      settlementsKey: data.settlementsKey,
+      expenseCount: data.expenseCount || 0,
+      balances: data.balances,
+      createdAt: data.createdAt || this.timestamp()
+    };
+  }
+}
+
+module.exports = BalanceSnapshotModel;
@@ -0,0 +1,72 @@
+/**
+ * Expense History Model
+ *
+ * One version of an expense: who changed it, when, which fields changed
+ * and a snapshot of the expense after the change
+ */
+const BaseModel = require('../../../../shared/database/models/base.model');
+
+const ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  REVERT: 'revert'
+};
+
+// Fields tracked in snapshots and diffs, besides the deleted flag
+const TRACKED_FIELDS = [
+  'description',
+  'amount',
+  'currency',
+  'date',
+  'category',
+  'notes',
+  'paidBy',
+  'splits'
+];
+
+class ExpenseHistoryModel extends BaseModel {
+  /**
+   * Actions recorded in an expense's history
+   * @returns {Object} Action constants
+   */
+  static get ACTIONS() {
+    return ACTIONS;
+  }
+
+  /**
+   * Expense fields tracked in snapshots and diffs
+   * @returns {Array<string>} Field names
+   */
+  static get TRACKED_FIELDS() {
+    return TRACKED_FIELDS;
+  }
+
+  /**
+   * Create a new history entry
+   * @param {Object} data - History entry data
+   * @returns {Object} History entry object
+   */
+  static create(data) {
+    const entry = {
+      _id: data._id || this.generateId(),
+      expenseId: String(data.expenseId),
+      groupId: data.groupId ? String(data.groupId) : null,
+      version: data.version,
+      action: data.action,
+      actorId: data.actorId ? String(data.actorId) : null,
+      changes: data.changes || [],
+      snapshot: data.snapshot,
+      createdAt: data.createdAt || this.timestamp()
+    };
+
+    if (data.revertedToVersion !== undefined) {
+      entry.revertedToVersion = data.revertedToVersion;
+    }
+
+    return entry;
+  }
+}
+
+module.exports = ExpenseHistoryModel;
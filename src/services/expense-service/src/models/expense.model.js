@@ -1 +1,94 @@
- 
\ No newline at end of file
+/**
+ * Expense Model
+ * 
+ * Represents an expense paid by one user and split between group members
+ */
+const { ObjectId } = require('mongodb');
+const BaseModel = require('../../../../shared/database/models/base.model');
+
+class ExpenseModel extends BaseModel {
+  /**
+   * Generate a new expense ID
+   * 
+   * Expense IDs are validated as ObjectIds throughout the API, so they
+   * cannot use the UUIDs generated by the base model.
+   * @returns {ObjectId} New ObjectId
+   */
+  static generateId() {
+    return new ObjectId();
+  }
+
+  /**
+   * Create a new expense instance
+   * @param {Object} data - Expense data
+   * @returns {Object} Expense object
+   */
+  static create(data) {
+    const now = this.timestamp();
+    const expense = {
+      _id: data._id || this.generateId(),
+      groupId: data.groupId,
+      description: data.description || null,
+      amount: data.amount,
+      currency: data.currency || 'USD',
+      date: data.date || now,
+      category: data.category || null,
+      notes: data.notes || null,
+      receipt: data.receipt || null,
+      paidBy: data.paidBy,
+      createdBy: data.createdBy,
+      isDeleted: false,
+      createdAt: data.createdAt || now,
+      updatedAt: data.updatedAt || now
+    };
+
+    // Receipt line items for itemized splits
+    if (data.items) {
+      Object.assign(expense, {
+        items: data.items,
+        tax: data.tax || 0,
+        tip: data.tip || 0,
+        serviceCharge: data.serviceCharge || 0
+      });
+    }
+
+    // Expenses generated from a recurring expense remember their occurrence
+    if (data.recurringExpenseId) {
+      expense.recurringExpenseId = String(data.recurringExpenseId);
+      expense.occurrenceDate = data.occurrenceDate;
+    }
+
+    // Imported expenses remember which app they came from
+    if (data.importSource) {
+      expense.importSource = data.importSource;
+    }
+
+    return expense;
+  }
+
+  /**
+   * Create a new expense split instance
+   * @param {Object} data - Split data
+   * @returns {Object} Split object
+   */
+  static createSplit(data) {
+    const split = {
+      _id: data._id || this.generateId(),
+      expenseId: data.expenseId,
+      userId: data.userId,
+      splitType: data.splitType,
+      amount: data.amount,
+      createdAt: data.createdAt || this.timestamp()
+    };
+
+    ['percentage', 'shares', 'breakdown'].forEach(field => {
+      if (data[field] !== undefined) {
+        split[field] = data[field];
+      }
+    });
+
+    return split;
+  }
+}
+
+module.exports = ExpenseModel;
@@ -0,0 +1,101 @@
+/**
+ * Recurring Expense Model
+ * 
+ * A template for expenses that repeat on a schedule, such as rent or
+ * subscriptions. Occurrences are materialized as regular expenses.
+ */
+const { ObjectId } = require('mongodb');
+const BaseModel = require('../../../../shared/database/models/base.model');
+
+const STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+class RecurringExpenseModel extends BaseModel {
+  /**
+   * Statuses a recurring expense can be in
+   * @returns {Object} Status constants
+   */
+  static get STATUS() {
+    return STATUS;
+  }
+
+  /**
+   * Generate a new recurring expense ID
+   * @returns {ObjectId} New ObjectId
+   */
+  static generateId() {
+    return new ObjectId();
+  }
+
+  /**
+   * Create a split template entry. Amounts are calculated per occurrence,
+   * so only the split type and its parameters are stored.
+   * @param {Object} data - Split data
+   * @returns {Object} Split template
+   */
+  static createSplitTemplate(data) {
+    const split = {
+      userId: data.userId,
+      splitType: data.splitType
+    };
+
+    ['amount', 'percentage', 'shares'].forEach(field => {
+      if (data[field] !== undefined) {
+        split[field] = data[field];
+      }
+    });
+
+    return split;
+  }
+
+  /**
+   * Create a new recurring expense instance
+   * @param {Object} data - Recurring expense data
+   * @returns {Object} Recurring expense object
+   */
+  static create(data) {
+    const now = this.timestamp();
+    const recurringExpense = {
+      _id: data._id || this.generateId(),
+      groupId: data.groupId,
+      description: data.description || null,
+      amount: data.amount,
+      currency: data.currency || 'USD',
+      category: data.category || null,
+      notes: data.notes || null,
+      paidBy: data.paidBy,
+      createdBy: data.createdBy,
+      splits: (data.splits || []).map(split => this.createSplitTemplate(split)),
+      schedule: {
+        rule: data.schedule.rule,
+        startDate: data.schedule.startDate,
+        endDate: data.schedule.endDate || null
+      },
+      status: STATUS.ACTIVE,
+      nextOccurrenceAt: data.nextOccurrenceAt,
+      lastOccurrenceAt: null,
+      skippedOccurrences: [],
+      generatedCount: 0,
+      pausedAt: null,
+      createdAt: data.createdAt || now,
+      updatedAt: data.updatedAt || now
+    };
+
+    if (data.items) {
+      Object.assign(recurringExpense, {
+        items: data.items,
+        tax: data.tax || 0,
+        tip: data.tip || 0,
+        serviceCharge: data.serviceCharge || 0
+      });
+    }
+
+    return recurringExpense;
+  }
+}
+
+module.exports = RecurringExpenseModel;
@@ -0,0 +1,134 @@
+/**
+ * Expense Projection
+ *
+ * Maintains the MongoDB expense read model from the expense event streams.
+ * The read model is always a fold of the stream, so any document can be
+ * rebuilt by replaying its events, and the whole read model can be
+ * rebuilt from the event store.
+ */
+
+const eventStore = require('../../../../shared/event-sourcing/event-store');
+const cache = require('../../../../shared/cache');
+const ExpenseAggregate = require('../aggregates/expense.aggregate');
+const expenseReadModelRepository = require('../repositories/expense-read-model.repository');
+
+const STREAM_PREFIX = 'expense-';
+const SNAPSHOT_SUFFIX = '-snapshot';
+
+class ExpenseProjection {
+  /**
+   * Write an expense's state to the read model
+   * @param {Object} state Aggregate state including its revision
+   * @param {Object} [options] Options passed to the repository (`replace`)
+   * @returns {Promise<boolean>} Whether the read model was changed
+   */
+  async project(state, options = {}) {
+    const changed = await expenseReadModelRepository.saveProjection(state, options);
+
+    if (changed) {
+      await cache.del(`expense:${state.id}`);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Load an expense aggregate by replaying its stream
+   * @param {string} expenseId Expense ID
+   * @returns {Promise<ExpenseAggregate>} Aggregate (without state if the stream is empty)
+   */
+  async load(expenseId) {
+    const events = [];
+
+    for await (const event of eventStore.readStream(ExpenseAggregate.streamName(expenseId))) {
+      events.push(event);
+    }
+
+    return ExpenseAggregate.fromEvents(expenseId, events);
+  }
+
+  /**
+   * Handle an event from the expense streams. Events that were already
+   * projected are ignored; anything newer rebuilds the expense from its
+   * stream, which also repairs gaps left by missed events.
+   * @param {Object} event Event with data.expenseId and revision
+   * @returns {Promise<void>}
+   */
+  async handle(event) {
+    const expenseId = event.data && event.data.expenseId;
+    if (!expenseId) {
+      return;
+    }
+
+    const current = await expenseReadModelRepository.findById(expenseId);
+    if (current && current.revision >= event.revision) {
+      return;
+    }
+
+    const aggregate = await this.load(expenseId);
+    if (aggregate.getState()) {
+      await this.project(aggregate.getState());
+    }
+  }
+
+  /**
+   * Rebuild one expense in the read model from its stream, replacing
+   * whatever the read model holds
+   * @param {string} expenseId Expense ID
+   * @returns {Promise<Object|null>} Rebuilt state, or null if the expense has no events
+   */
+  async rebuild(expenseId) {
+    const aggregate = await this.load(expenseId);
+    const state = aggregate.getState();
+
+    if (!state) {
+      return null;
+    }
+
+    await this.project(state, { replace: true });
+    return state;
+  }
+
+  /**
+   * Rebuild the whole read model by replaying every expense stream
+   * @returns {Promise<number>} Number of expenses projected
+   */
+  async rebuildAll() {
+    const aggregates = new Map();
+
+    for await (const event of eventStore.readAll(STREAM_PREFIX)) {
+      if (event.streamName.endsWith(SNAPSHOT_SUFFIX)) {
+        continue;
+      }
+
+      const expenseId = event.streamName.slice(STREAM_PREFIX.length);
+      if (!aggregates.has(expenseId)) {
+        aggregates.set(expenseId, new ExpenseAggregate(expenseId));
+      }
+      aggregates.get(expenseId).applyEvent(event);
+    }
+
+    let projected = 0;
+    for (const aggregate of aggregates.values()) {
+      const state = aggregate.getState();
+      if (state) {
+        await this.project(state, { replace: true });
+        projected++;
+      }
+    }
+
+    return projected;
+  }
+
+  /**
+   * Keep the read model up to date with events written by any instance
+   * @returns {Promise<Object>} Subscription with an `unsubscribe()` method
+   */
+  async start() {
+    return eventStore.subscribeToStream('$ce-expense', event => this.handle(event), 'expense-read-model');
+  }
+}
+
+// Create a singleton instance
+const expenseProjection = new ExpenseProjection();
+module.exports = expenseProjection;
@@ -1,5 +1,5 @@
 const { NotFoundError } = require('../../../../shared/errors');
-const ExpenseReadModel = require('../models/expense.read-model');
+const expenseReadModelRepository = require('../repositories/expense-read-model.repository');
 const cache = require('../../../../shared/cache');
 
 class GetExpenseQuery {
@@ -19,16 +19,7 @@ class GetExpenseQuery {
       }
 
       // If not in cache, get from read model
-      const expense = await ExpenseReadModel.findOne({
-        where: {
-          id: this.expenseId,
-          $or: [
-            { paidBy: this.userId },
-            { 'splits.userId': this.userId }
-          ]
-        },
-        include: ['splits', 'group']
-      });
+      const expense = await expenseReadModelRepository.findVisibleToUser(this.expenseId, this.userId);
 
       if (!expense) {
         throw new NotFoundError('Expense not found');
@@ -62,22 +53,17 @@ class GetExpenseQuery {
       }
 
       // Build query
-      const query = {
-        where: {},
-        include: ['splits', 'group'],
-        order: [['date', 'DESC']],
-        ...pagination
-      };
+      const query = {};
 
       // Apply filters
-      if (filters.groupId) query.where.groupId = filters.groupId;
-      if (filters.category) query.where.category = filters.category;
-      if (filters.startDate) query.where.date = { $gte: filters.startDate };
-      if (filters.endDate) query.where.date = { ...query.where.date, $lte: filters.endDate };
-      if (filters.minAmount) query.where.amount = { $gte: filters.minAmount };
-      if (filters.maxAmount) query.where.amount = { ...query.where.amount, $lte: filters.maxAmount };
+      if (filters.groupId) query.groupId = filters.groupId;
+      if (filters.category) query.category = filters.category;
+      if (filters.startDate) query.date = { $gte: filters.startDate };
+      if (filters.endDate) query.date = { ...query.date, $lte: filters.endDate };
+      if (filters.minAmount) query.amount = { $gte: filters.minAmount };
+      if (filters.maxAmount) query.amount = { ...query.amount, $lte: filters.maxAmount };
 
-      const expenses = await ExpenseReadModel.findAndCountAll(query);
+      const expenses = await expenseReadModelRepository.findAndCount(query, pagination);
 
       // Cache the results
       await cache.set(cacheKey, JSON.stringify(expenses), 60); // Cache for 1 minute
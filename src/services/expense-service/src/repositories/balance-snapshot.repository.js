@@ -0,0 +1,89 @@
+/**
+ * Balance Snapshot Repository
+ *
+ * Handles data access for materialized group balance snapshots
+ */
+const BaseRepository = require('../../../../shared/database/repositories/base.repository');
+const BalanceSnapshotModel = require('../models/balance-snapshot.model');
+const { DatabaseError } = require('../../../../shared/errors');
+
+class BalanceSnapshotRepository extends BaseRepository {
+  constructor() {
+    super('balance_snapshots');
+  }
+
+  /**
+   * Get a group's latest snapshot taken at or before a time
+   * @param {string} groupId - Group ID
+   * @param {Date|string} [until] - Latest cutoff accepted (defaults to any)
+   * @returns {Promise<Object|null>} Snapshot or null
+   */
+  async findLatest(groupId, until = null) {
+    const query = { groupId: String(groupId) };
+    if (until) {
+      query.cutoff = { $lte: new Date(until).toISOString() };
+    }
+
+    const [latest] = await this.find(query, { sort: { cutoff: -1 }, limit: 1 });
+    return latest || null;
+  }
+
+  /**
+   * Save a snapshot, replacing any snapshot of the group at the same cutoff
+   * @param {Object} data - Snapshot data
+   * @returns {Promise<Object>} Saved snapshot
+   */
+  async saveSnapshot(data) {
+    const snapshot = BalanceSnapshotModel.create(data);
+
+    try {
+      const { _id, ...fields } = snapshot;
+      await this.getCollection().updateOne(
+        { groupId: snapshot.groupId, cutoff: snapshot.cutoff },
+        { $set: fields, $setOnInsert: { _id } },
+        { upsert: true }
+      );
+      return snapshot;
+    } catch (error) {
+      throw new DatabaseError(`Failed to save balance snapshot for group ${data.groupId}`, error);
+    }
+  }
+
+  /**
+   * Delete a group's snapshots that include activity at a time, i.e. those
+   * with a later cutoff
+   * @param {string} groupId - Group ID
+   * @param {Date|string} date - Time of the changed activity
+   * @returns {Promise<number>} Number of snapshots deleted
+   */
+  async deleteAfter(groupId, date) {
+    try {
+      const result = await this.getCollection().deleteMany({
+        groupId: String(groupId),
+        cutoff: { $gt: new Date(date).toISOString() }
+      });
+      return result.deletedCount;
+    } catch (error) {
+      throw new DatabaseError(`Failed to delete balance snapshots for group ${groupId}`, error);
+    }
+  }
+
+  /**
+   * Create the indexes snapshots rely on. The unique cutoff index keeps
+   * one snapshot per group and cutoff when several reads take it at once.
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    try {
+      await this.getCollection().createIndexes([
+        { key: { groupId: 1, cutoff: -1 }, unique: true }
+      ]);
+    } catch (error) {
+      throw new DatabaseError('Failed to create balance snapshot indexes', error);
+    }
+  }
+}
+
+// Create a singleton instance
+const balanceSnapshotRepository = new BalanceSnapshotRepository();
+module.exports = balanceSnapshotRepository;
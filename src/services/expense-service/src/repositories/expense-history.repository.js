@@ -0,0 +1,88 @@
+/**
+ * Expense History Repository
+ *
+ * Handles data access for the versioned change history of expenses
+ */
+const BaseRepository = require('../../../../shared/database/repositories/base.repository');
+const ExpenseHistoryModel = require('../models/expense-history.model');
+const { DatabaseError } = require('../../../../shared/errors');
+
+class ExpenseHistoryRepository extends BaseRepository {
+  constructor() {
+    super('expense_history');
+  }
+
+  /**
+   * Add a version to an expense's history. Fails with a duplicate key
+   * error if another writer already recorded the same version.
+   * @param {Object} data - History entry data
+   * @returns {Promise<Object>} Created history entry
+   */
+  async createEntry(data) {
+    return this.create(ExpenseHistoryModel.create(data));
+  }
+
+  /**
+   * Get the latest version of an expense
+   * @param {string} expenseId - Expense ID
+   * @returns {Promise<Object|null>} Latest history entry or null
+   */
+  async findLatest(expenseId) {
+    const [latest] = await this.find(
+      { expenseId: String(expenseId) },
+      { sort: { version: -1 }, limit: 1 }
+    );
+
+    return latest || null;
+  }
+
+  /**
+   * Get a specific version of an expense
+   * @param {string} expenseId - Expense ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} History entry or null
+   */
+  async findVersion(expenseId, version) {
+    try {
+      return await this.getCollection().findOne({ expenseId: String(expenseId), version });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find version ${version} of expense ${expenseId}`, error);
+    }
+  }
+
+  /**
+   * Get a page of an expense's history with the total number of versions
+   * @param {string} expenseId - Expense ID
+   * @param {Object} pagination - Pagination `{ page, limit }`
+   * @returns {Promise<Object>} `{ rows, count }`, newest version first
+   */
+  async findByExpenseId(expenseId, { page = 1, limit = 20 } = {}) {
+    const query = { expenseId: String(expenseId) };
+    const [rows, count] = await Promise.all([
+      this.find(query, { sort: { version: -1 }, skip: (page - 1) * limit, limit }),
+      this.count(query)
+    ]);
+
+    return { rows, count };
+  }
+
+  /**
+   * Create the indexes the history relies on. The unique version index
+   * stops concurrent writers from recording the same version twice.
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    try {
+      await this.getCollection().createIndexes([
+        { key: { expenseId: 1, version: -1 }, unique: true },
+        { key: { groupId: 1, createdAt: -1 } }
+      ]);
+    } catch (error) {
+      throw new DatabaseError('Failed to create expense history indexes', error);
+    }
+  }
+}
+
+// Create a singleton instance
+const expenseHistoryRepository = new ExpenseHistoryRepository();
+module.exports = expenseHistoryRepository;
@@ -0,0 +1,102 @@
+/**
+ * Expense Read Model Repository
+ *
+ * Handles data access for the expense read model, the MongoDB projection
+ * of the event-sourced expense streams
+ */
+const BaseRepository = require('../../../../shared/database/repositories/base.repository');
+const { DatabaseError } = require('../../../../shared/errors');
+
+class ExpenseReadModelRepository extends BaseRepository {
+  constructor() {
+    super('expense_read_models');
+  }
+
+  /**
+   * Save the projected state of an expense. Writes are ordered by stream
+   * revision, so replaying an event or projecting out of order never
+   * overwrites newer state.
+   * @param {Object} state - Aggregate state including its revision
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.replace=false] - Replace the document whatever its revision (for rebuilds)
+   * @returns {Promise<boolean>} Whether the read model was changed
+   */
+  async saveProjection(state, { replace = false } = {}) {
+    try {
+      const { id, ...fields } = state;
+      const document = { ...fields, projectedAt: new Date().toISOString() };
+      const result = replace
+        ? await this.getCollection().replaceOne({ _id: id }, document, { upsert: true })
+        : await this.getCollection().updateOne(
+          { _id: id, revision: { $lt: state.revision } },
+          { $set: document },
+          { upsert: true }
+        );
+
+      return result.modifiedCount > 0 || result.upsertedCount > 0;
+    } catch (error) {
+      // The upsert collides with a document that is already at this revision or later
+      if (error.code === 11000) {
+        return false;
+      }
+      throw new DatabaseError('Failed to save expense projection', error);
+    }
+  }
+
+  /**
+   * Find an expense if it is visible to a user (paid by or split with them)
+   * @param {string} expenseId - Expense ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Expense or null
+   */
+  async findVisibleToUser(expenseId, userId) {
+    try {
+      return await this.getCollection().findOne({
+        _id: expenseId,
+        deleted: false,
+        $or: [
+          { paidBy: userId },
+          { 'splits.userId': userId }
+        ]
+      });
+    } catch (error) {
+      throw new DatabaseError('Failed to find expense', error);
+    }
+  }
+
+  /**
+   * Find expenses matching filters, newest first
+   * @param {Object} query - MongoDB query
+   * @param {Object} pagination - Pagination `{ page, limit }`
+   * @returns {Promise<Object>} `{ rows, count }`
+   */
+  async findAndCount(query, { page = 1, limit = 10 } = {}) {
+    const filter = { ...query, deleted: false };
+    const [rows, count] = await Promise.all([
+      this.find(filter, { sort: { date: -1 }, skip: (page - 1) * limit, limit }),
+      this.count(filter)
+    ]);
+
+    return { rows, count };
+  }
+
+  /**
+   * Create the indexes the read model queries rely on
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    try {
+      await this.getCollection().createIndexes([
+        { key: { groupId: 1, date: -1 } },
+        { key: { paidBy: 1 } },
+        { key: { 'splits.userId': 1 } }
+      ]);
+    } catch (error) {
+      throw new DatabaseError('Failed to create expense read model indexes', error);
+    }
+  }
+}
+
+// Create a singleton instance
+const expenseReadModelRepository = new ExpenseReadModelRepository();
+module.exports = expenseReadModelRepository;
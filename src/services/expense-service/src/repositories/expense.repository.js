@@ -94,13 +94,16 @@ class ExpenseRepository extends BaseRepository {
    * @param {number} offset - Offset for pagination
    * @param {string} sortBy - Field to sort by
    * @param {string} sortOrder - Sort direction ('asc' or 'desc')
+   * @param {Object} [dateRange] - Only expenses dated `{ from }` (inclusive)
+   *   until `{ until }` (exclusive)
    * @returns {Promise<Array>} Expenses for the group
    */
-  async getExpensesByGroup(groupId, limit = 20, offset = 0, sortBy = 'date', sortOrder = 'desc') {
+  async getExpensesByGroup(groupId, limit = 20, offset = 0, sortBy = 'date', sortOrder = 'desc', dateRange = {}) {
     try {
       const query = { 
         groupId,
-        isDeleted: { $ne: true }
+        isDeleted: { $ne: true },
+        ...this._getDateRangeQuery(dateRange)
       };
       
       const sort = {
@@ -141,6 +144,148 @@ class ExpenseRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Get a page of active expenses matching filters
+   * @param {Object} filters - Filters (groupId, userId, category, startDate,
+   *   endDate, minAmount, maxAmount)
+   * @param {Object} options - Pagination `{ page, limit, sortBy, sortOrder }`
+   * @returns {Promise<Object>} `{ rows, count }`
+   */
+  async findExpenses(filters, { page = 1, limit = 10, sortBy = 'date', sortOrder = 'desc' } = {}) {
+    const query = { isDeleted: { $ne: true } };
+
+    if (filters.groupId) {
+      query.groupId = filters.groupId;
+    }
+    if (filters.userId) {
+      query.$or = [{ paidBy: filters.userId }, { createdBy: filters.userId }];
+    }
+    if (filters.category) {
+      query.category = filters.category;
+    }
+    if (filters.startDate || filters.endDate) {
+      query.date = {};
+      if (filters.startDate) query.date.$gte = filters.startDate;
+      if (filters.endDate) query.date.$lte = filters.endDate;
+    }
+    if (filters.minAmount || filters.maxAmount) {
+      query.amount = {};
+      if (filters.minAmount) query.amount.$gte = filters.minAmount;
+      if (filters.maxAmount) query.amount.$lte = filters.maxAmount;
+    }
+
+    const [rows, count] = await Promise.all([
+      this.find(query, {
+        sort: { [sortBy]: sortOrder === 'desc' ? -1 : 1 },
+        skip: (page - 1) * limit,
+        limit
+      }),
+      this.count(query)
+    ]);
+
+    return { rows, count };
+  }
+
+  /**
+   * Get every active expense for a group with its splits
+   * @param {string} groupId - Group ID
+   * @param {Object} [dateRange] - Only expenses dated `{ from }` (inclusive)
+   *   until `{ until }` (exclusive)
+   * @returns {Promise<Array>} Expenses for the group, oldest first
+   */
+  async findByGroupId(groupId, dateRange = {}) {
+    return this.getExpensesByGroup(groupId, 0, 0, 'date', 'asc', dateRange);
+  }
+
+  /**
+   * Build the query for expenses dated in a range. Dates are stored as
+   * Date objects by the API and as ISO strings by generated and imported
+   * expenses, and MongoDB only compares values of the same type.
+   * @param {Object} dateRange - `{ from, until }`, either may be omitted
+   * @returns {Object} Query conditions
+   * @private
+   */
+  _getDateRangeQuery({ from = null, until = null }) {
+    if (!from && !until) {
+      return {};
+    }
+
+    const asDates = {};
+    const asStrings = {};
+    if (from) {
+      asDates.$gte = new Date(from);
+      asStrings.$gte = new Date(from).toISOString();
+    }
+    if (until) {
+      asDates.$lt = new Date(until);
+      asStrings.$lt = new Date(until).toISOString();
+    }
+
+    return { $or: [{ date: asDates }, { date: asStrings }] };
+  }
+
+  /**
+   * Find the expense generated for an occurrence of a recurring expense
+   * @param {string} recurringExpenseId - Recurring expense ID
+   * @param {string} occurrenceDate - Occurrence date (ISO string)
+   * @returns {Promise<Object|null>} Expense or null
+   */
+  async findByOccurrence(recurringExpenseId, occurrenceDate) {
+    try {
+      return await this.getCollection().findOne({
+        recurringExpenseId: String(recurringExpenseId),
+        occurrenceDate
+      });
+    } catch (error) {
+      throw new DatabaseError(
+        `Failed to find occurrence ${occurrenceDate} of recurring expense ${recurringExpenseId}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the groups with expenses created, changed or deleted since a time
+   * @param {Date|string} since - Earliest change time
+   * @returns {Promise<Array<string>>} Group IDs
+   */
+  async findGroupIdsChangedSince(since) {
+    try {
+      const groupIds = await this.getCollection().distinct('groupId', {
+        updatedAt: { $gte: new Date(since).toISOString() }
+      });
+      return groupIds.filter(Boolean).map(String);
+    } catch (error) {
+      throw new DatabaseError('Failed to find groups with changed expenses', error);
+    }
+  }
+
+  /**
+   * Create the indexes expenses rely on. The unique occurrence index
+   * guarantees a recurring expense never generates the same occurrence
+   * twice, even when several instances process the schedule at once.
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    try {
+      await this.getCollection().createIndexes([
+        { key: { groupId: 1, date: -1 } },
+        { key: { updatedAt: -1 } },
+        {
+          key: { groupId: 1, deletedAt: -1 },
+          partialFilterExpression: { isDeleted: true }
+        },
+        {
+          key: { recurringExpenseId: 1, occurrenceDate: 1 },
+          unique: true,
+          partialFilterExpression: { recurringExpenseId: { $type: 'string' } }
+        }
+      ]);
+    } catch (error) {
+      throw new DatabaseError('Failed to create expense indexes', error);
+    }
+  }
+
   /**
    * Update an expense and its splits
    * @param {string} expenseId - Expense ID
@@ -212,27 +357,89 @@ class ExpenseRepository extends BaseRepository {
   }
 
   /**
-   * Soft delete an expense
+   * Soft delete an expense, moving it to its group's trash
    * @param {string} expenseId - Expense ID
-   * @returns {Promise<boolean>} Success indicator
+   * @param {string} [deletedBy] - User deleting the expense
+   * @returns {Promise<Object|null>} Deleted expense or null
+   */
+  async deleteExpense(expenseId, deletedBy = null) {
+    const now = ExpenseModel.timestamp();
+
+    return this.update(expenseId, {
+      isDeleted: true,
+      deletedAt: now,
+      deletedBy,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Restore a soft-deleted expense from the trash
+   * @param {string} expenseId - Expense ID
+   * @returns {Promise<Object|null>} Restored expense or null
+   */
+  async restoreExpense(expenseId) {
+    return this.update(expenseId, {
+      isDeleted: false,
+      deletedAt: null,
+      deletedBy: null,
+      updatedAt: ExpenseModel.timestamp()
+    });
+  }
+
+  /**
+   * Get a page of a group's soft-deleted expenses
+   * @param {string} groupId - Group ID
+   * @param {Object} pagination - Pagination `{ page, limit }`
+   * @param {string} [deletedAfter] - Only expenses deleted after this time (ISO string)
+   * @returns {Promise<Object>} `{ rows, count }`, most recently deleted first
    */
-  async deleteExpense(expenseId) {
+  async findDeletedByGroup(groupId, { page = 1, limit = 20 } = {}, deletedAfter) {
+    const query = { groupId, isDeleted: true };
+    if (deletedAfter) {
+      query.deletedAt = { $gt: deletedAfter };
+    }
+    const [rows, count] = await Promise.all([
+      this.find(query, { sort: { deletedAt: -1 }, skip: (page - 1) * limit, limit }),
+      this.count(query)
+    ]);
+
+    return { rows, count };
+  }
+
+  /**
+   * Permanently delete expenses, and their splits, that were soft deleted
+   * before a cutoff
+   * @param {string} cutoff - Deletion time cutoff (ISO string)
+   * @returns {Promise<number>} Number of expenses purged
+   */
+  async purgeDeletedBefore(cutoff) {
     try {
-      const expense = await this.findById(expenseId);
-      
-      if (!expense) {
-        return false;
-      }
-      
-      // Soft delete by updating isDeleted flag
-      const result = await this.update(expenseId, {
-        isDeleted: true,
-        updatedAt: ExpenseModel.timestamp()
+      return await dbConnection.withTransaction(async (session) => {
+        const expired = await this.getCollection()
+          .find(
+            { isDeleted: true, deletedAt: { $lt: cutoff } },
+            { projection: { _id: 1 }, session }
+          )
+          .toArray();
+        const expenseIds = expired.map(expense => expense._id);
+
+        if (expenseIds.length === 0) {
+          return 0;
+        }
+
+        await dbConnection
+          .getCollection('expense_splits')
+          .deleteMany({ expenseId: { $in: expenseIds } }, { session });
+        const result = await this.getCollection().deleteMany(
+          { _id: { $in: expenseIds } },
+          { session }
+        );
+
+        return result.deletedCount;
       });
-      
-      return !!result;
     } catch (error) {
-      throw new DatabaseError(`Failed to delete expense ${expenseId}`, error);
+      throw new DatabaseError('Failed to purge deleted expenses', error);
     }
   }
 }
@@ -0,0 +1,67 @@
+/**
+ * Recurring Expense Repository
+ * 
+ * Handles data access for recurring expense definitions
+ */
+const BaseRepository = require('../../../../shared/database/repositories/base.repository');
+const RecurringExpenseModel = require('../models/recurring-expense.model');
+
+class RecurringExpenseRepository extends BaseRepository {
+  constructor() {
+    super('recurring_expenses');
+  }
+
+  /**
+   * Create a new recurring expense
+   * @param {Object} data - Recurring expense data
+   * @returns {Promise<Object>} Created recurring expense
+   */
+  async createRecurringExpense(data) {
+    return this.create(RecurringExpenseModel.create(data));
+  }
+
+  /**
+   * Get the recurring expenses of a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array>} Recurring expenses, soonest occurrence first
+   */
+  async findByGroupId(groupId) {
+    return this.find(
+      { groupId, status: { $ne: RecurringExpenseModel.STATUS.CANCELLED } },
+      { sort: { nextOccurrenceAt: 1 } }
+    );
+  }
+
+  /**
+   * Get active recurring expenses with an occurrence due
+   * @param {Date} now - Current time
+   * @param {number} [limit=100] - Maximum number of results
+   * @returns {Promise<Array>} Due recurring expenses, most overdue first
+   */
+  async findDue(now, limit = 100) {
+    return this.find(
+      {
+        status: RecurringExpenseModel.STATUS.ACTIVE,
+        nextOccurrenceAt: { $lte: now.toISOString() }
+      },
+      { sort: { nextOccurrenceAt: 1 }, limit }
+    );
+  }
+
+  /**
+   * Update a recurring expense
+   * @param {string} recurringExpenseId - Recurring expense ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated recurring expense or null
+   */
+  async updateRecurringExpense(recurringExpenseId, data) {
+    return this.update(recurringExpenseId, {
+      ...data,
+      updatedAt: RecurringExpenseModel.timestamp()
+    });
+  }
+}
+
+// Create a singleton instance
+const recurringExpenseRepository = new RecurringExpenseRepository();
+module.exports = recurringExpenseRepository;
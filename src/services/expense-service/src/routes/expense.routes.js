@@ -5,7 +5,10 @@ const {
   updateExpenseSchema,
   listExpensesSchema,
   getExpenseSchema,
-  deleteExpenseSchema
+  deleteExpenseSchema,
+  expenseHistorySchema,
+  revertExpenseSchema,
+  restoreExpenseSchema
 } = require('../validations/expense.validation');
 const expenseController = require('../controllers/expense.controller');
 const auth = require('../../../../shared/middleware/auth.middleware');
@@ -48,6 +51,42 @@ router.get(
   expenseController.getExpenseById
 );
 
+/**
+ * @route   POST /api/expenses/:expenseId/restore
+ * @desc    Restore a deleted expense from its group's trash
+ * @access  Private
+ */
+router.post(
+  '/:expenseId/restore',
+  auth(),
+  validate(restoreExpenseSchema),
+  expenseController.restoreExpense
+);
+
+/**
+ * @route   GET /api/expenses/:expenseId/history
+ * @desc    Get the change history of an expense, newest version first
+ * @access  Private
+ */
+router.get(
+  '/:expenseId/history',
+  auth(),
+  validate(expenseHistorySchema),
+  expenseController.getExpenseHistory
+);
+
+/**
+ * @route   POST /api/expenses/:expenseId/revert
+ * @desc    Revert an expense to a version from its history
+ * @access  Private
+ */
+router.post(
+  '/:expenseId/revert',
+  auth(),
+  validate(revertExpenseSchema),
+  expenseController.revertExpense
+);
+
 /**
  * @route   PUT /api/expenses/:expenseId
  * @desc    Update expense
@@ -0,0 +1,24 @@
+const express = require('express');
+const validate = require('../../../../shared/middleware/validate.middleware');
+const { groupBalancesSchema } = require('../validations/expense.validation');
+const expenseController = require('../controllers/expense.controller');
+const auth = require('../../../../shared/middleware/auth.middleware');
+
+// Mounted under /api/groups/:groupId/balances
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/groups/:groupId/balances
+ * @desc    Get a group's balances, optionally as they stood at the end of
+ *          a past day (?asOf=YYYY-MM-DD) and with the debt graph
+ *          (?includeDebtGraph=true)
+ * @access  Private
+ */
+router.get(
+  '/',
+  auth(),
+  validate(groupBalancesSchema),
+  expenseController.getGroupBalances
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const validate = require('../../../../shared/middleware/validate.middleware');
+const { groupTrashSchema, importExpensesSchema } = require('../validations/expense.validation');
+const expenseController = require('../controllers/expense.controller');
+const auth = require('../../../../shared/middleware/auth.middleware');
+
+// Mounted under /api/groups/:groupId/expenses
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/groups/:groupId/expenses/trash
+ * @desc    Get a group's deleted expenses that can still be restored
+ * @access  Private
+ */
+router.get(
+  '/trash',
+  auth(),
+  validate(groupTrashSchema),
+  expenseController.getGroupTrash
+);
+
+/**
+ * @route   POST /api/groups/:groupId/expenses/import
+ * @desc    Import expenses from a Splitwise CSV, a bank CSV (with a
+ *          column-mapping template) or our JSON export. Runs as a dry run
+ *          that previews member matches, duplicates and errors unless
+ *          dryRun is false.
+ * @access  Private
+ */
+router.post(
+  '/import',
+  auth(),
+  validate(importExpensesSchema),
+  expenseController.importExpenses
+);
+
+module.exports = router;
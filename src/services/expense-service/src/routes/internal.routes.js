@@ -0,0 +1,52 @@
+const express = require('express');
+const validate = require('../../../../shared/middleware/validate.middleware');
+const { requireServiceAuth } = require('../../../../shared/middleware/service-auth.middleware');
+const {
+  groupDebtGraphSchema,
+  groupInteractionsSchema,
+  internalExpensesSchema
+} = require('../validations/expense.validation');
+const expenseController = require('../controllers/expense.controller');
+
+const router = express.Router();
+
+// Internal routes are only reachable by other services holding the service key
+router.use(requireServiceAuth());
+
+/**
+ * @route   POST /api/internal/groups/:groupId/debt-graph
+ * @desc    Calculate balances and the debt graph for a group from its
+ *          expenses and the settlements supplied by settlement-service
+ * @access  Internal
+ */
+router.post(
+  '/groups/:groupId/debt-graph',
+  validate(groupDebtGraphSchema),
+  expenseController.getGroupDebtGraph
+);
+
+/**
+ * @route   GET /api/internal/expenses
+ * @desc    List a group's or user's expenses, e.g. for settlement-service
+ *          statements
+ * @access  Internal
+ */
+router.get(
+  '/expenses',
+  validate(internalExpensesSchema),
+  expenseController.getExpenses
+);
+
+/**
+ * @route   GET /api/internal/groups/:groupId/interactions
+ * @desc    Count the expenses each pair of members shared, optionally since
+ *          a date, used by settlement-service to weigh friendships
+ * @access  Internal
+ */
+router.get(
+  '/groups/:groupId/interactions',
+  validate(groupInteractionsSchema),
+  expenseController.getGroupInteractions
+);
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const validate = require('../../../../shared/middleware/validate.middleware');
+const {
+  createRecurringExpenseSchema,
+  updateRecurringExpenseSchema,
+  listRecurringExpensesSchema,
+  recurringExpenseActionSchema,
+  upcomingOccurrencesSchema
+} = require('../validations/recurring-expense.validation');
+const recurringExpenseController = require('../controllers/recurring-expense.controller');
+const auth = require('../../../../shared/middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/recurring-expenses
+ * @desc    Create a recurring expense
+ * @access  Private
+ */
+router.post(
+  '/',
+  auth(),
+  validate(createRecurringExpenseSchema),
+  recurringExpenseController.createRecurringExpense
+);
+
+/**
+ * @route   GET /api/recurring-expenses
+ * @desc    Get the recurring expenses of a group
+ * @access  Private
+ */
+router.get(
+  '/',
+  auth(),
+  validate(listRecurringExpensesSchema),
+  recurringExpenseController.getRecurringExpenses
+);
+
+/**
+ * @route   GET /api/recurring-expenses/:recurringExpenseId
+ * @desc    Get recurring expense by ID
+ * @access  Private
+ */
+router.get(
+  '/:recurringExpenseId',
+  auth(),
+  validate(recurringExpenseActionSchema),
+  recurringExpenseController.getRecurringExpenseById
+);
+
+/**
+ * @route   PATCH /api/recurring-expenses/:recurringExpenseId
+ * @desc    Update a recurring expense (applies to future occurrences)
+ * @access  Private
+ */
+router.patch(
+  '/:recurringExpenseId',
+  auth(),
+  validate(updateRecurringExpenseSchema),
+  recurringExpenseController.updateRecurringExpense
+);
+
+/**
+ * @route   DELETE /api/recurring-expenses/:recurringExpenseId
+ * @desc    Cancel a recurring expense
+ * @access  Private
+ */
+router.delete(
+  '/:recurringExpenseId',
+  auth(),
+  validate(recurringExpenseActionSchema),
+  recurringExpenseController.cancelRecurringExpense
+);
+
+/**
+ * @route   POST /api/recurring-expenses/:recurringExpenseId/pause
+ * @desc    Pause a recurring expense
+ * @access  Private
+ */
+router.post(
+  '/:recurringExpenseId/pause',
+  auth(),
+  validate(recurringExpenseActionSchema),
+  recurringExpenseController.pauseRecurringExpense
+);
+
+/**
+ * @route   POST /api/recurring-expenses/:recurringExpenseId/resume
+ * @desc    Resume a paused recurring expense
+ * @access  Private
+ */
+router.post(
+  '/:recurringExpenseId/resume',
+  auth(),
+  validate(recurringExpenseActionSchema),
+  recurringExpenseController.resumeRecurringExpense
+);
+
+/**
+ * @route   POST /api/recurring-expenses/:recurringExpenseId/skip-next
+ * @desc    Skip the next occurrence
+ * @access  Private
+ */
+router.post(
+  '/:recurringExpenseId/skip-next',
+  auth(),
+  validate(recurringExpenseActionSchema),
+  recurringExpenseController.skipNextOccurrence
+);
+
+/**
+ * @route   GET /api/recurring-expenses/:recurringExpenseId/occurrences
+ * @desc    Preview upcoming occurrences
+ * @access  Private
+ */
+router.get(
+  '/:recurringExpenseId/occurrences',
+  auth(),
+  validate(upcomingOccurrencesSchema),
+  recurringExpenseController.getUpcomingOccurrences
+);
+
+module.exports = router;
@@ -3,77 +3,139 @@
  * 
  * This service calculates and manages user balances within groups,
  * tracking what each user owes or is owed based on expenses and settlements.
+ * Amounts are added and subtracted in integer minor units of their currency
+ * so balances don't drift over the lifetime of a group.
  */
 
-const { roundToTwoDecimals } = require('../utils/math.utils');
+const { addAmounts, subtractAmounts } = require('../utils/math.utils');
 
 class BalanceService {
   /**
-   * Calculate balances for all users in a group
+   * Calculate balances for all users in a group. Expenses and settlement
+   * payments are applied in the order they happened, so continuing from
+   * the balances at some point in time gives the same result as
+   * calculating from scratch.
    * @param {string} groupId - Group ID
    * @param {Array} expenses - Array of expenses
    * @param {Array} settlements - Array of settlements
    * @param {Array} users - Array of users in the group
+   * @param {Object} [options] - Calculation options
+   * @param {Object} [options.initialBalances] - Balances to continue from, e.g. a snapshot
+   * @param {Date|string} [options.from] - Only apply activity at or after this time
+   * @param {Date|string} [options.until] - Only apply activity before this time
    * @returns {Object} User balances
    */
-  async calculateGroupBalances(groupId, expenses, settlements, users) {
+  async calculateGroupBalances(groupId, expenses, settlements, users, options = {}) {
+    const { initialBalances = null, from = null, until = null } = options;
+    
     // Initialize balances for all users
-    const balances = {};
+    const balances = initialBalances ? structuredClone(initialBalances) : {};
     users.forEach(user => {
+      if (balances[user.id]) return;
+      
       balances[user.id] = {
         userId: user.id,
         name: user.name,
         totalOwed: 0,         // Amount this user owes to others
         totalOwedToUser: 0,   // Amount others owe to this user
         netBalance: 0,        // Net balance (positive = is owed, negative = owes)
+        currency: null,       // Currency of the amounts above
         owedToUsers: {},      // Detailed breakdown of what this user owes to others
         owedByUsers: {}       // Detailed breakdown of what others owe to this user
       };
     });
     
-    // Process expenses to calculate who owes whom
-    for (const expense of expenses) {
-      // Skip deleted expenses
-      if (expense.isDeleted) continue;
-      
-      // Find the payer
-      const payerId = expense.paidBy;
-      
-      // Process each split
-      for (const split of expense.splits) {
-        const debtorId = split.userId;
-        const amount = split.amount;
-        
-        // Skip if the user paid for themselves
-        if (payerId === debtorId) continue;
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const untilTime = until ? new Date(until).getTime() : Infinity;
+    const activity = this._getActivity(expenses, settlements)
+      .filter(item => item.time >= fromTime && item.time < untilTime);
+    
+    for (const item of activity) {
+      if (item.type === 'expense') {
+        const { expense } = item;
         
-        // Update balances
-        this._updateBalanceForExpense(balances, payerId, debtorId, amount, expense.currency);
+        // Process each split to calculate who owes whom
+        for (const split of expense.splits) {
+          // Skip if the user paid for themselves
+          if (expense.paidBy === split.userId) continue;
+          
+          this._updateBalanceForExpense(balances, expense.paidBy, split.userId, split.amount, expense.currency);
+        }
+      } else {
+        // Settlement payments reduce what the payer owes the receiver
+        const { settlement, amount } = item;
+        this._updateBalanceForSettlement(balances, settlement.payerId, settlement.receiverId, amount, settlement.currency);
       }
     }
     
-    // Process settlements to adjust balances
-    for (const settlement of settlements) {
-      // Skip pending settlements
-      if (settlement.status !== 'completed') continue;
-      
-      const payerId = settlement.payerId;
-      const receiverId = settlement.receiverId;
-      const amount = settlement.amount;
-      
-      // Update balances for settlement
-      this._updateBalanceForSettlement(balances, payerId, receiverId, amount, settlement.currency);
-    }
-    
     // Calculate net balances for all users
     for (const userId in balances) {
       const balance = balances[userId];
-      balance.netBalance = roundToTwoDecimals(balance.totalOwedToUser - balance.totalOwed);
+      balance.netBalance = subtractAmounts(balance.totalOwedToUser, balance.totalOwed, balance.currency);
     }
     
     return balances;
   }
   
+  /**
+   * Get the payments made towards a settlement with the time of each.
+   * Recorded payments count from when they were made; anything paid
+   * beyond them (e.g. a settlement marked completed) counts from when the
+   * settlement was completed, or created if it never was.
+   * @param {Object} settlement - Settlement
+   * @returns {Array<Object>} Payments `{ amount, date }`
+   */
+  getSettlementPayments(settlement) {
+    const settledAmount = this._getSettledAmount(settlement);
+    if (!settledAmount) {
+      return [];
+    }
+    
+    const payments = (settlement.payments || [])
+      .filter(payment => payment.amount > 0)
+      .map(payment => ({ amount: payment.amount, date: payment.paidAt }));
+    const remainder = subtractAmounts(
+      settledAmount,
+      addAmounts(payments.map(payment => payment.amount), settlement.currency),
+      settlement.currency
+    );
+    
+    if (remainder > 0) {
+      payments.push({ amount: remainder, date: settlement.completedAt || settlement.createdAt || null });
+    }
+    
+    return payments;
+  }
+  
+  /**
+   * List the expenses and settlement payments of a group in the order they
+   * happened. Activity without a date comes first, and expenses come
+   * before settlement payments made at the same time.
+   * @param {Array} expenses - Array of expenses
+   * @param {Array} settlements - Array of settlements
+   * @returns {Array<Object>} Activity `{ type, time, expense }` or `{ type, time, settlement, amount }`
+   * @private
+   */
+  _getActivity(expenses, settlements) {
+    const toTime = date => (date ? new Date(date).getTime() : -Infinity);
+    const activity = [];
+    
+    expenses
+      .filter(expense => !expense.isDeleted)
+      .forEach(expense => activity.push({ type: 'expense', time: toTime(expense.date), expense }));
+    
+    settlements.forEach(settlement => {
+      this.getSettlementPayments(settlement).forEach(payment => {
+        activity.push({ type: 'settlement', time: toTime(payment.date), settlement, amount: payment.amount });
+      });
+    });
+    
+    // Array sort is stable, so same-time items keep their list order
+    return activity.sort((a, b) =>
+      a.time - b.time || (a.type === b.type ? 0 : a.type === 'expense' ? -1 : 1)
+    );
+  }
+  
   /**
    * Calculate simplified debt graph for a group
    * @param {Object} balances - User balances object
@@ -122,6 +184,7 @@ class BalanceService {
       totalOwed: 0,
       totalOwedToUser: 0,
       netBalance: 0,
+      currency: null,
       owedToUsers: {},
       owedByUsers: {},
       activities: []
@@ -144,7 +207,7 @@ class BalanceService {
         
         if (userSplit) {
           // Subtract the user's own share
-          owedToUser -= userSplit.amount;
+          owedToUser = subtractAmounts(paidTotal, userSplit.amount, expense.currency);
         }
         
         // Add to activity log
@@ -195,12 +258,12 @@ class BalanceService {
     
     // Process settlements
     for (const settlement of settlements) {
-      // Skip pending settlements
-      if (settlement.status !== 'completed') continue;
+      // Skip settlements nothing has been paid towards yet
+      const amount = this._getSettledAmount(settlement);
+      if (!amount) continue;
       
       const payerId = settlement.payerId;
       const receiverId = settlement.receiverId;
-      const amount = settlement.amount;
       
       if (payerId === userId) {
         // This user paid a settlement
@@ -236,7 +299,7 @@ class BalanceService {
     }
     
     // Calculate net balance
-    balance.netBalance = roundToTwoDecimals(balance.totalOwedToUser - balance.totalOwed);
+    balance.netBalance = subtractAmounts(balance.totalOwedToUser, balance.totalOwed, balance.currency);
     
     // Sort activities by date (newest first)
     balance.activities.sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -244,6 +307,25 @@ class BalanceService {
     return balance;
   }
   
+  /**
+   * Get the amount of a settlement that has been paid: all of it once
+   * completed, and the payments recorded so far while partially paid
+   * @param {Object} settlement - Settlement
+   * @returns {number} Amount paid
+   * @private
+   */
+  _getSettledAmount(settlement) {
+    if (settlement.status === 'completed') {
+      return settlement.amount;
+    }
+    
+    if (settlement.status === 'partially_paid') {
+      return settlement.amountPaid || 0;
+    }
+    
+    return 0;
+  }
+  
   /**
    * Update balances for an expense
    * @param {Object} balances - Balances object
@@ -294,10 +376,12 @@ class BalanceService {
       };
     }
     
-    balance.owedToUsers[creditorId].amount = roundToTwoDecimals(
-      balance.owedToUsers[creditorId].amount + amount
+    balance.currency = balance.currency || currency;
+    balance.owedToUsers[creditorId].amount = addAmounts(
+      [balance.owedToUsers[creditorId].amount, amount],
+      currency
     );
-    balance.totalOwed = roundToTwoDecimals(balance.totalOwed + amount);
+    balance.totalOwed = addAmounts([balance.totalOwed, amount], currency);
   }
   
   /**
@@ -316,10 +400,12 @@ class BalanceService {
       };
     }
     
-    balance.owedByUsers[debtorId].amount = roundToTwoDecimals(
-      balance.owedByUsers[debtorId].amount + amount
+    balance.currency = balance.currency || currency;
+    balance.owedByUsers[debtorId].amount = addAmounts(
+      [balance.owedByUsers[debtorId].amount, amount],
+      currency
     );
-    balance.totalOwedToUser = roundToTwoDecimals(balance.totalOwedToUser + amount);
+    balance.totalOwedToUser = addAmounts([balance.totalOwedToUser, amount], currency);
   }
   
   /**
@@ -336,12 +422,12 @@ class BalanceService {
     }
     
     const currentAmount = balance.owedToUsers[creditorId].amount;
-    const newAmount = Math.max(0, roundToTwoDecimals(currentAmount - amount));
+    const newAmount = Math.max(0, subtractAmounts(currentAmount, amount, currency));
     
-    const reduction = currentAmount - newAmount;
+    const reduction = subtractAmounts(currentAmount, newAmount, currency);
     
     balance.owedToUsers[creditorId].amount = newAmount;
-    balance.totalOwed = roundToTwoDecimals(balance.totalOwed - reduction);
+    balance.totalOwed = subtractAmounts(balance.totalOwed, reduction, currency);
     
     // If balance is zero, remove the entry
     if (newAmount === 0) {
@@ -363,12 +449,12 @@ class BalanceService {
     }
     
     const currentAmount = balance.owedByUsers[debtorId].amount;
-    const newAmount = Math.max(0, roundToTwoDecimals(currentAmount - amount));
+    const newAmount = Math.max(0, subtractAmounts(currentAmount, amount, currency));
     
-    const reduction = currentAmount - newAmount;
+    const reduction = subtractAmounts(currentAmount, newAmount, currency);
     
     balance.owedByUsers[debtorId].amount = newAmount;
-    balance.totalOwedToUser = roundToTwoDecimals(balance.totalOwedToUser - reduction);
+    balance.totalOwedToUser = subtractAmounts(balance.totalOwedToUser, reduction, currency);
     
     // If balance is zero, remove the entry
     if (newAmount === 0) {
@@ -388,14 +474,19 @@ class BalanceService {
       totalOwed: 0,
       totalOwedToUser: 0,
       netBalance: 0,
+      currency: null,
       balancesByGroup: {},
       balancesByUser: {}
     };
     
     // Summarize balances by group
     for (const balance of groupBalances) {
-      summary.totalOwed += balance.totalOwed;
-      summary.totalOwedToUser += balance.totalOwedToUser;
+      summary.currency = summary.currency || balance.currency;
+      summary.totalOwed = addAmounts([summary.totalOwed, balance.totalOwed], balance.currency);
+      summary.totalOwedToUser = addAmounts(
+        [summary.totalOwedToUser, balance.totalOwedToUser],
+        balance.currency
+      );
       
       summary.balancesByGroup[balance.groupId] = {
         groupId: balance.groupId,
@@ -410,7 +501,7 @@ class BalanceService {
     }
     
     // Calculate net balance
-    summary.netBalance = roundToTwoDecimals(summary.totalOwedToUser - summary.totalOwed);
+    summary.netBalance = subtractAmounts(summary.totalOwedToUser, summary.totalOwed, summary.currency);
     
     return summary;
   }
@@ -437,9 +528,11 @@ class BalanceService {
         };
       }
       
-      aggregated[creditorId].youOwe += amount;
-      aggregated[creditorId].netBalance = roundToTwoDecimals(
-        aggregated[creditorId].theyOwe - aggregated[creditorId].youOwe
+      aggregated[creditorId].youOwe = addAmounts([aggregated[creditorId].youOwe, amount], currency);
+      aggregated[creditorId].netBalance = subtractAmounts(
+        aggregated[creditorId].theyOwe,
+        aggregated[creditorId].youOwe,
+        currency
       );
     }
     
@@ -458,9 +551,11 @@ class BalanceService {
         };
       }
       
-      aggregated[debtorId].theyOwe += amount;
-      aggregated[debtorId].netBalance = roundToTwoDecimals(
-        aggregated[debtorId].theyOwe - aggregated[debtorId].youOwe
+      aggregated[debtorId].theyOwe = addAmounts([aggregated[debtorId].theyOwe, amount], currency);
+      aggregated[debtorId].netBalance = subtractAmounts(
+        aggregated[debtorId].theyOwe,
+        aggregated[debtorId].youOwe,
+        currency
       );
     }
   }
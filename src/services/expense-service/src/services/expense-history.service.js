@@ -0,0 +1,171 @@
+const expenseHistoryRepository = require('../repositories/expense-history.repository');
+const ExpenseHistoryModel = require('../models/expense-history.model');
+const { NotFoundError } = require('../../../../shared/errors');
+
+const { TRACKED_FIELDS } = ExpenseHistoryModel;
+
+// Attempts to record a version when other writers keep taking the next one
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * Normalize splits so equal splits compare equal regardless of order
+ * @param {Array} splits Expense splits
+ * @returns {Array} Splits sorted by user
+ */
+function normalizeSplits(splits) {
+  return splits
+    .map(split => {
+      const normalized = {
+        userId: String(split.userId),
+        amount: split.amount
+      };
+
+      ['splitType', 'percentage', 'shares'].forEach(field => {
+        if (split[field] !== undefined && split[field] !== null) {
+          normalized[field] = split[field];
+        }
+      });
+
+      return normalized;
+    })
+    .sort((a, b) => a.userId.localeCompare(b.userId));
+}
+
+/**
+ * Take a snapshot of the tracked fields of an expense
+ * @param {Object} expense Expense
+ * @param {Object} [previous] Previous snapshot, used for splits when the
+ *   expense was loaded without them
+ * @returns {Object} Snapshot
+ */
+function snapshotExpense(expense, previous = null) {
+  const snapshot = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    snapshot[field] = expense[field] === undefined ? null : expense[field];
+  });
+
+  if (snapshot.date) {
+    snapshot.date = new Date(snapshot.date).toISOString();
+  }
+  if (snapshot.paidBy) {
+    snapshot.paidBy = String(snapshot.paidBy);
+  }
+  snapshot.splits = expense.splits
+    ? normalizeSplits(expense.splits)
+    : (previous && previous.splits) || [];
+  snapshot.deleted = Boolean(expense.isDeleted || expense.deleted);
+
+  return snapshot;
+}
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object|null} before Snapshot before the change, null on creation
+ * @param {Object} after Snapshot after the change
+ * @returns {Array<Object>} Changes as `{ field, from, to }`
+ */
+function diffSnapshots(before, after) {
+  const from = before || snapshotExpense({});
+
+  return [...TRACKED_FIELDS, 'deleted']
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(after[field]))
+    .map(field => ({
+      field,
+      from: from[field],
+      to: after[field]
+    }));
+}
+
+/**
+ * Record a new version of an expense
+ * @param {string} action Action from ExpenseHistoryModel.ACTIONS
+ * @param {Object} expense Expense after the change
+ * @param {string} actorId User who made the change
+ * @param {Object} [options] Options
+ * @param {Object} [options.before] Expense before the change, used when it
+ *   has no history yet
+ * @param {number} [options.revertedToVersion] Version a revert went back to
+ * @returns {Promise<Object>} History entry
+ */
+async function recordChange(action, expense, actorId, { before, revertedToVersion } = {}) {
+  const expenseId = String(expense._id || expense.id);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await expenseHistoryRepository.findLatest(expenseId);
+
+    // Expenses created before history was kept start from their old state
+    let previous = null;
+    if (latest) {
+      previous = latest.snapshot;
+    } else if (before) {
+      previous = snapshotExpense(before);
+    }
+
+    const snapshot = snapshotExpense(expense, previous);
+
+    try {
+      return await expenseHistoryRepository.createEntry({
+        expenseId,
+        groupId: expense.groupId,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        actorId,
+        changes: diffSnapshots(previous, snapshot),
+        snapshot,
+        revertedToVersion
+      });
+    } catch (error) {
+      const duplicateVersion = error.originalError && error.originalError.code === 11000;
+      if (!duplicateVersion || attempt >= MAX_RECORD_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Get the change history of an expense
+ * @param {string} expenseId Expense ID
+ * @param {Object} [pagination] Pagination `{ page, limit }`
+ * @returns {Promise<Object>} History entries, newest first, with pagination
+ */
+async function getExpenseHistory(expenseId, { page = 1, limit = 20 } = {}) {
+  const { rows, count } = await expenseHistoryRepository.findByExpenseId(expenseId, { page, limit });
+  if (count === 0) {
+    throw new NotFoundError(`No history found for expense ${expenseId}`);
+  }
+
+  return {
+    history: rows,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+/**
+ * Get a specific version of an expense
+ * @param {string} expenseId Expense ID
+ * @param {number} version Version number
+ * @returns {Promise<Object>} History entry
+ */
+async function getExpenseVersion(expenseId, version) {
+  const entry = await expenseHistoryRepository.findVersion(expenseId, version);
+  if (!entry) {
+    throw new NotFoundError(`Version ${version} of expense ${expenseId} not found`);
+  }
+
+  return entry;
+}
+
+module.exports = {
+  snapshotExpense,
+  diffSnapshots,
+  recordChange,
+  getExpenseHistory,
+  getExpenseVersion
+};
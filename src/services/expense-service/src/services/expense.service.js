@@ -1,17 +1,96 @@
+const crypto = require('crypto');
 const expenseRepository = require('../repositories/expense.repository');
-const { BadRequestError, NotFoundError } = require('@shared/errors');
+const balanceSnapshotRepository = require('../repositories/balance-snapshot.repository');
+const expenseHistoryService = require('./expense-history.service');
+const ExpenseHistoryModel = require('../models/expense-history.model');
+const balanceService = require('./balance.service');
+const settlementClient = require('./settlement.client');
+const {
+  roundToCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  allocateProportionally
+} = require('../utils/math.utils');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../../shared/errors');
+
+const { ACTIONS, TRACKED_FIELDS } = ExpenseHistoryModel;
+
+// How long deleted expenses stay in the trash before they are purged
+const TRASH_RETENTION_DAYS = Number(process.env.EXPENSE_TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expenses since the last balance snapshot after which a read takes a new one
+const BALANCE_SNAPSHOT_MIN_EXPENSES = Number(process.env.BALANCE_SNAPSHOT_MIN_EXPENSES) || 100;
+
+/**
+ * Record a change in the expense's history. The change itself is already
+ * saved, so a failure to record it is logged instead of failing the request.
+ * @param {string} action Action from ExpenseHistoryModel.ACTIONS
+ * @param {Object} expense Expense after the change
+ * @param {string} actorId User who made the change
+ * @param {Object} [options] Options passed to expenseHistoryService.recordChange
+ * @returns {Promise<void>}
+ */
+async function recordHistory(action, expense, actorId, options) {
+  try {
+    await expenseHistoryService.recordChange(action, expense, actorId, options);
+  } catch (error) {
+    console.error(`Failed to record ${action} in history of expense ${expense._id || expense.id}:`, error);
+  }
+}
+
+/**
+ * Invalidate a group's balances after one of its expenses changed: the
+ * snapshots that include the expense and the debt graph cached by
+ * settlement-service
+ * @param {string} groupId Group ID
+ * @param {...(Date|string)} dates Dates of the expense before and after the change
+ * @returns {Promise<void>}
+ */
+async function invalidateBalances(groupId, ...dates) {
+  if (!groupId) {
+    return;
+  }
+
+  // Without a known date the change may be in any snapshot
+  const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+  const earliest = times.length > 0 && times.every(Number.isFinite) ? Math.min(...times) : 0;
+
+  await balanceSnapshotRepository.deleteAfter(groupId, new Date(earliest));
+  settlementClient.invalidateGroupDebtGraph(groupId);
+}
+
+/**
+ * Get the time until which a deleted expense can be restored
+ * @param {Object} expense Deleted expense
+ * @returns {string|null} ISO timestamp, or null for expenses deleted
+ *   before deletion times were recorded, which are never purged
+ */
+function getRestorableUntil(expense) {
+  if (!expense.deletedAt) {
+    return null;
+  }
+  return new Date(new Date(expense.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
 
 /**
  * Create a new expense
  * @param {Object} expenseData Expense data
+ * @param {Array} [splits] Calculated splits, stored alongside the expense
  * @returns {Promise<Object>} Created expense
  */
-async function createExpense(expenseData) {
+async function createExpense(expenseData, splits) {
   if (!expenseData || !expenseData.amount || !expenseData.paidBy) {
     throw new BadRequestError('Invalid expense data');
   }
 
-  return expenseRepository.create(expenseData);
+  const expense = splits
+    ? await expenseRepository.createExpense(expenseData, splits)
+    : await expenseRepository.create(expenseData);
+  await invalidateBalances(expenseData.groupId, expense.date);
+  await recordHistory(ACTIONS.CREATE, expense, expenseData.createdBy);
+
+  return expense;
 }
 
 /**
@@ -25,38 +104,132 @@ async function getExpense(expenseId) {
   }
 
   const expense = await expenseRepository.findById(expenseId);
-  if (!expense) {
+  if (!expense || expense.isDeleted) {
     throw new NotFoundError('Expense not found');
   }
 
   return expense;
 }
 
+/**
+ * Save changes to an expense and invalidate the affected balances
+ * @param {string} expenseId Expense ID
+ * @param {Object} expense Expense before the change
+ * @param {Object} updateData Fields to update
+ * @param {Array} [splits] Calculated splits replacing the current ones
+ * @returns {Promise<Object>} Updated expense
+ */
+async function applyUpdate(expenseId, expense, updateData, splits) {
+  const updatedExpense = splits
+    ? await expenseRepository.updateExpense(expenseId, updateData, splits)
+    : await expenseRepository.update(expenseId, updateData);
+
+  await invalidateBalances(expense.groupId, expense.date, updateData.date);
+  if (updateData.groupId && String(updateData.groupId) !== String(expense.groupId)) {
+    await invalidateBalances(updateData.groupId, updateData.date || expense.date);
+  }
+
+  return updatedExpense;
+}
+
 /**
  * Update expense
  * @param {string} expenseId Expense ID
  * @param {Object} updateData Update data
+ * @param {Array} [splits] Calculated splits replacing the current ones
+ * @param {string} [userId] User making the change
  * @returns {Promise<Object>} Updated expense
  */
-async function updateExpense(expenseId, updateData) {
+async function updateExpense(expenseId, updateData, splits, userId) {
   if (!expenseId || !updateData) {
     throw new BadRequestError('Expense ID and update data are required');
   }
 
   const expense = await expenseRepository.findById(expenseId);
-  if (!expense) {
+  if (!expense || expense.isDeleted) {
+    throw new NotFoundError('Expense not found');
+  }
+
+  const updatedExpense = await applyUpdate(expenseId, expense, updateData, splits);
+  await recordHistory(ACTIONS.UPDATE, updatedExpense, userId, { before: expense });
+
+  return updatedExpense;
+}
+
+/**
+ * Revert an expense to a version from its history. The revert is
+ * recorded as a new version, so it can be reverted in turn.
+ * @param {string} expenseId Expense ID
+ * @param {number} version Version to revert to
+ * @param {string} userId User reverting the expense
+ * @returns {Promise<Object>} Reverted expense
+ */
+async function revertExpense(expenseId, version, userId) {
+  const expense = await getExpense(expenseId);
+  if (String(expense.createdBy) !== String(userId) && String(expense.paidBy) !== String(userId)) {
+    throw new ForbiddenError('Only the creator or payer can revert this expense');
+  }
+
+  const { snapshot } = await expenseHistoryService.getExpenseVersion(expenseId, version);
+  if (snapshot.deleted) {
+    throw new BadRequestError(`Version ${version} is a deleted version of the expense`);
+  }
+
+  const updateData = {};
+  TRACKED_FIELDS
+    .filter(field => field !== 'splits')
+    .forEach(field => {
+      updateData[field] = snapshot[field];
+    });
+
+  const revertedExpense = await applyUpdate(
+    expenseId,
+    expense,
+    updateData,
+    snapshot.splits.length > 0 ? snapshot.splits : null
+  );
+  await recordHistory(ACTIONS.REVERT, revertedExpense, userId, {
+    before: expense,
+    revertedToVersion: version
+  });
+
+  return revertedExpense;
+}
+
+/**
+ * Delete expense. The expense is moved to its group's trash, where it can
+ * be restored until it is purged after the retention window.
+ * @param {string} expenseId Expense ID
+ * @param {string} [userId] User deleting the expense
+ * @returns {Promise<Object>} Deleted expense with `restorableUntil`
+ */
+async function deleteExpense(expenseId, userId) {
+  if (!expenseId) {
+    throw new BadRequestError('Expense ID is required');
+  }
+
+  const expense = await expenseRepository.findById(expenseId);
+  if (!expense || expense.isDeleted) {
     throw new NotFoundError('Expense not found');
   }
 
-  return expenseRepository.update(expenseId, updateData);
+  const deletedExpense = await expenseRepository.deleteExpense(expenseId, userId);
+  await invalidateBalances(expense.groupId, expense.date);
+  await recordHistory(ACTIONS.DELETE, deletedExpense, userId, { before: expense });
+
+  return {
+    ...deletedExpense,
+    restorableUntil: getRestorableUntil(deletedExpense)
+  };
 }
 
 /**
- * Delete expense
+ * Restore a deleted expense from the trash
  * @param {string} expenseId Expense ID
- * @returns {Promise<boolean>} Success status
+ * @param {string} userId User restoring the expense
+ * @returns {Promise<Object>} Restored expense
  */
-async function deleteExpense(expenseId) {
+async function restoreExpense(expenseId, userId) {
   if (!expenseId) {
     throw new BadRequestError('Expense ID is required');
   }
@@ -65,8 +238,92 @@ async function deleteExpense(expenseId) {
   if (!expense) {
     throw new NotFoundError('Expense not found');
   }
+  if (!expense.isDeleted) {
+    throw new BadRequestError('Expense is not deleted');
+  }
+  if (String(expense.createdBy) !== String(userId) && String(expense.paidBy) !== String(userId)) {
+    throw new ForbiddenError('Only the creator or payer can restore this expense');
+  }
+  const restorableUntil = getRestorableUntil(expense);
+  if (restorableUntil && new Date(restorableUntil) <= new Date()) {
+    throw new BadRequestError('The restore window for this expense has passed');
+  }
+
+  const restoredExpense = await expenseRepository.restoreExpense(expenseId);
+  await invalidateBalances(expense.groupId, expense.date);
+  await recordHistory(ACTIONS.RESTORE, restoredExpense, userId, { before: expense });
 
-  return expenseRepository.delete(expenseId);
+  return restoredExpense;
+}
+
+/**
+ * Get the deleted expenses of a group that can still be restored. Expenses
+ * past the retention window are left out even before they are purged.
+ * @param {string} groupId Group ID
+ * @param {Object} [pagination] Pagination `{ page, limit }`
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Deleted expenses with pagination
+ */
+async function getGroupTrash(groupId, { page = 1, limit = 20 } = {}, now = new Date()) {
+  if (!groupId) {
+    throw new BadRequestError('Group ID is required');
+  }
+
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+  const { rows, count } = await expenseRepository.findDeletedByGroup(groupId, { page, limit }, cutoff);
+
+  return {
+    expenses: rows.map(expense => ({
+      ...expense,
+      restorableUntil: getRestorableUntil(expense)
+    })),
+    retentionDays: TRASH_RETENTION_DAYS,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+/**
+ * Permanently delete expenses that have been in the trash longer than
+ * the retention window. Their history is kept.
+ * @param {Date} [now] Current time
+ * @returns {Promise<number>} Number of expenses purged
+ */
+async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+  const purged = await expenseRepository.purgeDeletedBefore(cutoff);
+
+  if (purged > 0) {
+    console.log(`Purged ${purged} expenses deleted before ${cutoff}`);
+  }
+
+  return purged;
+}
+
+/**
+ * List expenses matching filters
+ * @param {Object} filters Filters (groupId, userId, category, startDate,
+ *   endDate, minAmount, maxAmount)
+ * @param {Object} pagination Pagination `{ page, limit, sortBy, sortOrder }`
+ * @returns {Promise<Object>} Expenses with pagination
+ */
+async function listExpenses(filters, pagination) {
+  const { page = 1, limit = 10 } = pagination;
+  const { rows, count } = await expenseRepository.findExpenses(filters, pagination);
+
+  return {
+    expenses: rows,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
 }
 
 /**
@@ -82,10 +339,424 @@ async function getExpensesByGroup(groupId) {
   return expenseRepository.findByGroupId(groupId);
 }
 
+/**
+ * Calculate balances and the debt graph for a group, now or as they stood
+ * at the end of a past day. The calculation continues from the latest
+ * balance snapshot before that time, so only the expenses since are
+ * loaded, and materializes a new snapshot at the start of the day once
+ * enough expenses have built up since the last one.
+ * @param {string} groupId Group ID
+ * @param {Array} settlements Settlements recorded for the group (only what has been paid counts)
+ * @param {Object} [options] Options
+ * @param {Date|string} [options.asOf] Day (UTC) to calculate balances at
+ *   the end of; by default everything counts, including future-dated expenses
+ * @returns {Promise<Object>} Balances keyed by user ID plus the debt graph's users and debts
+ */
+async function getGroupDebtGraph(groupId, settlements = [], { asOf = null } = {}) {
+  if (!groupId) {
+    throw new BadRequestError('Group ID is required');
+  }
+
+  const until = asOf ? new Date(startOfUtcDay(asOf).getTime() + DAY_MS) : null;
+
+  const normalizedSettlements = settlements.map(settlement => ({
+    ...settlement,
+    payerId: String(settlement.payerId),
+    receiverId: String(settlement.receiverId)
+  }));
+  const paidSettlements = until
+    ? normalizedSettlements.filter(settlement => balanceService.getSettlementPayments(settlement)
+      .some(payment => !payment.date || new Date(payment.date) < until))
+    : normalizedSettlements;
+
+  // A payment recorded since with an earlier date makes a snapshot stale
+  let snapshot = await balanceSnapshotRepository.findLatest(groupId, until);
+  if (snapshot && snapshot.settlementsKey !== getSettlementsKey(normalizedSettlements, snapshot.cutoff)) {
+    snapshot = null;
+  }
+
+  // Mixed-currency groups are balanced in their most used currency
+  let expenses = await getNormalizedExpenses(groupId, { from: snapshot && snapshot.cutoff, until });
+  let currency = getGroupCurrency(
+    countCurrencies(paidSettlements, countCurrencies(expenses, snapshot ? snapshot.currencyCounts : {}))
+  );
+  if (snapshot && snapshot.currency !== currency) {
+    snapshot = null;
+    expenses = await getNormalizedExpenses(groupId, { until });
+    currency = getGroupCurrency(countCurrencies(paidSettlements, countCurrencies(expenses)));
+  }
+
+  const converted = await convertToCurrency(expenses, normalizedSettlements, currency);
+  const users = getParticipants(expenses, normalizedSettlements);
+  const calculate = (initialBalances, from, to) => balanceService.calculateGroupBalances(
+    groupId,
+    converted.expenses,
+    converted.settlements,
+    users,
+    { initialBalances, from, until: to }
+  );
+
+  let start = snapshot || { cutoff: null, balances: null, currencyCounts: {}, expenseCount: 0 };
+  const cutoff = startOfUtcDay(until ? Math.min(until.getTime(), Date.now()) : Date.now());
+  const snapshotExpenses = expenses.filter(expense => new Date(expense.date) < cutoff);
+
+  if (
+    (!start.cutoff || new Date(start.cutoff) < cutoff) &&
+    snapshotExpenses.length >= BALANCE_SNAPSHOT_MIN_EXPENSES
+  ) {
+    start = {
+      groupId,
+      cutoff,
+      currency,
+      currencyCounts: countCurrencies(snapshotExpenses, start.currencyCounts),
+      settlementsKey: getSettlementsKey(normalizedSettlements, cutoff),
+      expenseCount: start.expenseCount + snapshotExpenses.length,
+      balances: await calculate(start.balances, start.cutoff, cutoff)
+    };
+    await saveBalanceSnapshot(start);
+  }
+
+  const balances = await calculate(start.balances, start.cutoff, until);
+  const { users: debtGraphUsers, debts } = balanceService.calculateDebtGraph(balances);
+
+  return {
+    groupId,
+    currency,
+    asOf: until ? new Date(until.getTime() - DAY_MS).toISOString().slice(0, 10) : null,
+    users: debtGraphUsers,
+    debts,
+    balances
+  };
+}
+
+/**
+ * Get a group's balances and debt graph, now or at the end of a past day,
+ * from its expenses and the settlements recorded in settlement-service
+ * @param {string} groupId Group ID
+ * @param {Object} [options] Options
+ * @param {Date|string} [options.asOf] Day (UTC) to calculate balances at the end of
+ * @returns {Promise<Object>} Balances keyed by user ID plus the debt graph's users and debts
+ */
+async function getGroupBalances(groupId, { asOf = null } = {}) {
+  if (!groupId) {
+    throw new BadRequestError('Group ID is required');
+  }
+
+  const settlements = await settlementClient.getGroupSettlements(groupId);
+  return getGroupDebtGraph(groupId, settlements, { asOf });
+}
+
+/**
+ * Bring the balance snapshots of groups whose expenses changed since a
+ * time up to date, so reads don't have to take them. A group only gets a
+ * new snapshot once enough expenses have built up since its last one.
+ * @param {Date|string} since Earliest expense change to consider
+ * @returns {Promise<number>} Number of groups whose balances were refreshed
+ */
+async function snapshotGroupBalances(since) {
+  const groupIds = await expenseRepository.findGroupIdsChangedSince(since);
+  let refreshed = 0;
+
+  // One group at a time, so the sweep never floods settlement-service
+  for (const groupId of groupIds) {
+    try {
+      await getGroupBalances(groupId);
+      refreshed++;
+    } catch (error) {
+      console.error(`Failed to snapshot balances of group ${groupId}:`, error.message);
+    }
+  }
+
+  return refreshed;
+}
+
+/**
+ * Count the expenses each pair of members shared in a group: those where
+ * both paid or owed a part
+ * @param {string} groupId Group ID
+ * @param {Object} [options] Options
+ * @param {Date|string} [options.since] Only count expenses dated from then on
+ * @returns {Promise<Array>} `{ user1, user2, sharedExpenses }` per pair that
+ *   shared any, with the user IDs of each pair in sorted order
+ */
+async function getGroupInteractions(groupId, { since = null } = {}) {
+  if (!groupId) {
+    throw new BadRequestError('Group ID is required');
+  }
+
+  const expenses = await getNormalizedExpenses(groupId, { from: since });
+
+  const counts = new Map();
+  for (const expense of expenses) {
+    const participants = [...new Set([
+      expense.paidBy,
+      ...expense.splits.filter(split => split.amount > 0).map(split => split.userId)
+    ])].sort();
+
+    for (let i = 0; i < participants.length; i++) {
+      for (let j = i + 1; j < participants.length; j++) {
+        const key = `${participants[i]}|${participants[j]}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  return [...counts].map(([key, sharedExpenses]) => {
+    const [user1, user2] = key.split('|');
+    return { user1, user2, sharedExpenses };
+  });
+}
+
+/**
+ * Get a group's active expenses dated in a range, with IDs as strings
+ * @param {string} groupId Group ID
+ * @param {Object} dateRange `{ from, until }`, either may be omitted
+ * @returns {Promise<Array>} Expenses, oldest first
+ * @private
+ */
+async function getNormalizedExpenses(groupId, dateRange) {
+  // IDs may be stored as ObjectIds; balances are keyed by their string form
+  return (await expenseRepository.findByGroupId(groupId, dateRange)).map(expense => ({
+    ...expense,
+    paidBy: String(expense.paidBy),
+    splits: (expense.splits || []).map(split => ({ ...split, userId: String(split.userId) }))
+  }));
+}
+
+/**
+ * Save a balance snapshot. Snapshots only speed up later reads, so a
+ * failure is logged instead of failing the request.
+ * @param {Object} snapshot Snapshot data
+ * @returns {Promise<void>}
+ * @private
+ */
+async function saveBalanceSnapshot(snapshot) {
+  try {
+    await balanceSnapshotRepository.saveSnapshot(snapshot);
+  } catch (error) {
+    console.error(`Failed to save balance snapshot for group ${snapshot.groupId}:`, error.message);
+  }
+}
+
+/**
+ * Get a key identifying the settlement payments made before a cutoff,
+ * stored with a snapshot to tell when the payments it includes changed
+ * @param {Array} settlements Group settlements
+ * @param {Date|string} cutoff Snapshot cutoff
+ * @returns {string} Key
+ * @private
+ */
+function getSettlementsKey(settlements, cutoff) {
+  const cutoffDate = new Date(cutoff);
+  const payments = [];
+
+  settlements.forEach(settlement => {
+    balanceService.getSettlementPayments(settlement)
+      .filter(payment => !payment.date || new Date(payment.date) < cutoffDate)
+      .forEach(payment => payments.push([
+        settlement.payerId,
+        settlement.receiverId,
+        settlement.currency,
+        payment.amount,
+        payment.date ? new Date(payment.date).toISOString() : ''
+      ].join('|')));
+  });
+
+  return crypto.createHash('sha256').update(payments.sort().join('\n')).digest('hex');
+}
+
+/**
+ * Get the start of the UTC day a time falls on
+ * @param {Date|string|number} date Time
+ * @returns {Date} Start of the day
+ * @private
+ */
+function startOfUtcDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Count expenses or settlements per currency
+ * @param {Array} items Expenses or settlements
+ * @param {Object} [initialCounts] Counts to add to
+ * @returns {Object} Counts keyed by currency
+ * @private
+ */
+function countCurrencies(items, initialCounts = {}) {
+  const counts = { ...initialCounts };
+
+  items.forEach(({ currency }) => {
+    if (currency) {
+      counts[currency] = (counts[currency] || 0) + 1;
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Pick the currency a group's balances are expressed in
+ * @param {Object} counts Expenses and settlements per currency
+ * @returns {string|null} Most frequently used currency, or null for an empty group
+ * @private
+ */
+function getGroupCurrency(counts) {
+  const [mostUsed] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return mostUsed ? mostUsed[0] : null;
+}
+
+/**
+ * Convert expenses and settlements into one currency, using the exchange
+ * rate effective on each expense's date (or settlement's completion date)
+ * @param {Array} expenses Group expenses with splits
+ * @param {Array} settlements Group settlements
+ * @param {string} currency Target currency
+ * @returns {Promise<Object>} Converted expenses and settlements
+ * @private
+ */
+async function convertToCurrency(expenses, settlements, currency) {
+  const ratesByDay = {};
+
+  const getRate = async (fromCurrency, date) => {
+    if (!fromCurrency || fromCurrency === currency) {
+      return 1;
+    }
+
+    const day = new Date(date || Date.now()).toISOString().slice(0, 10);
+    if (!ratesByDay[day]) {
+      ratesByDay[day] = settlementClient.getDailyRates(currency, day);
+    }
+
+    const { rates } = await ratesByDay[day];
+    if (!rates[fromCurrency]) {
+      throw new BadRequestError(`No exchange rate available for ${fromCurrency} on ${day}`);
+    }
+
+    // Rates are quoted as units of each currency per unit of the target currency
+    return 1 / rates[fromCurrency];
+  };
+
+  const convertedExpenses = await Promise.all(expenses.map(async expense => {
+    const rate = await getRate(expense.currency, expense.date);
+    if (rate === 1) {
+      return { ...expense, currency: currency || expense.currency };
+    }
+
+    // Re-split the converted total so the splits still add up to it exactly
+    const amount = roundToCurrency(expense.amount * rate, currency);
+    const splitAmounts = expense.splits.some(split => split.amount > 0)
+      ? allocateProportionally(
+        toMinorUnits(amount, currency),
+        expense.splits.map(split => toMinorUnits(split.amount, expense.currency))
+      )
+      : expense.splits.map(() => 0);
+
+    return {
+      ...expense,
+      amount,
+      currency,
+      originalAmount: expense.amount,
+      originalCurrency: expense.currency,
+      exchangeRate: rate,
+      splits: expense.splits.map((split, index) => ({
+        ...split,
+        amount: fromMinorUnits(splitAmounts[index], currency)
+      }))
+    };
+  }));
+
+  const convertedSettlements = await Promise.all(settlements.map(async settlement => {
+    const rate = await getRate(settlement.currency, settlement.completedAt || settlement.createdAt);
+    if (rate === 1) {
+      return { ...settlement, currency: currency || settlement.currency };
+    }
+
+    const amountPaid = settlement.amountPaid === undefined
+      ? undefined
+      : roundToCurrency(settlement.amountPaid * rate, currency);
+
+    return {
+      ...settlement,
+      amount: roundToCurrency(settlement.amount * rate, currency),
+      amountPaid,
+      payments: convertPayments(settlement, amountPaid, rate, currency),
+      currency,
+      originalAmount: settlement.amount,
+      originalCurrency: settlement.currency,
+      exchangeRate: rate
+    };
+  }));
+
+  return {
+    expenses: convertedExpenses,
+    settlements: convertedSettlements
+  };
+}
+
+/**
+ * Convert the payments recorded against a settlement. When the converted
+ * total is known the payments are re-split so they still add up to it.
+ * @param {Object} settlement Settlement with payments in its own currency
+ * @param {number} [amountPaid] Converted total paid
+ * @param {number} rate Exchange rate
+ * @param {string} currency Target currency
+ * @returns {Array|undefined} Converted payments
+ * @private
+ */
+function convertPayments(settlement, amountPaid, rate, currency) {
+  const { payments } = settlement;
+  if (!payments || payments.length === 0) {
+    return payments;
+  }
+
+  const amounts = amountPaid === undefined
+    ? payments.map(payment => roundToCurrency(payment.amount * rate, currency))
+    : allocateProportionally(
+      toMinorUnits(amountPaid, currency),
+      payments.map(payment => toMinorUnits(payment.amount, settlement.currency))
+    ).map(amount => fromMinorUnits(amount, currency));
+
+  return payments.map((payment, index) => ({ ...payment, amount: amounts[index] }));
+}
+
+/**
+ * Collect every user that appears in a group's expenses or settlements
+ * @param {Array} expenses Group expenses with splits
+ * @param {Array} settlements Group settlements
+ * @returns {Array<Object>} Users in the shape expected by the balance service
+ * @private
+ */
+function getParticipants(expenses, settlements) {
+  const userIds = new Set();
+
+  expenses.forEach(expense => {
+    userIds.add(expense.paidBy);
+    expense.splits.forEach(split => userIds.add(split.userId));
+  });
+
+  settlements.forEach(settlement => {
+    userIds.add(settlement.payerId);
+    userIds.add(settlement.receiverId);
+  });
+
+  return [...userIds].map(id => ({ id, name: id }));
+}
+
 module.exports = {
   createExpense,
   getExpense,
+  listExpenses,
   updateExpense,
+  revertExpense,
   deleteExpense,
-  getExpensesByGroup
+  restoreExpense,
+  getGroupTrash,
+  purgeExpiredTrash,
+  getExpensesByGroup,
+  getGroupDebtGraph,
+  getGroupBalances,
+  snapshotGroupBalances,
+  getGroupInteractions
 }; 
\ No newline at end of file
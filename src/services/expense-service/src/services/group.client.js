@@ -0,0 +1,28 @@
+/**
+ * Group Service Client
+ *
+ * Authenticated client for the group-service internal API
+ */
+
+const { createServiceClient } = require('../../../../shared/services/service-client');
+
+const client = createServiceClient({
+  serviceName: 'expense-service',
+  targetService: 'group-service',
+  baseURL: process.env.GROUP_SERVICE_URL || 'http://localhost:4007'
+});
+
+/**
+ * Get a group's members and their roles
+ * @param {string} groupId - ID of the group
+ * @returns {Promise<Object>} Group ID, archive state and members `{ userId, role }`
+ */
+async function getGroupMembers(groupId) {
+  const response = await client.get(`/api/internal/groups/${groupId}/members`);
+
+  return response.data;
+}
+
+module.exports = {
+  getGroupMembers
+};
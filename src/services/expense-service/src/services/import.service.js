@@ -0,0 +1,220 @@
+/**
+ * Import Service
+ *
+ * Imports a group's expense history from Splitwise, bank statements or our
+ * own JSON export. A dry run matches the file's member names to the
+ * group's members (loaded from group-service), validates every row with the
+ * split service and flags duplicates, so the user can fix the mapping
+ * before anything is saved. Committing creates the rows through the normal
+ * expense path.
+ */
+
+const expenseRepository = require('../repositories/expense.repository');
+const expenseService = require('./expense.service');
+const splitService = require('./split.service');
+const groupClient = require('./group.client');
+const { parseImport, createMemberMatcher, normalizeName } = require('../utils/import.utils');
+const { toMinorUnits } = require('../utils/math.utils');
+const { BadRequestError, ForbiddenError } = require('../../../../shared/errors');
+
+// Largest file accepted, in rows; bigger histories can be imported in parts
+const MAX_IMPORT_ROWS = Number(process.env.EXPENSE_IMPORT_MAX_ROWS) || 5000;
+
+/**
+ * Key that identifies an expense for duplicate detection: same day,
+ * amount, currency and description
+ * @param {Object} expense Expense with date, amount, currency and description
+ * @returns {string} Duplicate key
+ * @private
+ */
+function getDuplicateKey(expense) {
+  const day = new Date(expense.date).toISOString().slice(0, 10);
+  const currency = expense.currency || 'USD';
+  return [day, currency, toMinorUnits(Number(expense.amount), currency), normalizeName(expense.description)].join('|');
+}
+
+/**
+ * Match a row's members to the group and calculate its splits
+ * @param {Object} row Parsed row
+ * @param {Object} context Import context
+ * @param {Function} context.matchMember Member matcher
+ * @param {string} context.userId Importing user, the default payer
+ * @param {Array<Object>} context.members Group members, the default split
+ * @returns {Object} Row with status ready (and the expense and calculated
+ *   splits) or error
+ * @private
+ */
+function resolveRow(row, { matchMember, userId, members }) {
+  if (row.status !== 'parsed') {
+    return row;
+  }
+
+  const payerReference = row.paidBy || userId;
+  const payer = matchMember(payerReference);
+  if (!payer) {
+    return { line: row.line, status: 'error', reason: `Unknown member "${payerReference}"` };
+  }
+
+  const splitTemplate = row.splits || members.map(member => ({ member: member.userId, splitType: 'equal' }));
+  const unknown = splitTemplate.find(split => !matchMember(split.member));
+  if (unknown) {
+    return { line: row.line, status: 'error', reason: `Unknown member "${unknown.member}"` };
+  }
+
+  const expense = { ...row.expense, paidBy: payer.userId };
+  const splits = splitTemplate.map(({ member, ...split }) => ({ ...split, userId: matchMember(member).userId }));
+
+  try {
+    return {
+      line: row.line,
+      status: 'ready',
+      expense,
+      splits: splitService.calculateSplitAmounts(
+        { amount: expense.amount, currency: expense.currency, date: expense.date },
+        splits
+      )
+    };
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      return { line: row.line, status: 'error', reason: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Flag rows that repeat an existing expense of the group or an earlier row
+ * of the same file
+ * @param {Array<Object>} rows Resolved rows (updated in place)
+ * @param {Array<Object>} existingExpenses Group's current expenses
+ * @private
+ */
+function markDuplicates(rows, existingExpenses) {
+  const existing = new Map(existingExpenses.map(expense => [getDuplicateKey(expense), String(expense._id)]));
+  const seen = new Map();
+
+  rows.filter(row => row.status === 'ready').forEach(row => {
+    const key = getDuplicateKey(row.expense);
+
+    if (existing.has(key)) {
+      Object.assign(row, { status: 'duplicate', duplicateOf: { expenseId: existing.get(key) } });
+    } else if (seen.has(key)) {
+      Object.assign(row, { status: 'duplicate', duplicateOf: { line: seen.get(key) } });
+    } else {
+      seen.set(key, row.line);
+    }
+  });
+}
+
+/**
+ * Preview an import without saving anything
+ * @param {string} groupId Group to import into
+ * @param {string} userId Importing user
+ * @param {Object} params Import parameters
+ * @param {string} params.source splitwise, bank_csv or json
+ * @param {string} params.content File contents
+ * @param {Object} [params.template] Column-mapping template for bank_csv
+ * @param {Object} [params.memberMapping] Name -> user ID overrides for
+ *   references that are not member user IDs
+ * @returns {Promise<Object>} `{ source, summary, members, rows }`, where
+ *   members lists every name in the file with the member it matched
+ *   (userId null when unmatched) and each row has a status of ready,
+ *   duplicate, skipped or error
+ */
+async function previewImport(groupId, userId, { source, content, template, memberMapping }) {
+  if (!groupId) {
+    throw new BadRequestError('Group ID is required');
+  }
+
+  const { members } = await groupClient.getGroupMembers(groupId);
+  if (!members.some(member => member.userId === String(userId))) {
+    throw new ForbiddenError('You are not a member of this group');
+  }
+
+  let parsedRows;
+  try {
+    parsedRows = parseImport(source, content, template);
+  } catch (error) {
+    throw new BadRequestError(`Could not read the ${source} file: ${error.message}`);
+  }
+
+  if (parsedRows.length > MAX_IMPORT_ROWS) {
+    throw new BadRequestError(`Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file and import it in parts`);
+  }
+
+  const matcher = createMemberMatcher(members, memberMapping);
+  const matches = new Map();
+  const matchMember = reference => {
+    const key = String(reference);
+    if (!matches.has(key)) {
+      matches.set(key, matcher(reference));
+    }
+    return matches.get(key);
+  };
+
+  const rows = parsedRows.map(row => resolveRow(row, { matchMember, userId, members }));
+  markDuplicates(rows, await expenseRepository.findByGroupId(groupId));
+
+  const count = status => rows.filter(row => row.status === status).length;
+
+  return {
+    source,
+    summary: {
+      total: rows.length,
+      ready: count('ready'),
+      duplicates: count('duplicate'),
+      skipped: count('skipped'),
+      errors: count('error')
+    },
+    members: [...matches.entries()].map(([reference, match]) => ({
+      reference,
+      userId: match ? match.userId : null,
+      matchedBy: match ? match.matchedBy : null
+    })),
+    rows
+  };
+}
+
+/**
+ * Import expenses. The whole file is validated first and nothing is saved
+ * while any row has an error. Rows are then created one by one, so if
+ * saving fails part way, running the import again skips the rows already
+ * saved as duplicates.
+ * @param {string} groupId Group to import into
+ * @param {string} userId Importing user, recorded as the creator
+ * @param {Object} params Import parameters, as for previewImport
+ * @param {boolean} [params.includeDuplicates=false] Import rows flagged as duplicates too
+ * @returns {Promise<Object>} `{ source, summary, expenses }` with the created expenses
+ */
+async function commitImport(groupId, userId, params) {
+  const preview = await previewImport(groupId, userId, params);
+
+  if (preview.summary.errors > 0) {
+    throw new BadRequestError(
+      `${preview.summary.errors} row(s) cannot be imported; preview the import to see why`
+    );
+  }
+
+  const importable = preview.rows.filter(row =>
+    row.status === 'ready' || (params.includeDuplicates && row.status === 'duplicate')
+  );
+  const expenses = [];
+
+  for (const row of importable) {
+    expenses.push(await expenseService.createExpense(
+      { ...row.expense, groupId, createdBy: userId, importSource: preview.source },
+      row.splits
+    ));
+  }
+
+  return {
+    source: preview.source,
+    summary: { ...preview.summary, imported: expenses.length },
+    expenses
+  };
+}
+
+module.exports = {
+  previewImport,
+  commitImport
+};
@@ -0,0 +1,192 @@
+/**
+ * Job Queue Service
+ * 
+ * Bull job queues for expense-service background work. Recurring expenses
+ * are materialized by a repeatable sweep job, plus one-off jobs when a
+ * schedule is created or resumed. Deleted expenses are purged from the
+ * trash by another repeatable job, and a third takes balance snapshots of
+ * the groups whose expenses changed.
+ */
+
+const Bull = require('bull');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+// How often the sweep looks for due occurrences
+const SWEEP_INTERVAL_MS = Number(process.env.RECURRING_EXPENSE_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+
+const SWEEP_JOB_ID = 'recurring-expense-sweep';
+
+// How often expenses past the trash retention window are purged
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.EXPENSE_TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+const TRASH_PURGE_JOB_ID = 'expense-trash-purge';
+
+// How often groups with changed expenses get their balance snapshots taken
+const BALANCE_SNAPSHOT_INTERVAL_MS = Number(process.env.BALANCE_SNAPSHOT_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+
+const BALANCE_SNAPSHOT_JOB_ID = 'balance-snapshot-sweep';
+
+// Default job options
+const defaultJobOptions = {
+  attempts: 3,               // Retry jobs up to 3 times
+  backoff: {
+    type: 'exponential',     // Exponential backoff
+    delay: 1000              // Starting delay of 1 second
+  },
+  removeOnComplete: 100,     // Keep last 100 completed jobs
+  removeOnFail: 200          // Keep last 200 failed jobs
+};
+
+let recurringExpenseQueue = null;
+let expenseTrashQueue = null;
+let balanceSnapshotQueue = null;
+
+/**
+ * Get the recurring expense queue, connecting on first use
+ * @returns {Object} Bull queue
+ */
+function getRecurringExpenseQueue() {
+  if (!recurringExpenseQueue) {
+    recurringExpenseQueue = new Bull('recurring-expenses', REDIS_URL, { defaultJobOptions });
+
+    recurringExpenseQueue.on('failed', (job, error) => {
+      console.error(`Recurring expense job ${job.id} (${job.name}) failed:`, error.message);
+    });
+
+    recurringExpenseQueue.on('stalled', jobId => {
+      console.warn(`Recurring expense job ${jobId} has stalled`);
+    });
+  }
+
+  return recurringExpenseQueue;
+}
+
+/**
+ * Get the expense trash queue, connecting on first use
+ * @returns {Object} Bull queue
+ */
+function getExpenseTrashQueue() {
+  if (!expenseTrashQueue) {
+    expenseTrashQueue = new Bull('expense-trash', REDIS_URL, { defaultJobOptions });
+
+    expenseTrashQueue.on('failed', (job, error) => {
+      console.error(`Expense trash job ${job.id} (${job.name}) failed:`, error.message);
+    });
+  }
+
+  return expenseTrashQueue;
+}
+
+/**
+ * Get the balance snapshot queue, connecting on first use
+ * @returns {Object} Bull queue
+ */
+function getBalanceSnapshotQueue() {
+  if (!balanceSnapshotQueue) {
+    balanceSnapshotQueue = new Bull('balance-snapshots', REDIS_URL, { defaultJobOptions });
+
+    balanceSnapshotQueue.on('failed', (job, error) => {
+      console.error(`Balance snapshot job ${job.id} (${job.name}) failed:`, error.message);
+    });
+  }
+
+  return balanceSnapshotQueue;
+}
+
+/**
+ * Add a job to generate the due occurrences of one recurring expense
+ * @param {string} recurringExpenseId - Recurring expense ID
+ * @param {Object} [options] - Bull job options
+ * @returns {Promise<Object>} Created job
+ */
+async function addRecurringExpenseJob(recurringExpenseId, options = {}) {
+  return getRecurringExpenseQueue().add(
+    'generate',
+    { recurringExpenseId: String(recurringExpenseId) },
+    { ...defaultJobOptions, ...options }
+  );
+}
+
+/**
+ * Start processing recurring expense jobs. Registers the repeatable sweep
+ * and runs one sweep straight away, so occurrences missed while the
+ * service was down are back-filled on startup.
+ * @param {Object} handlers - Job handlers
+ * @param {Function} handlers.generate - Called with a recurring expense ID
+ * @param {Function} handlers.sweep - Called to process every due recurring expense
+ * @returns {Promise<void>}
+ */
+async function startRecurringExpenseWorker({ generate, sweep }) {
+  const queue = getRecurringExpenseQueue();
+
+  // One job at a time, so occurrences of a schedule are never generated concurrently
+  queue.process('generate', 1, job => generate(job.data.recurringExpenseId));
+  queue.process('sweep', 1, () => sweep());
+
+  await queue.add('sweep', {}, {
+    ...defaultJobOptions,
+    jobId: SWEEP_JOB_ID,
+    repeat: { every: SWEEP_INTERVAL_MS }
+  });
+  await queue.add('sweep', {}, defaultJobOptions);
+}
+
+/**
+ * Start purging expenses that have been in the trash longer than the
+ * retention window, on a repeatable schedule
+ * @param {Function} purge - Called to purge expired expenses
+ * @returns {Promise<void>}
+ */
+async function startTrashPurgeWorker(purge) {
+  const queue = getExpenseTrashQueue();
+
+  queue.process('purge', 1, () => purge());
+
+  await queue.add('purge', {}, {
+    ...defaultJobOptions,
+    jobId: TRASH_PURGE_JOB_ID,
+    repeat: { every: TRASH_PURGE_INTERVAL_MS }
+  });
+}
+
+/**
+ * Start taking balance snapshots, on a repeatable schedule, of the groups
+ * whose expenses changed since the previous run
+ * @param {Function} snapshot - Called with the earliest change time to consider
+ * @returns {Promise<void>}
+ */
+async function startBalanceSnapshotWorker(snapshot) {
+  const queue = getBalanceSnapshotQueue();
+
+  queue.process('snapshot', 1, () => snapshot(new Date(Date.now() - BALANCE_SNAPSHOT_INTERVAL_MS)));
+
+  await queue.add('snapshot', {}, {
+    ...defaultJobOptions,
+    jobId: BALANCE_SNAPSHOT_JOB_ID,
+    repeat: { every: BALANCE_SNAPSHOT_INTERVAL_MS }
+  });
+}
+
+/**
+ * Get queue health information for monitoring
+ * @returns {Promise<Object>} Job counts by state
+ */
+async function getQueueHealth() {
+  return {
+    recurringExpenses: await getRecurringExpenseQueue().getJobCounts(),
+    expenseTrash: await getExpenseTrashQueue().getJobCounts(),
+    balanceSnapshots: await getBalanceSnapshotQueue().getJobCounts()
+  };
+}
+
+module.exports = {
+  getRecurringExpenseQueue,
+  addRecurringExpenseJob,
+  startRecurringExpenseWorker,
+  getExpenseTrashQueue,
+  startTrashPurgeWorker,
+  getBalanceSnapshotQueue,
+  startBalanceSnapshotWorker,
+  getQueueHealth
+};
@@ -0,0 +1,492 @@
+/**
+ * Recurring Expense Service
+ *
+ * Manages recurring expense schedules (rent, subscriptions) and
+ * materializes their occurrences as regular expenses. Generation is
+ * idempotent: each occurrence is recorded on the expense it produced, so
+ * catching up after downtime or re-running a job never creates duplicates.
+ */
+
+const recurringExpenseRepository = require('../repositories/recurring-expense.repository');
+const expenseRepository = require('../repositories/expense.repository');
+const RecurringExpenseModel = require('../models/recurring-expense.model');
+const expenseService = require('./expense.service');
+const splitService = require('./split.service');
+const jobQueue = require('./job-queue.service');
+const {
+  parseRule,
+  formatRule,
+  getOccurrences,
+  getNextOccurrence
+} = require('../utils/recurrence.utils');
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError
+} = require('../../../../shared/errors');
+
+const { STATUS } = RecurringExpenseModel;
+
+// Most occurrences generated for one schedule in a single run; the rest
+// are picked up by the next sweep
+const MAX_BACKFILL = Number(process.env.RECURRING_EXPENSE_MAX_BACKFILL) || 100;
+
+/**
+ * Parse and normalize a schedule
+ * @param {Object} schedule Schedule `{ rule, startDate, endDate }`
+ * @returns {Object} Normalized schedule with the rule in canonical form
+ * @private
+ */
+function normalizeSchedule(schedule) {
+  if (!schedule || !schedule.rule || !schedule.startDate) {
+    throw new BadRequestError('Schedule rule and start date are required');
+  }
+
+  let rule;
+  try {
+    rule = parseRule(schedule.rule);
+  } catch (error) {
+    throw new BadRequestError(`Invalid recurrence rule: ${error.message}`);
+  }
+
+  const startDate = new Date(schedule.startDate);
+  const endDate = schedule.endDate ? new Date(schedule.endDate) : null;
+
+  if (endDate && endDate < startDate) {
+    throw new BadRequestError('Schedule end date must be after its start date');
+  }
+
+  return {
+    rule: formatRule(rule),
+    startDate: startDate.toISOString(),
+    endDate: endDate ? endDate.toISOString() : null
+  };
+}
+
+/**
+ * Get the first occurrence of a schedule strictly after a date, or the
+ * first occurrence at all when no date is given
+ * @param {Object} schedule Normalized schedule
+ * @param {Date|string} [after] Date to search from (exclusive)
+ * @returns {string|null} Occurrence as an ISO string, or null when the schedule has ended
+ * @private
+ */
+function nextOccurrence(schedule, after) {
+  const next = after
+    ? getNextOccurrence(schedule.rule, schedule.startDate, after, schedule.endDate)
+    : getOccurrences(schedule.rule, schedule.startDate, { endDate: schedule.endDate, limit: 1 })[0];
+
+  return next ? next.toISOString() : null;
+}
+
+/**
+ * Calculate the splits of one occurrence from the split template
+ * @param {Object} recurringExpense Recurring expense
+ * @param {string} occurrenceDate Occurrence date
+ * @returns {Array} Calculated splits
+ * @private
+ */
+function calculateOccurrenceSplits(recurringExpense, occurrenceDate) {
+  return splitService.calculateSplitAmounts(
+    {
+      id: `${recurringExpense._id}:${occurrenceDate}`,
+      amount: recurringExpense.amount,
+      currency: recurringExpense.currency,
+      items: recurringExpense.items,
+      tax: recurringExpense.tax,
+      tip: recurringExpense.tip,
+      serviceCharge: recurringExpense.serviceCharge
+    },
+    recurringExpense.splits
+  );
+}
+
+/**
+ * Check whether an error is a duplicate key error from the unique
+ * occurrence index
+ * @param {Error} error Error thrown by the repository
+ * @returns {boolean} Whether the occurrence already exists
+ * @private
+ */
+function isDuplicateOccurrence(error) {
+  const cause = error.originalError || error;
+  return cause.code === 11000;
+}
+
+/**
+ * Queue generation of due occurrences without failing the request
+ * @param {string} recurringExpenseId Recurring expense ID
+ * @private
+ */
+function queueGeneration(recurringExpenseId) {
+  jobQueue.addRecurringExpenseJob(recurringExpenseId).catch(error => {
+    console.error(`Failed to queue recurring expense ${recurringExpenseId}:`, error.message);
+  });
+}
+
+/**
+ * Create a recurring expense
+ * @param {Object} data Recurring expense data with `schedule` and split template
+ * @param {string} userId ID of the user creating it
+ * @returns {Promise<Object>} Created recurring expense
+ */
+async function createRecurringExpense(data, userId) {
+  if (!data || !data.groupId || !data.amount || !data.paidBy) {
+    throw new BadRequestError('Invalid recurring expense data');
+  }
+
+  const schedule = normalizeSchedule(data.schedule);
+  const nextOccurrenceAt = nextOccurrence(schedule);
+
+  if (!nextOccurrenceAt) {
+    throw new BadRequestError('Schedule has no occurrences');
+  }
+
+  // Validate the split template against the amount up front
+  calculateOccurrenceSplits({ ...data, _id: 'new' }, nextOccurrenceAt);
+
+  const recurringExpense = await recurringExpenseRepository.createRecurringExpense({
+    ...data,
+    schedule,
+    nextOccurrenceAt,
+    createdBy: userId
+  });
+
+  // Schedules starting in the past are back-filled right away
+  if (new Date(nextOccurrenceAt) <= new Date()) {
+    queueGeneration(recurringExpense._id);
+  }
+
+  return recurringExpense;
+}
+
+/**
+ * Get a recurring expense by ID
+ * @param {string} recurringExpenseId Recurring expense ID
+ * @returns {Promise<Object>} Recurring expense
+ */
+async function getRecurringExpense(recurringExpenseId) {
+  if (!recurringExpenseId) {
+    throw new BadRequestError('Recurring expense ID is required');
+  }
+
+  const recurringExpense = await recurringExpenseRepository.findById(recurringExpenseId);
+  if (!recurringExpense || recurringExpense.status === STATUS.CANCELLED) {
+    throw new NotFoundError('Recurring expense not found');
+  }
+
+  return recurringExpense;
+}
+
+/**
+ * List the recurring expenses of a group
+ * @param {string} groupId Group ID
+ * @returns {Promise<Array>} Recurring expenses
+ */
+async function getGroupRecurringExpenses(groupId) {
+  if (!groupId) {
+    throw new BadRequestError('Group ID is required');
+  }
+
+  return recurringExpenseRepository.findByGroupId(groupId);
+}
+
+/**
+ * Make sure a user may change a recurring expense
+ * @param {Object} recurringExpense Recurring expense
+ * @param {string} userId User ID
+ * @private
+ */
+function assertCanModify(recurringExpense, userId) {
+  if (String(recurringExpense.createdBy) !== String(userId) &&
+      String(recurringExpense.paidBy) !== String(userId)) {
+    throw new ForbiddenError('You do not have permission to change this recurring expense');
+  }
+}
+
+/**
+ * Update a recurring expense. Changes apply to future occurrences only.
+ * @param {string} recurringExpenseId Recurring expense ID
+ * @param {Object} updateData Fields to update
+ * @param {string} userId ID of the user making the change
+ * @returns {Promise<Object>} Updated recurring expense
+ */
+async function updateRecurringExpense(recurringExpenseId, updateData, userId) {
+  const recurringExpense = await getRecurringExpense(recurringExpenseId);
+  assertCanModify(recurringExpense, userId);
+
+  if (recurringExpense.status === STATUS.COMPLETED && !updateData.schedule) {
+    throw new ConflictError('Recurring expense has completed');
+  }
+
+  const updated = { ...recurringExpense, ...updateData };
+  const changes = { ...updateData };
+
+  if (updateData.splits) {
+    changes.splits = updateData.splits.map(split => RecurringExpenseModel.createSplitTemplate(split));
+    updated.splits = changes.splits;
+  }
+
+  if (updateData.schedule) {
+    changes.schedule = normalizeSchedule(updateData.schedule);
+    changes.nextOccurrenceAt = nextOccurrence(changes.schedule, recurringExpense.lastOccurrenceAt);
+
+    if (!changes.nextOccurrenceAt) {
+      throw new BadRequestError('Schedule has no remaining occurrences');
+    }
+
+    // An extended schedule brings a completed recurring expense back to life
+    if (recurringExpense.status === STATUS.COMPLETED) {
+      changes.status = STATUS.ACTIVE;
+    }
+  }
+
+  // Validate the split template against the (possibly new) amount
+  calculateOccurrenceSplits(updated, changes.nextOccurrenceAt || recurringExpense.nextOccurrenceAt);
+
+  return recurringExpenseRepository.updateRecurringExpense(recurringExpenseId, changes);
+}
+
+/**
+ * Pause a recurring expense. Occurrences that fall while it is paused are
+ * not generated.
+ * @param {string} recurringExpenseId Recurring expense ID
+ * @param {string} userId ID of the user pausing it
+ * @returns {Promise<Object>} Updated recurring expense
+ */
+async function pauseRecurringExpense(recurringExpenseId, userId) {
+  const recurringExpense = await getRecurringExpense(recurringExpenseId);
+  assertCanModify(recurringExpense, userId);
+
+  if (recurringExpense.status !== STATUS.ACTIVE) {
+    throw new ConflictError(`Cannot pause a ${recurringExpense.status} recurring expense`);
+  }
+
+  return recurringExpenseRepository.updateRecurringExpense(recurringExpenseId, {
+    status: STATUS.PAUSED,
+    pausedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Resume a paused recurring expense from its next occurrence after now
+ * @param {string} recurringExpenseId Recurring expense ID
+ * @param {string} userId ID of the user resuming it
+ * @returns {Promise<Object>} Updated recurring expense
+ */
+async function resumeRecurringExpense(recurringExpenseId, userId) {
+  const recurringExpense = await getRecurringExpense(recurringExpenseId);
+  assertCanModify(recurringExpense, userId);
+
+  if (recurringExpense.status !== STATUS.PAUSED) {
+    throw new ConflictError(`Cannot resume a ${recurringExpense.status} recurring expense`);
+  }
+
+  // Skip whatever fell due while paused, but never go back before the
+  // next occurrence that was still pending when it was paused
+  const now = new Date();
+  const pending = new Date(recurringExpense.nextOccurrenceAt);
+  const nextOccurrenceAt = pending >= now
+    ? recurringExpense.nextOccurrenceAt
+    : nextOccurrence(recurringExpense.schedule, new Date(now.getTime() - 1));
+
+  return recurringExpenseRepository.updateRecurringExpense(recurringExpenseId, {
+    status: nextOccurrenceAt ? STATUS.ACTIVE : STATUS.COMPLETED,
+    nextOccurrenceAt,
+    pausedAt: null
+  });
+}
+
+/**
+ * Skip the next occurrence of a recurring expense
+ * @param {string} recurringExpenseId Recurring expense ID
+ * @param {string} userId ID of the user skipping it
+ * @returns {Promise<Object>} Updated recurring expense
+ */
+async function skipNextOccurrence(recurringExpenseId, userId) {
+  const recurringExpense = await getRecurringExpense(recurringExpenseId);
+  assertCanModify(recurringExpense, userId);
+
+  if (![STATUS.ACTIVE, STATUS.PAUSED].includes(recurringExpense.status) ||
+      !recurringExpense.nextOccurrenceAt) {
+    throw new ConflictError('Recurring expense has no upcoming occurrence');
+  }
+
+  const skipped = recurringExpense.nextOccurrenceAt;
+  const nextOccurrenceAt = nextOccurrence(recurringExpense.schedule, skipped);
+
+  const changes = {
+    skippedOccurrences: [...(recurringExpense.skippedOccurrences || []), skipped],
+    nextOccurrenceAt
+  };
+
+  if (!nextOccurrenceAt) {
+    changes.status = STATUS.COMPLETED;
+  }
+
+  return recurringExpenseRepository.updateRecurringExpense(recurringExpenseId, changes);
+}
+
+/**
+ * Cancel a recurring expense. Expenses it already generated are kept.
+ * @param {string} recurringExpenseId Recurring expense ID
+ * @param {string} userId ID of the user cancelling it
+ * @returns {Promise<boolean>} Success status
+ */
+async function cancelRecurringExpense(recurringExpenseId, userId) {
+  const recurringExpense = await getRecurringExpense(recurringExpenseId);
+  assertCanModify(recurringExpense, userId);
+
+  await recurringExpenseRepository.updateRecurringExpense(recurringExpenseId, {
+    status: STATUS.CANCELLED,
+    nextOccurrenceAt: null
+  });
+
+  return true;
+}
+
+/**
+ * Preview the upcoming occurrences of a recurring expense
+ * @param {string} recurringExpenseId Recurring expense ID
+ * @param {number} [limit=5] Number of occurrences
+ * @returns {Promise<Array<string>>} Upcoming occurrence dates, skipped ones excluded
+ */
+async function getUpcomingOccurrences(recurringExpenseId, limit = 5) {
+  const recurringExpense = await getRecurringExpense(recurringExpenseId);
+
+  if (!recurringExpense.nextOccurrenceAt) {
+    return [];
+  }
+
+  const skipped = new Set(recurringExpense.skippedOccurrences || []);
+
+  return getOccurrences(recurringExpense.schedule.rule, recurringExpense.schedule.startDate, {
+    endDate: recurringExpense.schedule.endDate,
+    from: recurringExpense.nextOccurrenceAt,
+    limit: limit + skipped.size
+  })
+    .map(date => date.toISOString())
+    .filter(date => !skipped.has(date))
+    .slice(0, limit);
+}
+
+/**
+ * Generate every due occurrence of a recurring expense, back-filling any
+ * that were missed while the scheduler was down
+ * @param {string} recurringExpenseId Recurring expense ID
+ * @param {Date} [now] Current time
+ * @returns {Promise<Array>} Expenses created by this run
+ */
+async function generateDueOccurrences(recurringExpenseId, now = new Date()) {
+  const recurringExpense = await recurringExpenseRepository.findById(recurringExpenseId);
+
+  if (!recurringExpense || recurringExpense.status !== STATUS.ACTIVE ||
+      !recurringExpense.nextOccurrenceAt) {
+    return [];
+  }
+
+  const { schedule } = recurringExpense;
+  const skipped = new Set(recurringExpense.skippedOccurrences || []);
+  const due = getOccurrences(schedule.rule, schedule.startDate, {
+    endDate: schedule.endDate,
+    from: recurringExpense.nextOccurrenceAt,
+    to: now,
+    limit: MAX_BACKFILL
+  }).map(date => date.toISOString());
+
+  const created = [];
+
+  for (const occurrenceDate of due) {
+    if (skipped.has(occurrenceDate)) {
+      continue;
+    }
+
+    if (await expenseRepository.findByOccurrence(recurringExpense._id, occurrenceDate)) {
+      continue;
+    }
+
+    try {
+      const expense = await expenseService.createExpense(
+        {
+          groupId: recurringExpense.groupId,
+          description: recurringExpense.description,
+          amount: recurringExpense.amount,
+          currency: recurringExpense.currency,
+          date: occurrenceDate,
+          category: recurringExpense.category,
+          notes: recurringExpense.notes,
+          paidBy: recurringExpense.paidBy,
+          createdBy: recurringExpense.createdBy,
+          items: recurringExpense.items,
+          tax: recurringExpense.tax,
+          tip: recurringExpense.tip,
+          serviceCharge: recurringExpense.serviceCharge,
+          recurringExpenseId: recurringExpense._id,
+          occurrenceDate
+        },
+        calculateOccurrenceSplits(recurringExpense, occurrenceDate)
+      );
+      created.push(expense);
+    } catch (error) {
+      // Another worker generated it first
+      if (!isDuplicateOccurrence(error)) {
+        throw error;
+      }
+    }
+  }
+
+  if (due.length === 0) {
+    return created;
+  }
+
+  const lastOccurrenceAt = due[due.length - 1];
+  const nextOccurrenceAt = nextOccurrence(schedule, lastOccurrenceAt);
+
+  await recurringExpenseRepository.updateRecurringExpense(recurringExpense._id, {
+    lastOccurrenceAt,
+    nextOccurrenceAt,
+    generatedCount: (recurringExpense.generatedCount || 0) + created.length,
+    status: nextOccurrenceAt ? STATUS.ACTIVE : STATUS.COMPLETED
+  });
+
+  return created;
+}
+
+/**
+ * Generate due occurrences for every active recurring expense
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Summary `{ processed, generated, failed }`
+ */
+async function processDueRecurringExpenses(now = new Date()) {
+  const dueExpenses = await recurringExpenseRepository.findDue(now);
+  const summary = { processed: 0, generated: 0, failed: 0 };
+
+  for (const recurringExpense of dueExpenses) {
+    try {
+      const created = await generateDueOccurrences(recurringExpense._id, now);
+      summary.processed++;
+      summary.generated += created.length;
+    } catch (error) {
+      // One broken schedule must not hold up the others
+      summary.failed++;
+      console.error(`Failed to generate recurring expense ${recurringExpense._id}:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  createRecurringExpense,
+  getRecurringExpense,
+  getGroupRecurringExpenses,
+  updateRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  skipNextOccurrence,
+  cancelRecurringExpense,
+  getUpcomingOccurrences,
+  generateDueOccurrences,
+  processDueRecurringExpenses
+};
@@ -0,0 +1,68 @@
+/**
+ * Settlement Service Client
+ *
+ * Notifies settlement-service about expense changes that affect
+ * group balances so it can drop its cached debt graphs, and reads the
+ * settlements and daily exchange rates it maintains.
+ */
+
+const { createServiceClient } = require('../../../../shared/services/service-client');
+
+const client = createServiceClient({
+  serviceName: 'expense-service',
+  targetService: 'settlement-service',
+  baseURL: process.env.SETTLEMENT_SERVICE_URL || 'http://localhost:4003'
+});
+
+/**
+ * Invalidate the cached debt graph for a group.
+ * Failures are logged rather than thrown so expense writes never fail
+ * because settlement-service is unreachable; the cache entry expires on its own.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<boolean>} Whether the invalidation was delivered
+ */
+async function invalidateGroupDebtGraph(groupId) {
+  if (!groupId) {
+    return false;
+  }
+
+  try {
+    await client.post(`/api/internal/groups/${groupId}/debt-graph/invalidate`);
+    return true;
+  } catch (error) {
+    console.error(`Failed to invalidate debt graph for group ${groupId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the exchange rates effective on a day
+ * @param {string} baseCurrency - Base currency code
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @returns {Promise<Object>} `{ base, date, effectiveDate, rates }` with units of each currency per base unit
+ */
+async function getDailyRates(baseCurrency, date) {
+  const response = await client.get('/api/internal/currencies/rates', {
+    params: { base: baseCurrency, date }
+  });
+
+  return response.data;
+}
+
+/**
+ * Get the settlements of a group that have been paid towards, with their
+ * recorded payments
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Array<Object>>} Settlements in the shape the balance service expects
+ */
+async function getGroupSettlements(groupId) {
+  const response = await client.get(`/api/internal/groups/${groupId}/settlements`);
+
+  return response.data;
+}
+
+module.exports = {
+  invalidateGroupDebtGraph,
+  getDailyRates,
+  getGroupSettlements
+};
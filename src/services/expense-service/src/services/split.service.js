@@ -6,12 +6,24 @@
  */
 
 const { BadRequestError } = require('../../../../shared/errors');
-const { roundToTwoDecimals } = require('../utils/math.utils');
+const {
+  allocateProportionally,
+  toMinorUnits,
+  fromMinorUnits,
+  hasValidPrecision,
+  getCurrencyExponent,
+  rotationOffset,
+  addAmounts
+} = require('../utils/math.utils');
+
+// Receipt charges that are shared in proportion to each user's item subtotal
+const ITEMIZED_CHARGES = ['tax', 'tip', 'serviceCharge'];
 
 class SplitService {
   /**
    * Calculate split amounts for an expense
-   * @param {Object} expense - The expense object
+   * @param {Object} expense - The expense object (itemized expenses also
+   *   carry `items` and optional `tax`, `tip` and `serviceCharge`)
    * @param {Array} splits - Array of split objects
    * @returns {Array} Updated splits with calculated amounts
    */
@@ -22,13 +34,24 @@ class SplitService {
     // Group splits by type
     const splitsByType = this._groupSplitsByType(splits);
     
-    // Calculate amounts based on split type
-    let remainingAmount = expense.amount;
+    // Itemized splits cover the whole receipt, so they can't be combined
+    if (splitsByType.itemized) {
+      if (splitsByType.itemized.length !== splits.length) {
+        throw new BadRequestError('Itemized splits cannot be combined with other split types');
+      }
+      
+      return this._processItemizedSplits(splitsByType.itemized, expense);
+    }
+    
+    // All amounts are calculated in integer minor units of the currency
+    const currency = expense.currency || 'USD';
+    const offset = this._getRotationOffset(expense);
+    let remainingAmount = this._toMinorUnits(expense.amount, currency, 'expense amount');
     let processedSplits = [];
     
     // Process fixed amount splits first (they have explicitly set amounts)
     if (splitsByType.fixed && splitsByType.fixed.length > 0) {
-      const fixedSplits = this._processFixedSplits(splitsByType.fixed, expense);
+      const fixedSplits = this._processFixedSplits(splitsByType.fixed, currency);
       processedSplits = [...processedSplits, ...fixedSplits];
       
       // Calculate remaining amount after fixed splits
@@ -44,26 +67,22 @@ class SplitService {
     if (splitsByType.percentage && splitsByType.percentage.length > 0) {
       const percentageSplits = this._processPercentageSplits(
         splitsByType.percentage, 
-        expense,
-        remainingAmount
+        remainingAmount,
+        offset
       );
       processedSplits = [...processedSplits, ...percentageSplits];
       
       // Calculate remaining amount after percentage splits
       const percentageTotal = percentageSplits.reduce((sum, split) => sum + split.amount, 0);
       remainingAmount -= percentageTotal;
-      
-      if (remainingAmount < 0) {
-        throw new BadRequestError('Total of percentage amounts exceeds remaining expense amount');
-      }
     }
     
     // Process share splits
     if (splitsByType.share && splitsByType.share.length > 0) {
       const shareSplits = this._processShareSplits(
         splitsByType.share, 
-        expense,
-        remainingAmount
+        remainingAmount,
+        offset
       );
       processedSplits = [...processedSplits, ...shareSplits];
       
@@ -76,23 +95,25 @@ class SplitService {
     if (splitsByType.equal && splitsByType.equal.length > 0) {
       const equalSplits = this._processEqualSplits(
         splitsByType.equal, 
-        expense,
-        remainingAmount
+        remainingAmount,
+        offset
       );
       processedSplits = [...processedSplits, ...equalSplits];
       
-      // At this point, remainingAmount should be 0 or very close due to rounding
       const equalTotal = equalSplits.reduce((sum, split) => sum + split.amount, 0);
       remainingAmount -= equalTotal;
     }
     
-    // Handle any remaining amount due to rounding errors (add to first split)
-    if (Math.abs(remainingAmount) > 0.01 && processedSplits.length > 0) {
-      processedSplits[0].amount = roundToTwoDecimals(processedSplits[0].amount + remainingAmount);
+    // Allocation is exact, so anything left means the fixed amounts fall short
+    if (remainingAmount !== 0) {
+      throw new BadRequestError('Split amounts must add up to the expense amount');
     }
     
-    // Combine all processed splits
-    return processedSplits;
+    // Convert back to decimal amounts
+    return processedSplits.map(split => ({
+      ...split,
+      amount: fromMinorUnits(split.amount, currency)
+    }));
   }
   
   /**
@@ -141,11 +162,11 @@ class SplitService {
   /**
    * Process fixed amount splits
    * @param {Array} splits - Array of fixed amount splits
-   * @param {Object} expense - The expense object
-   * @returns {Array} Processed splits with calculated amounts
+   * @param {string} currency - Currency code
+   * @returns {Array} Processed splits with amounts in minor units
    * @private
    */
-  _processFixedSplits(splits, expense) {
+  _processFixedSplits(splits, currency) {
     return splits.map(split => {
       if (!split.amount || split.amount <= 0) {
         throw new BadRequestError(`Invalid fixed amount for user ${split.userId}`);
@@ -153,7 +174,7 @@ class SplitService {
       
       return {
         ...split,
-        amount: roundToTwoDecimals(split.amount)
+        amount: this._toMinorUnits(split.amount, currency, `fixed amount for user ${split.userId}`)
       };
     });
   }
@@ -161,12 +182,12 @@ class SplitService {
   /**
    * Process percentage splits
    * @param {Array} splits - Array of percentage splits
-   * @param {Object} expense - The expense object
-   * @param {number} remainingAmount - Remaining amount to split
-   * @returns {Array} Processed splits with calculated amounts
+   * @param {number} remainingAmount - Remaining amount to split in minor units
+   * @param {number} offset - Rotation offset for leftover minor units
+   * @returns {Array} Processed splits with amounts in minor units
    * @private
    */
-  _processPercentageSplits(splits, expense, remainingAmount) {
+  _processPercentageSplits(splits, remainingAmount, offset) {
     // Validate percentage total
     const percentageTotal = splits.reduce((sum, split) => sum + (split.percentage || 0), 0);
     
@@ -174,99 +195,244 @@ class SplitService {
       throw new BadRequestError('Percentage splits must total 100%');
     }
     
-    return splits.map(split => {
+    splits.forEach(split => {
       if (!split.percentage || split.percentage <= 0) {
         throw new BadRequestError(`Invalid percentage for user ${split.userId}`);
       }
-      
-      const amount = (split.percentage / 100) * remainingAmount;
-      
-      return {
-        ...split,
-        amount: roundToTwoDecimals(amount)
-      };
     });
+    
+    const amounts = allocateProportionally(
+      remainingAmount,
+      splits.map(split => split.percentage),
+      offset
+    );
+    
+    return splits.map((split, index) => ({
+      ...split,
+      amount: amounts[index]
+    }));
   }
   
   /**
    * Process share splits
    * @param {Array} splits - Array of share splits
-   * @param {Object} expense - The expense object
-   * @param {number} remainingAmount - Remaining amount to split
-   * @returns {Array} Processed splits with calculated amounts
+   * @param {number} remainingAmount - Remaining amount to split in minor units
+   * @param {number} offset - Rotation offset for leftover minor units
+   * @returns {Array} Processed splits with amounts in minor units
    * @private
    */
-  _processShareSplits(splits, expense, remainingAmount) {
+  _processShareSplits(splits, remainingAmount, offset) {
     const totalShares = splits.reduce((sum, split) => sum + (split.shares || 0), 0);
     
     if (totalShares <= 0) {
       throw new BadRequestError('Total shares must be greater than 0');
     }
     
-    const processedSplits = splits.map(split => {
+    splits.forEach(split => {
       if (!split.shares || split.shares <= 0) {
         throw new BadRequestError(`Invalid shares for user ${split.userId}`);
       }
-      
-      const amount = (split.shares / totalShares) * remainingAmount;
+    });
+    
+    const amounts = allocateProportionally(
+      remainingAmount,
+      splits.map(split => split.shares),
+      offset
+    );
+    
+    return splits.map((split, index) => ({
+      ...split,
+      amount: amounts[index]
+    }));
+  }
+  
+  /**
+   * Process equal splits
+   * @param {Array} splits - Array of equal splits
+   * @param {number} remainingAmount - Remaining amount to split in minor units
+   * @param {number} offset - Rotation offset for leftover minor units
+   * @returns {Array} Processed splits with amounts in minor units
+   * @private
+   */
+  _processEqualSplits(splits, remainingAmount, offset) {
+    const amounts = allocateProportionally(
+      remainingAmount,
+      splits.map(() => 1),
+      offset
+    );
+    
+    return splits.map((split, index) => ({
+      ...split,
+      amount: amounts[index]
+    }));
+  }
+  
+  /**
+   * Process itemized splits. Each line item is shared by the users it is
+   * assigned to (equally, or by the quantity each user had), and tax, tip
+   * and service charge are shared in proportion to each user's item
+   * subtotal. Amounts are allocated in minor units so the splits always
+   * add up to the expense amount.
+   * @param {Array} splits - Array of itemized splits
+   * @param {Object} expense - The expense object with `items`
+   * @returns {Array} Processed splits with calculated amounts and a per-user breakdown
+   * @private
+   */
+  _processItemizedSplits(splits, expense) {
+    const { items } = expense;
+    const currency = expense.currency || 'USD';
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new BadRequestError('Itemized splits require at least one item');
+    }
+    
+    const userIds = splits.map(split => split.userId);
+    const itemShares = items.map(item => this._getItemShares(item, userIds, currency));
+    
+    const itemsTotal = itemShares.reduce((sum, item) => sum + item.total, 0);
+    const chargeAmounts = ITEMIZED_CHARGES.reduce((charges, charge) => {
+      charges[charge] = this._toMinorUnits(expense[charge] || 0, currency, charge);
+      return charges;
+    }, {});
+    const receiptTotal = itemsTotal + Object.values(chargeAmounts).reduce((sum, amount) => sum + amount, 0);
+    
+    if (receiptTotal !== this._toMinorUnits(expense.amount, currency, 'expense amount')) {
+      throw new BadRequestError(
+        `Itemized total ${fromMinorUnits(receiptTotal, currency)} does not match expense amount ${expense.amount}`
+      );
+    }
+    
+    // Exact (unrounded) item subtotal per user, used as allocation weights
+    const exactSubtotals = userIds.map(userId =>
+      itemShares.reduce((sum, item) => sum + (item.sharesByUser[userId] || 0), 0)
+    );
+    
+    exactSubtotals.forEach((subtotal, index) => {
+      if (subtotal === 0) {
+        throw new BadRequestError(`No items assigned to user ${userIds[index]}`);
+      }
+    });
+    
+    // Charges scale with item subtotals, so the whole receipt is allocated
+    // in one pass; rounding per charge would compound the leftover units
+    const totals = allocateProportionally(receiptTotal, exactSubtotals, this._getRotationOffset(expense));
+    const toDisplayAmount = minorUnits => fromMinorUnits(Math.round(minorUnits), currency);
+    
+    return splits.map((split, index) => {
+      const share = exactSubtotals[index] / itemsTotal;
       
       return {
         ...split,
-        amount: roundToTwoDecimals(amount)
+        amount: fromMinorUnits(totals[index], currency),
+        // Breakdown figures are the user's exact shares, rounded for display
+        breakdown: {
+          items: itemShares
+            .filter(item => item.sharesByUser[split.userId])
+            .map(item => ({
+              name: item.name,
+              amount: toDisplayAmount(item.sharesByUser[split.userId])
+            })),
+          subtotal: toDisplayAmount(exactSubtotals[index]),
+          ...ITEMIZED_CHARGES.reduce((breakdown, charge) => {
+            breakdown[charge] = toDisplayAmount(chargeAmounts[charge] * share);
+            return breakdown;
+          }, {})
+        }
       };
     });
+  }
+  
+  /**
+   * Work out how much of a line item each assigned user owes
+   * @param {Object} item - Line item `{ name, unitPrice, quantity, assignedTo }`
+   * @param {Array<string>} userIds - Users taking part in the split
+   * @param {string} currency - Currency code
+   * @returns {Object} Item name, line total in minor units and exact minor units owed per user
+   * @private
+   */
+  _getItemShares(item, userIds, currency) {
+    const name = item.name || 'Unnamed item';
+    const quantity = item.quantity === undefined ? 1 : item.quantity;
     
-    // Handle rounding errors by distributing the difference
-    const calculatedTotal = processedSplits.reduce((sum, split) => sum + split.amount, 0);
-    const difference = remainingAmount - calculatedTotal;
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new BadRequestError(`Invalid quantity for item "${name}"`);
+    }
     
-    if (Math.abs(difference) > 0.01) {
-      // Add difference to the user with the most shares
-      const maxShareSplit = processedSplits.reduce(
-        (max, split) => split.shares > max.shares ? split : max, 
-        processedSplits[0]
-      );
-      
-      const maxShareIndex = processedSplits.findIndex(
-        split => split.userId === maxShareSplit.userId
-      );
+    if (!item.unitPrice || item.unitPrice <= 0) {
+      throw new BadRequestError(`Invalid unit price for item "${name}"`);
+    }
+    
+    // Assignees are user IDs (shared equally) or { userId, quantity } objects
+    const assignees = (item.assignedTo || []).map(assignee =>
+      typeof assignee === 'string' ? { userId: assignee } : assignee
+    );
+    
+    if (assignees.length === 0) {
+      throw new BadRequestError(`Item "${name}" is not assigned to any user`);
+    }
+    
+    assignees.forEach(assignee => {
+      if (!userIds.includes(assignee.userId)) {
+        throw new BadRequestError(
+          `Item "${name}" is assigned to user ${assignee.userId} who is not part of the split`
+        );
+      }
+    });
+    
+    const byQuantity = assignees.some(assignee => assignee.quantity !== undefined);
+    if (byQuantity) {
+      const assignedQuantity = assignees.reduce((sum, assignee) => sum + (assignee.quantity || 0), 0);
       
-      processedSplits[maxShareIndex].amount = roundToTwoDecimals(
-        processedSplits[maxShareIndex].amount + difference
-      );
+      if (assignees.some(assignee => !(assignee.quantity > 0)) || assignedQuantity !== quantity) {
+        throw new BadRequestError(`Assigned quantities for item "${name}" must total ${quantity}`);
+      }
     }
     
-    return processedSplits;
+    const total = this._toMinorUnits(item.unitPrice, currency, `unit price of item "${name}"`) * quantity;
+    const totalWeight = byQuantity ? quantity : assignees.length;
+    const sharesByUser = {};
+    
+    assignees.forEach(assignee => {
+      const weight = byQuantity ? assignee.quantity : 1;
+      sharesByUser[assignee.userId] = (sharesByUser[assignee.userId] || 0) +
+        (total * weight) / totalWeight;
+    });
+    
+    return { name, total, sharesByUser };
   }
   
   /**
-   * Process equal splits
-   * @param {Array} splits - Array of equal splits
-   * @param {Object} expense - The expense object
-   * @param {number} remainingAmount - Remaining amount to split
-   * @returns {Array} Processed splits with calculated amounts
+   * Convert a money amount to minor units, rejecting amounts that are
+   * negative or more precise than the currency allows (e.g. 10.5 JPY)
+   * @param {number} value - Amount in major units
+   * @param {string} currency - Currency code
+   * @param {string} field - Field name for error messages
+   * @returns {number} Amount in minor units
    * @private
    */
-  _processEqualSplits(splits, expense, remainingAmount) {
-    const splitCount = splits.length;
-    const equalAmount = remainingAmount / splitCount;
-    
-    const processedSplits = splits.map(split => ({
-      ...split,
-      amount: roundToTwoDecimals(equalAmount)
-    }));
-    
-    // Handle rounding errors by distributing the difference
-    const calculatedTotal = processedSplits.reduce((sum, split) => sum + split.amount, 0);
-    const difference = remainingAmount - calculatedTotal;
+  _toMinorUnits(value, currency, field) {
+    if (typeof value !== 'number' || isNaN(value) || value < 0) {
+      throw new BadRequestError(`Invalid ${field}`);
+    }
     
-    if (Math.abs(difference) > 0.01) {
-      processedSplits[0].amount = roundToTwoDecimals(
-        processedSplits[0].amount + difference
+    if (!hasValidPrecision(value, currency)) {
+      throw new BadRequestError(
+        `Invalid ${field}: ${currency} amounts allow ${getCurrencyExponent(currency)} decimal places`
       );
     }
     
-    return processedSplits;
+    return toMinorUnits(value, currency);
+  }
+  
+  /**
+   * Get the tie-break rotation for an expense, so leftover minor units
+   * don't always go to the first participant
+   * @param {Object} expense - The expense object
+   * @returns {number} Rotation offset
+   * @private
+   */
+  _getRotationOffset(expense) {
+    return rotationOffset(expense._id || expense.id || expense.date);
   }
   
   /**
@@ -276,8 +442,9 @@ class SplitService {
    * @returns {boolean} Whether totals match
    */
   validateSplitTotal(splits, expense) {
-    const totalSplitAmount = splits.reduce((sum, split) => sum + split.amount, 0);
-    return Math.abs(totalSplitAmount - expense.amount) < 0.01;
+    const currency = expense.currency || 'USD';
+    const totalSplitAmount = splits.reduce((sum, split) => sum + toMinorUnits(split.amount, currency), 0);
+    return totalSplitAmount === toMinorUnits(expense.amount, currency);
   }
   
   /**
@@ -306,12 +473,16 @@ class SplitService {
       }
       
       visualization.splitsByType[split.splitType].count++;
-      visualization.splitsByType[split.splitType].total += split.amount;
+      visualization.splitsByType[split.splitType].total = addAmounts(
+        [visualization.splitsByType[split.splitType].total, split.amount],
+        expense.currency
+      );
       visualization.splitsByType[split.splitType].details.push({
         userId: split.userId,
         amount: split.amount,
         percentage: split.percentage,
-        shares: split.shares
+        shares: split.shares,
+        breakdown: split.breakdown
       });
       
       // Group by user
@@ -0,0 +1,114 @@
+/**
+ * CSV Utilities
+ *
+ * Reads CSV files as exported by spreadsheets, banks and other expense
+ * apps (RFC 4180): quoted fields may contain delimiters, line breaks and
+ * doubled quotes, lines may end in CRLF or LF, and a leading byte order
+ * mark is ignored.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} content - CSV text
+ * @param {Object} [options] - Options
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @returns {Array<Object>} Rows `{ line, fields }`, where line is the
+ *   1-based line the row starts on; blank lines are left out
+ */
+function parseCsv(content, { delimiter = ',' } = {}) {
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || delimiter === '"') {
+    throw new Error('Delimiter must be a single character other than a quote');
+  }
+
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into records keyed by column name
+ * @param {string} content - CSV text
+ * @param {Object} [options] - Options passed to parseCsv
+ * @returns {Object} `{ headers, records }`, where each record is
+ *   `{ line, values }` with values keyed by the trimmed header
+ */
+function parseCsvRecords(content, options) {
+  const [headerRow, ...rows] = parseCsv(content, options);
+
+  if (!headerRow) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = headerRow.fields.map(header => header.trim());
+  const records = rows.map(({ line, fields }) => ({
+    line,
+    values: headers.reduce((values, header, index) => {
+      values[header] = (fields[index] || '').trim();
+      return values;
+    }, {})
+  }));
+
+  return { headers, records };
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
@@ -0,0 +1,434 @@
+/**
+ * Import Utilities
+ *
+ * Turns files exported from other apps into expense rows ready for
+ * validation. Supported sources:
+ *
+ *   splitwise  Splitwise "Export as spreadsheet" CSV: Date, Description,
+ *              Category, Cost, Currency, then one column per member holding
+ *              that member's net balance for the expense
+ *   bank_csv   Any bank or card statement CSV, read through a column-mapping
+ *              template
+ *   json       Our own expense JSON (the data of GET /api/expenses, or an
+ *              array of expenses)
+ *
+ * Each parser returns one row per line of the file:
+ *
+ *   { line, status: 'parsed', expense, paidBy, splits }
+ *   { line, status: 'skipped' | 'error', reason }
+ *
+ * paidBy and the split members are member references (a user ID, name or
+ * email) that still have to be matched to group members. A null paidBy or
+ * splits means the template left them to the importer's defaults.
+ */
+
+const { parseCsvRecords } = require('./csv.utils');
+const { toMinorUnits, fromMinorUnits } = require('./math.utils');
+
+const SOURCES = ['splitwise', 'bank_csv', 'json'];
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+const SPLITWISE_COLUMNS = ['Date', 'Description', 'Category', 'Cost', 'Currency'];
+
+// Splitwise records repayments between members as expenses in this category
+const SPLITWISE_PAYMENT_CATEGORY = 'payment';
+
+/**
+ * Parse a date in one of the supported formats
+ * @param {string} value - Raw date, e.g. 2024-03-31 or 31/03/2024
+ * @param {string} [format='YYYY-MM-DD'] - One of DATE_FORMATS; the
+ *   separator may be /, - or .
+ * @returns {string|null} ISO timestamp at midnight UTC, or null if the
+ *   value is not a valid date
+ */
+function parseDate(value, format = 'YYYY-MM-DD') {
+  const match = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[T ].*)?$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [first, second, third] = match.slice(1).map(Number);
+  const parts = {
+    'YYYY-MM-DD': [first, second, third],
+    'DD/MM/YYYY': [third, second, first],
+    'MM/DD/YYYY': [third, first, second]
+  }[format];
+
+  if (!parts) {
+    throw new Error(`Unsupported date format ${format}`);
+  }
+
+  const [year, month, day] = parts;
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Date.UTC rolls over out-of-range days (Feb 30th) instead of failing
+  if (year < 1000 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Parse an amount as written in a statement
+ * @param {string|number} value - Raw amount, e.g. "-1,234.50", "(12.00)" or "$8"
+ * @param {string} [decimalSeparator='.'] - Decimal separator; the other of
+ *   . and , is treated as a thousands separator
+ * @returns {number} Parsed amount, or NaN
+ */
+function parseAmount(value, decimalSeparator = '.') {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  let text = String(value || '').replace(/\s/g, '');
+  // Accounting notation writes negative amounts in parentheses
+  const parenthesized = /^\(.*\)$/.test(text);
+  text = text.replace(/[()]/g, '').replace(/[^\d.,-]/g, '');
+
+  text = decimalSeparator === ','
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+
+  if (!/^-?\d*\.?\d+$/.test(text)) {
+    return NaN;
+  }
+
+  const amount = Number(text);
+  return parenthesized ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Normalize a member name or email for matching
+ * @param {string} value - Name or email
+ * @returns {string} Lower-case value without accents or extra spaces
+ */
+function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Create a function that matches member references from an import to
+ * group members. References are tried against the explicit mapping, then
+ * user IDs, full names, emails (or just the part before the @), and
+ * finally first names. A reference that fits more than one member is
+ * left unmatched rather than guessed.
+ * @param {Array<Object>} members - Group members `{ userId, name, email }`
+ * @param {Object} [memberMapping] - Reference -> user ID overrides for
+ *   names that can't be matched automatically
+ * @returns {Function} Matcher returning `{ userId, name, matchedBy }` or null
+ */
+function createMemberMatcher(members, memberMapping = {}) {
+  const mapping = Object.entries(memberMapping).reduce((normalized, [reference, userId]) => {
+    normalized[normalizeName(reference)] = userId;
+    return normalized;
+  }, {});
+
+  const findUnique = predicate => {
+    const candidates = members.filter(predicate);
+    return candidates.length === 1 ? candidates[0] : null;
+  };
+  const result = (member, matchedBy) => ({ userId: member.userId, name: member.name, matchedBy });
+
+  return reference => {
+    const normalized = normalizeName(reference);
+    if (!normalized) {
+      return null;
+    }
+
+    if (mapping[normalized]) {
+      const mapped = members.find(member => member.userId === mapping[normalized]);
+      return mapped ? result(mapped, 'mapping') : null;
+    }
+
+    const byId = members.find(member => String(member.userId) === String(reference).trim());
+    if (byId) {
+      return result(byId, 'id');
+    }
+
+    const byName = findUnique(member => normalizeName(member.name) === normalized);
+    if (byName) {
+      return result(byName, 'name');
+    }
+
+    const byEmail = findUnique(member => member.email && (
+      normalizeName(member.email) === normalized ||
+      normalizeName(member.email).split('@')[0] === normalized
+    ));
+    if (byEmail) {
+      return result(byEmail, 'email');
+    }
+
+    const firstName = normalized.split(' ')[0];
+    const byFirstName = findUnique(member => normalizeName(member.name).split(' ')[0] === firstName);
+    return byFirstName ? result(byFirstName, 'first_name') : null;
+  };
+}
+
+/**
+ * Check that a CSV file has the columns an import needs
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<string>} required - Required column names
+ * @private
+ */
+function assertColumns(headers, required) {
+  const missing = required.filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Work out who paid a Splitwise expense and each member's share from the
+ * members' net balances. The payer's balance is the cost minus their own
+ * share; everyone else's is minus their share.
+ * @param {number} cost - Cost in minor units
+ * @param {Array<Object>} balances - `{ name, net }` with net in minor units
+ * @returns {Object} `{ payer, shares }` or `{ reason }` when the row can't be converted
+ * @private
+ */
+function getSplitwiseShares(cost, balances) {
+  const payers = balances.filter(balance => balance.net > 0);
+
+  if (payers.length > 1) {
+    return { reason: 'Expenses paid by more than one person cannot be imported' };
+  }
+  if (payers.length === 0) {
+    return { reason: 'Could not tell who paid this expense' };
+  }
+  if (balances.reduce((total, balance) => total + balance.net, 0) !== 0) {
+    return { reason: 'Member balances do not add up to zero' };
+  }
+
+  const payer = payers[0];
+  const shares = balances.map(balance => ({
+    name: balance.name,
+    share: balance === payer ? cost - balance.net : -balance.net
+  }));
+
+  if (shares.some(({ share }) => share < 0)) {
+    return { reason: 'Member balances are larger than the cost' };
+  }
+
+  return { payer: payer.name, shares: shares.filter(({ share }) => share > 0) };
+}
+
+/**
+ * Parse a Splitwise CSV export
+ * @param {string} content - CSV text
+ * @returns {Array<Object>} Rows
+ */
+function parseSplitwiseCsv(content) {
+  const { headers, records } = parseCsvRecords(content);
+  assertColumns(headers, SPLITWISE_COLUMNS);
+
+  const memberNames = headers.slice(SPLITWISE_COLUMNS.length).filter(Boolean);
+
+  return records.map(({ line, values }) => {
+    // The file ends with a summary row of each member's total balance
+    if (!values.Date && normalizeName(values.Description) === 'total balance') {
+      return { line, status: 'skipped', reason: 'Total balance row' };
+    }
+    if (normalizeName(values.Category) === SPLITWISE_PAYMENT_CATEGORY) {
+      return { line, status: 'skipped', reason: 'Payments between members are settlements, not expenses' };
+    }
+
+    const date = parseDate(values.Date);
+    const amount = parseAmount(values.Cost);
+    const currency = (values.Currency || 'USD').toUpperCase();
+
+    if (!date) {
+      return { line, status: 'error', reason: `Invalid date "${values.Date}"` };
+    }
+    if (!(amount > 0)) {
+      return { line, status: 'error', reason: `Invalid cost "${values.Cost}"` };
+    }
+
+    const balances = memberNames.map(name => ({ name, net: parseAmount(values[name] || '0') }));
+    const invalid = balances.find(balance => isNaN(balance.net));
+    if (invalid) {
+      return { line, status: 'error', reason: `Invalid balance "${values[invalid.name]}" for ${invalid.name}` };
+    }
+
+    const { payer, shares, reason } = getSplitwiseShares(
+      toMinorUnits(amount, currency),
+      balances.map(balance => ({ name: balance.name, net: toMinorUnits(balance.net, currency) }))
+    );
+    if (reason) {
+      return { line, status: 'error', reason };
+    }
+
+    return {
+      line,
+      status: 'parsed',
+      expense: {
+        description: values.Description,
+        amount,
+        currency,
+        date,
+        category: values.Category || null
+      },
+      paidBy: payer,
+      splits: shares.map(({ name, share }) => ({
+        member: name,
+        splitType: 'fixed',
+        amount: fromMinorUnits(share, currency)
+      }))
+    };
+  });
+}
+
+/**
+ * Parse a bank or card statement CSV through a column-mapping template
+ * @param {string} content - CSV text
+ * @param {Object} template - Column-mapping template
+ * @param {Object} template.columns - Column names for date, description,
+ *   amount and, optionally, currency and category
+ * @param {string} [template.dateFormat='YYYY-MM-DD'] - One of DATE_FORMATS
+ * @param {string} [template.delimiter=','] - Field delimiter
+ * @param {string} [template.decimalSeparator='.'] - Decimal separator
+ * @param {string} [template.currency='USD'] - Currency when there is no currency column
+ * @param {string} [template.expenseSign='negative'] - Sign of spending in
+ *   the amount column; rows with the other sign are skipped as income
+ * @param {string} [template.paidBy] - Member who paid (defaults to the importer)
+ * @param {Array<string>} [template.splitWith] - Members to split each
+ *   expense equally with (defaults to the whole group)
+ * @returns {Array<Object>} Rows
+ */
+function parseBankCsv(content, template) {
+  const {
+    columns = {},
+    dateFormat = 'YYYY-MM-DD',
+    delimiter = ',',
+    decimalSeparator = '.',
+    currency = 'USD',
+    expenseSign = 'negative',
+    paidBy = null,
+    splitWith = null
+  } = template;
+
+  const { headers, records } = parseCsvRecords(content, { delimiter });
+  assertColumns(headers, [columns.date, columns.description, columns.amount, columns.currency, columns.category]
+    .filter(column => column !== undefined));
+
+  const splits = splitWith ? splitWith.map(member => ({ member, splitType: 'equal' })) : null;
+
+  return records.map(({ line, values }) => {
+    const date = parseDate(values[columns.date], dateFormat);
+    const signedAmount = parseAmount(values[columns.amount], decimalSeparator);
+
+    if (!date) {
+      return { line, status: 'error', reason: `Invalid date "${values[columns.date]}"` };
+    }
+    if (isNaN(signedAmount)) {
+      return { line, status: 'error', reason: `Invalid amount "${values[columns.amount]}"` };
+    }
+    if (signedAmount === 0 || (signedAmount < 0) !== (expenseSign === 'negative')) {
+      return { line, status: 'skipped', reason: 'Not an expense (income or zero amount)' };
+    }
+
+    return {
+      line,
+      status: 'parsed',
+      expense: {
+        description: values[columns.description],
+        amount: Math.abs(signedAmount),
+        currency: (columns.currency && values[columns.currency] || currency).toUpperCase(),
+        date,
+        category: columns.category ? values[columns.category] || null : null
+      },
+      paidBy,
+      splits
+    };
+  });
+}
+
+/**
+ * Parse our own expense JSON export
+ * @param {string} content - JSON text
+ * @returns {Array<Object>} Rows, numbered by their position in the file
+ */
+function parseJsonExport(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  // Accept the whole API response, its data, or just the expenses
+  const body = data && data.data ? data.data : data;
+  const expenses = Array.isArray(body) ? body : body && body.expenses;
+  if (!Array.isArray(expenses)) {
+    throw new Error('Expected an array of expenses');
+  }
+
+  return expenses.map((expense, index) => {
+    const line = index + 1;
+    const date = expense.date ? new Date(expense.date) : null;
+
+    if (!date || isNaN(date.getTime())) {
+      return { line, status: 'error', reason: `Invalid date "${expense.date}"` };
+    }
+    if (!Array.isArray(expense.splits) || expense.splits.length === 0) {
+      return { line, status: 'error', reason: 'Expense has no splits' };
+    }
+
+    return {
+      line,
+      status: 'parsed',
+      expense: {
+        description: expense.description || null,
+        amount: parseAmount(expense.amount),
+        currency: (expense.currency || 'USD').toUpperCase(),
+        date: date.toISOString(),
+        category: expense.category || null,
+        notes: expense.notes || null
+      },
+      paidBy: expense.paidBy,
+      // Stored splits hold final amounts, whatever method produced them
+      splits: expense.splits
+        .filter(split => parseAmount(split.amount) > 0)
+        .map(split => ({ member: split.userId, splitType: 'fixed', amount: parseAmount(split.amount) }))
+    };
+  });
+}
+
+/**
+ * Parse an import file
+ * @param {string} source - One of SOURCES
+ * @param {string} content - File contents
+ * @param {Object} [template] - Column-mapping template for bank_csv
+ * @returns {Array<Object>} Rows
+ */
+function parseImport(source, content, template) {
+  switch (source) {
+    case 'splitwise':
+      return parseSplitwiseCsv(content);
+    case 'bank_csv':
+      return parseBankCsv(content, template || {});
+    case 'json':
+      return parseJsonExport(content);
+    default:
+      throw new Error(`Unsupported import source ${source}`);
+  }
+}
+
+module.exports = {
+  SOURCES,
+  DATE_FORMATS,
+  parseDate,
+  parseAmount,
+  normalizeName,
+  createMemberMatcher,
+  parseSplitwiseCsv,
+  parseBankCsv,
+  parseJsonExport,
+  parseImport
+};
@@ -3,8 +3,22 @@
  * 
  * Utility functions for mathematical operations used in expense calculations.
  * Primarily focused on handling financial calculations with precision.
+ * 
+ * Money is calculated in integer minor units (cents, yen, fils) using the
+ * ISO 4217 exponent of the currency, and only converted back to decimal
+ * amounts at the edges.
  */
 
+// ISO 4217 currencies whose minor unit is not 1/100 of the major unit
+const CURRENCY_EXPONENTS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+const DEFAULT_CURRENCY_EXPONENT = 2;
+
 /**
  * Round a number to a specified number of decimal places
  * @param {number} value - Value to round
@@ -123,6 +137,169 @@ function distributeRemainder(values, remainder, precision = 2) {
   return result;
 }
 
+/**
+ * Get the number of decimal places used by a currency
+ * @param {string} [currencyCode='USD'] - ISO currency code (unknown or
+ *   missing codes use the common exponent of 2)
+ * @returns {number} ISO 4217 exponent
+ */
+function getCurrencyExponent(currencyCode = 'USD') {
+  const exponent = CURRENCY_EXPONENTS[String(currencyCode || '').toUpperCase()];
+  return exponent === undefined ? DEFAULT_CURRENCY_EXPONENT : exponent;
+}
+
+/**
+ * Convert a decimal amount to integer minor units of a currency
+ * @param {number} amount - Amount in major units (e.g. 12.34 USD)
+ * @param {string} [currencyCode='USD'] - ISO currency code
+ * @returns {number} Amount in minor units (e.g. 1234)
+ */
+function toMinorUnits(amount, currencyCode = 'USD') {
+  if (typeof amount !== 'number' || !isFinite(amount)) {
+    throw new Error('Amount must be a number');
+  }
+  
+  // Round first so float noise like 1.005 * 100 = 100.49999 doesn't lose a unit
+  const scaled = roundToDecimalPlaces(amount * Math.pow(10, getCurrencyExponent(currencyCode)), 6);
+  return Math.round(scaled);
+}
+
+/**
+ * Convert integer minor units of a currency back to a decimal amount
+ * @param {number} minorUnits - Amount in minor units
+ * @param {string} [currencyCode='USD'] - ISO currency code
+ * @returns {number} Amount in major units
+ */
+function fromMinorUnits(minorUnits, currencyCode = 'USD') {
+  if (!Number.isInteger(minorUnits)) {
+    throw new Error('Minor units must be an integer');
+  }
+  
+  const exponent = getCurrencyExponent(currencyCode);
+  return roundToDecimalPlaces(minorUnits / Math.pow(10, exponent), exponent);
+}
+
+/**
+ * Check whether an amount can be expressed exactly in a currency's minor units
+ * @param {number} amount - Amount in major units
+ * @param {string} [currencyCode='USD'] - ISO currency code
+ * @returns {boolean} False for e.g. 10.5 JPY or 1.234 USD
+ */
+function hasValidPrecision(amount, currencyCode = 'USD') {
+  return isApproximatelyEqual(
+    amount * Math.pow(10, getCurrencyExponent(currencyCode)),
+    toMinorUnits(amount, currencyCode),
+    1e-6
+  );
+}
+
+/**
+ * Round an amount to the minor unit of a currency
+ * @param {number} amount - Amount in major units
+ * @param {string} [currencyCode='USD'] - ISO currency code
+ * @returns {number} Rounded amount
+ */
+function roundToCurrency(amount, currencyCode = 'USD') {
+  return fromMinorUnits(toMinorUnits(amount, currencyCode), currencyCode);
+}
+
+/**
+ * Add decimal amounts of a currency without floating point drift
+ * @param {Array<number>} amounts - Amounts in major units
+ * @param {string} [currencyCode='USD'] - ISO currency code
+ * @returns {number} Sum in major units
+ */
+function addAmounts(amounts, currencyCode = 'USD') {
+  const total = amounts.reduce((minor, amount) => minor + toMinorUnits(amount, currencyCode), 0);
+  return fromMinorUnits(total, currencyCode);
+}
+
+/**
+ * Subtract one decimal amount of a currency from another without drift
+ * @param {number} amount - Amount in major units
+ * @param {number} subtrahend - Amount to subtract in major units
+ * @param {string} [currencyCode='USD'] - ISO currency code
+ * @returns {number} Difference in major units
+ */
+function subtractAmounts(amount, subtrahend, currencyCode = 'USD') {
+  return fromMinorUnits(
+    toMinorUnits(amount, currencyCode) - toMinorUnits(subtrahend, currencyCode),
+    currencyCode
+  );
+}
+
+/**
+ * Derive a stable rotation offset from a key (e.g. an expense ID), so
+ * leftover minor units on ties go to a different participant from one
+ * expense to the next instead of always landing on the first one
+ * @param {*} key - Any value with a stable string form
+ * @returns {number} Non-negative integer offset
+ */
+function rotationOffset(key) {
+  if (key === undefined || key === null) {
+    return 0;
+  }
+  
+  // FNV-1a hash keeps the offset stable across processes
+  let hash = 2166136261;
+  for (const char of String(key)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  
+  return hash;
+}
+
+/**
+ * Allocate an integer total (e.g. cents) across weights so that the parts
+ * always add up to the total. Uses the largest remainder method: every part
+ * gets the floor of its exact share and the leftover units go to the parts
+ * with the largest fractional remainders. Ties are broken in rotation
+ * starting at `offset`, so equal shares don't always favor the same part.
+ * @param {number} total - Non-negative integer total to allocate
+ * @param {Array<number>} weights - Non-negative weights
+ * @param {number} [offset=0] - Index that wins the first tie
+ * @returns {Array<number>} Integer parts in the same order as the weights
+ */
+function allocateProportionally(total, weights, offset = 0) {
+  if (!Number.isInteger(total) || total < 0) {
+    throw new Error('Total must be a non-negative integer');
+  }
+  
+  if (!Array.isArray(weights) || weights.length === 0) {
+    throw new Error('Weights must be a non-empty array');
+  }
+  
+  const weightTotal = sum(weights);
+  if (weightTotal <= 0) {
+    throw new Error('Weights must total more than 0');
+  }
+  
+  const exactShares = weights.map(weight => (total * weight) / weightTotal);
+  const parts = exactShares.map(share => Math.floor(share));
+  let leftover = total - sum(parts);
+  
+  const count = weights.length;
+  const start = ((offset % count) + count) % count;
+  const tieOrder = index => (index - start + count) % count;
+  
+  // Remainders are compared with a tolerance so float noise can't break ties
+  const byRemainder = exactShares
+    .map((share, index) => ({ remainder: share - parts[index], index }))
+    .sort((a, b) => (
+      Math.abs(b.remainder - a.remainder) > 1e-9
+        ? b.remainder - a.remainder
+        : tieOrder(a.index) - tieOrder(b.index)
+    ));
+  
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length) {
+    parts[byRemainder[i].index]++;
+    leftover--;
+  }
+  
+  return parts;
+}
+
 /**
  * Check if two numbers are equal within a tolerance
  * @param {number} a - First number
@@ -135,11 +312,21 @@ function isApproximatelyEqual(a, b, tolerance = 0.001) {
 }
 
 module.exports = {
+  CURRENCY_EXPONENTS,
+  getCurrencyExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  hasValidPrecision,
+  roundToCurrency,
+  addAmounts,
+  subtractAmounts,
+  rotationOffset,
   roundToDecimalPlaces,
   roundToTwoDecimals,
   formatCurrency,
   sum,
   average,
   distributeRemainder,
+  allocateProportionally,
   isApproximatelyEqual
 }; 
\ No newline at end of file
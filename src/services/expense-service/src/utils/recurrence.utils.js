@@ -0,0 +1,329 @@
+/**
+ * Recurrence Utilities
+ *
+ * Parses RRULE-style recurrence rules (RFC 5545 subset) and expands them
+ * into occurrence dates. Supported parts:
+ *
+ *   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY  (required)
+ *   INTERVAL=n                        every n periods (default 1)
+ *   BYDAY=MO,WE,FR                    weekdays for WEEKLY rules
+ *   BYMONTHDAY=n                      day of month for MONTHLY rules; -1 is the last day
+ *   COUNT=n                           stop after n occurrences
+ *   UNTIL=20251231T000000Z            stop after this date
+ *
+ * All calculations are done in UTC. Monthly and yearly occurrences on days
+ * a month doesn't have (the 31st, February 29th) fall on its last day, which
+ * is what people expect for rent and subscriptions.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on generated periods, so a malformed rule can never loop forever
+const MAX_ITERATIONS = 100000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a positive integer rule part
+ * @param {string} name - Rule part name
+ * @param {string} value - Raw value
+ * @returns {number} Parsed value
+ * @private
+ */
+function parsePositiveInteger(name, value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse an RRULE UNTIL value (basic or extended ISO format)
+ * @param {string} value - Raw value, e.g. 20251231T000000Z or 2025-12-31
+ * @returns {Date} Parsed date
+ * @private
+ */
+function parseUntil(value) {
+  const basic = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = basic
+    ? new Date(Date.UTC(basic[1], basic[2] - 1, basic[3], basic[4] || 23, basic[5] || 59, basic[6] || 59))
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new Error('UNTIL must be a valid date');
+  }
+  return date;
+}
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - Rule such as `FREQ=MONTHLY;BYMONTHDAY=1` (an `RRULE:` prefix is allowed)
+ * @returns {Object} Normalized rule `{ freq, interval, byDay, byMonthDay, count, until }`
+ * @throws {Error} If the rule is invalid
+ */
+function parseRule(rule) {
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const parts = rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const parsed = {
+    freq: null,
+    interval: 1,
+    byDay: null,
+    byMonthDay: null,
+    count: null,
+    until: null
+  };
+
+  parts.forEach(part => {
+    const [rawName, value] = part.split('=');
+    const name = (rawName || '').trim().toUpperCase();
+
+    if (!value) {
+      throw new Error(`Invalid rule part "${part}"`);
+    }
+
+    switch (name) {
+      case 'FREQ':
+        parsed.freq = value.toUpperCase();
+        if (!FREQUENCIES.includes(parsed.freq)) {
+          throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        break;
+      case 'INTERVAL':
+        parsed.interval = parsePositiveInteger('INTERVAL', value);
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.toUpperCase().split(',').map(day => {
+          const index = WEEKDAYS.indexOf(day.trim());
+          if (index === -1) {
+            throw new Error(`Invalid BYDAY value "${day}"`);
+          }
+          return index;
+        });
+        break;
+      case 'BYMONTHDAY': {
+        const day = Number(value);
+        if (!Number.isInteger(day) || day === 0 || day < -1 || day > 31) {
+          throw new Error('BYMONTHDAY must be between 1 and 31, or -1 for the last day');
+        }
+        parsed.byMonthDay = day;
+        break;
+      }
+      case 'COUNT':
+        parsed.count = parsePositiveInteger('COUNT', value);
+        break;
+      case 'UNTIL':
+        parsed.until = parseUntil(value);
+        break;
+      default:
+        throw new Error(`Unsupported rule part "${name}"`);
+    }
+  });
+
+  if (!parsed.freq) {
+    throw new Error('FREQ is required');
+  }
+
+  if (parsed.byDay && parsed.freq !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported for WEEKLY rules');
+  }
+
+  if (parsed.byMonthDay && parsed.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported for MONTHLY rules');
+  }
+
+  if (parsed.count && parsed.until) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+
+  if (parsed.byDay) {
+    parsed.byDay = [...new Set(parsed.byDay)].sort((a, b) => a - b);
+  }
+
+  return parsed;
+}
+
+/**
+ * Format a parsed rule back into its RRULE string
+ * @param {Object} rule - Parsed rule
+ * @returns {string} Rule string
+ */
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval && rule.interval !== 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay) {
+    parts.push(`BYDAY=${rule.byDay.map(day => WEEKDAYS[day]).join(',')}`);
+  }
+  if (rule.byMonthDay) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Build a UTC date in a month, clamping the day to the month's length
+ * @param {number} year - Full year
+ * @param {number} month - Month index (may overflow, e.g. 13 is February next year)
+ * @param {number} day - Day of month; -1 is the last day
+ * @param {Date} time - Date providing the time of day
+ * @returns {Date} Date
+ * @private
+ */
+function monthDate(year, month, day, time) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const dayOfMonth = day === -1 ? lastDay : Math.min(day, lastDay);
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    dayOfMonth,
+    time.getUTCHours(),
+    time.getUTCMinutes(),
+    time.getUTCSeconds(),
+    time.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Get the candidate dates of the nth period of a rule
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - First occurrence of the series
+ * @param {number} period - Period index (0 is the period containing start)
+ * @returns {Array<Date>} Candidate dates in the period, in order
+ * @private
+ */
+function periodDates(rule, start, period) {
+  const step = period * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [new Date(start.getTime() + step * DAY_MS)];
+    case 'WEEKLY': {
+      if (!rule.byDay) {
+        return [new Date(start.getTime() + step * 7 * DAY_MS)];
+      }
+      // Weeks start on Monday, as in RFC 5545's default WKST
+      const weekStart = start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+      return rule.byDay
+        .map(day => new Date(weekStart + ((day + 6) % 7) * DAY_MS))
+        .sort((a, b) => a - b);
+    }
+    case 'MONTHLY':
+      return [monthDate(
+        start.getUTCFullYear(),
+        start.getUTCMonth() + step,
+        rule.byMonthDay || start.getUTCDate(),
+        start
+      )];
+    case 'YEARLY':
+      return [monthDate(start.getUTCFullYear() + step, start.getUTCMonth(), start.getUTCDate(), start)];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Iterate over every occurrence of a rule, in order
+ * @param {Object|string} rule - Parsed rule or rule string
+ * @param {Date|string} startDate - Start of the series
+ * @param {Date|string} [endDate] - Optional end of the series (inclusive)
+ * @yields {Date} Occurrence dates
+ */
+function* iterateOccurrences(rule, startDate, endDate) {
+  const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+  const start = new Date(startDate);
+  const ends = [parsed.until, endDate ? new Date(endDate) : null].filter(Boolean);
+  const end = ends.length > 0 ? new Date(Math.min(...ends)) : null;
+  let emitted = 0;
+
+  for (let period = 0; period < MAX_ITERATIONS; period++) {
+    for (const date of periodDates(parsed, start, period)) {
+      if (date < start) {
+        continue;
+      }
+      if ((end && date > end) || (parsed.count && emitted >= parsed.count)) {
+        return;
+      }
+
+      emitted++;
+      yield date;
+    }
+  }
+}
+
+/**
+ * List occurrences of a rule within a window
+ * @param {Object|string} rule - Parsed rule or rule string
+ * @param {Date|string} startDate - Start of the series
+ * @param {Object} [options] - Window options
+ * @param {Date|string} [options.endDate] - End of the series (inclusive)
+ * @param {Date|string} [options.from] - Earliest occurrence to include (inclusive)
+ * @param {Date|string} [options.to] - Latest occurrence to include (inclusive)
+ * @param {number} [options.limit] - Maximum number of occurrences to return
+ * @returns {Array<Date>} Occurrence dates
+ */
+function getOccurrences(rule, startDate, { endDate, from, to, limit } = {}) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  const occurrences = [];
+
+  for (const date of iterateOccurrences(rule, startDate, endDate)) {
+    if (toDate && date > toDate) {
+      break;
+    }
+    if (fromDate && date < fromDate) {
+      continue;
+    }
+
+    occurrences.push(date);
+    if (limit && occurrences.length >= limit) {
+      break;
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Get the first occurrence strictly after a date
+ * @param {Object|string} rule - Parsed rule or rule string
+ * @param {Date|string} startDate - Start of the series
+ * @param {Date|string} after - Date to search from (exclusive)
+ * @param {Date|string} [endDate] - End of the series (inclusive)
+ * @returns {Date|null} Next occurrence, or null when the series has ended
+ */
+function getNextOccurrence(rule, startDate, after, endDate) {
+  const afterDate = new Date(after);
+
+  for (const date of iterateOccurrences(rule, startDate, endDate)) {
+    if (date > afterDate) {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  parseRule,
+  formatRule,
+  iterateOccurrences,
+  getOccurrences,
+  getNextOccurrence
+};
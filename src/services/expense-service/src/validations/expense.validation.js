@@ -3,17 +3,62 @@ const {
   objectIdSchema,
   expenseCommonFields,
   splitCommonFields,
-  paginationSchema
+  paginationSchema,
+  splitTypes
 } = require('../../../../shared/validations/common.validation');
+const { toMinorUnits } = require('../utils/math.utils');
+const { SOURCES, DATE_FORMATS } = require('../utils/import.utils');
+
+/**
+ * Money amounts. Decimal places depend on the currency (JPY has none, KWD
+ * has three), so precision is checked by the split service rather than
+ * rounded to two places here.
+ */
+const moneySchema = Joi.number().positive();
+
+const expenseFields = {
+  ...expenseCommonFields,
+  amount: moneySchema.required()
+};
+
+const splitFields = {
+  ...splitCommonFields,
+  amount: moneySchema.when('splitType', {
+    is: 'fixed',
+    then: Joi.required()
+  })
+};
+
+/**
+ * Receipt line items and charges for itemized splits
+ */
+const itemizedFields = {
+  items: Joi.array().items(Joi.object({
+    name: Joi.string().trim().max(255).required(),
+    unitPrice: moneySchema.required(),
+    quantity: Joi.number().integer().min(1).default(1),
+    assignedTo: Joi.array().items(
+      objectIdSchema,
+      Joi.object({
+        userId: objectIdSchema.required(),
+        quantity: Joi.number().integer().min(1).required()
+      })
+    ).min(1).required()
+  })).min(1),
+  tax: Joi.number().min(0),
+  tip: Joi.number().min(0),
+  serviceCharge: Joi.number().min(0)
+};
 
 /**
  * Validation schema for creating an expense
  */
 const createExpenseSchema = Joi.object({
-  ...expenseCommonFields,
+  ...expenseFields,
+  ...itemizedFields,
   groupId: objectIdSchema.required(),
   paidBy: objectIdSchema.required(),
-  splits: Joi.array().items(Joi.object(splitCommonFields)).min(1).required()
+  splits: Joi.array().items(Joi.object(splitFields)).min(1).required()
     .custom((splits, helpers) => {
       // Validate splits based on type
       const splitType = splits[0].splitType;
@@ -31,11 +76,16 @@ const createExpenseSchema = Joi.object({
         }
       }
       
+      // Itemized splits are calculated from the receipt line items
+      if (splitType === 'itemized' && !helpers.state.ancestors[0].items) {
+        return helpers.error('Itemized splits require receipt items');
+      }
+      
       // For fixed splits, total must match expense amount
       if (splitType === 'fixed') {
-        const total = splits.reduce((sum, split) => sum + split.amount, 0);
-        const expenseAmount = helpers.state.ancestors[0].amount;
-        if (Math.abs(total - expenseAmount) > 0.01) {
+        const { amount: expenseAmount, currency } = helpers.state.ancestors[0];
+        const total = splits.reduce((sum, split) => sum + toMinorUnits(split.amount, currency), 0);
+        if (total !== toMinorUnits(expenseAmount, currency)) {
           return helpers.error('Fixed splits must total to expense amount');
         }
       }
@@ -48,10 +98,11 @@ const createExpenseSchema = Joi.object({
  * Validation schema for updating an expense
  */
 const updateExpenseSchema = Joi.object({
-  ...expenseCommonFields,
+  ...expenseFields,
+  ...itemizedFields,
   groupId: objectIdSchema,
   paidBy: objectIdSchema,
-  splits: Joi.array().items(Joi.object(splitCommonFields)).min(1)
+  splits: Joi.array().items(Joi.object(splitFields)).min(1)
     .custom((splits, helpers) => {
       if (!splits) return splits;
       
@@ -71,37 +122,198 @@ const updateExpenseSchema = Joi.object({
 /**
  * Validation schema for listing expenses
  */
-const listExpensesSchema = Joi.object({
-  ...paginationSchema,
-  groupId: objectIdSchema,
-  userId: objectIdSchema,
-  category: Joi.string(),
-  startDate: Joi.date().iso(),
-  endDate: Joi.date().iso().min(Joi.ref('startDate')),
-  minAmount: Joi.number().positive(),
-  maxAmount: Joi.number().positive().greater(Joi.ref('minAmount')),
-  splitType: Joi.string().valid('equal', 'percentage', 'fixed', 'share'),
-  status: Joi.string().valid('pending', 'settled', 'all').default('all')
+const listExpensesSchema = {
+  query: paginationSchema.keys({
+    groupId: objectIdSchema,
+    userId: objectIdSchema,
+    category: Joi.string(),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')),
+    minAmount: Joi.number().positive(),
+    maxAmount: Joi.number().positive().greater(Joi.ref('minAmount')),
+    splitType: Joi.string().valid(...splitTypes),
+    status: Joi.string().valid('pending', 'settled', 'all').default('all')
+  })
+};
+
+const expenseIdParams = Joi.object({
+  expenseId: objectIdSchema.required()
 });
 
 /**
  * Validation schema for getting expense by ID
  */
-const getExpenseSchema = Joi.object({
-  expenseId: objectIdSchema.required()
-});
+const getExpenseSchema = {
+  params: expenseIdParams
+};
 
 /**
  * Validation schema for deleting expense
  */
-const deleteExpenseSchema = Joi.object({
-  expenseId: objectIdSchema.required()
+const deleteExpenseSchema = {
+  params: expenseIdParams
+};
+
+/**
+ * Validation schema for getting an expense's change history
+ */
+const expenseHistorySchema = {
+  params: expenseIdParams,
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })
+};
+
+/**
+ * Validation schema for reverting an expense to an earlier version
+ */
+const revertExpenseSchema = {
+  params: expenseIdParams,
+  body: Joi.object({
+    version: Joi.number().integer().min(1).required()
+  })
+};
+
+/**
+ * Validation schema for restoring a deleted expense
+ */
+const restoreExpenseSchema = {
+  params: expenseIdParams
+};
+
+/**
+ * Validation schema for listing a group's deleted expenses
+ */
+const groupTrashSchema = {
+  params: Joi.object({
+    groupId: objectIdSchema.required()
+  }),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })
+};
+
+/**
+ * Validation schema for getting a group's balances
+ */
+const groupBalancesSchema = {
+  params: Joi.object({
+    groupId: objectIdSchema.required()
+  }),
+  query: Joi.object({
+    asOf: Joi.date().iso().max('now'),
+    includeDebtGraph: Joi.boolean().default(false)
+  })
+};
+
+/**
+ * Column-mapping template for bank and card statement CSVs
+ */
+const bankCsvTemplateSchema = Joi.object({
+  columns: Joi.object({
+    date: Joi.string().required(),
+    description: Joi.string().required(),
+    amount: Joi.string().required(),
+    currency: Joi.string(),
+    category: Joi.string()
+  }).required(),
+  dateFormat: Joi.string().valid(...DATE_FORMATS).default('YYYY-MM-DD'),
+  delimiter: Joi.string().length(1).invalid('"').default(','),
+  decimalSeparator: Joi.string().valid('.', ',').default('.'),
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  expenseSign: Joi.string().valid('negative', 'positive').default('negative'),
+  paidBy: Joi.string(),
+  splitWith: Joi.array().items(Joi.string()).min(1)
 });
 
+/**
+ * Validation schema for importing a group's expenses from another app
+ */
+const importExpensesSchema = {
+  params: Joi.object({
+    groupId: objectIdSchema.required()
+  }),
+  body: Joi.object({
+    source: Joi.string().valid(...SOURCES).required(),
+    content: Joi.string().required(),
+    template: bankCsvTemplateSchema.when('source', {
+      is: 'bank_csv',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    memberMapping: Joi.object().pattern(Joi.string(), objectIdSchema).default({}),
+    dryRun: Joi.boolean().default(true),
+    includeDuplicates: Joi.boolean().default(false)
+  })
+};
+
+/**
+ * Validation schema for listing a group's or user's expenses (service-to-service)
+ */
+const internalExpensesSchema = {
+  query: Joi.object({
+    groupId: Joi.string(),
+    userId: Joi.string(),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(500).default(100),
+    sortBy: Joi.string().default('date'),
+    sortOrder: Joi.string().valid('asc', 'desc').default('asc')
+  }).or('groupId', 'userId')
+};
+
+/**
+ * Validation schema for calculating a group's debt graph (service-to-service)
+ */
+const groupDebtGraphSchema = {
+  params: Joi.object({
+    groupId: Joi.string().required()
+  }),
+  body: Joi.object({
+    settlements: Joi.array().items(Joi.object({
+      payerId: Joi.string().required(),
+      receiverId: Joi.string().required(),
+      amount: Joi.number().positive().required(),
+      amountPaid: Joi.number().min(0),
+      currency: Joi.string().length(3).uppercase().required(),
+      status: Joi.string().required()
+    }).unknown(true)).default([])
+  })
+};
+
+/**
+ * Validation schema for counting shared expenses per pair of members
+ * (service-to-service)
+ */
+const groupInteractionsSchema = {
+  params: Joi.object({
+    groupId: Joi.string().required()
+  }),
+  query: Joi.object({
+    since: Joi.date().iso()
+  })
+};
+
 module.exports = {
+  moneySchema,
+  expenseFields,
+  splitFields,
+  itemizedFields,
   createExpenseSchema,
   updateExpenseSchema,
   listExpensesSchema,
   getExpenseSchema,
-  deleteExpenseSchema
+  deleteExpenseSchema,
+  expenseHistorySchema,
+  revertExpenseSchema,
+  restoreExpenseSchema,
+  groupTrashSchema,
+  groupBalancesSchema,
+  importExpensesSchema,
+  internalExpensesSchema,
+  groupDebtGraphSchema,
+  groupInteractionsSchema
 }; 
\ No newline at end of file
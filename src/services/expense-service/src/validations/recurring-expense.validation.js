@@ -0,0 +1,91 @@
+const Joi = require('joi');
+const { objectIdSchema, dateSchema } = require('../../../../shared/validations/common.validation');
+const { parseRule } = require('../utils/recurrence.utils');
+const { expenseFields, splitFields, itemizedFields } = require('./expense.validation');
+
+/**
+ * Recurrence rule in RRULE format, e.g. FREQ=MONTHLY;BYMONTHDAY=1
+ */
+const ruleSchema = Joi.string().trim().max(255).custom((rule, helpers) => {
+  try {
+    parseRule(rule);
+  } catch (error) {
+    return helpers.message({ custom: `Invalid recurrence rule: ${error.message}` });
+  }
+  return rule;
+});
+
+const scheduleSchema = Joi.object({
+  rule: ruleSchema.required(),
+  startDate: dateSchema.required(),
+  endDate: dateSchema.min(Joi.ref('startDate'))
+});
+
+// Occurrences get their own date, so the expense date field does not apply
+const recurringExpenseFields = { ...expenseFields };
+delete recurringExpenseFields.date;
+
+const recurringExpenseIdParams = Joi.object({
+  recurringExpenseId: objectIdSchema.required()
+});
+
+/**
+ * Validation schema for creating a recurring expense
+ */
+const createRecurringExpenseSchema = Joi.object({
+  ...recurringExpenseFields,
+  ...itemizedFields,
+  groupId: objectIdSchema.required(),
+  paidBy: objectIdSchema.required(),
+  schedule: scheduleSchema.required(),
+  splits: Joi.array().items(Joi.object(splitFields)).min(1).required()
+});
+
+/**
+ * Validation schema for updating a recurring expense
+ */
+const updateRecurringExpenseSchema = {
+  params: recurringExpenseIdParams,
+  body: Joi.object({
+    ...recurringExpenseFields,
+    ...itemizedFields,
+    amount: recurringExpenseFields.amount.optional(),
+    paidBy: objectIdSchema,
+    schedule: scheduleSchema,
+    splits: Joi.array().items(Joi.object(splitFields)).min(1)
+  }).min(1)
+};
+
+/**
+ * Validation schema for listing a group's recurring expenses
+ */
+const listRecurringExpensesSchema = {
+  query: Joi.object({
+    groupId: objectIdSchema.required()
+  })
+};
+
+/**
+ * Validation schema for actions on a single recurring expense
+ */
+const recurringExpenseActionSchema = {
+  params: recurringExpenseIdParams
+};
+
+/**
+ * Validation schema for previewing upcoming occurrences
+ */
+const upcomingOccurrencesSchema = {
+  params: recurringExpenseIdParams,
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(5)
+  })
+};
+
+module.exports = {
+  createRecurringExpenseSchema,
+  updateRecurringExpenseSchema,
+  listRecurringExpensesSchema,
+  recurringExpenseActionSchema,
+  upcomingOccurrencesSchema
+};
@@ -0,0 +1,300 @@
+/**
+ * Unit tests for Group Service
+ */
+
+const groupService = require('../../src/services/group.service');
+
+// Mock repositories
+jest.mock('../../src/repositories/group.repository', () => ({
+  createGroup: jest.fn(),
+  findById: jest.fn(),
+  update: jest.fn(),
+  updateMembers: jest.fn(),
+  setArchived: jest.fn(),
+  listGroups: jest.fn(),
+  getExpenseStats: jest.fn()
+}));
+
+jest.mock('../../src/repositories/group-invitation.repository', () => ({
+  createInvitation: jest.fn(),
+  findById: jest.fn(),
+  findPending: jest.fn(),
+  findByGroup: jest.fn(),
+  updateStatus: jest.fn()
+}));
+
+// Import the mocked repositories
+const groupRepository = require('../../src/repositories/group.repository');
+const invitationRepository = require('../../src/repositories/group-invitation.repository');
+
+const ADMIN_ID = 'a00000000000000000000001';
+const MEMBER_ID = 'b00000000000000000000002';
+const OUTSIDER_ID = 'c00000000000000000000003';
+const GROUP_ID = 'd00000000000000000000004';
+
+const buildGroup = (overrides = {}) => ({
+  _id: GROUP_ID,
+  name: 'Weekend Trip',
+  currency: 'USD',
+  members: [
+    { userId: ADMIN_ID, role: 'admin' },
+    { userId: MEMBER_ID, role: 'member' }
+  ],
+  memberCount: 2,
+  createdBy: ADMIN_ID,
+  isArchived: false,
+  ...overrides
+});
+
+describe('Group Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createGroup', () => {
+    it('should add the creator as an admin', async () => {
+      groupRepository.createGroup.mockImplementation(async data => ({ _id: GROUP_ID, ...data }));
+
+      const result = await groupService.createGroup(
+        { name: 'Weekend Trip', members: [{ userId: MEMBER_ID, role: 'member' }] },
+        ADMIN_ID
+      );
+
+      const { members } = groupRepository.createGroup.mock.calls[0][0];
+      expect(members[0]).toEqual({ userId: ADMIN_ID, role: 'admin', addedBy: ADMIN_ID });
+      expect(members).toHaveLength(2);
+      expect(result.createdBy).toBe(ADMIN_ID);
+    });
+
+    it('should not duplicate the creator when listed as a member', async () => {
+      groupRepository.createGroup.mockImplementation(async data => ({ _id: GROUP_ID, ...data }));
+
+      await groupService.createGroup(
+        { name: 'Flat', members: [{ userId: ADMIN_ID, role: 'member' }] },
+        ADMIN_ID
+      );
+
+      const { members } = groupRepository.createGroup.mock.calls[0][0];
+      expect(members).toHaveLength(1);
+      expect(members[0].role).toBe('admin');
+    });
+  });
+
+  describe('getGroup', () => {
+    it('should return the group for a member', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+
+      const result = await groupService.getGroup(GROUP_ID, MEMBER_ID);
+
+      expect(result.id).toBe(GROUP_ID);
+    });
+
+    it('should reject users outside the group', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+
+      await expect(groupService.getGroup(GROUP_ID, OUTSIDER_ID))
+        .rejects.toThrow('You are not a member of this group');
+    });
+
+    it('should throw if the group is not found', async () => {
+      groupRepository.findById.mockResolvedValue(null);
+
+      await expect(groupService.getGroup(GROUP_ID, ADMIN_ID))
+        .rejects.toThrow(`Group with ID ${GROUP_ID} not found`);
+    });
+  });
+
+  describe('getGroupMembers', () => {
+    it('should return the members and their roles', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+
+      const result = await groupService.getGroupMembers(GROUP_ID);
+
+      expect(result).toEqual({
+        groupId: GROUP_ID,
+        isArchived: false,
+        members: [
+          { userId: ADMIN_ID, role: 'admin' },
+          { userId: MEMBER_ID, role: 'member' }
+        ]
+      });
+    });
+  });
+
+  describe('addMembers', () => {
+    it('should append new members', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+      groupRepository.updateMembers.mockImplementation(async (id, members) =>
+        buildGroup({ members, memberCount: members.length })
+      );
+
+      const result = await groupService.addMembers(
+        GROUP_ID,
+        [{ userId: OUTSIDER_ID, role: 'member' }],
+        ADMIN_ID
+      );
+
+      expect(result.memberCount).toBe(3);
+      expect(result.members[2]).toMatchObject({ userId: OUTSIDER_ID, addedBy: ADMIN_ID });
+    });
+
+    it('should only allow admins', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+
+      await expect(groupService.addMembers(GROUP_ID, [{ userId: OUTSIDER_ID }], MEMBER_ID))
+        .rejects.toThrow('Only group admins can perform this action');
+    });
+
+    it('should reject existing members', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+
+      await expect(groupService.addMembers(GROUP_ID, [{ userId: MEMBER_ID }], ADMIN_ID))
+        .rejects.toThrow('Users already in group');
+    });
+
+    it('should reject changes to archived groups', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup({ isArchived: true }));
+
+      await expect(groupService.addMembers(GROUP_ID, [{ userId: OUTSIDER_ID }], ADMIN_ID))
+        .rejects.toThrow('Archived groups cannot be modified');
+    });
+  });
+
+  describe('removeMembers', () => {
+    it('should let a member leave the group', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+      groupRepository.updateMembers.mockImplementation(async (id, members) => buildGroup({ members }));
+
+      await groupService.removeMembers(GROUP_ID, [MEMBER_ID], MEMBER_ID);
+
+      expect(groupRepository.updateMembers).toHaveBeenCalledWith(GROUP_ID, [
+        { userId: ADMIN_ID, role: 'admin' }
+      ]);
+    });
+
+    it('should not remove the last admin', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+
+      await expect(groupService.removeMembers(GROUP_ID, [ADMIN_ID], ADMIN_ID))
+        .rejects.toThrow('A group must have at least one admin');
+    });
+  });
+
+  describe('updateMemberRoles', () => {
+    it('should change roles while keeping an admin', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+      groupRepository.updateMembers.mockImplementation(async (id, members) => buildGroup({ members }));
+
+      const result = await groupService.updateMemberRoles(
+        GROUP_ID,
+        [{ userId: MEMBER_ID, role: 'admin' }, { userId: ADMIN_ID, role: 'member' }],
+        ADMIN_ID
+      );
+
+      expect(result.members).toEqual([
+        { userId: ADMIN_ID, role: 'member' },
+        { userId: MEMBER_ID, role: 'admin' }
+      ]);
+    });
+
+    it('should reject demoting every admin', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+
+      await expect(groupService.updateMemberRoles(
+        GROUP_ID,
+        [{ userId: ADMIN_ID, role: 'member' }],
+        ADMIN_ID
+      )).rejects.toThrow('A group must have at least one admin');
+    });
+  });
+
+  describe('setArchived', () => {
+    it('should archive an active group', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+      groupRepository.setArchived.mockResolvedValue(buildGroup({ isArchived: true }));
+
+      const result = await groupService.setArchived(GROUP_ID, true, ADMIN_ID);
+
+      expect(groupRepository.setArchived).toHaveBeenCalledWith(GROUP_ID, true, ADMIN_ID);
+      expect(result.isArchived).toBe(true);
+    });
+
+    it('should reject archiving an archived group', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup({ isArchived: true }));
+
+      await expect(groupService.setArchived(GROUP_ID, true, ADMIN_ID))
+        .rejects.toThrow('Group is already archived');
+    });
+  });
+
+  describe('invitations', () => {
+    it('should create an email invitation with a token', async () => {
+      groupRepository.findById.mockResolvedValue(buildGroup());
+      invitationRepository.findPending.mockResolvedValue(null);
+      invitationRepository.createInvitation.mockImplementation(async data => ({
+        _id: 'invitation1',
+        ...data,
+        token: 'secret-token',
+        status: 'pending'
+      }));
+
+      const result = await groupService.createInvitation(
+        GROUP_ID,
+        { email: 'friend@example.com', role: 'member' },
+        ADMIN_ID
+      );
+
+      expect(result.token).toBe('secret-token');
+      expect(result.groupId).toBe(GROUP_ID);
+    });
+
+    it('should add the invitee to the group on acceptance', async () => {
+      invitationRepository.findById.mockResolvedValue({
+        _id: 'invitation1',
+        groupId: GROUP_ID,
+        userId: OUTSIDER_ID,
+        role: 'member',
+        invitedBy: ADMIN_ID,
+        status: 'pending',
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+      invitationRepository.updateStatus.mockResolvedValue(true);
+      groupRepository.findById.mockResolvedValue(buildGroup());
+      groupRepository.updateMembers.mockImplementation(async (id, members) =>
+        buildGroup({ members, memberCount: members.length })
+      );
+
+      const result = await groupService.acceptInvitation('invitation1', OUTSIDER_ID);
+
+      expect(invitationRepository.updateStatus).toHaveBeenCalledWith('invitation1', 'accepted', OUTSIDER_ID);
+      expect(result.memberCount).toBe(3);
+    });
+
+    it('should reject expired invitations', async () => {
+      invitationRepository.findById.mockResolvedValue({
+        _id: 'invitation1',
+        groupId: GROUP_ID,
+        userId: OUTSIDER_ID,
+        status: 'pending',
+        expiresAt: new Date(Date.now() - 60000).toISOString()
+      });
+
+      await expect(groupService.acceptInvitation('invitation1', OUTSIDER_ID))
+        .rejects.toThrow('Invitation has expired');
+    });
+
+    it('should require the token for email invitations', async () => {
+      invitationRepository.findById.mockResolvedValue({
+        _id: 'invitation1',
+        groupId: GROUP_ID,
+        email: 'friend@example.com',
+        token: 'secret-token',
+        status: 'pending',
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await expect(groupService.acceptInvitation('invitation1', OUTSIDER_ID, 'wrong-token'))
+        .rejects.toThrow('This invitation is not addressed to you');
+    });
+  });
+});
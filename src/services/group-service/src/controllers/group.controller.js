@@ -0,0 +1,326 @@
+/**
+ * Group Controller
+ * 
+ * Handles HTTP requests related to groups, including membership,
+ * roles, invitations, statistics and archiving.
+ */
+
+const groupService = require('../services/group.service');
+
+/**
+ * Create a new group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function createGroup(req, res, next) {
+  try {
+    const group = await groupService.createGroup(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function updateGroup(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const group = await groupService.updateGroup(groupId, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add members to a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function addMembers(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const group = await groupService.addMembers(groupId, req.body.members, req.user.id);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove members from a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function removeMembers(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const group = await groupService.removeMembers(groupId, req.body.memberIds, req.user.id);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update member roles
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function updateMemberRoles(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const group = await groupService.updateMemberRoles(groupId, req.body.updates, req.user.id);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a group by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getGroupById(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const group = await groupService.getGroup(groupId, req.user.id);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List groups visible to the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function listGroups(req, res, next) {
+  try {
+    const groups = await groupService.listGroups(req.user.id, req.query);
+
+    res.json({
+      success: true,
+      data: groups
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get group statistics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getGroupStats(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const stats = await groupService.getGroupStats(groupId, req.query, req.user.id);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Archive or unarchive a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function toggleArchive(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const { archive } = req.body;
+    const group = await groupService.setArchived(groupId, archive, req.user.id);
+
+    res.json({
+      success: true,
+      message: archive ? 'Group archived' : 'Group unarchived',
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Invite a user to a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function createInvitation(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const invitation = await groupService.createInvitation(groupId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a group's invitations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function listInvitations(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const invitations = await groupService.listInvitations(groupId, req.query.status, req.user.id);
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revoke a pending invitation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function revokeInvitation(req, res, next) {
+  try {
+    const { groupId, invitationId } = req.params;
+    await groupService.revokeInvitation(groupId, invitationId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Accept an invitation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function acceptInvitation(req, res, next) {
+  try {
+    const { invitationId } = req.params;
+    const group = await groupService.acceptInvitation(invitationId, req.user.id, req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Decline an invitation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function declineInvitation(req, res, next) {
+  try {
+    const { invitationId } = req.params;
+    await groupService.declineInvitation(invitationId, req.user.id, req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a group's members and roles (service-to-service)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getGroupMembers(req, res, next) {
+  try {
+    const members = await groupService.getGroupMembers(req.params.groupId);
+
+    res.json({
+      success: true,
+      data: members
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  createGroup,
+  updateGroup,
+  addMembers,
+  removeMembers,
+  updateMemberRoles,
+  getGroupById,
+  listGroups,
+  getGroupStats,
+  toggleArchive,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  declineInvitation,
+  getGroupMembers
+};
@@ -0,0 +1,68 @@
+/**
+ * Group Service
+ * 
+ * Main entry point for the Group Service microservice
+ */
+
+const express = require('express');
+const cors = require('cors');
+const morgan = require('morgan');
+const helmet = require('helmet');
+const { initializeDatabase, connection } = require('../../../shared/database');
+const groupRoutes = require('./routes/group.routes');
+const internalRoutes = require('./routes/internal.routes');
+
+// Create Express app
+const app = express();
+const PORT = process.env.PORT || 3007;
+
+// Middleware
+app.use(helmet());
+app.use(cors());
+app.use(morgan('dev'));
+app.use(express.json());
+
+// Routes
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    status: 'UP',
+    service: 'group-service',
+    timestamp: new Date().toISOString(),
+    database: connection.isConnected ? 'connected' : 'disconnected'
+  });
+});
+
+app.use('/api/groups', groupRoutes);
+app.use('/api/internal', internalRoutes);
+
+// Error handler
+app.use((err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+
+  if (statusCode >= 500) {
+    console.error('Group service error:', err);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode >= 500 ? 'Internal server error' : err.message,
+    code: err.errorCode || 'ERR_INTERNAL'
+  });
+});
+
+// Start server
+if (!module.parent) {
+  initializeDatabase()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`Group Service running on port ${PORT}`);
+        console.log(`Health check available at http://localhost:${PORT}/health`);
+      });
+    })
+    .catch(error => {
+      console.error('Failed to start Group Service:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = app;
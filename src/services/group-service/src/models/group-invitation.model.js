@@ -0,0 +1,95 @@
+/**
+ * Group Invitation Model
+ * 
+ * Represents an invitation for a user to join a group
+ */
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const BaseModel = require('../../../../shared/database/models/base.model');
+
+const STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  REVOKED: 'revoked'
+};
+
+// Invitations expire after 7 days unless configured otherwise
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.GROUP_INVITATION_EXPIRY_DAYS || '7', 10);
+
+class GroupInvitationModel extends BaseModel {
+  /**
+   * Invitation statuses
+   * @returns {Object} Status constants
+   */
+  static get STATUS() {
+    return STATUS;
+  }
+
+  /**
+   * Generate a new invitation ID
+   * @returns {ObjectId} New ObjectId
+   */
+  static generateId() {
+    return new ObjectId();
+  }
+
+  /**
+   * Create a new invitation instance
+   * @param {Object} data - Invitation data
+   * @returns {Object} Invitation object
+   */
+  static create(data) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    
+    return {
+      _id: data._id || this.generateId(),
+      groupId: data.groupId,
+      userId: data.userId || null,
+      email: data.email ? data.email.toLowerCase() : null,
+      role: data.role || 'member',
+      invitedBy: data.invitedBy,
+      // Email invitations are claimed with a token since the invitee may not have an account yet
+      token: data.email ? crypto.randomBytes(32).toString('hex') : null,
+      status: STATUS.PENDING,
+      respondedAt: null,
+      expiresAt: data.expiresAt || expiresAt.toISOString(),
+      createdAt: data.createdAt || now.toISOString(),
+      updatedAt: data.updatedAt || now.toISOString()
+    };
+  }
+
+  /**
+   * Check whether an invitation has expired
+   * @param {Object} invitation - Invitation document
+   * @returns {boolean} Whether the invitation has expired
+   */
+  static isExpired(invitation) {
+    return new Date(invitation.expiresAt) <= new Date();
+  }
+
+  /**
+   * Convert an invitation document to a JSON response object
+   * @param {Object} invitation - Invitation document
+   * @returns {Object} Formatted invitation
+   */
+  static toJSON(invitation) {
+    if (!invitation) return null;
+    
+    return {
+      id: invitation._id,
+      groupId: invitation.groupId,
+      userId: invitation.userId,
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy,
+      status: invitation.status,
+      respondedAt: invitation.respondedAt,
+      expiresAt: invitation.expiresAt,
+      createdAt: invitation.createdAt
+    };
+  }
+}
+
+module.exports = GroupInvitationModel;
@@ -0,0 +1,123 @@
+/**
+ * Group Model
+ * 
+ * Represents a group of users sharing expenses
+ */
+const { ObjectId } = require('mongodb');
+const BaseModel = require('../../../../shared/database/models/base.model');
+
+const ROLES = {
+  ADMIN: 'admin',
+  MEMBER: 'member'
+};
+
+class GroupModel extends BaseModel {
+  /**
+   * Member roles supported by groups
+   * @returns {Object} Role constants
+   */
+  static get ROLES() {
+    return ROLES;
+  }
+
+  /**
+   * Generate a new group ID
+   * 
+   * Group IDs are validated as ObjectIds throughout the API, so they
+   * cannot use the UUIDs generated by the base model.
+   * @returns {ObjectId} New ObjectId
+   */
+  static generateId() {
+    return new ObjectId();
+  }
+
+  /**
+   * Create a new group member entry
+   * @param {Object} data - Member data
+   * @returns {Object} Member object
+   */
+  static createMember(data) {
+    return {
+      userId: data.userId,
+      role: data.role || ROLES.MEMBER,
+      addedBy: data.addedBy || null,
+      joinedAt: data.joinedAt || this.timestamp()
+    };
+  }
+
+  /**
+   * Create a new group instance
+   * @param {Object} data - Group data
+   * @returns {Object} Group object
+   */
+  static create(data) {
+    const now = this.timestamp();
+    const members = (data.members || []).map(member => this.createMember(member));
+    
+    return {
+      _id: data._id || this.generateId(),
+      name: data.name,
+      description: data.description || null,
+      currency: data.currency || 'USD',
+      avatar: data.avatar || null,
+      isPrivate: data.isPrivate || false,
+      members,
+      memberCount: members.length,
+      createdBy: data.createdBy,
+      isArchived: false,
+      archivedAt: null,
+      archivedBy: null,
+      createdAt: data.createdAt || now,
+      updatedAt: data.updatedAt || now
+    };
+  }
+
+  /**
+   * Find a member entry in a group
+   * @param {Object} group - Group document
+   * @param {string} userId - User ID
+   * @returns {Object|undefined} Member entry
+   */
+  static findMember(group, userId) {
+    return (group.members || []).find(member => member.userId === userId);
+  }
+
+  /**
+   * Check whether a user is an admin of a group
+   * @param {Object} group - Group document
+   * @param {string} userId - User ID
+   * @returns {boolean} Whether the user is an admin
+   */
+  static isAdmin(group, userId) {
+    const member = this.findMember(group, userId);
+    return !!member && member.role === ROLES.ADMIN;
+  }
+
+  /**
+   * Convert a group document to a JSON response object
+   * @param {Object} group - Group document
+   * @returns {Object} Formatted group
+   */
+  static toJSON(group) {
+    if (!group) return null;
+    
+    return {
+      id: group._id,
+      name: group.name,
+      description: group.description,
+      currency: group.currency,
+      avatar: group.avatar,
+      isPrivate: group.isPrivate,
+      members: group.members,
+      memberCount: group.memberCount,
+      createdBy: group.createdBy,
+      isArchived: group.isArchived,
+      archivedAt: group.archivedAt,
+      archivedBy: group.archivedBy,
+      createdAt: group.createdAt,
+      updatedAt: group.updatedAt
+    };
+  }
+}
+
+module.exports = GroupModel;
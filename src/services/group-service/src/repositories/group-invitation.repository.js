@@ -0,0 +1,99 @@
+/**
+ * Group Invitation Repository
+ *
+ * Handles data access for group invitations
+ */
+const BaseRepository = require('../../../../shared/database/repositories/base.repository');
+const GroupInvitationModel = require('../models/group-invitation.model');
+const { DatabaseError } = require('../../../../shared/errors');
+
+class GroupInvitationRepository extends BaseRepository {
+  constructor() {
+    super('group_invitations');
+  }
+
+  /**
+   * Create a new invitation
+   * @param {Object} invitationData - Invitation data
+   * @returns {Promise<Object>} Created invitation
+   */
+  async createInvitation(invitationData) {
+    const invitation = GroupInvitationModel.create(invitationData);
+    return this.create(invitation);
+  }
+
+  /**
+   * Find a pending invitation for a user or email in a group
+   * @param {string} groupId - Group ID
+   * @param {Object} invitee - Invitee identity ({ userId } or { email })
+   * @returns {Promise<Object|null>} Pending invitation or null
+   */
+  async findPending(groupId, invitee) {
+    const query = {
+      groupId: String(groupId),
+      status: GroupInvitationModel.STATUS.PENDING,
+      expiresAt: { $gt: new Date().toISOString() }
+    };
+
+    if (invitee.userId) {
+      query.userId = invitee.userId;
+    } else {
+      query.email = invitee.email.toLowerCase();
+    }
+
+    const invitations = await this.find(query, { limit: 1 });
+    return invitations.length > 0 ? invitations[0] : null;
+  }
+
+  /**
+   * Get invitations for a group
+   * @param {string} groupId - Group ID
+   * @param {string} [status='pending'] - Invitation status or 'all'
+   * @returns {Promise<Array>} Invitations, newest first
+   */
+  async findByGroup(groupId, status = GroupInvitationModel.STATUS.PENDING) {
+    try {
+      const query = { groupId: String(groupId) };
+      if (status !== 'all') {
+        query.status = status;
+      }
+
+      return await this.find(query, { sort: { createdAt: -1 } });
+    } catch (error) {
+      throw new DatabaseError(`Failed to get invitations for group ${groupId}`, error);
+    }
+  }
+
+  /**
+   * Move a pending invitation to a final status
+   * @param {string} invitationId - Invitation ID
+   * @param {string} status - New status
+   * @param {string} userId - User responding to the invitation
+   * @returns {Promise<boolean>} Whether a pending invitation was updated
+   */
+  async updateStatus(invitationId, status, userId) {
+    try {
+      const now = GroupInvitationModel.timestamp();
+      const result = await this.getCollection().updateOne(
+        {
+          ...this._buildIdQuery(invitationId),
+          status: GroupInvitationModel.STATUS.PENDING
+        },
+        {
+          $set: {
+            status,
+            respondedBy: userId,
+            respondedAt: now,
+            updatedAt: now
+          }
+        }
+      );
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      throw new DatabaseError(`Failed to update invitation ${invitationId}`, error);
+    }
+  }
+}
+
+module.exports = new GroupInvitationRepository();
@@ -0,0 +1,234 @@
+/**
+ * Group Repository
+ *
+ * Handles data access for groups and their members
+ */
+const { ObjectId } = require('mongodb');
+const BaseRepository = require('../../../../shared/database/repositories/base.repository');
+const GroupModel = require('../models/group.model');
+const dbConnection = require('../../../../shared/database/connection');
+const { DatabaseError } = require('../../../../shared/errors');
+
+class GroupRepository extends BaseRepository {
+  constructor() {
+    super('groups');
+  }
+
+  /**
+   * Create a new group
+   * @param {Object} groupData - Group data including members
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(groupData) {
+    const group = GroupModel.create(groupData);
+    return this.create(group);
+  }
+
+  /**
+   * List groups matching the given filters
+   * @param {Object} filters - Query filters
+   * @param {string} filters.viewerId - User requesting the list
+   * @param {string} [filters.userId] - Only groups containing this user
+   * @param {string} [filters.search] - Case-insensitive name search
+   * @param {string} [filters.status='active'] - active, archived or all
+   * @param {Object} [filters.memberCount] - Member count range ({ min, max })
+   * @param {Object} [filters.createdBetween] - Creation date range ({ start, end })
+   * @param {Object} options - Pagination and sorting options
+   * @returns {Promise<Object>} Groups with total count
+   */
+  async listGroups(filters, options = {}) {
+    try {
+      const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = options;
+      const query = this._buildListQuery(filters);
+
+      const total = await this.count(query);
+      const groups = await this.find(query, {
+        sort: { [sortBy]: sortOrder === 'desc' ? -1 : 1 },
+        limit,
+        skip: (page - 1) * limit
+      });
+
+      return { groups, total };
+    } catch (error) {
+      throw new DatabaseError('Failed to list groups', error);
+    }
+  }
+
+  /**
+   * Replace the members of a group
+   * @param {string} groupId - Group ID
+   * @param {Array<Object>} members - Complete member list
+   * @returns {Promise<Object|null>} Updated group or null
+   */
+  async updateMembers(groupId, members) {
+    return this.update(groupId, {
+      members,
+      memberCount: members.length,
+      updatedAt: GroupModel.timestamp()
+    });
+  }
+
+  /**
+   * Archive or unarchive a group
+   * @param {string} groupId - Group ID
+   * @param {boolean} archive - Whether to archive the group
+   * @param {string} userId - User performing the change
+   * @returns {Promise<Object|null>} Updated group or null
+   */
+  async setArchived(groupId, archive, userId) {
+    const now = GroupModel.timestamp();
+
+    return this.update(groupId, {
+      isArchived: archive,
+      archivedAt: archive ? now : null,
+      archivedBy: archive ? userId : null,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Aggregate expense statistics for a group
+   * @param {string} groupId - Group ID
+   * @param {Object} options - Statistics options
+   * @param {string} [options.period='month'] - Timeline bucket (day, week, month, year)
+   * @param {Date} [options.startDate] - Only include expenses on or after this date
+   * @param {Date} [options.endDate] - Only include expenses on or before this date
+   * @returns {Promise<Object>} Totals, category and payer breakdowns, and timeline
+   */
+  async getExpenseStats(groupId, options = {}) {
+    try {
+      const { period = 'month', startDate, endDate } = options;
+
+      // Expenses may reference the group by string or ObjectId
+      const groupIds = [String(groupId)];
+      if (ObjectId.isValid(groupId)) {
+        groupIds.push(new ObjectId(groupId));
+      }
+
+      const match = {
+        groupId: { $in: groupIds },
+        isDeleted: { $ne: true }
+      };
+
+      if (startDate || endDate) {
+        match.date = {};
+        if (startDate) match.date.$gte = new Date(startDate);
+        if (endDate) match.date.$lte = new Date(endDate);
+      }
+
+      const [result] = await dbConnection
+        .getCollection('expenses')
+        .aggregate([
+          { $match: match },
+          {
+            $facet: {
+              totals: [
+                {
+                  $group: {
+                    _id: '$currency',
+                    expenseCount: { $sum: 1 },
+                    totalAmount: { $sum: '$amount' },
+                    averageAmount: { $avg: '$amount' },
+                    firstExpenseAt: { $min: '$date' },
+                    lastExpenseAt: { $max: '$date' }
+                  }
+                },
+                { $sort: { totalAmount: -1 } }
+              ],
+              byCategory: [
+                {
+                  $group: {
+                    _id: { category: { $ifNull: ['$category', 'uncategorized'] }, currency: '$currency' },
+                    expenseCount: { $sum: 1 },
+                    totalAmount: { $sum: '$amount' }
+                  }
+                },
+                { $sort: { totalAmount: -1 } }
+              ],
+              byPayer: [
+                {
+                  $group: {
+                    _id: { userId: '$paidBy', currency: '$currency' },
+                    expenseCount: { $sum: 1 },
+                    totalAmount: { $sum: '$amount' }
+                  }
+                },
+                { $sort: { totalAmount: -1 } }
+              ],
+              timeline: [
+                {
+                  $group: {
+                    _id: {
+                      period: { $dateTrunc: { date: { $toDate: '$date' }, unit: period } },
+                      currency: '$currency'
+                    },
+                    expenseCount: { $sum: 1 },
+                    totalAmount: { $sum: '$amount' }
+                  }
+                },
+                { $sort: { '_id.period': 1 } }
+              ]
+            }
+          }
+        ])
+        .toArray();
+
+      return result || { totals: [], byCategory: [], byPayer: [], timeline: [] };
+    } catch (error) {
+      throw new DatabaseError(`Failed to get expense statistics for group ${groupId}`, error);
+    }
+  }
+
+  /**
+   * Build the MongoDB query for listing groups
+   * @param {Object} filters - List filters
+   * @returns {Object} MongoDB query
+   * @private
+   */
+  _buildListQuery(filters) {
+    const { viewerId, userId, search, status = 'active', memberCount, createdBetween } = filters;
+    const conditions = [];
+
+    if (userId && userId !== viewerId) {
+      // Another user's groups are only visible when public or shared with the viewer
+      conditions.push({ 'members.userId': userId });
+      conditions.push({
+        $or: [
+          { isPrivate: false },
+          { 'members.userId': viewerId }
+        ]
+      });
+    } else {
+      conditions.push({ 'members.userId': viewerId });
+    }
+
+    if (status === 'active') {
+      conditions.push({ isArchived: { $ne: true } });
+    } else if (status === 'archived') {
+      conditions.push({ isArchived: true });
+    }
+
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      conditions.push({ name: { $regex: escaped, $options: 'i' } });
+    }
+
+    if (memberCount && (memberCount.min || memberCount.max)) {
+      const range = {};
+      if (memberCount.min) range.$gte = memberCount.min;
+      if (memberCount.max) range.$lte = memberCount.max;
+      conditions.push({ memberCount: range });
+    }
+
+    if (createdBetween && (createdBetween.start || createdBetween.end)) {
+      const range = {};
+      if (createdBetween.start) range.$gte = new Date(createdBetween.start).toISOString();
+      if (createdBetween.end) range.$lte = new Date(createdBetween.end).toISOString();
+      conditions.push({ createdAt: range });
+    }
+
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+  }
+}
+
+module.exports = new GroupRepository();
@@ -9,7 +9,11 @@ const {
   getGroupSchema,
   listGroupsSchema,
   groupStatsSchema,
-  toggleArchiveSchema
+  toggleArchiveSchema,
+  createInvitationSchema,
+  listInvitationsSchema,
+  respondToInvitationSchema,
+  revokeInvitationSchema
 } = require('../validations/group.validation');
 const groupController = require('../controllers/group.controller');
 const auth = require('../../../../shared/middleware/auth.middleware');
@@ -124,4 +128,64 @@ router.put(
   groupController.toggleArchive
 );
 
+/**
+ * @route   POST /api/groups/:groupId/invitations
+ * @desc    Invite a user to the group by user ID or email
+ * @access  Private
+ */
+router.post(
+  '/:groupId/invitations',
+  auth(),
+  validate(createInvitationSchema),
+  groupController.createInvitation
+);
+
+/**
+ * @route   GET /api/groups/:groupId/invitations
+ * @desc    List group invitations
+ * @access  Private
+ */
+router.get(
+  '/:groupId/invitations',
+  auth(),
+  validate(listInvitationsSchema),
+  groupController.listInvitations
+);
+
+/**
+ * @route   DELETE /api/groups/:groupId/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private
+ */
+router.delete(
+  '/:groupId/invitations/:invitationId',
+  auth(),
+  validate(revokeInvitationSchema),
+  groupController.revokeInvitation
+);
+
+/**
+ * @route   POST /api/groups/invitations/:invitationId/accept
+ * @desc    Accept an invitation and join the group
+ * @access  Private
+ */
+router.post(
+  '/invitations/:invitationId/accept',
+  auth(),
+  validate(respondToInvitationSchema),
+  groupController.acceptInvitation
+);
+
+/**
+ * @route   POST /api/groups/invitations/:invitationId/decline
+ * @desc    Decline an invitation
+ * @access  Private
+ */
+router.post(
+  '/invitations/:invitationId/decline',
+  auth(),
+  validate(respondToInvitationSchema),
+  groupController.declineInvitation
+);
+
 module.exports = router; 
\ No newline at end of file
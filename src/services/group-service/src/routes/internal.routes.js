@@ -0,0 +1,20 @@
+/**
+ * Internal Routes
+ * 
+ * Service-to-service routes. Callers must send the shared service key.
+ */
+
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/group.controller');
+const { requireServiceAuth } = require('../../../../shared/middleware/service-auth.middleware');
+
+router.use(requireServiceAuth());
+
+/**
+ * Members and their roles, used by settlement-service to check who may
+ * change a group's settlement policy
+ */
+router.get('/groups/:groupId/members', groupController.getGroupMembers);
+
+module.exports = router;
@@ -0,0 +1,509 @@
+/**
+ * Group Service
+ *
+ * Business logic for groups, their membership and roles, invitations,
+ * archive state and statistics.
+ */
+
+const groupRepository = require('../repositories/group.repository');
+const invitationRepository = require('../repositories/group-invitation.repository');
+const GroupModel = require('../models/group.model');
+const GroupInvitationModel = require('../models/group-invitation.model');
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError
+} = require('../../../../shared/errors');
+
+const { ADMIN } = GroupModel.ROLES;
+
+/**
+ * Load a group or throw if it does not exist
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} Group document
+ */
+async function findGroupOrFail(groupId) {
+  const group = await groupRepository.findById(groupId);
+  if (!group) {
+    throw new NotFoundError(`Group with ID ${groupId} not found`);
+  }
+  return group;
+}
+
+/**
+ * Ensure a user belongs to a group
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ */
+function assertMember(group, userId) {
+  if (!GroupModel.findMember(group, userId)) {
+    throw new ForbiddenError('You are not a member of this group');
+  }
+}
+
+/**
+ * Ensure a user is an admin of a group
+ * @param {Object} group - Group document
+ * @param {string} userId - User ID
+ */
+function assertAdmin(group, userId) {
+  assertMember(group, userId);
+  if (!GroupModel.isAdmin(group, userId)) {
+    throw new ForbiddenError('Only group admins can perform this action');
+  }
+}
+
+/**
+ * Ensure a group can still be modified
+ * @param {Object} group - Group document
+ */
+function assertNotArchived(group) {
+  if (group.isArchived) {
+    throw new BadRequestError('Archived groups cannot be modified');
+  }
+}
+
+/**
+ * Ensure a member list keeps at least one admin
+ * @param {Array<Object>} members - Member list
+ */
+function assertHasAdmin(members) {
+  if (!members.some(member => member.role === ADMIN)) {
+    throw new BadRequestError('A group must have at least one admin');
+  }
+}
+
+/**
+ * Create a new group. The creator always joins as an admin.
+ * @param {Object} groupData - Group data
+ * @param {string} userId - Creating user ID
+ * @returns {Promise<Object>} Created group
+ */
+async function createGroup(groupData, userId) {
+  if (!groupData || !groupData.name) {
+    throw new BadRequestError('Invalid group data');
+  }
+
+  const members = (groupData.members || [])
+    .filter(member => member.userId !== userId)
+    .map(member => ({ ...member, addedBy: userId }));
+
+  members.unshift({ userId, role: ADMIN, addedBy: userId });
+
+  const group = await groupRepository.createGroup({
+    ...groupData,
+    members,
+    createdBy: userId
+  });
+
+  return GroupModel.toJSON(group);
+}
+
+/**
+ * Get a group visible to the requesting user
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} Group
+ */
+async function getGroup(groupId, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertMember(group, userId);
+
+  return GroupModel.toJSON(group);
+}
+
+/**
+ * Get a group's members and their roles, for other services deciding what
+ * a member may do in the group
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} Group ID, archive state and members
+ */
+async function getGroupMembers(groupId) {
+  const group = await findGroupOrFail(groupId);
+
+  return {
+    groupId: String(group._id),
+    isArchived: Boolean(group.isArchived),
+    members: group.members.map(({ userId, role }) => ({ userId: String(userId), role }))
+  };
+}
+
+/**
+ * List groups visible to the requesting user
+ * @param {string} userId - Requesting user ID
+ * @param {Object} filters - List filters and pagination
+ * @returns {Promise<Object>} Groups with pagination metadata
+ */
+async function listGroups(userId, filters = {}) {
+  const { page = 1, limit = 10, sortBy, sortOrder, ...queryFilters } = filters;
+
+  const { groups, total } = await groupRepository.listGroups(
+    { ...queryFilters, viewerId: userId },
+    { page, limit, sortBy, sortOrder }
+  );
+
+  return {
+    groups: groups.map(group => GroupModel.toJSON(group)),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+}
+
+/**
+ * Update a group's details, optionally replacing its member list
+ * @param {string} groupId - Group ID
+ * @param {Object} updateData - Fields to update
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} Updated group
+ */
+async function updateGroup(groupId, updateData, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertAdmin(group, userId);
+  assertNotArchived(group);
+
+  const { members, ...fields } = updateData;
+  const update = {
+    ...fields,
+    updatedAt: GroupModel.timestamp()
+  };
+
+  if (members) {
+    update.members = members.map(member => {
+      const existing = GroupModel.findMember(group, member.userId);
+      return GroupModel.createMember({
+        ...existing,
+        ...member,
+        addedBy: existing ? existing.addedBy : userId
+      });
+    });
+    assertHasAdmin(update.members);
+    update.memberCount = update.members.length;
+  }
+
+  const updatedGroup = await groupRepository.update(groupId, update);
+  return GroupModel.toJSON(updatedGroup);
+}
+
+/**
+ * Add members to a group
+ * @param {string} groupId - Group ID
+ * @param {Array<Object>} members - Members to add ({ userId, role })
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} Updated group
+ */
+async function addMembers(groupId, members, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertAdmin(group, userId);
+  assertNotArchived(group);
+
+  const duplicates = members.filter(member => GroupModel.findMember(group, member.userId));
+  if (duplicates.length > 0) {
+    throw new ConflictError(
+      `Users already in group: ${duplicates.map(member => member.userId).join(', ')}`
+    );
+  }
+
+  const newMembers = members.map(member =>
+    GroupModel.createMember({ ...member, addedBy: userId })
+  );
+
+  const updatedGroup = await groupRepository.updateMembers(groupId, [
+    ...group.members,
+    ...newMembers
+  ]);
+
+  return GroupModel.toJSON(updatedGroup);
+}
+
+/**
+ * Remove members from a group. Members may always remove themselves;
+ * removing anyone else requires the admin role.
+ * @param {string} groupId - Group ID
+ * @param {Array<string>} memberIds - User IDs to remove
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} Updated group
+ */
+async function removeMembers(groupId, memberIds, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertMember(group, userId);
+  assertNotArchived(group);
+
+  const isSelfRemoval = memberIds.length === 1 && memberIds[0] === userId;
+  if (!isSelfRemoval) {
+    assertAdmin(group, userId);
+  }
+
+  const missing = memberIds.filter(memberId => !GroupModel.findMember(group, memberId));
+  if (missing.length > 0) {
+    throw new NotFoundError(`Users not in group: ${missing.join(', ')}`);
+  }
+
+  const remaining = group.members.filter(member => !memberIds.includes(member.userId));
+  if (remaining.length === 0) {
+    throw new BadRequestError('Cannot remove every member; archive the group instead');
+  }
+  assertHasAdmin(remaining);
+
+  const updatedGroup = await groupRepository.updateMembers(groupId, remaining);
+  return GroupModel.toJSON(updatedGroup);
+}
+
+/**
+ * Change the roles of existing members
+ * @param {string} groupId - Group ID
+ * @param {Array<Object>} updates - Role changes ({ userId, role })
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} Updated group
+ */
+async function updateMemberRoles(groupId, updates, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertAdmin(group, userId);
+  assertNotArchived(group);
+
+  const missing = updates.filter(update => !GroupModel.findMember(group, update.userId));
+  if (missing.length > 0) {
+    throw new NotFoundError(`Users not in group: ${missing.map(update => update.userId).join(', ')}`);
+  }
+
+  const rolesByUser = new Map(updates.map(update => [update.userId, update.role]));
+  const members = group.members.map(member =>
+    rolesByUser.has(member.userId)
+      ? { ...member, role: rolesByUser.get(member.userId) }
+      : member
+  );
+  assertHasAdmin(members);
+
+  const updatedGroup = await groupRepository.updateMembers(groupId, members);
+  return GroupModel.toJSON(updatedGroup);
+}
+
+/**
+ * Archive or unarchive a group
+ * @param {string} groupId - Group ID
+ * @param {boolean} archive - Whether to archive the group
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} Updated group
+ */
+async function setArchived(groupId, archive, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertAdmin(group, userId);
+
+  if (!!group.isArchived === archive) {
+    throw new BadRequestError(`Group is already ${archive ? 'archived' : 'active'}`);
+  }
+
+  const updatedGroup = await groupRepository.setArchived(groupId, archive, userId);
+  return GroupModel.toJSON(updatedGroup);
+}
+
+/**
+ * Get expense statistics for a group
+ * @param {string} groupId - Group ID
+ * @param {Object} options - Period and date range
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} Group statistics
+ */
+async function getGroupStats(groupId, options, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertMember(group, userId);
+
+  const { period = 'month', startDate, endDate } = options;
+  const stats = await groupRepository.getExpenseStats(groupId, { period, startDate, endDate });
+
+  return {
+    groupId,
+    period,
+    startDate: startDate || null,
+    endDate: endDate || null,
+    memberCount: group.memberCount,
+    adminCount: group.members.filter(member => member.role === ADMIN).length,
+    totals: stats.totals.map(({ _id, ...total }) => ({ currency: _id, ...total })),
+    byCategory: stats.byCategory.map(({ _id, ...entry }) => ({ ..._id, ...entry })),
+    byPayer: stats.byPayer.map(({ _id, ...entry }) => ({ ..._id, ...entry })),
+    timeline: stats.timeline.map(({ _id, ...entry }) => ({ ..._id, ...entry }))
+  };
+}
+
+/**
+ * Invite a user, by user ID or email address, to join a group
+ * @param {string} groupId - Group ID
+ * @param {Object} invitee - Invitation data ({ userId } or { email }, role)
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} Created invitation, including its token for email invitations
+ */
+async function createInvitation(groupId, invitee, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertAdmin(group, userId);
+  assertNotArchived(group);
+
+  if (invitee.userId && GroupModel.findMember(group, invitee.userId)) {
+    throw new ConflictError('User is already a member of this group');
+  }
+
+  const existing = await invitationRepository.findPending(groupId, invitee);
+  if (existing) {
+    throw new ConflictError('A pending invitation already exists for this user');
+  }
+
+  const invitation = await invitationRepository.createInvitation({
+    ...invitee,
+    groupId: String(groupId),
+    invitedBy: userId
+  });
+
+  return {
+    ...GroupInvitationModel.toJSON(invitation),
+    token: invitation.token
+  };
+}
+
+/**
+ * List a group's invitations
+ * @param {string} groupId - Group ID
+ * @param {string} status - Invitation status filter
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Array>} Invitations
+ */
+async function listInvitations(groupId, status, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertAdmin(group, userId);
+
+  const invitations = await invitationRepository.findByGroup(groupId, status);
+  return invitations.map(invitation => GroupInvitationModel.toJSON(invitation));
+}
+
+/**
+ * Load a pending invitation addressed to the requesting user
+ * @param {string} invitationId - Invitation ID
+ * @param {string} userId - Requesting user ID
+ * @param {string} [token] - Token for email invitations
+ * @returns {Promise<Object>} Invitation document
+ */
+async function findInvitationForInvitee(invitationId, userId, token) {
+  const invitation = await invitationRepository.findById(invitationId);
+  if (!invitation) {
+    throw new NotFoundError(`Invitation with ID ${invitationId} not found`);
+  }
+
+  const isAddressee = invitation.userId
+    ? invitation.userId === userId
+    : !!token && token === invitation.token;
+
+  if (!isAddressee) {
+    throw new ForbiddenError('This invitation is not addressed to you');
+  }
+
+  if (invitation.status !== GroupInvitationModel.STATUS.PENDING) {
+    throw new BadRequestError(`Invitation has already been ${invitation.status}`);
+  }
+
+  if (GroupInvitationModel.isExpired(invitation)) {
+    throw new BadRequestError('Invitation has expired');
+  }
+
+  return invitation;
+}
+
+/**
+ * Accept an invitation and join the group
+ * @param {string} invitationId - Invitation ID
+ * @param {string} userId - Requesting user ID
+ * @param {string} [token] - Token for email invitations
+ * @returns {Promise<Object>} Group joined
+ */
+async function acceptInvitation(invitationId, userId, token) {
+  const invitation = await findInvitationForInvitee(invitationId, userId, token);
+  const group = await findGroupOrFail(invitation.groupId);
+  assertNotArchived(group);
+
+  const updated = await invitationRepository.updateStatus(
+    invitationId,
+    GroupInvitationModel.STATUS.ACCEPTED,
+    userId
+  );
+  if (!updated) {
+    throw new ConflictError('Invitation was already answered');
+  }
+
+  if (GroupModel.findMember(group, userId)) {
+    return GroupModel.toJSON(group);
+  }
+
+  const updatedGroup = await groupRepository.updateMembers(invitation.groupId, [
+    ...group.members,
+    GroupModel.createMember({
+      userId,
+      role: invitation.role,
+      addedBy: invitation.invitedBy
+    })
+  ]);
+
+  return GroupModel.toJSON(updatedGroup);
+}
+
+/**
+ * Decline an invitation
+ * @param {string} invitationId - Invitation ID
+ * @param {string} userId - Requesting user ID
+ * @param {string} [token] - Token for email invitations
+ * @returns {Promise<void>}
+ */
+async function declineInvitation(invitationId, userId, token) {
+  await findInvitationForInvitee(invitationId, userId, token);
+
+  const updated = await invitationRepository.updateStatus(
+    invitationId,
+    GroupInvitationModel.STATUS.DECLINED,
+    userId
+  );
+  if (!updated) {
+    throw new ConflictError('Invitation was already answered');
+  }
+}
+
+/**
+ * Revoke a pending invitation
+ * @param {string} groupId - Group ID
+ * @param {string} invitationId - Invitation ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<void>}
+ */
+async function revokeInvitation(groupId, invitationId, userId) {
+  const group = await findGroupOrFail(groupId);
+  assertAdmin(group, userId);
+
+  const invitation = await invitationRepository.findById(invitationId);
+  if (!invitation || invitation.groupId !== String(groupId)) {
+    throw new NotFoundError(`Invitation with ID ${invitationId} not found`);
+  }
+
+  const updated = await invitationRepository.updateStatus(
+    invitationId,
+    GroupInvitationModel.STATUS.REVOKED,
+    userId
+  );
+  if (!updated) {
+    throw new BadRequestError(`Invitation has already been ${invitation.status}`);
+  }
+}
+
+module.exports = {
+  createGroup,
+  getGroup,
+  getGroupMembers,
+  listGroups,
+  updateGroup,
+  addMembers,
+  removeMembers,
+  updateMemberRoles,
+  setArchived,
+  getGroupStats,
+  createInvitation,
+  listInvitations,
+  acceptInvitation,
+  declineInvitation,
+  revokeInvitation
+};
@@ -5,102 +5,168 @@ const {
   paginationSchema
 } = require('../../../../shared/validations/common.validation');
 
+const memberRoles = ['admin', 'member'];
+
+const memberSchema = Joi.object({
+  userId: objectIdSchema.required(),
+  role: Joi.string().valid(...memberRoles).default('member')
+});
+
+const groupIdParams = Joi.object({
+  groupId: objectIdSchema.required()
+});
+
 /**
  * Validation schema for creating a group
  */
-const createGroupSchema = Joi.object({
-  ...groupCommonFields,
-  members: Joi.array().items(Joi.object({
-    userId: objectIdSchema.required(),
-    role: Joi.string().valid('admin', 'member').default('member')
-  })).unique('userId').min(1).required()
-});
+const createGroupSchema = {
+  body: Joi.object({
+    ...groupCommonFields,
+    members: Joi.array().items(memberSchema).unique('userId').min(1).required()
+  })
+};
 
 /**
  * Validation schema for updating a group
  */
-const updateGroupSchema = Joi.object({
-  ...groupCommonFields,
-  members: Joi.array().items(Joi.object({
-    userId: objectIdSchema.required(),
-    role: Joi.string().valid('admin', 'member').default('member')
-  })).unique('userId').min(1)
-}).min(1); // At least one field must be provided for update
+const updateGroupSchema = {
+  params: groupIdParams,
+  body: Joi.object({
+    ...groupCommonFields,
+    name: groupCommonFields.name.optional(),
+    currency: groupCommonFields.currency.optional(),
+    isPrivate: groupCommonFields.isPrivate.optional(),
+    members: Joi.array().items(memberSchema).unique('userId').min(1)
+  }).min(1) // At least one field must be provided for update
+};
 
 /**
  * Validation schema for adding members to a group
  */
-const addMembersSchema = Joi.object({
-  groupId: objectIdSchema.required(),
-  members: Joi.array().items(Joi.object({
-    userId: objectIdSchema.required(),
-    role: Joi.string().valid('admin', 'member').default('member')
-  })).unique('userId').min(1).required()
-});
+const addMembersSchema = {
+  params: groupIdParams,
+  body: Joi.object({
+    members: Joi.array().items(memberSchema).unique('userId').min(1).required()
+  })
+};
 
 /**
  * Validation schema for removing members from a group
  */
-const removeMembersSchema = Joi.object({
-  groupId: objectIdSchema.required(),
-  memberIds: Joi.array().items(objectIdSchema).unique().min(1).required()
-});
+const removeMembersSchema = {
+  params: groupIdParams,
+  body: Joi.object({
+    memberIds: Joi.array().items(objectIdSchema).unique().min(1).required()
+  })
+};
 
 /**
  * Validation schema for updating member roles
  */
-const updateMemberRolesSchema = Joi.object({
-  groupId: objectIdSchema.required(),
-  updates: Joi.array().items(Joi.object({
-    userId: objectIdSchema.required(),
-    role: Joi.string().valid('admin', 'member').required()
-  })).unique('userId').min(1).required()
-});
+const updateMemberRolesSchema = {
+  params: groupIdParams,
+  body: Joi.object({
+    updates: Joi.array().items(Joi.object({
+      userId: objectIdSchema.required(),
+      role: Joi.string().valid(...memberRoles).required()
+    })).unique('userId').min(1).required()
+  })
+};
 
 /**
  * Validation schema for getting group by ID
  */
-const getGroupSchema = Joi.object({
-  groupId: objectIdSchema.required()
-});
+const getGroupSchema = {
+  params: groupIdParams
+};
 
 /**
  * Validation schema for listing groups
  */
-const listGroupsSchema = Joi.object({
-  ...paginationSchema,
-  userId: objectIdSchema,
-  search: Joi.string().max(100),
-  status: Joi.string().valid('active', 'archived', 'all').default('active'),
-  memberCount: Joi.object({
-    min: Joi.number().integer().min(1),
-    max: Joi.number().integer().min(Joi.ref('min'))
-  }),
-  createdBetween: Joi.object({
-    start: Joi.date().iso(),
-    end: Joi.date().iso().min(Joi.ref('start'))
+const listGroupsSchema = {
+  query: paginationSchema.keys({
+    userId: objectIdSchema,
+    search: Joi.string().max(100),
+    status: Joi.string().valid('active', 'archived', 'all').default('active'),
+    memberCount: Joi.object({
+      min: Joi.number().integer().min(1),
+      max: Joi.number().integer().min(Joi.ref('min'))
+    }),
+    createdBetween: Joi.object({
+      start: Joi.date().iso(),
+      end: Joi.date().iso().min(Joi.ref('start'))
+    })
   })
-});
+};
 
 /**
  * Validation schema for group statistics
  */
-const groupStatsSchema = Joi.object({
-  groupId: objectIdSchema.required(),
-  period: Joi.string().valid('day', 'week', 'month', 'year').default('month'),
-  startDate: Joi.date().iso(),
-  endDate: Joi.date().iso().min(Joi.ref('startDate'))
-});
+const groupStatsSchema = {
+  params: groupIdParams,
+  query: Joi.object({
+    period: Joi.string().valid('day', 'week', 'month', 'year').default('month'),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate'))
+  })
+};
 
 /**
  * Validation schema for archiving/unarchiving a group
  */
-const toggleArchiveSchema = Joi.object({
-  groupId: objectIdSchema.required(),
-  archive: Joi.boolean().required()
-});
+const toggleArchiveSchema = {
+  params: groupIdParams,
+  body: Joi.object({
+    archive: Joi.boolean().required()
+  })
+};
+
+/**
+ * Validation schema for inviting users to a group
+ */
+const createInvitationSchema = {
+  params: groupIdParams,
+  body: Joi.object({
+    userId: objectIdSchema,
+    email: Joi.string().email(),
+    role: Joi.string().valid(...memberRoles).default('member')
+  }).xor('userId', 'email')
+};
+
+/**
+ * Validation schema for listing a group's invitations
+ */
+const listInvitationsSchema = {
+  params: groupIdParams,
+  query: Joi.object({
+    status: Joi.string().valid('pending', 'accepted', 'declined', 'revoked', 'all').default('pending')
+  })
+};
+
+/**
+ * Validation schema for responding to an invitation
+ */
+const respondToInvitationSchema = {
+  params: Joi.object({
+    invitationId: objectIdSchema.required()
+  }),
+  body: Joi.object({
+    token: Joi.string().hex().length(64)
+  })
+};
+
+/**
+ * Validation schema for revoking an invitation
+ */
+const revokeInvitationSchema = {
+  params: Joi.object({
+    groupId: objectIdSchema.required(),
+    invitationId: objectIdSchema.required()
+  })
+};
 
 module.exports = {
+  memberRoles,
   createGroupSchema,
   updateGroupSchema,
   addMembersSchema,
@@ -109,5 +175,9 @@ module.exports = {
   getGroupSchema,
   listGroupsSchema,
   groupStatsSchema,
-  toggleArchiveSchema
-}; 
\ No newline at end of file
+  toggleArchiveSchema,
+  createInvitationSchema,
+  listInvitationsSchema,
+  respondToInvitationSchema,
+  revokeInvitationSchema
+};
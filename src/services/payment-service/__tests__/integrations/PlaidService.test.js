@@ -2,10 +2,13 @@ import mongoose from 'mongoose';
 import { MongoMemoryServer } from 'mongodb-memory-server';
 import nock from 'nock';
 import { jest } from '@jest/globals';
+import crypto from 'crypto';
 import PlaidService from '../../src/integrations/PlaidService.js';
 import BankAccount from '../../src/models/BankAccount.js';
+import * as transactionSyncService from '../../src/services/transaction-sync.service.js';
 
 jest.mock('../../src/models/BankAccount.js');
+jest.mock('../../src/services/transaction-sync.service.js');
 
 let mongoServer;
 
@@ -45,8 +48,10 @@ describe('PlaidService', () => {
       linkTokenCreate: jest.fn(),
       itemPublicTokenExchange: jest.fn(),
       transactionsGet: jest.fn(),
+      transactionsSync: jest.fn(),
       accountsGet: jest.fn(),
-      authMicrodepositsVerify: jest.fn()
+      authMicrodepositsVerify: jest.fn(),
+      webhookVerificationKeyGet: jest.fn()
     };
 
     // Initialize PlaidService with mock client
@@ -117,6 +122,98 @@ describe('PlaidService', () => {
     });
   });
 
+  describe('syncTransactions', () => {
+    it('should follow every page from the cursor', async () => {
+      mockPlaidClient.transactionsSync
+        .mockResolvedValueOnce({
+          data: { added: [{ transaction_id: 't1' }], modified: [], removed: [], next_cursor: 'c1', has_more: true }
+        })
+        .mockResolvedValueOnce({
+          data: { added: [], modified: [{ transaction_id: 't0' }], removed: [{ transaction_id: 't9' }], next_cursor: 'c2', has_more: false }
+        });
+
+      const result = await plaidService.syncTransactions('access-token', 'c0');
+
+      expect(result).toEqual({
+        added: [{ transaction_id: 't1' }],
+        modified: [{ transaction_id: 't0' }],
+        removed: [{ transaction_id: 't9' }],
+        nextCursor: 'c2'
+      });
+      expect(mockPlaidClient.transactionsSync).toHaveBeenNthCalledWith(1, { access_token: 'access-token', cursor: 'c0', count: 500 });
+      expect(mockPlaidClient.transactionsSync).toHaveBeenNthCalledWith(2, { access_token: 'access-token', cursor: 'c1', count: 500 });
+    });
+
+    it('should start over when the item changes while paging', async () => {
+      const mutation = Object.assign(new Error('mutation'), {
+        response: { data: { error_code: 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' } }
+      });
+      mockPlaidClient.transactionsSync
+        .mockResolvedValueOnce({
+          data: { added: [{ transaction_id: 't1' }], modified: [], removed: [], next_cursor: 'c1', has_more: true }
+        })
+        .mockRejectedValueOnce(mutation)
+        .mockResolvedValueOnce({
+          data: { added: [{ transaction_id: 't1' }], modified: [], removed: [], next_cursor: 'c2', has_more: false }
+        });
+
+      const result = await plaidService.syncTransactions('access-token');
+
+      expect(result.added).toEqual([{ transaction_id: 't1' }]);
+      expect(result.nextCursor).toBe('c2');
+      expect(mockPlaidClient.transactionsSync).toHaveBeenLastCalledWith({ access_token: 'access-token', count: 500 });
+    });
+  });
+
+  describe('verifyWebhook', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const body = JSON.stringify({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: 'item1' });
+
+    const sign = (payload) => {
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const signingInput = `${encode({ alg: 'ES256', kid: 'key1', typ: 'JWT' })}.${encode(payload)}`;
+      const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+      return `${signingInput}.${signature.toString('base64url')}`;
+    };
+
+    const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+
+    beforeEach(() => {
+      mockPlaidClient.webhookVerificationKeyGet.mockResolvedValue({
+        data: { key: { ...publicKey.export({ format: 'jwk' }), kid: 'key1', alg: 'ES256' } }
+      });
+    });
+
+    it('should accept webhooks signed by Plaid', async () => {
+      const token = sign({ iat: Math.floor(Date.now() / 1000), request_body_sha256: bodyHash });
+
+      await expect(plaidService.verifyWebhook(Buffer.from(body), token)).resolves.toBe(true);
+      expect(mockPlaidClient.webhookVerificationKeyGet).toHaveBeenCalledWith({ key_id: 'key1' });
+    });
+
+    it('should reject webhooks whose body was changed', async () => {
+      const token = sign({ iat: Math.floor(Date.now() / 1000), request_body_sha256: bodyHash });
+
+      await expect(plaidService.verifyWebhook(Buffer.from(body.replace('item1', 'item2')), token))
+        .rejects
+        .toThrow('Webhook body does not match its signature');
+    });
+
+    it('should reject old webhooks', async () => {
+      const token = sign({ iat: Math.floor(Date.now() / 1000) - 10 * 60, request_body_sha256: bodyHash });
+
+      await expect(plaidService.verifyWebhook(Buffer.from(body), token))
+        .rejects
+        .toThrow('Webhook is too old');
+    });
+
+    it('should reject webhooks without a signature', async () => {
+      await expect(plaidService.verifyWebhook(Buffer.from(body), undefined))
+        .rejects
+        .toThrow('Invalid webhook signature');
+    });
+  });
+
   describe('getBalance', () => {
     it('should get account balance successfully', async () => {
       const accessToken = 'test-access-token';
@@ -199,6 +296,7 @@ describe('PlaidService', () => {
     });
 
     it('should handle transaction webhooks', async () => {
+      transactionSyncService.syncItem.mockResolvedValue({ accounts: 1, added: 2, modified: 0, removed: 1 });
       const webhook = {
         webhook_type: 'TRANSACTIONS',
         webhook_code: 'DEFAULT_UPDATE',
@@ -209,8 +307,28 @@ describe('PlaidService', () => {
 
       expect(result).toEqual({
         status: 'processed',
-        type: 'transactions_updated'
+        type: 'transactions_updated',
+        accounts: 1,
+        added: 2,
+        modified: 0,
+        removed: 1
       });
+      expect(transactionSyncService.syncItem).toHaveBeenCalledWith(plaidService, 'test-item-id');
+    });
+
+    it('should retract drafts of removed transactions', async () => {
+      transactionSyncService.removeTransactions.mockResolvedValue({ removed: 2, retracted: 1 });
+      const webhook = {
+        webhook_type: 'TRANSACTIONS',
+        webhook_code: 'TRANSACTIONS_REMOVED',
+        item_id: 'test-item-id',
+        removed_transactions: ['t1', 't2']
+      };
+
+      const result = await plaidService.handleWebhook(webhook);
+
+      expect(result).toEqual({ status: 'processed', type: 'transactions_removed', removed: 2 });
+      expect(transactionSyncService.removeTransactions).toHaveBeenCalledWith(['t1', 't2']);
     });
 
     it('should handle auth webhooks', async () => {
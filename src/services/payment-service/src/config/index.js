@@ -26,6 +26,26 @@ const config = {
     secret: process.env.PLAID_SECRET,
     env: process.env.PLAID_ENV || 'sandbox'
   },
+  wallet: {
+    // Flat fee charged on each withdrawal, in the wallet's currency
+    withdrawalFee: Number(process.env.WALLET_WITHDRAWAL_FEE) || 0
+  },
+  settlementMatching: {
+    // Matches scoring at least this are offered for review
+    suggestThreshold: Number(process.env.SETTLEMENT_MATCH_SUGGEST_THRESHOLD) || 0.6,
+    // Matches scoring at least this are recorded without review
+    autoCompleteThreshold: Number(process.env.SETTLEMENT_MATCH_AUTO_COMPLETE_THRESHOLD) || 0.9,
+    // Days after a settlement was created its payment is expected
+    dateWindowDays: Number(process.env.SETTLEMENT_MATCH_DATE_WINDOW_DAYS) || 30,
+    // Days of bank transactions scanned
+    lookbackDays: Number(process.env.SETTLEMENT_MATCH_LOOKBACK_DAYS) || 30
+  },
+  idempotency: {
+    // How long a key is remembered after its first use
+    keyTtlHours: Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+    // A request still processing after this long is taken to have died
+    lockTimeoutSeconds: Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 120
+  },
   supabase: {
     url: process.env.SUPABASE_URL,
     anonKey: process.env.SUPABASE_ANON_KEY,
@@ -34,7 +54,8 @@ const config = {
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed']
   },
   rateLimiting: {
     windowMs: 15 * 60 * 1000, // 15 minutes
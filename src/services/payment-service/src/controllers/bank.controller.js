@@ -1,4 +1,6 @@
 import * as bankService from '../services/bank.service.js';
+import * as transactionSyncService from '../services/transaction-sync.service.js';
+import { plaidService } from '../integrations/plaid.client.js';
 
 export const linkBankAccount = async (req, res) => {
   try {
@@ -55,4 +57,27 @@ export const getAccountTransactions = async (req, res) => {
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
-}; 
\ No newline at end of file
+};
+
+export const syncAccountTransactions = async (req, res) => {
+  try {
+    const counts = await transactionSyncService.syncUserBankAccount(
+      plaidService,
+      req.user.id,
+      req.params.accountId
+    );
+    res.json(counts);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const handlePlaidWebhook = async (req, res) => {
+  try {
+    await plaidService.verifyWebhook(req.rawBody, req.get('Plaid-Verification'));
+    const result = await plaidService.handleWebhook(req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,48 @@
+import * as expenseDraftService from '../services/expense-draft.service.js';
+
+export const getDrafts = async (req, res) => {
+  try {
+    const drafts = await expenseDraftService.getDrafts(req.user.id, { status: req.query.status });
+    res.json(drafts);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const updateDraft = async (req, res) => {
+  try {
+    const draft = await expenseDraftService.updateDraft(req.user.id, req.params.draftId, req.body);
+    res.json(draft);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const dismissDraft = async (req, res) => {
+  try {
+    const draft = await expenseDraftService.dismissDraft(req.user.id, req.params.draftId);
+    res.json(draft);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const convertDraft = async (req, res) => {
+  try {
+    const result = await expenseDraftService.convertDraft(
+      req.user.id,
+      req.params.draftId,
+      {
+        groupId: req.body.groupId,
+        description: req.body.description,
+        category: req.body.category,
+        participants: req.body.participants,
+        splits: req.body.splits
+      },
+      req.get('Authorization')
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,10 @@
+import * as ledgerService from '../services/ledger.service.js';
+
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const report = await ledgerService.getReconciliationReport();
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,39 @@
+import * as settlementMatcherService from '../services/settlement-matcher.service.js';
+
+export const scanMatches = async (req, res) => {
+  try {
+    const result = await settlementMatcherService.scanMatches(req.user.id, {
+      days: req.body.days
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const getMatches = async (req, res) => {
+  try {
+    const matches = await settlementMatcherService.getMatches(req.user.id, { status: req.query.status });
+    res.json(matches);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const acceptMatch = async (req, res) => {
+  try {
+    const match = await settlementMatcherService.acceptMatch(req.user.id, req.params.matchId);
+    res.json(match);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const rejectMatch = async (req, res) => {
+  try {
+    const match = await settlementMatcherService.rejectMatch(req.user.id, req.params.matchId);
+    res.json(match);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
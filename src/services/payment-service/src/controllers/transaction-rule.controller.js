@@ -0,0 +1,37 @@
+import * as transactionRuleService from '../services/transaction-rule.service.js';
+
+export const getRules = async (req, res) => {
+  try {
+    const rules = await transactionRuleService.getRules(req.user.id);
+    res.json(rules);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const createRule = async (req, res) => {
+  try {
+    const rule = await transactionRuleService.createRule(req.user.id, req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await transactionRuleService.updateRule(req.user.id, req.params.ruleId, req.body);
+    res.json(rule);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const deleteRule = async (req, res) => {
+  try {
+    await transactionRuleService.deleteRule(req.user.id, req.params.ruleId);
+    res.status(204).send();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
@@ -19,7 +19,7 @@ export const deposit = async (req, res) => {
     });
     res.status(201).json(transaction);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 };
 
@@ -33,10 +33,24 @@ export const withdraw = async (req, res) => {
     });
     res.status(201).json(transaction);
   } catch (error) {
-    if (error.message === 'Insufficient funds') {
-      return res.status(400).json({ error: error.message });
-    }
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+export const transfer = async (req, res) => {
+  try {
+    const transfer = await walletService.transfer({
+      senderId: req.user.id,
+      recipientId: req.body.recipientId,
+      amount: req.body.amount,
+      currency: req.body.currency,
+      settlementId: req.body.settlementId,
+      note: req.body.note,
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+    res.status(201).json(transfer);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 };
 
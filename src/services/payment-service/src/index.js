@@ -6,24 +6,28 @@ import rateLimit from 'express-rate-limit';
 import config from './config/index.js';
 import logger from './utils/logger.js';
 import connectDB from './utils/database.js';
+import { openWalletAccounts } from './services/ledger.service.js';
 
 // Import routes
 import paymentRoutes from './routes/index.js';
 import walletRoutes from './routes/wallet.routes.js';
 import bankRoutes from './routes/bank.routes.js';
+import ledgerRoutes from './routes/ledger.routes.js';
 
 const app = express();
 
-// Connect to MongoDB
-connectDB();
-
 // Rate limiting
 const limiter = rateLimit(config.rateLimiting);
 
 // Middleware
 app.use(helmet());
 app.use(cors(config.cors));
-app.use(express.json());
+app.use(express.json({
+  // Plaid webhooks are verified against the body exactly as it was sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(morgan('combined', { stream: logger.stream }));
 app.use(limiter);
 
@@ -40,6 +44,7 @@ app.get('/health', (req, res) => {
 app.use('/api/payments', paymentRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/bank', bankRoutes);
+app.use('/api/ledger', ledgerRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -56,21 +61,44 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-const server = app.listen(config.app.port, () => {
-  logger.info(`${config.app.name} listening on port ${config.app.port}`);
-});
+let server;
+
+// Connect to MongoDB and give wallets from before the ledger their opening
+// balances before any request can sync them, then start the server
+const start = async () => {
+  await connectDB();
+
+  const opened = await openWalletAccounts();
+  if (opened > 0) {
+    logger.info(`Opened ledger accounts for ${opened} existing wallets`);
+  }
+
+  server = app.listen(config.app.port, () => {
+    logger.info(`${config.app.name} listening on port ${config.app.port}`);
+  });
+};
+
+// Close server & exit process
+const shutdown = () => {
+  if (!server) {
+    process.exit(1);
+  }
+  server.close(() => process.exit(1));
+};
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error('Unhandled Promise Rejection:', err);
-  // Close server & exit process
-  server.close(() => process.exit(1));
+  shutdown();
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
   logger.error('Uncaught Exception:', err);
-  // Close server & exit process
-  server.close(() => process.exit(1));
+  shutdown();
+});
+
+start().catch((err) => {
+  logger.error('Failed to start:', err);
+  process.exit(1);
 }); 
\ No newline at end of file
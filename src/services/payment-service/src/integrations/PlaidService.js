@@ -1,5 +1,21 @@
+import crypto from 'crypto';
 import { Configuration, PlaidApi, PlaidEnvironments } from 'plaid';
 import BankAccount from '../models/BankAccount.js';
+import * as transactionSyncService from '../services/transaction-sync.service.js';
+import { AuthenticationError } from '../utils/errors.js';
+
+// Webhooks signed longer ago than this are rejected as replays
+const WEBHOOK_MAX_AGE_SECONDS = 5 * 60;
+
+// Transactions webhooks announcing changes that /transactions/sync picks up
+const TRANSACTION_UPDATE_CODES = {
+  SYNC_UPDATES_AVAILABLE: 'transactions_synced',
+  INITIAL_UPDATE: 'transactions_initial',
+  DEFAULT_UPDATE: 'transactions_updated',
+  HISTORICAL_UPDATE: 'transactions_historical'
+};
+
+const decodeSegment = segment => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
 
 class PlaidService {
   constructor(plaidClient) {
@@ -18,9 +34,14 @@ class PlaidService {
     this.createLinkToken = this.createLinkToken.bind(this);
     this.exchangePublicToken = this.exchangePublicToken.bind(this);
     this.getTransactions = this.getTransactions.bind(this);
+    this.syncTransactions = this.syncTransactions.bind(this);
     this.getBalance = this.getBalance.bind(this);
     this.verifyMicroDeposits = this.verifyMicroDeposits.bind(this);
     this.handleWebhook = this.handleWebhook.bind(this);
+    this.verifyWebhook = this.verifyWebhook.bind(this);
+
+    // Webhook verification keys by key ID
+    this.webhookKeys = new Map();
     
     // Bind private methods
     this._handleTransactionWebhook = this._handleTransactionWebhook.bind(this);
@@ -86,6 +107,45 @@ class PlaidService {
     }
   }
 
+  /**
+   * Get the transaction changes of an item since a cursor, following every
+   * page. If the item changes while paging, Plaid requires starting over
+   * from the original cursor.
+   * @param {string} accessToken - Item access token
+   * @param {string} [cursor] - Cursor from the last sync; omit to get all history
+   * @returns {Promise<Object>} `{ added, modified, removed, nextCursor }`
+   */
+  async syncTransactions(accessToken, cursor) {
+    const changes = { added: [], modified: [], removed: [] };
+    let nextCursor = cursor;
+    let hasMore = true;
+
+    try {
+      while (hasMore) {
+        const response = await this.plaidClient.transactionsSync({
+          access_token: accessToken,
+          ...(nextCursor && { cursor: nextCursor }),
+          count: 500
+        });
+        const { data } = response;
+
+        changes.added.push(...data.added);
+        changes.modified.push(...data.modified);
+        changes.removed.push(...data.removed);
+        nextCursor = data.next_cursor;
+        hasMore = data.has_more;
+      }
+    } catch (error) {
+      if (error.response?.data?.error_code === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION') {
+        return this.syncTransactions(accessToken, cursor);
+      }
+      console.error('Error syncing transactions:', error);
+      throw new Error('Failed to sync bank transactions');
+    }
+
+    return { ...changes, nextCursor };
+  }
+
   async getBalance(accessToken, accountId) {
     try {
       const response = await this.plaidClient.accountsGet({
@@ -120,6 +180,70 @@ class PlaidService {
     }
   }
 
+  /**
+   * Check a webhook was sent by Plaid: its Plaid-Verification header must be
+   * a fresh ES256 JWT, signed with one of Plaid's keys, that carries the
+   * SHA-256 of the raw request body
+   * @param {Buffer|string} rawBody - Request body as received
+   * @param {string} verificationHeader - Plaid-Verification header
+   * @returns {Promise<boolean>} true
+   * @throws {AuthenticationError} If the webhook cannot be verified
+   */
+  async verifyWebhook(rawBody, verificationHeader) {
+    const parts = (verificationHeader || '').split('.');
+    if (!rawBody || parts.length !== 3) {
+      throw new AuthenticationError('Invalid webhook signature');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(encodedHeader);
+      payload = decodeSegment(encodedPayload);
+    } catch (error) {
+      throw new AuthenticationError('Invalid webhook signature');
+    }
+    if (header.alg !== 'ES256' || !header.kid) {
+      throw new AuthenticationError('Invalid webhook signature');
+    }
+
+    let key = this.webhookKeys.get(header.kid);
+    if (!key) {
+      try {
+        const response = await this.plaidClient.webhookVerificationKeyGet({ key_id: header.kid });
+        const { kty, crv, x, y } = response.data.key;
+        key = crypto.createPublicKey({ key: { kty, crv, x, y }, format: 'jwk' });
+        this.webhookKeys.set(header.kid, key);
+      } catch (error) {
+        console.error('Error fetching webhook verification key:', error);
+        throw new AuthenticationError('Invalid webhook signature');
+      }
+    }
+
+    const signed = crypto.verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!signed) {
+      throw new AuthenticationError('Invalid webhook signature');
+    }
+
+    if (!payload.iat || Date.now() / 1000 - payload.iat > WEBHOOK_MAX_AGE_SECONDS) {
+      throw new AuthenticationError('Webhook is too old');
+    }
+
+    const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+    const expected = Buffer.from(String(payload.request_body_sha256 || ''));
+    if (expected.length !== bodyHash.length || !crypto.timingSafeEqual(Buffer.from(bodyHash), expected)) {
+      throw new AuthenticationError('Webhook body does not match its signature');
+    }
+
+    return true;
+  }
+
   async handleWebhook(webhook) {
     try {
       const { webhook_type, webhook_code, item_id } = webhook;
@@ -150,16 +274,18 @@ class PlaidService {
 
   // Private methods
   async _handleTransactionWebhook(webhookCode, bankAccount, webhook) {
-    switch (webhookCode) {
-      case 'TRANSACTIONS_REMOVED':
-        return { status: 'processed', type: 'transactions_removed' };
-      case 'DEFAULT_UPDATE':
-        return { status: 'processed', type: 'transactions_updated' };
-      case 'HISTORICAL_UPDATE':
-        return { status: 'processed', type: 'transactions_historical' };
-      default:
-        return { status: 'ignored' };
+    if (webhookCode === 'TRANSACTIONS_REMOVED') {
+      const { removed } = await transactionSyncService.removeTransactions(webhook.removed_transactions);
+      return { status: 'processed', type: 'transactions_removed', removed };
+    }
+
+    const type = TRANSACTION_UPDATE_CODES[webhookCode];
+    if (!type) {
+      return { status: 'ignored' };
     }
+
+    const counts = await transactionSyncService.syncItem(this, webhook.item_id);
+    return { status: 'processed', type, ...counts };
   }
 
   async _handleAuthWebhook(webhookCode, bankAccount, webhook) {
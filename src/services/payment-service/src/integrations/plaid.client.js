@@ -0,0 +1,19 @@
+import { Configuration, PlaidApi, PlaidEnvironments } from 'plaid';
+import config from '../config/index.js';
+import PlaidService from './PlaidService.js';
+
+const plaidClient = new PlaidApi(
+  new Configuration({
+    basePath: PlaidEnvironments[config.plaid.env],
+    baseOptions: {
+      headers: {
+        'PLAID-CLIENT-ID': config.plaid.clientId,
+        'PLAID-SECRET': config.plaid.secret,
+      },
+    },
+  })
+);
+
+export const plaidService = new PlaidService(plaidClient);
+
+export default plaidClient;
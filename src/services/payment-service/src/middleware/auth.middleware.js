@@ -36,3 +36,11 @@ export const authenticate = async (req, res, next) => {
     return res.status(401).json({ error: 'Authentication failed' });
   }
 };
+
+export const authorize = (...roles) => (req, res, next) => {
+  const role = req.user.app_metadata?.role || 'user';
+  if (!roles.includes(role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
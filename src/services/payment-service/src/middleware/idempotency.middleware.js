@@ -0,0 +1,46 @@
+import * as idempotencyService from '../services/idempotency.service.js';
+import logger from '../utils/logger.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Answers repeats of a request sent with the same Idempotency-Key with the
+// first response. Keys are scoped to the authenticated user, so this must
+// run after authenticate. Requests without the header are handled as usual.
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const requestHash = idempotencyService.hashRequest({
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      body: req.body
+    });
+    const { record, replay } = await idempotencyService.beginRequest(req.user.id, key, requestHash);
+
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    const originalJson = res.json;
+    res.json = (body) => {
+      res.json = originalJson;
+
+      idempotencyService.completeRequest(record, res.statusCode, body)
+        .catch(error => logger.error('Failed to store response for idempotency key', { key, message: error.message }))
+        .finally(() => originalJson.call(res, body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
@@ -72,6 +72,14 @@ const bankAccountSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Plaid /transactions/sync cursor; changes after it have not been imported
+  transactionsCursor: {
+    type: String,
+    required: false
+  },
+  transactionsSyncedAt: {
+    type: Date
+  },
   status: {
     type: String,
     enum: ['ACTIVE', 'PENDING_VERIFICATION', 'VERIFICATION_FAILED', 'DISABLED'],
@@ -108,6 +116,7 @@ const bankAccountSchema = new mongoose.Schema({
     transform: (doc, ret) => {
       delete ret.plaidAccessToken;
       delete ret.plaidItemId;
+      delete ret.transactionsCursor;
       return ret;
     }
   }
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// A transaction imported from a linked bank account through Plaid. Amounts
+// keep Plaid's sign: positive amounts are money leaving the account.
+const bankTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  bankAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankAccount',
+    required: true
+  },
+  plaidTransactionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  plaidAccountId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  merchantName: {
+    type: String,
+    trim: true
+  },
+  // Plaid's personal finance category, e.g. FOOD_AND_DRINK / FOOD_AND_DRINK_RESTAURANT
+  category: {
+    primary: String,
+    detailed: String
+  },
+  pending: {
+    type: Boolean,
+    default: false
+  },
+  // Set when Plaid reports the transaction removed
+  removedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+bankTransactionSchema.index({ userId: 1, date: -1 });
+bankTransactionSchema.index({ bankAccountId: 1, date: -1 });
+
+const BankTransaction = mongoose.model('BankTransaction', bankTransactionSchema);
+
+export default BankTransaction;
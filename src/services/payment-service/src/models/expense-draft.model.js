@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// pending    waiting in the user's inbox
+// converting being turned into an expense
+// converted  turned into an expense
+// dismissed  not an expense to split
+// retracted  its bank transaction was removed before it was converted
+export const DRAFT_STATUSES = ['pending', 'converting', 'converted', 'dismissed', 'retracted'];
+
+// A bank transaction waiting to be turned into a split expense
+const expenseDraftSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  bankTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankTransaction',
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  merchantName: {
+    type: String,
+    trim: true
+  },
+  // What the rules engine suggested; category and groupId start from it and
+  // can be edited by the user
+  suggestion: {
+    category: String,
+    groupId: String,
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TransactionRule'
+    }
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  groupId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: DRAFT_STATUSES,
+    default: 'pending'
+  },
+  expenseId: {
+    type: String
+  },
+  convertedAt: {
+    type: Date
+  },
+  retractedAt: {
+    type: Date
+  },
+  // Set when the bank transaction of a converted draft is removed, so the
+  // expense it became can be reviewed
+  transactionRemovedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+expenseDraftSchema.index({ userId: 1, status: 1, date: -1 });
+expenseDraftSchema.index({ userId: 1, merchantName: 1, convertedAt: -1 });
+
+const ExpenseDraft = mongoose.model('ExpenseDraft', expenseDraftSchema);
+
+export default ExpenseDraft;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// First response to a request sent with an Idempotency-Key header, replayed
+// for repeats of the request
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, path and body of the first request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { Decimal } from 'decimal.js';
+
+export const ENTRY_TYPES = ['opening', 'deposit', 'withdrawal', 'transfer', 'payment', 'refund'];
+
+const postingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  }
+}, {
+  _id: false
+});
+
+const journalEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    minlength: 3,
+    maxlength: 3,
+    uppercase: true
+  },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: postings => postings.length >= 2,
+      message: 'A journal entry needs at least two postings'
+    }
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Debits must equal credits
+journalEntrySchema.pre('validate', function(next) {
+  const totals = { debit: new Decimal(0), credit: new Decimal(0) };
+  for (const posting of this.postings) {
+    if (totals[posting.direction]) {
+      totals[posting.direction] = totals[posting.direction].plus(posting.amount);
+    }
+  }
+
+  if (!totals.debit.equals(totals.credit)) {
+    return next(new Error(
+      `Journal entry is unbalanced: debits ${totals.debit.toFixed(2)} do not equal credits ${totals.credit.toFixed(2)}`
+    ));
+  }
+  next();
+});
+
+// Entries are immutable; mistakes are corrected with a reversing entry
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries cannot be changed'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Journal entries cannot be changed'));
+};
+
+journalEntrySchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+
+// Indexes
+journalEntrySchema.index({ 'postings.account': 1, createdAt: -1 });
+journalEntrySchema.index({ currency: 1 });
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+export default JournalEntry;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Wallet accounts hold what the service owes each user, so credits increase
+// them. Clearing accounts hold money moving to and from payment providers
+// and fee accounts collect fees charged on wallet operations.
+export const ACCOUNT_TYPES = ['wallet', 'clearing', 'fees'];
+
+export const NORMAL_BALANCES = {
+  wallet: 'credit',
+  clearing: 'debit',
+  fees: 'credit'
+};
+
+const ledgerAccountSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ACCOUNT_TYPES,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    minlength: 3,
+    maxlength: 3,
+    uppercase: true
+  },
+  normalBalance: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: function() {
+      return this.type === 'wallet';
+    }
+  },
+  userId: {
+    type: String,
+    required: function() {
+      return this.type === 'wallet';
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerAccountSchema.index({ type: 1, currency: 1 });
+ledgerAccountSchema.index({ walletId: 1 }, { sparse: true });
+
+const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+
+export default LedgerAccount;
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// suggested       waiting for the user to accept or reject it
+// accepted        accepted by the user and recorded against the settlement
+// rejected        rejected by the user; the pair is not suggested again
+// auto_completed  scored high enough to be recorded without review
+export const MATCH_STATUSES = ['suggested', 'accepted', 'rejected', 'auto_completed'];
+
+// A bank transaction that looks like the payment of a settlement
+const settlementMatchSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  settlementId: {
+    type: String,
+    required: true
+  },
+  bankAccountId: {
+    type: String,
+    required: true
+  },
+  // Plaid transaction ID, recorded as the payment's reference in settlement-service
+  transactionId: {
+    type: String,
+    required: true
+  },
+  // outgoing: the user paid the settlement; incoming: the user was paid
+  direction: {
+    type: String,
+    enum: ['outgoing', 'incoming'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Confidence from 0 to 1, and the part of it each signal contributed
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  reasons: {
+    amount: Number,
+    date: Number,
+    counterparty: Number
+  },
+  status: {
+    type: String,
+    enum: MATCH_STATUSES,
+    default: 'suggested'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  // Why settlement-service refused the payment; the match stays suggested
+  settlementError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+settlementMatchSchema.index({ userId: 1, transactionId: 1, settlementId: 1 }, { unique: true });
+settlementMatchSchema.index({ userId: 1, status: 1, score: -1 });
+
+const SettlementMatch = mongoose.model('SettlementMatch', settlementMatchSchema);
+
+export default SettlementMatch;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// A user's rule for suggesting the category and group of their bank
+// transactions. A rule applies when all of its conditions hold; when several
+// apply, the one with the highest priority wins.
+const transactionRuleSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  conditions: {
+    // Case-insensitive text the merchant name or description contains
+    merchant: {
+      type: String,
+      trim: true
+    },
+    // Plaid personal finance category, primary or detailed
+    plaidCategory: {
+      type: String,
+      uppercase: true
+    },
+    minAmount: {
+      type: Number,
+      min: 0
+    },
+    maxAmount: {
+      type: Number,
+      min: 0
+    },
+    bankAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BankAccount'
+    }
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  groupId: {
+    type: String
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+transactionRuleSchema.index({ userId: 1, enabled: 1, priority: -1 });
+
+const TransactionRule = mongoose.model('TransactionRule', transactionRuleSchema);
+
+export default TransactionRule;
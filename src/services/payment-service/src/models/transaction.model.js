@@ -8,7 +8,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'transfer', 'payment', 'refund'],
+    enum: ['deposit', 'withdrawal', 'transfer', 'settlement', 'payment', 'refund'],
     required: true
   },
   amount: {
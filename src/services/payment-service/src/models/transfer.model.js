@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const transferSchema = new mongoose.Schema({
+  senderId: {
+    type: String,
+    required: true
+  },
+  recipientId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    required: true,
+    minlength: 3,
+    maxlength: 3,
+    uppercase: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  // Key the sender's client sent with the request; repeats return this transfer
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  settlementId: {
+    type: String
+  },
+  // Whether settlement-service has recorded the transfer against the
+  // settlement. Pending transfers are recorded when the request is retried.
+  // Transfers the settlement turned down, e.g. because it was paid another
+  // way in the meantime, are reversed, or flagged as rejected when the
+  // recipient no longer holds the money.
+  settlementStatus: {
+    type: String,
+    enum: ['none', 'pending', 'recorded', 'reversed', 'rejected'],
+    default: 'none'
+  },
+  settlementError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+transferSchema.index({ senderId: 1, idempotencyKey: 1 }, { unique: true });
+transferSchema.index({ senderId: 1, createdAt: -1 });
+// A settlement is paid by at most one wallet transfer
+transferSchema.index(
+  { settlementId: 1 },
+  { unique: true, partialFilterExpression: { settlementStatus: { $in: ['pending', 'recorded'] } } }
+);
+
+const Transfer = mongoose.model('Transfer', transferSchema);
+
+export default Transfer;
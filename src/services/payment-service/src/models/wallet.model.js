@@ -26,6 +26,40 @@ const walletSchema = new mongoose.Schema({
     enum: ['active', 'frozen', 'closed'],
     default: 'active'
   },
+  // Most a wallet may send or withdraw per day and per month, and how much
+  // it has used since each period started
+  limits: {
+    daily: {
+      type: Number,
+      default: 1000
+    },
+    monthly: {
+      type: Number,
+      default: 5000
+    }
+  },
+  usage: {
+    daily: {
+      amount: {
+        type: Number,
+        default: 0
+      },
+      lastReset: {
+        type: Date,
+        default: Date.now
+      }
+    },
+    monthly: {
+      amount: {
+        type: Number,
+        default: 0
+      },
+      lastReset: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
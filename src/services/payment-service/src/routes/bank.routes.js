@@ -1,8 +1,14 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import * as bankController from '../controllers/bank.controller.js';
+import * as expenseDraftController from '../controllers/expense-draft.controller.js';
+import * as transactionRuleController from '../controllers/transaction-rule.controller.js';
+import * as settlementMatchController from '../controllers/settlement-match.controller.js';
 import { validateRequest } from '../middleware/validation.middleware.js';
 import { authenticate } from '../middleware/auth.middleware.js';
+import { idempotent } from '../middleware/idempotency.middleware.js';
+import { DRAFT_STATUSES } from '../models/expense-draft.model.js';
+import { MATCH_STATUSES } from '../models/settlement-match.model.js';
 
 const router = express.Router();
 
@@ -41,4 +47,153 @@ router.get('/accounts/:accountId/transactions',
   bankController.getAccountTransactions
 );
 
-export default router; 
\ No newline at end of file
+// Import new, changed and removed transactions of a linked account
+router.post('/accounts/:accountId/sync',
+  authenticate,
+  [
+    param('accountId').isMongoId().withMessage('Invalid bank account ID'),
+  ],
+  validateRequest,
+  bankController.syncAccountTransactions
+);
+
+// Plaid webhooks, verified by their Plaid-Verification signature
+router.post('/webhooks/plaid',
+  bankController.handlePlaidWebhook
+);
+
+// Expense drafts made from bank transactions
+router.get('/drafts',
+  authenticate,
+  [
+    query('status').optional().isIn(DRAFT_STATUSES).withMessage('Invalid draft status'),
+  ],
+  validateRequest,
+  expenseDraftController.getDrafts
+);
+
+router.patch('/drafts/:draftId',
+  authenticate,
+  [
+    param('draftId').isMongoId().withMessage('Invalid draft ID'),
+    body('description').optional().isString().isLength({ max: 255 }).withMessage('Description must be at most 255 characters'),
+    body('category').optional().isString().isLength({ max: 50 }).withMessage('Category must be at most 50 characters'),
+    body('groupId').optional().isString().notEmpty().withMessage('Group ID must be a string'),
+  ],
+  validateRequest,
+  expenseDraftController.updateDraft
+);
+
+router.post('/drafts/:draftId/dismiss',
+  authenticate,
+  [
+    param('draftId').isMongoId().withMessage('Invalid draft ID'),
+  ],
+  validateRequest,
+  expenseDraftController.dismissDraft
+);
+
+// Turn a draft into a split expense
+router.post('/drafts/:draftId/convert',
+  authenticate,
+  [
+    param('draftId').isMongoId().withMessage('Invalid draft ID'),
+    body('groupId').optional().isString().notEmpty().withMessage('Group ID must be a string'),
+    body('description').optional().isString().isLength({ max: 255 }).withMessage('Description must be at most 255 characters'),
+    body('category').optional().isString().isLength({ max: 50 }).withMessage('Category must be at most 50 characters'),
+    body('participants').optional().isArray({ min: 1 }).withMessage('Participants must be a non-empty list of user IDs'),
+    body('splits').optional().isArray({ min: 1 }).withMessage('Splits must be a non-empty list'),
+  ],
+  validateRequest,
+  idempotent,
+  expenseDraftController.convertDraft
+);
+
+// Rules suggesting the category and group of bank transactions
+const ruleValidators = [
+  body('conditions.merchant').optional().isString().isLength({ max: 100 }),
+  body('conditions.plaidCategory').optional().isString(),
+  body('conditions.minAmount').optional().isFloat({ min: 0 }),
+  body('conditions.maxAmount').optional().isFloat({ min: 0 }),
+  body('conditions.bankAccountId').optional().isMongoId(),
+  body('category').optional().isString().isLength({ max: 50 }),
+  body('groupId').optional().isString().notEmpty(),
+  body('priority').optional().isInt(),
+  body('enabled').optional().isBoolean(),
+];
+
+router.get('/rules',
+  authenticate,
+  transactionRuleController.getRules
+);
+
+router.post('/rules',
+  authenticate,
+  [
+    body('name').isString().notEmpty().isLength({ max: 100 }).withMessage('Rule name is required'),
+    ...ruleValidators,
+  ],
+  validateRequest,
+  transactionRuleController.createRule
+);
+
+router.put('/rules/:ruleId',
+  authenticate,
+  [
+    param('ruleId').isMongoId().withMessage('Invalid rule ID'),
+    body('name').optional().isString().notEmpty().isLength({ max: 100 }),
+    ...ruleValidators,
+  ],
+  validateRequest,
+  transactionRuleController.updateRule
+);
+
+router.delete('/rules/:ruleId',
+  authenticate,
+  [
+    param('ruleId').isMongoId().withMessage('Invalid rule ID'),
+  ],
+  validateRequest,
+  transactionRuleController.deleteRule
+);
+
+// Bank transactions matched to pending settlements
+router.post('/settlement-matches/scan',
+  authenticate,
+  [
+    body('days').optional().isInt({ min: 1, max: 90 }).toInt().withMessage('Days must be between 1 and 90'),
+  ],
+  validateRequest,
+  settlementMatchController.scanMatches
+);
+
+router.get('/settlement-matches',
+  authenticate,
+  [
+    query('status').optional().isIn(MATCH_STATUSES).withMessage('Invalid match status'),
+  ],
+  validateRequest,
+  settlementMatchController.getMatches
+);
+
+// Record a suggested match against its settlement
+router.post('/settlement-matches/:matchId/accept',
+  authenticate,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+  ],
+  validateRequest,
+  idempotent,
+  settlementMatchController.acceptMatch
+);
+
+router.post('/settlement-matches/:matchId/reject',
+  authenticate,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+  ],
+  validateRequest,
+  settlementMatchController.rejectMatch
+);
+
+export default router;
@@ -3,6 +3,7 @@ import { body, param } from 'express-validator';
 import * as paymentController from '../controllers/payment.controller.js';
 import { validateRequest } from '../middleware/validation.middleware.js';
 import { authenticate } from '../middleware/auth.middleware.js';
+import { idempotent } from '../middleware/idempotency.middleware.js';
 
 const router = express.Router();
 
@@ -22,6 +23,7 @@ router.post('/',
     body('recipientId').isString().notEmpty().withMessage('Recipient ID is required'),
   ],
   validateRequest,
+  idempotent,
   paymentController.createPayment
 );
 
@@ -0,0 +1,14 @@
+import express from 'express';
+import * as ledgerController from '../controllers/ledger.controller.js';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Compare every wallet's cached balance with its ledger balance
+router.get('/reconciliation',
+  authenticate,
+  authorize('admin'),
+  ledgerController.getReconciliationReport
+);
+
+export default router;
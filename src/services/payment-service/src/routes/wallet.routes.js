@@ -1,8 +1,9 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, header } from 'express-validator';
 import * as walletController from '../controllers/wallet.controller.js';
 import { validateRequest } from '../middleware/validation.middleware.js';
 import { authenticate } from '../middleware/auth.middleware.js';
+import { idempotent } from '../middleware/idempotency.middleware.js';
 
 const router = express.Router();
 
@@ -21,6 +22,7 @@ router.post('/deposit',
     body('source').isString().notEmpty().withMessage('Payment source is required'),
   ],
   validateRequest,
+  idempotent,
   walletController.deposit
 );
 
@@ -33,9 +35,29 @@ router.post('/withdraw',
     body('destination').isString().notEmpty().withMessage('Withdrawal destination is required'),
   ],
   validateRequest,
+  idempotent,
   walletController.withdraw
 );
 
+// Send funds to another user's wallet, optionally paying a settlement.
+// Transfers keep their own Idempotency-Key rather than replaying a stored
+// response, so a retry can still record a payment settlement-service missed.
+router.post('/transfer',
+  authenticate,
+  [
+    header('Idempotency-Key').isString().notEmpty().withMessage('Idempotency-Key header is required'),
+    body('recipientId').optional().isString().notEmpty().withMessage('Recipient ID must be a string'),
+    body('settlementId').optional().isString().notEmpty().withMessage('Settlement ID must be a string'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+    body('note').optional().isString().isLength({ max: 200 }).withMessage('Note must be at most 200 characters'),
+    body().custom(value => Boolean(value.recipientId || value.settlementId))
+      .withMessage('A recipient or settlement is required'),
+  ],
+  validateRequest,
+  walletController.transfer
+);
+
 // Get transaction history
 router.get('/transactions',
   authenticate,
@@ -0,0 +1,117 @@
+import ExpenseDraft from '../models/expense-draft.model.js';
+import * as expenseService from './expense.service.js';
+import * as groupService from './group.service.js';
+import { AuthorizationError, ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+const EDITABLE_FIELDS = ['description', 'category', 'groupId'];
+
+export const getDrafts = async (userId, { status = 'pending' } = {}) => {
+  return ExpenseDraft.find({ userId, status })
+    .populate('bankTransactionId', 'name merchantName category bankAccountId')
+    .sort({ date: -1 });
+};
+
+export const getDraft = async (userId, draftId) => {
+  const draft = await ExpenseDraft.findOne({ _id: draftId, userId });
+  if (!draft) {
+    throw new NotFoundError('Expense draft not found');
+  }
+  return draft;
+};
+
+// Move a pending draft to another status, failing if it is not pending
+const claimDraft = async (userId, draftId, update) => {
+  const draft = await ExpenseDraft.findOneAndUpdate(
+    { _id: draftId, userId, status: 'pending' },
+    update,
+    { new: true }
+  );
+  if (!draft) {
+    const existing = await getDraft(userId, draftId);
+    throw new ConflictError(`Expense draft is ${existing.status}`);
+  }
+  return draft;
+};
+
+export const updateDraft = async (userId, draftId, data) => {
+  const changes = Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+  );
+  return claimDraft(userId, draftId, changes);
+};
+
+export const dismissDraft = async (userId, draftId) => {
+  return claimDraft(userId, draftId, { status: 'dismissed' });
+};
+
+/**
+ * Split a group's expense equally between the members taking part
+ * @param {string} userId - User who paid
+ * @param {string} groupId - Group ID
+ * @param {string[]} [participants] - Members taking part; defaults to the whole group
+ * @returns {Promise<Array>} Equal splits
+ */
+const equalSplits = async (userId, groupId, participants) => {
+  if (participants && participants.length > 0) {
+    return participants.map(participant => ({ userId: participant, splitType: 'equal' }));
+  }
+
+  const group = await groupService.getGroupMembers(groupId);
+  if (group.isArchived) {
+    throw new ValidationError('Expenses cannot be added to an archived group');
+  }
+  if (!group.members.some(member => member.userId === userId)) {
+    throw new AuthorizationError('You are not a member of this group');
+  }
+  return group.members.map(member => ({ userId: member.userId, splitType: 'equal' }));
+};
+
+/**
+ * Turn a draft into an expense the user paid. Without splits the expense is
+ * split equally between the participants, or the whole group.
+ * @param {string} userId - Draft owner
+ * @param {string} draftId - Draft ID
+ * @param {Object} options - `{ groupId, description, category, participants, splits }`,
+ *   each defaulting to the draft's
+ * @param {string} authorization - The user's Authorization header, to create the expense as them
+ * @returns {Promise<Object>} `{ draft, expense }`
+ */
+export const convertDraft = async (userId, draftId, options, authorization) => {
+  const draft = await claimDraft(userId, draftId, { status: 'converting' });
+
+  try {
+    const groupId = options.groupId || draft.groupId;
+    if (!groupId) {
+      throw new ValidationError('Choose a group for the expense');
+    }
+    const description = options.description || draft.description;
+    const category = options.category || draft.category;
+    const splits = options.splits || await equalSplits(userId, groupId, options.participants);
+
+    const expense = await expenseService.createExpense({
+      groupId,
+      description,
+      amount: draft.amount,
+      currency: draft.currency,
+      date: draft.date,
+      ...(category && { category }),
+      paidBy: userId,
+      splits
+    }, authorization);
+
+    draft.set({
+      status: 'converted',
+      groupId,
+      description,
+      category,
+      expenseId: String(expense._id || expense.id),
+      convertedAt: new Date()
+    });
+    await draft.save();
+
+    return { draft, expense };
+  } catch (error) {
+    await ExpenseDraft.updateOne({ _id: draft._id, status: 'converting' }, { status: 'pending' });
+    throw error;
+  }
+};
@@ -0,0 +1,31 @@
+import axios from 'axios';
+import { ExternalServiceError, ValidationError } from '../utils/errors.js';
+
+const EXPENSE_SERVICE_URL = process.env.EXPENSE_SERVICE_URL || 'http://localhost:4002';
+
+/**
+ * Create an expense in the Expense Service on behalf of a user
+ * @param {Object} expense - Expense `{ groupId, description, amount, currency, date, category, paidBy, splits }`
+ * @param {string} authorization - The user's Authorization header
+ * @returns {Promise<Object>} Created expense
+ */
+export const createExpense = async (expense, authorization) => {
+  try {
+    const response = await axios.post(`${EXPENSE_SERVICE_URL}/api/expenses`, expense, {
+      headers: { Authorization: authorization },
+      timeout: 10000
+    });
+    return response.data.data.expense;
+  } catch (error) {
+    const body = error.response && error.response.data;
+    const message = (body && body.error && body.error.message) || error.message;
+    if (error.response && error.response.status < 500) {
+      throw new ValidationError(`Could not create expense: ${message}`);
+    }
+    throw new ExternalServiceError(`Expense service request failed: ${message}`, 'expense-service');
+  }
+};
+
+export default {
+  createExpense
+};
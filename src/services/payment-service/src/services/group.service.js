@@ -0,0 +1,34 @@
+import axios from 'axios';
+import { ExternalServiceError, NotFoundError } from '../utils/errors.js';
+
+const GROUP_SERVICE_URL = process.env.GROUP_SERVICE_URL || 'http://localhost:4007';
+
+const client = axios.create({
+  baseURL: `${GROUP_SERVICE_URL}/api/internal`,
+  timeout: 10000,
+  headers: {
+    'x-service-name': 'payment-service',
+    'x-service-key': process.env.SERVICE_AUTH_KEY
+  }
+});
+
+/**
+ * Get a group's members from the Group Service
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} `{ groupId, isArchived, members }` with members `{ userId, role }`
+ */
+export const getGroupMembers = async (groupId) => {
+  try {
+    const response = await client.get(`/groups/${groupId}/members`);
+    return response.data.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      throw new NotFoundError(`Group with ID ${groupId} not found`);
+    }
+    throw new ExternalServiceError(`Group service request failed: ${error.message}`, 'group-service');
+  }
+};
+
+export default {
+  getGroupMembers
+};
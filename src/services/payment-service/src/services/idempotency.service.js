@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/idempotency-key.model.js';
+import config from '../config/index.js';
+import { ConflictError } from '../utils/errors.js';
+
+// Serialize a value with object keys in a fixed order
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash a request so repeats of a key can be checked against the first use
+ * @param {Object} request - Request `{ method, path, body }`
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRequest = ({ method, path, body }) => {
+  return crypto
+    .createHash('sha256')
+    .update(canonicalize({ method, path, body: body || {} }))
+    .digest('hex');
+};
+
+/**
+ * Claim a key for a request
+ * @param {string} userId - User sending the request
+ * @param {string} key - Idempotency key
+ * @param {string} requestHash - Hash of the request
+ * @returns {Promise<Object>} `{ record, replay }`; replay is true when the
+ *   record holds a stored response to send instead of running the request
+ */
+export const beginRequest = async (userId, key, requestHash) => {
+  const now = new Date();
+
+  try {
+    const record = await IdempotencyKey.create({
+      userId,
+      key,
+      requestHash,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + config.idempotency.keyTtlHours * 60 * 60 * 1000)
+    });
+    return { record, replay: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key });
+  if (!existing) {
+    // Expired between our insert and this read
+    return beginRequest(userId, key, requestHash);
+  }
+
+  if (existing.requestHash !== requestHash) {
+    throw new ConflictError('Idempotency-Key was already used for a different request');
+  }
+
+  if (existing.status !== 'processing') {
+    return { record: existing, replay: true };
+  }
+
+  const staleBefore = new Date(now.getTime() - config.idempotency.lockTimeoutSeconds * 1000);
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', lockedAt: { $lt: staleBefore } },
+    { lockedAt: now },
+    { new: true }
+  );
+  if (!takenOver) {
+    throw new ConflictError('A request with this Idempotency-Key is still being processed');
+  }
+
+  return { record: takenOver, replay: false };
+};
+
+/**
+ * Store the response to a claimed request. Server errors are stored as
+ * failed and replayed like any other response: the request may have had
+ * side effects before it failed, so it must not run again under the same
+ * key.
+ * @param {Object} record - Idempotency key record from beginRequest
+ * @param {number} statusCode - Response status
+ * @param {*} body - Response body
+ * @returns {Promise<void>}
+ */
+export const completeRequest = async (record, statusCode, body) => {
+  await IdempotencyKey.updateOne(
+    { _id: record._id },
+    { status: statusCode >= 500 ? 'failed' : 'completed', responseStatus: statusCode, responseBody: body }
+  );
+};
@@ -0,0 +1,270 @@
+import { Decimal } from 'decimal.js';
+import LedgerAccount, { NORMAL_BALANCES } from '../models/ledger-account.model.js';
+import JournalEntry from '../models/journal-entry.model.js';
+import Wallet from '../models/wallet.model.js';
+import { withTransaction } from '../utils/database.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const walletAccountCode = (walletId) => `wallet:${walletId}`;
+
+export const systemAccountCode = (type, currency) => `${type}:${currency.toUpperCase()}`;
+
+/**
+ * Get a ledger account, creating it on first use
+ * @param {Object} account - Account `{ code, type, currency, walletId?, userId? }`
+ * @param {ClientSession} [session] - Transaction the account is needed in
+ * @returns {Promise<Object>} Ledger account
+ */
+const ensureAccount = async ({ code, type, currency, walletId, userId }, session) => {
+  return LedgerAccount.findOneAndUpdate(
+    { code },
+    {
+      $setOnInsert: {
+        type,
+        currency: currency.toUpperCase(),
+        normalBalance: NORMAL_BALANCES[type],
+        ...(walletId && { walletId, userId })
+      }
+    },
+    { new: true, upsert: true, runValidators: true, session }
+  );
+};
+
+/**
+ * Get the ledger account of a wallet
+ * @param {Object} wallet - Wallet document
+ * @param {ClientSession} [session] - Transaction the account is needed in
+ * @returns {Promise<Object>} Ledger account
+ */
+export const getWalletAccount = async (wallet, session) => {
+  return ensureAccount({
+    code: walletAccountCode(wallet._id),
+    type: 'wallet',
+    currency: wallet.currency,
+    walletId: wallet._id,
+    userId: wallet.userId
+  }, session);
+};
+
+/**
+ * Get the clearing or fee account for a currency
+ * @param {string} type - 'clearing' or 'fees'
+ * @param {string} currency - Currency code
+ * @param {ClientSession} [session] - Transaction the account is needed in
+ * @returns {Promise<Object>} Ledger account
+ */
+export const getSystemAccount = async (type, currency, session) => {
+  return ensureAccount({ code: systemAccountCode(type, currency), type, currency }, session);
+};
+
+/**
+ * Post a journal entry. Every posting's account must exist and hold the
+ * entry's currency, and debits must equal credits.
+ * @param {Object} entry - Entry `{ type, currency, postings, transactionId?, description? }`
+ *   with postings `{ account, direction, amount }`
+ * @param {ClientSession} session - Transaction to post the entry in
+ * @returns {Promise<Object>} Journal entry
+ */
+export const postEntry = async ({ type, currency, postings, transactionId, description }, session) => {
+  const codes = [...new Set(postings.map(posting => posting.account))];
+  const accounts = await LedgerAccount.find({ code: { $in: codes } }).session(session);
+
+  const missing = codes.filter(code => !accounts.some(account => account.code === code));
+  if (missing.length > 0) {
+    throw new ValidationError(`Unknown ledger accounts: ${missing.join(', ')}`);
+  }
+
+  const otherCurrency = accounts.find(account => account.currency !== currency.toUpperCase());
+  if (otherCurrency) {
+    throw new ValidationError(`Ledger account ${otherCurrency.code} holds ${otherCurrency.currency}, not ${currency}`);
+  }
+
+  const [entry] = await JournalEntry.create([{
+    type,
+    currency,
+    postings,
+    transactionId,
+    description
+  }], { session });
+
+  return entry;
+};
+
+/**
+ * Open ledger accounts for wallets that held money before the ledger
+ * existed. Each wallet gets an opening entry for its cached balance,
+ * funded from the clearing account its deposits went into, so the first
+ * sync keeps the balance instead of resetting it to zero. Wallets that
+ * already have a ledger account are skipped, so running it again is safe;
+ * it must finish before the service takes requests.
+ * @returns {Promise<number>} Number of wallets given a ledger account
+ */
+export const openWalletAccounts = async () => {
+  const openedWalletIds = await LedgerAccount.distinct('walletId', { type: 'wallet' });
+  const wallets = await Wallet.find({ _id: { $nin: openedWalletIds } }).select('_id');
+
+  let opened = 0;
+  for (const { _id } of wallets) {
+    const isNew = await withTransaction(async (session) => {
+      if (await LedgerAccount.exists({ code: walletAccountCode(_id) }).session(session)) {
+        return false;
+      }
+
+      const wallet = await Wallet.findById(_id).session(session);
+      const walletAccount = await getWalletAccount(wallet, session);
+
+      if (wallet.balance > 0) {
+        const clearingAccount = await getSystemAccount('clearing', wallet.currency, session);
+        await postEntry({
+          type: 'opening',
+          currency: wallet.currency,
+          postings: [
+            { account: clearingAccount.code, direction: 'debit', amount: wallet.balance },
+            { account: walletAccount.code, direction: 'credit', amount: wallet.balance }
+          ],
+          description: 'Opening balance of a wallet from before the ledger'
+        }, session);
+      }
+      return true;
+    });
+
+    if (isNew) {
+      opened++;
+    }
+  }
+  return opened;
+};
+
+/**
+ * Sum the postings of accounts
+ * @param {Object} match - Filter on postings, e.g. `{ 'postings.account': code }`
+ * @param {ClientSession} [session] - Transaction to read in
+ * @returns {Promise<Map>} Account codes to `{ debits, credits }` as Decimals
+ */
+const sumPostings = async (match, session) => {
+  const rows = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: '$postings' },
+    { $match: match },
+    {
+      $group: {
+        _id: { account: '$postings.account', direction: '$postings.direction' },
+        total: { $sum: { $toDecimal: '$postings.amount' } }
+      }
+    }
+  ]).session(session || null);
+
+  const totals = new Map();
+  for (const { _id, total } of rows) {
+    const sums = totals.get(_id.account) || { debits: new Decimal(0), credits: new Decimal(0) };
+    sums[_id.direction === 'debit' ? 'debits' : 'credits'] = new Decimal(total.toString()).toDecimalPlaces(2);
+    totals.set(_id.account, sums);
+  }
+  return totals;
+};
+
+/**
+ * Balance of an account from its postings, positive on its normal side
+ * @param {Object} sums - `{ debits, credits }`
+ * @param {string} normalBalance - 'debit' or 'credit'
+ * @returns {Decimal} Balance
+ */
+const toBalance = ({ debits, credits }, normalBalance) => {
+  return normalBalance === 'debit' ? debits.minus(credits) : credits.minus(debits);
+};
+
+/**
+ * Get an account's balance from its postings
+ * @param {string} code - Account code
+ * @param {ClientSession} [session] - Transaction to read in
+ * @returns {Promise<number>} Balance, positive on the account's normal side
+ */
+export const getAccountBalance = async (code, session) => {
+  const account = await LedgerAccount.findOne({ code }).session(session || null);
+  if (!account) {
+    return 0;
+  }
+
+  const totals = await sumPostings({ 'postings.account': code }, session);
+  const sums = totals.get(code);
+  return sums ? toBalance(sums, account.normalBalance).toNumber() : 0;
+};
+
+/**
+ * Set a wallet's cached balance to the balance of its ledger account
+ * @param {Object} wallet - Wallet document read in the session
+ * @param {ClientSession} session - Transaction the wallet was read in
+ * @returns {Promise<Object>} Updated wallet
+ */
+export const syncWalletBalance = async (wallet, session) => {
+  wallet.balance = await getAccountBalance(walletAccountCode(wallet._id), session);
+  wallet.lastUpdated = new Date();
+  return wallet.save({ session });
+};
+
+/**
+ * Compare every wallet's cached balance with its ledger balance and check
+ * that the ledger's debits equal its credits in each currency
+ * @returns {Promise<Object>} Report `{ generatedAt, walletsChecked, discrepancies, ledger }`
+ *   with discrepancies `{ walletId, userId, currency, cachedBalance, ledgerBalance, difference }`
+ */
+export const getReconciliationReport = async () => {
+  const [wallets, walletAccounts, totals] = await Promise.all([
+    Wallet.find({}),
+    LedgerAccount.find({ type: 'wallet' }),
+    sumPostings({})
+  ]);
+
+  const accountsByWallet = new Map(walletAccounts.map(account => [String(account.walletId), account]));
+
+  const discrepancies = [];
+  for (const wallet of wallets) {
+    const account = accountsByWallet.get(String(wallet._id));
+    const sums = account && totals.get(account.code);
+    const ledgerBalance = sums ? toBalance(sums, account.normalBalance) : new Decimal(0);
+    const cachedBalance = new Decimal(wallet.balance);
+
+    if (!cachedBalance.equals(ledgerBalance)) {
+      discrepancies.push({
+        walletId: wallet._id,
+        userId: wallet.userId,
+        currency: wallet.currency,
+        cachedBalance: cachedBalance.toNumber(),
+        ledgerBalance: ledgerBalance.toNumber(),
+        difference: cachedBalance.minus(ledgerBalance).toNumber()
+      });
+    }
+  }
+
+  const currencyTotals = await JournalEntry.aggregate([
+    { $unwind: '$postings' },
+    {
+      $group: {
+        _id: '$currency',
+        debits: {
+          $sum: { $cond: [{ $eq: ['$postings.direction', 'debit'] }, { $toDecimal: '$postings.amount' }, 0] }
+        },
+        credits: {
+          $sum: { $cond: [{ $eq: ['$postings.direction', 'credit'] }, { $toDecimal: '$postings.amount' }, 0] }
+        }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const currencies = currencyTotals.map(({ _id, debits, credits }) => ({
+    currency: _id,
+    debits: new Decimal(debits.toString()).toDecimalPlaces(2).toNumber(),
+    credits: new Decimal(credits.toString()).toDecimalPlaces(2).toNumber()
+  }));
+
+  return {
+    generatedAt: new Date(),
+    walletsChecked: wallets.length,
+    discrepancies,
+    ledger: {
+      balanced: currencies.every(({ debits, credits }) => debits === credits),
+      currencies
+    }
+  };
+};
@@ -0,0 +1,386 @@
+import SettlementMatch from '../models/settlement-match.model.js';
+import BankAccount from '../models/BankAccount.js';
+import BankTransaction from '../models/bank-transaction.model.js';
+import * as settlementService from './settlement.service.js';
+import * as userService from './user.service.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { Decimal } from 'decimal.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much each signal counts towards a match's score
+const WEIGHTS = { amount: 0.5, date: 0.2, counterparty: 0.3 };
+
+// Words in transaction names of apps people settle up with
+const PAYMENT_APP_KEYWORDS = ['venmo', 'zelle', 'paypal', 'cash app', 'square cash', 'revolut', 'wise', 'transfer'];
+
+const words = (text, minLength) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length >= minLength);
+
+const remainingOf = (settlement) => {
+  const remaining = new Decimal(settlement.amount).minus(settlement.amountPaid || 0);
+  return remaining.toNumber();
+};
+
+const settlementIdOf = (settlement) => String(settlement._id || settlement.id);
+
+/**
+ * How closely a transaction's amount matches what is left of a settlement.
+ * Differences above 5% are not a match.
+ */
+const scoreAmount = (amount, remaining) => {
+  const difference = new Decimal(amount).minus(remaining).abs();
+  if (difference.isZero()) {
+    return 1;
+  }
+
+  const ratio = difference.dividedBy(remaining).toNumber();
+  if (ratio <= 0.01) {
+    return 0.8;
+  }
+  if (ratio <= 0.05) {
+    return 0.4;
+  }
+  return null;
+};
+
+/**
+ * How well a transaction's date fits a settlement: best on the day it was
+ * created, falling to nothing at the end of the window. Transactions from
+ * more than a day before the settlement existed are not a match.
+ */
+const scoreDate = (date, createdAt, windowDays) => {
+  const days = (new Date(date).getTime() - new Date(createdAt).getTime()) / DAY_MS;
+  if (days < -1 || days > windowDays) {
+    return null;
+  }
+  return 1 - Math.max(days, 0) / windowDays;
+};
+
+/**
+ * How strongly a transaction's description points at the settlement's
+ * other party: their full name, part of it, the settlement's notes or, at
+ * least, a payment app.
+ */
+const scoreCounterparty = (transaction, settlement, counterpartyName) => {
+  const text = `${transaction.name || ''} ${transaction.merchantName || ''}`.toLowerCase();
+  const textWords = new Set(words(text, 1));
+
+  if (counterpartyName) {
+    const nameWords = words(counterpartyName, 1);
+    if (nameWords.length > 0 && nameWords.every(word => textWords.has(word))) {
+      return 1;
+    }
+    if (words(counterpartyName, 3).some(word => textWords.has(word))) {
+      return 0.7;
+    }
+  }
+  if (words(settlement.notes, 4).some(word => textWords.has(word))) {
+    return 0.5;
+  }
+  if (PAYMENT_APP_KEYWORDS.some(keyword => text.includes(keyword))) {
+    return 0.3;
+  }
+  return 0;
+};
+
+/**
+ * Score how likely a bank transaction is the payment of a settlement.
+ * Money leaving the account (a positive Plaid amount) can only pay a
+ * settlement the user owes; money coming in only one the user is owed.
+ * @param {Object} transaction - Transaction `{ id, amount, date, name, merchantName, isoCurrencyCode }`
+ * @param {Object} settlement - Payable settlement
+ * @param {Object} options
+ * @param {string} options.userId - Owner of the bank account
+ * @param {string} [options.counterpartyName] - Name of the settlement's other party
+ * @param {number} [options.dateWindowDays] - Days after the settlement a payment is expected
+ * @returns {Object|null} `{ direction, score, reasons }`, or null if the
+ *   transaction cannot be the settlement's payment
+ */
+export const scoreMatch = (transaction, settlement, {
+  userId,
+  counterpartyName,
+  dateWindowDays = config.settlementMatching.dateWindowDays
+}) => {
+  const direction = transaction.amount > 0 ? 'outgoing' : 'incoming';
+  const party = direction === 'outgoing' ? settlement.payerId : settlement.receiverId;
+  if (party !== userId || transaction.isoCurrencyCode !== settlement.currency) {
+    return null;
+  }
+
+  const remaining = remainingOf(settlement);
+  if (!(remaining > 0)) {
+    return null;
+  }
+
+  const amount = scoreAmount(Math.abs(transaction.amount), remaining);
+  const date = scoreDate(transaction.date, settlement.createdAt, dateWindowDays);
+  if (amount === null || date === null) {
+    return null;
+  }
+  const counterparty = scoreCounterparty(transaction, settlement, counterpartyName);
+
+  const reasons = {
+    amount: new Decimal(amount * WEIGHTS.amount).toDecimalPlaces(2).toNumber(),
+    date: new Decimal(date * WEIGHTS.date).toDecimalPlaces(2).toNumber(),
+    counterparty: new Decimal(counterparty * WEIGHTS.counterparty).toDecimalPlaces(2).toNumber()
+  };
+  const score = new Decimal(reasons.amount).plus(reasons.date).plus(reasons.counterparty).toNumber();
+
+  return { direction, score, reasons };
+};
+
+// Names of the other parties of the user's settlements; a name that cannot
+// be fetched only weakens the counterparty signal
+const getCounterpartyNames = async (userId, settlements) => {
+  const ids = new Set(settlements.map(settlement => (
+    settlement.payerId === userId ? settlement.receiverId : settlement.payerId
+  )));
+
+  const names = new Map();
+  for (const id of ids) {
+    try {
+      const user = await userService.getUserById(id);
+      names.set(id, (user && user.name) || null);
+    } catch (error) {
+      logger.warn('Could not fetch settlement counterparty', { userId: id, message: error.message });
+      names.set(id, null);
+    }
+  }
+  return names;
+};
+
+// Transactions imported from the user's active bank accounts, less those
+// Plaid has since removed
+const getRecentTransactions = async (userId, days) => {
+  const accounts = await BankAccount.findActiveByUserId(userId);
+  if (accounts.length === 0) {
+    return [];
+  }
+
+  const transactions = await BankTransaction.find({
+    bankAccountId: { $in: accounts.map(account => account._id) },
+    date: { $gte: new Date(Date.now() - days * DAY_MS) },
+    removedAt: null
+  });
+  return transactions.map(transaction => ({
+    id: transaction.plaidTransactionId,
+    bankAccountId: String(transaction.bankAccountId),
+    amount: transaction.amount,
+    date: transaction.date,
+    name: transaction.name,
+    merchantName: transaction.merchantName,
+    pending: transaction.pending,
+    isoCurrencyCode: transaction.currency
+  }));
+};
+
+/**
+ * Record a match's transaction against its settlement. The payment is
+ * capped at what is left, so a transfer a little over the amount still
+ * completes the settlement.
+ */
+const recordMatch = async (match, remaining) => {
+  await settlementService.recordBankPayment(match.settlementId, {
+    transactionId: match.transactionId,
+    userId: match.userId,
+    amount: Math.min(match.amount, remaining),
+    currency: match.currency,
+    paidAt: match.date
+  });
+};
+
+const autoComplete = async (match, remaining) => {
+  try {
+    await recordMatch(match, remaining);
+    match.set({ status: 'auto_completed', completedAt: new Date(), settlementError: undefined });
+  } catch (error) {
+    logger.error('Failed to record matched bank transaction against settlement', {
+      matchId: String(match._id),
+      settlementId: match.settlementId,
+      message: error.message
+    });
+    match.settlementError = error.message;
+  }
+  return match.save();
+};
+
+/**
+ * Score the user's recent bank transactions against their payable
+ * settlements. Each transaction and settlement is given at most its best
+ * match; matches above the suggestion threshold are saved for review.
+ * Money the user received that scores above the auto-complete threshold,
+ * with no competing candidate, is recorded against the settlement straight
+ * away. A payer's own outgoing payment is only suggested: accepting it
+ * marks the settlement sent, and the receiver still confirms it.
+ * Transactions already matched, settlements already waiting on a
+ * suggestion and pairs the user rejected are left out.
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.days] - Days of transactions to scan
+ * @returns {Promise<Object>} New matches `{ suggested, autoCompleted }`
+ */
+export const scanMatches = async (userId, { days = config.settlementMatching.lookbackDays } = {}) => {
+  const { suggestThreshold, autoCompleteThreshold } = config.settlementMatching;
+  const result = { suggested: [], autoCompleted: [] };
+
+  const settlements = await settlementService.getPayableSettlements(userId);
+  if (settlements.length === 0) {
+    return result;
+  }
+  const transactions = (await getRecentTransactions(userId, days))
+    .filter(transaction => !transaction.pending && transaction.amount !== 0);
+  if (transactions.length === 0) {
+    return result;
+  }
+
+  const existing = await SettlementMatch.find({
+    userId,
+    $or: [
+      { transactionId: { $in: transactions.map(transaction => transaction.id) } },
+      { settlementId: { $in: settlements.map(settlementIdOf) } }
+    ]
+  });
+  const matchedTransactions = new Set(existing
+    .filter(match => match.status !== 'rejected')
+    .map(match => match.transactionId));
+  const awaitingSettlements = new Set(existing
+    .filter(match => match.status === 'suggested')
+    .map(match => match.settlementId));
+  const rejectedPairs = new Set(existing
+    .filter(match => match.status === 'rejected')
+    .map(match => `${match.transactionId}:${match.settlementId}`));
+
+  const names = await getCounterpartyNames(userId, settlements);
+
+  const candidates = [];
+  for (const transaction of transactions) {
+    if (matchedTransactions.has(transaction.id)) {
+      continue;
+    }
+    for (const settlement of settlements) {
+      const settlementId = settlementIdOf(settlement);
+      if (awaitingSettlements.has(settlementId) || rejectedPairs.has(`${transaction.id}:${settlementId}`)) {
+        continue;
+      }
+      const counterpartyId = settlement.payerId === userId ? settlement.receiverId : settlement.payerId;
+      const scored = scoreMatch(transaction, settlement, { userId, counterpartyName: names.get(counterpartyId) });
+      if (scored && scored.score >= suggestThreshold) {
+        candidates.push({ transaction, settlement, settlementId, ...scored });
+      }
+    }
+  }
+
+  // Best matches first, each transaction and settlement used once
+  candidates.sort((a, b) => b.score - a.score);
+  const usedTransactions = new Set();
+  const usedSettlements = new Set();
+
+  for (const candidate of candidates) {
+    const { transaction, settlement, settlementId } = candidate;
+    if (usedTransactions.has(transaction.id) || usedSettlements.has(settlementId)) {
+      continue;
+    }
+    usedTransactions.add(transaction.id);
+    usedSettlements.add(settlementId);
+
+    let match;
+    try {
+      match = await SettlementMatch.create({
+        userId,
+        settlementId,
+        bankAccountId: transaction.bankAccountId,
+        transactionId: transaction.id,
+        direction: candidate.direction,
+        amount: Math.abs(transaction.amount),
+        currency: transaction.isoCurrencyCode,
+        date: new Date(transaction.date),
+        description: transaction.merchantName || transaction.name,
+        score: candidate.score,
+        reasons: candidate.reasons
+      });
+    } catch (error) {
+      // Saved by a scan running alongside this one
+      if (error.code === 11000) {
+        continue;
+      }
+      throw error;
+    }
+
+    // Another transaction or settlement that fits about as well makes the
+    // match a guess; leave it to the user
+    const ambiguous = candidates.some(other => other !== candidate && (
+      other.transaction.id === transaction.id || other.settlementId === settlementId
+    ));
+
+    if (candidate.direction === 'incoming' && candidate.score >= autoCompleteThreshold && !ambiguous) {
+      match = await autoComplete(match, remainingOf(settlement));
+    }
+    if (match.status === 'auto_completed') {
+      result.autoCompleted.push(match);
+    } else {
+      result.suggested.push(match);
+    }
+  }
+
+  return result;
+};
+
+export const getMatches = async (userId, { status = 'suggested' } = {}) => {
+  return SettlementMatch.find({ userId, status }).sort({ score: -1, date: -1 });
+};
+
+const getSuggestedMatch = async (userId, matchId) => {
+  const match = await SettlementMatch.findOne({ _id: matchId, userId });
+  if (!match) {
+    throw new NotFoundError('Settlement match not found');
+  }
+  if (match.status !== 'suggested') {
+    throw new ConflictError(`Settlement match is ${match.status}`);
+  }
+  return match;
+};
+
+/**
+ * Accept a suggested match, recording its transaction against the
+ * settlement. If settlement-service refuses the payment the match stays
+ * suggested with the reason.
+ * @param {string} userId - Match owner
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Object>} Accepted match
+ */
+export const acceptMatch = async (userId, matchId) => {
+  const match = await getSuggestedMatch(userId, matchId);
+
+  const settlement = await settlementService.getSettlement(match.settlementId);
+  try {
+    await recordMatch(match, remainingOf(settlement));
+  } catch (error) {
+    match.settlementError = error.message;
+    await match.save();
+    throw error;
+  }
+
+  match.set({ status: 'accepted', reviewedAt: new Date(), completedAt: new Date(), settlementError: undefined });
+  return match.save();
+};
+
+export const rejectMatch = async (userId, matchId) => {
+  const match = await SettlementMatch.findOneAndUpdate(
+    { _id: matchId, userId, status: 'suggested' },
+    { status: 'rejected', reviewedAt: new Date() },
+    { new: true }
+  );
+  if (!match) {
+    const existing = await SettlementMatch.findOne({ _id: matchId, userId });
+    if (!existing) {
+      throw new NotFoundError('Settlement match not found');
+    }
+    throw new ConflictError(`Settlement match is ${existing.status}`);
+  }
+  return match;
+};
@@ -0,0 +1,93 @@
+import axios from 'axios';
+import { ExternalServiceError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+const SETTLEMENT_SERVICE_URL = process.env.SETTLEMENT_SERVICE_URL || 'http://localhost:4003';
+
+const client = axios.create({
+  baseURL: `${SETTLEMENT_SERVICE_URL}/api/internal`,
+  timeout: 10000,
+  headers: {
+    'x-service-name': 'payment-service',
+    'x-service-key': process.env.SERVICE_AUTH_KEY
+  }
+});
+
+const toServiceError = (error, settlementId) => {
+  if (error.response && error.response.status === 404) {
+    return new NotFoundError(`Settlement with ID ${settlementId} not found`);
+  }
+
+  const body = error.response && error.response.data;
+  const message = (body && body.error && body.error.message) || error.message;
+  if (error.response && error.response.status < 500) {
+    return new ValidationError(`Settlement service rejected the request: ${message}`);
+  }
+  return new ExternalServiceError(`Settlement service request failed: ${message}`, 'settlement-service');
+};
+
+/**
+ * Get a settlement from the Settlement Service
+ * @param {string} settlementId - Settlement ID
+ * @returns {Promise<Object>} Settlement
+ */
+export const getSettlement = async (settlementId) => {
+  try {
+    const response = await client.get(`/settlements/${settlementId}`);
+    return response.data.data;
+  } catch (error) {
+    throw toServiceError(error, settlementId);
+  }
+};
+
+/**
+ * Complete a settlement paid by a wallet transfer. Recording the same
+ * transfer twice has no further effect.
+ * @param {string} settlementId - Settlement ID
+ * @param {Object} transfer - Transfer `{ transferId, payerId, receiverId, amount, currency }`
+ * @returns {Promise<Object>} Completed settlement
+ */
+export const recordWalletPayment = async (settlementId, transfer) => {
+  try {
+    const response = await client.post(`/settlements/${settlementId}/wallet-payments`, transfer);
+    return response.data.data;
+  } catch (error) {
+    throw toServiceError(error, settlementId);
+  }
+};
+
+/**
+ * Get the settlements a user still has to pay or be paid
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Pending and partially paid settlements
+ */
+export const getPayableSettlements = async (userId) => {
+  try {
+    const response = await client.get(`/users/${userId}/settlements`);
+    return response.data.data;
+  } catch (error) {
+    throw toServiceError(error);
+  }
+};
+
+/**
+ * Record a bank transaction matched to a settlement. Recording the same
+ * transaction twice has no further effect.
+ * @param {string} settlementId - Settlement ID
+ * @param {Object} payment - Payment `{ transactionId, userId, amount, currency, paidAt }`
+ * @returns {Promise<Object>} Updated settlement
+ */
+export const recordBankPayment = async (settlementId, payment) => {
+  try {
+    const response = await client.post(`/settlements/${settlementId}/bank-payments`, payment);
+    return response.data.data;
+  } catch (error) {
+    throw toServiceError(error, settlementId);
+  }
+};
+
+export default {
+  getSettlement,
+  getPayableSettlements,
+  recordWalletPayment,
+  recordBankPayment
+};
@@ -0,0 +1,150 @@
+import TransactionRule from '../models/transaction-rule.model.js';
+import ExpenseDraft from '../models/expense-draft.model.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+// Expense categories suggested from Plaid's primary personal finance
+// category when no rule or earlier expense says otherwise
+export const PLAID_CATEGORY_MAP = {
+  FOOD_AND_DRINK: 'food',
+  GENERAL_MERCHANDISE: 'shopping',
+  HOME_IMPROVEMENT: 'home',
+  ENTERTAINMENT: 'entertainment',
+  TRANSPORTATION: 'transportation',
+  TRAVEL: 'travel',
+  RENT_AND_UTILITIES: 'utilities',
+  MEDICAL: 'health',
+  PERSONAL_CARE: 'personal',
+  GENERAL_SERVICES: 'services'
+};
+
+const RULE_FIELDS = ['name', 'conditions', 'category', 'groupId', 'priority', 'enabled'];
+
+const merchantOf = (transaction) => transaction.merchantName || transaction.name || '';
+
+/**
+ * Whether all of a rule's conditions hold for a bank transaction
+ * @param {Object} rule - Transaction rule
+ * @param {Object} transaction - Bank transaction
+ * @returns {boolean}
+ */
+export const ruleMatches = (rule, transaction) => {
+  const { merchant, plaidCategory, minAmount, maxAmount, bankAccountId } = rule.conditions || {};
+
+  if (merchant) {
+    const text = `${transaction.merchantName || ''} ${transaction.name || ''}`.toLowerCase();
+    if (!text.includes(merchant.toLowerCase())) {
+      return false;
+    }
+  }
+  if (plaidCategory) {
+    const { primary, detailed } = transaction.category || {};
+    if (plaidCategory !== primary && plaidCategory !== detailed) {
+      return false;
+    }
+  }
+  if (minAmount != null && transaction.amount < minAmount) {
+    return false;
+  }
+  if (maxAmount != null && transaction.amount > maxAmount) {
+    return false;
+  }
+  if (bankAccountId && String(bankAccountId) !== String(transaction.bankAccountId)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Get a user's enabled rules in the order they are tried
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Rules, highest priority first
+ */
+export const getActiveRules = async (userId) => {
+  return TransactionRule.find({ userId, enabled: true }).sort({ priority: -1, createdAt: 1 });
+};
+
+/**
+ * Suggest the category and group of a bank transaction. The user's first
+ * matching rule decides; what it leaves open is taken from the last expense
+ * the user made from the same merchant, and the category finally falls back
+ * to Plaid's category.
+ * @param {Object} transaction - Bank transaction
+ * @param {Array} rules - The user's active rules, from getActiveRules
+ * @returns {Promise<Object>} Suggestion `{ category, groupId, ruleId }`
+ */
+export const suggestForTransaction = async (transaction, rules) => {
+  const suggestion = { category: null, groupId: null, ruleId: null };
+
+  const rule = rules.find(candidate => ruleMatches(candidate, transaction));
+  if (rule) {
+    suggestion.category = rule.category || null;
+    suggestion.groupId = rule.groupId || null;
+    suggestion.ruleId = rule._id;
+  }
+
+  if (!suggestion.category || !suggestion.groupId) {
+    const previous = await ExpenseDraft.findOne({
+      userId: transaction.userId,
+      merchantName: merchantOf(transaction),
+      status: 'converted'
+    }).sort({ convertedAt: -1 });
+
+    if (previous) {
+      suggestion.category = suggestion.category || previous.category || null;
+      suggestion.groupId = suggestion.groupId || previous.groupId || null;
+    }
+  }
+
+  if (!suggestion.category && transaction.category && transaction.category.primary) {
+    suggestion.category = PLAID_CATEGORY_MAP[transaction.category.primary] || 'other';
+  }
+
+  return suggestion;
+};
+
+const validateRule = (rule) => {
+  const { merchant, plaidCategory, minAmount, maxAmount, bankAccountId } = rule.conditions || {};
+  const conditions = [merchant, plaidCategory, minAmount, maxAmount, bankAccountId];
+
+  if (conditions.every(value => value === undefined || value === null || value === '')) {
+    throw new ValidationError('A rule needs at least one condition');
+  }
+  if (!rule.category && !rule.groupId) {
+    throw new ValidationError('A rule must suggest a category or a group');
+  }
+  if (minAmount != null && maxAmount != null && minAmount > maxAmount) {
+    throw new ValidationError('A rule\'s minimum amount cannot exceed its maximum');
+  }
+};
+
+const pick = (data) => Object.fromEntries(
+  RULE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+export const getRules = async (userId) => {
+  return TransactionRule.find({ userId }).sort({ priority: -1, createdAt: 1 });
+};
+
+export const createRule = async (userId, data) => {
+  const rule = new TransactionRule({ ...pick(data), userId });
+  validateRule(rule);
+  return rule.save();
+};
+
+export const updateRule = async (userId, ruleId, data) => {
+  const rule = await TransactionRule.findOne({ _id: ruleId, userId });
+  if (!rule) {
+    throw new NotFoundError('Rule not found');
+  }
+
+  rule.set(pick(data));
+  validateRule(rule);
+  return rule.save();
+};
+
+export const deleteRule = async (userId, ruleId) => {
+  const rule = await TransactionRule.findOneAndDelete({ _id: ruleId, userId });
+  if (!rule) {
+    throw new NotFoundError('Rule not found');
+  }
+};
@@ -0,0 +1,207 @@
+import BankAccount from '../models/BankAccount.js';
+import BankTransaction from '../models/bank-transaction.model.js';
+import ExpenseDraft from '../models/expense-draft.model.js';
+import * as transactionRuleService from './transaction-rule.service.js';
+import * as settlementMatcherService from './settlement-matcher.service.js';
+import logger from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const toBankTransaction = (bankAccount, transaction) => ({
+  userId: bankAccount.userId,
+  bankAccountId: bankAccount._id,
+  plaidAccountId: transaction.account_id,
+  amount: transaction.amount,
+  currency: transaction.iso_currency_code || transaction.unofficial_currency_code,
+  date: new Date(transaction.date),
+  name: transaction.name,
+  merchantName: transaction.merchant_name,
+  category: transaction.personal_finance_category && {
+    primary: transaction.personal_finance_category.primary,
+    detailed: transaction.personal_finance_category.detailed
+  },
+  pending: Boolean(transaction.pending)
+});
+
+// Only settled money leaving the account is offered as an expense
+const isExpense = (transaction) => {
+  return transaction.amount > 0 && !transaction.pending && !transaction.removedAt && Boolean(transaction.currency);
+};
+
+const retract = async (filter, now = new Date()) => {
+  const result = await ExpenseDraft.updateMany(
+    { ...filter, status: { $in: ['pending', 'dismissed'] } },
+    { status: 'retracted', retractedAt: now }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Create, update or retract the draft of a bank transaction after it was
+ * imported or changed
+ * @param {Object} transaction - Bank transaction
+ * @param {Array} rules - The user's active rules
+ * @returns {Promise<Object|null>} Draft, if the transaction has one
+ */
+const refreshDraft = async (transaction, rules) => {
+  const draft = await ExpenseDraft.findOne({ bankTransactionId: transaction._id });
+
+  if (!isExpense(transaction)) {
+    if (draft) {
+      await retract({ _id: draft._id });
+    }
+    return null;
+  }
+
+  if (draft) {
+    // Keep the user's edits; only follow what the bank changed
+    if (draft.status === 'pending') {
+      draft.set({ amount: transaction.amount, currency: transaction.currency, date: transaction.date });
+      await draft.save();
+    }
+    return draft;
+  }
+
+  const suggestion = await transactionRuleService.suggestForTransaction(transaction, rules);
+  try {
+    return await ExpenseDraft.create({
+      userId: transaction.userId,
+      bankTransactionId: transaction._id,
+      description: transaction.merchantName || transaction.name,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      date: transaction.date,
+      merchantName: transaction.merchantName || transaction.name,
+      suggestion,
+      category: suggestion.category,
+      groupId: suggestion.groupId
+    });
+  } catch (error) {
+    // Created by a sync running alongside this one
+    if (error.code === 11000) {
+      return ExpenseDraft.findOne({ bankTransactionId: transaction._id });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark bank transactions removed and retract their drafts. Drafts already
+ * turned into expenses are flagged for review instead.
+ * @param {string[]} plaidTransactionIds - Plaid transaction IDs
+ * @returns {Promise<Object>} `{ removed, retracted }`
+ */
+export const removeTransactions = async (plaidTransactionIds) => {
+  if (!plaidTransactionIds || plaidTransactionIds.length === 0) {
+    return { removed: 0, retracted: 0 };
+  }
+
+  const now = new Date();
+  const transactions = await BankTransaction.find({
+    plaidTransactionId: { $in: plaidTransactionIds },
+    removedAt: null
+  });
+  const ids = transactions.map(transaction => transaction._id);
+
+  await BankTransaction.updateMany({ _id: { $in: ids } }, { removedAt: now });
+  const retracted = await retract({ bankTransactionId: { $in: ids } }, now);
+  await ExpenseDraft.updateMany(
+    { bankTransactionId: { $in: ids }, status: { $in: ['converting', 'converted'] } },
+    { transactionRemovedAt: now }
+  );
+
+  return { removed: ids.length, retracted };
+};
+
+/**
+ * Match newly imported transactions to the user's settlements. A failed
+ * scan does not fail the sync; the next sync or a manual scan retries it.
+ * @param {string} userId - Account owner
+ */
+const scanForSettlementPayments = async (userId) => {
+  try {
+    await settlementMatcherService.scanMatches(userId);
+  } catch (error) {
+    logger.error('Failed to match synced bank transactions to settlements', { userId, message: error.message });
+  }
+};
+
+/**
+ * Import the changes to a bank account's transactions since its cursor,
+ * then look for settlement payments among them
+ * @param {PlaidService} plaid - Plaid integration
+ * @param {Object} bankAccount - Bank account document
+ * @returns {Promise<Object>} Counts `{ added, modified, removed }`
+ */
+export const syncBankAccount = async (plaid, bankAccount) => {
+  const { added, modified, removed, nextCursor } = await plaid.syncTransactions(
+    bankAccount.plaidAccessToken,
+    bankAccount.transactionsCursor
+  );
+
+  // Transactions of the other accounts of the same Plaid item are imported
+  // when those accounts sync
+  const isOwn = transaction => !bankAccount.plaidAccountId || transaction.account_id === bankAccount.plaidAccountId;
+  const rules = await transactionRuleService.getActiveRules(bankAccount.userId);
+
+  const changes = { added: added.filter(isOwn), modified: modified.filter(isOwn) };
+  for (const transaction of [...changes.added, ...changes.modified]) {
+    const saved = await BankTransaction.findOneAndUpdate(
+      { plaidTransactionId: transaction.transaction_id },
+      toBankTransaction(bankAccount, transaction),
+      { new: true, upsert: true, runValidators: true }
+    );
+    await refreshDraft(saved, rules);
+  }
+
+  // Plaid only gives the ID of a removed transaction, not its account, so
+  // every removal is applied; transactions already removed are skipped
+  const removal = await removeTransactions(removed.map(transaction => transaction.transaction_id));
+
+  bankAccount.transactionsCursor = nextCursor;
+  bankAccount.transactionsSyncedAt = new Date();
+  await bankAccount.save();
+
+  if (changes.added.length > 0 || changes.modified.length > 0) {
+    await scanForSettlementPayments(bankAccount.userId);
+  }
+
+  return {
+    added: changes.added.length,
+    modified: changes.modified.length,
+    removed: removal.removed
+  };
+};
+
+/**
+ * Import transaction changes for every active account of a Plaid item
+ * @param {PlaidService} plaid - Plaid integration
+ * @param {string} itemId - Plaid item ID
+ * @returns {Promise<Object>} Counts `{ accounts, added, modified, removed }`
+ */
+export const syncItem = async (plaid, itemId) => {
+  const accounts = await BankAccount.find({ plaidItemId: itemId, status: 'ACTIVE' });
+
+  const totals = { accounts: accounts.length, added: 0, modified: 0, removed: 0 };
+  for (const account of accounts) {
+    const counts = await syncBankAccount(plaid, account);
+    totals.added += counts.added;
+    totals.modified += counts.modified;
+    totals.removed += counts.removed;
+  }
+  return totals;
+};
+
+/**
+ * Import transaction changes for one of a user's accounts
+ * @param {PlaidService} plaid - Plaid integration
+ * @param {string} userId - Account owner
+ * @param {string} accountId - Bank account ID
+ * @returns {Promise<Object>} Counts `{ added, modified, removed }`
+ */
+export const syncUserBankAccount = async (plaid, userId, accountId) => {
+  const account = await BankAccount.findOne({ _id: accountId, userId, status: 'ACTIVE' });
+  if (!account) {
+    throw new NotFoundError('Bank account not found');
+  }
+  return syncBankAccount(plaid, account);
+};
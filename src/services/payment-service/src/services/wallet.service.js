@@ -1,6 +1,12 @@
 import Wallet from '../models/wallet.model.js';
 import Transaction from '../models/transaction.model.js';
-import { NotFoundError, ValidationError } from '../utils/errors.js';
+import Transfer from '../models/transfer.model.js';
+import * as ledgerService from './ledger.service.js';
+import * as settlementService from './settlement.service.js';
+import config from '../config/index.js';
+import { withTransaction } from '../utils/database.js';
+import logger from '../utils/logger.js';
+import { AuthorizationError, ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
 import { Decimal } from 'decimal.js';
 
 export const getBalance = async (userId) => {
@@ -11,100 +17,451 @@ export const getBalance = async (userId) => {
   return wallet;
 };
 
+/**
+ * Get a user's wallet in a transaction, creating it on first use
+ * @param {string} userId - User ID
+ * @param {ClientSession} session - Transaction to read in
+ * @returns {Promise<Object>} Wallet
+ */
+const findOrCreateWallet = async (userId, session) => {
+  return Wallet.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId, balance: 0 } },
+    { new: true, upsert: true, session }
+  );
+};
+
+const assertWalletCurrency = (wallet, currency) => {
+  if (currency && currency.toUpperCase() !== wallet.currency) {
+    throw new ValidationError(`Wallet holds ${wallet.currency}, not ${currency.toUpperCase()}`);
+  }
+};
+
+// Frozen and closed wallets can't send or withdraw money, or receive transfers
+const assertWalletActive = (wallet, owner) => {
+  if (wallet.status !== 'active') {
+    throw new ValidationError(`${owner} wallet is ${wallet.status}`);
+  }
+};
+
+/**
+ * Count money leaving a wallet against its daily and monthly limits. Usage
+ * starts again from zero once the day or month it was counted in is over.
+ * The wallet must be saved in the same transaction for the usage to stick.
+ * @param {Object} wallet - Wallet document read in the transaction
+ * @param {Decimal} amount - Amount leaving the wallet
+ */
+const useLimits = (wallet, amount) => {
+  const now = new Date();
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  if (wallet.usage.daily.lastReset < dayStart) {
+    wallet.usage.daily = { amount: 0, lastReset: now };
+  }
+  if (wallet.usage.monthly.lastReset < monthStart) {
+    wallet.usage.monthly = { amount: 0, lastReset: now };
+  }
+
+  const daily = amount.plus(wallet.usage.daily.amount);
+  const monthly = amount.plus(wallet.usage.monthly.amount);
+
+  if (monthly.greaterThan(wallet.limits.monthly)) {
+    throw new ValidationError(`Monthly limit of ${wallet.limits.monthly} ${wallet.currency} exceeded`);
+  }
+  if (daily.greaterThan(wallet.limits.daily)) {
+    throw new ValidationError(`Daily limit of ${wallet.limits.daily} ${wallet.currency} exceeded`);
+  }
+
+  wallet.usage.daily.amount = daily.toNumber();
+  wallet.usage.monthly.amount = monthly.toNumber();
+};
+
+// Deposits move money from the clearing account, where funds arrive from
+// payment providers, to the wallet. The transaction record, the journal
+// entry and the wallet's cached balance are written in one transaction.
 export const deposit = async ({ userId, amount, currency, source }) => {
   if (amount <= 0) {
     throw new ValidationError('Amount must be positive');
   }
 
-  let wallet = await Wallet.findOne({ userId });
-  if (!wallet) {
-    wallet = await Wallet.create({ userId, balance: 0 });
-  }
+  return withTransaction(async (session) => {
+    const wallet = await findOrCreateWallet(userId, session);
+    assertWalletCurrency(wallet, currency);
 
-  const transaction = await Transaction.create({
-    userId,
-    type: 'deposit',
-    amount,
-    currency,
-    source,
-    status: 'pending'
-  });
+    const walletAccount = await ledgerService.getWalletAccount(wallet, session);
+    const clearingAccount = await ledgerService.getSystemAccount('clearing', wallet.currency, session);
 
-  try {
-    // Process the deposit through the payment provider
-    // This is a placeholder for the actual implementation
-    const success = true;
-
-    if (success) {
-      const newBalance = new Decimal(wallet.balance).plus(amount).toNumber();
-      wallet.balance = newBalance;
-      await wallet.save();
-
-      transaction.status = 'completed';
-      await transaction.save();
-    } else {
-      transaction.status = 'failed';
-      await transaction.save();
-      throw new Error('Deposit failed');
-    }
+    const [transaction] = await Transaction.create([{
+      userId,
+      type: 'deposit',
+      amount,
+      currency: wallet.currency,
+      source,
+      status: 'completed'
+    }], { session });
+
+    await ledgerService.postEntry({
+      type: 'deposit',
+      currency: wallet.currency,
+      transactionId: transaction._id,
+      description: `Deposit from ${source}`,
+      postings: [
+        { account: clearingAccount.code, direction: 'debit', amount },
+        { account: walletAccount.code, direction: 'credit', amount }
+      ]
+    }, session);
+
+    await ledgerService.syncWalletBalance(wallet, session);
 
     return transaction;
-  } catch (error) {
-    transaction.status = 'failed';
-    transaction.error = error.message;
-    await transaction.save();
-    throw error;
-  }
+  });
 };
 
+// Withdrawals move money from the wallet to the clearing account, less the
+// withdrawal fee, which goes to the fee account. Funds are checked against
+// the wallet's ledger balance; concurrent withdrawals both update the
+// wallet, so one of them conflicts and is retried with the new balance.
 export const withdraw = async ({ userId, amount, currency, destination }) => {
   if (amount <= 0) {
     throw new ValidationError('Amount must be positive');
   }
 
-  const wallet = await Wallet.findOne({ userId });
-  if (!wallet) {
-    throw new NotFoundError('Wallet not found');
+  const fee = new Decimal(config.wallet.withdrawalFee);
+  const total = fee.plus(amount);
+
+  return withTransaction(async (session) => {
+    const wallet = await Wallet.findOne({ userId }).session(session);
+    if (!wallet) {
+      throw new NotFoundError('Wallet not found');
+    }
+    assertWalletActive(wallet, 'Your');
+    assertWalletCurrency(wallet, currency);
+
+    const walletAccount = await ledgerService.getWalletAccount(wallet, session);
+    const available = await ledgerService.getAccountBalance(walletAccount.code, session);
+    if (total.greaterThan(available)) {
+      throw new ValidationError('Insufficient funds');
+    }
+    useLimits(wallet, total);
+
+    const clearingAccount = await ledgerService.getSystemAccount('clearing', wallet.currency, session);
+    const postings = [
+      { account: walletAccount.code, direction: 'debit', amount: total.toNumber() },
+      { account: clearingAccount.code, direction: 'credit', amount }
+    ];
+    if (fee.greaterThan(0)) {
+      const feesAccount = await ledgerService.getSystemAccount('fees', wallet.currency, session);
+      postings.push({ account: feesAccount.code, direction: 'credit', amount: fee.toNumber() });
+    }
+
+    const [transaction] = await Transaction.create([{
+      userId,
+      type: 'withdrawal',
+      amount,
+      currency: wallet.currency,
+      destination,
+      status: 'completed',
+      ...(fee.greaterThan(0) && { metadata: { fee: fee.toFixed(2) } })
+    }], { session });
+
+    await ledgerService.postEntry({
+      type: 'withdrawal',
+      currency: wallet.currency,
+      transactionId: transaction._id,
+      description: `Withdrawal to ${destination}`,
+      postings
+    }, session);
+
+    await ledgerService.syncWalletBalance(wallet, session);
+
+    return transaction;
+  });
+};
+
+/**
+ * Check a transfer pays a settlement in full, from its payer to its receiver
+ * @param {Object} settlement - Settlement from settlement-service
+ * @param {Object} request - Transfer request
+ * @returns {Object} Transfer request completed from the settlement
+ */
+const applySettlement = (settlement, { senderId, recipientId, amount, currency }) => {
+  if (settlement.payerId !== senderId) {
+    throw new AuthorizationError('Only the payer can pay a settlement');
+  }
+  if (recipientId && recipientId !== settlement.receiverId) {
+    throw new ValidationError('The recipient must be the settlement\'s receiver');
   }
+  if (!['pending', 'partially_paid'].includes(settlement.status)) {
+    throw new ValidationError(`Cannot pay a ${settlement.status} settlement`);
+  }
+  if (currency && currency.toUpperCase() !== settlement.currency) {
+    throw new ValidationError(`Settlement is in ${settlement.currency}, not ${currency.toUpperCase()}`);
+  }
+
+  const remaining = new Decimal(settlement.amount).minus(settlement.amountPaid || 0);
+  if (amount !== undefined && !remaining.equals(amount)) {
+    throw new ValidationError(
+      `A wallet transfer must pay the remaining ${remaining.toFixed(2)} ${settlement.currency} of the settlement`
+    );
+  }
+
+  return {
+    senderId,
+    recipientId: settlement.receiverId,
+    amount: remaining.toNumber(),
+    currency: settlement.currency
+  };
+};
 
-  if (wallet.balance < amount) {
-    throw new ValidationError('Insufficient funds');
+// Repeats of a transfer must ask for the same thing as the first request
+const assertSameTransfer = (transfer, { recipientId, amount, currency, settlementId }) => {
+  const differs = (settlementId || null) !== (transfer.settlementId || null) ||
+    (recipientId && recipientId !== transfer.recipientId) ||
+    (amount !== undefined && !new Decimal(amount).equals(transfer.amount)) ||
+    (currency && currency.toUpperCase() !== transfer.currency);
+
+  if (differs) {
+    throw new ConflictError('Idempotency key was already used for a different transfer');
   }
+};
+
+/**
+ * Move a transfer's money back to the sender after its settlement turned it
+ * down. A recipient who no longer holds the money keeps it and the transfer
+ * is flagged as rejected instead, for support to resolve.
+ * @param {Object} transfer - Pending transfer
+ * @param {string} reason - Why the settlement turned the transfer down
+ * @returns {Promise<Object>} Reversed or rejected transfer
+ */
+const reverseTransfer = async (transfer, reason) => {
+  return withTransaction(async (session) => {
+    const current = await Transfer.findById(transfer._id).session(session);
+    if (current.settlementStatus !== 'pending') {
+      return current;
+    }
+    current.settlementError = reason;
+
+    const senderWallet = await Wallet.findOne({ userId: current.senderId }).session(session);
+    const recipientWallet = await Wallet.findOne({ userId: current.recipientId }).session(session);
+    const senderAccount = await ledgerService.getWalletAccount(senderWallet, session);
+    const recipientAccount = await ledgerService.getWalletAccount(recipientWallet, session);
+
+    const available = await ledgerService.getAccountBalance(recipientAccount.code, session);
+    if (new Decimal(current.amount).greaterThan(available)) {
+      logger.error('Could not reverse wallet transfer turned down by its settlement', {
+        transferId: String(current._id),
+        settlementId: current.settlementId
+      });
+      current.settlementStatus = 'rejected';
+      return current.save({ session });
+    }
+
+    const metadata = { transferId: String(current._id), settlementId: current.settlementId };
+    const [refund] = await Transaction.create([
+      {
+        userId: current.senderId,
+        type: 'refund',
+        amount: current.amount,
+        currency: current.currency,
+        source: current.recipientId,
+        status: 'completed',
+        metadata: { ...metadata, direction: 'incoming' }
+      },
+      {
+        userId: current.recipientId,
+        type: 'refund',
+        amount: current.amount,
+        currency: current.currency,
+        destination: current.senderId,
+        status: 'completed',
+        metadata: { ...metadata, direction: 'outgoing' }
+      }
+    ], { session, ordered: true });
+
+    await ledgerService.postEntry({
+      type: 'refund',
+      currency: current.currency,
+      transactionId: refund._id,
+      description: `Reversal of transfer ${current._id} turned down by settlement ${current.settlementId}`,
+      postings: [
+        { account: recipientAccount.code, direction: 'debit', amount: current.amount },
+        { account: senderAccount.code, direction: 'credit', amount: current.amount }
+      ]
+    }, session);
 
-  const transaction = await Transaction.create({
-    userId,
-    type: 'withdrawal',
-    amount,
-    currency,
-    destination,
-    status: 'pending'
+    await ledgerService.syncWalletBalance(senderWallet, session);
+    await ledgerService.syncWalletBalance(recipientWallet, session);
+
+    current.settlementStatus = 'reversed';
+    return current.save({ session });
   });
+};
 
+/**
+ * Record a transfer against its settlement in settlement-service. A failure
+ * leaves the transfer pending so a retry with the same idempotency key can
+ * record it; the money has already moved and is not moved again. When the
+ * settlement turns the payment down, e.g. because it was paid another way
+ * since the transfer started, the transfer is reversed.
+ * @param {Object} transfer - Transfer document
+ * @returns {Promise<Object>} Transfer
+ */
+const recordSettlementPayment = async (transfer) => {
   try {
-    // Process the withdrawal through the payment provider
-    // This is a placeholder for the actual implementation
-    const success = true;
-
-    if (success) {
-      const newBalance = new Decimal(wallet.balance).minus(amount).toNumber();
-      wallet.balance = newBalance;
-      await wallet.save();
-
-      transaction.status = 'completed';
-      await transaction.save();
-    } else {
-      transaction.status = 'failed';
-      await transaction.save();
-      throw new Error('Withdrawal failed');
+    await settlementService.recordWalletPayment(transfer.settlementId, {
+      transferId: String(transfer._id),
+      payerId: transfer.senderId,
+      receiverId: transfer.recipientId,
+      amount: transfer.amount,
+      currency: transfer.currency
+    });
+    transfer.settlementStatus = 'recorded';
+    transfer.settlementError = undefined;
+  } catch (error) {
+    logger.error('Failed to record wallet transfer against settlement', {
+      transferId: String(transfer._id),
+      settlementId: transfer.settlementId,
+      message: error.message
+    });
+    if (error instanceof ValidationError) {
+      return reverseTransfer(transfer, error.message);
     }
+    transfer.settlementError = error.message;
+  }
 
-    return transaction;
+  return transfer.save();
+};
+
+// Transfers move money from the sender's wallet account to the recipient's.
+// Given a settlementId, the transfer pays the settlement's remaining amount
+// to its receiver and completes the settlement in settlement-service.
+export const transfer = async ({ senderId, recipientId, amount, currency, settlementId, note, idempotencyKey }) => {
+  if (!idempotencyKey) {
+    throw new ValidationError('An Idempotency-Key header is required for transfers');
+  }
+  if (amount !== undefined && amount <= 0) {
+    throw new ValidationError('Amount must be positive');
+  }
+
+  const requested = { recipientId, amount, currency, settlementId };
+
+  const existing = await Transfer.findOne({ senderId, idempotencyKey });
+  if (existing) {
+    assertSameTransfer(existing, requested);
+    return existing.settlementStatus === 'pending' ? recordSettlementPayment(existing) : existing;
+  }
+
+  let request = { senderId, recipientId, amount, currency };
+  if (settlementId) {
+    request = applySettlement(await settlementService.getSettlement(settlementId), request);
+  }
+  if (!request.recipientId) {
+    throw new ValidationError('A recipient or settlement is required');
+  }
+  if (request.amount === undefined) {
+    throw new ValidationError('Amount is required');
+  }
+  if (request.recipientId === senderId) {
+    throw new ValidationError('Cannot transfer to your own wallet');
+  }
+
+  const total = new Decimal(request.amount);
+
+  let result;
+  try {
+    result = await withTransaction(async (session) => {
+      const senderWallet = await Wallet.findOne({ userId: senderId }).session(session);
+      if (!senderWallet) {
+        throw new NotFoundError('Wallet not found');
+      }
+      assertWalletActive(senderWallet, 'Your');
+      assertWalletCurrency(senderWallet, request.currency);
+
+      const recipientWallet = await findOrCreateWallet(request.recipientId, session);
+      assertWalletActive(recipientWallet, 'The recipient\'s');
+      if (recipientWallet.currency !== senderWallet.currency) {
+        throw new ValidationError(`The recipient's wallet holds ${recipientWallet.currency}, not ${senderWallet.currency}`);
+      }
+
+      if (settlementId && await Transfer.exists({ settlementId, settlementStatus: { $in: ['pending', 'recorded'] } })
+        .session(session)) {
+        throw new ConflictError('This settlement has already been paid by a wallet transfer');
+      }
+
+      const senderAccount = await ledgerService.getWalletAccount(senderWallet, session);
+      const recipientAccount = await ledgerService.getWalletAccount(recipientWallet, session);
+      const available = await ledgerService.getAccountBalance(senderAccount.code, session);
+      if (total.greaterThan(available)) {
+        throw new ValidationError('Insufficient funds');
+      }
+      useLimits(senderWallet, total);
+
+      const [created] = await Transfer.create([{
+        senderId,
+        recipientId: request.recipientId,
+        amount: total.toNumber(),
+        currency: senderWallet.currency,
+        note,
+        idempotencyKey,
+        settlementId,
+        settlementStatus: settlementId ? 'pending' : 'none'
+      }], { session });
+
+      const type = settlementId ? 'settlement' : 'transfer';
+      const metadata = { transferId: String(created._id), ...(settlementId && { settlementId }) };
+      const [outgoing] = await Transaction.create([
+        {
+          userId: senderId,
+          type,
+          amount: total.toNumber(),
+          currency: senderWallet.currency,
+          destination: request.recipientId,
+          status: 'completed',
+          metadata: { ...metadata, direction: 'outgoing' }
+        },
+        {
+          userId: request.recipientId,
+          type,
+          amount: total.toNumber(),
+          currency: senderWallet.currency,
+          source: senderId,
+          status: 'completed',
+          metadata: { ...metadata, direction: 'incoming' }
+        }
+      ], { session, ordered: true });
+
+      await ledgerService.postEntry({
+        type: 'transfer',
+        currency: senderWallet.currency,
+        transactionId: outgoing._id,
+        description: `Transfer from ${senderId} to ${request.recipientId}`,
+        postings: [
+          { account: senderAccount.code, direction: 'debit', amount: total.toNumber() },
+          { account: recipientAccount.code, direction: 'credit', amount: total.toNumber() }
+        ]
+      }, session);
+
+      await ledgerService.syncWalletBalance(senderWallet, session);
+      await ledgerService.syncWalletBalance(recipientWallet, session);
+
+      return created;
+    });
   } catch (error) {
-    transaction.status = 'failed';
-    transaction.error = error.message;
-    await transaction.save();
+    // A concurrent request with the same key got there first
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.idempotencyKey) {
+      const winner = await Transfer.findOne({ senderId, idempotencyKey });
+      assertSameTransfer(winner, requested);
+      return winner;
+    }
+    // A concurrent request with another key paid the settlement first
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.settlementId) {
+      throw new ConflictError('This settlement has already been paid by a wallet transfer');
+    }
     throw error;
   }
+
+  return settlementId ? recordSettlementPayment(result) : result;
 };
 
 export const getTransactions = async (userId) => {
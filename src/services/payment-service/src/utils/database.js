@@ -41,4 +41,25 @@ const connectDB = async () => {
   }
 };
 
-export default connectDB; 
\ No newline at end of file
+/**
+ * Run work inside a MongoDB transaction. The work is retried from the start
+ * when the transaction fails transiently, e.g. on a write conflict with a
+ * concurrent transaction, so it must read everything it needs through the
+ * session it is given.
+ * @param {Function} work - `async (session) => result`
+ * @returns {Promise<*>} Result of the work
+ */
+export const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+export default connectDB;
@@ -30,6 +30,14 @@ export class AuthorizationError extends Error {
   }
 }
 
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+  }
+}
+
 export class PaymentError extends Error {
   constructor(message, code) {
     super(message);
@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import * as expenseDraftService from '../../src/services/expense-draft.service.js';
+import * as transactionRuleService from '../../src/services/transaction-rule.service.js';
+import * as expenseService from '../../src/services/expense.service.js';
+import * as groupService from '../../src/services/group.service.js';
+import ExpenseDraft from '../../src/models/expense-draft.model.js';
+import TransactionRule from '../../src/models/transaction-rule.model.js';
+import { ConflictError, ValidationError } from '../../src/utils/errors.js';
+
+jest.mock('../../src/services/expense.service.js');
+jest.mock('../../src/services/group.service.js');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await ExpenseDraft.deleteMany({});
+  await TransactionRule.deleteMany({});
+  jest.clearAllMocks();
+});
+
+const createDraft = (overrides = {}) => ExpenseDraft.create({
+  userId: 'user123',
+  bankTransactionId: new mongoose.Types.ObjectId(),
+  description: 'Whole Foods',
+  merchantName: 'Whole Foods',
+  amount: 60,
+  currency: 'USD',
+  date: new Date('2026-10-01'),
+  category: 'food',
+  groupId: 'group1',
+  ...overrides
+});
+
+describe('Expense Draft Service', () => {
+  describe('convertDraft', () => {
+    it('should create an expense split equally across the group', async () => {
+      const draft = await createDraft();
+      groupService.getGroupMembers.mockResolvedValue({
+        groupId: 'group1',
+        isArchived: false,
+        members: [{ userId: 'user123', role: 'admin' }, { userId: 'user456', role: 'member' }]
+      });
+      expenseService.createExpense.mockResolvedValue({ _id: 'expense1' });
+
+      const result = await expenseDraftService.convertDraft('user123', draft._id, {}, 'Bearer token');
+
+      expect(expenseService.createExpense).toHaveBeenCalledWith({
+        groupId: 'group1',
+        description: 'Whole Foods',
+        amount: 60,
+        currency: 'USD',
+        date: draft.date,
+        category: 'food',
+        paidBy: 'user123',
+        splits: [
+          { userId: 'user123', splitType: 'equal' },
+          { userId: 'user456', splitType: 'equal' }
+        ]
+      }, 'Bearer token');
+      expect(result.draft).toMatchObject({ status: 'converted', expenseId: 'expense1' });
+    });
+
+    it('should split between the chosen participants', async () => {
+      const draft = await createDraft();
+      expenseService.createExpense.mockResolvedValue({ _id: 'expense1' });
+
+      await expenseDraftService.convertDraft('user123', draft._id, { participants: ['user123', 'user789'] }, 'Bearer token');
+
+      expect(groupService.getGroupMembers).not.toHaveBeenCalled();
+      expect(expenseService.createExpense.mock.calls[0][0].splits).toEqual([
+        { userId: 'user123', splitType: 'equal' },
+        { userId: 'user789', splitType: 'equal' }
+      ]);
+    });
+
+    it('should return the draft to the inbox when the expense cannot be created', async () => {
+      const draft = await createDraft();
+      expenseService.createExpense.mockRejectedValue(new ValidationError('Could not create expense: Invalid split'));
+
+      await expect(expenseDraftService.convertDraft('user123', draft._id, { participants: ['user123'] }, 'Bearer token'))
+        .rejects
+        .toThrow('Invalid split');
+      expect((await ExpenseDraft.findById(draft._id)).status).toBe('pending');
+    });
+
+    it('should not convert a draft twice', async () => {
+      const draft = await createDraft({ status: 'converted', expenseId: 'expense1' });
+
+      await expect(expenseDraftService.convertDraft('user123', draft._id, {}, 'Bearer token'))
+        .rejects
+        .toThrow(ConflictError);
+      expect(expenseService.createExpense).not.toHaveBeenCalled();
+    });
+
+    it('should require a group', async () => {
+      const draft = await createDraft({ groupId: null });
+
+      await expect(expenseDraftService.convertDraft('user123', draft._id, {}, 'Bearer token'))
+        .rejects
+        .toThrow('Choose a group for the expense');
+    });
+  });
+
+  describe('suggestions from earlier expenses', () => {
+    it('should suggest the group the merchant\'s last expense went to', async () => {
+      await createDraft({ status: 'converted', groupId: 'house', category: 'groceries', convertedAt: new Date() });
+
+      const suggestion = await transactionRuleService.suggestForTransaction({
+        userId: 'user123',
+        merchantName: 'Whole Foods',
+        amount: 20,
+        category: { primary: 'FOOD_AND_DRINK' }
+      }, []);
+
+      expect(suggestion).toEqual({ category: 'groceries', groupId: 'house', ruleId: null });
+    });
+
+    it('should fall back to Plaid\'s category', async () => {
+      const suggestion = await transactionRuleService.suggestForTransaction({
+        userId: 'user123',
+        merchantName: 'Uber',
+        amount: 20,
+        category: { primary: 'TRANSPORTATION' }
+      }, []);
+
+      expect(suggestion).toEqual({ category: 'transportation', groupId: null, ruleId: null });
+    });
+  });
+
+  describe('rules', () => {
+    it('should reject rules without conditions or suggestions', async () => {
+      await expect(transactionRuleService.createRule('user123', { name: 'Empty', category: 'food' }))
+        .rejects
+        .toThrow('A rule needs at least one condition');
+      await expect(transactionRuleService.createRule('user123', { name: 'Vague', conditions: { merchant: 'uber' } }))
+        .rejects
+        .toThrow('A rule must suggest a category or a group');
+    });
+  });
+});
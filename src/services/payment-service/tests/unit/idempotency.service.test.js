@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import * as idempotencyService from '../../src/services/idempotency.service.js';
+import IdempotencyKey from '../../src/models/idempotency-key.model.js';
+import { ConflictError } from '../../src/utils/errors.js';
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await IdempotencyKey.syncIndexes();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await IdempotencyKey.deleteMany({});
+});
+
+const requestHash = idempotencyService.hashRequest({
+  method: 'POST',
+  path: '/api/wallet/deposit',
+  body: { amount: 100, currency: 'USD', source: 'card' }
+});
+
+describe('Idempotency Service', () => {
+  describe('hashRequest', () => {
+    it('should not depend on the order of body keys', () => {
+      expect(idempotencyService.hashRequest({
+        method: 'POST',
+        path: '/api/wallet/deposit',
+        body: { source: 'card', currency: 'USD', amount: 100 }
+      })).toBe(requestHash);
+    });
+
+    it('should differ for another endpoint with the same body', () => {
+      expect(idempotencyService.hashRequest({
+        method: 'POST',
+        path: '/api/wallet/withdraw',
+        body: { amount: 100, currency: 'USD', source: 'card' }
+      })).not.toBe(requestHash);
+    });
+  });
+
+  describe('beginRequest', () => {
+    it('should replay the stored response once the first request completes', async () => {
+      const { record, replay } = await idempotencyService.beginRequest('user123', 'key-1', requestHash);
+      expect(replay).toBe(false);
+
+      await idempotencyService.completeRequest(record, 201, { amount: 100 });
+      const repeat = await idempotencyService.beginRequest('user123', 'key-1', requestHash);
+
+      expect(repeat.replay).toBe(true);
+      expect(repeat.record.responseStatus).toBe(201);
+      expect(repeat.record.responseBody).toEqual({ amount: 100 });
+    });
+
+    it('should scope keys to the user', async () => {
+      await idempotencyService.beginRequest('user123', 'key-1', requestHash);
+
+      const other = await idempotencyService.beginRequest('user456', 'key-1', requestHash);
+
+      expect(other.replay).toBe(false);
+    });
+
+    it('should reject a key reused for a different request', async () => {
+      const { record } = await idempotencyService.beginRequest('user123', 'key-1', requestHash);
+      await idempotencyService.completeRequest(record, 201, { amount: 100 });
+
+      const otherHash = idempotencyService.hashRequest({
+        method: 'POST',
+        path: '/api/wallet/deposit',
+        body: { amount: 200, currency: 'USD', source: 'card' }
+      });
+
+      await expect(idempotencyService.beginRequest('user123', 'key-1', otherHash))
+        .rejects
+        .toThrow('Idempotency-Key was already used for a different request');
+    });
+
+    it('should reject a repeat while the first request is processing', async () => {
+      await idempotencyService.beginRequest('user123', 'key-1', requestHash);
+
+      await expect(idempotencyService.beginRequest('user123', 'key-1', requestHash))
+        .rejects
+        .toThrow(ConflictError);
+    });
+
+    it('should let a retry take over a request that stopped processing', async () => {
+      const { record } = await idempotencyService.beginRequest('user123', 'key-1', requestHash);
+      await IdempotencyKey.updateOne({ _id: record._id }, { lockedAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+      const retry = await idempotencyService.beginRequest('user123', 'key-1', requestHash);
+
+      expect(retry.replay).toBe(false);
+      expect(String(retry.record._id)).toBe(String(record._id));
+    });
+  });
+
+  describe('completeRequest', () => {
+    it('should replay a server error instead of running the request again', async () => {
+      const { record } = await idempotencyService.beginRequest('user123', 'key-1', requestHash);
+
+      await idempotencyService.completeRequest(record, 500, { error: 'Stripe unavailable' });
+
+      const retry = await idempotencyService.beginRequest('user123', 'key-1', requestHash);
+      expect(retry.replay).toBe(true);
+      expect(retry.record.status).toBe('failed');
+      expect(retry.record.responseStatus).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import * as ledgerService from '../../src/services/ledger.service.js';
+import * as walletService from '../../src/services/wallet.service.js';
+import Wallet from '../../src/models/wallet.model.js';
+import Transaction from '../../src/models/transaction.model.js';
+import JournalEntry from '../../src/models/journal-entry.model.js';
+import LedgerAccount from '../../src/models/ledger-account.model.js';
+import { withTransaction } from '../../src/utils/database.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Wallet.deleteMany({});
+  await Transaction.deleteMany({});
+  await LedgerAccount.deleteMany({});
+  await JournalEntry.collection.deleteMany({});
+});
+
+describe('Ledger Service', () => {
+  describe('postEntry', () => {
+    it('should reject entries whose debits do not equal their credits', async () => {
+      await withTransaction(session => Promise.all([
+        ledgerService.getSystemAccount('clearing', 'USD', session),
+        ledgerService.getSystemAccount('fees', 'USD', session)
+      ]));
+
+      await expect(withTransaction(session => ledgerService.postEntry({
+        type: 'payment',
+        currency: 'USD',
+        postings: [
+          { account: 'clearing:USD', direction: 'debit', amount: 10 },
+          { account: 'fees:USD', direction: 'credit', amount: 9.99 }
+        ]
+      }, session)))
+        .rejects
+        .toThrow('Journal entry is unbalanced: debits 10.00 do not equal credits 9.99');
+    });
+
+    it('should reject postings to unknown accounts', async () => {
+      await withTransaction(session => ledgerService.getSystemAccount('clearing', 'USD', session));
+
+      await expect(withTransaction(session => ledgerService.postEntry({
+        type: 'payment',
+        currency: 'USD',
+        postings: [
+          { account: 'clearing:USD', direction: 'debit', amount: 10 },
+          { account: 'wallet:missing', direction: 'credit', amount: 10 }
+        ]
+      }, session)))
+        .rejects
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('journal entries', () => {
+    it('should not be changed or deleted once posted', async () => {
+      await walletService.deposit({ userId: 'user123', amount: 100, currency: 'USD', source: 'bank_transfer' });
+      const entry = await JournalEntry.findOne();
+
+      await expect(JournalEntry.updateOne({ _id: entry._id }, { currency: 'EUR' }))
+        .rejects
+        .toThrow('Journal entries cannot be changed');
+      await expect(JournalEntry.deleteOne({ _id: entry._id }))
+        .rejects
+        .toThrow('Journal entries cannot be changed');
+
+      entry.description = 'Edited';
+      await expect(entry.save()).rejects.toThrow('Journal entries cannot be changed');
+    });
+  });
+
+  describe('getAccountBalance', () => {
+    it('should derive balances from postings on the account\'s normal side', async () => {
+      await walletService.deposit({ userId: 'user123', amount: 100, currency: 'USD', source: 'bank_transfer' });
+      await walletService.withdraw({ userId: 'user123', amount: 30.1, currency: 'USD', destination: 'bank_account' });
+      const wallet = await Wallet.findOne({ userId: 'user123' });
+
+      expect(await ledgerService.getAccountBalance(`wallet:${wallet._id}`)).toBe(69.9);
+      expect(await ledgerService.getAccountBalance('clearing:USD')).toBe(69.9);
+    });
+  });
+
+  describe('openWalletAccounts', () => {
+    it('should keep a balance from before the ledger through the first deposit', async () => {
+      await Wallet.create({ userId: 'user123', balance: 25, currency: 'USD' });
+
+      expect(await ledgerService.openWalletAccounts()).toBe(1);
+      await walletService.deposit({ userId: 'user123', amount: 10, currency: 'USD', source: 'bank_transfer' });
+
+      const wallet = await Wallet.findOne({ userId: 'user123' });
+      expect(wallet.balance).toBe(35);
+      expect(await ledgerService.getAccountBalance(`wallet:${wallet._id}`)).toBe(35);
+
+      const report = await ledgerService.getReconciliationReport();
+      expect(report.discrepancies).toEqual([]);
+      expect(report.ledger.balanced).toBe(true);
+    });
+
+    it('should only open each wallet once', async () => {
+      await Wallet.create({ userId: 'user123', balance: 25, currency: 'USD' });
+
+      await ledgerService.openWalletAccounts();
+      expect(await ledgerService.openWalletAccounts()).toBe(0);
+
+      expect(await JournalEntry.countDocuments({ type: 'opening' })).toBe(1);
+    });
+  });
+
+  describe('getReconciliationReport', () => {
+    it('should flag wallets whose cached balance disagrees with the ledger', async () => {
+      await walletService.deposit({ userId: 'user123', amount: 100, currency: 'USD', source: 'bank_transfer' });
+      await walletService.deposit({ userId: 'user456', amount: 40, currency: 'USD', source: 'bank_transfer' });
+      await Wallet.updateOne({ userId: 'user456' }, { balance: 55 });
+
+      const report = await ledgerService.getReconciliationReport();
+
+      expect(report.walletsChecked).toBe(2);
+      expect(report.discrepancies).toHaveLength(1);
+      expect(report.discrepancies[0]).toMatchObject({
+        userId: 'user456',
+        currency: 'USD',
+        cachedBalance: 55,
+        ledgerBalance: 40,
+        difference: 15
+      });
+      expect(report.ledger).toEqual({
+        balanced: true,
+        currencies: [{ currency: 'USD', debits: 140, credits: 140 }]
+      });
+    });
+
+    it('should flag wallets with a balance but no ledger history', async () => {
+      await Wallet.create({ userId: 'user123', balance: 25, currency: 'USD' });
+
+      const report = await ledgerService.getReconciliationReport();
+
+      expect(report.discrepancies).toEqual([
+        expect.objectContaining({ userId: 'user123', cachedBalance: 25, ledgerBalance: 0 })
+      ]);
+    });
+  });
+});
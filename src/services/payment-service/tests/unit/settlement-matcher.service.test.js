@@ -0,0 +1,288 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import * as settlementMatcherService from '../../src/services/settlement-matcher.service.js';
+import * as settlementService from '../../src/services/settlement.service.js';
+import * as userService from '../../src/services/user.service.js';
+import SettlementMatch from '../../src/models/settlement-match.model.js';
+import BankAccount from '../../src/models/BankAccount.js';
+import BankTransaction from '../../src/models/bank-transaction.model.js';
+import { ConflictError, ValidationError } from '../../src/utils/errors.js';
+
+jest.mock('../../src/services/settlement.service.js');
+jest.mock('../../src/services/user.service.js');
+
+let mongoServer;
+
+beforeAll(async () => {
+  process.env.ENCRYPTION_KEY = 'test-encryption-key-32-chars-long!';
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+const createdAt = daysAgo(3);
+
+const settlement = (overrides = {}) => ({
+  _id: 'settlement1',
+  payerId: 'user123',
+  receiverId: 'user456',
+  amount: 50,
+  amountPaid: 0,
+  currency: 'USD',
+  status: 'pending',
+  notes: 'Concert tickets',
+  createdAt,
+  ...overrides
+});
+
+// A settlement the user is owed
+const owed = (overrides = {}) => settlement({ payerId: 'user456', receiverId: 'user123', ...overrides });
+
+// Shape scoreMatch receives
+const transaction = (overrides = {}) => ({
+  id: 'txn1',
+  amount: 50,
+  date: daysAgo(2).toISOString().slice(0, 10),
+  name: 'ZELLE TO JANE DOE',
+  merchantName: null,
+  category: ['Transfer'],
+  pending: false,
+  type: 'special',
+  isoCurrencyCode: 'USD',
+  ...overrides
+});
+
+const createAccount = (overrides = {}) => BankAccount.create({
+  userId: 'user123',
+  institutionName: 'Test Bank',
+  accountType: 'CHECKING',
+  accountNumber: '000123456789',
+  routingNumber: '110000000',
+  plaidItemId: 'item1',
+  plaidAccountId: 'acc1',
+  status: 'ACTIVE',
+  ...overrides
+});
+
+// Transactions as transaction-sync imports them; negative amounts came in
+const importTransactions = (account, ...transactions) => BankTransaction.create(transactions.map(overrides => ({
+  userId: account.userId,
+  bankAccountId: account._id,
+  plaidTransactionId: 'txn1',
+  plaidAccountId: account.plaidAccountId,
+  amount: -50,
+  currency: 'USD',
+  date: daysAgo(2),
+  name: 'ZELLE FROM JANE DOE',
+  pending: false,
+  ...overrides
+})));
+
+let account;
+
+beforeEach(async () => {
+  await SettlementMatch.deleteMany({});
+  await BankAccount.deleteMany({});
+  await BankTransaction.deleteMany({});
+  jest.clearAllMocks();
+  account = await createAccount();
+  userService.getUserById.mockResolvedValue({ id: 'user456', name: 'Jane Doe' });
+  settlementService.recordBankPayment.mockResolvedValue({});
+});
+
+describe('Settlement Matcher Service', () => {
+  describe('scoreMatch', () => {
+    it('should score an exact payment to the named receiver highly', () => {
+      const result = settlementMatcherService.scoreMatch(transaction(), settlement(), {
+        userId: 'user123',
+        counterpartyName: 'Jane Doe'
+      });
+
+      expect(result.direction).toBe('outgoing');
+      expect(result.reasons).toMatchObject({ amount: 0.5, counterparty: 0.3 });
+      expect(result.score).toBeGreaterThanOrEqual(0.9);
+    });
+
+    it('should match money coming in against settlements the user is owed', () => {
+      const result = settlementMatcherService.scoreMatch(
+        transaction({ amount: -50, name: 'VENMO CASHOUT' }),
+        settlement({ payerId: 'user456', receiverId: 'user123' }),
+        { userId: 'user123', counterpartyName: 'Jane Doe' }
+      );
+
+      expect(result.direction).toBe('incoming');
+      expect(result.reasons.counterparty).toBe(0.09);
+    });
+
+    it('should not match payments in the wrong direction', () => {
+      const result = settlementMatcherService.scoreMatch(
+        transaction({ amount: -50 }),
+        settlement(),
+        { userId: 'user123' }
+      );
+
+      expect(result).toBeNull();
+    });
+
+    it('should not match amounts more than 5% off what is left', () => {
+      const partlyPaid = settlement({ amountPaid: 20 });
+
+      expect(settlementMatcherService.scoreMatch(transaction(), partlyPaid, { userId: 'user123' })).toBeNull();
+      expect(settlementMatcherService.scoreMatch(transaction({ amount: 30 }), partlyPaid, { userId: 'user123' }))
+        .not.toBeNull();
+    });
+
+    it('should not match transactions outside the date window', () => {
+      const result = settlementMatcherService.scoreMatch(
+        transaction({ date: daysAgo(10).toISOString().slice(0, 10) }),
+        settlement({ createdAt: daysAgo(45) }),
+        { userId: 'user123', dateWindowDays: 30 }
+      );
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('scanMatches', () => {
+    it('should complete a confident match of money the user received without review', async () => {
+      settlementService.getPayableSettlements.mockResolvedValue([owed()]);
+      await importTransactions(account, {});
+
+      const result = await settlementMatcherService.scanMatches('user123');
+
+      expect(result.autoCompleted).toHaveLength(1);
+      expect(result.suggested).toHaveLength(0);
+      expect(settlementService.recordBankPayment).toHaveBeenCalledWith('settlement1', {
+        transactionId: 'txn1',
+        userId: 'user123',
+        amount: 50,
+        currency: 'USD',
+        paidAt: expect.any(Date)
+      });
+      expect(await SettlementMatch.findOne()).toMatchObject({
+        status: 'auto_completed',
+        direction: 'incoming',
+        bankAccountId: String(account._id)
+      });
+    });
+
+    it('should only suggest the payer\'s own outgoing payment', async () => {
+      settlementService.getPayableSettlements.mockResolvedValue([settlement()]);
+      await importTransactions(account, { amount: 50, name: 'ZELLE TO JANE DOE' });
+
+      const result = await settlementMatcherService.scanMatches('user123');
+
+      expect(result.suggested).toHaveLength(1);
+      expect(result.suggested[0]).toMatchObject({ direction: 'outgoing', status: 'suggested' });
+      expect(result.suggested[0].score).toBeGreaterThanOrEqual(0.9);
+      expect(settlementService.recordBankPayment).not.toHaveBeenCalled();
+    });
+
+    it('should only suggest a match that competes with another settlement', async () => {
+      settlementService.getPayableSettlements.mockResolvedValue([
+        owed(),
+        owed({ _id: 'settlement2', notes: 'Dinner' })
+      ]);
+      await importTransactions(account, {});
+
+      const result = await settlementMatcherService.scanMatches('user123');
+
+      expect(result.suggested).toHaveLength(1);
+      expect(result.suggested[0].settlementId).toBe('settlement1');
+      expect(settlementService.recordBankPayment).not.toHaveBeenCalled();
+    });
+
+    it('should keep a match suggested when settlement-service refuses it', async () => {
+      settlementService.getPayableSettlements.mockResolvedValue([owed()]);
+      await importTransactions(account, {});
+      settlementService.recordBankPayment.mockRejectedValue(new ValidationError('Settlement is in USD, not EUR'));
+
+      const result = await settlementMatcherService.scanMatches('user123');
+
+      expect(result.suggested[0]).toMatchObject({ status: 'suggested', settlementError: 'Settlement is in USD, not EUR' });
+    });
+
+    it('should skip pending transactions and pairs the user rejected', async () => {
+      settlementService.getPayableSettlements.mockResolvedValue([owed()]);
+      await importTransactions(account, {}, { plaidTransactionId: 'txn2', pending: true });
+      await SettlementMatch.create({
+        userId: 'user123',
+        settlementId: 'settlement1',
+        bankAccountId: String(account._id),
+        transactionId: 'txn1',
+        direction: 'incoming',
+        amount: 50,
+        currency: 'USD',
+        date: daysAgo(2),
+        score: 0.95,
+        status: 'rejected'
+      });
+
+      const result = await settlementMatcherService.scanMatches('user123');
+
+      expect(result).toEqual({ suggested: [], autoCompleted: [] });
+    });
+
+    it('should only scan transactions of active accounts that Plaid has not removed', async () => {
+      settlementService.getPayableSettlements.mockResolvedValue([owed()]);
+      const unverified = await createAccount({ plaidAccountId: 'acc2', status: 'PENDING_VERIFICATION' });
+      await importTransactions(account, { removedAt: new Date() });
+      await importTransactions(unverified, { plaidTransactionId: 'txn2' });
+
+      const result = await settlementMatcherService.scanMatches('user123');
+
+      expect(result).toEqual({ suggested: [], autoCompleted: [] });
+    });
+
+    it('should score names it cannot fetch as unknown', async () => {
+      settlementService.getPayableSettlements.mockResolvedValue([owed()]);
+      await importTransactions(account, { name: 'ZELLE PAYMENT' });
+      userService.getUserById.mockRejectedValue(new Error('User service unavailable'));
+
+      const result = await settlementMatcherService.scanMatches('user123');
+
+      expect(result.suggested).toHaveLength(1);
+      expect(result.suggested[0].reasons.counterparty).toBe(0.09);
+    });
+  });
+
+  describe('reviewing matches', () => {
+    const createMatch = () => SettlementMatch.create({
+      userId: 'user123',
+      settlementId: 'settlement1',
+      bankAccountId: 'account1',
+      transactionId: 'txn1',
+      direction: 'outgoing',
+      amount: 50.5,
+      currency: 'USD',
+      date: daysAgo(2),
+      score: 0.75
+    });
+
+    it('should record an accepted match, capped at what is left', async () => {
+      const match = await createMatch();
+      settlementService.getSettlement.mockResolvedValue(settlement());
+
+      const accepted = await settlementMatcherService.acceptMatch('user123', match._id);
+
+      expect(settlementService.recordBankPayment.mock.calls[0][1].amount).toBe(50);
+      expect(accepted.status).toBe('accepted');
+    });
+
+    it('should not review a match twice', async () => {
+      const match = await createMatch();
+
+      await settlementMatcherService.rejectMatch('user123', match._id);
+
+      await expect(settlementMatcherService.acceptMatch('user123', match._id))
+        .rejects
+        .toThrow(ConflictError);
+      expect(settlementService.recordBankPayment).not.toHaveBeenCalled();
+    });
+  });
+});
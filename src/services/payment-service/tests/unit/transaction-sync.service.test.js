@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import * as transactionSyncService from '../../src/services/transaction-sync.service.js';
+import * as settlementMatcherService from '../../src/services/settlement-matcher.service.js';
+import BankAccount from '../../src/models/BankAccount.js';
+import BankTransaction from '../../src/models/bank-transaction.model.js';
+import ExpenseDraft from '../../src/models/expense-draft.model.js';
+import TransactionRule from '../../src/models/transaction-rule.model.js';
+
+jest.mock('../../src/services/settlement-matcher.service.js');
+
+let mongoServer;
+
+beforeAll(async () => {
+  process.env.ENCRYPTION_KEY = 'test-encryption-key-32-chars-long!';
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await BankAccount.deleteMany({});
+  await BankTransaction.deleteMany({});
+  await ExpenseDraft.deleteMany({});
+  await TransactionRule.deleteMany({});
+  jest.clearAllMocks();
+  settlementMatcherService.scanMatches.mockResolvedValue({ suggested: [], autoCompleted: [] });
+});
+
+const plaidTransaction = (overrides = {}) => ({
+  transaction_id: 'txn1',
+  account_id: 'acc1',
+  amount: 42.5,
+  iso_currency_code: 'USD',
+  date: '2026-10-01',
+  name: 'WHOLEFDS #123',
+  merchant_name: 'Whole Foods',
+  personal_finance_category: { primary: 'FOOD_AND_DRINK', detailed: 'FOOD_AND_DRINK_GROCERIES' },
+  pending: false,
+  ...overrides
+});
+
+// Plaid integration returning one batch of changes per sync
+const fakePlaid = (...batches) => ({
+  syncTransactions: jest.fn(async () => {
+    const batch = batches.shift() || {};
+    return { added: [], modified: [], removed: [], nextCursor: 'cursor-end', ...batch };
+  })
+});
+
+const createAccount = () => BankAccount.create({
+  userId: 'user123',
+  institutionName: 'Test Bank',
+  accountType: 'CHECKING',
+  accountNumber: '000123456789',
+  routingNumber: '110000000',
+  plaidAccessToken: 'access-token',
+  plaidItemId: 'item1',
+  plaidAccountId: 'acc1',
+  status: 'ACTIVE'
+});
+
+describe('Transaction Sync Service', () => {
+  describe('syncBankAccount', () => {
+    it('should import transactions and draft the money that left the account', async () => {
+      const account = await createAccount();
+      const plaid = fakePlaid({
+        added: [
+          plaidTransaction(),
+          plaidTransaction({ transaction_id: 'txn2', amount: -1000, name: 'PAYROLL', merchant_name: null }),
+          plaidTransaction({ transaction_id: 'txn3', pending: true })
+        ]
+      });
+
+      const counts = await transactionSyncService.syncBankAccount(plaid, account);
+
+      expect(counts).toEqual({ added: 3, modified: 0, removed: 0 });
+      expect(await BankTransaction.countDocuments()).toBe(3);
+
+      const drafts = await ExpenseDraft.find();
+      expect(drafts).toHaveLength(1);
+      expect(drafts[0]).toMatchObject({
+        userId: 'user123',
+        description: 'Whole Foods',
+        amount: 42.5,
+        currency: 'USD',
+        category: 'food',
+        status: 'pending'
+      });
+    });
+
+    it('should continue from the saved cursor', async () => {
+      const account = await createAccount();
+      const plaid = fakePlaid({ added: [plaidTransaction()], nextCursor: 'cursor-1' }, { nextCursor: 'cursor-2' });
+
+      await transactionSyncService.syncBankAccount(plaid, account);
+      await transactionSyncService.syncBankAccount(plaid, await BankAccount.findById(account._id));
+
+      expect(plaid.syncTransactions).toHaveBeenNthCalledWith(1, 'access-token', undefined);
+      expect(plaid.syncTransactions).toHaveBeenNthCalledWith(2, 'access-token', 'cursor-1');
+      expect((await BankAccount.findById(account._id)).transactionsCursor).toBe('cursor-2');
+    });
+
+    it('should look for settlement payments among new transactions', async () => {
+      const account = await createAccount();
+
+      await transactionSyncService.syncBankAccount(fakePlaid({ added: [plaidTransaction()] }), account);
+      await transactionSyncService.syncBankAccount(fakePlaid({}), await BankAccount.findById(account._id));
+
+      expect(settlementMatcherService.scanMatches).toHaveBeenCalledTimes(1);
+      expect(settlementMatcherService.scanMatches).toHaveBeenCalledWith('user123');
+    });
+
+    it('should finish the sync when matching settlement payments fails', async () => {
+      const account = await createAccount();
+      settlementMatcherService.scanMatches.mockRejectedValue(new Error('Settlement service unavailable'));
+
+      const counts = await transactionSyncService.syncBankAccount(
+        fakePlaid({ added: [plaidTransaction()], nextCursor: 'cursor-1' }),
+        account
+      );
+
+      expect(counts.added).toBe(1);
+      expect((await BankAccount.findById(account._id)).transactionsCursor).toBe('cursor-1');
+    });
+
+    it('should skip transactions of the item\'s other accounts', async () => {
+      const account = await createAccount();
+      const plaid = fakePlaid({ added: [plaidTransaction({ account_id: 'acc2' })] });
+
+      const counts = await transactionSyncService.syncBankAccount(plaid, account);
+
+      expect(counts.added).toBe(0);
+      expect(await BankTransaction.countDocuments()).toBe(0);
+    });
+
+    it('should suggest the category and group of the first matching rule', async () => {
+      const account = await createAccount();
+      await TransactionRule.create([
+        { userId: 'user123', name: 'Groceries', conditions: { merchant: 'whole foods' }, category: 'groceries', groupId: 'house', priority: 10 },
+        { userId: 'user123', name: 'Food', conditions: { plaidCategory: 'FOOD_AND_DRINK' }, category: 'dining', priority: 1 }
+      ]);
+
+      await transactionSyncService.syncBankAccount(fakePlaid({ added: [plaidTransaction()] }), account);
+
+      const draft = await ExpenseDraft.findOne();
+      expect(draft).toMatchObject({ category: 'groceries', groupId: 'house' });
+      expect(draft.suggestion.ruleId).toBeDefined();
+    });
+
+    it('should follow changed amounts without losing the user\'s edits', async () => {
+      const account = await createAccount();
+      const plaid = fakePlaid(
+        { added: [plaidTransaction()] },
+        { modified: [plaidTransaction({ amount: 45 })] }
+      );
+
+      await transactionSyncService.syncBankAccount(plaid, account);
+      await ExpenseDraft.updateOne({}, { description: 'Weekly shop' });
+      await transactionSyncService.syncBankAccount(plaid, await BankAccount.findById(account._id));
+
+      const draft = await ExpenseDraft.findOne();
+      expect(draft.amount).toBe(45);
+      expect(draft.description).toBe('Weekly shop');
+    });
+
+    it('should retract the drafts of removed transactions', async () => {
+      const account = await createAccount();
+      const plaid = fakePlaid(
+        { added: [plaidTransaction(), plaidTransaction({ transaction_id: 'txn2' })] },
+        { removed: [{ transaction_id: 'txn1' }, { transaction_id: 'txn2' }] }
+      );
+
+      await transactionSyncService.syncBankAccount(plaid, account);
+      const converted = await ExpenseDraft.findOne({ bankTransactionId: (await BankTransaction.findOne({ plaidTransactionId: 'txn2' }))._id });
+      await ExpenseDraft.updateOne({ _id: converted._id }, { status: 'converted', expenseId: 'expense1' });
+
+      const counts = await transactionSyncService.syncBankAccount(plaid, await BankAccount.findById(account._id));
+
+      expect(counts.removed).toBe(2);
+      expect(await BankTransaction.countDocuments({ removedAt: { $ne: null } })).toBe(2);
+      expect(await ExpenseDraft.countDocuments({ status: 'retracted' })).toBe(1);
+
+      const flagged = await ExpenseDraft.findById(converted._id);
+      expect(flagged.status).toBe('converted');
+      expect(flagged.transactionRemovedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('removeTransactions', () => {
+    it('should skip transactions that were already removed', async () => {
+      const account = await createAccount();
+      await transactionSyncService.syncBankAccount(fakePlaid({ added: [plaidTransaction()] }), account);
+
+      expect(await transactionSyncService.removeTransactions(['txn1'])).toEqual({ removed: 1, retracted: 1 });
+      expect(await transactionSyncService.removeTransactions(['txn1'])).toEqual({ removed: 0, retracted: 0 });
+    });
+  });
+
+  describe('syncItem', () => {
+    it('should sync every active account of the item', async () => {
+      await createAccount();
+      const plaid = fakePlaid({ added: [plaidTransaction()] });
+
+      const totals = await transactionSyncService.syncItem(plaid, 'item1');
+
+      expect(totals).toEqual({ accounts: 1, added: 1, modified: 0, removed: 0 });
+    });
+  });
+});
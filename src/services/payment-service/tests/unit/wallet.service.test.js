@@ -1,14 +1,22 @@
 import mongoose from 'mongoose';
-import { MongoMemoryServer } from 'mongodb-memory-server';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
 import * as walletService from '../../src/services/wallet.service.js';
+import * as settlementService from '../../src/services/settlement.service.js';
 import Wallet from '../../src/models/wallet.model.js';
 import Transaction from '../../src/models/transaction.model.js';
-import { NotFoundError, ValidationError } from '../../src/utils/errors.js';
+import JournalEntry from '../../src/models/journal-entry.model.js';
+import LedgerAccount from '../../src/models/ledger-account.model.js';
+import Transfer from '../../src/models/transfer.model.js';
+import config from '../../src/config/index.js';
+import { AuthorizationError, ConflictError, NotFoundError, ValidationError } from '../../src/utils/errors.js';
+
+jest.mock('../../src/services/settlement.service.js');
 
 let mongoServer;
 
 beforeAll(async () => {
-  mongoServer = await MongoMemoryServer.create();
+  // Wallet operations run in transactions, which need a replica set
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
   await mongoose.connect(mongoServer.getUri());
 });
 
@@ -20,6 +28,18 @@ afterAll(async () => {
 beforeEach(async () => {
   await Wallet.deleteMany({});
   await Transaction.deleteMany({});
+  await LedgerAccount.deleteMany({});
+  await Transfer.deleteMany({});
+  jest.clearAllMocks();
+  // Journal entries are immutable, so bypass the model to clear them
+  await JournalEntry.collection.deleteMany({});
+});
+
+const fundWallet = (userId, amount) => walletService.deposit({
+  userId,
+  amount,
+  currency: 'USD',
+  source: 'bank_transfer'
 });
 
 describe('Wallet Service', () => {
@@ -45,11 +65,7 @@ describe('Wallet Service', () => {
 
   describe('deposit', () => {
     it('should add funds to wallet', async () => {
-      const wallet = await Wallet.create({
-        userId: 'user123',
-        balance: 100,
-        currency: 'USD'
-      });
+      await fundWallet('user123', 100);
 
       const result = await walletService.deposit({
         userId: 'user123',
@@ -58,7 +74,7 @@ describe('Wallet Service', () => {
         source: 'bank_transfer'
       });
 
-      const updatedWallet = await Wallet.findById(wallet._id);
+      const updatedWallet = await Wallet.findOne({ userId: 'user123' });
       expect(updatedWallet.balance).toBe(150);
       expect(result.status).toBe('completed');
       expect(result.type).toBe('deposit');
@@ -75,15 +91,39 @@ describe('Wallet Service', () => {
         .rejects
         .toThrow(ValidationError);
     });
+
+    it('should post a balanced journal entry from clearing to the wallet', async () => {
+      const result = await fundWallet('user123', 75);
+
+      const wallet = await Wallet.findOne({ userId: 'user123' });
+      const entry = await JournalEntry.findOne({ transactionId: result._id });
+      expect(entry.type).toBe('deposit');
+      expect(entry.postings.map(({ account, direction, amount }) => ({ account, direction, amount }))).toEqual([
+        { account: 'clearing:USD', direction: 'debit', amount: 75 },
+        { account: `wallet:${wallet._id}`, direction: 'credit', amount: 75 }
+      ]);
+    });
+
+    it('should reject deposits in another currency without recording anything', async () => {
+      await fundWallet('user123', 100);
+
+      await expect(walletService.deposit({
+        userId: 'user123',
+        amount: 50,
+        currency: 'EUR',
+        source: 'bank_transfer'
+      }))
+        .rejects
+        .toThrow('Wallet holds USD, not EUR');
+
+      expect(await Transaction.countDocuments()).toBe(1);
+      expect(await JournalEntry.countDocuments()).toBe(1);
+    });
   });
 
   describe('withdraw', () => {
     it('should withdraw funds from wallet', async () => {
-      const wallet = await Wallet.create({
-        userId: 'user123',
-        balance: 100,
-        currency: 'USD'
-      });
+      await fundWallet('user123', 100);
 
       const result = await walletService.withdraw({
         userId: 'user123',
@@ -92,7 +132,7 @@ describe('Wallet Service', () => {
         destination: 'bank_account'
       });
 
-      const updatedWallet = await Wallet.findById(wallet._id);
+      const updatedWallet = await Wallet.findOne({ userId: 'user123' });
       expect(updatedWallet.balance).toBe(50);
       expect(result.status).toBe('completed');
       expect(result.type).toBe('withdrawal');
@@ -100,11 +140,7 @@ describe('Wallet Service', () => {
     });
 
     it('should throw ValidationError for insufficient funds', async () => {
-      await Wallet.create({
-        userId: 'user123',
-        balance: 100,
-        currency: 'USD'
-      });
+      await fundWallet('user123', 100);
 
       await expect(walletService.withdraw({
         userId: 'user123',
@@ -116,6 +152,70 @@ describe('Wallet Service', () => {
         .toThrow(ValidationError);
     });
 
+    it('should check funds against the ledger rather than the cached balance', async () => {
+      await fundWallet('user123', 100);
+      await Wallet.updateOne({ userId: 'user123' }, { balance: 1000 });
+
+      await expect(walletService.withdraw({
+        userId: 'user123',
+        amount: 150,
+        currency: 'USD',
+        destination: 'bank_account'
+      }))
+        .rejects
+        .toThrow('Insufficient funds');
+    });
+
+    it('should credit the withdrawal fee to the fee account', async () => {
+      config.wallet.withdrawalFee = 1.5;
+      try {
+        await fundWallet('user123', 100);
+
+        const result = await walletService.withdraw({
+          userId: 'user123',
+          amount: 50,
+          currency: 'USD',
+          destination: 'bank_account'
+        });
+
+        const wallet = await Wallet.findOne({ userId: 'user123' });
+        const entry = await JournalEntry.findOne({ transactionId: result._id });
+        expect(wallet.balance).toBe(48.5);
+        expect(result.metadata.get('fee')).toBe('1.50');
+        expect(entry.postings.map(({ account, direction, amount }) => ({ account, direction, amount }))).toEqual([
+          { account: `wallet:${wallet._id}`, direction: 'debit', amount: 51.5 },
+          { account: 'clearing:USD', direction: 'credit', amount: 50 },
+          { account: 'fees:USD', direction: 'credit', amount: 1.5 }
+        ]);
+      } finally {
+        config.wallet.withdrawalFee = 0;
+      }
+    });
+
+    it('should refuse withdrawals from a frozen wallet', async () => {
+      await fundWallet('user123', 100);
+      await Wallet.updateOne({ userId: 'user123' }, { status: 'frozen' });
+
+      await expect(walletService.withdraw({
+        userId: 'user123',
+        amount: 50,
+        currency: 'USD',
+        destination: 'bank_account'
+      }))
+        .rejects
+        .toThrow('Your wallet is frozen');
+    });
+
+    it('should count withdrawals against the daily limit', async () => {
+      await fundWallet('user123', 500);
+      await Wallet.updateOne({ userId: 'user123' }, { 'limits.daily': 100 });
+      await walletService.withdraw({ userId: 'user123', amount: 80, destination: 'bank_account' });
+
+      await expect(walletService.withdraw({ userId: 'user123', amount: 30, destination: 'bank_account' }))
+        .rejects
+        .toThrow('Daily limit of 100 USD exceeded');
+    });
+
     it('should throw ValidationError for negative amount', async () => {
       await expect(walletService.withdraw({
         userId: 'user123',
@@ -128,6 +228,286 @@ describe('Wallet Service', () => {
     });
   });
 
+  describe('transfer', () => {
+    const settlement = {
+      _id: 'settlement123',
+      payerId: 'user123',
+      receiverId: 'user456',
+      amount: 75,
+      amountPaid: 0,
+      currency: 'USD',
+      status: 'pending'
+    };
+
+    it('should move funds between wallets with a balanced journal entry', async () => {
+      await fundWallet('user123', 100);
+
+      const result = await walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 40,
+        currency: 'USD',
+        idempotencyKey: 'key-1'
+      });
+
+      expect(result.amount).toBe(40);
+      expect(result.settlementStatus).toBe('none');
+      expect((await Wallet.findOne({ userId: 'user123' })).balance).toBe(60);
+      expect((await Wallet.findOne({ userId: 'user456' })).balance).toBe(40);
+
+      const entry = await JournalEntry.findOne({ type: 'transfer' });
+      expect(entry.postings.map(({ direction, amount }) => ({ direction, amount }))).toEqual([
+        { direction: 'debit', amount: 40 },
+        { direction: 'credit', amount: 40 }
+      ]);
+      expect(await Transaction.countDocuments({ type: 'transfer', status: 'completed' })).toBe(2);
+    });
+
+    it('should return the first transfer when a request is repeated', async () => {
+      await fundWallet('user123', 100);
+      const request = {
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 40,
+        currency: 'USD',
+        idempotencyKey: 'key-1'
+      };
+
+      const first = await walletService.transfer(request);
+      const repeat = await walletService.transfer(request);
+
+      expect(String(repeat._id)).toBe(String(first._id));
+      expect((await Wallet.findOne({ userId: 'user123' })).balance).toBe(60);
+      expect(await Transfer.countDocuments()).toBe(1);
+    });
+
+    it('should reject a reused idempotency key for a different transfer', async () => {
+      await fundWallet('user123', 100);
+      await walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 40,
+        idempotencyKey: 'key-1'
+      });
+
+      await expect(walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 50,
+        idempotencyKey: 'key-1'
+      }))
+        .rejects
+        .toThrow(ConflictError);
+    });
+
+    it('should enforce the sender\'s daily limit', async () => {
+      await fundWallet('user123', 500);
+      await Wallet.updateOne({ userId: 'user123' }, { 'limits.daily': 100 });
+      await walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 80,
+        idempotencyKey: 'key-1'
+      });
+
+      await expect(walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 30,
+        idempotencyKey: 'key-2'
+      }))
+        .rejects
+        .toThrow('Daily limit of 100 USD exceeded');
+      expect((await Wallet.findOne({ userId: 'user123' })).balance).toBe(420);
+    });
+
+    it('should enforce the sender\'s monthly limit', async () => {
+      await fundWallet('user123', 500);
+      await Wallet.updateOne({ userId: 'user123' }, { 'limits.monthly': 100, 'usage.monthly.amount': 90 });
+
+      await expect(walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 20,
+        idempotencyKey: 'key-1'
+      }))
+        .rejects
+        .toThrow('Monthly limit of 100 USD exceeded');
+    });
+
+    it('should start counting a new day\'s usage from zero', async () => {
+      await fundWallet('user123', 500);
+      await Wallet.updateOne({ userId: 'user123' }, {
+        'limits.daily': 100,
+        'usage.daily': { amount: 90, lastReset: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) }
+      });
+
+      await walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 50,
+        idempotencyKey: 'key-1'
+      });
+
+      expect((await Wallet.findOne({ userId: 'user123' })).usage.daily.amount).toBe(50);
+    });
+
+    it('should refuse transfers from or to a frozen wallet', async () => {
+      await fundWallet('user123', 100);
+      await Wallet.create({ userId: 'user456', currency: 'USD', status: 'frozen' });
+
+      await expect(walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 10,
+        idempotencyKey: 'key-1'
+      }))
+        .rejects
+        .toThrow('The recipient\'s wallet is frozen');
+
+      await Wallet.updateOne({ userId: 'user123' }, { status: 'frozen' });
+      await expect(walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user789',
+        amount: 10,
+        idempotencyKey: 'key-2'
+      }))
+        .rejects
+        .toThrow('Your wallet is frozen');
+    });
+
+    it('should throw ValidationError for insufficient funds', async () => {
+      await fundWallet('user123', 10);
+
+      await expect(walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 20,
+        idempotencyKey: 'key-1'
+      }))
+        .rejects
+        .toThrow(ValidationError);
+      expect(await Transfer.countDocuments()).toBe(0);
+    });
+
+    it('should pay the remaining amount of a settlement and record it', async () => {
+      await fundWallet('user123', 100);
+      settlementService.getSettlement.mockResolvedValue(settlement);
+      settlementService.recordWalletPayment.mockResolvedValue({ ...settlement, status: 'completed' });
+
+      const result = await walletService.transfer({
+        senderId: 'user123',
+        settlementId: 'settlement123',
+        idempotencyKey: 'key-1'
+      });
+
+      expect(result).toMatchObject({ recipientId: 'user456', amount: 75, settlementStatus: 'recorded' });
+      expect(settlementService.recordWalletPayment).toHaveBeenCalledWith('settlement123', {
+        transferId: String(result._id),
+        payerId: 'user123',
+        receiverId: 'user456',
+        amount: 75,
+        currency: 'USD'
+      });
+      expect(await Transaction.countDocuments({ type: 'settlement' })).toBe(2);
+    });
+
+    it('should only let the settlement\'s payer pay it', async () => {
+      await fundWallet('user456', 100);
+      settlementService.getSettlement.mockResolvedValue(settlement);
+
+      await expect(walletService.transfer({
+        senderId: 'user456',
+        settlementId: 'settlement123',
+        idempotencyKey: 'key-1'
+      }))
+        .rejects
+        .toThrow(AuthorizationError);
+    });
+
+    it('should not let a second transfer pay the same settlement', async () => {
+      await fundWallet('user123', 200);
+      settlementService.getSettlement.mockResolvedValue(settlement);
+      settlementService.recordWalletPayment.mockRejectedValue(new Error('Settlement service unavailable'));
+      await walletService.transfer({ senderId: 'user123', settlementId: 'settlement123', idempotencyKey: 'key-1' });
+
+      await expect(walletService.transfer({
+        senderId: 'user123',
+        settlementId: 'settlement123',
+        idempotencyKey: 'key-2'
+      }))
+        .rejects
+        .toThrow(ConflictError);
+      expect((await Wallet.findOne({ userId: 'user123' })).balance).toBe(125);
+      expect(await Transfer.countDocuments()).toBe(1);
+    });
+
+    it('should reverse a transfer when the settlement was paid another way meanwhile', async () => {
+      await fundWallet('user123', 100);
+      settlementService.getSettlement.mockResolvedValue(settlement);
+      settlementService.recordWalletPayment.mockRejectedValue(
+        new ValidationError('Settlement service rejected the request: Cannot record a payment against a completed settlement')
+      );
+
+      const result = await walletService.transfer({
+        senderId: 'user123',
+        settlementId: 'settlement123',
+        idempotencyKey: 'key-1'
+      });
+
+      expect(result.settlementStatus).toBe('reversed');
+      expect((await Wallet.findOne({ userId: 'user123' })).balance).toBe(100);
+      expect((await Wallet.findOne({ userId: 'user456' })).balance).toBe(0);
+      expect(await Transaction.countDocuments({ type: 'refund', status: 'completed' })).toBe(2);
+    });
+
+    it('should flag a turned down transfer the recipient has already spent', async () => {
+      await fundWallet('user123', 100);
+      settlementService.getSettlement.mockResolvedValue(settlement);
+      settlementService.recordWalletPayment.mockImplementation(async () => {
+        await walletService.withdraw({ userId: 'user456', amount: 50, destination: 'bank_account' });
+        throw new ValidationError('Settlement service rejected the request: Settlement was cancelled');
+      });
+
+      const result = await walletService.transfer({
+        senderId: 'user123',
+        settlementId: 'settlement123',
+        idempotencyKey: 'key-1'
+      });
+
+      expect(result.settlementStatus).toBe('rejected');
+      expect((await Wallet.findOne({ userId: 'user123' })).balance).toBe(25);
+    });
+
+    it('should retry recording a settlement without moving funds again', async () => {
+      await fundWallet('user123', 100);
+      settlementService.getSettlement.mockResolvedValue(settlement);
+      settlementService.recordWalletPayment
+        .mockRejectedValueOnce(new Error('Settlement service unavailable'))
+        .mockResolvedValueOnce({ ...settlement, status: 'completed' });
+      const request = { senderId: 'user123', settlementId: 'settlement123', idempotencyKey: 'key-1' };
+
+      const first = await walletService.transfer(request);
+      expect(first.settlementStatus).toBe('pending');
+      expect(first.settlementError).toBe('Settlement service unavailable');
+
+      const retry = await walletService.transfer(request);
+      expect(retry.settlementStatus).toBe('recorded');
+      expect((await Wallet.findOne({ userId: 'user123' })).balance).toBe(25);
+      expect(settlementService.recordWalletPayment).toHaveBeenCalledTimes(2);
+    });
+
+    it('should require an idempotency key', async () => {
+      await expect(walletService.transfer({
+        senderId: 'user123',
+        recipientId: 'user456',
+        amount: 10
+      }))
+        .rejects
+        .toThrow(ValidationError);
+    });
+  });
+
   describe('getTransactions', () => {
     it('should return all transactions for a user', async () => {
       const transactions = [
@@ -0,0 +1,180 @@
+/**
+ * Settlement Algorithm Registry
+ *
+ * Settlement suggestions look algorithms up here by ID, so a new algorithm
+ * only has to implement the SettlementAlgorithm interface from
+ * types/index.ts and be registered to become available to group policies,
+ * user preferences and the `algorithm` query parameter.
+ */
+
+const minCashFlowAlgorithm = require('./min-cash-flow.algorithm');
+const minTransactionsAlgorithm = require('./min-transactions.algorithm');
+const { GreedySettlementAlgorithm } = require('./greedy.algorithm');
+const { FriendPreferenceAlgorithm } = require('./friend-preference.algorithm');
+
+// Algorithm used when neither the group nor the user chose one
+const DEFAULT_ALGORITHM = 'minCashFlow';
+
+const algorithms = new Map();
+
+/**
+ * Convert the settlements of a SettlementAlgorithm into the transfer
+ * shape used by the debt graph algorithms
+ * @param {Array<Object>} settlements - Settlements `{ payerId, receiverId, amount, currency }`
+ * @returns {Array<Object>} Transfers `{ from, to, amount, currency }`
+ */
+function toTransfers(settlements) {
+  return settlements.map(({ payerId, receiverId, amount, currency }) => ({
+    from: payerId,
+    to: receiverId,
+    amount: Math.round(amount * 100) / 100,
+    currency
+  }));
+}
+
+/**
+ * Wrap a SettlementAlgorithm so it calculates from a debt graph: the graph
+ * is reduced to each user's net balance (DebtInfo, positive when owed) and
+ * the friendship strengths to FriendRelations. Mixed-currency graphs are
+ * converted to one currency first, like the built-in algorithms do.
+ * @param {Object} algorithm - SettlementAlgorithm implementation
+ * @returns {Function} `(debtGraph, exchangeRates, context) => transfers`
+ */
+function adaptSettlementAlgorithm(algorithm) {
+  return (debtGraph, exchangeRates = {}, { friendships } = {}) => {
+    const relations = ((friendships && friendships.friendships) || []).map(friendship => ({
+      userId1: friendship.user1,
+      userId2: friendship.user2,
+      strength: friendship.strength
+    }));
+
+    const solve = graph => {
+      const currency = graph.defaultCurrency || (graph.debts[0] && graph.debts[0].currency);
+      const debts = Object.entries(minCashFlowAlgorithm.calculateNetBalances(graph))
+        .map(([userId, amount]) => ({ userId, amount: Math.round(amount * 100) / 100, currency }))
+        .filter(debt => debt.amount !== 0);
+
+      return debts.length > 0 ? toTransfers(algorithm.calculate(debts, relations)) : [];
+    };
+
+    const currencies = [...new Set(debtGraph.debts.map(debt => debt.currency))];
+    if (currencies.length > 1) {
+      return minCashFlowAlgorithm.handleMultipleCurrencies(debtGraph, exchangeRates, currencies[0], solve);
+    }
+
+    return solve(debtGraph);
+  };
+}
+
+/**
+ * Add an entry to the registry
+ * @param {Object} entry - Algorithm entry
+ * @param {boolean} replace - Whether an existing entry may be replaced
+ */
+function addEntry(entry, replace) {
+  if (algorithms.has(entry.id) && !replace) {
+    throw new Error(`Settlement algorithm ${entry.id} is already registered`);
+  }
+
+  algorithms.set(entry.id, entry);
+}
+
+/**
+ * Register a settlement algorithm
+ * @param {string} id - ID used by policies, preferences and the `algorithm` query parameter
+ * @param {Object} algorithm - SettlementAlgorithm implementation with `name`,
+ *   `description` and `calculate(debts, relations)`
+ * @param {Object} [options] - Registration options
+ * @param {boolean} [options.usesFriendships=false] - Whether the algorithm needs the group's friendship strengths
+ * @param {boolean} [options.replace=false] - Replace an algorithm registered under the same ID
+ * @returns {Object} Registered entry
+ */
+function registerAlgorithm(id, algorithm, { usesFriendships = false, replace = false } = {}) {
+  if (!id || typeof id !== 'string') {
+    throw new Error('Settlement algorithms must be registered under an ID');
+  }
+  if (!algorithm || typeof algorithm.calculate !== 'function' || !algorithm.name || !algorithm.description) {
+    throw new Error(`Settlement algorithm ${id} must have a name, a description and a calculate function`);
+  }
+
+  const entry = {
+    id,
+    name: algorithm.name,
+    description: algorithm.description,
+    usesFriendships,
+    calculate: adaptSettlementAlgorithm(algorithm)
+  };
+  addEntry(entry, replace);
+
+  return entry;
+}
+
+/**
+ * Remove a registered algorithm
+ * @param {string} id - Algorithm ID
+ * @returns {boolean} Whether an algorithm was removed
+ */
+function unregisterAlgorithm(id) {
+  return algorithms.delete(id);
+}
+
+/**
+ * Get a registered algorithm
+ * @param {string} id - Algorithm ID
+ * @returns {Object|null} Entry `{ id, name, description, usesFriendships, calculate }` or null
+ */
+function getAlgorithm(id) {
+  return algorithms.get(id) || null;
+}
+
+/**
+ * Check whether an algorithm is registered
+ * @param {string} id - Algorithm ID
+ * @returns {boolean} Whether the algorithm is registered
+ */
+function hasAlgorithm(id) {
+  return algorithms.has(id);
+}
+
+/**
+ * List the registered algorithms
+ * @returns {Array<Object>} `{ id, name, description, usesFriendships }` in registration order
+ */
+function listAlgorithms() {
+  return [...algorithms.values()].map(({ id, name, description, usesFriendships }) => ({
+    id,
+    name,
+    description,
+    usesFriendships
+  }));
+}
+
+// Built-in algorithms. The debt graph algorithms predate the interface and
+// also take solver options, so they are registered with their own adapters.
+addEntry({
+  id: 'minCashFlow',
+  name: 'min-cash-flow',
+  description: 'Settles net balances with the least money changing hands, simplifying circular debts first',
+  usesFriendships: false,
+  calculate: (debtGraph, exchangeRates) => minCashFlowAlgorithm.calculate(debtGraph, exchangeRates)
+}, false);
+
+addEntry({
+  id: 'minTransactions',
+  name: 'min-transactions',
+  description: 'Finds the fewest possible transfers, falling back to min cash flow for large groups',
+  usesFriendships: false,
+  calculate: (debtGraph, exchangeRates) => minTransactionsAlgorithm.calculate(debtGraph, exchangeRates)
+}, false);
+
+registerAlgorithm('greedy', new GreedySettlementAlgorithm());
+registerAlgorithm('friendPreference', new FriendPreferenceAlgorithm(), { usesFriendships: true });
+
+module.exports = {
+  DEFAULT_ALGORITHM,
+  registerAlgorithm,
+  unregisterAlgorithm,
+  getAlgorithm,
+  hasAlgorithm,
+  listAlgorithms
+};
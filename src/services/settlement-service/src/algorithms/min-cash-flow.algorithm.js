@@ -319,9 +319,10 @@ function reduceDebt(graph, fromUser, toUser, amount) {
  * @param {Object} debtGraph - Graph representation of debts with currency information
  * @param {Object} exchangeRates - Map of currency pairs to exchange rates
  * @param {string} defaultCurrency - Default currency for calculations
+ * @param {Function} [solve] - Settles the normalized graph; defaults to minimum cash flow
  * @returns {Array} Array of settlement transactions
  */
-function handleMultipleCurrencies(debtGraph, exchangeRates, defaultCurrency) {
+function handleMultipleCurrencies(debtGraph, exchangeRates, defaultCurrency, solve = minimumCashFlow) {
   // Create a copy of the debt graph
   const normalizedGraph = {
     users: [...debtGraph.users],
@@ -348,7 +349,7 @@ function handleMultipleCurrencies(debtGraph, exchangeRates, defaultCurrency) {
   
   // Process the normalized graph
   const simplifiedGraph = simplifyCircularDebts(normalizedGraph);
-  const settlements = minimumCashFlow(simplifiedGraph);
+  const settlements = solve(simplifiedGraph);
   
   // Optimize settlement currencies if needed
   return optimizeSettlementCurrencies(settlements, debtGraph, exchangeRates, defaultCurrency);
@@ -443,10 +444,34 @@ function optimizeSettlementCurrencies(settlements, originalGraph, exchangeRates,
   });
 }
 
+/**
+ * Calculate settlements for a debt graph, converting mixed-currency debts
+ * with the given exchange rates
+ * @param {Object} debtGraph - Graph representation of debts
+ * @param {Object} exchangeRates - Map of currency pairs (e.g. EUR_USD) to exchange rates
+ * @param {string} [defaultCurrency] - Currency to settle in; defaults to the first debt's currency
+ * @returns {Array} Array of settlement transactions
+ */
+function calculate(debtGraph, exchangeRates = {}, defaultCurrency) {
+  const currencies = [...new Set(debtGraph.debts.map(debt => debt.currency))];
+  const settlementCurrency = defaultCurrency || currencies[0];
+  
+  if (currencies.length > 1) {
+    return handleMultipleCurrencies(debtGraph, exchangeRates, settlementCurrency);
+  }
+  
+  return minimumCashFlow(simplifyCircularDebts(debtGraph)).map(settlement => ({
+    ...settlement,
+    currency: settlementCurrency
+  }));
+}
+
 // Export public API
 module.exports = {
+  calculate,
   minimumCashFlow,
   calculateNetBalances,
+  minCashFlowFromBalances,
   simplifyCircularDebts,
   handleMultipleCurrencies
 }; 
\ No newline at end of file
@@ -0,0 +1,229 @@
+/**
+ * Minimum Transactions Algorithm
+ *
+ * Finds settlements with the fewest possible transfers. Every group of
+ * users whose balances sum to zero can settle among themselves with one
+ * transfer fewer than its size, so the minimum number of transfers is the
+ * number of users with a balance minus the largest number of disjoint
+ * zero-sum groups they can be split into.
+ *
+ * The groups are found with a dynamic program over subsets of users,
+ * which is exponential in the group size. Larger groups, or calculations
+ * that run out of their time budget, fall back to the greedy minimum cash
+ * flow algorithm.
+ */
+
+const {
+  calculateNetBalances,
+  minCashFlowFromBalances,
+  handleMultipleCurrencies
+} = require('./min-cash-flow.algorithm');
+
+// Subsets of more users than this take too much time and memory
+const MAX_EXACT_USERS = 20;
+
+// Time the exact solver may take before falling back to greedy
+const DEFAULT_TIME_BUDGET_MS = Number(process.env.SETTLEMENT_SOLVER_TIME_BUDGET_MS) || 500;
+
+// How many subsets to evaluate between time budget checks
+const BUDGET_CHECK_INTERVAL = 4096;
+
+/**
+ * Find settlements with the minimum number of transfers from net balances
+ * @param {Object} balances - Map of user IDs to their net balances
+ * @param {Object} [options] - Solver options
+ * @param {number} [options.timeBudgetMs] - Time after which to fall back to greedy
+ * @param {number} [options.maxUsers] - Largest number of users to solve exactly
+ * @returns {Object} `{ settlements, exact, reason }`, where `exact` tells
+ *   whether the result is proven minimal and `reason` why it is not
+ */
+function minTransactionsFromBalances(balances, options = {}) {
+  const {
+    timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+    maxUsers = MAX_EXACT_USERS
+  } = options;
+
+  // Work in cents so zero-sum checks are exact
+  const users = Object.keys(balances).filter(user => Math.round(balances[user] * 100) !== 0);
+  const cents = users.map(user => Math.round(balances[user] * 100));
+
+  if (users.length > maxUsers) {
+    return greedyFallback(balances, 'too_many_users');
+  }
+
+  const groups = findZeroSumGroups(cents, Date.now() + timeBudgetMs);
+  if (!groups) {
+    return greedyFallback(balances, 'time_budget_exceeded');
+  }
+
+  const settlements = [];
+  for (const group of groups) {
+    settlements.push(...settleGroup(group.map(index => users[index]), group.map(index => cents[index])));
+  }
+
+  return { settlements, exact: true, reason: null };
+}
+
+/**
+ * Settle balances with the greedy algorithm when no exact answer is available
+ * @param {Object} balances - Map of user IDs to their net balances
+ * @param {string} reason - Why the exact solver was not used
+ * @returns {Object} `{ settlements, exact, reason }`
+ */
+function greedyFallback(balances, reason) {
+  return {
+    settlements: minCashFlowFromBalances({ ...balances }),
+    exact: false,
+    reason
+  };
+}
+
+/**
+ * Split balances into the largest number of disjoint zero-sum groups
+ *
+ * best[mask] is the largest number of zero-sum groups the users in mask
+ * can be split into, counting a remainder that does not sum to zero as
+ * part of the last group. Adding users one at a time, a group closes each
+ * time the users added so far sum to zero.
+ *
+ * @param {Array<number>} cents - Non-zero balances in cents
+ * @param {number} deadline - Time (ms since epoch) to give up at
+ * @returns {Array<Array<number>>|null} Groups of balance indices, or null
+ *   if the deadline passed
+ */
+function findZeroSumGroups(cents, deadline) {
+  const n = cents.length;
+  if (n === 0) {
+    return [];
+  }
+
+  const size = 1 << n;
+  const sums = new Float64Array(size);
+  const best = new Int8Array(size);
+
+  for (let mask = 1; mask < size; mask++) {
+    if (mask % BUDGET_CHECK_INTERVAL === 0 && Date.now() > deadline) {
+      return null;
+    }
+
+    const lowest = mask & -mask;
+    sums[mask] = sums[mask ^ lowest] + cents[31 - Math.clz32(lowest)];
+
+    let groups = 0;
+    for (let rest = mask; rest; rest &= rest - 1) {
+      const bit = rest & -rest;
+      if (best[mask ^ bit] > groups) {
+        groups = best[mask ^ bit];
+      }
+    }
+    best[mask] = groups + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Walk back from everyone, removing users in the reverse of the order
+  // they were added, and cut a group wherever the remaining users sum to zero
+  const groups = [];
+  let current = [];
+  let mask = size - 1;
+
+  while (mask) {
+    const closesGroup = sums[mask] === 0 ? 1 : 0;
+
+    for (let rest = mask; rest; rest &= rest - 1) {
+      const bit = rest & -rest;
+      if (best[mask ^ bit] + closesGroup === best[mask]) {
+        if (closesGroup && current.length > 0) {
+          groups.push(current);
+          current = [];
+        }
+        current.push(31 - Math.clz32(bit));
+        mask ^= bit;
+        break;
+      }
+    }
+  }
+  groups.push(current);
+
+  return groups;
+}
+
+/**
+ * Settle a zero-sum group of balances. Each transfer clears at least one
+ * user and the last clears two, so a group of k users takes at most k - 1
+ * transfers.
+ * @param {Array<string>} users - User IDs
+ * @param {Array<number>} cents - Balances of the users in cents
+ * @returns {Array} Settlement transactions
+ */
+function settleGroup(users, cents) {
+  const remaining = [...cents];
+  const settlements = [];
+
+  for (;;) {
+    let creditor = 0;
+    let debtor = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (remaining[i] > remaining[creditor]) {
+        creditor = i;
+      }
+      if (remaining[i] < remaining[debtor]) {
+        debtor = i;
+      }
+    }
+
+    if (remaining[creditor] <= 0 || remaining[debtor] >= 0) {
+      return settlements;
+    }
+
+    const transfer = Math.min(remaining[creditor], -remaining[debtor]);
+    remaining[creditor] -= transfer;
+    remaining[debtor] += transfer;
+
+    settlements.push({
+      from: users[debtor],
+      to: users[creditor],
+      amount: transfer / 100
+    });
+  }
+}
+
+/**
+ * Find settlements with the minimum number of transfers for a debt graph
+ * @param {Object} debtGraph - Graph representation of debts
+ * @param {Object} [options] - Solver options, see minTransactionsFromBalances
+ * @returns {Object} `{ settlements, exact, reason }`
+ */
+function minimumTransactions(debtGraph, options) {
+  return minTransactionsFromBalances(calculateNetBalances(debtGraph), options);
+}
+
+/**
+ * Calculate settlements for a debt graph, converting mixed-currency debts
+ * with the given exchange rates
+ * @param {Object} debtGraph - Graph representation of debts
+ * @param {Object} exchangeRates - Map of currency pairs (e.g. EUR_USD) to exchange rates
+ * @param {string} [defaultCurrency] - Currency to settle in; defaults to the first debt's currency
+ * @param {Object} [options] - Solver options, see minTransactionsFromBalances
+ * @returns {Array} Array of settlement transactions
+ */
+function calculate(debtGraph, exchangeRates = {}, defaultCurrency, options) {
+  const currencies = [...new Set(debtGraph.debts.map(debt => debt.currency))];
+  const settlementCurrency = defaultCurrency || currencies[0];
+  const solve = graph => minimumTransactions(graph, options).settlements;
+
+  if (currencies.length > 1) {
+    return handleMultipleCurrencies(debtGraph, exchangeRates, settlementCurrency, solve);
+  }
+
+  return solve(debtGraph).map(settlement => ({
+    ...settlement,
+    currency: settlementCurrency
+  }));
+}
+
+module.exports = {
+  MAX_EXACT_USERS,
+  DEFAULT_TIME_BUDGET_MS,
+  calculate,
+  minimumTransactions,
+  minTransactionsFromBalances
+};
@@ -0,0 +1,222 @@
+/**
+ * Settlement Constraints
+ *
+ * Adjusts a set of suggested settlements to satisfy constraints set by the
+ * group: a banker who collects and pays out all money, pairs of members who
+ * must not transact with each other, preferred payment methods per member
+ * and a maximum transfer size. Every adjustment keeps each member's net
+ * balance unchanged, and the adjusted settlements carry annotations that
+ * explain why they differ from the plain suggestion.
+ */
+
+/**
+ * Apply constraints to suggested settlements
+ * @param {Array} settlements - Suggested settlement transactions
+ * @param {Object} [constraints] - Constraints to satisfy
+ * @param {string} [constraints.bankerId] - Member all money flows through
+ * @param {Array<Array<string>>} [constraints.excludedPairs] - Pairs of members who must not transact
+ * @param {Object} [constraints.paymentMethods] - Map of user IDs to their preferred payment methods, most preferred first
+ * @param {number} [constraints.maxTransferAmount] - Largest amount a single transfer may move
+ * @param {Array<string>} [users] - Members who may pass payments on between excluded pairs
+ * @returns {Object} `{ settlements, violations }`, where `violations` lists
+ *   the excluded pairs that could not be routed around
+ */
+function applyConstraints(settlements, constraints = {}, users = []) {
+  const {
+    bankerId,
+    excludedPairs = [],
+    paymentMethods = {},
+    maxTransferAmount
+  } = constraints;
+
+  let result = settlements.map(settlement => ({ ...settlement }));
+
+  if (bankerId) {
+    result = routeThroughBanker(result, bankerId);
+  }
+
+  let violations = [];
+  if (excludedPairs.length > 0) {
+    ({ settlements: result, violations } = rerouteExcludedPairs(result, excludedPairs, paymentMethods, users));
+  }
+
+  if (Object.keys(paymentMethods).length > 0) {
+    result = result.map(settlement => ({
+      ...settlement,
+      paymentMethod: choosePaymentMethod(settlement.from, settlement.to, paymentMethods)
+    }));
+  }
+
+  if (maxTransferAmount) {
+    result = splitLargeTransfers(result, maxTransferAmount);
+  }
+
+  return { settlements: result, violations };
+}
+
+/**
+ * Replace settlements with transfers to and from a banker: everyone who owes
+ * money pays the banker, and the banker pays everyone who is owed
+ * @param {Array} settlements - Settlement transactions
+ * @param {string} bankerId - Member all money flows through
+ * @returns {Array} Settlement transactions
+ */
+function routeThroughBanker(settlements, bankerId) {
+  // Net balances in cents per currency
+  const balances = {};
+  for (const settlement of settlements) {
+    const currencyBalances = balances[settlement.currency] = balances[settlement.currency] || {};
+    const cents = Math.round(settlement.amount * 100);
+    currencyBalances[settlement.from] = (currencyBalances[settlement.from] || 0) - cents;
+    currencyBalances[settlement.to] = (currencyBalances[settlement.to] || 0) + cents;
+  }
+
+  const payments = [];
+  const payouts = [];
+  for (const [currency, currencyBalances] of Object.entries(balances)) {
+    for (const [user, cents] of Object.entries(currencyBalances)) {
+      if (user === bankerId || cents === 0) {
+        continue;
+      }
+
+      const transfer = cents < 0
+        ? { from: user, to: bankerId, amount: -cents / 100 }
+        : { from: bankerId, to: user, amount: cents / 100 };
+      if (currency !== 'undefined') {
+        transfer.currency = currency;
+      }
+      transfer.banker = bankerId;
+
+      (cents < 0 ? payments : payouts).push(transfer);
+    }
+  }
+
+  // The banker collects before paying out
+  return [...payments, ...payouts];
+}
+
+/**
+ * Pass each payment between an excluded pair through a third member who may
+ * transact with both
+ * @param {Array} settlements - Settlement transactions
+ * @param {Array<Array<string>>} excludedPairs - Pairs of members who must not transact
+ * @param {Object} paymentMethods - Map of user IDs to their preferred payment methods
+ * @param {Array<string>} users - Members who may pass payments on
+ * @returns {Object} `{ settlements, violations }`
+ */
+function rerouteExcludedPairs(settlements, excludedPairs, paymentMethods, users) {
+  const excluded = new Set(excludedPairs.map(([a, b]) => pairKey(a, b)));
+  const isAllowed = (a, b) => !excluded.has(pairKey(a, b));
+
+  // Prefer intermediaries already taking part in the settlements
+  const involved = new Set();
+  for (const settlement of settlements) {
+    involved.add(settlement.from);
+    involved.add(settlement.to);
+  }
+  const candidates = [...new Set([...involved, ...users])];
+
+  const result = [];
+  const violations = [];
+
+  for (const settlement of settlements) {
+    const { from, to } = settlement;
+    if (isAllowed(from, to)) {
+      result.push(settlement);
+      continue;
+    }
+
+    const intermediaries = candidates.filter(user =>
+      user !== from && user !== to && isAllowed(from, user) && isAllowed(user, to)
+    );
+
+    if (intermediaries.length === 0) {
+      violations.push([from, to]);
+      continue;
+    }
+
+    // Pick someone who can be paid and pay on with a preferred method
+    const intermediary = intermediaries.find(user =>
+      choosePaymentMethod(from, user, paymentMethods) && choosePaymentMethod(user, to, paymentMethods)
+    ) || intermediaries[0];
+
+    const excludedPair = [from, to];
+    result.push(
+      { ...settlement, to: intermediary, routedVia: intermediary, excludedPair },
+      { ...settlement, from: intermediary, routedVia: intermediary, excludedPair }
+    );
+  }
+
+  return { settlements: result, violations };
+}
+
+/**
+ * Pick the payment method for a transfer: the payer's most preferred method
+ * the receiver also accepts, or either side's most preferred method when
+ * only one of them has preferences
+ * @param {string} from - Paying user ID
+ * @param {string} to - Receiving user ID
+ * @param {Object} paymentMethods - Map of user IDs to their preferred payment methods
+ * @returns {string|null} Payment method, or null if there is none in common
+ */
+function choosePaymentMethod(from, to, paymentMethods) {
+  const payerMethods = paymentMethods[from] || [];
+  const receiverMethods = paymentMethods[to] || [];
+
+  if (payerMethods.length === 0) {
+    return receiverMethods[0] || null;
+  }
+  if (receiverMethods.length === 0) {
+    return payerMethods[0];
+  }
+
+  return payerMethods.find(method => receiverMethods.includes(method)) || null;
+}
+
+/**
+ * Split transfers larger than the maximum into equal-sized parts
+ * @param {Array} settlements - Settlement transactions
+ * @param {number} maxTransferAmount - Largest amount a single transfer may move
+ * @returns {Array} Settlement transactions
+ */
+function splitLargeTransfers(settlements, maxTransferAmount) {
+  const maxCents = Math.round(maxTransferAmount * 100);
+  const result = [];
+
+  for (const settlement of settlements) {
+    const cents = Math.round(settlement.amount * 100);
+    if (cents <= maxCents) {
+      result.push(settlement);
+      continue;
+    }
+
+    const parts = Math.ceil(cents / maxCents);
+    const partCents = Math.floor(cents / parts);
+    const remainder = cents % parts;
+
+    for (let part = 1; part <= parts; part++) {
+      // Spread the cents left over by rounding across the first parts
+      const amount = partCents + (part <= remainder ? 1 : 0);
+      result.push({ ...settlement, amount: amount / 100, part, parts });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Order-independent key for a pair of users
+ * @param {string} a - User ID
+ * @param {string} b - User ID
+ * @returns {string} Pair key
+ */
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+module.exports = {
+  applyConstraints,
+  choosePaymentMethod,
+  routeThroughBanker,
+  splitLargeTransfers
+};
@@ -0,0 +1,109 @@
+/**
+ * Currency Controller
+ * 
+ * Handles HTTP requests for exchange rates and currency conversion
+ */
+
+const { BadRequestError } = require('../../../../shared/errors');
+const exchangeRateService = require('../services/exchange-rate.service');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Parse and validate a currency code
+ * @param {string} value - Raw currency code
+ * @param {string} field - Query parameter name for error messages
+ * @returns {string} Upper-cased currency code
+ */
+function parseCurrency(value, field) {
+  const currency = String(value).toUpperCase();
+  if (!CURRENCY_PATTERN.test(currency)) {
+    throw new BadRequestError(`Invalid ${field}. Currency must be a 3-letter code (e.g., USD)`);
+  }
+  return currency;
+}
+
+/**
+ * Get the exchange rates effective on a date
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getRates(req, res, next) {
+  try {
+    const { base = exchangeRateService.BASE_CURRENCY, symbols, date } = req.query;
+    const baseCurrency = parseCurrency(base, 'base');
+    
+    const dailyRates = await exchangeRateService.getDailyRates(baseCurrency, date);
+    
+    let { rates } = dailyRates;
+    if (symbols) {
+      const requested = String(symbols).split(',').map(symbol => parseCurrency(symbol.trim(), 'symbols'));
+      const missing = requested.filter(symbol => !rates[symbol]);
+      
+      if (missing.length > 0) {
+        throw new BadRequestError(`No exchange rate available for ${missing.join(', ')}`);
+      }
+      
+      rates = requested.reduce((selected, symbol) => {
+        selected[symbol] = rates[symbol];
+        return selected;
+      }, {});
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...dailyRates,
+        rates
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Convert an amount between currencies at the rate effective on a date
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function convertAmount(req, res, next) {
+  try {
+    const { amount, from, to, date } = req.query;
+    const parsedAmount = parseFloat(amount);
+    
+    if (isNaN(parsedAmount)) {
+      throw new BadRequestError('Amount must be a number');
+    }
+    
+    if (!from || !to) {
+      throw new BadRequestError('Both from and to currencies are required');
+    }
+    
+    const fromCurrency = parseCurrency(from, 'from');
+    const conversion = await exchangeRateService.convert(
+      parsedAmount,
+      fromCurrency,
+      parseCurrency(to, 'to'),
+      date
+    );
+    
+    res.json({
+      success: true,
+      data: {
+        originalAmount: parsedAmount,
+        originalCurrency: fromCurrency,
+        ...conversion
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getRates,
+  convertAmount
+};
@@ -5,10 +5,24 @@
  */
 
 const exportService = require('../services/export.service');
+const exportJobService = require('../services/export-job.service');
 const { BadRequestError } = require('../../../../shared/errors');
 const xl = require('excel4node');
 const moment = require('moment');
 
+const SUPPORTED_FORMATS = ['csv', 'excel', 'json', ...exportService.STATEMENT_FORMATS];
+
+/**
+ * Send a generated file as a download
+ * @param {Object} res - Express response object
+ * @param {Object} file - File with data, mimeType and filename
+ */
+function sendFile(res, file) {
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.setHeader('Content-Type', file.mimeType);
+  res.send(file.data);
+}
+
 /**
  * Export user settlements data
  * @param {Object} req - Express request object
@@ -27,12 +41,19 @@ async function exportUserSettlements(req, res, next) {
       dateFrom,
       dateTo,
       status,
-      type = 'all'
+      type = 'all',
+      month
     } = req.query;
     
     // Validate parameters
-    if (!['csv', 'excel', 'json'].includes(format)) {
-      throw new BadRequestError('Invalid format. Supported formats: csv, excel, json');
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new BadRequestError(`Invalid format. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+    
+    // PDF, OFX and QIF are statements for one period
+    if (exportService.STATEMENT_FORMATS.includes(format)) {
+      const file = await exportService.exportUserStatement(userId, { format, month, dateFrom, dateTo });
+      return sendFile(res, file);
     }
     
     if (!['settlements', 'balances', 'all'].includes(dataType)) {
@@ -271,36 +292,26 @@ async function exportGroupSettlements(req, res, next) {
       detailLevel = 'basic',
       dateFrom,
       dateTo,
-      status
+      status,
+      month
     } = req.query;
     
     // Validate parameters
-    if (!['csv', 'excel', 'json'].includes(format)) {
-      throw new BadRequestError('Invalid format. Supported formats: csv, excel, json');
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new BadRequestError(`Invalid format. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
     }
     
-    if (!['basic', 'detailed', 'full'].includes(detailLevel)) {
-      throw new BadRequestError('Invalid detailLevel. Supported levels: basic, detailed, full');
+    // PDF, OFX and QIF are statements for one period
+    if (exportService.STATEMENT_FORMATS.includes(format)) {
+      const file = await exportService.exportGroupStatement(groupId, userId, { format, month, dateFrom, dateTo });
+      return sendFile(res, file);
     }
     
-    // Build the filter for group settlements
-    const filter = { groupId };
-    
-    // Add date filters if provided
-    if (dateFrom || dateTo) {
-      filter.createdAt = {};
-      if (dateFrom) {
-        filter.createdAt.$gte = new Date(dateFrom);
-      }
-      if (dateTo) {
-        filter.createdAt.$lte = new Date(dateTo);
-      }
+    if (!['basic', 'detailed', 'full'].includes(detailLevel)) {
+      throw new BadRequestError('Invalid detailLevel. Supported levels: basic, detailed, full');
     }
     
-    // Add status filter if provided
-    if (status) {
-      filter.status = status;
-    }
+    const filter = exportService.buildSettlementFilter({ groupId, dateFrom, dateTo, status });
     
     // Get settlements based on the filter
     const settlements = await exportService.getSettlementsByFilter(filter);
@@ -335,7 +346,74 @@ async function exportGroupSettlements(req, res, next) {
   }
 }
 
+/**
+ * Queue an export to be built in the background
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function createExportJob(req, res, next) {
+  try {
+    const userId = req.user.id;
+    const exportJob = await exportJobService.createExportJob(userId, req.body);
+    
+    res.status(202).json({
+      success: true,
+      data: exportJob
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the status of an export job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getExportJob(req, res, next) {
+  try {
+    const userId = req.user.id;
+    const exportJob = await exportJobService.getExportJob(req.params.jobId, userId);
+    
+    res.json({
+      success: true,
+      data: exportJob
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download a finished export through a signed link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function downloadExportArtifact(req, res, next) {
+  try {
+    const { expires, signature } = req.query;
+    const file = await exportJobService.getExportDownload(req.params.key, expires, signature);
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.setHeader('Content-Type', file.mimeType);
+    if (file.size) {
+      res.setHeader('Content-Length', file.size);
+    }
+    
+    file.stream.on('error', next);
+    file.stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   exportUserSettlements,
-  exportGroupSettlements
+  exportGroupSettlements,
+  createExportJob,
+  getExportJob,
+  downloadExportArtifact
 }; 
\ No newline at end of file
@@ -5,11 +5,102 @@
  * including suggestions, creation, and tracking of settlements.
  */
 
-const { BadRequestError, NotFoundError } = require('../../../../shared/errors');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../../shared/errors');
 const settlementService = require('../services/settlement.service');
 const optimizationService = require('../services/optimization.service');
 const visualizationService = require('../services/visualization.service');
 const userPreferenceService = require('../services/user-preference.service');
+const groupSettlementPolicyService = require('../services/group-settlement-policy.service');
+
+/**
+ * Resolve the algorithm for a user's suggestions in a group from the
+ * requested algorithm, the user's preference and the group's policy
+ * @param {string} groupId - Group ID
+ * @param {Object} userPreferences - User preferences
+ * @param {string} [requested] - Algorithm requested for this call
+ * @returns {Promise<{algorithm: string, source: string}>} Algorithm and where it came from
+ */
+async function resolveAlgorithm(groupId, userPreferences, requested) {
+  const policy = await groupSettlementPolicyService.getGroupPolicy(groupId);
+  
+  return optimizationService.resolveSettlementAlgorithm({
+    policy,
+    preferences: userPreferences,
+    requested
+  });
+}
+
+/**
+ * Calculate settlement suggestions for a group using the requested algorithm,
+ * the user's preferred one or the group's, as the group's settlement policy
+ * allows, converted to the user's preferred currency
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Debt graph, settlements, friendship strengths,
+ *   algorithm and where it came from, and preferred currency
+ */
+async function calculateSuggestions(req) {
+  const { groupId } = req.params;
+  const userId = req.user.id;
+  
+  // Get user preferences to determine algorithm and currency preferences
+  const userPreferences = await userPreferenceService.getUserPreferences(userId);
+  
+  const { algorithm, source: algorithmSource } = await resolveAlgorithm(
+    groupId,
+    userPreferences,
+    req.query.algorithm
+  );
+  // Get debt graph for the group
+  const debtGraph = await settlementService.getGroupDebtGraph(groupId);
+  
+  // Determine base currency - use user's preferred currency if available
+  const preferredCurrency = userPreferences.defaultCurrency;
+  
+  // Get all currencies used in debts
+  const currencies = [...new Set(debtGraph.debts.map(debt => debt.currency))];
+  
+  // Add preferred currency to the list if not already included
+  if (preferredCurrency && !currencies.includes(preferredCurrency)) {
+    currencies.push(preferredCurrency);
+  }
+  
+  // Get exchange rates if there are multiple currencies
+  let exchangeRates = {};
+  if (currencies.length > 1) {
+    exchangeRates = await settlementService.getExchangeRates(currencies);
+  }
+  
+  // Friendships are always needed: members who blocked each other are never paired
+  const friendships = await settlementService.getFriendshipStrengths(groupId);
+  
+  // Generate settlement suggestions with the resolved algorithm
+  let settlements = optimizationService.excludeBlockedPairs(
+    await optimizationService.calculateSettlements(algorithm, debtGraph, exchangeRates, friendships),
+    friendships,
+    debtGraph.users
+  );
+  
+  // If user has a preferred currency, try to standardize settlements to that currency
+  if (preferredCurrency && currencies.length > 1) {
+    settlements = settlements.map(settlement => {
+      // If settlement is not in preferred currency and we have exchange rates
+      const exchangeRate = exchangeRates[`${settlement.currency}_${preferredCurrency}`];
+      if (settlement.currency !== preferredCurrency && exchangeRate) {
+        return {
+          ...settlement,
+          amount: parseFloat((settlement.amount * exchangeRate).toFixed(2)),
+          currency: preferredCurrency,
+          originalAmount: settlement.amount,
+          originalCurrency: settlement.currency,
+          exchangeRate
+        };
+      }
+      return settlement;
+    });
+  }
+  
+  return { debtGraph, settlements, friendships, algorithm, algorithmSource, preferredCurrency };
+}
 
 /**
  * Get settlement suggestions for a group
@@ -19,82 +110,8 @@ const userPreferenceService = require('../services/user-preference.service');
  */
 async function getSettlementSuggestions(req, res, next) {
   try {
-    const { groupId } = req.params;
-    const userId = req.user.id;
-    
-    // Get user preferences to determine algorithm and currency preferences
-    const userPreferences = await userPreferenceService.getUserPreferences(userId);
-    
-    // Use query params if provided, otherwise use user preferences
-    const algorithm = req.query.algorithm || userPreferences.settlementAlgorithm || 'minCashFlow';
-    const includeFriendships = req.query.includeFriendships === 'true' || algorithm === 'friendPreference';
-    
-    // Get debt graph for the group
-    const debtGraph = await settlementService.getGroupDebtGraph(groupId);
-    
-    // Determine base currency - use user's preferred currency if available
-    const preferredCurrency = userPreferences.defaultCurrency;
-    
-    // Get all currencies used in debts
-    const currencies = [...new Set(debtGraph.debts.map(debt => debt.currency))];
-    
-    // Add preferred currency to the list if not already included
-    if (preferredCurrency && !currencies.includes(preferredCurrency)) {
-      currencies.push(preferredCurrency);
-    }
-    
-    // Get exchange rates if there are multiple currencies
-    let exchangeRates = {};
-    if (currencies.length > 1) {
-      exchangeRates = await settlementService.getExchangeRates(currencies);
-    }
-    
-    // Get friendships if requested or if using friend preference algorithm
-    let friendships = null;
-    if (includeFriendships || algorithm === 'friendPreference') {
-      friendships = await settlementService.getFriendshipStrengths(groupId);
-    }
-    
-    // Generate settlement suggestions based on algorithm
-    let settlements;
-    switch (algorithm) {
-      case 'greedy':
-        settlements = await optimizationService.calculateGreedySettlements(debtGraph, exchangeRates);
-        break;
-      case 'friendPreference':
-        if (!friendships) {
-          friendships = await settlementService.getFriendshipStrengths(groupId);
-        }
-        settlements = await optimizationService.calculateFriendPreferenceSettlements(
-          debtGraph, 
-          exchangeRates, 
-          friendships
-        );
-        break;
-      case 'minCashFlow':
-      default:
-        settlements = await optimizationService.calculateMinCashFlowSettlements(debtGraph, exchangeRates);
-        break;
-    }
-    
-    // If user has a preferred currency, try to standardize settlements to that currency
-    if (preferredCurrency && currencies.length > 1) {
-      settlements = settlements.map(settlement => {
-        // If settlement is not in preferred currency and we have exchange rates
-        if (settlement.currency !== preferredCurrency && exchangeRates[settlement.currency] && exchangeRates[preferredCurrency]) {
-          const exchangeRate = exchangeRates[settlement.currency] / exchangeRates[preferredCurrency];
-          return {
-            ...settlement,
-            amount: parseFloat((settlement.amount * exchangeRate).toFixed(2)),
-            currency: preferredCurrency,
-            originalAmount: settlement.amount,
-            originalCurrency: settlement.currency,
-            exchangeRate
-          };
-        }
-        return settlement;
-      });
-    }
+    const { debtGraph, settlements, algorithm, algorithmSource, preferredCurrency } =
+      await calculateSuggestions(req);
     
     // Generate visualization data
     const visualization = visualizationService.generateSettlementVisualization(
@@ -119,6 +136,7 @@ async function getSettlementSuggestions(req, res, next) {
         visualization,
         explanation,
         algorithm,
+        algorithmSource,
         preferredCurrency: preferredCurrency || null
       }
     });
@@ -226,6 +244,9 @@ async function getSettlementById(req, res, next) {
 
 /**
  * Update a settlement's status
+ * 
+ * Who may make which change is decided by the settlement state machine,
+ * e.g. only the receiver can mark a settlement completed.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -233,7 +254,7 @@ async function getSettlementById(req, res, next) {
 async function updateSettlementStatus(req, res, next) {
   try {
     const { settlementId } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
     const userId = req.user.id;
     
     // Validate status
@@ -241,38 +262,241 @@ async function updateSettlementStatus(req, res, next) {
       throw new BadRequestError('Invalid status');
     }
     
-    // Get the settlement
+    // Completing a settlement is the receiver confirming the money arrived
+    const updatedSettlement = status === 'completed'
+      ? await settlementService.confirmSettlement(settlementId, userId, { note })
+      : await settlementService.updateSettlementStatus(settlementId, status, {}, userId, { note });
+    
+    res.json({
+      success: true,
+      data: updatedSettlement
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Mark a settlement as sent, as the payer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function markSettlementSent(req, res, next) {
+  try {
+    const { settlementId } = req.params;
+    const { note } = req.body;
+    
+    const updatedSettlement = await settlementService.markSettlementSent(settlementId, req.user.id, { note });
+    
+    res.json({
+      success: true,
+      data: updatedSettlement
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Confirm a settlement was received, as the receiver
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function confirmSettlement(req, res, next) {
+  try {
+    const { settlementId } = req.params;
+    const { note } = req.body;
+    
+    const updatedSettlement = await settlementService.confirmSettlement(settlementId, req.user.id, { note });
+    
+    res.json({
+      success: true,
+      data: updatedSettlement
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Dispute a settlement, as the receiver
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function disputeSettlement(req, res, next) {
+  try {
+    const { settlementId } = req.params;
+    const { reason, message, attachments } = req.body;
+    
+    const updatedSettlement = await settlementService.disputeSettlement(
+      settlementId,
+      req.user.id,
+      { reason, message, attachments }
+    );
+    
+    res.json({
+      success: true,
+      data: updatedSettlement
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a message with optional evidence to a settlement's dispute thread
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function addDisputeMessage(req, res, next) {
+  try {
+    const { settlementId } = req.params;
+    const { message, attachments } = req.body;
+    
+    const updatedSettlement = await settlementService.addDisputeMessage(
+      settlementId,
+      req.user.id,
+      { message, attachments }
+    );
+    
+    res.status(201).json({
+      success: true,
+      data: updatedSettlement
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Record a payment made towards a settlement
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function recordPayment(req, res, next) {
+  try {
+    const { settlementId } = req.params;
+    const { amount, method, paidAt, notes } = req.body;
+    const userId = req.user.id;
+    
     const settlement = await settlementService.getSettlementById(settlementId);
     if (!settlement) {
       throw new NotFoundError(`Settlement with ID ${settlementId} not found`);
     }
     
-    // Check if user has permission (must be payer or receiver)
+    // Only the two parties to a settlement can record payments against it
     if (settlement.payerId !== userId && settlement.receiverId !== userId) {
-      throw new BadRequestError('You do not have permission to update this settlement');
+      throw new ForbiddenError('Only the payer or receiver can record payments for this settlement');
     }
     
-    // Additional validation based on status
-    if (status === 'completed') {
-      // Only receiver can mark as completed
-      if (settlement.receiverId !== userId) {
-        throw new BadRequestError('Only the receiver can mark a settlement as completed');
-      }
-    } else if (status === 'cancelled') {
-      // Both payer and receiver can cancel
-      if (settlement.status === 'completed') {
-        throw new BadRequestError('Cannot cancel a completed settlement');
-      }
+    const updatedSettlement = await settlementService.recordPayment(
+      settlementId,
+      { amount: parseFloat(amount), method, paidAt, notes },
+      userId
+    );
+    
+    res.status(201).json({
+      success: true,
+      data: updatedSettlement
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Complete a settlement paid by a wallet transfer (payment-service only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function recordWalletPayment(req, res, next) {
+  try {
+    const { settlementId } = req.params;
+    const { transferId, payerId, receiverId, amount, currency } = req.body;
+    
+    const settlement = await settlementService.recordWalletPayment(settlementId, {
+      transferId,
+      payerId,
+      receiverId,
+      amount: parseFloat(amount),
+      currency
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: settlement
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Record a bank transaction matched to a settlement (payment-service only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function recordBankPayment(req, res, next) {
+  try {
+    const { settlementId } = req.params;
+    const { transactionId, userId, amount, currency, paidAt } = req.body;
+    
+    const settlement = await settlementService.recordBankPayment(settlementId, {
+      transactionId,
+      userId,
+      amount: parseFloat(amount),
+      currency,
+      paidAt
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: settlement
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create an installment plan for the remaining amount of a settlement
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function createInstallmentPlan(req, res, next) {
+  try {
+    const { settlementId } = req.params;
+    const { count, frequency, startDate } = req.body;
+    const userId = req.user.id;
+    
+    if (!count || !frequency || !startDate) {
+      throw new BadRequestError('count, frequency and startDate are required');
+    }
+    
+    const settlement = await settlementService.getSettlementById(settlementId);
+    if (!settlement) {
+      throw new NotFoundError(`Settlement with ID ${settlementId} not found`);
+    }
+    
+    if (settlement.payerId !== userId && settlement.receiverId !== userId) {
+      throw new ForbiddenError('Only the payer or receiver can create an installment plan for this settlement');
     }
     
-    // Update the settlement
-    const updatedSettlement = await settlementService.updateSettlementStatus(
+    const updatedSettlement = await settlementService.createInstallmentPlan(
       settlementId,
-      status,
-      status === 'completed' ? new Date() : null
+      { count: Number(count), frequency, startDate },
+      userId
     );
     
-    res.json({
+    res.status(201).json({
       success: true,
       data: updatedSettlement
     });
@@ -345,60 +569,51 @@ async function compareAlgorithms(req, res, next) {
       exchangeRates = await settlementService.getExchangeRates(currencies);
     }
     
-    // Get friendships for friendship-optimized algorithm
+    // Get friendships for friendship-optimized algorithm and blocked members
     const friendships = await settlementService.getFriendshipStrengths(groupId);
     
     // Generate settlements with different algorithms
-    const algorithms = {
-      minCashFlow: optimizationService.calculateMinCashFlowSettlements(debtGraph, exchangeRates),
-      greedy: optimizationService.calculateGreedySettlements(debtGraph, exchangeRates),
-      friendOptimized: optimizationService.calculateFriendPreferenceSettlements(
+    const results = await Promise.all([
+      optimizationService.calculateMinCashFlowSettlements(debtGraph, exchangeRates),
+      optimizationService.calculateMinTransactionSettlements(debtGraph, exchangeRates),
+      optimizationService.calculateGreedySettlements(debtGraph, exchangeRates),
+      optimizationService.calculateFriendPreferenceSettlements(
         debtGraph, 
         exchangeRates, 
         friendships
       )
-    };
+    ]);
+    const [minCashFlow, minTransactions, greedy, friendOptimized] = results.map(settlements =>
+      optimizationService.excludeBlockedPairs(settlements, friendships, debtGraph.users)
+    );
+    const algorithms = { minCashFlow, minTransactions, greedy, friendOptimized };
     
     // Compare results
     const comparison = {
-      transactionCounts: {
-        minCashFlow: algorithms.minCashFlow.length,
-        greedy: algorithms.greedy.length,
-        friendOptimized: algorithms.friendOptimized.length
-      },
-      averageTransactionAmount: {
-        minCashFlow: algorithms.minCashFlow.length > 0 
-          ? algorithms.minCashFlow.reduce((sum, s) => sum + s.amount, 0) / algorithms.minCashFlow.length 
-          : 0,
-        greedy: algorithms.greedy.length > 0 
-          ? algorithms.greedy.reduce((sum, s) => sum + s.amount, 0) / algorithms.greedy.length 
-          : 0,
-        friendOptimized: algorithms.friendOptimized.length > 0 
-          ? algorithms.friendOptimized.reduce((sum, s) => sum + s.amount, 0) / algorithms.friendOptimized.length 
-          : 0
-      },
-      friendshipUtilization: {
-        minCashFlow: calculateFriendshipUtilization(algorithms.minCashFlow, friendships),
-        greedy: calculateFriendshipUtilization(algorithms.greedy, friendships),
-        friendOptimized: calculateFriendshipUtilization(algorithms.friendOptimized, friendships)
+      transactionCounts: {},
+      averageTransactionAmount: {},
+      friendshipUtilization: {},
+      // Transfers the exact solver saves over each heuristic
+      transfersSaved: {
+        minCashFlow: minCashFlow.length - minTransactions.length,
+        greedy: greedy.length - minTransactions.length,
+        friendOptimized: friendOptimized.length - minTransactions.length
       }
     };
     
+    for (const [name, settlements] of Object.entries(algorithms)) {
+      comparison.transactionCounts[name] = settlements.length;
+      comparison.averageTransactionAmount[name] = settlements.length > 0
+        ? settlements.reduce((sum, s) => sum + s.amount, 0) / settlements.length
+        : 0;
+      comparison.friendshipUtilization[name] = calculateFriendshipUtilization(settlements, friendships);
+    }
+    
     // Generate visualizations
-    const visualizations = {
-      minCashFlow: visualizationService.generateSettlementVisualization(
-        debtGraph,
-        algorithms.minCashFlow
-      ),
-      greedy: visualizationService.generateSettlementVisualization(
-        debtGraph,
-        algorithms.greedy
-      ),
-      friendOptimized: visualizationService.generateSettlementVisualization(
-        debtGraph,
-        algorithms.friendOptimized
-      )
-    };
+    const visualizations = {};
+    for (const [name, settlements] of Object.entries(algorithms)) {
+      visualizations[name] = visualizationService.generateSettlementVisualization(debtGraph, settlements);
+    }
     
     res.json({
       success: true,
@@ -422,14 +637,17 @@ async function compareAlgorithms(req, res, next) {
 function calculateFriendshipUtilization(settlements, friendships) {
   if (!settlements.length || !friendships) return 0;
   
+  const strengths = new Map();
+  for (const { user1, user2, strength } of friendships.friendships) {
+    strengths.set(`${user1}_${user2}`, strength);
+    strengths.set(`${user2}_${user1}`, strength);
+  }
+  
   let totalFriendshipScore = 0;
   let maxPossibleScore = 0;
   
   for (const settlement of settlements) {
-    const key = `${settlement.from}_${settlement.to}`;
-    const reverseKey = `${settlement.to}_${settlement.from}`;
-    
-    const friendshipScore = friendships[key] || friendships[reverseKey] || 0;
+    const friendshipScore = strengths.get(`${settlement.from}_${settlement.to}`) || 0;
     totalFriendshipScore += friendshipScore;
     maxPossibleScore += 1; // Assuming max friendship score is 1
   }
@@ -452,8 +670,11 @@ async function getSettlementCalculationDetails(req, res, next) {
     // Get user preferences to determine algorithm and currency preferences
     const userPreferences = await userPreferenceService.getUserPreferences(userId);
     
-    // Use query params if provided, otherwise use user preferences
-    const selectedAlgorithm = algorithm || userPreferences.settlementAlgorithm || 'minCashFlow';
+    const { algorithm: selectedAlgorithm, source: algorithmSource } = await resolveAlgorithm(
+      groupId,
+      userPreferences,
+      algorithm
+    );
     
     // Get debt graph for the group
     const debtGraph = await settlementService.getGroupDebtGraph(groupId);
@@ -475,30 +696,15 @@ async function getSettlementCalculationDetails(req, res, next) {
       exchangeRates = await settlementService.getExchangeRates(currencies);
     }
     
-    // Get friendships if using friend preference algorithm
-    let friendships = null;
-    if (selectedAlgorithm === 'friendPreference') {
-      friendships = await settlementService.getFriendshipStrengths(groupId);
-    }
+    // Friendships are always needed: members who blocked each other are never paired
+    const friendships = await settlementService.getFriendshipStrengths(groupId);
     
-    // Generate settlement suggestions based on algorithm
-    let settlements;
-    switch (selectedAlgorithm) {
-      case 'greedy':
-        settlements = await optimizationService.calculateGreedySettlements(debtGraph, exchangeRates);
-        break;
-      case 'friendPreference':
-        settlements = await optimizationService.calculateFriendPreferenceSettlements(
-          debtGraph, 
-          exchangeRates, 
-          friendships
-        );
-        break;
-      case 'minCashFlow':
-      default:
-        settlements = await optimizationService.calculateMinCashFlowSettlements(debtGraph, exchangeRates);
-        break;
-    }
+    // Generate settlement suggestions with the resolved algorithm
+    const settlements = optimizationService.excludeBlockedPairs(
+      await optimizationService.calculateSettlements(selectedAlgorithm, debtGraph, exchangeRates, friendships),
+      friendships,
+      debtGraph.users
+    );
     
     // Generate detailed breakdown
     const breakdown = visualizationService.generateSettlementBreakdown(debtGraph, settlements);
@@ -515,6 +721,7 @@ async function getSettlementCalculationDetails(req, res, next) {
       success: true,
       data: {
         algorithm: selectedAlgorithm,
+        algorithmSource,
         breakdown,
         explanation,
         settlements,
@@ -527,13 +734,196 @@ async function getSettlementCalculationDetails(req, res, next) {
   }
 }
 
+/**
+ * Get the friendship strengths between a group's members that
+ * friendship-aware algorithms use, and the pairs who blocked each other
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getFriendshipStrengths(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.id;
+    
+    const strengths = await settlementService.getFriendshipStrengths(groupId, userId);
+    
+    res.json({
+      success: true,
+      data: strengths
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List the registered settlement algorithms
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function listAlgorithms(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: optimizationService.listAlgorithms()
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a group's settlement policy
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getGroupSettlementPolicy(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    
+    const policy = await groupSettlementPolicyService.getGroupPolicy(groupId);
+    
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a group's settlement policy (group admins only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function updateGroupSettlementPolicy(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.id;
+    
+    const policy = await groupSettlementPolicyService.updateGroupPolicy(groupId, userId, req.body);
+    
+    res.json({
+      success: true,
+      message: `Settlement policy updated for group ${groupId}`,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Invalidate a group's cached debt graph (service-to-service)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function invalidateGroupDebtGraph(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    
+    await settlementService.invalidateGroupDebtGraph(groupId);
+    
+    res.json({
+      success: true,
+      message: `Debt graph cache cleared for group ${groupId}`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Invalidate cached settlement suggestions of every group (service-to-service)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function invalidateSuggestions(req, res, next) {
+  try {
+    await settlementService.invalidateSuggestions();
+    
+    res.json({
+      success: true,
+      message: 'Settlement suggestions cache cleared'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the settlements that count towards a group's balances (service-to-service)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getBalanceSettlements(req, res, next) {
+  try {
+    const { groupId } = req.params;
+    
+    const settlements = await settlementService.getBalanceSettlements(groupId);
+    
+    res.json({
+      success: true,
+      data: settlements
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a user's settlements that are still to be paid (payment-service only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getPayableSettlements(req, res, next) {
+  try {
+    const { userId } = req.params;
+    
+    const settlements = await settlementService.getPayableSettlements(userId);
+    
+    res.json({
+      success: true,
+      data: settlements
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
+  calculateSuggestions,
   getSettlementSuggestions,
   createSettlement,
   getGroupSettlements,
   getSettlementById,
   updateSettlementStatus,
+  markSettlementSent,
+  confirmSettlement,
+  disputeSettlement,
+  addDisputeMessage,
+  recordPayment,
+  createInstallmentPlan,
+  recordWalletPayment,
+  recordBankPayment,
   getUserSettlements,
   compareAlgorithms,
-  getSettlementCalculationDetails
+  getSettlementCalculationDetails,
+  getFriendshipStrengths,
+  listAlgorithms,
+  getGroupSettlementPolicy,
+  updateGroupSettlementPolicy,
+  invalidateGroupDebtGraph,
+  invalidateSuggestions,
+  getBalanceSettlements,
+  getPayableSettlements
 }; 
\ No newline at end of file
@@ -130,6 +130,9 @@ export async function getSettlementSuggestions(
           friendships
         );
         break;
+      case 'minTransactions':
+        settlements = await optimizationService.calculateMinTransactionSettlements(debtGraph, exchangeRates);
+        break;
       case 'minCashFlow':
       default:
         settlements = await optimizationService.calculateMinCashFlowSettlements(debtGraph, exchangeRates);
@@ -378,8 +381,9 @@ export async function compareAlgorithms(
       : {};
     
     // Calculate settlements using different algorithms
-    const [minCashFlow, greedy, friendPreference] = await Promise.all([
+    const [minCashFlow, minTransactions, greedy, friendPreference] = await Promise.all([
       optimizationService.calculateMinCashFlowSettlements(debtGraph, exchangeRates),
+      optimizationService.calculateMinTransactionSettlements(debtGraph, exchangeRates),
       optimizationService.calculateGreedySettlements(debtGraph, exchangeRates),
       optimizationService.calculateFriendPreferenceSettlements(debtGraph, exchangeRates, friendships)
     ]);
@@ -394,6 +398,14 @@ export async function compareAlgorithms(
           friendshipUtilization: calculateFriendshipUtilization(minCashFlow, friendships)
         }
       },
+      minTransactions: {
+        settlements: minTransactions,
+        metrics: {
+          totalTransactions: minTransactions.length,
+          totalAmount: calculateTotalAmount(minTransactions),
+          friendshipUtilization: calculateFriendshipUtilization(minTransactions, friendships)
+        }
+      },
       greedy: {
         settlements: greedy,
         metrics: {
@@ -409,6 +421,12 @@ export async function compareAlgorithms(
           totalAmount: calculateTotalAmount(friendPreference),
           friendshipUtilization: calculateFriendshipUtilization(friendPreference, friendships)
         }
+      },
+      // Transfers the exact solver saves over each heuristic
+      transfersSaved: {
+        minCashFlow: minCashFlow.length - minTransactions.length,
+        greedy: greedy.length - minTransactions.length,
+        friendPreference: friendPreference.length - minTransactions.length
       }
     };
     
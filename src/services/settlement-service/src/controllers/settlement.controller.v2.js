@@ -1,38 +1,129 @@
 /**
  * Settlement Controller v2
- * 
- * This is a sample file to demonstrate how to create versioned controllers.
- * It would contain enhanced or modified implementations of the methods
- * defined in the original settlement.controller.js.
- * 
- * Note: This is just a placeholder and not actually used in the current version.
+ *
+ * Version 2 of the settlement endpoints. Methods not exported here fall back
+ * to the v1 implementation in settlement.controller.js.
  */
 
+const { BadRequestError } = require('../../../../shared/errors');
 const v1Controller = require('./settlement.controller');
+const visualizationService = require('../services/visualization.service');
+const { applyConstraints } = require('../algorithms/settlement-constraints.algorithm');
 
 /**
- * Enhanced version of settlement suggestions
- * This is a sample of how we would implement a v2 version of an endpoint
- * 
+ * Parse settlement constraints from the query string
+ *
+ * Supported parameters:
+ * - excludePairs: one or more `userA:userB` pairs who must not transact
+ * - paymentMethods[userId]: comma-separated payment methods, most preferred first
+ * - maxTransferAmount: largest amount a single transfer may move
+ * - bankerId: member all money flows through
+ *
+ * @param {Object} query - Express request query
+ * @param {Array<string>} users - Members of the group
+ * @returns {Object} - Constraints for applyConstraints
+ */
+function parseConstraints(query, users) {
+  const constraints = {};
+
+  if (query.excludePairs) {
+    const pairs = Array.isArray(query.excludePairs) ? query.excludePairs : [query.excludePairs];
+    constraints.excludedPairs = pairs.map(pair => {
+      const members = String(pair).split(':');
+      if (members.length !== 2 || !members[0] || !members[1] || members[0] === members[1]) {
+        throw new BadRequestError(`Invalid excluded pair: ${pair}. Expected two different user IDs as userA:userB`);
+      }
+      return members;
+    });
+  }
+
+  if (query.paymentMethods) {
+    if (typeof query.paymentMethods !== 'object' || Array.isArray(query.paymentMethods)) {
+      throw new BadRequestError('paymentMethods must be given per user, e.g. paymentMethods[userId]=venmo,paypal');
+    }
+    constraints.paymentMethods = {};
+    for (const [userId, methods] of Object.entries(query.paymentMethods)) {
+      constraints.paymentMethods[userId] = [].concat(methods)
+        .flatMap(method => String(method).split(','))
+        .map(method => method.trim())
+        .filter(Boolean);
+    }
+  }
+
+  if (query.maxTransferAmount !== undefined) {
+    const maxTransferAmount = Number(query.maxTransferAmount);
+    if (!Number.isFinite(maxTransferAmount) || maxTransferAmount < 0.01) {
+      throw new BadRequestError('maxTransferAmount must be a positive number');
+    }
+    constraints.maxTransferAmount = maxTransferAmount;
+  }
+
+  if (query.bankerId) {
+    if (!users.includes(query.bankerId)) {
+      throw new BadRequestError(`Banker ${query.bankerId} is not a member of this group`);
+    }
+    constraints.bankerId = query.bankerId;
+  }
+
+  return constraints;
+}
+
+/**
+ * Get settlement suggestions for a group, adjusted to the given constraints,
+ * with the reasoning behind each suggested transfer
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 async function getSettlementSuggestions(req, res, next) {
   try {
-    // Add v2 specific logic here
-    // For example, additional parameters, enhanced algorithms, etc.
-    
-    // We could also extend the v1 implementation:
-    // await v1Controller.getSettlementSuggestions(req, res, next);
-    
-    // This is just a placeholder implementation
+    const { debtGraph, settlements: suggested, friendships, algorithm, algorithmSource, preferredCurrency } =
+      await v1Controller.calculateSuggestions(req);
+
+    const constraints = parseConstraints(req.query, debtGraph.users || []);
+
+    // Payments must not be passed on between members who blocked each other either
+    const excludedPairs = [...(constraints.excludedPairs || []), ...friendships.blockedPairs];
+    const { settlements, violations } = applyConstraints(
+      suggested,
+      { ...constraints, excludedPairs },
+      debtGraph.users
+    );
+
+    if (violations.length > 0) {
+      const pairs = violations.map(([from, to]) => `${from} and ${to}`).join(', ');
+      throw new BadRequestError(`No member can pass on payments between ${pairs}, who must not transact with each other`);
+    }
+
+    const explanation = visualizationService.generateSettlementExplanation(
+      debtGraph,
+      settlements,
+      algorithm
+    );
+
+    const visualization = visualizationService.generateSettlementVisualization(
+      debtGraph,
+      settlements
+    );
+
     res.json({
       success: true,
       version: 'v2',
-      message: 'This would be the v2 implementation with enhanced features',
       data: {
-        // Enhanced data structure
+        settlements: settlements.map((settlement, index) => ({
+          ...settlement,
+          reasoning: explanation.transferReasoning[index]
+        })),
+        constraints,
+        explanation: {
+          summary: explanation.summary,
+          algorithmExplanation: explanation.algorithmExplanation,
+          stepByStepExplanation: explanation.stepByStepExplanation
+        },
+        visualization,
+        algorithm,
+        algorithmSource,
+        preferredCurrency: preferredCurrency || null
       }
     });
   } catch (error) {
@@ -41,8 +132,7 @@ async function getSettlementSuggestions(req, res, next) {
 }
 
 // Export methods that have been updated for v2
-// Any methods not exported here would fall back to v1 implementation
+// Any methods not exported here fall back to the v1 implementation
 module.exports = {
   getSettlementSuggestions
-  // Add other v2 methods as needed
-}; 
\ No newline at end of file
+};
@@ -5,6 +5,7 @@
  */
 
 const userPreferenceService = require('../services/user-preference.service');
+const { hasAlgorithm, listAlgorithms } = require('../algorithms/algorithm-registry');
 const { BadRequestError } = require('../../../../shared/errors');
 
 /**
@@ -179,7 +180,8 @@ async function setDefaultCurrency(req, res, next) {
 }
 
 /**
- * Set settlement algorithm preference
+ * Set settlement algorithm preference. A null algorithm clears the
+ * preference so each group's settlement policy applies.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -190,12 +192,12 @@ async function setSettlementAlgorithm(req, res, next) {
     const userId = req.user.id;
     const { algorithm } = req.body;
     
-    if (!algorithm) {
+    if (algorithm === undefined || algorithm === '') {
       throw new BadRequestError('Algorithm is required');
     }
     
-    const validAlgorithms = ['minCashFlow', 'greedy', 'friendPreference'];
-    if (!validAlgorithms.includes(algorithm)) {
+    if (algorithm !== null && !hasAlgorithm(algorithm)) {
+      const validAlgorithms = listAlgorithms().map(({ id }) => id);
       throw new BadRequestError(`Invalid algorithm: ${algorithm}. Valid algorithms are: ${validAlgorithms.join(', ')}`);
     }
     
@@ -206,7 +208,9 @@ async function setSettlementAlgorithm(req, res, next) {
     
     res.json({
       success: true,
-      message: `Settlement algorithm updated to ${algorithm}`,
+      message: algorithm === null
+        ? 'Settlement algorithm preference cleared'
+        : `Settlement algorithm updated to ${algorithm}`,
       data: updatedPreferences
     });
   } catch (error) {
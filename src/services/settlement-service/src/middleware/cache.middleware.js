@@ -83,7 +83,15 @@ function generateGroupCacheKey(req) {
  */
 function generateSuggestionsCacheKey(req) {
   const { groupId } = req.params;
-  const { algorithm, includeFriendships = 'false' } = req.query;
+  const {
+    algorithm,
+    includeFriendships = 'false',
+    includeExplanation = 'false',
+    excludePairs,
+    paymentMethods,
+    maxTransferAmount,
+    bankerId
+  } = req.query;
   const userId = req.user ? req.user.id : 'anonymous';
   
   // If algorithm is not provided in query, we'll need to include the user's
@@ -93,6 +101,10 @@ function generateSuggestionsCacheKey(req) {
   return cacheService.generateCacheKey('api', `suggestions-${groupId}`, {
     algorithm: algorithm || 'userPref', // 'userPref' indicates we'll use user preferences
     includeFriendships,
+    includeExplanation,
+    version: req.apiVersion,
+    // v2 constraints change the suggested transfers
+    constraints: JSON.stringify({ excludePairs, paymentMethods, maxTransferAmount, bankerId }),
     userId,
     useUserPrefs // Flag to indicate if we're using user preferences (affects cache key)
   });
@@ -0,0 +1,63 @@
+/**
+ * Idempotency Middleware
+ *
+ * Honours the Idempotency-Key header on requests that move money
+ */
+
+const idempotencyService = require('../services/idempotency.service');
+const { BadRequestError } = require('../../../../shared/errors');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Create a middleware that answers repeats of a request sent with the same
+ * Idempotency-Key with the first response. Keys are scoped to the
+ * authenticated user, so this must run after authentication. Requests
+ * without the header are handled as usual.
+ * @returns {Function} Express middleware
+ */
+function idempotent() {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    try {
+      if (key.length > MAX_KEY_LENGTH) {
+        throw new BadRequestError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+      }
+
+      const requestHash = idempotencyService.hashRequest({
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        body: req.body
+      });
+      const { record, replay } = await idempotencyService.beginRequest(req.user.id, key, requestHash);
+
+      if (replay) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+
+      const originalJson = res.json;
+      res.json = function(body) {
+        res.json = originalJson;
+
+        idempotencyService.completeRequest(record, res.statusCode, body)
+          .catch(error => console.error(`Failed to store response for Idempotency-Key ${key}:`, error))
+          .finally(() => originalJson.call(res, body));
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  idempotent
+};
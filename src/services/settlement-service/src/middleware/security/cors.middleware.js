@@ -29,8 +29,8 @@ const corsOptions = {
     }
   },
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token'],
-  exposedHeaders: ['X-CSRF-Token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token', 'Idempotency-Key'],
+  exposedHeaders: ['X-CSRF-Token', 'Idempotent-Replayed'],
   credentials: true,      // Allow cookies to be sent
   maxAge: 86400,          // Cache preflight request for 24 hours
   preflightContinue: false
@@ -12,7 +12,7 @@ import { ApiRequest, VersionHandlers } from '../types/index.js';
 /**
  * Supported API versions
  */
-export const SUPPORTED_VERSIONS: string[] = ['v1'];
+export const SUPPORTED_VERSIONS: string[] = ['v1', 'v2'];
 export const DEFAULT_VERSION: string = 'v1';
 
 /**
@@ -41,9 +41,10 @@ export const extractVersion = (req: ApiRequest, res: Response, next: NextFunctio
     version = req.get('X-API-Version');
   }
 
-  // Check URL path (should be already extracted by router if using path-based versioning)
-  if (!version && req.params.version) {
-    version = req.params.version;
+  // Check URL path, either extracted by the router or as the leading path segment
+  if (!version) {
+    const pathMatch = req.path.match(/^\/(v\d+)\//);
+    version = req.params.version || (pathMatch ? pathMatch[1] : undefined);
   }
 
   // Default to latest version
@@ -0,0 +1,45 @@
+/**
+ * Exchange Rate Model
+ * 
+ * Stores the daily exchange rates used for currency conversion so that
+ * historical conversions are reproducible and the rate provider is only
+ * queried once per base currency and day.
+ */
+
+const mongoose = require('mongoose');
+
+const ExchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Day the rates apply to (YYYY-MM-DD)
+  date: {
+    type: String,
+    required: true
+  },
+  // Day the provider published the rates, earlier than `date` on weekends and holidays
+  effectiveDate: {
+    type: String,
+    required: true
+  },
+  // Units of each currency per one unit of the base currency
+  rates: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ExchangeRateSchema.index({ base: 1, date: 1 }, { unique: true });
+
+const ExchangeRate = mongoose.model('ExchangeRate', ExchangeRateSchema);
+
+module.exports = ExchangeRate;
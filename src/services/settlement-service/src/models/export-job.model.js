@@ -0,0 +1,115 @@
+/**
+ * Export Job Model
+ *
+ * Tracks an export that is built in the background and the file it produced
+ *
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExportJobModel:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Export job ID
+ *         userId:
+ *           type: string
+ *           description: User who requested the export
+ *         scope:
+ *           type: string
+ *           enum: [user, group]
+ *           description: Whether the user's or a group's settlements are exported
+ *         groupId:
+ *           type: string
+ *           description: Group exported, for group exports
+ *         format:
+ *           type: string
+ *           enum: [csv, json, pdf, ofx, qif]
+ *         options:
+ *           type: object
+ *           description: Filters and detail level the export was requested with
+ *         status:
+ *           type: string
+ *           enum: [queued, processing, completed, failed, expired]
+ *         rowCount:
+ *           type: number
+ *           description: Number of settlements written, for csv and json exports
+ *         error:
+ *           type: string
+ *           description: Why the export failed
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the file is deleted and the download link stops working
+ *         downloadUrl:
+ *           type: string
+ *           description: Signed download link, once the export has completed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const mongoose = require('mongoose');
+
+const ExportJobSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  scope: {
+    type: String,
+    enum: ['user', 'group'],
+    required: true
+  },
+  groupId: {
+    type: String
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json', 'pdf', 'ofx', 'qif'],
+    required: true
+  },
+  options: {
+    detailLevel: String,
+    type: { type: String },
+    dateFrom: String,
+    dateTo: String,
+    status: String,
+    month: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'expired'],
+    default: 'queued',
+    index: true
+  },
+  rowCount: {
+    type: Number
+  },
+  artifact: {
+    key: String,
+    filename: String,
+    mimeType: String,
+    size: Number
+  },
+  error: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+const ExportJob = mongoose.model('ExportJob', ExportJobSchema);
+
+module.exports = ExportJob;
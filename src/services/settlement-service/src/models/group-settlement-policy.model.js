@@ -0,0 +1,91 @@
+/**
+ * Group Settlement Policy Model
+ * 
+ * Defines how a group's settlement suggestions are calculated
+ * 
+ * @swagger
+ * components:
+ *   schemas:
+ *     GroupSettlementPolicy:
+ *       type: object
+ *       required:
+ *         - groupId
+ *         - algorithm
+ *       properties:
+ *         groupId:
+ *           type: string
+ *           description: ID of the group the policy belongs to
+ *         algorithm:
+ *           type: string
+ *           description: Registered settlement algorithm used for the group's suggestions
+ *           default: "minCashFlow"
+ *         allowMemberOverrides:
+ *           type: boolean
+ *           default: true
+ *           description: Whether members' own algorithm preferences apply to their suggestions
+ *         overrideAlgorithms:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Algorithms members may override with (empty for any)
+ *         updatedBy:
+ *           type: string
+ *           description: ID of the admin who last changed the policy
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const mongoose = require('mongoose');
+const { hasAlgorithm } = require('../algorithms/algorithm-registry');
+
+const isRegisteredAlgorithm = {
+  validator: hasAlgorithm,
+  message: props => `${props.value} is not a registered settlement algorithm`
+};
+
+const GroupSettlementPolicySchema = new mongoose.Schema({
+  groupId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  algorithm: {
+    type: String,
+    required: true,
+    validate: isRegisteredAlgorithm
+  },
+  allowMemberOverrides: {
+    type: Boolean,
+    default: true
+  },
+  overrideAlgorithms: [{
+    type: String,
+    validate: isRegisteredAlgorithm
+  }],
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Define a toJSON method to customize the output
+GroupSettlementPolicySchema.methods.toJSON = function() {
+  const policy = this.toObject();
+  
+  // Convert _id to id for API consistency
+  policy.id = policy._id.toString();
+  delete policy._id;
+  delete policy.__v;
+  
+  return policy;
+};
+
+const GroupSettlementPolicy = mongoose.model('GroupSettlementPolicy', GroupSettlementPolicySchema);
+
+module.exports = GroupSettlementPolicy;
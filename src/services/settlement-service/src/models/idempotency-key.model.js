@@ -0,0 +1,52 @@
+/**
+ * Idempotency Key Model
+ *
+ * Records the first response to a request sent with an Idempotency-Key
+ * header so that repeats of the request can be answered with it
+ */
+
+const mongoose = require('mongoose');
+
+const IdempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, path and body of the first request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
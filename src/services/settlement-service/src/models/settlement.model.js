@@ -36,9 +36,149 @@
  *           description: Group ID the settlement belongs to
  *         status:
  *           type: string
- *           enum: [pending, completed, cancelled, processing, failed]
+ *           enum: [pending, partially_paid, sent, disputed, escalated, completed, cancelled, processing, failed]
  *           default: pending
  *           description: Status of the settlement
+ *         amountPaid:
+ *           type: number
+ *           default: 0
+ *           description: Total of the payments recorded against the settlement
+ *         remainingAmount:
+ *           type: number
+ *           description: Amount still to be paid
+ *         payments:
+ *           type: array
+ *           description: Payments recorded against the settlement
+ *           items:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [card, bank_transfer, cash, app_balance, other]
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *               recordedBy:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               reference:
+ *                 type: string
+ *                 description: ID of the payment in the system that made it, e.g. a wallet transfer
+ *         installmentPlan:
+ *           type: object
+ *           description: Schedule the remaining amount is due on
+ *           properties:
+ *             frequency:
+ *               type: string
+ *               enum: [weekly, biweekly, monthly]
+ *             createdBy:
+ *               type: string
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *             installments:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   number:
+ *                     type: integer
+ *                   amount:
+ *                     type: number
+ *                   dueDate:
+ *                     type: string
+ *                     format: date-time
+ *                   amountPaid:
+ *                     type: number
+ *                   status:
+ *                     type: string
+ *                     enum: [pending, paid]
+ *                   paidAt:
+ *                     type: string
+ *                     format: date-time
+ *         confirmation:
+ *           type: object
+ *           description: Payer marking the settlement sent and the receiver confirming it
+ *           properties:
+ *             sentAt:
+ *               type: string
+ *               format: date-time
+ *             sentBy:
+ *               type: string
+ *             paymentAmount:
+ *               type: number
+ *               description: Payment the payer recorded when it was sent; unset when the whole settlement was marked sent
+ *             confirmedAt:
+ *               type: string
+ *               format: date-time
+ *             confirmedBy:
+ *               type: string
+ *             escalatedAt:
+ *               type: string
+ *               format: date-time
+ *         dispute:
+ *           type: object
+ *           description: Dispute raised by the receiver and its message thread
+ *           properties:
+ *             reason:
+ *               type: string
+ *             openedBy:
+ *               type: string
+ *             openedAt:
+ *               type: string
+ *               format: date-time
+ *             resolvedAt:
+ *               type: string
+ *               format: date-time
+ *             resolution:
+ *               type: string
+ *               enum: [completed, cancelled]
+ *             messages:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   authorId:
+ *                     type: string
+ *                   message:
+ *                     type: string
+ *                   attachments:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         url:
+ *                           type: string
+ *                         filename:
+ *                           type: string
+ *                         contentType:
+ *                           type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *         auditLog:
+ *           type: array
+ *           description: Every status change and confirmation step, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *               actorId:
+ *                 type: string
+ *                 description: User who made the change, or "system"
+ *               fromStatus:
+ *                 type: string
+ *               toStatus:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
  *         paymentStatus:
  *           type: string
  *           enum: [not_started, awaiting_payment, processing, succeeded, failed, refunded]
@@ -83,6 +223,125 @@
 
 const mongoose = require('mongoose');
 
+const PAYMENT_METHODS = ['card', 'bank_transfer', 'cash', 'app_balance', 'other'];
+
+const PaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true
+  },
+  paidAt: {
+    type: Date,
+    required: true
+  },
+  recordedBy: {
+    type: String,
+    required: true
+  },
+  notes: {
+    type: String
+  },
+  // ID of the payment in the system that made it, e.g. a wallet transfer
+  reference: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const InstallmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  paidAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+const AttachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String
+  },
+  contentType: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+const DisputeMessageSchema = new mongoose.Schema({
+  authorId: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String
+  },
+  attachments: {
+    type: [AttachmentSchema],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const AuditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actorId: {
+    type: String,
+    required: true
+  },
+  fromStatus: {
+    type: String
+  },
+  toStatus: {
+    type: String
+  },
+  note: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
 const SettlementSchema = new mongoose.Schema({
   payerId: {
     type: String,
@@ -108,9 +367,86 @@ const SettlementSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'cancelled', 'processing', 'failed'],
+    enum: ['pending', 'partially_paid', 'sent', 'disputed', 'escalated', 'completed', 'cancelled', 'processing', 'failed'],
     default: 'pending'
   },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  remainingAmount: {
+    type: Number,
+    min: 0
+  },
+  payments: {
+    type: [PaymentSchema],
+    default: []
+  },
+  installmentPlan: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly', 'monthly']
+    },
+    createdBy: {
+      type: String
+    },
+    createdAt: {
+      type: Date
+    },
+    installments: {
+      type: [InstallmentSchema],
+      default: undefined
+    }
+  },
+  confirmation: {
+    sentAt: {
+      type: Date
+    },
+    sentBy: {
+      type: String
+    },
+    // Payment the payer recorded when it was sent; unset when the whole
+    // settlement was marked sent
+    paymentAmount: {
+      type: Number
+    },
+    confirmedAt: {
+      type: Date
+    },
+    confirmedBy: {
+      type: String
+    },
+    escalatedAt: {
+      type: Date
+    }
+  },
+  dispute: {
+    reason: {
+      type: String
+    },
+    openedBy: {
+      type: String
+    },
+    openedAt: {
+      type: Date
+    },
+    resolvedAt: {
+      type: Date
+    },
+    resolution: {
+      type: String,
+      enum: ['completed', 'cancelled']
+    },
+    messages: {
+      type: [DisputeMessageSchema],
+      default: undefined
+    }
+  },
+  auditLog: {
+    type: [AuditEntrySchema],
+    default: []
+  },
   paymentStatus: {
     type: String,
     enum: ['not_started', 'awaiting_payment', 'processing', 'succeeded', 'failed', 'refunded'],
@@ -118,7 +454,7 @@ const SettlementSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['card', 'bank_transfer', 'cash', 'app_balance', 'other'],
+    enum: PAYMENT_METHODS,
   },
   paymentIntentId: {
     type: String
@@ -146,6 +482,14 @@ const SettlementSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// A new settlement has everything left to pay
+SettlementSchema.pre('validate', function(next) {
+  if (this.remainingAmount === undefined || this.remainingAmount === null) {
+    this.remainingAmount = Math.max(0, Math.round((this.amount - (this.amountPaid || 0)) * 100) / 100);
+  }
+  next();
+});
+
 // Indexes for faster queries
 SettlementSchema.index({ payerId: 1 });
 SettlementSchema.index({ receiverId: 1 });
@@ -169,4 +513,5 @@ SettlementSchema.methods.toJSON = function() {
 
 const Settlement = mongoose.model('Settlement', SettlementSchema);
 
-module.exports = Settlement; 
\ No newline at end of file
+module.exports = Settlement;
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
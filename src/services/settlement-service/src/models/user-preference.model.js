@@ -23,9 +23,9 @@
  *           default: "USD"
  *         settlementAlgorithm:
  *           type: string
- *           enum: [minCashFlow, greedy, friendPreference]
- *           default: "minCashFlow"
- *           description: Preferred settlement algorithm
+ *           nullable: true
+ *           default: null
+ *           description: Preferred settlement algorithm, or null to follow the group's settlement policy
  *         notifications:
  *           type: object
  *           properties:
@@ -98,6 +98,7 @@
  */
 
 const mongoose = require('mongoose');
+const { hasAlgorithm } = require('../algorithms/algorithm-registry');
 
 const UserPreferenceSchema = new mongoose.Schema({
   userId: {
@@ -112,8 +113,11 @@ const UserPreferenceSchema = new mongoose.Schema({
   },
   settlementAlgorithm: {
     type: String,
-    enum: ['minCashFlow', 'greedy', 'friendPreference'],
-    default: 'minCashFlow'
+    default: null,
+    validate: {
+      validator: value => value === null || hasAlgorithm(value),
+      message: props => `${props.value} is not a registered settlement algorithm`
+    }
   },
   notifications: {
     email: {
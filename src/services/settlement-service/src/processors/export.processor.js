@@ -0,0 +1,64 @@
+/**
+ * Export Processor
+ *
+ * Builds queued exports and deletes the files of expired ones
+ */
+
+const { exportQueue } = require('../services/job-queue.service');
+const exportJobService = require('../services/export-job.service');
+
+const PURGE_JOB_NAME = 'purge-expired-exports';
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+
+/**
+ * Process an export job
+ * @param {Object} job - Bull job object
+ * @returns {Promise<Object|null>} - Finished export job
+ */
+async function processExportJob(job) {
+  const { exportJobId } = job.data;
+
+  console.log(`Processing export job ${exportJobId}`);
+
+  // Leave the export queued while Bull still has retries left
+  const isFinalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+  return exportJobService.runExportJob(exportJobId, { isFinalAttempt });
+}
+
+/**
+ * Delete the files of exports whose download links have expired
+ * @returns {Promise<Object>} - Number of exports expired
+ */
+async function processPurgeJob() {
+  const expired = await exportJobService.purgeExpiredExports();
+
+  return { expired };
+}
+
+// Register the processors with the queue
+exportQueue.process(processExportJob);
+exportQueue.process(PURGE_JOB_NAME, processPurgeJob);
+
+// The fixed job ID keeps a single schedule across restarts
+exportQueue.add(PURGE_JOB_NAME, {}, {
+  repeat: { every: PURGE_INTERVAL_MS },
+  jobId: PURGE_JOB_NAME
+}).catch(error => {
+  console.error('Failed to schedule export purge job:', error);
+});
+
+// Handle job completion
+exportQueue.on('completed', (job, result) => {
+  console.log(`Export job ${job.id} completed with result:`, result);
+});
+
+// Handle job failures
+exportQueue.on('failed', (job, error) => {
+  console.error(`Export job ${job.id} failed with error:`, error);
+});
+
+module.exports = {
+  processExportJob,
+  processPurgeJob
+};
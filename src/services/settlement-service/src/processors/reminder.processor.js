@@ -21,7 +21,7 @@ const reminderCounter = {
  * @returns {Promise<Object>} - Result of the reminder processing
  */
 async function processSettlementReminder(job) {
-  const { settlementId, userId, dueDate, reminderType } = job.data;
+  const { settlementId, userId, dueDate, reminderType, installmentNumber } = job.data;
   
   try {
     console.log(`Processing ${reminderType} reminder for settlement ${settlementId}`);
@@ -35,19 +35,31 @@ async function processSettlementReminder(job) {
     }
     
     // Skip if the settlement is already completed or cancelled
-    if (settlement.status !== 'pending') {
+    if (settlement.status !== 'pending' && settlement.status !== 'partially_paid') {
       console.log(`Settlement ${settlementId} is ${settlement.status}, skipping reminder`);
       return { success: true, status: settlement.status, skipped: true };
     }
     
+    // Installment reminders stop once the installment is paid
+    let installment = null;
+    if (installmentNumber) {
+      const installments = (settlement.installmentPlan && settlement.installmentPlan.installments) || [];
+      installment = installments.find(item => item.number === installmentNumber);
+      
+      if (!installment || installment.status === 'paid') {
+        console.log(`Installment ${installmentNumber} of settlement ${settlementId} is paid, skipping reminder`);
+        return { success: true, status: settlement.status, skipped: true };
+      }
+    }
+    
     // Get user details (in a real app, you would get this from the user service)
     const userEmail = await getUserEmail(userId);
     
     // Send email notification for the reminder
-    await sendReminderEmail(userId, userEmail, settlement, reminderType);
+    await sendReminderEmail(userId, userEmail, settlement, reminderType, installment);
     
     // Schedule follow-up reminder if needed
-    await scheduleFollowupReminder(settlement, userId, reminderType);
+    await scheduleFollowupReminder(settlement, userId, reminderType, dueDate, installmentNumber);
     
     // Record successful reminder
     reminderCounter.inc({ type: reminderType, status: 'success' });
@@ -85,20 +97,27 @@ async function getUserEmail(userId) {
  * @param {string} email - User email
  * @param {Object} settlement - Settlement details
  * @param {string} reminderType - Type of reminder
+ * @param {Object} [installment] - Installment the reminder is for
  * @returns {Promise<void>}
  */
-async function sendReminderEmail(userId, email, settlement, reminderType) {
+async function sendReminderEmail(userId, email, settlement, reminderType, installment) {
+  // Installment reminders ask for what is still due on the installment
+  const amount = installment
+    ? Math.round((installment.amount - (installment.amountPaid || 0)) * 100) / 100
+    : (settlement.remainingAmount ?? settlement.amount);
+  
   // Prepare email notification data based on reminder type
   const emailData = {
     userId,
     email,
-    subject: getEmailSubject(reminderType, settlement),
+    subject: getEmailSubject(reminderType, { amount, currency: settlement.currency }),
     templateType: `settlement_${reminderType}_reminder`,
     templateData: {
       settlementId: settlement.id,
-      amount: settlement.amount,
+      amount,
       currency: settlement.currency,
-      dueDate: settlement.dueDate,
+      dueDate: installment ? installment.dueDate : settlement.dueDate,
+      installmentNumber: installment ? installment.number : undefined,
       reminderType
     }
   };
@@ -129,11 +148,13 @@ function getEmailSubject(reminderType, settlement) {
  * @param {Object} settlement - Settlement details
  * @param {string} userId - User ID
  * @param {string} currentReminderType - Current reminder type
+ * @param {Date|string} [jobDueDate] - Due date the reminder was scheduled for
+ * @param {number} [installmentNumber] - Installment the reminder is for
  * @returns {Promise<void>}
  */
-async function scheduleFollowupReminder(settlement, userId, currentReminderType) {
+async function scheduleFollowupReminder(settlement, userId, currentReminderType, jobDueDate, installmentNumber) {
   // Parse due date
-  const dueDate = new Date(settlement.dueDate || Date.now() + 86400000); // Default to 1 day if no due date
+  const dueDate = new Date(jobDueDate || settlement.dueDate || Date.now() + 86400000); // Default to 1 day if no due date
   const now = new Date();
   
   // Different timing strategies based on current reminder type
@@ -148,7 +169,8 @@ async function scheduleFollowupReminder(settlement, userId, currentReminderType)
         settlementId: settlement.id,
         userId,
         dueDate,
-        reminderType: 'followup'
+        reminderType: 'followup',
+        installmentNumber
       }, {
         delay: followupDate.getTime() - now.getTime()
       });
@@ -159,7 +181,8 @@ async function scheduleFollowupReminder(settlement, userId, currentReminderType)
       settlementId: settlement.id,
       userId,
       dueDate,
-      reminderType: 'final'
+      reminderType: 'final',
+      installmentNumber
     }, {
       delay: dueDate.getTime() - now.getTime()
     });
@@ -169,7 +192,8 @@ async function scheduleFollowupReminder(settlement, userId, currentReminderType)
       settlementId: settlement.id,
       userId,
       dueDate,
-      reminderType: 'overdue'
+      reminderType: 'overdue',
+      installmentNumber
     }, {
       delay: 86400000 // 1 day later
     });
@@ -46,6 +46,9 @@ async function processSettlementJob(job) {
       case 'periodic_reminder':
         result = await schedulePeriodicReminders(settlementId);
         break;
+      case 'confirmation_escalation':
+        result = await escalateUnconfirmedSettlement(settlementId, payload);
+        break;
       default:
         throw new Error(`Unknown process type: ${processType}`);
     }
@@ -194,6 +197,28 @@ async function checkPaymentStatus(settlementId) {
   };
 }
 
+/**
+ * Escalate a settlement the receiver has not confirmed or disputed
+ * @param {string} settlementId - Settlement ID
+ * @param {Object} payload - Job payload with the time the settlement was marked sent
+ * @returns {Promise<Object>} - Result of the escalation
+ */
+async function escalateUnconfirmedSettlement(settlementId, payload) {
+  const updatedSettlement = await settlementService.escalateUnconfirmedSettlement(settlementId, payload.sentAt);
+  
+  if (!updatedSettlement) {
+    return {
+      skipped: true,
+      reason: 'Settlement was confirmed, disputed or marked sent again'
+    };
+  }
+  
+  return {
+    escalated: true,
+    status: updatedSettlement.status
+  };
+}
+
 /**
  * Send a notification about a settlement
  * @param {string} settlementId - Settlement ID
@@ -289,7 +314,10 @@ async function notifyUser(userId, notificationType, settlement) {
     payment_confirmed: `Your payment of ${settlement.amount} ${settlement.currency} is confirmed`,
     payment_failed: `Your payment of ${settlement.amount} ${settlement.currency} has failed`,
     settlement_created: `New settlement: ${settlement.amount} ${settlement.currency}`,
-    settlement_updated: `Settlement updated: ${settlement.amount} ${settlement.currency}`
+    settlement_updated: `Settlement updated: ${settlement.amount} ${settlement.currency}`,
+    settlement_sent: `Please confirm you received ${settlement.amount} ${settlement.currency}`,
+    settlement_disputed: `Settlement of ${settlement.amount} ${settlement.currency} has been disputed`,
+    confirmation_escalated: `Settlement of ${settlement.amount} ${settlement.currency} is still waiting for confirmation`
   };
   
   const subject = subjects[notificationType] || `Settlement notification: ${settlement.amount} ${settlement.currency}`;
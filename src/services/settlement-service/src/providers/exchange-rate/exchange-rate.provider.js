@@ -0,0 +1,29 @@
+/**
+ * Exchange Rate Provider
+ * 
+ * Base class for exchange rate sources. Providers return the rates that
+ * were effective on a given day, expressed as units of each currency per
+ * one unit of the base currency.
+ */
+
+class ExchangeRateProvider {
+  /**
+   * @param {string} name - Provider name, stored alongside fetched rates
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Get the rates effective on a given day
+   * @param {string} baseCurrency - ISO 4217 base currency code
+   * @param {string} date - Day in YYYY-MM-DD format
+   * @returns {Promise<Object>} `{ base, date, rates }` where `date` is the day the
+   *   rates were published (may be earlier than requested on weekends and holidays)
+   */
+  async getRates(baseCurrency, date) {
+    throw new Error(`${this.constructor.name} must implement getRates(${baseCurrency}, ${date})`);
+  }
+}
+
+module.exports = ExchangeRateProvider;
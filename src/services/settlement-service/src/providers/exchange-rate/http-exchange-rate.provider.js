@@ -0,0 +1,54 @@
+/**
+ * HTTP Exchange Rate Provider
+ * 
+ * Adapter for Frankfurter-compatible rate APIs (`GET /{date}?from={base}`
+ * returning `{ base, date, rates }`). The URL and optional API key come from
+ * `EXCHANGE_RATE_API_URL` and `EXCHANGE_RATE_API_KEY`.
+ */
+
+const axios = require('axios');
+const ExchangeRateProvider = require('./exchange-rate.provider');
+const { ExternalServiceError } = require('../../../../../shared/errors');
+
+const DEFAULT_API_URL = 'https://api.frankfurter.app';
+
+class HttpExchangeRateProvider extends ExchangeRateProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.baseURL] - Rate API base URL
+   * @param {string} [options.apiKey] - API key sent in the `apikey` header
+   * @param {number} [options.timeout=5000] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    super('http');
+    const apiKey = options.apiKey || process.env.EXCHANGE_RATE_API_KEY;
+
+    this.client = axios.create({
+      baseURL: options.baseURL || process.env.EXCHANGE_RATE_API_URL || DEFAULT_API_URL,
+      timeout: options.timeout || 5000,
+      headers: apiKey ? { apikey: apiKey } : {}
+    });
+  }
+
+  async getRates(baseCurrency, date) {
+    try {
+      const response = await this.client.get(`/${date}`, {
+        params: { from: baseCurrency }
+      });
+      const { base, date: effectiveDate, rates } = response.data;
+
+      return {
+        base: base || baseCurrency,
+        date: effectiveDate || date,
+        rates: { ...rates, [baseCurrency]: 1 }
+      };
+    } catch (error) {
+      throw new ExternalServiceError(
+        `Failed to fetch exchange rates for ${baseCurrency} on ${date}: ${error.message}`,
+        'exchange-rate-api'
+      );
+    }
+  }
+}
+
+module.exports = HttpExchangeRateProvider;
@@ -0,0 +1,37 @@
+/**
+ * Exchange Rate Providers
+ * 
+ * Selects the provider named by `EXCHANGE_RATE_PROVIDER` (local or http)
+ */
+
+const ExchangeRateProvider = require('./exchange-rate.provider');
+const LocalExchangeRateProvider = require('./local-exchange-rate.provider');
+const HttpExchangeRateProvider = require('./http-exchange-rate.provider');
+
+const providers = {
+  local: LocalExchangeRateProvider,
+  http: HttpExchangeRateProvider
+};
+
+/**
+ * Create an exchange rate provider
+ * @param {string} [name] - Provider name; defaults to `EXCHANGE_RATE_PROVIDER` or local
+ * @param {Object} [options] - Provider specific options
+ * @returns {ExchangeRateProvider} Provider instance
+ */
+function createExchangeRateProvider(name = process.env.EXCHANGE_RATE_PROVIDER || 'local', options = {}) {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown exchange rate provider: ${name}. Supported providers: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  ExchangeRateProvider,
+  LocalExchangeRateProvider,
+  HttpExchangeRateProvider,
+  createExchangeRateProvider
+};
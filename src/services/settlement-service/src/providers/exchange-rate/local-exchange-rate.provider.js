@@ -0,0 +1,76 @@
+/**
+ * Local Exchange Rate Provider
+ * 
+ * Serves rates from a JSON file (or an in-memory table) so development and
+ * tests never depend on a third-party API. The table is keyed by day:
+ * 
+ *   { "base": "USD", "rates": { "2024-01-02": { "EUR": 0.91, "GBP": 0.79 } } }
+ * 
+ * A request for a day without rates uses the latest earlier day, the same
+ * way published reference rates carry over weekends and holidays.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExchangeRateProvider = require('./exchange-rate.provider');
+const { NotFoundError } = require('../../../../../shared/errors');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '../../config/exchange-rates.json');
+
+class LocalExchangeRateProvider extends ExchangeRateProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.filePath] - JSON file with historical rates
+   * @param {Object} [options.table] - Rates table to use instead of a file
+   */
+  constructor(options = {}) {
+    super('local');
+    this.filePath = options.filePath || process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+    this.table = options.table || null;
+  }
+
+  /**
+   * Load the rates table, reading the file on first use
+   * @returns {Object} Rates table
+   * @private
+   */
+  _getTable() {
+    if (!this.table) {
+      this.table = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+    return this.table;
+  }
+
+  async getRates(baseCurrency, date) {
+    const table = this._getTable();
+    const effectiveDate = Object.keys(table.rates)
+      .filter(day => day <= date)
+      .sort()
+      .pop();
+
+    if (!effectiveDate) {
+      throw new NotFoundError(`No exchange rates available on or before ${date}`);
+    }
+
+    const tableRates = { ...table.rates[effectiveDate], [table.base]: 1 };
+    const baseRate = tableRates[baseCurrency];
+
+    if (!baseRate) {
+      throw new NotFoundError(`No exchange rates available for base currency ${baseCurrency}`);
+    }
+
+    // Rebase the table when a different base currency is requested
+    const rates = {};
+    Object.entries(tableRates).forEach(([currency, rate]) => {
+      rates[currency] = rate / baseRate;
+    });
+
+    return {
+      base: baseCurrency,
+      date: effectiveDate,
+      rates
+    };
+  }
+}
+
+module.exports = LocalExchangeRateProvider;
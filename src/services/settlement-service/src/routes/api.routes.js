@@ -13,6 +13,8 @@ const settlementRoutes = require('./settlement.routes');
 const paymentRoutes = require('./payment.routes');
 const userPreferenceRoutes = require('./user-preference.routes');
 const exportRoutes = require('./export.routes');
+const currencyRoutes = require('./currency.routes');
+const internalRoutes = require('./internal.routes');
 
 // Middleware to extract API version
 router.use(extractVersion);
@@ -26,6 +28,7 @@ router.use('/v1/settlements', settlementRoutes);
 router.use('/v1/payments', paymentRoutes);
 router.use('/v1/preferences', userPreferenceRoutes);
 router.use('/v1/export', exportRoutes);
+router.use('/v1/currencies', currencyRoutes);
 
 // Compatibility mode: Map the unversioned routes to v1 for backward compatibility
 // This allows existing clients to continue using the API without version prefix
@@ -33,11 +36,23 @@ router.use('/settlements', settlementRoutes);
 router.use('/payments', paymentRoutes);
 router.use('/preferences', userPreferenceRoutes);
 router.use('/export', exportRoutes);
+router.use('/currencies', currencyRoutes);
+
+// Service-to-service routes are not versioned
+router.use('/internal', internalRoutes);
+
+/**
+ * API Version 2 Routes
+ *
+ * Settlement routes pick their v2 handlers through versionRoute and fall
+ * back to v1 for endpoints that have not changed.
+ */
+router.use('/v2/settlements', settlementRoutes);
 
 /**
  * For future versions, add new versioned routes here:
  * Example:
- * router.use('/v2/settlements', v2SettlementRoutes);
+ * router.use('/v3/settlements', v3SettlementRoutes);
  */
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Currency Routes
+ * 
+ * Defines API routes for exchange rates
+ */
+
+const express = require('express');
+const router = express.Router();
+const currencyController = require('../controllers/currency.controller');
+const { authenticate } = require('../../../../shared/middleware');
+
+/**
+ * @swagger
+ * /api/currencies/rates:
+ *   get:
+ *     summary: Get exchange rates
+ *     description: Returns the exchange rates effective on a day, as units of each currency per one unit of the base currency
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: base
+ *         schema:
+ *           type: string
+ *         description: Base currency code (defaults to USD)
+ *       - in: query
+ *         name: symbols
+ *         schema:
+ *           type: string
+ *         description: Comma-separated currency codes to include
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day the rates should be effective on (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Exchange rates
+ *       400:
+ *         description: Invalid currency or date
+ */
+router.get('/rates', authenticate, currencyController.getRates);
+
+/**
+ * @swagger
+ * /api/currencies/convert:
+ *   get:
+ *     summary: Convert an amount
+ *     description: Converts an amount between currencies at the rate effective on a day
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Converted amount
+ */
+router.get('/convert', authenticate, currencyController.convertAmount);
+
+module.exports = router;
@@ -1,26 +1,268 @@
 /**
  * Export Routes
- * 
+ *
  * Defines API routes for data export operations
  */
 
 const express = require('express');
 const router = express.Router();
+const exportController = require('../controllers/export.controller');
+const { authenticate } = require('../../../../shared/middleware');
 
-// Super simplified route handlers
-router.get('/user', function(req, res) {
-  res.json({
-    success: true,
-    message: 'User export functionality is under development'
-  });
-});
-
-router.get('/group/:groupId', function(req, res) {
-  res.json({
-    success: true,
-    message: 'Group export functionality is under development',
-    groupId: req.params.groupId
-  });
-});
-
-module.exports = router; 
\ No newline at end of file
+/**
+ * @swagger
+ * tags:
+ *   name: Export
+ *   description: Settlement data exports and statements
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ExportFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [csv, excel, json, pdf, ofx, qif]
+ *         default: csv
+ *       description: >
+ *         csv, excel and json export raw settlement data. pdf is a statement with
+ *         balances, charts, settlements and expenses; ofx and qif contain your
+ *         payments for import into budgeting apps.
+ *     StatementMonth:
+ *       in: query
+ *       name: month
+ *       schema:
+ *         type: string
+ *         example: 2024-03
+ *       description: Month a pdf, ofx or qif statement covers (defaults to the current month, or dateFrom/dateTo)
+ */
+
+/**
+ * @swagger
+ * /api/export/user:
+ *   get:
+ *     summary: Export the current user's settlements
+ *     tags: [Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/StatementMonth'
+ *       - in: query
+ *         name: dataType
+ *         schema:
+ *           type: string
+ *           enum: [settlements, balances, all]
+ *       - in: query
+ *         name: detailLevel
+ *         schema:
+ *           type: string
+ *           enum: [basic, detailed, full]
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [paid, received, all]
+ *     responses:
+ *       200:
+ *         description: Export file, or JSON data for the json format
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get('/user', authenticate, exportController.exportUserSettlements);
+
+/**
+ * @swagger
+ * /api/export/group/{groupId}:
+ *   get:
+ *     summary: Export a group's settlements
+ *     description: OFX and QIF files contain the group's payments from the current user's point of view.
+ *     tags: [Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/StatementMonth'
+ *       - in: query
+ *         name: detailLevel
+ *         schema:
+ *           type: string
+ *           enum: [basic, detailed, full]
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export file, or JSON data for the json format
+ *       400:
+ *         description: Invalid parameters
+ *       403:
+ *         description: User is not a member of the group (pdf, ofx and qif statements)
+ */
+router.get('/group/:groupId', authenticate, exportController.exportGroupSettlements);
+
+/**
+ * @swagger
+ * /api/export/jobs:
+ *   post:
+ *     summary: Start a background export
+ *     description: >
+ *       Builds the export in the background, for exports too large to download
+ *       directly. Poll the job for its status; when it completes, the user is
+ *       emailed and the job includes a signed download link that expires after
+ *       EXPORT_LINK_TTL_HOURS.
+ *     tags: [Export]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [user, group]
+ *                 default: user
+ *               groupId:
+ *                 type: string
+ *                 description: Required for group exports
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json, pdf, ofx, qif]
+ *                 default: csv
+ *               detailLevel:
+ *                 type: string
+ *                 enum: [basic, detailed, full]
+ *               type:
+ *                 type: string
+ *                 enum: [paid, received, all]
+ *               dateFrom:
+ *                 type: string
+ *                 format: date
+ *               dateTo:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *               month:
+ *                 type: string
+ *                 example: 2024-03
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ExportJobModel'
+ *       400:
+ *         description: Invalid parameters
+ */
+router.post('/jobs', authenticate, exportController.createExportJob);
+
+/**
+ * @swagger
+ * /api/export/jobs/{jobId}:
+ *   get:
+ *     summary: Get the status of a background export
+ *     tags: [Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export job, with a downloadUrl once it has completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ExportJobModel'
+ *       403:
+ *         description: The export belongs to another user
+ *       404:
+ *         description: Export job not found
+ */
+router.get('/jobs/:jobId', authenticate, exportController.getExportJob);
+
+/**
+ * @swagger
+ * /api/export/artifacts/{key}:
+ *   get:
+ *     summary: Download a finished export
+ *     description: Use the downloadUrl from the export job. The signature authorizes the download, so no token is needed.
+ *     tags: [Export]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       403:
+ *         description: The link is invalid or has expired
+ *       404:
+ *         description: The file is no longer available
+ */
+router.get('/artifacts/:key', exportController.downloadExportArtifact);
+
+module.exports = router;
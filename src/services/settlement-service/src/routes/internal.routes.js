@@ -0,0 +1,61 @@
+/**
+ * Internal Routes
+ * 
+ * Service-to-service routes. Callers must send the shared service key.
+ */
+
+const express = require('express');
+const router = express.Router();
+const settlementController = require('../controllers/settlement.controller');
+const currencyController = require('../controllers/currency.controller');
+const { requireServiceAuth } = require('../../../../shared/middleware/service-auth.middleware');
+
+router.use(requireServiceAuth());
+
+/**
+ * Called by expense-service whenever an expense in the group is created,
+ * updated or deleted so the next debt graph reflects the change
+ */
+router.post('/groups/:groupId/debt-graph/invalidate', settlementController.invalidateGroupDebtGraph);
+
+/**
+ * Called by user-service whenever a user blocks or unblocks another, so
+ * suggestions never pair blocked users
+ */
+router.post('/suggestions/invalidate', settlementController.invalidateSuggestions);
+
+/**
+ * Settlements paid towards in a group, with their payments, used by
+ * expense-service to calculate current and historical balances
+ */
+router.get('/groups/:groupId/settlements', settlementController.getBalanceSettlements);
+
+/**
+ * A settlement, read by payment-service before a wallet transfer pays it
+ */
+router.get('/settlements/:settlementId', settlementController.getSettlementById);
+
+/**
+ * Called by payment-service when a wallet transfer has paid a settlement
+ */
+router.post('/settlements/:settlementId/wallet-payments', settlementController.recordWalletPayment);
+
+/**
+ * Called by payment-service when a bank transaction was matched to a
+ * settlement, automatically or by the user accepting the match
+ */
+router.post('/settlements/:settlementId/bank-payments', settlementController.recordBankPayment);
+
+/**
+ * Settlements a user still has to pay or be paid, matched by
+ * payment-service against the user's bank transactions
+ */
+router.get('/users/:userId/settlements', settlementController.getPayableSettlements);
+
+/**
+ * Daily exchange rates, used by expense-service to convert each expense
+ * at the rate effective on its date
+ */
+router.get('/currencies/rates', currencyController.getRates);
+
+module.exports = router;
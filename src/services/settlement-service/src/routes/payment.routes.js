@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/payment.controller');
 const { authenticate } = require('../../../../shared/middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 
 /**
  * @swagger
@@ -91,6 +92,13 @@ router.post('/:settlementId/payments', authenticate, paymentController.createPay
  *           type: string
  *         required: true
  *         description: Settlement ID
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         required: false
+ *         description: Unique key for the request. Repeats with the same key return the first response.
  *     requestBody:
  *       required: true
  *       content:
@@ -129,8 +137,10 @@ router.post('/:settlementId/payments', authenticate, paymentController.createPay
  *                       type: boolean
  *                     paymentIntentClientSecret:
  *                       type: string
+ *       409:
+ *         description: Idempotency-Key was used for a different request or its first request is still processing
  */
-router.post('/:settlementId/payments/process', authenticate, paymentController.processPayment);
+router.post('/:settlementId/payments/process', authenticate, idempotent(), paymentController.processPayment);
 
 /**
  * @swagger
@@ -10,6 +10,7 @@ const settlementController = require('../controllers/settlement.controller');
 const { authenticate } = require('../../../../shared/middleware');
 const { cacheResponse, generateGroupCacheKey, generateSuggestionsCacheKey } = require('../middleware/cache.middleware');
 const { versionRoute } = require('../middleware/versioning.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const { createVersionedMethodHandlers } = require('../utils/version.utils');
 
 // Cache durations (in seconds)
@@ -21,8 +22,7 @@ const CACHE_DURATIONS = {
   ALGORITHM_COMPARISON: 10 * 60  // 10 minutes for algorithm comparisons
 };
 
-// Example of a versioned route
-// This is just to demonstrate the pattern - only v1 is implemented now
+// Settlement suggestions have a v2 that accepts constraints
 const getSettlementSuggestionsHandlers = createVersionedMethodHandlers('settlement', 'getSettlementSuggestions');
 
 /**
@@ -101,16 +101,19 @@ const getSettlementSuggestionsHandlers = createVersionedMethodHandlers('settleme
  *         name: algorithm
  *         schema:
  *           type: string
- *           enum: [minCashFlow, greedy, friendOptimized]
- *           default: minCashFlow
- *         description: Algorithm to use for settlement optimization
+ *         description: >
+ *           Registered algorithm to use (see /api/v1/settlements/algorithms). Defaults to the
+ *           user's preferred algorithm where the group's settlement policy allows it, otherwise
+ *           the group's algorithm.
  *       - in: query
  *         name: includeFriendships
  *         schema:
  *           type: string
  *           enum: [true, false]
  *           default: false
- *         description: Whether to include friendship strengths in calculations
+ *         description: >
+ *           Deprecated. Friendship strengths are always used, so members who blocked
+ *           each other are never asked to pay each other.
  *       - in: query
  *         name: includeExplanation
  *         schema:
@@ -141,6 +144,72 @@ const getSettlementSuggestionsHandlers = createVersionedMethodHandlers('settleme
  *                       type: string
  *                     algorithm:
  *                       type: string
+ *                     algorithmSource:
+ *                       type: string
+ *                       enum: [request, member, group, default]
+ *                       description: Whether the algorithm was requested, the user's preference, the group's or the default
+ *       400:
+ *         description: Unknown algorithm, or one the group's settlement policy does not allow
+ *       409:
+ *         description: Members who blocked each other owe each other and no other member can pass on the payment
+ */
+/**
+ * @swagger
+ * /api/v2/settlements/suggestions/{groupId}:
+ *   get:
+ *     summary: Get settlement suggestions for a group with constraints
+ *     description: >
+ *       Returns settlement suggestions adjusted to the given constraints, with the
+ *       reasoning behind each suggested transfer. Also available on the v1 path
+ *       with the X-API-Version header set to v2.
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Group ID
+ *       - in: query
+ *         name: algorithm
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Registered algorithm to use (see /api/v1/settlements/algorithms). Defaults to the
+ *           user's preferred algorithm where the group's settlement policy allows it, otherwise
+ *           the group's algorithm.
+ *       - in: query
+ *         name: excludePairs
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         description: Pairs of members who must not transact with each other, as userA:userB
+ *       - in: query
+ *         name: paymentMethods
+ *         style: deepObject
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         description: Comma-separated preferred payment methods per user, e.g. paymentMethods[userId]=venmo,paypal
+ *       - in: query
+ *         name: maxTransferAmount
+ *         schema:
+ *           type: number
+ *         description: Largest amount a single transfer may move; larger transfers are split
+ *       - in: query
+ *         name: bankerId
+ *         schema:
+ *           type: string
+ *         description: Member who collects all payments and pays out everyone who is owed
+ *     responses:
+ *       200:
+ *         description: Settlement suggestions with reasoning for each transfer
+ *       400:
+ *         description: Invalid constraints, or excluded pairs that cannot be routed around
  */
 router.get(
   '/suggestions/:groupId', 
@@ -149,6 +218,182 @@ router.get(
   versionRoute(getSettlementSuggestionsHandlers)
 );
 
+/**
+ * @swagger
+ * /api/v1/settlements/algorithms:
+ *   get:
+ *     summary: List settlement algorithms
+ *     description: Returns the registered algorithms groups and users can choose for settlement suggestions
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered algorithms
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       usesFriendships:
+ *                         type: boolean
+ */
+router.get('/algorithms', authenticate, settlementController.listAlgorithms);
+
+/**
+ * @swagger
+ * /api/v1/settlements/friendships/{groupId}:
+ *   get:
+ *     summary: Get friendship strengths in a group
+ *     description: >
+ *       Returns the strength, from 0 to 1, of each connection between the group's members.
+ *       Friends start at 0.5, and shared expenses and past settlements add the rest. Members
+ *       who blocked each other have strength 0 and are never paired in suggestions.
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Friendship strengths, strongest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     groupId:
+ *                       type: string
+ *                     friendships:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user1:
+ *                             type: string
+ *                           user2:
+ *                             type: string
+ *                           strength:
+ *                             type: number
+ *                           isFriend:
+ *                             type: boolean
+ *                           blocked:
+ *                             type: boolean
+ *                           sharedExpenses:
+ *                             type: integer
+ *                           settlements:
+ *                             type: integer
+ *                     blockedPairs:
+ *                       type: array
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       403:
+ *         description: User is not a member of the group
+ */
+router.get('/friendships/:groupId', authenticate, settlementController.getFriendshipStrengths);
+
+/**
+ * @swagger
+ * /api/v1/settlements/policy/{groupId}:
+ *   get:
+ *     summary: Get a group's settlement policy
+ *     description: Returns the algorithm used for the group's settlement suggestions and whether members may override it
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Settlement policy, or the default policy if the group has none
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/GroupSettlementPolicy'
+ */
+router.get('/policy/:groupId', authenticate, settlementController.getGroupSettlementPolicy);
+
+/**
+ * @swagger
+ * /api/v1/settlements/policy/{groupId}:
+ *   put:
+ *     summary: Update a group's settlement policy
+ *     description: >
+ *       Sets the algorithm used for the group's settlement suggestions and whether members'
+ *       own algorithm preferences apply. Only group admins can change the policy.
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               algorithm:
+ *                 type: string
+ *                 description: Registered algorithm for the group
+ *               allowMemberOverrides:
+ *                 type: boolean
+ *                 description: Whether members' preferred algorithms apply to their suggestions
+ *               overrideAlgorithms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Algorithms members may override with, empty for any
+ *     responses:
+ *       200:
+ *         description: Updated settlement policy
+ *       400:
+ *         description: Unknown algorithm or invalid policy
+ *       403:
+ *         description: The user is not an admin of the group
+ */
+router.put('/policy/:groupId', authenticate, settlementController.updateGroupSettlementPolicy);
+
 /**
  * @swagger
  * /api/settlements:
@@ -158,6 +403,14 @@ router.get(
  *     tags: [Settlements]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         required: false
+ *         description: Unique key for the request. Repeats with the same key return the first response.
  *     requestBody:
  *       required: true
  *       content:
@@ -195,8 +448,10 @@ router.get(
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Settlement'
+ *       409:
+ *         description: Idempotency-Key was used for a different request or its first request is still processing
  */
-router.post('/', authenticate, settlementController.createSettlement);
+router.post('/', authenticate, idempotent(), settlementController.createSettlement);
 
 /**
  * @swagger
@@ -308,7 +563,10 @@ router.get(
  * /api/settlements/{settlementId}/status:
  *   patch:
  *     summary: Update a settlement's status
- *     description: Update the status of a settlement to pending, completed, or cancelled
+ *     description: >
+ *       Update the status of a settlement to pending, completed, or cancelled.
+ *       Only the receiver can complete a settlement, and only changes allowed
+ *       from the settlement's current status are accepted.
  *     tags: [Settlements]
  *     security:
  *       - bearerAuth: []
@@ -331,6 +589,9 @@ router.get(
  *               status:
  *                 type: string
  *                 enum: [pending, completed, cancelled]
+ *               note:
+ *                 type: string
+ *                 description: Note recorded in the audit log
  *     responses:
  *       200:
  *         description: Settlement status updated
@@ -343,9 +604,299 @@ router.get(
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Settlement'
+ *       400:
+ *         description: The settlement cannot change to this status
+ *       403:
+ *         description: User may not make this change
+ *       409:
+ *         description: The settlement was updated at the same time
  */
 router.patch('/:settlementId/status', authenticate, settlementController.updateSettlementStatus);
 
+/**
+ * @swagger
+ * /api/settlements/{settlementId}/sent:
+ *   post:
+ *     summary: Mark a settlement as sent
+ *     description: >
+ *       The payer marks a cash or off-platform settlement as sent. The receiver
+ *       then confirms or disputes it, and it is escalated if they do neither
+ *       within SETTLEMENT_CONFIRMATION_ESCALATION_HOURS.
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Settlement ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: How the money was sent
+ *     responses:
+ *       200:
+ *         description: Settlement marked as sent
+ *       400:
+ *         description: The settlement cannot be marked as sent
+ *       403:
+ *         description: User is not the payer
+ */
+router.post('/:settlementId/sent', authenticate, settlementController.markSettlementSent);
+
+/**
+ * @swagger
+ * /api/settlements/{settlementId}/confirm:
+ *   post:
+ *     summary: Confirm a settlement was received
+ *     description: The receiver confirms the money arrived, which completes the settlement and closes any dispute.
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Settlement ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Settlement completed
+ *       400:
+ *         description: The settlement cannot be confirmed
+ *       403:
+ *         description: User is not the receiver
+ */
+router.post('/:settlementId/confirm', authenticate, settlementController.confirmSettlement);
+
+/**
+ * @swagger
+ * /api/settlements/{settlementId}/dispute:
+ *   post:
+ *     summary: Dispute a settlement
+ *     description: >
+ *       The receiver disputes a settlement marked as sent, opening a thread
+ *       both parties can add messages and evidence to. The payer can mark it
+ *       sent again once the dispute is sorted out.
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Settlement ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               attachments:
+ *                 $ref: '#/components/schemas/DisputeAttachments'
+ *     responses:
+ *       200:
+ *         description: Settlement disputed
+ *       400:
+ *         description: Invalid dispute, or the settlement cannot be disputed
+ *       403:
+ *         description: User is not the receiver
+ */
+router.post('/:settlementId/dispute', authenticate, settlementController.disputeSettlement);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DisputeAttachments:
+ *       type: array
+ *       maxItems: 5
+ *       items:
+ *         type: object
+ *         required:
+ *           - url
+ *         properties:
+ *           url:
+ *             type: string
+ *             format: uri
+ *             description: http(s) link to the uploaded evidence
+ *           filename:
+ *             type: string
+ *           contentType:
+ *             type: string
+ * /api/settlements/{settlementId}/dispute/messages:
+ *   post:
+ *     summary: Add a message to a dispute
+ *     description: Adds a message with optional evidence attachments to the thread of a disputed settlement.
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Settlement ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               attachments:
+ *                 $ref: '#/components/schemas/DisputeAttachments'
+ *     responses:
+ *       201:
+ *         description: Message added
+ *       400:
+ *         description: Empty message, invalid attachments, or the settlement is not disputed
+ *       403:
+ *         description: User is not the payer or receiver
+ */
+router.post('/:settlementId/dispute/messages', authenticate, settlementController.addDisputeMessage);
+
+/**
+ * @swagger
+ * /api/settlements/{settlementId}/payments:
+ *   post:
+ *     summary: Record a payment towards a settlement
+ *     description: >
+ *       Records a full or partial payment. Recorded by the receiver, the settlement
+ *       is partially paid until its remaining amount reaches zero, at which point it
+ *       is completed. Recorded by the payer, the settlement is marked sent and waits
+ *       for the receiver to confirm the payment.
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Settlement ID
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         required: false
+ *         description: Unique key for the request. Repeats with the same key return the first response.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount paid, at most the remaining amount
+ *               method:
+ *                 type: string
+ *                 enum: [card, bank_transfer, cash, app_balance, other]
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the payment was made (defaults to now)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Invalid payment or settlement cannot receive payments
+ *       403:
+ *         description: User is not the payer or receiver
+ *       409:
+ *         description: >
+ *           Another payment was recorded at the same time, or the Idempotency-Key was used
+ *           for a different request or its first request is still processing
+ */
+router.post('/:settlementId/payments', authenticate, idempotent(), settlementController.recordPayment);
+
+/**
+ * @swagger
+ * /api/settlements/{settlementId}/installments:
+ *   post:
+ *     summary: Create an installment plan for a settlement
+ *     description: >
+ *       Splits the remaining amount of a settlement into installments due on a
+ *       regular schedule, and schedules a reminder to the payer for each one.
+ *     tags: [Settlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Settlement ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - count
+ *               - frequency
+ *               - startDate
+ *             properties:
+ *               count:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 60
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly, monthly]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Due date of the first installment
+ *     responses:
+ *       201:
+ *         description: Installment plan created
+ *       400:
+ *         description: Invalid plan, or the settlement already has one
+ *       403:
+ *         description: User is not the payer or receiver
+ */
+router.post('/:settlementId/installments', authenticate, settlementController.createInstallmentPlan);
+
 /**
  * @swagger
  * /api/settlements/user:
@@ -466,9 +1017,10 @@ router.get(
  *         name: algorithm
  *         schema:
  *           type: string
- *           enum: [minCashFlow, greedy, friendPreference]
- *           default: minCashFlow
- *         description: Algorithm to use for settlement optimization
+ *         description: >
+ *           Registered algorithm to use (see /api/v1/settlements/algorithms). Defaults to the
+ *           user's preferred algorithm where the group's settlement policy allows it, otherwise
+ *           the group's algorithm.
  *     responses:
  *       200:
  *         description: Detailed calculation breakdown
@@ -484,6 +1036,9 @@ router.get(
  *                   properties:
  *                     algorithm:
  *                       type: string
+ *                     algorithmSource:
+ *                       type: string
+ *                       enum: [request, member, group, default]
  *                     breakdown:
  *                       type: object
  *                     explanation:
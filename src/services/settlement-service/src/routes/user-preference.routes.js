@@ -34,7 +34,7 @@ const CACHE_DURATIONS = {
  *           description: Preferred currency code (e.g., USD, EUR)
  *         settlementAlgorithm:
  *           type: string
- *           enum: [minCashFlow, greedy, friendPreference]
+ *           enum: [minCashFlow, minTransactions, greedy, friendPreference]
  *           description: Preferred settlement algorithm
  *         notifications:
  *           type: object
@@ -128,7 +128,7 @@ router.get(
  *                 type: string
  *               settlementAlgorithm:
  *                 type: string
- *                 enum: [minCashFlow, greedy, friendPreference]
+ *                 enum: [minCashFlow, minTransactions, greedy, friendPreference]
  *               notifications:
  *                 type: object
  *               displaySettings:
@@ -332,7 +332,7 @@ router.post(
  *             properties:
  *               algorithm:
  *                 type: string
- *                 enum: [minCashFlow, greedy, friendPreference]
+ *                 enum: [minCashFlow, minTransactions, greedy, friendPreference]
  *                 description: Settlement algorithm preference
  *     responses:
  *       200:
@@ -0,0 +1,159 @@
+/**
+ * Artifact Store Service
+ *
+ * Stores export files on the local filesystem and hands out signed,
+ * expiring download links for them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { BadRequestError } = require('../../../../shared/errors');
+
+const ARTIFACT_DIR = process.env.EXPORT_ARTIFACT_DIR || path.join(os.tmpdir(), 'spendsync-exports');
+const DOWNLOAD_BASE_URL = process.env.EXPORT_DOWNLOAD_BASE_URL || '';
+const LINK_TTL_HOURS = Number(process.env.EXPORT_LINK_TTL_HOURS) || 24;
+
+// Keys are generated by the export service; anything else could escape the artifact directory
+const KEY_PATTERN = /^[A-Za-z0-9_-]+\.[a-z]+$/;
+
+/**
+ * Resolve the file path for an artifact key
+ * @param {string} key - Artifact key
+ * @returns {string} - Absolute file path
+ * @throws {BadRequestError} If the key is not a valid artifact key
+ */
+function getArtifactPath(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new BadRequestError('Invalid artifact key');
+  }
+  return path.join(ARTIFACT_DIR, key);
+}
+
+/**
+ * Open a stream to write an artifact
+ * @param {string} key - Artifact key
+ * @returns {Promise<fs.WriteStream>} - Write stream
+ */
+async function createWriteStream(key) {
+  const filePath = getArtifactPath(key);
+  await fs.promises.mkdir(ARTIFACT_DIR, { recursive: true });
+  return fs.createWriteStream(filePath);
+}
+
+/**
+ * Write an artifact in one go
+ * @param {string} key - Artifact key
+ * @param {Buffer|string} data - File contents
+ * @returns {Promise<void>}
+ */
+async function writeArtifact(key, data) {
+  const filePath = getArtifactPath(key);
+  await fs.promises.mkdir(ARTIFACT_DIR, { recursive: true });
+  await fs.promises.writeFile(filePath, data);
+}
+
+/**
+ * Get the size of a stored artifact
+ * @param {string} key - Artifact key
+ * @returns {Promise<number|null>} - Size in bytes, or null if there is no such artifact
+ */
+async function getArtifactSize(key) {
+  try {
+    const stats = await fs.promises.stat(getArtifactPath(key));
+    return stats.size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Open a stream to read an artifact
+ * @param {string} key - Artifact key
+ * @returns {fs.ReadStream} - Read stream
+ */
+function createReadStream(key) {
+  return fs.createReadStream(getArtifactPath(key));
+}
+
+/**
+ * Delete an artifact. Deleting one that does not exist is not an error.
+ * @param {string} key - Artifact key
+ * @returns {Promise<void>}
+ */
+async function removeArtifact(key) {
+  try {
+    await fs.promises.unlink(getArtifactPath(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Get when a link created now should expire
+ * @returns {Date} - Expiry time
+ */
+function getLinkExpiry() {
+  return new Date(Date.now() + LINK_TTL_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Sign an artifact key and expiry time
+ * @param {string} key - Artifact key
+ * @param {number} expires - Expiry time in milliseconds since the epoch
+ * @returns {string} - Hex signature
+ */
+function sign(key, expires) {
+  const secret = process.env.EXPORT_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('EXPORT_SIGNING_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+}
+
+/**
+ * Create a signed download link for an artifact
+ * @param {string} key - Artifact key
+ * @param {Date} expiresAt - When the link stops working
+ * @returns {string} - Download URL
+ */
+function createSignedUrl(key, expiresAt) {
+  const expires = new Date(expiresAt).getTime();
+  const signature = sign(key, expires);
+  return `${DOWNLOAD_BASE_URL}/api/export/artifacts/${encodeURIComponent(key)}?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Check a download link's signature and expiry
+ * @param {string} key - Artifact key
+ * @param {string|number} expires - Expiry time from the link
+ * @param {string} signature - Signature from the link
+ * @returns {boolean} - True if the link is genuine and has not expired
+ */
+function verifySignedUrl(key, expires, signature) {
+  const expiresAt = Number(expires);
+  if (!Number.isFinite(expiresAt) || expiresAt < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expiresAt), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  createWriteStream,
+  writeArtifact,
+  getArtifactSize,
+  createReadStream,
+  removeArtifact,
+  getLinkExpiry,
+  createSignedUrl,
+  verifySignedUrl
+};
@@ -7,6 +7,15 @@
 const redis = require('redis');
 const { metrics } = require('../config/monitoring');
 
+// Cache TTL constants (seconds)
+const CACHE_TTLs = {
+  settlement: 3600, // 1 hour
+  settlementList: 1800, // 30 minutes
+  debtGraph: 300, // 5 minutes
+  exchangeRates: 3600, // 1 hour
+  friendships: 3600 // 1 hour
+};
+
 // Helper function to determine if we should log
 const shouldLog = () => process.env.NODE_ENV !== 'test';
 
@@ -305,6 +314,7 @@ async function clearByPattern(pattern) {
 }
 
 module.exports = {
+  CACHE_TTLs,
   redisClient,
   generateCacheKey,
   get,
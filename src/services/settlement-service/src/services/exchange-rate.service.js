@@ -0,0 +1,194 @@
+/**
+ * Exchange Rate Service
+ * 
+ * Resolves daily exchange rates through the configured provider, keeps a
+ * history of every day that was requested, and converts amounts at the
+ * rate effective on a given date.
+ */
+
+const ExchangeRate = require('../models/exchange-rate.model');
+const { BadRequestError } = require('../../../../shared/errors');
+const { timers } = require('../config/monitoring');
+const cacheService = require('./cache.service');
+const { createExchangeRateProvider } = require('../providers/exchange-rate');
+
+const BASE_CURRENCY = process.env.EXCHANGE_RATE_BASE_CURRENCY || 'USD';
+
+let provider = null;
+
+/**
+ * Get the active provider, creating it on first use
+ * @returns {Object} Exchange rate provider
+ */
+function getProvider() {
+  if (!provider) {
+    provider = createExchangeRateProvider();
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (used by tests and alternative deployments)
+ * @param {Object} exchangeRateProvider - Provider implementing getRates(base, date)
+ */
+function setProvider(exchangeRateProvider) {
+  provider = exchangeRateProvider;
+}
+
+/**
+ * Normalize a date to a YYYY-MM-DD day, clamped to today
+ * @param {Date|string} [date] - Date to normalize (defaults to today)
+ * @returns {string} Day string
+ */
+function toRateDate(date) {
+  const today = new Date().toISOString().slice(0, 10);
+
+  if (!date) {
+    return today;
+  }
+
+  const parsed = new Date(date);
+  if (isNaN(parsed.getTime())) {
+    throw new BadRequestError(`Invalid date: ${date}`);
+  }
+
+  const day = parsed.toISOString().slice(0, 10);
+  return day > today ? today : day;
+}
+
+/**
+ * Get the rates effective on a day for a base currency
+ * @param {string} [baseCurrency] - Base currency code
+ * @param {Date|string} [date] - Day to get rates for (defaults to today)
+ * @returns {Promise<Object>} `{ base, date, effectiveDate, provider, rates }`
+ */
+async function getDailyRates(baseCurrency = BASE_CURRENCY, date) {
+  const base = baseCurrency.toUpperCase();
+  const day = toRateDate(date);
+  const cacheKey = cacheService.generateCacheKey('exchangeRates', base, { date: day });
+
+  return cacheService.cacheResult(
+    async () => {
+      const timer = timers.createDbTimer('findOne', 'exchangerates');
+      const stored = await ExchangeRate.findOne({ base, date: day });
+      timer();
+
+      if (stored) {
+        return {
+          base,
+          date: day,
+          effectiveDate: stored.effectiveDate,
+          provider: stored.provider,
+          rates: Object.fromEntries(stored.rates)
+        };
+      }
+
+      const rateProvider = getProvider();
+      const fetched = await rateProvider.getRates(base, day);
+      const dailyRates = {
+        base,
+        date: day,
+        effectiveDate: fetched.date,
+        provider: rateProvider.name,
+        rates: { ...fetched.rates, [base]: 1 }
+      };
+
+      await ExchangeRate.findOneAndUpdate(
+        { base, date: day },
+        dailyRates,
+        { upsert: true, new: true }
+      );
+
+      return dailyRates;
+    },
+    cacheKey,
+    cacheService.CACHE_TTLs.exchangeRates
+  );
+}
+
+/**
+ * Get the conversion rate between two currencies on a day
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @param {Date|string} [date] - Day of the conversion
+ * @returns {Promise<number>} Units of the target currency per unit of the source currency
+ */
+async function getRate(fromCurrency, toCurrency, date) {
+  if (fromCurrency === toCurrency) {
+    return 1;
+  }
+
+  const { rates } = await getDailyRates(BASE_CURRENCY, date);
+  return pairRate(rates, fromCurrency, toCurrency);
+}
+
+/**
+ * Get pairwise exchange rates between currencies, keyed `FROM_TO` as
+ * expected by the settlement algorithms
+ * @param {Array<string>} currencies - Currency codes
+ * @param {Date|string} [date] - Day of the rates (defaults to today)
+ * @returns {Promise<Object>} Map of currency pairs to exchange rates
+ */
+async function getExchangeRates(currencies, date) {
+  const { rates } = await getDailyRates(BASE_CURRENCY, date);
+  const exchangeRates = {};
+
+  currencies.forEach(from => {
+    currencies.forEach(to => {
+      if (from !== to) {
+        exchangeRates[`${from}_${to}`] = pairRate(rates, from, to);
+      }
+    });
+  });
+
+  return exchangeRates;
+}
+
+/**
+ * Convert an amount at the rate effective on a date
+ * @param {number} amount - Amount in the source currency
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @param {Date|string} [date] - Day of the conversion (e.g. the expense date)
+ * @returns {Promise<Object>} `{ amount, currency, rate, date }`
+ */
+async function convert(amount, fromCurrency, toCurrency, date) {
+  const rate = await getRate(fromCurrency, toCurrency, date);
+
+  return {
+    amount: parseFloat((amount * rate).toFixed(2)),
+    currency: toCurrency,
+    rate,
+    date: toRateDate(date)
+  };
+}
+
+/**
+ * Derive a cross rate from rates quoted against a common base
+ * @param {Object} rates - Units of each currency per base unit
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @returns {number} Cross rate
+ */
+function pairRate(rates, fromCurrency, toCurrency) {
+  const fromRate = rates[fromCurrency];
+  const toRate = rates[toCurrency];
+
+  if (!fromRate || !toRate) {
+    const missing = !fromRate ? fromCurrency : toCurrency;
+    throw new BadRequestError(`No exchange rate available for ${missing}`);
+  }
+
+  return toRate / fromRate;
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  getProvider,
+  setProvider,
+  toRateDate,
+  getDailyRates,
+  getRate,
+  getExchangeRates,
+  convert
+};
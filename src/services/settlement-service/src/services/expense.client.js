@@ -0,0 +1,83 @@
+/**
+ * Expense Service Client
+ *
+ * Authenticated client for the expense-service internal API
+ */
+
+const { createServiceClient } = require('../../../../shared/services/service-client');
+
+// Largest page the internal expenses route returns
+const EXPENSE_PAGE_SIZE = 500;
+
+const client = createServiceClient({
+  serviceName: 'settlement-service',
+  targetService: 'expense-service',
+  baseURL: process.env.EXPENSE_SERVICE_URL || 'http://localhost:4002'
+});
+
+/**
+ * Calculate a group's debt graph from its expenses and the given settlements
+ * @param {string} groupId - ID of the group
+ * @param {Array<Object>} settlements - Completed settlements for the group
+ * @returns {Promise<Object>} Debt graph with users, debts and per-user balances
+ */
+async function getGroupDebtGraph(groupId, settlements) {
+  const response = await client.post(`/api/internal/groups/${groupId}/debt-graph`, {
+    settlements
+  });
+
+  return response.data;
+}
+
+/**
+ * Get every expense of a group or user in a date range
+ * @param {Object} filters - Filters
+ * @param {string} filters.groupId - ID of the group
+ * @param {string} filters.userId - ID of the user who paid or created the expenses
+ * @param {Date} filters.startDate - Earliest expense date
+ * @param {Date} filters.endDate - Latest expense date
+ * @returns {Promise<Array<Object>>} Expenses, oldest first
+ */
+async function getExpenses(filters) {
+  const params = {
+    ...filters,
+    startDate: filters.startDate && new Date(filters.startDate).toISOString(),
+    endDate: filters.endDate && new Date(filters.endDate).toISOString(),
+    limit: EXPENSE_PAGE_SIZE
+  };
+  const expenses = [];
+  let page = 1;
+  let totalPages = 1;
+
+  // Follow the pages until expense-service has returned everything
+  do {
+    const response = await client.get('/api/internal/expenses', { params: { ...params, page } });
+    const { expenses: pageExpenses, pagination } = response.data;
+
+    expenses.push(...pageExpenses);
+    totalPages = pagination.totalPages;
+    page++;
+  } while (page <= totalPages);
+
+  return expenses;
+}
+
+/**
+ * Count the expenses each pair of a group's members shared
+ * @param {string} groupId - ID of the group
+ * @param {Date} [since] - Only count expenses dated from then on
+ * @returns {Promise<Array<Object>>} `{ user1, user2, sharedExpenses }` per pair
+ */
+async function getGroupInteractions(groupId, since) {
+  const response = await client.get(`/api/internal/groups/${groupId}/interactions`, {
+    params: { since: since && new Date(since).toISOString() }
+  });
+
+  return response.data;
+}
+
+module.exports = {
+  getGroupDebtGraph,
+  getExpenses,
+  getGroupInteractions
+};
@@ -0,0 +1,298 @@
+/**
+ * Export Job Service
+ *
+ * Builds large exports in the background. Settlements are streamed from the
+ * database into the artifact store and the user is emailed a signed,
+ * expiring download link when the file is ready.
+ */
+
+const moment = require('moment');
+const ExportJob = require('../models/export-job.model');
+const exportService = require('./export.service');
+const artifactStore = require('./artifact-store.service');
+const { addExportJob, addEmailNotificationJob } = require('./job-queue.service');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../../../shared/errors');
+
+const EXPORT_JOB_FORMATS = [...exportService.STREAMING_FORMATS, ...exportService.STATEMENT_FORMATS];
+
+const STREAMING_MIME_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+/**
+ * Shape an export job for API responses
+ * @param {Object} exportJob - Export job document
+ * @returns {Object} - Export job with a download link once it has completed
+ */
+function formatExportJob(exportJob) {
+  const hasDownload = exportJob.status === 'completed' && exportJob.artifact && exportJob.artifact.key;
+
+  return {
+    id: exportJob._id.toString(),
+    scope: exportJob.scope,
+    groupId: exportJob.groupId,
+    format: exportJob.format,
+    options: exportJob.options,
+    status: exportJob.status,
+    rowCount: exportJob.rowCount,
+    filename: exportJob.artifact ? exportJob.artifact.filename : undefined,
+    size: exportJob.artifact ? exportJob.artifact.size : undefined,
+    error: exportJob.error,
+    createdAt: exportJob.createdAt,
+    completedAt: exportJob.completedAt,
+    expiresAt: exportJob.expiresAt,
+    downloadUrl: hasDownload ? artifactStore.createSignedUrl(exportJob.artifact.key, exportJob.expiresAt) : undefined
+  };
+}
+
+/**
+ * Queue an export to be built in the background
+ * @param {string} userId - User requesting the export
+ * @param {Object} params - Export parameters
+ * @param {string} params.scope - user or group
+ * @param {string} params.groupId - Group to export, for group exports
+ * @param {string} params.format - csv, json, pdf, ofx or qif
+ * @param {string} params.detailLevel - Type of information to include (basic, detailed, full)
+ * @param {string} params.type - For user exports: paid, received or all
+ * @param {string} params.dateFrom - Earliest creation date
+ * @param {string} params.dateTo - Latest creation date
+ * @param {string} params.status - Settlement status
+ * @param {string} params.month - Month a statement covers
+ * @returns {Promise<Object>} - Queued export job
+ */
+async function createExportJob(userId, params) {
+  const {
+    scope = 'user',
+    groupId,
+    format = 'csv',
+    detailLevel = 'basic',
+    type = 'all',
+    dateFrom,
+    dateTo,
+    status,
+    month
+  } = params;
+
+  if (!['user', 'group'].includes(scope)) {
+    throw new BadRequestError('Invalid scope. Supported scopes: user, group');
+  }
+
+  if (scope === 'group' && !groupId) {
+    throw new BadRequestError('groupId is required for group exports');
+  }
+
+  if (!EXPORT_JOB_FORMATS.includes(format)) {
+    throw new BadRequestError(`Invalid format. Supported formats: ${EXPORT_JOB_FORMATS.join(', ')}`);
+  }
+
+  if (!['basic', 'detailed', 'full'].includes(detailLevel)) {
+    throw new BadRequestError('Invalid detailLevel. Supported levels: basic, detailed, full');
+  }
+
+  if (!['paid', 'received', 'all'].includes(type)) {
+    throw new BadRequestError('Invalid type. Supported types: paid, received, all');
+  }
+
+  // Reject a bad month now rather than in the background job
+  if (exportService.STATEMENT_FORMATS.includes(format)) {
+    exportService.getStatementPeriod({ month, dateFrom, dateTo });
+  }
+
+  const exportJob = await ExportJob.create({
+    userId,
+    scope,
+    groupId: scope === 'group' ? groupId : undefined,
+    format,
+    options: { detailLevel, type, dateFrom, dateTo, status, month }
+  });
+
+  await addExportJob({ exportJobId: exportJob._id.toString() });
+
+  return formatExportJob(exportJob);
+}
+
+/**
+ * Get an export job
+ * @param {string} exportJobId - Export job ID
+ * @param {string} userId - User asking
+ * @returns {Promise<Object>} - Export job
+ * @throws {NotFoundError} If the export job does not exist
+ * @throws {ForbiddenError} If the export job belongs to someone else
+ */
+async function getExportJob(exportJobId, userId) {
+  const exportJob = await ExportJob.findById(exportJobId);
+
+  if (!exportJob) {
+    throw new NotFoundError('Export job not found');
+  }
+
+  if (exportJob.userId !== userId) {
+    throw new ForbiddenError('You do not have access to this export job');
+  }
+
+  return formatExportJob(exportJob);
+}
+
+/**
+ * Write the export file for a job to the artifact store
+ * @param {Object} exportJob - Export job document
+ * @param {string} key - Artifact key
+ * @returns {Promise<Object>} - Filename, MIME type and, for csv and json, the row count
+ */
+async function writeExportArtifact(exportJob, key) {
+  const { userId, scope, groupId, format, options } = exportJob;
+
+  if (exportService.STATEMENT_FORMATS.includes(format)) {
+    const statementOptions = { format, month: options.month, dateFrom: options.dateFrom, dateTo: options.dateTo };
+    const file = scope === 'group'
+      ? await exportService.exportGroupStatement(groupId, userId, statementOptions)
+      : await exportService.exportUserStatement(userId, statementOptions);
+
+    await artifactStore.writeArtifact(key, file.data);
+    return { filename: file.filename, mimeType: file.mimeType };
+  }
+
+  const filter = exportService.buildSettlementFilter({
+    userId,
+    groupId: scope === 'group' ? groupId : undefined,
+    type: options.type,
+    dateFrom: options.dateFrom,
+    dateTo: options.dateTo,
+    status: options.status
+  });
+  const output = await artifactStore.createWriteStream(key);
+  const rowCount = await exportService.streamSettlements(filter, { format, detailLevel: options.detailLevel }, output);
+  const prefix = scope === 'group' ? `group_${groupId}` : `settlements_${userId}`;
+
+  return {
+    filename: `${prefix}_${moment().format('YYYYMMDD')}.${format}`,
+    mimeType: STREAMING_MIME_TYPES[format],
+    rowCount
+  };
+}
+
+/**
+ * Email the user a link to their finished export
+ * @param {Object} exportJob - Completed export job document
+ * @returns {Promise<void>}
+ */
+async function notifyExportReady(exportJob) {
+  try {
+    const exportData = formatExportJob(exportJob);
+
+    await addEmailNotificationJob({
+      userId: exportJob.userId,
+      // Would call user service in real app
+      email: `user_${exportJob.userId}@example.com`,
+      subject: 'Your SpendSync export is ready',
+      templateType: 'export_ready',
+      templateData: {
+        exportJobId: exportData.id,
+        format: exportData.format,
+        filename: exportData.filename,
+        rowCount: exportData.rowCount,
+        downloadUrl: exportData.downloadUrl,
+        expiresAt: exportData.expiresAt
+      }
+    });
+  } catch (error) {
+    // The export itself succeeded; the user can still fetch the link from the job
+    console.error(`Failed to send export notification for job ${exportJob._id}:`, error);
+  }
+}
+
+/**
+ * Build the file for an export job. Called by the export processor.
+ * @param {string} exportJobId - Export job ID
+ * @param {Object} options - Run options
+ * @param {boolean} options.isFinalAttempt - Whether a failure is final or the job will be retried
+ * @returns {Promise<Object|null>} - Finished export job, or null if there was nothing to do
+ */
+async function runExportJob(exportJobId, { isFinalAttempt = true } = {}) {
+  const exportJob = await ExportJob.findById(exportJobId);
+
+  if (!exportJob || !['queued', 'processing'].includes(exportJob.status)) {
+    return null;
+  }
+
+  const key = `${exportJob._id}.${exportJob.format}`;
+  exportJob.status = 'processing';
+  exportJob.error = undefined;
+  await exportJob.save();
+
+  try {
+    const { filename, mimeType, rowCount } = await writeExportArtifact(exportJob, key);
+    const size = await artifactStore.getArtifactSize(key);
+
+    exportJob.status = 'completed';
+    exportJob.rowCount = rowCount;
+    exportJob.artifact = { key, filename, mimeType, size };
+    exportJob.completedAt = new Date();
+    exportJob.expiresAt = artifactStore.getLinkExpiry();
+    await exportJob.save();
+  } catch (error) {
+    await artifactStore.removeArtifact(key);
+
+    exportJob.status = isFinalAttempt ? 'failed' : 'queued';
+    exportJob.error = error.message;
+    await exportJob.save();
+    throw error;
+  }
+
+  await notifyExportReady(exportJob);
+
+  return formatExportJob(exportJob);
+}
+
+/**
+ * Open a stored export for download through a signed link
+ * @param {string} key - Artifact key
+ * @param {string} expires - Expiry time from the link
+ * @param {string} signature - Signature from the link
+ * @returns {Promise<Object>} - Filename, MIME type, size and a read stream
+ * @throws {ForbiddenError} If the link is not genuine or has expired
+ * @throws {NotFoundError} If the file is no longer available
+ */
+async function getExportDownload(key, expires, signature) {
+  if (!artifactStore.verifySignedUrl(key, expires, signature)) {
+    throw new ForbiddenError('Download link is invalid or has expired');
+  }
+
+  const exportJob = await ExportJob.findOne({ 'artifact.key': key, status: 'completed' });
+  if (!exportJob) {
+    throw new NotFoundError('Export file not found');
+  }
+
+  return {
+    filename: exportJob.artifact.filename,
+    mimeType: exportJob.artifact.mimeType,
+    size: exportJob.artifact.size,
+    stream: artifactStore.createReadStream(key)
+  };
+}
+
+/**
+ * Delete the files of exports whose links have expired
+ * @returns {Promise<number>} - Number of exports expired
+ */
+async function purgeExpiredExports() {
+  const expiredJobs = await ExportJob.find({ status: 'completed', expiresAt: { $lte: new Date() } });
+
+  for (const exportJob of expiredJobs) {
+    await artifactStore.removeArtifact(exportJob.artifact.key);
+    exportJob.status = 'expired';
+    await exportJob.save();
+  }
+
+  return expiredJobs.length;
+}
+
+module.exports = {
+  createExportJob,
+  getExportJob,
+  runExportJob,
+  getExportDownload,
+  purgeExpiredExports,
+  EXPORT_JOB_FORMATS
+};
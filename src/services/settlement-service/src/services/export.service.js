@@ -10,7 +10,88 @@ const xl = require('excel4node');
 const moment = require('moment');
 const path = require('path');
 const fs = require('fs');
-const { BadRequestError } = require('../../../../shared/errors');
+const { pipeline } = require('stream/promises');
+const { BadRequestError, ForbiddenError } = require('../../../../shared/errors');
+const settlementService = require('./settlement.service');
+const optimizationService = require('./optimization.service');
+const visualizationService = require('./visualization.service');
+const expenseClient = require('./expense.client');
+const groupClient = require('./group.client');
+const { generateStatementPdf } = require('./statement-pdf.service');
+
+// Formats built as a statement for one period rather than a raw data dump
+const STATEMENT_FORMATS = ['pdf', 'ofx', 'qif'];
+
+// Formats that can be written row by row from a database cursor
+const STREAMING_FORMATS = ['csv', 'json'];
+
+const STATEMENT_MIME_TYPES = {
+  pdf: 'application/pdf',
+  ofx: 'application/x-ofx',
+  qif: 'application/qif'
+};
+
+/**
+ * Get the settlement columns for a detail level
+ * @param {string} detailLevel - Type of information to include (basic, detailed, full)
+ * @returns {Array<Object>} - Columns with key and header
+ */
+function getSettlementColumns(detailLevel = 'basic') {
+  const basicColumns = [
+    { key: 'id', header: 'Settlement ID' },
+    { key: 'createdAt', header: 'Date' },
+    { key: 'amount', header: 'Amount' },
+    { key: 'currency', header: 'Currency' },
+    { key: 'payerId', header: 'Payer ID' },
+    { key: 'receiverId', header: 'Receiver ID' },
+    { key: 'status', header: 'Status' }
+  ];
+
+  const detailedColumns = [
+    ...basicColumns,
+    { key: 'groupId', header: 'Group ID' },
+    { key: 'notes', header: 'Notes' },
+    { key: 'completedAt', header: 'Completed Date' }
+  ];
+
+  const fullColumns = [
+    ...detailedColumns,
+    { key: 'createdBy', header: 'Created By' },
+    { key: 'updatedAt', header: 'Last Updated' }
+  ];
+
+  switch (detailLevel) {
+    case 'detailed': return detailedColumns;
+    case 'full': return fullColumns;
+    case 'basic':
+    default: return basicColumns;
+  }
+}
+
+/**
+ * Format a settlement as a CSV row
+ * @param {Object} settlement - Settlement document
+ * @returns {Object} - Row with formatted dates
+ */
+function formatSettlementCsvRow(settlement) {
+  const formattedData = { ...settlement.toObject() };
+  
+  // Convert ObjectId to string
+  formattedData.id = settlement._id.toString();
+  
+  // Format dates
+  if (formattedData.createdAt) {
+    formattedData.createdAt = moment(formattedData.createdAt).format('YYYY-MM-DD HH:mm:ss');
+  }
+  if (formattedData.updatedAt) {
+    formattedData.updatedAt = moment(formattedData.updatedAt).format('YYYY-MM-DD HH:mm:ss');
+  }
+  if (formattedData.completedAt) {
+    formattedData.completedAt = moment(formattedData.completedAt).format('YYYY-MM-DD HH:mm:ss');
+  }
+  
+  return formattedData;
+}
 
 /**
  * Generate CSV data for settlements
@@ -19,60 +100,10 @@ const { BadRequestError } = require('../../../../shared/errors');
  * @returns {Promise<string>} - CSV formatted string
  */
 async function generateSettlementsCsv(settlements, format = 'basic') {
-  const getColumns = () => {
-    const basicColumns = [
-      { key: 'id', header: 'Settlement ID' },
-      { key: 'createdAt', header: 'Date' },
-      { key: 'amount', header: 'Amount' },
-      { key: 'currency', header: 'Currency' },
-      { key: 'payerId', header: 'Payer ID' },
-      { key: 'receiverId', header: 'Receiver ID' },
-      { key: 'status', header: 'Status' }
-    ];
-
-    const detailedColumns = [
-      ...basicColumns,
-      { key: 'groupId', header: 'Group ID' },
-      { key: 'notes', header: 'Notes' },
-      { key: 'completedAt', header: 'Completed Date' }
-    ];
-
-    const fullColumns = [
-      ...detailedColumns,
-      { key: 'createdBy', header: 'Created By' },
-      { key: 'updatedAt', header: 'Last Updated' }
-    ];
-
-    switch (format) {
-      case 'detailed': return detailedColumns;
-      case 'full': return fullColumns;
-      case 'basic':
-      default: return basicColumns;
-    }
-  };
-
-  const columns = getColumns();
+  const columns = getSettlementColumns(format);
   
   // Format date fields
-  const formattedSettlements = settlements.map(settlement => {
-    const formattedData = { ...settlement.toObject() };
-    
-    // Convert ObjectId to string
-    formattedData.id = settlement._id.toString();
-    
-    // Format dates
-    if (formattedData.createdAt) {
-      formattedData.createdAt = moment(formattedData.createdAt).format('YYYY-MM-DD HH:mm:ss');
-    }
-    if (formattedData.updatedAt) {
-      formattedData.updatedAt = moment(formattedData.updatedAt).format('YYYY-MM-DD HH:mm:ss');
-    }
-    if (formattedData.completedAt) {
-      formattedData.completedAt = moment(formattedData.completedAt).format('YYYY-MM-DD HH:mm:ss');
-    }
-    
-    return formattedData;
-  });
+  const formattedSettlements = settlements.map(formatSettlementCsvRow);
 
   return new Promise((resolve, reject) => {
     csv.stringify(formattedSettlements, {
@@ -92,39 +123,7 @@ async function generateSettlementsCsv(settlements, format = 'basic') {
  * @returns {Promise<Buffer>} - Excel file as Buffer
  */
 async function generateSettlementsExcel(settlements, format = 'basic') {
-  const getColumns = () => {
-    const basicColumns = [
-      { key: 'id', header: 'Settlement ID' },
-      { key: 'createdAt', header: 'Date' },
-      { key: 'amount', header: 'Amount' },
-      { key: 'currency', header: 'Currency' },
-      { key: 'payerId', header: 'Payer ID' },
-      { key: 'receiverId', header: 'Receiver ID' },
-      { key: 'status', header: 'Status' }
-    ];
-
-    const detailedColumns = [
-      ...basicColumns,
-      { key: 'groupId', header: 'Group ID' },
-      { key: 'notes', header: 'Notes' },
-      { key: 'completedAt', header: 'Completed Date' }
-    ];
-
-    const fullColumns = [
-      ...detailedColumns,
-      { key: 'createdBy', header: 'Created By' },
-      { key: 'updatedAt', header: 'Last Updated' }
-    ];
-
-    switch (format) {
-      case 'detailed': return detailedColumns;
-      case 'full': return fullColumns;
-      case 'basic':
-      default: return basicColumns;
-    }
-  };
-
-  const columns = getColumns();
+  const columns = getSettlementColumns(format);
   
   // Create a new Excel workbook and worksheet
   const wb = new xl.Workbook();
@@ -192,38 +191,7 @@ async function generateSettlementsExcel(settlements, format = 'basic') {
  */
 function generateSettlementsJson(settlements, format = 'basic') {
   // Process and format settlements based on the requested format
-  const formattedSettlements = settlements.map(settlement => {
-    const formattedData = { ...settlement.toObject() };
-    
-    // Convert ObjectId to string
-    formattedData.id = settlement._id.toString();
-    delete formattedData._id;
-    
-    // Format dates to ISO strings
-    if (formattedData.createdAt) {
-      formattedData.createdAt = formattedData.createdAt.toISOString();
-    }
-    if (formattedData.updatedAt) {
-      formattedData.updatedAt = formattedData.updatedAt.toISOString();
-    }
-    if (formattedData.completedAt) {
-      formattedData.completedAt = formattedData.completedAt.toISOString();
-    }
-    
-    // Filter fields based on format
-    if (format === 'basic') {
-      const { id, createdAt, amount, currency, payerId, receiverId, status } = formattedData;
-      return { id, createdAt, amount, currency, payerId, receiverId, status };
-    } else if (format === 'detailed') {
-      const { id, createdAt, amount, currency, payerId, receiverId, status, 
-              groupId, notes, completedAt } = formattedData;
-      return { id, createdAt, amount, currency, payerId, receiverId, status, 
-               groupId, notes, completedAt };
-    }
-    
-    // Return all fields for 'full' format
-    return formattedData;
-  });
+  const formattedSettlements = settlements.map(settlement => formatSettlementJson(settlement, format));
 
   return {
     exportDate: new Date().toISOString(),
@@ -232,6 +200,45 @@ function generateSettlementsJson(settlements, format = 'basic') {
   };
 }
 
+/**
+ * Format a settlement for a JSON export
+ * @param {Object} settlement - Settlement document
+ * @param {string} format - Type of information to include (basic, detailed, full)
+ * @returns {Object} - Settlement with the fields for the detail level
+ */
+function formatSettlementJson(settlement, format = 'basic') {
+  const formattedData = { ...settlement.toObject() };
+  
+  // Convert ObjectId to string
+  formattedData.id = settlement._id.toString();
+  delete formattedData._id;
+  
+  // Format dates to ISO strings
+  if (formattedData.createdAt) {
+    formattedData.createdAt = formattedData.createdAt.toISOString();
+  }
+  if (formattedData.updatedAt) {
+    formattedData.updatedAt = formattedData.updatedAt.toISOString();
+  }
+  if (formattedData.completedAt) {
+    formattedData.completedAt = formattedData.completedAt.toISOString();
+  }
+  
+  // Filter fields based on format
+  if (format === 'basic') {
+    const { id, createdAt, amount, currency, payerId, receiverId, status } = formattedData;
+    return { id, createdAt, amount, currency, payerId, receiverId, status };
+  } else if (format === 'detailed') {
+    const { id, createdAt, amount, currency, payerId, receiverId, status, 
+            groupId, notes, completedAt } = formattedData;
+    return { id, createdAt, amount, currency, payerId, receiverId, status, 
+             groupId, notes, completedAt };
+  }
+  
+  // Return all fields for 'full' format
+  return formattedData;
+}
+
 /**
  * Get and format user balances
  * @param {string} userId - User ID
@@ -325,34 +332,7 @@ async function exportUserData(userId, options) {
     type = 'all'
   } = options;
 
-  // Build the filter
-  const filter = {};
-  
-  // Add user filter based on type
-  if (type === 'paid') {
-    filter.payerId = userId;
-  } else if (type === 'received') {
-    filter.receiverId = userId;
-  } else {
-    // 'all' - include both paid and received
-    filter.$or = [{ payerId: userId }, { receiverId: userId }];
-  }
-  
-  // Add date filters if provided
-  if (dateFrom || dateTo) {
-    filter.createdAt = {};
-    if (dateFrom) {
-      filter.createdAt.$gte = new Date(dateFrom);
-    }
-    if (dateTo) {
-      filter.createdAt.$lte = new Date(dateTo);
-    }
-  }
-  
-  // Add status filter if provided
-  if (status) {
-    filter.status = status;
-  }
+  const filter = buildSettlementFilter({ userId, type, dateFrom, dateTo, status });
   
   // Get settlements based on the filter
   const settlements = await Settlement.find(filter).sort({ createdAt: -1 });
@@ -444,6 +424,509 @@ async function exportUserData(userId, options) {
   return response;
 }
 
+/**
+ * Get the period a statement covers: a calendar month, an explicit date
+ * range, or the current month so far
+ * @param {Object} options - Period options
+ * @param {string} options.month - Month as YYYY-MM
+ * @param {string} options.dateFrom - Start date
+ * @param {string} options.dateTo - End date
+ * @returns {Object} - Period with from and to dates
+ */
+function getStatementPeriod({ month, dateFrom, dateTo } = {}) {
+  if (month) {
+    const start = moment.utc(month, 'YYYY-MM', true);
+    if (!start.isValid()) {
+      throw new BadRequestError('Invalid month. Expected YYYY-MM');
+    }
+    return {
+      from: start.toDate(),
+      to: start.clone().endOf('month').toDate()
+    };
+  }
+
+  if (dateFrom || dateTo) {
+    const from = dateFrom ? new Date(dateFrom) : new Date(0);
+    const to = dateTo ? new Date(dateTo) : new Date();
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      throw new BadRequestError('Invalid date range');
+    }
+    return { from, to };
+  }
+
+  return {
+    from: moment.utc().startOf('month').toDate(),
+    to: new Date()
+  };
+}
+
+/**
+ * Turn settlements into the money movements of one user. Each recorded
+ * payment is a transaction; a completed settlement without payments is a
+ * single transaction on its completion date.
+ * @param {Array} settlements - Settlements the user paid or received
+ * @param {string} userId - User the transactions are for
+ * @param {Object} period - Only include transactions in this period
+ * @returns {Array<Object>} - Transactions, oldest first, negative when the user paid
+ */
+function getSettlementTransactions(settlements, userId, period) {
+  const transactions = [];
+
+  settlements.forEach(settlement => {
+    const id = String(settlement._id || settlement.id);
+    const isPayer = settlement.payerId === userId;
+    const sign = isPayer ? -1 : 1;
+    const counterpartId = isPayer ? settlement.receiverId : settlement.payerId;
+    const memo = [
+      `SpendSync settlement ${isPayer ? 'to' : 'from'} ${counterpartId}`,
+      settlement.notes
+    ].filter(Boolean).join(' - ');
+    const base = {
+      settlementId: id,
+      groupId: settlement.groupId,
+      currency: settlement.currency,
+      payee: counterpartId,
+      memo
+    };
+
+    if (settlement.payments && settlement.payments.length > 0) {
+      settlement.payments.forEach((payment, index) => {
+        transactions.push({
+          ...base,
+          id: `${id}-${index + 1}`,
+          date: new Date(payment.paidAt),
+          amount: sign * payment.amount
+        });
+      });
+    } else if (settlement.status === 'completed') {
+      transactions.push({
+        ...base,
+        id,
+        date: new Date(settlement.completedAt || settlement.updatedAt),
+        amount: sign * settlement.amount
+      });
+    }
+  });
+
+  return transactions
+    .filter(transaction => !period || (transaction.date >= period.from && transaction.date <= period.to))
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Group transactions by currency, since OFX statements and QIF accounts
+ * hold a single currency each
+ * @param {Array<Object>} transactions - Transactions
+ * @returns {Object} - Transactions keyed by currency
+ */
+function groupByCurrency(transactions) {
+  return transactions.reduce((groups, transaction) => {
+    (groups[transaction.currency] = groups[transaction.currency] || []).push(transaction);
+    return groups;
+  }, {});
+}
+
+/**
+ * Escape text for an OFX element
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeOfx(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Generate an OFX 1.0.2 file of a user's settlement transactions, with one
+ * bank statement per currency
+ * @param {Array<Object>} transactions - Transactions from getSettlementTransactions
+ * @param {Object} options - Statement options
+ * @param {string} options.userId - User the statement is for
+ * @param {Object} options.period - Period the statement covers
+ * @returns {string} - OFX file contents
+ */
+function generateSettlementsOfx(transactions, { userId, period }) {
+  const formatDate = date => moment.utc(date).format('YYYYMMDDHHmmss');
+  const byCurrency = groupByCurrency(transactions);
+
+  const statements = Object.entries(byCurrency).map(([currency, currencyTransactions]) => {
+    const balance = currencyTransactions.reduce((total, transaction) => total + transaction.amount, 0);
+    const entries = currencyTransactions.map(transaction => [
+      '<STMTTRN>',
+      `<TRNTYPE>${transaction.amount < 0 ? 'DEBIT' : 'CREDIT'}`,
+      `<DTPOSTED>${formatDate(transaction.date)}`,
+      `<TRNAMT>${transaction.amount.toFixed(2)}`,
+      `<FITID>${escapeOfx(transaction.id)}`,
+      `<NAME>${escapeOfx(transaction.payee).slice(0, 32)}`,
+      `<MEMO>${escapeOfx(transaction.memo).slice(0, 255)}`,
+      '</STMTTRN>'
+    ].join('\n'));
+
+    return [
+      '<STMTTRNRS>',
+      `<TRNUID>${escapeOfx(`${userId}-${currency}`)}`,
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      `<CURDEF>${currency}`,
+      '<BANKACCTFROM>',
+      '<BANKID>SPENDSYNC',
+      `<ACCTID>${escapeOfx(`${userId}-${currency}`)}`,
+      '<ACCTTYPE>CHECKING',
+      '</BANKACCTFROM>',
+      '<BANKTRANLIST>',
+      `<DTSTART>${formatDate(period.from)}`,
+      `<DTEND>${formatDate(period.to)}`,
+      ...entries,
+      '</BANKTRANLIST>',
+      '<LEDGERBAL>',
+      `<BALAMT>${balance.toFixed(2)}`,
+      `<DTASOF>${formatDate(period.to)}`,
+      '</LEDGERBAL>',
+      '</STMTRS>',
+      '</STMTTRNRS>'
+    ].join('\n');
+  });
+
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${formatDate(new Date())}`,
+    '<LANGUAGE>ENG',
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    ...statements,
+    '</BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate a QIF file of a user's settlement transactions, with one bank
+ * account per currency
+ * @param {Array<Object>} transactions - Transactions from getSettlementTransactions
+ * @returns {string} - QIF file contents
+ */
+function generateSettlementsQif(transactions) {
+  // QIF fields are line based, so values cannot contain line breaks
+  const clean = value => String(value).replace(/[\r\n]+/g, ' ');
+  const byCurrency = groupByCurrency(transactions);
+
+  const accounts = Object.entries(byCurrency).map(([currency, currencyTransactions]) => [
+    '!Account',
+    `NSpendSync ${currency}`,
+    'TBank',
+    '^',
+    '!Type:Bank',
+    ...currencyTransactions.map(transaction => [
+      `D${moment.utc(transaction.date).format('MM/DD/YYYY')}`,
+      `T${transaction.amount.toFixed(2)}`,
+      `P${clean(transaction.payee)}`,
+      `M${clean(transaction.memo)}`,
+      `N${clean(transaction.id)}`,
+      '^'
+    ].join('\n'))
+  ].join('\n'));
+
+  return `${accounts.join('\n')}\n`;
+}
+
+/**
+ * Chart data for one group from its settlement breakdown: each member's
+ * net balance, and outstanding debts against the transfers that settle them
+ * @param {Object} debtGraph - Group debt graph
+ * @returns {Promise<Object>} - Breakdown and charts
+ */
+async function getGroupBreakdown(debtGraph) {
+  // Rates are only needed to net debts in different currencies
+  const currencies = [...new Set(
+    debtGraph.debts.map(debt => debt.currency || debtGraph.currency).filter(Boolean)
+  )];
+  const exchangeRates = currencies.length > 1
+    ? await settlementService.getExchangeRates(currencies)
+    : {};
+  const suggestions = await optimizationService.calculateMinCashFlowSettlements(debtGraph, exchangeRates);
+  const breakdown = visualizationService.generateSettlementBreakdown(debtGraph, suggestions);
+
+  return {
+    breakdown,
+    charts: [
+      {
+        title: `Net balances (${debtGraph.currency || 'no currency'})`,
+        data: Object.entries(breakdown.userBalances).map(([userId, amount]) => ({ label: userId, value: amount }))
+      },
+      {
+        title: 'Debts to settle',
+        color: '#4472C4',
+        data: [
+          { label: 'Outstanding debts', value: breakdown.stats.originalTransactionCount },
+          { label: 'Suggested transfers', value: breakdown.stats.optimizedTransactionCount }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Build the file for a statement in the requested format
+ * @param {Object} statement - Statement data
+ * @param {string} format - pdf, ofx or qif
+ * @param {string} filenamePrefix - Start of the file name
+ * @returns {Promise<Object>} - File data, MIME type and file name
+ */
+async function renderStatement(statement, format, filenamePrefix) {
+  const transactions = getSettlementTransactions(statement.settlements, statement.userId, statement.period);
+  let data;
+
+  if (format === 'pdf') {
+    data = await generateStatementPdf({ ...statement, transactions });
+  } else if (format === 'ofx') {
+    data = generateSettlementsOfx(transactions, statement);
+  } else if (format === 'qif') {
+    data = generateSettlementsQif(transactions);
+  } else {
+    throw new BadRequestError(`Unsupported statement format: ${format}`);
+  }
+
+  return {
+    data,
+    mimeType: STATEMENT_MIME_TYPES[format],
+    filename: `${filenamePrefix}_${moment.utc(statement.period.from).format('YYYYMMDD')}-${moment.utc(statement.period.to).format('YYYYMMDD')}.${format}`
+  };
+}
+
+/**
+ * Export a user's statement across all their groups
+ * @param {string} userId - User ID
+ * @param {Object} options - Statement options
+ * @param {string} options.format - pdf, ofx or qif
+ * @param {string} options.month - Month as YYYY-MM
+ * @param {string} options.dateFrom - Start date
+ * @param {string} options.dateTo - End date
+ * @returns {Promise<Object>} - File data, MIME type and file name
+ */
+async function exportUserStatement(userId, options) {
+  const period = getStatementPeriod(options);
+  const settlements = await Settlement.find({
+    $or: [{ payerId: userId }, { receiverId: userId }]
+  }).sort({ createdAt: 1 });
+
+  // Money moved in the period can belong to settlements created earlier,
+  // so transactions are taken from all of the user's settlements
+  const statement = {
+    title: 'Settlement statement',
+    subject: `User ${userId}`,
+    userId,
+    period,
+    settlements,
+    settlementsInPeriod: settlements.filter(settlement => isInPeriod(settlement, period))
+  };
+
+  if (options.format === 'pdf') {
+    const groupIds = [...new Set(settlements.map(settlement => settlement.groupId))];
+    const groups = await Promise.all(groupIds.map(async groupId => {
+      const debtGraph = await settlementService.getGroupDebtGraph(groupId);
+      const balance = debtGraph.balances && debtGraph.balances[userId];
+      return {
+        groupId,
+        netBalance: balance ? balance.netBalance : 0,
+        currency: debtGraph.currency
+      };
+    }));
+
+    statement.balances = groups.map(group => ({
+      label: `Group ${group.groupId}`,
+      amount: group.netBalance,
+      currency: group.currency
+    }));
+    statement.expenses = await expenseClient.getExpenses({
+      userId,
+      startDate: period.from,
+      endDate: period.to
+    });
+    statement.charts = [{
+      title: 'Your net balance by group',
+      data: groups.map(group => ({ label: group.groupId, value: group.netBalance }))
+    }];
+  }
+
+  return renderStatement(statement, options.format, `statement_${userId}`);
+}
+
+/**
+ * Export a group's statement. Transactions in OFX and QIF files are from
+ * the requesting user's point of view, who must be a member of the group.
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Requesting user ID
+ * @param {Object} options - Statement options
+ * @param {string} options.format - pdf, ofx or qif
+ * @param {string} options.month - Month as YYYY-MM
+ * @param {string} options.dateFrom - Start date
+ * @param {string} options.dateTo - End date
+ * @returns {Promise<Object>} - File data, MIME type and file name
+ * @throws {ForbiddenError} If the user is not a member of the group
+ */
+async function exportGroupStatement(groupId, userId, options) {
+  const period = getStatementPeriod(options);
+  
+  const { members } = await groupClient.getGroupMembers(groupId);
+  if (!members.some(member => String(member.userId) === String(userId))) {
+    throw new ForbiddenError('You are not a member of this group');
+  }
+  
+  const settlements = await Settlement.find({ groupId }).sort({ createdAt: 1 });
+
+  const statement = {
+    title: 'Group settlement statement',
+    subject: `Group ${groupId}`,
+    userId,
+    period,
+    settlements: settlements.filter(settlement =>
+      settlement.payerId === userId || settlement.receiverId === userId
+    ),
+    settlementsInPeriod: settlements.filter(settlement => isInPeriod(settlement, period))
+  };
+
+  if (options.format === 'pdf') {
+    const debtGraph = await settlementService.getGroupDebtGraph(groupId);
+    const { breakdown, charts } = await getGroupBreakdown(debtGraph);
+
+    statement.balances = Object.values(debtGraph.balances || {}).map(balance => ({
+      label: balance.name || balance.userId,
+      amount: balance.netBalance,
+      currency: debtGraph.currency
+    }));
+    statement.expenses = await expenseClient.getExpenses({
+      groupId,
+      startDate: period.from,
+      endDate: period.to
+    });
+    statement.stats = breakdown.stats;
+    statement.charts = charts;
+  }
+
+  return renderStatement(statement, options.format, `group_${groupId}`);
+}
+
+/**
+ * Check whether a settlement was created or changed in a period
+ * @param {Object} settlement - Settlement
+ * @param {Object} period - Period with from and to dates
+ * @returns {boolean} - True if it falls in the period
+ */
+function isInPeriod(settlement, period) {
+  return [settlement.createdAt, settlement.updatedAt].some(date =>
+    date && new Date(date) >= period.from && new Date(date) <= period.to
+  );
+}
+
+/**
+ * Build the MongoDB filter for a settlement export
+ * @param {Object} criteria - Export criteria
+ * @param {string} criteria.userId - Export a user's settlements
+ * @param {string} criteria.type - For user exports: paid, received or all
+ * @param {string} criteria.groupId - Export a group's settlements
+ * @param {string} criteria.dateFrom - Earliest creation date
+ * @param {string} criteria.dateTo - Latest creation date
+ * @param {string} criteria.status - Settlement status
+ * @returns {Object} - MongoDB filter
+ */
+function buildSettlementFilter({ userId, type = 'all', groupId, dateFrom, dateTo, status }) {
+  const filter = {};
+
+  if (groupId) {
+    filter.groupId = groupId;
+  } else if (type === 'paid') {
+    filter.payerId = userId;
+  } else if (type === 'received') {
+    filter.receiverId = userId;
+  } else {
+    // 'all' - include both paid and received
+    filter.$or = [{ payerId: userId }, { receiverId: userId }];
+  }
+
+  if (dateFrom || dateTo) {
+    filter.createdAt = {};
+    if (dateFrom) {
+      filter.createdAt.$gte = new Date(dateFrom);
+    }
+    if (dateTo) {
+      filter.createdAt.$lte = new Date(dateTo);
+    }
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  return filter;
+}
+
+/**
+ * Stream settlements matching a filter to a writable stream as CSV or JSON.
+ * Rows are read from a MongoDB cursor, so exports of any size run in
+ * constant memory.
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - Export options
+ * @param {string} options.format - csv or json
+ * @param {string} options.detailLevel - Type of information to include (basic, detailed, full)
+ * @param {stream.Writable} output - Stream to write to
+ * @returns {Promise<number>} - Number of settlements written
+ */
+async function streamSettlements(filter, { format, detailLevel = 'basic' }, output) {
+  if (!STREAMING_FORMATS.includes(format)) {
+    throw new BadRequestError(`Invalid format. Supported formats: ${STREAMING_FORMATS.join(', ')}`);
+  }
+
+  const cursor = Settlement.find(filter).sort({ createdAt: -1 }).cursor();
+  let rowCount = 0;
+
+  if (format === 'csv') {
+    const columns = getSettlementColumns(detailLevel);
+
+    await pipeline(
+      async function* () {
+        for await (const settlement of cursor) {
+          rowCount++;
+          yield formatSettlementCsvRow(settlement);
+        }
+      },
+      csv.stringify({ header: true, columns }),
+      output
+    );
+  } else {
+    // Written piece by piece, so the count goes after the settlements
+    await pipeline(
+      async function* () {
+        yield `{"exportDate":${JSON.stringify(new Date().toISOString())},"settlements":[`;
+        for await (const settlement of cursor) {
+          yield (rowCount > 0 ? ',' : '') + JSON.stringify(formatSettlementJson(settlement, detailLevel));
+          rowCount++;
+        }
+        yield `],"count":${rowCount}}`;
+      },
+      output
+    );
+  }
+
+  return rowCount;
+}
+
 /**
  * Get settlements by filter
  * @param {Object} filter - MongoDB filter
@@ -459,5 +942,15 @@ module.exports = {
   generateSettlementsCsv,
   generateSettlementsExcel,
   generateSettlementsJson,
-  getSettlementsByFilter
+  generateSettlementsOfx,
+  generateSettlementsQif,
+  getSettlementTransactions,
+  getStatementPeriod,
+  exportUserStatement,
+  exportGroupStatement,
+  getSettlementsByFilter,
+  buildSettlementFilter,
+  streamSettlements,
+  STATEMENT_FORMATS,
+  STREAMING_FORMATS
 }; 
\ No newline at end of file
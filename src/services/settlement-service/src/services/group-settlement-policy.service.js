@@ -0,0 +1,134 @@
+/**
+ * Group Settlement Policy Service
+ *
+ * Manages the settlement policy group admins set for how their group's
+ * settlement suggestions are calculated
+ */
+
+const GroupSettlementPolicy = require('../models/group-settlement-policy.model');
+const { generateCacheKey, cacheResult, del, clearByPattern } = require('./cache.service');
+const groupClient = require('./group.client');
+const { DEFAULT_ALGORITHM, hasAlgorithm, listAlgorithms } = require('../algorithms/algorithm-registry');
+const { BadRequestError, ForbiddenError } = require('../../../../shared/errors');
+const { timers } = require('../config/monitoring');
+
+/**
+ * Policy of groups whose admins have not set one
+ * @param {string} groupId - Group ID
+ * @returns {Object} Default policy
+ */
+function getDefaultPolicy(groupId) {
+  return {
+    groupId,
+    algorithm: DEFAULT_ALGORITHM,
+    allowMemberOverrides: true,
+    overrideAlgorithms: [],
+    isDefault: true
+  };
+}
+
+/**
+ * Ensure an algorithm is registered
+ * @param {string} algorithm - Algorithm ID
+ */
+function assertRegistered(algorithm) {
+  if (!hasAlgorithm(algorithm)) {
+    const validAlgorithms = listAlgorithms().map(({ id }) => id);
+    throw new BadRequestError(`Invalid algorithm: ${algorithm}. Valid algorithms are: ${validAlgorithms.join(', ')}`);
+  }
+}
+
+/**
+ * Get a group's settlement policy, or the default policy if its admins
+ * have not set one
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} Settlement policy
+ */
+async function getGroupPolicy(groupId) {
+  if (!groupId) {
+    throw new BadRequestError('Group ID is required');
+  }
+
+  const cacheKey = generateCacheKey('settlementPolicy', groupId);
+
+  return cacheResult(async () => {
+    const policy = await GroupSettlementPolicy.findOne({ groupId });
+
+    return policy ? { ...policy.toJSON(), isDefault: false } : getDefaultPolicy(groupId);
+  }, cacheKey);
+}
+
+/**
+ * Update a group's settlement policy. Only group admins may change it.
+ * @param {string} groupId - Group ID
+ * @param {string} userId - ID of the user changing the policy
+ * @param {Object} updateData - Policy fields to change
+ * @param {string} [updateData.algorithm] - Group algorithm
+ * @param {boolean} [updateData.allowMemberOverrides] - Whether member preferences apply
+ * @param {Array<string>} [updateData.overrideAlgorithms] - Algorithms members may
+ *   override with (empty for any)
+ * @returns {Promise<Object>} Updated settlement policy
+ */
+async function updateGroupPolicy(groupId, userId, updateData = {}) {
+  if (!groupId) {
+    throw new BadRequestError('Group ID is required');
+  }
+
+  const { algorithm, allowMemberOverrides, overrideAlgorithms } = updateData;
+  if (algorithm === undefined && allowMemberOverrides === undefined && overrideAlgorithms === undefined) {
+    throw new BadRequestError('Update data is required');
+  }
+  if (algorithm !== undefined) {
+    assertRegistered(algorithm);
+  }
+  if (allowMemberOverrides !== undefined && typeof allowMemberOverrides !== 'boolean') {
+    throw new BadRequestError('allowMemberOverrides must be a boolean');
+  }
+  if (overrideAlgorithms !== undefined) {
+    if (!Array.isArray(overrideAlgorithms)) {
+      throw new BadRequestError('overrideAlgorithms must be an array of algorithms');
+    }
+    overrideAlgorithms.forEach(assertRegistered);
+  }
+
+  const { members } = await groupClient.getGroupMembers(groupId);
+  const member = members.find(candidate => candidate.userId === userId);
+  if (!member || member.role !== 'admin') {
+    throw new ForbiddenError('Only group admins can change the settlement policy');
+  }
+
+  const update = { updatedBy: userId };
+  if (algorithm !== undefined) update.algorithm = algorithm;
+  if (allowMemberOverrides !== undefined) update.allowMemberOverrides = allowMemberOverrides;
+  if (overrideAlgorithms !== undefined) update.overrideAlgorithms = [...new Set(overrideAlgorithms)];
+
+  // A new policy keeps the default algorithm unless one is given
+  const upsertDefaults = algorithm === undefined ? { algorithm: DEFAULT_ALGORITHM } : {};
+
+  const timer = timers.createDbTimer('findOneAndUpdate', 'groupSettlementPolicies');
+  let policy;
+  try {
+    policy = await GroupSettlementPolicy.findOneAndUpdate(
+      { groupId },
+      { $set: update, $setOnInsert: upsertDefaults },
+      {
+        new: true, // Return updated document
+        upsert: true, // Create if not exists
+        runValidators: true
+      }
+    );
+  } finally {
+    timer();
+  }
+
+  // Cached suggestions were calculated under the previous policy
+  await del(generateCacheKey('settlementPolicy', groupId));
+  await clearByPattern(`${generateCacheKey('api', `suggestions-${groupId}`)}*`);
+
+  return { ...policy.toJSON(), isDefault: false };
+}
+
+module.exports = {
+  getGroupPolicy,
+  updateGroupPolicy
+};
@@ -0,0 +1,126 @@
+/**
+ * Idempotency Service
+ *
+ * Stores the first response to a request sent with an Idempotency-Key so
+ * that retries of the request are answered with it instead of running again
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotency-key.model');
+const { ConflictError } = require('../../../../shared/errors');
+
+// How long a key is remembered after its first use
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// A request still processing after this long is taken to have died, and a
+// retry may run in its place
+const LOCK_TIMEOUT_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 120;
+
+/**
+ * Serialize a value with object keys in a fixed order
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash a request so repeats of a key can be checked against the first use
+ * @param {Object} request - Request `{ method, path, body }`
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest({ method, path, body }) {
+  return crypto
+    .createHash('sha256')
+    .update(canonicalize({ method, path, body: body || {} }))
+    .digest('hex');
+}
+
+/**
+ * Claim a key for a request
+ * @param {string} userId - User sending the request
+ * @param {string} key - Idempotency key
+ * @param {string} requestHash - Hash of the request
+ * @returns {Promise<Object>} `{ record, replay }`; replay is true when the
+ *   record holds a stored response to send instead of running the request
+ * @throws {ConflictError} If the key was used for a different request or
+ *   the first request with the key is still processing
+ */
+async function beginRequest(userId, key, requestHash) {
+  const now = new Date();
+
+  try {
+    const record = await IdempotencyKey.create({
+      userId,
+      key,
+      requestHash,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+    return { record, replay: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key });
+  if (!existing) {
+    // Expired between our insert and this read
+    return beginRequest(userId, key, requestHash);
+  }
+
+  if (existing.requestHash !== requestHash) {
+    throw new ConflictError('Idempotency-Key was already used for a different request');
+  }
+
+  if (existing.status !== 'processing') {
+    return { record: existing, replay: true };
+  }
+
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_SECONDS * 1000);
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', lockedAt: { $lt: staleBefore } },
+    { lockedAt: now },
+    { new: true }
+  );
+  if (!takenOver) {
+    throw new ConflictError('A request with this Idempotency-Key is still being processed');
+  }
+
+  return { record: takenOver, replay: false };
+}
+
+/**
+ * Store the response to a claimed request. Server errors are stored as
+ * failed and replayed like any other response: the request may have had
+ * side effects before it failed, so it must not run again under the same
+ * key.
+ * @param {Object} record - Idempotency key record from beginRequest
+ * @param {number} statusCode - Response status
+ * @param {*} body - Response body
+ * @returns {Promise<void>}
+ */
+async function completeRequest(record, statusCode, body) {
+  await IdempotencyKey.updateOne(
+    { _id: record._id },
+    { status: statusCode >= 500 ? 'failed' : 'completed', responseStatus: statusCode, responseBody: body }
+  );
+}
+
+module.exports = {
+  hashRequest,
+  beginRequest,
+  completeRequest
+};
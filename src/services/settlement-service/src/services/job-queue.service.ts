@@ -44,6 +44,11 @@ const settlementQueue: Queue = new Bull('settlement-processing', {
   defaultJobOptions
 });
 
+const exportQueue: Queue = new Bull('export-jobs', { 
+  redis: redisOptions,
+  defaultJobOptions
+});
+
 // Set up metrics tracking
 const setupMetrics = (): void => {
   // Register metrics for job processing
@@ -65,7 +70,7 @@ const setupMetrics = (): void => {
   register.registerMetric(jobDurationHistogram);
 
   // Add event listeners to each queue for metrics
-  [emailQueue, reminderQueue, settlementQueue].forEach(queue => {
+  [emailQueue, reminderQueue, settlementQueue, exportQueue].forEach(queue => {
     const queueName = queue.name;
     
     queue.on('completed', (job: Job) => {
@@ -108,7 +113,8 @@ export interface SettlementReminderJobData {
   settlementId: string;
   userId: string;
   dueDate: Date;
-  reminderType: 'initial' | 'followup' | 'final';
+  reminderType: 'initial' | 'followup' | 'final' | 'overdue';
+  installmentNumber?: number; // Set when the reminder is for one installment of a plan
 }
 
 export interface SettlementProcessingJobData {
@@ -117,6 +123,10 @@ export interface SettlementProcessingJobData {
   payload: Record<string, any>;
 }
 
+export interface ExportJobData {
+  exportJobId: string;
+}
+
 /**
  * Add a job to send a settlement notification email
  */
@@ -157,6 +167,19 @@ export async function addSettlementProcessingJob(
   });
 }
 
+/**
+ * Add a job to build an export file in the background
+ */
+export async function addExportJob(
+  data: ExportJobData,
+  options: JobOptions = {}
+): Promise<Job> {
+  return exportQueue.add(data, {
+    ...defaultJobOptions,
+    ...options
+  });
+}
+
 /**
  * Schedule a settlement reminder for a specific date
  */
@@ -178,22 +201,26 @@ export async function getQueuesHealth(): Promise<Record<string, any>> {
   const [
     emailCounts,
     reminderCounts,
-    settlementCounts
+    settlementCounts,
+    exportCounts
   ] = await Promise.all([
     emailQueue.getJobCounts(),
     reminderQueue.getJobCounts(),
-    settlementQueue.getJobCounts()
+    settlementQueue.getJobCounts(),
+    exportQueue.getJobCounts()
   ]);
   
   return {
     email: emailCounts,
     reminders: reminderCounts,
-    settlement: settlementCounts
+    settlement: settlementCounts,
+    export: exportCounts
   };
 }
 
 export {
   emailQueue,
   reminderQueue,
-  settlementQueue
+  settlementQueue,
+  exportQueue
 }; 
\ No newline at end of file
@@ -4,26 +4,36 @@
  * Provides debt optimization algorithms with caching
  */
 
-const { metrics, timers } = require('../config/monitoring');
+const { timers } = require('../config/monitoring');
 const cacheService = require('./cache.service');
-const minCashFlowAlgorithm = require('../algorithms/min-cash-flow.algorithm');
-const greedyAlgorithm = require('../algorithms/greedy.algorithm');
-const friendPreferenceAlgorithm = require('../algorithms/friend-preference.algorithm');
+const algorithmRegistry = require('../algorithms/algorithm-registry');
+const { applyConstraints } = require('../algorithms/settlement-constraints.algorithm');
+const { BadRequestError, ConflictError } = require('../../../../shared/errors');
 
 /**
- * Calculate settlement suggestions using min cash flow algorithm
+ * Calculate settlement suggestions with a registered algorithm
+ * @param {string} algorithmId - Registered algorithm ID
  * @param {Object} debtGraph - Graph representation of debts
  * @param {Object} exchangeRates - Exchange rates for currencies
+ * @param {Object} [friendships] - Friendship strengths, for algorithms that use them
  * @returns {Promise<Array>} - Array of settlement transactions
  */
-async function calculateMinCashFlowSettlements(debtGraph, exchangeRates) {
-  const graphHash = generateGraphHash(debtGraph);
-  const cacheKey = cacheService.generateCacheKey('algorithm', 'minCashFlow', { graphHash });
-  
+async function calculateSettlements(algorithmId, debtGraph, exchangeRates, friendships) {
+  const algorithm = algorithmRegistry.getAlgorithm(algorithmId);
+  if (!algorithm) {
+    throw new BadRequestError(`Unknown settlement algorithm: ${algorithmId}`);
+  }
+
+  const keyParams = { graphHash: generateGraphHash(debtGraph) };
+  if (algorithm.usesFriendships) {
+    keyParams.friendshipHash = generateFriendshipHash(friendships);
+  }
+  const cacheKey = cacheService.generateCacheKey('algorithm', algorithmId, keyParams);
+
   return cacheService.cacheResult(
     async () => {
-      const timer = timers.createAlgorithmTimer('minCashFlow');
-      const settlements = minCashFlowAlgorithm.calculate(debtGraph, exchangeRates);
+      const timer = timers.createAlgorithmTimer(algorithmId);
+      const settlements = algorithm.calculate(debtGraph, exchangeRates, { friendships });
       timer();
       return settlements;
     },
@@ -32,6 +42,38 @@ async function calculateMinCashFlowSettlements(debtGraph, exchangeRates) {
   );
 }
 
+/**
+ * Check whether an algorithm needs the group's friendship strengths
+ * @param {string} algorithmId - Registered algorithm ID
+ * @returns {boolean} Whether the algorithm uses friendships
+ */
+function usesFriendships(algorithmId) {
+  const algorithm = algorithmRegistry.getAlgorithm(algorithmId);
+  return Boolean(algorithm && algorithm.usesFriendships);
+}
+
+/**
+ * Calculate settlement suggestions using min cash flow algorithm
+ * @param {Object} debtGraph - Graph representation of debts
+ * @param {Object} exchangeRates - Exchange rates for currencies
+ * @returns {Promise<Array>} - Array of settlement transactions
+ */
+async function calculateMinCashFlowSettlements(debtGraph, exchangeRates) {
+  return calculateSettlements('minCashFlow', debtGraph, exchangeRates);
+}
+
+/**
+ * Calculate settlement suggestions with the fewest possible transfers,
+ * falling back to min cash flow for large groups or when the time budget
+ * runs out
+ * @param {Object} debtGraph - Graph representation of debts
+ * @param {Object} exchangeRates - Exchange rates for currencies
+ * @returns {Promise<Array>} - Array of settlement transactions
+ */
+async function calculateMinTransactionSettlements(debtGraph, exchangeRates) {
+  return calculateSettlements('minTransactions', debtGraph, exchangeRates);
+}
+
 /**
  * Calculate settlement suggestions using greedy algorithm
  * @param {Object} debtGraph - Graph representation of debts
@@ -39,19 +81,7 @@ async function calculateMinCashFlowSettlements(debtGraph, exchangeRates) {
  * @returns {Promise<Array>} - Array of settlement transactions
  */
 async function calculateGreedySettlements(debtGraph, exchangeRates) {
-  const graphHash = generateGraphHash(debtGraph);
-  const cacheKey = cacheService.generateCacheKey('algorithm', 'greedy', { graphHash });
-  
-  return cacheService.cacheResult(
-    async () => {
-      const timer = timers.createAlgorithmTimer('greedy');
-      const settlements = greedyAlgorithm.calculate(debtGraph, exchangeRates);
-      timer();
-      return settlements;
-    },
-    cacheKey,
-    3600 // 1 hour
-  );
+  return calculateSettlements('greedy', debtGraph, exchangeRates);
 }
 
 /**
@@ -62,27 +92,85 @@ async function calculateGreedySettlements(debtGraph, exchangeRates) {
  * @returns {Promise<Array>} - Array of settlement transactions
  */
 async function calculateFriendPreferenceSettlements(debtGraph, exchangeRates, friendships) {
-  const graphHash = generateGraphHash(debtGraph);
-  const friendshipHash = generateFriendshipHash(friendships);
-  const cacheKey = cacheService.generateCacheKey('algorithm', 'friendPreference', { 
-    graphHash, 
-    friendshipHash 
-  });
-  
-  return cacheService.cacheResult(
-    async () => {
-      const timer = timers.createAlgorithmTimer('friendPreference');
-      const settlements = friendPreferenceAlgorithm.calculate(
-        debtGraph, 
-        exchangeRates, 
-        friendships
-      );
-      timer();
-      return settlements;
-    },
-    cacheKey,
-    3600 // 1 hour
+  return calculateSettlements('friendPreference', debtGraph, exchangeRates, friendships);
+}
+
+/**
+ * Resolve the algorithm used for a member's settlement suggestions.
+ * An algorithm requested for the call wins over the member's preference,
+ * and either wins over the group's policy only when the policy lets
+ * members override it with that algorithm.
+ * @param {Object} params - Resolution inputs
+ * @param {Object} [params.policy] - Group settlement policy
+ * @param {Object} [params.preferences] - Member's user preferences
+ * @param {string} [params.requested] - Algorithm requested for this call
+ * @returns {{ algorithm: string, source: string }} Algorithm ID and where it
+ *   came from (request, member, group or default)
+ * @throws {BadRequestError} If the requested algorithm is unknown or not
+ *   allowed by the group's policy
+ */
+function resolveSettlementAlgorithm({ policy, preferences, requested } = {}) {
+  const groupAlgorithm = policy && algorithmRegistry.hasAlgorithm(policy.algorithm)
+    ? policy.algorithm
+    : null;
+  const canOverride = algorithm => !groupAlgorithm || (
+    policy.allowMemberOverrides !== false &&
+    (!policy.overrideAlgorithms || policy.overrideAlgorithms.length === 0 ||
+      policy.overrideAlgorithms.includes(algorithm))
+  );
+
+  if (requested) {
+    if (!algorithmRegistry.hasAlgorithm(requested)) {
+      throw new BadRequestError(`Unknown settlement algorithm: ${requested}`);
+    }
+    if (!canOverride(requested)) {
+      throw new BadRequestError(`The group's settlement policy does not allow the ${requested} algorithm`);
+    }
+    return { algorithm: requested, source: 'request' };
+  }
+
+  // A stale preference for an algorithm that is no longer registered is ignored
+  const preferred = preferences && preferences.settlementAlgorithm;
+  if (preferred && algorithmRegistry.hasAlgorithm(preferred) && canOverride(preferred)) {
+    return { algorithm: preferred, source: 'member' };
+  }
+
+  if (groupAlgorithm) {
+    return { algorithm: groupAlgorithm, source: 'group' };
+  }
+
+  return { algorithm: algorithmRegistry.DEFAULT_ALGORITHM, source: 'default' };
+}
+
+/**
+ * Keep members who blocked each other from paying each other: their
+ * transfers are passed on by another member instead
+ * @param {Array} settlements - Settlement transactions
+ * @param {Object} [friendships] - Friendship strengths with `blockedPairs`
+ * @param {Array<string>} [users] - Members who may pass payments on
+ * @returns {Array} Settlement transactions
+ * @throws {ConflictError} If no member can pass on a blocked pair's payment
+ */
+function excludeBlockedPairs(settlements, friendships, users = []) {
+  const blockedPairs = (friendships && friendships.blockedPairs) || [];
+  if (blockedPairs.length === 0) {
+    return settlements;
+  }
+
+  const { settlements: result, violations } = applyConstraints(
+    settlements,
+    { excludedPairs: blockedPairs },
+    users
   );
+
+  if (violations.length > 0) {
+    const [from, to] = violations[0];
+    throw new ConflictError(
+      `${from} and ${to} have blocked each other and no other member can pass on the payment`
+    );
+  }
+
+  return result;
 }
 
 /**
@@ -144,7 +232,14 @@ function generateFriendshipHash(friendships) {
 }
 
 module.exports = {
+  calculateSettlements,
+  resolveSettlementAlgorithm,
+  usesFriendships,
+  excludeBlockedPairs,
+  registerAlgorithm: algorithmRegistry.registerAlgorithm,
+  listAlgorithms: algorithmRegistry.listAlgorithms,
   calculateMinCashFlowSettlements,
+  calculateMinTransactionSettlements,
   calculateGreedySettlements,
   calculateFriendPreferenceSettlements
 }; 
\ No newline at end of file
@@ -6,10 +6,60 @@
  */
 
 const Settlement = require('../models/settlement.model');
-const { BadRequestError, NotFoundError } = require('../../../../shared/errors');
+const { BadRequestError, NotFoundError, ConflictError, ForbiddenError } = require('../../../../shared/errors');
 const { metrics, timers } = require('../config/monitoring');
 const cacheService = require('./cache.service');
-const { addSettlementProcessingJob, addEmailNotificationJob } = require('./job-queue.service');
+const expenseClient = require('./expense.client');
+const groupClient = require('./group.client');
+const userClient = require('./user.client');
+const exchangeRateService = require('./exchange-rate.service');
+const {
+  addSettlementProcessingJob,
+  addEmailNotificationJob,
+  scheduleSettlementReminder
+} = require('./job-queue.service');
+const {
+  INSTALLMENT_FREQUENCIES,
+  toCents,
+  buildInstallmentSchedule,
+  allocatePayment
+} = require('../utils/installment.utils');
+const {
+  SYSTEM_ACTOR,
+  getActorRole,
+  assertTransition,
+  createAuditEntry
+} = require('../utils/settlement-workflow.utils');
+
+// Statuses a settlement can still receive payments in
+const PAYABLE_STATUSES = ['pending', 'partially_paid'];
+
+const MAX_INSTALLMENTS = 60;
+
+// Days before an installment is due that its first reminder goes out
+const INSTALLMENT_REMINDER_LEAD_DAYS = Number(process.env.INSTALLMENT_REMINDER_LEAD_DAYS) || 3;
+
+// Hours a settlement marked sent can wait for the receiver before it is escalated
+const CONFIRMATION_ESCALATION_HOURS = Number(process.env.SETTLEMENT_CONFIRMATION_ESCALATION_HOURS) || 72;
+
+const MAX_DISPUTE_ATTACHMENTS = 5;
+
+// Friendship strength of friends before any interaction; interactions add up to the rest
+const FRIEND_STRENGTH = 0.5;
+
+// Interactions at which their part of a pair's strength reaches about two
+// thirds of its maximum. A settlement between the pair counts as two.
+const INTERACTION_SCALE = 10;
+
+// Days of shared expenses and settlements friendship strengths consider
+const FRIENDSHIP_HISTORY_DAYS = Number(process.env.FRIENDSHIP_HISTORY_DAYS) || 365;
+
+// Notification sent to both parties when a settlement reaches a status
+const STATUS_NOTIFICATIONS = {
+  sent: 'settlement_sent',
+  disputed: 'settlement_disputed',
+  escalated: 'confirmation_escalated'
+};
 
 /**
  * Create a new settlement
@@ -17,14 +67,16 @@ const { addSettlementProcessingJob, addEmailNotificationJob } = require('./job-q
  * @returns {Promise<Object>} Created settlement
  */
 async function createSettlement(settlementData) {
-  const timer = timers.createDatabaseTimer('createSettlement');
+  const timer = timers.createDbTimer('create', 'settlements');
   
   try {
     const settlement = await Settlement.create(settlementData);
     
-    metrics.settlementOperationCounter.inc({ 
-      operation: 'create', 
-      status: 'success' 
+    await invalidateGroupDebtGraph(settlement.groupId);
+    
+    metrics.settlementCreatedCounter.inc({ 
+      status: 'success', 
+      currency: settlement.currency 
     });
     
     // Schedule background jobs
@@ -32,9 +84,9 @@ async function createSettlement(settlementData) {
     
     return settlement;
   } catch (error) {
-    metrics.settlementOperationCounter.inc({ 
-      operation: 'create', 
-      status: 'error' 
+    metrics.settlementCreatedCounter.inc({ 
+      status: 'error', 
+      currency: settlementData.currency 
     });
     
     console.error('Error creating settlement:', error);
@@ -143,41 +195,79 @@ async function getSettlementsByFilter(filter, limit = 20, offset = 0) {
 
 /**
  * Update settlement status
+ * 
+ * The change is checked against the settlement state machine and recorded
+ * in the settlement's audit log.
  * @param {string} settlementId - Settlement ID
  * @param {string} status - New status
  * @param {Object} additionalFields - Additional fields to update
+ * @param {string} actorId - User making the change, defaults to the system
+ * @param {Object} options - Audit options
+ * @param {string} options.action - Audit log action, defaults to status_changed
+ * @param {string} options.note - Note for the audit log
+ * @param {Object} options.push - Extra array updates applied with the change
  * @returns {Promise<Object>} Updated settlement
  */
-async function updateSettlementStatus(settlementId, status, additionalFields = {}) {
-  const timer = timers.createDatabaseTimer('updateSettlementStatus');
+async function updateSettlementStatus(settlementId, status, additionalFields = {}, actorId = SYSTEM_ACTOR, options = {}) {
+  const timer = timers.createDbTimer('findOneAndUpdate', 'settlements');
   
   try {
     // Get the current settlement to check status change
     const currentSettlement = await Settlement.findById(settlementId);
     
     if (!currentSettlement) {
-      throw new Error(`Settlement not found: ${settlementId}`);
+      throw new NotFoundError(`Settlement with ID ${settlementId} not found`);
     }
     
     const previousStatus = currentSettlement.status;
+    assertTransition(currentSettlement, status, actorId);
     
-    // Update settlement
-    const settlement = await Settlement.findByIdAndUpdate(
-      settlementId,
+    const fields = {
+      status,
+      ...additionalFields,
+      updatedAt: new Date()
+    };
+    
+    // A settlement marked completed has nothing left to pay
+    if (status === 'completed') {
+      fields.remainingAmount = 0;
+      fields.completedAt = fields.completedAt || new Date();
+    }
+    
+    // Ending a dispute records how it ended
+    if (previousStatus === 'disputed' && ['completed', 'cancelled'].includes(status)) {
+      fields['dispute.resolvedAt'] = new Date();
+      fields['dispute.resolution'] = status;
+    }
+    
+    // Only apply the change if nobody moved the settlement on in the meantime
+    const settlement = await Settlement.findOneAndUpdate(
+      { _id: settlementId, status: previousStatus },
       {
-        status,
-        ...additionalFields,
-        updatedAt: new Date()
+        $set: fields,
+        $push: {
+          ...options.push,
+          auditLog: createAuditEntry(options.action || 'status_changed', actorId, {
+            fromStatus: previousStatus,
+            toStatus: status,
+            note: options.note
+          })
+        }
       },
       { new: true }
     );
     
+    if (!settlement) {
+      throw new ConflictError('Settlement was updated by another request, please retry');
+    }
+    
     // Invalidate cache
     await cacheService.del(cacheService.generateCacheKey('settlement', settlementId));
+    await invalidateGroupDebtGraph(currentSettlement.groupId);
     
-    metrics.settlementOperationCounter.inc({ 
-      operation: 'updateStatus', 
-      status: 'success' 
+    metrics.settlementStatusChangedCounter.inc({ 
+      from: previousStatus, 
+      to: status 
     });
     
     // Schedule background jobs for the status change
@@ -188,11 +278,6 @@ async function updateSettlementStatus(settlementId, status, additionalFields = {
     
     return settlement;
   } catch (error) {
-    metrics.settlementOperationCounter.inc({ 
-      operation: 'updateStatus', 
-      status: 'error' 
-    });
-    
     console.error(`Error updating settlement status for ${settlementId}:`, error);
     throw error;
   } finally {
@@ -200,6 +285,217 @@ async function updateSettlementStatus(settlementId, status, additionalFields = {
   }
 }
 
+/**
+ * Mark a settlement as sent by the payer. The receiver then confirms or
+ * disputes it; if they do neither it is escalated.
+ * @param {string} settlementId - Settlement ID
+ * @param {string} userId - Payer ID
+ * @param {Object} details - Optional details
+ * @param {string} details.note - Note for the receiver, e.g. how the money was sent
+ * @returns {Promise<Object>} Updated settlement
+ */
+async function markSettlementSent(settlementId, userId, { note } = {}) {
+  return updateSettlementStatus(settlementId, 'sent', {
+    'confirmation.sentAt': new Date(),
+    'confirmation.sentBy': userId,
+    'confirmation.paymentAmount': null
+  }, userId, { action: 'marked_sent', note });
+}
+
+/**
+ * Confirm as the receiver that the money for a settlement arrived. A
+ * partial payment the payer recorded leaves the settlement partially paid;
+ * otherwise it is completed.
+ * @param {string} settlementId - Settlement ID
+ * @param {string} userId - Receiver ID
+ * @param {Object} details - Optional details
+ * @param {string} details.note - Note for the audit log
+ * @returns {Promise<Object>} Updated settlement
+ */
+async function confirmSettlement(settlementId, userId, { note } = {}) {
+  const settlement = await Settlement.findById(settlementId);
+  if (!settlement) {
+    throw new NotFoundError(`Settlement with ID ${settlementId} not found`);
+  }
+  
+  const partlyPaid = Boolean(settlement.confirmation && settlement.confirmation.paymentAmount) &&
+    toCents(settlement.amountPaid) < toCents(settlement.amount);
+  
+  return updateSettlementStatus(settlementId, partlyPaid ? 'partially_paid' : 'completed', {
+    'confirmation.confirmedAt': new Date(),
+    'confirmation.confirmedBy': userId
+  }, userId, { action: 'confirmed', note });
+}
+
+/**
+ * Dispute a settlement as the receiver. This opens a message thread where
+ * both parties can add evidence.
+ * @param {string} settlementId - Settlement ID
+ * @param {string} userId - Receiver ID
+ * @param {Object} disputeData - Dispute details
+ * @param {string} disputeData.reason - Why the settlement is disputed
+ * @param {string} disputeData.message - Optional first message of the thread
+ * @param {Array<Object>} disputeData.attachments - Optional evidence attachments
+ * @returns {Promise<Object>} Updated settlement
+ */
+async function disputeSettlement(settlementId, userId, { reason, message, attachments } = {}) {
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    throw new BadRequestError('A reason is required to dispute a settlement');
+  }
+  
+  const disputeMessage = createDisputeMessage(userId, message, attachments, false);
+  
+  return updateSettlementStatus(settlementId, 'disputed', {
+    'dispute.reason': reason.trim(),
+    'dispute.openedBy': userId,
+    'dispute.openedAt': new Date(),
+    'dispute.resolvedAt': null,
+    'dispute.resolution': null
+  }, userId, {
+    action: 'disputed',
+    note: reason.trim(),
+    push: disputeMessage ? { 'dispute.messages': disputeMessage } : {}
+  });
+}
+
+/**
+ * Add a message to the thread of a disputed settlement
+ * @param {string} settlementId - Settlement ID
+ * @param {string} userId - Payer or receiver ID
+ * @param {Object} messageData - Message details
+ * @param {string} messageData.message - Message text
+ * @param {Array<Object>} messageData.attachments - Evidence attachments
+ * @returns {Promise<Object>} Updated settlement
+ */
+async function addDisputeMessage(settlementId, userId, { message, attachments } = {}) {
+  const disputeMessage = createDisputeMessage(userId, message, attachments, true);
+  
+  const settlement = await Settlement.findById(settlementId);
+  
+  if (!settlement) {
+    throw new NotFoundError(`Settlement with ID ${settlementId} not found`);
+  }
+  
+  if (!['payer', 'receiver'].includes(getActorRole(settlement, userId))) {
+    throw new ForbiddenError('Only the payer or receiver can add to this dispute');
+  }
+  
+  if (settlement.status !== 'disputed') {
+    throw new BadRequestError('Messages can only be added while a settlement is disputed');
+  }
+  
+  const updatedSettlement = await Settlement.findOneAndUpdate(
+    { _id: settlementId, status: 'disputed' },
+    {
+      $set: { updatedAt: new Date() },
+      $push: {
+        'dispute.messages': disputeMessage,
+        auditLog: createAuditEntry('dispute_message_added', userId, {
+          fromStatus: 'disputed',
+          toStatus: 'disputed'
+        })
+      }
+    },
+    { new: true }
+  );
+  
+  if (!updatedSettlement) {
+    throw new ConflictError('Settlement was updated by another request, please retry');
+  }
+  
+  await cacheService.del(cacheService.generateCacheKey('settlement', settlementId));
+  
+  return updatedSettlement;
+}
+
+/**
+ * Escalate a settlement the receiver has not confirmed or disputed in time.
+ * Run by the settlement processor once the escalation delay has passed.
+ * @param {string} settlementId - Settlement ID
+ * @param {Date|string} sentAt - When the settlement was marked sent for the escalation that was scheduled
+ * @returns {Promise<Object|null>} Updated settlement, or null if it no longer needs escalating
+ */
+async function escalateUnconfirmedSettlement(settlementId, sentAt) {
+  const settlement = await Settlement.findById(settlementId);
+  
+  // Skip settlements that were answered, or marked sent again since
+  if (
+    !settlement ||
+    settlement.status !== 'sent' ||
+    !settlement.confirmation ||
+    new Date(settlement.confirmation.sentAt).getTime() !== new Date(sentAt).getTime()
+  ) {
+    return null;
+  }
+  
+  return updateSettlementStatus(settlementId, 'escalated', {
+    'confirmation.escalatedAt': new Date()
+  }, SYSTEM_ACTOR, {
+    action: 'escalated',
+    note: `Not confirmed within ${CONFIRMATION_ESCALATION_HOURS} hours`
+  });
+}
+
+/**
+ * Build a dispute thread message
+ * @param {string} authorId - Author ID
+ * @param {string} message - Message text
+ * @param {Array<Object>} attachments - Evidence attachments
+ * @param {boolean} required - Whether the message must have text or attachments
+ * @returns {Object|null} - Message, or null if empty and not required
+ */
+function createDisputeMessage(authorId, message, attachments = [], required) {
+  if (message !== undefined && typeof message !== 'string') {
+    throw new BadRequestError('Message must be a string');
+  }
+  
+  if (!Array.isArray(attachments)) {
+    throw new BadRequestError('Attachments must be an array');
+  }
+  
+  if (attachments.length > MAX_DISPUTE_ATTACHMENTS) {
+    throw new BadRequestError(`A message can have at most ${MAX_DISPUTE_ATTACHMENTS} attachments`);
+  }
+  
+  const text = message ? message.trim() : '';
+  if (!text && attachments.length === 0) {
+    if (required) {
+      throw new BadRequestError('A message or at least one attachment is required');
+    }
+    return null;
+  }
+  
+  return {
+    authorId,
+    message: text || undefined,
+    attachments: attachments.map(validateAttachment)
+  };
+}
+
+/**
+ * Check an evidence attachment points at an uploaded file
+ * @param {Object} attachment - Attachment
+ * @returns {Object} - Attachment with only the known fields
+ */
+function validateAttachment(attachment) {
+  let url;
+  try {
+    url = new URL(attachment && attachment.url);
+  } catch (error) {
+    throw new BadRequestError('Each attachment needs a valid url');
+  }
+  
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new BadRequestError('Attachment urls must use http or https');
+  }
+  
+  return {
+    url: url.toString(),
+    filename: attachment.filename,
+    contentType: attachment.contentType
+  };
+}
+
 /**
  * Update payment status for a settlement
  * @param {string} settlementId - Settlement ID
@@ -208,7 +504,7 @@ async function updateSettlementStatus(settlementId, status, additionalFields = {
  * @returns {Promise<Object>} Updated settlement
  */
 async function updatePaymentStatus(settlementId, paymentStatus, paymentDetails = {}) {
-  const timer = timers.createDatabaseTimer('updatePaymentStatus');
+  const timer = timers.createDbTimer('findByIdAndUpdate', 'settlements');
   
   try {
     const settlement = await Settlement.findByIdAndUpdate(
@@ -226,10 +522,13 @@ async function updatePaymentStatus(settlementId, paymentStatus, paymentDetails =
     
     // Invalidate cache
     await cacheService.del(cacheService.generateCacheKey('settlement', settlementId));
+    if (settlement) {
+      await invalidateGroupDebtGraph(settlement.groupId);
+    }
     
-    metrics.settlementOperationCounter.inc({ 
-      operation: 'updatePaymentStatus', 
-      status: 'success' 
+    metrics.paymentAttemptCounter.inc({ 
+      status: paymentStatus, 
+      currency: settlement && settlement.currency 
     });
     
     // Schedule background jobs for payment status change
@@ -239,35 +538,411 @@ async function updatePaymentStatus(settlementId, paymentStatus, paymentDetails =
     
     return settlement;
   } catch (error) {
-    metrics.settlementOperationCounter.inc({ 
-      operation: 'updatePaymentStatus', 
-      status: 'error' 
+    console.error(`Error updating payment status for ${settlementId}:`, error);
+    throw error;
+  } finally {
+    timer();
+  }
+}
+
+/**
+ * Record a payment made towards a settlement
+ * 
+ * Payments may cover part of the settlement. The settlement is partially
+ * paid until its remaining amount reaches zero, at which point it is
+ * completed. A payment the payer recorded is only their word that money was
+ * sent off-platform, so it marks the settlement sent and the receiver
+ * confirms or disputes it. Status changes go through the settlement state
+ * machine. Payments are applied to installments oldest first.
+ * @param {string} settlementId - Settlement ID
+ * @param {Object} paymentData - Payment details
+ * @param {number} paymentData.amount - Amount paid
+ * @param {string} paymentData.method - Payment method
+ * @param {Date|string} [paymentData.paidAt] - When the payment was made (defaults to now)
+ * @param {string} [paymentData.notes] - Optional notes
+ * @param {string} [paymentData.reference] - ID of the payment in the system that made it
+ * @param {string} recordedBy - ID of the user recording the payment
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.verified=false] - Whether the platform saw the money
+ *   move, e.g. a wallet transfer, so the status changes as the system's
+ * @returns {Promise<Object>} Updated settlement
+ */
+async function recordPayment(settlementId, paymentData, recordedBy, { verified = false } = {}) {
+  if (!(toCents(paymentData.amount) > 0)) {
+    throw new BadRequestError('Payment amount must be at least 0.01');
+  }
+  
+  if (!Settlement.PAYMENT_METHODS.includes(paymentData.method)) {
+    throw new BadRequestError(`Invalid payment method, must be one of: ${Settlement.PAYMENT_METHODS.join(', ')}`);
+  }
+  
+  if (paymentData.paidAt && Number.isNaN(new Date(paymentData.paidAt).getTime())) {
+    throw new BadRequestError('paidAt must be a valid date');
+  }
+  
+  const timer = timers.createDbTimer('findOneAndUpdate', 'settlements');
+  
+  try {
+    const settlement = await Settlement.findById(settlementId);
+    
+    if (!settlement) {
+      throw new NotFoundError(`Settlement with ID ${settlementId} not found`);
+    }
+    
+    if (!PAYABLE_STATUSES.includes(settlement.status)) {
+      throw new BadRequestError(`Cannot record a payment against a ${settlement.status} settlement`);
+    }
+    
+    const paymentCents = toCents(paymentData.amount);
+    const paidCents = toCents(settlement.amountPaid);
+    const remainingCents = toCents(settlement.amount) - paidCents;
+    
+    if (paymentCents > remainingCents) {
+      throw new BadRequestError(
+        `Payment of ${paymentData.amount} exceeds the remaining balance of ${remainingCents / 100} ${settlement.currency}`
+      );
+    }
+    
+    const paidAt = paymentData.paidAt ? new Date(paymentData.paidAt) : new Date();
+    const remainingAmount = (remainingCents - paymentCents) / 100;
+    const actorId = verified ? SYSTEM_ACTOR : recordedBy;
+    const role = getActorRole(settlement, actorId);
+    
+    let status = remainingAmount === 0 ? 'completed' : 'partially_paid';
+    if (role === 'payer') {
+      status = 'sent';
+    }
+    
+    if (status !== settlement.status) {
+      assertTransition(settlement, status, actorId);
+    } else if (!role) {
+      throw new ForbiddenError('Only the payer or receiver can record a payment for this settlement');
+    }
+    
+    const fields = {
+      amountPaid: (paidCents + paymentCents) / 100,
+      remainingAmount,
+      status,
+      updatedAt: new Date()
+    };
+    
+    if (remainingAmount === 0) {
+      fields.paymentMethod = paymentData.method;
+    }
+    
+    if (status === 'completed') {
+      fields.completedAt = paidAt;
+    }
+    
+    if (status === 'sent') {
+      fields['confirmation.sentAt'] = new Date();
+      fields['confirmation.sentBy'] = recordedBy;
+      fields['confirmation.paymentAmount'] = paymentData.amount;
+    }
+    
+    const installments = settlement.installmentPlan && settlement.installmentPlan.installments;
+    if (installments && installments.length > 0) {
+      const plain = installments.map(installment =>
+        installment.toObject ? installment.toObject() : installment
+      );
+      fields['installmentPlan.installments'] = allocatePayment(plain, paymentData.amount, paidAt);
+    }
+    
+    // Only apply the payment if no other payment was recorded in the meantime
+    const updatedSettlement = await Settlement.findOneAndUpdate(
+      { _id: settlementId, updatedAt: settlement.updatedAt },
+      {
+        $set: fields,
+        $push: {
+          payments: {
+            amount: paymentData.amount,
+            method: paymentData.method,
+            paidAt,
+            recordedBy,
+            notes: paymentData.notes,
+            reference: paymentData.reference
+          },
+          auditLog: createAuditEntry('payment_recorded', recordedBy, {
+            fromStatus: settlement.status,
+            toStatus: status,
+            note: `${paymentData.amount} ${settlement.currency} by ${paymentData.method}`
+          })
+        }
+      },
+      { new: true }
+    );
+    
+    if (!updatedSettlement) {
+      throw new ConflictError('Settlement was updated by another request, please retry');
+    }
+    
+    await cacheService.del(cacheService.generateCacheKey('settlement', settlementId));
+    await invalidateGroupDebtGraph(settlement.groupId);
+    
+    metrics.paymentAttemptCounter.inc({ 
+      status: 'recorded', 
+      currency: settlement.currency, 
+      payment_method: paymentData.method 
+    });
+    
+    if (status !== settlement.status) {
+      metrics.settlementStatusChangedCounter.inc({ 
+        from: settlement.status, 
+        to: status 
+      });
+      await scheduleSettlementJobs(settlementId, 'status_updated', {
+        previousStatus: settlement.status,
+        newStatus: status
+      });
+    }
+    
+    return updatedSettlement;
+  } catch (error) {
+    metrics.paymentAttemptCounter.inc({ 
+      status: 'failed', 
+      payment_method: paymentData.method 
     });
     
-    console.error(`Error updating payment status for ${settlementId}:`, error);
     throw error;
   } finally {
     timer();
   }
 }
 
+/**
+ * Complete a settlement paid in full by a wallet transfer in payment-service
+ * 
+ * The transfer must go from the settlement's payer to its receiver and
+ * cover the remaining amount. Recording the same transfer again returns the
+ * settlement unchanged, so payment-service can retry safely.
+ * @param {string} settlementId - Settlement ID
+ * @param {Object} transfer - Wallet transfer
+ * @param {string} transfer.transferId - ID of the transfer in payment-service
+ * @param {string} transfer.payerId - Sending user ID
+ * @param {string} transfer.receiverId - Receiving user ID
+ * @param {number} transfer.amount - Amount transferred
+ * @param {string} transfer.currency - Currency of the transfer
+ * @returns {Promise<Object>} Completed settlement
+ */
+async function recordWalletPayment(settlementId, { transferId, payerId, receiverId, amount, currency }) {
+  if (!transferId) {
+    throw new BadRequestError('Transfer ID is required');
+  }
+  
+  const timer = timers.createDbTimer('findById', 'settlements');
+  const settlement = await Settlement.findById(settlementId);
+  timer();
+  
+  if (!settlement) {
+    throw new NotFoundError(`Settlement with ID ${settlementId} not found`);
+  }
+  
+  if ((settlement.payments || []).some(payment => payment.reference === transferId)) {
+    return settlement;
+  }
+  
+  if (settlement.payerId !== payerId || settlement.receiverId !== receiverId) {
+    throw new ForbiddenError('Wallet transfers must go from the settlement\'s payer to its receiver');
+  }
+  
+  if (currency !== settlement.currency) {
+    throw new BadRequestError(`Settlement is in ${settlement.currency}, not ${currency}`);
+  }
+  
+  const remainingCents = toCents(settlement.amount) - toCents(settlement.amountPaid);
+  if (toCents(amount) !== remainingCents) {
+    throw new BadRequestError(
+      `A wallet transfer must pay the remaining ${remainingCents / 100} ${settlement.currency}`
+    );
+  }
+  
+  return recordPayment(
+    settlementId,
+    { amount, method: 'app_balance', reference: transferId, notes: 'Paid from SpendSync wallet' },
+    payerId,
+    { verified: true }
+  );
+}
+
+/**
+ * Record a payment seen on a user's bank account against a settlement, as
+ * matched by payment-service. The user must be the settlement's payer or
+ * receiver; a transaction on the payer's account only marks the settlement
+ * sent, for the receiver to confirm. Recording the same bank transaction
+ * again returns the settlement unchanged.
+ * @param {string} settlementId - Settlement ID
+ * @param {Object} payment - Bank payment
+ * @param {string} payment.transactionId - ID of the bank transaction
+ * @param {string} payment.userId - User whose account the transaction is on
+ * @param {number} payment.amount - Amount of the transaction
+ * @param {string} payment.currency - Currency of the transaction
+ * @param {Date|string} [payment.paidAt] - Date of the transaction
+ * @returns {Promise<Object>} Updated settlement
+ */
+async function recordBankPayment(settlementId, { transactionId, userId, amount, currency, paidAt }) {
+  if (!transactionId) {
+    throw new BadRequestError('Transaction ID is required');
+  }
+  
+  const timer = timers.createDbTimer('findById', 'settlements');
+  const settlement = await Settlement.findById(settlementId);
+  timer();
+  
+  if (!settlement) {
+    throw new NotFoundError(`Settlement with ID ${settlementId} not found`);
+  }
+  
+  if ((settlement.payments || []).some(payment => payment.reference === transactionId)) {
+    return settlement;
+  }
+  
+  if (settlement.payerId !== userId && settlement.receiverId !== userId) {
+    throw new ForbiddenError('Only the payer or receiver can record a payment for this settlement');
+  }
+  
+  if (currency !== settlement.currency) {
+    throw new BadRequestError(`Settlement is in ${settlement.currency}, not ${currency}`);
+  }
+  
+  return recordPayment(
+    settlementId,
+    { amount, method: 'bank_transfer', paidAt, reference: transactionId, notes: 'Matched to a bank transaction' },
+    userId
+  );
+}
+
+/**
+ * Split what is left of a settlement into installments and schedule a
+ * reminder for each of them
+ * @param {string} settlementId - Settlement ID
+ * @param {Object} planData - Plan details
+ * @param {number} planData.count - Number of installments
+ * @param {string} planData.frequency - One of weekly, biweekly or monthly
+ * @param {Date|string} planData.startDate - Due date of the first installment
+ * @param {string} createdBy - ID of the user creating the plan
+ * @returns {Promise<Object>} Updated settlement
+ */
+async function createInstallmentPlan(settlementId, planData, createdBy) {
+  const { count, frequency, startDate } = planData;
+  
+  if (!Number.isInteger(count) || count < 2 || count > MAX_INSTALLMENTS) {
+    throw new BadRequestError(`Installment count must be a whole number between 2 and ${MAX_INSTALLMENTS}`);
+  }
+  
+  if (!INSTALLMENT_FREQUENCIES.includes(frequency)) {
+    throw new BadRequestError(`Invalid frequency, must be one of: ${INSTALLMENT_FREQUENCIES.join(', ')}`);
+  }
+  
+  const firstDueDate = new Date(startDate);
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  if (Number.isNaN(firstDueDate.getTime()) || firstDueDate < today) {
+    throw new BadRequestError('Start date must be a valid date that is not in the past');
+  }
+  
+  const settlement = await Settlement.findById(settlementId);
+  
+  if (!settlement) {
+    throw new NotFoundError(`Settlement with ID ${settlementId} not found`);
+  }
+  
+  if (!PAYABLE_STATUSES.includes(settlement.status)) {
+    throw new BadRequestError(`Cannot create an installment plan for a ${settlement.status} settlement`);
+  }
+  
+  const existing = settlement.installmentPlan && settlement.installmentPlan.installments;
+  if (existing && existing.length > 0) {
+    throw new BadRequestError('Settlement already has an installment plan');
+  }
+  
+  const remainingCents = toCents(settlement.amount) - toCents(settlement.amountPaid);
+  if (remainingCents < count) {
+    throw new BadRequestError('The remaining amount is too small to split into that many installments');
+  }
+  
+  const updatedSettlement = await Settlement.findByIdAndUpdate(
+    settlementId,
+    {
+      installmentPlan: {
+        frequency,
+        createdBy,
+        createdAt: new Date(),
+        installments: buildInstallmentSchedule(remainingCents / 100, count, frequency, firstDueDate)
+      },
+      updatedAt: new Date(),
+      $push: {
+        auditLog: createAuditEntry('installment_plan_created', createdBy, {
+          fromStatus: settlement.status,
+          toStatus: settlement.status,
+          note: `${count} ${frequency} installments`
+        })
+      }
+    },
+    { new: true }
+  );
+  
+  await cacheService.del(cacheService.generateCacheKey('settlement', settlementId));
+  
+  await scheduleInstallmentReminders(updatedSettlement);
+  
+  return updatedSettlement;
+}
+
+/**
+ * Schedule a reminder to the payer ahead of each installment's due date.
+ * The reminder processor follows up until the installment is paid.
+ * @param {Object} settlement - Settlement with an installment plan
+ * @returns {Promise<void>}
+ */
+async function scheduleInstallmentReminders(settlement) {
+  const settlementId = String(settlement._id || settlement.id);
+  const now = Date.now();
+  
+  for (const installment of settlement.installmentPlan.installments) {
+    const dueDate = new Date(installment.dueDate);
+    const remindAt = new Date(Math.max(
+      now,
+      dueDate.getTime() - INSTALLMENT_REMINDER_LEAD_DAYS * 24 * 60 * 60 * 1000
+    ));
+    
+    try {
+      await scheduleSettlementReminder({
+        settlementId,
+        userId: settlement.payerId,
+        dueDate,
+        reminderType: 'initial',
+        installmentNumber: installment.number
+      }, remindAt);
+    } catch (error) {
+      // A missed reminder should not fail the plan
+      console.error(`Error scheduling reminder for installment ${installment.number} of settlement ${settlementId}:`, error);
+    }
+  }
+}
+
 /**
  * Get the debt graph for a group
+ * 
+ * Expenses live in expense-service, so the group's completed and partially
+ * paid settlements are sent there and balances are calculated from both.
  * @param {string} groupId - ID of the group
- * @returns {Promise<Object>} - Debt graph
+ * @returns {Promise<Object>} - Debt graph with users, debts and per-user balances
  */
 async function getGroupDebtGraph(groupId) {
   const cacheKey = cacheService.generateCacheKey('debtGraph', groupId);
   
   return cacheService.cacheResult(
     async () => {
-      // This would typically make a call to the expense service
-      // to get the group's debt graph data
-      // For now we'll return a placeholder
+      const debtGraph = await expenseClient.getGroupDebtGraph(
+        groupId,
+        await getBalanceSettlements(groupId)
+      );
+      
       return {
         groupId,
-        members: [],
-        debts: []
+        users: debtGraph.users,
+        debts: debtGraph.debts,
+        balances: debtGraph.balances
       };
     },
     cacheKey,
@@ -275,48 +950,132 @@ async function getGroupDebtGraph(groupId) {
   );
 }
 
+/**
+ * Get the settlements of a group that count towards its balances (those
+ * paid in full or in part) in the shape expense-service calculates
+ * balances from. Each recorded payment keeps its date so balances can be
+ * calculated as of a past day.
+ * @param {string} groupId - ID of the group
+ * @returns {Promise<Array<Object>>} Settlements
+ */
+async function getBalanceSettlements(groupId) {
+  const timer = timers.createDbTimer('find', 'settlements');
+  const settlements = await Settlement.find({ groupId, status: { $in: ['completed', 'partially_paid'] } });
+  timer();
+  
+  return settlements.map(settlement => ({
+    id: String(settlement._id || settlement.id),
+    payerId: settlement.payerId,
+    receiverId: settlement.receiverId,
+    amount: settlement.amount,
+    amountPaid: settlement.amountPaid,
+    currency: settlement.currency,
+    status: settlement.status,
+    payments: (settlement.payments || []).map(payment => ({
+      amount: payment.amount,
+      paidAt: payment.paidAt
+    })),
+    createdAt: settlement.createdAt,
+    completedAt: settlement.completedAt
+  }));
+}
+
+/**
+ * Get the settlements a user still has to pay or be paid, read fresh from
+ * the database for matching against bank transactions
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array<Object>>} Pending and partially paid settlements
+ */
+async function getPayableSettlements(userId) {
+  const timer = timers.createDbTimer('find', 'settlements');
+  const settlements = await Settlement.find({
+    $or: [{ payerId: userId }, { receiverId: userId }],
+    status: { $in: PAYABLE_STATUSES }
+  }).sort({ createdAt: -1 });
+  timer();
+  
+  return settlements;
+}
+
+/**
+ * Invalidate cached balance data for a group after one of its
+ * expenses or settlements changed
+ * @param {string} groupId - ID of the group
+ * @returns {Promise<void>}
+ */
+async function invalidateGroupDebtGraph(groupId) {
+  if (!groupId) {
+    return;
+  }
+  
+  await cacheService.del(cacheService.generateCacheKey('debtGraph', groupId));
+  
+  // Shared expenses and settlements count towards friendship strengths
+  await cacheService.del(cacheService.generateCacheKey('friendshipInteractions', groupId));
+  
+  // Suggestion responses are derived from the debt graph
+  await cacheService.clearByPattern(`${cacheService.generateCacheKey('api', `suggestions-${groupId}`)}*`);
+}
+
+/**
+ * Invalidate every cached settlement suggestion after a user blocked or
+ * unblocked another. The groups the two users share aren't known here,
+ * so suggestions are cleared for all groups.
+ * @returns {Promise<void>}
+ */
+async function invalidateSuggestions() {
+  await cacheService.clearByPattern(`${cacheService.generateCacheKey('api', 'suggestions-')}*`);
+}
+
 /**
  * Get exchange rates for a list of currencies
  * @param {Array<string>} currencies - List of currencies
- * @returns {Promise<Object>} - Exchange rates
+ * @param {Date|string} [date] - Day the rates should be effective on (defaults to today)
+ * @returns {Promise<Object>} - Exchange rates keyed by currency pair (e.g. EUR_USD)
  */
-async function getExchangeRates(currencies) {
-  // Sort currencies to ensure consistent cache key regardless of order
-  const sortedCurrencies = [...currencies].sort();
-  const currencyKey = sortedCurrencies.join('-');
-  const cacheKey = cacheService.generateCacheKey('exchangeRates', currencyKey);
-  
-  return cacheService.cacheResult(
-    async () => {
-      // This would typically make a call to an exchange rate API
-      // For now we'll return a placeholder
-      const rates = {};
-      currencies.forEach(currency => {
-        rates[currency] = 1.0;
-      });
-      return rates;
-    },
-    cacheKey,
-    cacheService.CACHE_TTLs.exchangeRates
-  );
+async function getExchangeRates(currencies, date) {
+  return exchangeRateService.getExchangeRates(currencies, date);
 }
 
 /**
- * Get friendship strengths for a group
+ * Get a group's interaction history: the expenses each pair of members
+ * shared and the settlements completed between them, in any group
  * @param {string} groupId - ID of the group
- * @returns {Promise<Object>} - Friendship strengths
+ * @param {Array<string>} userIds - The group's members
+ * @returns {Promise<Object>} `{ sharedExpenses, settlements }`, both lists of
+ *   `{ user1, user2, count }`
  */
-async function getFriendshipStrengths(groupId) {
-  const cacheKey = cacheService.generateCacheKey('friendships', groupId);
+async function getInteractionHistory(groupId, userIds) {
+  const cacheKey = cacheService.generateCacheKey('friendshipInteractions', groupId);
   
   return cacheService.cacheResult(
     async () => {
-      // This would typically make a call to the user service
-      // to get friendship data between group members
-      // For now we'll return a placeholder
+      const since = new Date(Date.now() - FRIENDSHIP_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+      
+      const timer = timers.createDbTimer('find', 'settlements');
+      const [sharedExpenses, settlements] = await Promise.all([
+        expenseClient.getGroupInteractions(groupId, since),
+        Settlement.find({
+          payerId: { $in: userIds },
+          receiverId: { $in: userIds },
+          status: 'completed',
+          createdAt: { $gte: since }
+        })
+      ]);
+      timer();
+      
+      const settlementCounts = new Map();
+      for (const { payerId, receiverId } of settlements) {
+        const key = pairKey(String(payerId), String(receiverId));
+        settlementCounts.set(key, (settlementCounts.get(key) || 0) + 1);
+      }
+      
       return {
-        groupId,
-        friendships: []
+        sharedExpenses: sharedExpenses.map(({ user1, user2, sharedExpenses: count }) => ({ user1, user2, count })),
+        settlements: [...settlementCounts].map(([key, count]) => {
+          const [user1, user2] = key.split('|');
+          return { user1, user2, count };
+        })
       };
     },
     cacheKey,
@@ -324,6 +1083,81 @@ async function getFriendshipStrengths(groupId) {
   );
 }
 
+/**
+ * Key for an unordered pair of users
+ * @param {string} a - User ID
+ * @param {string} b - User ID
+ * @returns {string} Pair key
+ */
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Get friendship strengths between a group's members, from 0 to 1. Friends
+ * in user-service start at 0.5 and shared expenses and past settlements
+ * add the rest, so frequent co-spenders are also preferred. Pairs where
+ * either member blocked the other have strength 0 and are listed in
+ * `blockedPairs`; suggestions never pair them.
+ * @param {string} groupId - ID of the group
+ * @param {string} [requesterId] - User asking for the strengths, who must be a member
+ * @returns {Promise<Object>} - `{ groupId, friendships, blockedPairs }`, with
+ *   friendships `{ user1, user2, strength, isFriend, blocked, sharedExpenses, settlements }`
+ *   for every pair with any connection, strongest first
+ */
+async function getFriendshipStrengths(groupId, requesterId) {
+  const { members } = await groupClient.getGroupMembers(groupId);
+  const userIds = members.map(member => String(member.userId));
+  
+  if (requesterId && !userIds.includes(String(requesterId))) {
+    throw new ForbiddenError('You are not a member of this group');
+  }
+  
+  if (userIds.length < 2) {
+    return { groupId, friendships: [], blockedPairs: [] };
+  }
+  
+  // Friends and blocks are not cached so a new block applies to the next suggestions
+  const [{ friends, blocked }, history] = await Promise.all([
+    userClient.getFriendships(userIds),
+    getInteractionHistory(groupId, userIds)
+  ]);
+  
+  const pairs = new Map();
+  const getPair = (a, b) => {
+    const key = pairKey(String(a), String(b));
+    if (!pairs.has(key)) {
+      const [user1, user2] = key.split('|');
+      pairs.set(key, { user1, user2, isFriend: false, blocked: false, sharedExpenses: 0, settlements: 0 });
+    }
+    return pairs.get(key);
+  };
+  
+  friends.forEach(([a, b]) => { getPair(a, b).isFriend = true; });
+  blocked.forEach(([a, b]) => { getPair(a, b).blocked = true; });
+  history.sharedExpenses.forEach(({ user1, user2, count }) => { getPair(user1, user2).sharedExpenses = count; });
+  history.settlements.forEach(({ user1, user2, count }) => { getPair(user1, user2).settlements = count; });
+  
+  const groupMembers = new Set(userIds);
+  const friendships = [...pairs.values()]
+    .filter(pair => groupMembers.has(pair.user1) && groupMembers.has(pair.user2))
+    .map(pair => {
+      const interactions = pair.sharedExpenses + 2 * pair.settlements;
+      const strength = pair.blocked
+        ? 0
+        : (pair.isFriend ? FRIEND_STRENGTH : 0) + (1 - FRIEND_STRENGTH) * (1 - Math.exp(-interactions / INTERACTION_SCALE));
+      
+      return { ...pair, strength: Math.round(strength * 100) / 100 };
+    })
+    .sort((a, b) => b.strength - a.strength);
+  
+  return {
+    groupId,
+    friendships,
+    blockedPairs: friendships.filter(pair => pair.blocked).map(pair => [pair.user1, pair.user2])
+  };
+}
+
 /**
  * Schedule background jobs for settlement events
  * @param {string} settlementId - Settlement ID
@@ -373,10 +1207,23 @@ async function scheduleSettlementJobs(settlementId, event, eventData = {}) {
           settlementId,
           processType: 'settlement_notification',
           payload: {
-            notificationType: 'settlement_updated'
+            notificationType: STATUS_NOTIFICATIONS[newStatus] || 'settlement_updated'
           }
         });
         
+        // Escalate if the receiver neither confirms nor disputes in time
+        if (newStatus === 'sent') {
+          await addSettlementProcessingJob({
+            settlementId,
+            processType: 'confirmation_escalation',
+            payload: {
+              sentAt: settlement.confirmation && settlement.confirmation.sentAt
+            }
+          }, {
+            delay: CONFIRMATION_ESCALATION_HOURS * 60 * 60 * 1000
+          });
+        }
+        
         // If completed, run auto-complete job to handle notifications
         if (newStatus === 'completed' && previousStatus !== 'completed') {
           await addSettlementProcessingJob({
@@ -423,10 +1270,6 @@ async function scheduleSettlementJobs(settlementId, event, eventData = {}) {
     
   } catch (error) {
     console.error(`Error scheduling jobs for settlement ${settlementId}:`, error);
-    metrics.settlementOperationCounter.inc({ 
-      operation: 'scheduleJobs', 
-      status: 'error' 
-    });
   }
 }
 
@@ -436,8 +1279,21 @@ module.exports = {
   getSettlementsByGroup,
   getSettlementsByFilter,
   updateSettlementStatus,
+  markSettlementSent,
+  confirmSettlement,
+  disputeSettlement,
+  addDisputeMessage,
+  escalateUnconfirmedSettlement,
   updatePaymentStatus,
+  recordPayment,
+  recordWalletPayment,
+  recordBankPayment,
+  createInstallmentPlan,
   getGroupDebtGraph,
+  getBalanceSettlements,
+  getPayableSettlements,
+  invalidateGroupDebtGraph,
+  invalidateSuggestions,
   getExchangeRates,
   getFriendshipStrengths,
   scheduleSettlementJobs
@@ -0,0 +1,304 @@
+/**
+ * Statement PDF Service
+ *
+ * Renders settlement statements as paginated PDF documents with a balance
+ * summary, charts and tables of settlements, transactions and expenses
+ */
+
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+
+const PAGE_MARGIN = 50;
+const ROW_HEIGHT = 18;
+const BAR_HEIGHT = 18;
+const MAX_CHART_BARS = 15;
+
+const COLORS = {
+  text: '#333333',
+  muted: '#777777',
+  header: '#4472C4',
+  rule: '#DDDDDD',
+  positive: '#2E7D32',
+  negative: '#C62828'
+};
+
+/**
+ * Format an amount with two decimals and an optional currency
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} - Formatted amount
+ */
+function formatAmount(amount, currency) {
+  const value = Number(amount || 0).toFixed(2);
+  return currency ? `${value} ${currency}` : value;
+}
+
+/**
+ * Format a date for display
+ * @param {Date|string} date - Date
+ * @returns {string} - Formatted date
+ */
+function formatDate(date) {
+  return date ? moment.utc(date).format('D MMM YYYY') : '';
+}
+
+/**
+ * Width available between the page margins
+ * @param {PDFDocument} doc - Document
+ * @returns {number} - Width in points
+ */
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+/**
+ * Start a new page if the next block would not fit on the current one
+ * @param {PDFDocument} doc - Document
+ * @param {number} height - Height of the next block
+ * @returns {boolean} - True if a page was added
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Render a section heading
+ * @param {PDFDocument} doc - Document
+ * @param {string} title - Heading
+ */
+function renderHeading(doc, title) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.header)
+    .text(title, PAGE_MARGIN, doc.y);
+  doc.moveDown(0.3);
+}
+
+/**
+ * Render the statement title, subject and period
+ * @param {PDFDocument} doc - Document
+ * @param {Object} statement - Statement data
+ */
+function renderHeader(doc, statement) {
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text)
+    .text(statement.title, PAGE_MARGIN, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(11).fillColor(COLORS.muted)
+    .text(statement.subject)
+    .text(`${formatDate(statement.period.from)} - ${formatDate(statement.period.to)}`)
+    .text(`Generated ${moment.utc().format('D MMM YYYY HH:mm')} UTC`);
+  doc.moveDown();
+}
+
+/**
+ * Render a table, repeating the header row on every page it spans
+ * @param {PDFDocument} doc - Document
+ * @param {string} title - Section heading
+ * @param {Array<Object>} columns - Columns with header, width (fraction of the page), align and value(row)
+ * @param {Array<Object>} rows - Rows
+ * @param {string} emptyText - Text shown when there are no rows
+ */
+function renderTable(doc, title, columns, rows, emptyText) {
+  renderHeading(doc, title);
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(10).fillColor(COLORS.muted)
+      .text(emptyText, PAGE_MARGIN, doc.y);
+    return;
+  }
+
+  const width = contentWidth(doc);
+  const drawRow = (values, font) => {
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+
+    doc.font(font).fontSize(9).fillColor(COLORS.text);
+    columns.forEach((column, index) => {
+      const columnWidth = column.width * width;
+      doc.text(values[index], x + 2, y + 4, {
+        width: columnWidth - 4,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += columnWidth;
+    });
+
+    doc.moveTo(PAGE_MARGIN, y + ROW_HEIGHT).lineTo(PAGE_MARGIN + width, y + ROW_HEIGHT)
+      .strokeColor(COLORS.rule).lineWidth(0.5).stroke();
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+  const drawHeader = () => drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+
+  ensureSpace(doc, ROW_HEIGHT * 2);
+  drawHeader();
+  rows.forEach(row => {
+    if (ensureSpace(doc, ROW_HEIGHT)) {
+      drawHeader();
+    }
+    drawRow(columns.map(column => String(column.value(row) ?? '')), 'Helvetica');
+  });
+}
+
+/**
+ * Render a horizontal bar chart. Negative values extend left of the axis.
+ * @param {PDFDocument} doc - Document
+ * @param {Object} chart - Chart with title, data of { label, value } and an optional bar color
+ */
+function renderBarChart(doc, chart) {
+  const rows = chart.data.slice(0, MAX_CHART_BARS);
+  if (rows.length === 0) {
+    return;
+  }
+
+  ensureSpace(doc, 30 + rows.length * BAR_HEIGHT);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text)
+    .text(chart.title, PAGE_MARGIN, doc.y);
+
+  const top = doc.y + 6;
+  const labelWidth = 120;
+  const valueWidth = 70;
+  const chartLeft = PAGE_MARGIN + labelWidth;
+  const chartWidth = contentWidth(doc) - labelWidth - valueWidth;
+  const maxValue = Math.max(...rows.map(row => Math.abs(row.value))) || 1;
+  const hasNegative = rows.some(row => row.value < 0);
+  const zeroX = hasNegative ? chartLeft + chartWidth / 2 : chartLeft;
+  const scale = (hasNegative ? chartWidth / 2 : chartWidth) / maxValue;
+
+  rows.forEach((row, index) => {
+    const y = top + index * BAR_HEIGHT;
+    const barWidth = Math.max(Math.abs(row.value) * scale, 0.5);
+    const barColor = chart.color || (row.value < 0 ? COLORS.negative : COLORS.positive);
+
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.text)
+      .text(row.label, PAGE_MARGIN, y + 4, { width: labelWidth - 8, lineBreak: false, ellipsis: true });
+    doc.rect(row.value < 0 ? zeroX - barWidth : zeroX, y + 2, barWidth, BAR_HEIGHT - 6).fill(barColor);
+    doc.fillColor(COLORS.text)
+      .text(formatAmount(row.value), chartLeft + chartWidth + 6, y + 4, { width: valueWidth - 6, lineBreak: false });
+  });
+
+  doc.moveTo(zeroX, top).lineTo(zeroX, top + rows.length * BAR_HEIGHT)
+    .strokeColor(COLORS.muted).lineWidth(0.5).stroke();
+
+  if (chart.data.length > rows.length) {
+    doc.font('Helvetica-Oblique').fontSize(8).fillColor(COLORS.muted)
+      .text(`${chart.data.length - rows.length} more not shown`, PAGE_MARGIN, top + rows.length * BAR_HEIGHT + 2);
+  }
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + rows.length * BAR_HEIGHT + 16;
+}
+
+/**
+ * Write "Page X of Y" in the footer of every page
+ * @param {PDFDocument} doc - Document with buffered pages
+ */
+function addPageNumbers(doc) {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+
+    // Writing inside the bottom margin would otherwise start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(`Page ${index + 1} of ${range.count}`, PAGE_MARGIN, doc.page.height - bottom / 2, {
+        width: contentWidth(doc),
+        align: 'center',
+        lineBreak: false
+      });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render a statement as a PDF
+ * @param {Object} statement - Statement data
+ * @param {string} statement.title - Document title
+ * @param {string} statement.subject - Who or what the statement is for
+ * @param {Object} statement.period - Period with from and to dates
+ * @param {Array<Object>} statement.balances - Balances with label, amount and currency
+ * @param {Object} statement.stats - Optional settlement breakdown stats
+ * @param {Array<Object>} statement.charts - Bar charts
+ * @param {Array<Object>} statement.settlementsInPeriod - Settlements created or updated in the period
+ * @param {Array<Object>} statement.transactions - The user's money movements in the period
+ * @param {Array<Object>} statement.expenses - Expenses in the period
+ * @returns {Promise<Buffer>} - PDF file
+ */
+function generateStatementPdf(statement) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `${statement.title} - ${statement.subject}`,
+        Author: 'SpendSync'
+      }
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      renderHeader(doc, statement);
+
+      renderTable(doc, 'Balances', [
+        { header: '', width: 0.6, value: balance => balance.label },
+        { header: 'Net balance', width: 0.4, align: 'right', value: balance => formatAmount(balance.amount, balance.currency) }
+      ], statement.balances || [], 'No balances');
+
+      if (statement.stats) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(
+          `${statement.stats.originalTransactionCount} outstanding debts can be settled with ` +
+          `${statement.stats.optimizedTransactionCount} transfers (${statement.stats.reductionPercentage}% fewer).`,
+          PAGE_MARGIN
+        );
+      }
+
+      if (statement.charts && statement.charts.length > 0) {
+        renderHeading(doc, 'Charts');
+        statement.charts.forEach(chart => renderBarChart(doc, chart));
+      }
+
+      renderTable(doc, 'Settlements', [
+        { header: 'Date', width: 0.15, value: settlement => formatDate(settlement.createdAt) },
+        { header: 'From', width: 0.22, value: settlement => settlement.payerId },
+        { header: 'To', width: 0.22, value: settlement => settlement.receiverId },
+        { header: 'Amount', width: 0.21, align: 'right', value: settlement => formatAmount(settlement.amount, settlement.currency) },
+        { header: 'Status', width: 0.2, value: settlement => settlement.status }
+      ], statement.settlementsInPeriod || [], 'No settlements in this period');
+
+      renderTable(doc, 'Your payments', [
+        { header: 'Date', width: 0.15, value: transaction => formatDate(transaction.date) },
+        { header: 'Counterpart', width: 0.25, value: transaction => transaction.payee },
+        { header: 'Description', width: 0.4, value: transaction => transaction.memo },
+        { header: 'Amount', width: 0.2, align: 'right', value: transaction => formatAmount(transaction.amount, transaction.currency) }
+      ], statement.transactions || [], 'No payments in this period');
+
+      renderTable(doc, 'Expenses', [
+        { header: 'Date', width: 0.15, value: expense => formatDate(expense.date) },
+        { header: 'Description', width: 0.4, value: expense => expense.description },
+        { header: 'Paid by', width: 0.25, value: expense => expense.paidBy },
+        { header: 'Amount', width: 0.2, align: 'right', value: expense => formatAmount(expense.amount, expense.currency) }
+      ], statement.expenses || [], 'No expenses in this period');
+
+      addPageNumbers(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  generateStatementPdf
+};
@@ -5,7 +5,7 @@
  */
 
 const UserPreference = require('../models/user-preference.model');
-const { generateCacheKey, cacheResult, del } = require('./cache.service');
+const { generateCacheKey, cacheResult, del, clearByPattern } = require('./cache.service');
 const { BadRequestError } = require('../../../../shared/errors');
 const { metrics, timers } = require('../config/monitoring');
 
@@ -33,7 +33,8 @@ async function getUserPreferences(userId) {
     const defaultPreferences = {
       userId,
       defaultCurrency: 'USD',
-      settlementAlgorithm: 'minCashFlow',
+      // Follow each group's settlement policy until the user picks an algorithm
+      settlementAlgorithm: null,
       notifications: {
         email: true,
         push: true,
@@ -84,6 +85,11 @@ async function updateUserPreferences(userId, updateData) {
     const cacheKey = generateCacheKey('userPreferences', userId);
     await del(cacheKey);
     
+    // The user's cached suggestions used their previous algorithm and currency
+    if ('settlementAlgorithm' in updateData || 'defaultCurrency' in updateData) {
+      await clearByPattern(`${generateCacheKey('api', 'suggestions-')}*:userId:${userId}:*`);
+    }
+    
     return preferences;
   } finally {
     timer();
@@ -121,7 +127,7 @@ async function updatePreferenceSection(userId, section, updateData) {
 async function resetUserPreferences(userId) {
   const defaultPreferences = {
     defaultCurrency: 'USD',
-    settlementAlgorithm: 'minCashFlow',
+    settlementAlgorithm: null,
     notifications: {
       email: true,
       push: true,
@@ -0,0 +1,31 @@
+/**
+ * User Service Client
+ *
+ * Authenticated client for the user-service internal API
+ */
+
+const { createServiceClient } = require('../../../../shared/services/service-client');
+
+const client = createServiceClient({
+  serviceName: 'settlement-service',
+  targetService: 'user-service',
+  baseURL: process.env.USER_SERVICE_URL || 'http://localhost:4001'
+});
+
+/**
+ * Get the friendships and blocks between a set of users
+ * @param {Array<string>} userIds - IDs of the users, e.g. a group's members
+ * @returns {Promise<Object>} `{ friends, blocked }`: pairs of user IDs who are
+ *   friends, and pairs where the first user blocked the second
+ */
+async function getFriendships(userIds) {
+  const response = await client.get('/api/internal/friendships', {
+    params: { userIds: userIds.join(',') }
+  });
+
+  return response.data;
+}
+
+module.exports = {
+  getFriendships
+};
@@ -245,6 +245,7 @@ function generateSettlementExplanation(debtGraph: any, settlements: any[], algor
   algorithmExplanation: string;
   stepByStepExplanation: string[];
   transactionSummary: string[];
+  transferReasoning: string[];
 } {
   // Calculate breakdown data to use in explanation
   const breakdown = generateSettlementBreakdown(debtGraph, settlements);
@@ -265,6 +266,12 @@ function generateSettlementExplanation(debtGraph: any, settlements: any[], algor
         "It calculates the net balance for each user, then repeatedly finds the user with the maximum debt and the user with the maximum credit. " +
         "It settles as much debt as possible between these users and continues until all debts are settled.";
       break;
+    case 'minTransactions':
+      algorithmExplanation = 
+        "The Minimum Transactions algorithm finds the fewest transfers needed to settle all debts. " +
+        "It splits users into as many groups as possible whose balances add up to zero, since each group can settle among itself with one transfer fewer than its size. " +
+        "Large groups, or calculations that take too long, fall back to the Minimum Cash Flow algorithm.";
+      break;
     case 'friendPreference':
       algorithmExplanation = 
         "The Friend Preference algorithm prioritizes settlements between users with strong friendship connections. " +
@@ -302,6 +309,9 @@ function generateSettlementExplanation(debtGraph: any, settlements: any[], algor
     `${s.from} pays ${s.amount.toFixed(2)} ${s.currency || ''} to ${s.to}`
   );
   
+  // Explain why each transfer was suggested
+  const transferReasoning = settlements.map(s => generateTransferReasoning(s, breakdown.userBalances));
+  
   // Create overall summary
   const summary = 
     `Using the ${algorithm} algorithm, we optimized ${breakdown.inputDebts.length} original transactions into ${settlements.length} settlements, ` +
@@ -311,10 +321,50 @@ function generateSettlementExplanation(debtGraph: any, settlements: any[], algor
     summary,
     algorithmExplanation,
     stepByStepExplanation,
-    transactionSummary
+    transactionSummary,
+    transferReasoning
   };
 }
 
+/**
+ * Generate a natural language reason for a single settlement transfer,
+ * covering any constraints that shaped it
+ * @param settlement - Settlement transaction, with any constraint annotations
+ * @param userBalances - Net balance of each user before settling
+ * @returns Human-readable reasoning for the transfer
+ */
+function generateTransferReasoning(settlement: any, userBalances: Record<string, number>): string {
+  const { from, to } = settlement;
+  const currency = settlement.currency ? ` ${settlement.currency}` : '';
+  const reasons = [`${from} pays ${settlement.amount.toFixed(2)}${currency} to ${to}.`];
+  
+  if (settlement.banker) {
+    reasons.push(settlement.banker === to
+      ? `${to} is the group's banker, so ${from} pays everything they owe to ${to}.`
+      : `${from} is the group's banker, so ${from} pays out everything ${to} is owed.`);
+  } else if (settlement.routedVia) {
+    const [payer, receiver] = settlement.excludedPair;
+    reasons.push(`${payer} and ${receiver} must not transact with each other, so this payment passes through ${settlement.routedVia}.`);
+  } else if (userBalances[from] < 0 && userBalances[to] > 0) {
+    reasons.push(
+      `${from} owes ${(-userBalances[from]).toFixed(2)} overall and ${to} is owed ${userBalances[to].toFixed(2)}, ` +
+      'so paying directly reduces both balances.'
+    );
+  }
+  
+  if (settlement.parts) {
+    reasons.push(`This is part ${settlement.part} of ${settlement.parts}, because the full amount is over the maximum transfer size.`);
+  }
+  
+  if (settlement.paymentMethod) {
+    reasons.push(`Pay with ${settlement.paymentMethod}.`);
+  } else if (settlement.paymentMethod === null) {
+    reasons.push(`${from} and ${to} have no preferred payment method in common.`);
+  }
+  
+  return reasons.join(' ');
+}
+
 /**
  * Generate a settlement visualization for UI display
  * @param debtGraph - Original debt graph
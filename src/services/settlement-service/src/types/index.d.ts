@@ -108,7 +108,7 @@ export interface UpdateSettlementRequest {
 }
 export interface SettlementSuggestionsRequest {
   groupId: string;
-  algorithm?: 'minCashFlow' | 'greedy';
+  algorithm?: 'minCashFlow' | 'minTransactions' | 'greedy' | 'friendPreference';
   currency?: string;
   includeExplanation?: boolean;
 }
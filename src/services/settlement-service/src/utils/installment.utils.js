@@ -0,0 +1,104 @@
+/**
+ * Installment Utilities
+ *
+ * Helpers for splitting a settlement into installments and applying
+ * payments to them. Amounts are handled in cents so installments always
+ * add up to the amount they were split from.
+ */
+
+const INSTALLMENT_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+/**
+ * Convert an amount to cents
+ * @param {number} amount - Amount in major units
+ * @returns {number} - Amount in cents
+ */
+function toCents(amount) {
+  return Math.round((amount || 0) * 100);
+}
+
+/**
+ * Get the due date of an installment
+ * @param {Date} startDate - Due date of the first installment
+ * @param {string} frequency - Installment frequency
+ * @param {number} index - Zero-based installment index
+ * @returns {Date} - Due date
+ */
+function getDueDate(startDate, frequency, index) {
+  const dueDate = new Date(startDate);
+
+  if (frequency === 'monthly') {
+    // Keep the day of month, or the month's last day when it is shorter
+    const day = dueDate.getUTCDate();
+    dueDate.setUTCDate(1);
+    dueDate.setUTCMonth(dueDate.getUTCMonth() + index);
+    const daysInMonth = new Date(Date.UTC(dueDate.getUTCFullYear(), dueDate.getUTCMonth() + 1, 0)).getUTCDate();
+    dueDate.setUTCDate(Math.min(day, daysInMonth));
+  } else {
+    const days = frequency === 'weekly' ? 7 : 14;
+    dueDate.setUTCDate(dueDate.getUTCDate() + days * index);
+  }
+
+  return dueDate;
+}
+
+/**
+ * Split an amount into installments due on a regular schedule
+ * @param {number} amount - Amount to split
+ * @param {number} count - Number of installments
+ * @param {string} frequency - One of weekly, biweekly or monthly
+ * @param {Date|string} startDate - Due date of the first installment
+ * @returns {Array<Object>} - Installments
+ */
+function buildInstallmentSchedule(amount, count, frequency, startDate) {
+  const cents = toCents(amount);
+  const base = Math.floor(cents / count);
+  const remainder = cents % count;
+
+  return Array.from({ length: count }, (_, index) => ({
+    number: index + 1,
+    // The first installments absorb the cents left over by the split
+    amount: (base + (index < remainder ? 1 : 0)) / 100,
+    dueDate: getDueDate(startDate, frequency, index),
+    amountPaid: 0,
+    status: 'pending'
+  }));
+}
+
+/**
+ * Apply a payment to installments, oldest unpaid installment first
+ * @param {Array<Object>} installments - Installments of a plan
+ * @param {number} amount - Payment amount
+ * @param {Date} paidAt - When the payment was made
+ * @returns {Array<Object>} - Updated installments
+ */
+function allocatePayment(installments, amount, paidAt) {
+  let unallocated = toCents(amount);
+
+  return installments.map(installment => {
+    const dueCents = toCents(installment.amount) - toCents(installment.amountPaid);
+    if (unallocated === 0 || dueCents <= 0) {
+      return { ...installment };
+    }
+
+    const applied = Math.min(dueCents, unallocated);
+    unallocated -= applied;
+
+    const paidCents = toCents(installment.amountPaid) + applied;
+    const isPaid = paidCents === toCents(installment.amount);
+
+    return {
+      ...installment,
+      amountPaid: paidCents / 100,
+      status: isPaid ? 'paid' : 'pending',
+      paidAt: isPaid ? paidAt : installment.paidAt
+    };
+  });
+}
+
+module.exports = {
+  INSTALLMENT_FREQUENCIES,
+  toCents,
+  buildInstallmentSchedule,
+  allocatePayment
+};
@@ -0,0 +1,139 @@
+/**
+ * Settlement Workflow Utilities
+ *
+ * The settlement state machine. Every status change is checked against
+ * this table so that, for example, only the receiver can confirm that
+ * money arrived.
+ */
+
+const { BadRequestError, ForbiddenError } = require('../../../../shared/errors');
+
+// Actor used for changes made by background jobs and payment processing
+const SYSTEM_ACTOR = 'system';
+
+/**
+ * Allowed transitions: current status -> new status -> who may make the change
+ */
+const SETTLEMENT_TRANSITIONS = {
+  pending: {
+    processing: ['system'],
+    partially_paid: ['receiver', 'system'],
+    sent: ['payer'],
+    completed: ['receiver', 'system'],
+    cancelled: ['payer', 'receiver']
+  },
+  partially_paid: {
+    sent: ['payer'],
+    completed: ['receiver', 'system'],
+    cancelled: ['payer', 'receiver']
+  },
+  processing: {
+    pending: ['system'],
+    completed: ['system'],
+    failed: ['system']
+  },
+  failed: {
+    pending: ['payer', 'system'],
+    cancelled: ['payer', 'receiver']
+  },
+  sent: {
+    partially_paid: ['receiver'],
+    completed: ['receiver'],
+    disputed: ['receiver'],
+    escalated: ['system'],
+    cancelled: ['receiver']
+  },
+  escalated: {
+    partially_paid: ['receiver'],
+    completed: ['receiver'],
+    disputed: ['receiver'],
+    cancelled: ['receiver']
+  },
+  disputed: {
+    sent: ['payer'],
+    partially_paid: ['receiver'],
+    completed: ['receiver'],
+    cancelled: ['payer', 'receiver']
+  },
+  completed: {},
+  cancelled: {}
+};
+
+/**
+ * Get the part a user plays in a settlement
+ * @param {Object} settlement - Settlement
+ * @param {string} actorId - User ID, or the system actor
+ * @returns {string|null} - payer, receiver, system or null for anyone else
+ */
+function getActorRole(settlement, actorId) {
+  if (!actorId || actorId === SYSTEM_ACTOR) {
+    return 'system';
+  }
+  if (actorId === settlement.payerId) {
+    return 'payer';
+  }
+  if (actorId === settlement.receiverId) {
+    return 'receiver';
+  }
+  return null;
+}
+
+/**
+ * Check that a user may move a settlement to a new status
+ * @param {Object} settlement - Settlement in its current state
+ * @param {string} toStatus - Requested status
+ * @param {string} actorId - User making the change, or the system actor
+ * @throws {ForbiddenError} If the user is not part of the settlement or may not make this change
+ * @throws {BadRequestError} If the settlement cannot move to the requested status
+ */
+function assertTransition(settlement, toStatus, actorId) {
+  const role = getActorRole(settlement, actorId);
+  if (!role) {
+    throw new ForbiddenError('Only the payer or receiver can update this settlement');
+  }
+
+  const allowedTransitions = SETTLEMENT_TRANSITIONS[settlement.status] || {};
+  const allowedRoles = allowedTransitions[toStatus] || [];
+  if (allowedRoles.includes(role)) {
+    return;
+  }
+
+  // Changes only background processing makes are not open to users at all
+  const userRoles = allowedRoles.filter(allowed => allowed !== 'system');
+  if (userRoles.length === 0) {
+    throw new BadRequestError(`Cannot change a ${settlement.status} settlement to ${toStatus}`);
+  }
+
+  throw new ForbiddenError(
+    `Only the ${userRoles.join(' or ')} can change a ${settlement.status} settlement to ${toStatus}`
+  );
+}
+
+/**
+ * Build an audit log entry for a change to a settlement
+ * @param {string} action - What happened
+ * @param {string} actorId - User making the change, or the system actor
+ * @param {Object} options - Entry details
+ * @param {string} options.fromStatus - Status before the change
+ * @param {string} options.toStatus - Status after the change
+ * @param {string} options.note - Optional note
+ * @returns {Object} - Audit log entry
+ */
+function createAuditEntry(action, actorId, { fromStatus, toStatus, note } = {}) {
+  return {
+    action,
+    actorId: actorId || SYSTEM_ACTOR,
+    fromStatus,
+    toStatus,
+    note,
+    createdAt: new Date()
+  };
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  SETTLEMENT_TRANSITIONS,
+  getActorRole,
+  assertTransition,
+  createAuditEntry
+};
@@ -6,12 +6,13 @@
 
 const { body, param, query } = require('express-validator');
 const { isValidObjectId } = require('mongoose');
+const { hasAlgorithm } = require('../algorithms/algorithm-registry');
 
 // Common validation rules
 const isMongoId = (value) => isValidObjectId(value);
 const isCurrency = (value) => /^[A-Z]{3}$/.test(value);
 const isValidStatus = (value) => ['pending', 'completed', 'cancelled'].includes(value);
-const isValidAlgorithm = (value) => ['minCashFlow', 'greedy', 'friendPreference'].includes(value);
+const isValidAlgorithm = (value) => hasAlgorithm(value);
 
 /**
  * Validation rules for creating a settlement
@@ -72,7 +73,7 @@ const getSettlementSuggestionsValidation = [
   
   query('algorithm')
     .optional()
-    .custom(isValidAlgorithm).withMessage('Invalid algorithm, must be one of: minCashFlow, greedy, friendPreference'),
+    .custom(isValidAlgorithm).withMessage('Invalid algorithm, must be a registered settlement algorithm'),
   
   query('includeFriendships')
     .optional()
@@ -0,0 +1,102 @@
+/**
+ * Algorithm Registry Tests
+ *
+ * Unit tests for registering settlement algorithms and running them on debt graphs
+ */
+
+const {
+  registerAlgorithm,
+  unregisterAlgorithm,
+  getAlgorithm,
+  listAlgorithms
+} = require('../../src/algorithms/algorithm-registry');
+
+const debtGraph = {
+  users: ['user1', 'user2', 'user3'],
+  debts: [
+    { from: 'user1', to: 'user2', amount: 30, currency: 'USD' },
+    { from: 'user2', to: 'user3', amount: 10, currency: 'USD' }
+  ]
+};
+
+describe('Algorithm Registry', () => {
+  afterEach(() => {
+    unregisterAlgorithm('largestFirst');
+  });
+
+  test('should register the built-in algorithms', () => {
+    // Act
+    const algorithms = listAlgorithms();
+
+    // Assert
+    expect(algorithms.map(({ id }) => id)).toEqual(['minCashFlow', 'minTransactions', 'greedy', 'friendPreference']);
+    expect(algorithms.find(({ id }) => id === 'friendPreference').usesFriendships).toBe(true);
+  });
+
+  test('should run SettlementAlgorithm classes on net balances', () => {
+    // Act
+    const settlements = getAlgorithm('greedy').calculate(debtGraph, {});
+
+    // Assert
+    expect(settlements).toEqual([
+      { from: 'user1', to: 'user2', amount: 20, currency: 'USD' },
+      { from: 'user1', to: 'user3', amount: 10, currency: 'USD' }
+    ]);
+  });
+
+  test('should pass friendship strengths to algorithms that use them', () => {
+    // Arrange
+    const friendships = {
+      groupId: 'group1',
+      friendships: [{ user1: 'user1', user2: 'user3', strength: 1 }]
+    };
+
+    // Act
+    const settlements = getAlgorithm('friendPreference').calculate(debtGraph, {}, { friendships });
+
+    // Assert
+    expect(settlements).toContainEqual({ from: 'user1', to: 'user3', amount: 10, currency: 'USD' });
+  });
+
+  test('should return no transfers for a settled group', () => {
+    // Act
+    const settlements = getAlgorithm('friendPreference').calculate({ users: ['user1'], debts: [] }, {});
+
+    // Assert
+    expect(settlements).toEqual([]);
+  });
+
+  test('should make registered algorithms available by ID', () => {
+    // Arrange
+    const algorithm = {
+      name: 'largest-first',
+      description: 'Pays the largest creditor first',
+      calculate: jest.fn(() => [{ payerId: 'user1', receiverId: 'user2', amount: 30, currency: 'USD' }])
+    };
+
+    // Act
+    registerAlgorithm('largestFirst', algorithm);
+    const settlements = getAlgorithm('largestFirst').calculate(debtGraph, {});
+
+    // Assert
+    expect(algorithm.calculate).toHaveBeenCalledWith(
+      [
+        { userId: 'user1', amount: -30, currency: 'USD' },
+        { userId: 'user2', amount: 20, currency: 'USD' },
+        { userId: 'user3', amount: 10, currency: 'USD' }
+      ],
+      []
+    );
+    expect(settlements).toEqual([{ from: 'user1', to: 'user2', amount: 30, currency: 'USD' }]);
+  });
+
+  test('should reject duplicate and incomplete algorithms', () => {
+    // Arrange
+    const algorithm = { name: 'greedy', description: 'Another greedy', calculate: () => [] };
+
+    // Act & Assert
+    expect(() => registerAlgorithm('greedy', algorithm)).toThrow('Settlement algorithm greedy is already registered');
+    expect(() => registerAlgorithm('largestFirst', { calculate: () => [] }))
+      .toThrow('Settlement algorithm largestFirst must have a name, a description and a calculate function');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Settlement Controller Tests
+ *
+ * Tests for the payments payment-service records through the internal
+ * API. Requests go through the real settlement service and monitoring;
+ * only storage, caching and background jobs are mocked.
+ */
+
+jest.mock('../../../src/services/cache.service', () => ({
+  CACHE_TTLs: { settlement: 3600, settlementList: 1800, debtGraph: 300 },
+  generateCacheKey: jest.fn((type, id) => `spendsync:${type}:${id}`),
+  cacheResult: jest.fn().mockImplementation(async (fn) => fn()),
+  del: jest.fn().mockResolvedValue(true),
+  clearByPattern: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../../src/services/job-queue.service', () => ({
+  addSettlementProcessingJob: jest.fn().mockResolvedValue({}),
+  addEmailNotificationJob: jest.fn().mockResolvedValue({}),
+  scheduleSettlementReminder: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../../src/models/settlement.model', () => ({
+  PAYMENT_METHODS: ['card', 'bank_transfer', 'cash', 'app_balance', 'other'],
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../../../src/services/exchange-rate.service', () => ({
+  getExchangeRates: jest.fn().mockResolvedValue({})
+}));
+
+// Jest resolves the TypeScript sources first; the controller runs against
+// the JavaScript service in production
+jest.mock('../../../src/services/settlement.service', () => (
+  jest.requireActual('../../../src/services/settlement.service.js')
+));
+
+jest.mock('../../../src/services/optimization.service', () => ({}));
+jest.mock('../../../src/services/visualization.service', () => ({}));
+jest.mock('../../../src/services/user-preference.service', () => ({}));
+jest.mock('../../../src/services/group-settlement-policy.service', () => ({}));
+
+const settlementController = require('../../../src/controllers/settlement.controller.js');
+const Settlement = require('../../../src/models/settlement.model');
+const { metrics } = require('../../../src/config/monitoring');
+const { BadRequestError } = require('../../../../../shared/errors');
+
+describe('Settlement Controller', () => {
+  const settlement = {
+    _id: 'settlement1',
+    groupId: 'group1',
+    payerId: 'user2',
+    receiverId: 'user1',
+    amount: 100,
+    amountPaid: 0,
+    currency: 'USD',
+    status: 'pending',
+    payments: [],
+    updatedAt: new Date('2024-03-01T00:00:00.000Z')
+  };
+  let res;
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(metrics.paymentAttemptCounter, 'inc');
+    Settlement.findById.mockResolvedValue(settlement);
+    Settlement.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...settlement, ...update.$set }));
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordWalletPayment', () => {
+    const request = body => ({
+      params: { settlementId: 'settlement1' },
+      body: { transferId: 'transfer1', payerId: 'user2', receiverId: 'user1', amount: '100', currency: 'USD', ...body }
+    });
+
+    it('should complete the settlement and count the payment', async () => {
+      await settlementController.recordWalletPayment(request(), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ status: 'completed', paymentMethod: 'app_balance' });
+      expect(metrics.paymentAttemptCounter.inc).toHaveBeenCalledWith({
+        status: 'recorded',
+        currency: 'USD',
+        payment_method: 'app_balance'
+      });
+    });
+
+    it('should pass transfers that do not pay the remaining amount to the error handler', async () => {
+      await settlementController.recordWalletPayment(request({ amount: '40' }), res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(res.json).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordBankPayment', () => {
+    const request = body => ({
+      params: { settlementId: 'settlement1' },
+      body: { transactionId: 'txn1', userId: 'user1', amount: '40', currency: 'USD', paidAt: '2024-03-02', ...body }
+    });
+
+    it('should record a partial payment and count it', async () => {
+      await settlementController.recordBankPayment(request(), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ status: 'partially_paid', remainingAmount: 60 });
+      expect(metrics.paymentAttemptCounter.inc).toHaveBeenCalledWith({
+        status: 'recorded',
+        currency: 'USD',
+        payment_method: 'bank_transfer'
+      });
+    });
+
+    it('should pass transactions in another currency to the error handler', async () => {
+      await settlementController.recordBankPayment(request({ currency: 'EUR' }), res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+      expect(res.json).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Settlement Controller v2 Tests
+ *
+ * Tests for constrained settlement suggestions
+ */
+
+jest.mock('../../../src/controllers/settlement.controller', () => ({
+  calculateSuggestions: jest.fn()
+}));
+
+const v1Controller = require('../../../src/controllers/settlement.controller');
+const settlementControllerV2 = require('../../../src/controllers/settlement.controller.v2');
+
+describe('Settlement Controller v2', () => {
+  const debtGraph = {
+    users: ['user1', 'user2', 'user3'],
+    debts: [
+      { from: 'user1', to: 'user2', amount: 150, currency: 'USD' },
+      { from: 'user2', to: 'user3', amount: 50, currency: 'USD' }
+    ]
+  };
+  let res;
+  let next;
+
+  const request = query => ({
+    params: { groupId: 'group1' },
+    user: { id: 'user1' },
+    query
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    v1Controller.calculateSuggestions.mockResolvedValue({
+      debtGraph,
+      settlements: [
+        { from: 'user1', to: 'user2', amount: 100, currency: 'USD' },
+        { from: 'user1', to: 'user3', amount: 50, currency: 'USD' }
+      ],
+      friendships: { groupId: 'group1', friendships: [], blockedPairs: [] },
+      algorithm: 'minCashFlow',
+      preferredCurrency: 'USD'
+    });
+    res = { json: jest.fn() };
+    next = jest.fn();
+  });
+
+  describe('getSettlementSuggestions', () => {
+    test('should return each transfer with its reasoning', async () => {
+      // Act
+      await settlementControllerV2.getSettlementSuggestions(request({}), res, next);
+
+      // Assert
+      expect(next).not.toHaveBeenCalled();
+      const { data, version } = res.json.mock.calls[0][0];
+      expect(version).toBe('v2');
+      expect(data.settlements).toHaveLength(2);
+      expect(data.settlements[0].reasoning).toBe(
+        'user1 pays 100.00 USD to user2. user1 owes 150.00 overall and user2 is owed 100.00, so paying directly reduces both balances.'
+      );
+      expect(data.explanation.summary).toContain('minCashFlow');
+    });
+
+    test('should apply the constraints from the query string', async () => {
+      // Arrange
+      const req = request({
+        excludePairs: 'user1:user3',
+        paymentMethods: { user1: 'venmo,cash', user2: ['cash'] },
+        maxTransferAmount: '60'
+      });
+
+      // Act
+      await settlementControllerV2.getSettlementSuggestions(req, res, next);
+
+      // Assert
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.constraints).toEqual({
+        excludedPairs: [['user1', 'user3']],
+        paymentMethods: { user1: ['venmo', 'cash'], user2: ['cash'] },
+        maxTransferAmount: 60
+      });
+      expect(data.settlements.some(s => s.from === 'user1' && s.to === 'user3')).toBe(false);
+      expect(data.settlements.every(s => s.amount <= 60)).toBe(true);
+      expect(data.settlements[0]).toMatchObject({ from: 'user1', to: 'user2', amount: 50, paymentMethod: 'cash', part: 1, parts: 2 });
+      expect(data.settlements[0].reasoning).toContain('This is part 1 of 2');
+    });
+
+    test('should explain transfers through the banker', async () => {
+      // Act
+      await settlementControllerV2.getSettlementSuggestions(request({ bankerId: 'user2' }), res, next);
+
+      // Assert
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.settlements.map(s => s.reasoning)).toEqual([
+        'user1 pays 150.00 USD to user2. user2 is the group\'s banker, so user1 pays everything they owe to user2.',
+        'user2 pays 50.00 USD to user3. user2 is the group\'s banker, so user2 pays out everything user3 is owed.'
+      ]);
+    });
+
+    test('should reject a banker who is not in the group', async () => {
+      // Act
+      await settlementControllerV2.getSettlementSuggestions(request({ bankerId: 'user9' }), res, next);
+
+      // Assert
+      expect(res.json).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Banker user9 is not a member of this group'
+      }));
+    });
+
+    test('should reject excluded pairs that cannot be routed around', async () => {
+      // Arrange
+      const req = request({ excludePairs: ['user1:user2', 'user1:user3'] });
+
+      // Act
+      await settlementControllerV2.getSettlementSuggestions(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('should not pass payments on between members who blocked each other', async () => {
+      // Arrange
+      v1Controller.calculateSuggestions.mockResolvedValue({
+        debtGraph,
+        settlements: [{ from: 'user1', to: 'user2', amount: 100, currency: 'USD' }],
+        friendships: { groupId: 'group1', friendships: [], blockedPairs: [['user1', 'user3']] },
+        algorithm: 'minCashFlow'
+      });
+
+      // Act
+      await settlementControllerV2.getSettlementSuggestions(request({ excludePairs: 'user1:user2' }), res, next);
+
+      // Assert
+      expect(res.json).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('should reject a malformed excluded pair', async () => {
+      // Act
+      await settlementControllerV2.getSettlementSuggestions(request({ excludePairs: 'user1' }), res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Invalid excluded pair: user1. Expected two different user IDs as userA:userB'
+      }));
+    });
+  });
+});
@@ -316,5 +316,25 @@ describe('User Preference Controller', () => {
         data: mockUpdatedPreferences
       });
     });
+    
+    it('should clear the settlement algorithm preference', async () => {
+      // Setup request
+      mockReq.body = { algorithm: null };
+      
+      // Setup mock
+      mockUserPreferenceService.updateUserPreferences.mockResolvedValue({ settlementAlgorithm: null });
+      
+      // Call controller
+      await userPreferenceController.setSettlementAlgorithm(mockReq, mockRes, mockNext);
+      
+      // Assertions
+      expect(mockUserPreferenceService.updateUserPreferences).toHaveBeenCalledWith(
+        'testUser123',
+        { settlementAlgorithm: null }
+      );
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Settlement algorithm preference cleared'
+      }));
+    });
   });
 }); 
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Min Transactions Algorithm Tests
+ *
+ * Unit tests for the exact minimum transactions algorithm implementation
+ */
+
+const {
+  calculate,
+  minimumTransactions,
+  minTransactionsFromBalances
+} = require('../../src/algorithms/min-transactions.algorithm');
+const {
+  minimumCashFlow,
+  calculateNetBalances
+} = require('../../src/algorithms/min-cash-flow.algorithm');
+
+/**
+ * Apply settlements to balances and return what is left in cents
+ */
+function remainingBalances(balances, settlements) {
+  const remaining = {};
+  for (const [user, balance] of Object.entries(balances)) {
+    remaining[user] = Math.round(balance * 100);
+  }
+  for (const settlement of settlements) {
+    remaining[settlement.from] += Math.round(settlement.amount * 100);
+    remaining[settlement.to] -= Math.round(settlement.amount * 100);
+  }
+  return remaining;
+}
+
+describe('Min Transactions Algorithm', () => {
+  describe('minTransactionsFromBalances', () => {
+    test('should settle two zero-sum groups with fewer transfers than min cash flow', () => {
+      // Arrange
+      const debtGraph = {
+        users: ['user1', 'user2', 'user3', 'user4', 'user5'],
+        debts: [
+          { from: 'user1', to: 'user4', amount: 3 },
+          { from: 'user1', to: 'user5', amount: 3 },
+          { from: 'user2', to: 'user3', amount: 4 }
+        ]
+      };
+      const balances = calculateNetBalances(debtGraph);
+
+      // Act
+      const result = minTransactionsFromBalances(balances);
+      const greedy = minimumCashFlow(debtGraph);
+
+      // Assert
+      expect(result.exact).toBe(true);
+      expect(result.reason).toBeNull();
+      expect(result.settlements).toHaveLength(3);
+      expect(greedy).toHaveLength(4);
+      expect(Object.values(remainingBalances(balances, result.settlements))).toEqual([0, 0, 0, 0, 0]);
+    });
+
+    test('should settle each pair that cancels out directly', () => {
+      // Arrange
+      const balances = { user1: -25, user2: 25, user3: -10.5, user4: 10.5 };
+
+      // Act
+      const result = minTransactionsFromBalances(balances);
+
+      // Assert
+      expect(result.settlements).toHaveLength(2);
+      expect(result.settlements).toEqual(expect.arrayContaining([
+        { from: 'user1', to: 'user2', amount: 25 },
+        { from: 'user3', to: 'user4', amount: 10.5 }
+      ]));
+    });
+
+    test('should return no settlements when everyone is settled', () => {
+      // Act
+      const result = minTransactionsFromBalances({ user1: 0, user2: 0.001 });
+
+      // Assert
+      expect(result).toEqual({ settlements: [], exact: true, reason: null });
+    });
+
+    test('should fall back to min cash flow when there are too many users', () => {
+      // Arrange
+      const balances = { user1: -30, user2: 10, user3: 10, user4: 10 };
+
+      // Act
+      const result = minTransactionsFromBalances(balances, { maxUsers: 3 });
+
+      // Assert
+      expect(result.exact).toBe(false);
+      expect(result.reason).toBe('too_many_users');
+      expect(result.settlements).toHaveLength(3);
+      expect(balances.user1).toBe(-30);
+    });
+
+    test('should fall back to min cash flow when the time budget runs out', () => {
+      // Arrange
+      const balances = {};
+      for (let i = 0; i < 8; i++) {
+        balances[`debtor${i}`] = -(i + 1);
+        balances[`creditor${i}`] = i + 1;
+      }
+
+      // Act
+      const result = minTransactionsFromBalances(balances, { timeBudgetMs: -1 });
+
+      // Assert
+      expect(result.exact).toBe(false);
+      expect(result.reason).toBe('time_budget_exceeded');
+      expect(Object.values(remainingBalances(balances, result.settlements)).every(cents => cents === 0)).toBe(true);
+    });
+  });
+
+  describe('minimumTransactions', () => {
+    test('should settle a debt cycle with no transfers', () => {
+      // Arrange
+      const debtGraph = {
+        users: ['user1', 'user2', 'user3'],
+        debts: [
+          { from: 'user1', to: 'user2', amount: 50 },
+          { from: 'user2', to: 'user3', amount: 50 },
+          { from: 'user3', to: 'user1', amount: 50 }
+        ]
+      };
+
+      // Act
+      const result = minimumTransactions(debtGraph);
+
+      // Assert
+      expect(result.settlements).toEqual([]);
+    });
+  });
+
+  describe('calculate', () => {
+    test('should add the currency to each settlement', () => {
+      // Arrange
+      const debtGraph = {
+        users: ['user1', 'user2'],
+        debts: [{ from: 'user1', to: 'user2', amount: 40, currency: 'EUR' }]
+      };
+
+      // Act
+      const settlements = calculate(debtGraph);
+
+      // Assert
+      expect(settlements).toEqual([{ from: 'user1', to: 'user2', amount: 40, currency: 'EUR' }]);
+    });
+
+    test('should convert mixed currencies before settling', () => {
+      // Arrange
+      const debtGraph = {
+        users: ['user1', 'user2', 'user3'],
+        debts: [
+          { from: 'user1', to: 'user2', amount: 100, currency: 'USD' },
+          { from: 'user2', to: 'user3', amount: 50, currency: 'EUR' }
+        ]
+      };
+      const exchangeRates = { EUR_USD: 2 };
+
+      // Act
+      const settlements = calculate(debtGraph, exchangeRates, 'USD');
+
+      // Assert
+      expect(settlements).toEqual([
+        { from: 'user1', to: 'user3', amount: 100, currency: 'USD' }
+      ]);
+    });
+  });
+});
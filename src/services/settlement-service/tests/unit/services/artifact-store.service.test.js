@@ -0,0 +1,74 @@
+/**
+ * Artifact Store Service Tests
+ *
+ * Tests for storing export files and signing download links
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifact-store-test-'));
+process.env.EXPORT_ARTIFACT_DIR = artifactDir;
+process.env.EXPORT_SIGNING_SECRET = 'test-secret';
+
+const artifactStore = require('../../../src/services/artifact-store.service');
+
+describe('Artifact Store Service', () => {
+  afterAll(() => {
+    fs.rmSync(artifactDir, { recursive: true, force: true });
+  });
+
+  describe('writeArtifact', () => {
+    it('should store the file and report its size', async () => {
+      await artifactStore.writeArtifact('export1.csv', 'a,b\n1,2\n');
+
+      expect(await artifactStore.getArtifactSize('export1.csv')).toBe(8);
+      expect(fs.readFileSync(path.join(artifactDir, 'export1.csv'), 'utf8')).toBe('a,b\n1,2\n');
+    });
+
+    it('should reject keys that could leave the artifact directory', async () => {
+      await expect(artifactStore.writeArtifact('../export1.csv', 'data')).rejects.toThrow('Invalid artifact key');
+      expect(() => artifactStore.createReadStream('nested/export1.csv')).toThrow('Invalid artifact key');
+    });
+  });
+
+  describe('removeArtifact', () => {
+    it('should delete the file and ignore files that are already gone', async () => {
+      await artifactStore.writeArtifact('export2.json', '{}');
+
+      await artifactStore.removeArtifact('export2.json');
+      await artifactStore.removeArtifact('export2.json');
+
+      expect(await artifactStore.getArtifactSize('export2.json')).toBeNull();
+    });
+  });
+
+  describe('signed links', () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    it('should accept the link it created', () => {
+      const url = new URL(artifactStore.createSignedUrl('export1.csv', expiresAt), 'http://localhost');
+
+      expect(url.pathname).toBe('/api/export/artifacts/export1.csv');
+      expect(url.searchParams.get('expires')).toBe(String(expiresAt.getTime()));
+      expect(artifactStore.verifySignedUrl('export1.csv', url.searchParams.get('expires'), url.searchParams.get('signature'))).toBe(true);
+    });
+
+    it('should reject a link for another file or with a changed expiry', () => {
+      const url = new URL(artifactStore.createSignedUrl('export1.csv', expiresAt), 'http://localhost');
+      const signature = url.searchParams.get('signature');
+
+      expect(artifactStore.verifySignedUrl('export2.csv', expiresAt.getTime(), signature)).toBe(false);
+      expect(artifactStore.verifySignedUrl('export1.csv', expiresAt.getTime() + 1000, signature)).toBe(false);
+      expect(artifactStore.verifySignedUrl('export1.csv', expiresAt.getTime(), 'not-a-signature')).toBe(false);
+    });
+
+    it('should reject an expired link', () => {
+      const expired = new Date(Date.now() - 1000);
+      const url = new URL(artifactStore.createSignedUrl('export1.csv', expired), 'http://localhost');
+
+      expect(artifactStore.verifySignedUrl('export1.csv', expired.getTime(), url.searchParams.get('signature'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Exchange Rate Service Tests
+ *
+ * Tests for historical rate lookup and conversion
+ */
+
+jest.mock('../../../src/services/cache.service', () => ({
+  CACHE_TTLs: { exchangeRates: 3600 },
+  generateCacheKey: jest.fn((type, id) => `spendsync:${type}:${id}`),
+  cacheResult: jest.fn().mockImplementation(async (fn) => fn())
+}));
+
+jest.mock('../../../src/config/monitoring', () => ({
+  timers: {
+    createDbTimer: jest.fn().mockReturnValue(jest.fn())
+  }
+}));
+
+jest.mock('../../../src/models/exchange-rate.model', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+const exchangeRateService = require('../../../src/services/exchange-rate.service');
+const ExchangeRate = require('../../../src/models/exchange-rate.model');
+const { LocalExchangeRateProvider } = require('../../../src/providers/exchange-rate');
+const { BadRequestError } = require('../../../../../shared/errors');
+
+describe('Exchange Rate Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ExchangeRate.findOne.mockResolvedValue(null);
+    ExchangeRate.findOneAndUpdate.mockResolvedValue({});
+
+    exchangeRateService.setProvider(new LocalExchangeRateProvider({
+      table: {
+        base: 'USD',
+        rates: {
+          '2024-01-02': { EUR: 0.9, GBP: 0.8 },
+          '2024-07-01': { EUR: 0.8, GBP: 0.75 }
+        }
+      }
+    }));
+  });
+
+  describe('getDailyRates', () => {
+    it('should use the latest rates published on or before the date', async () => {
+      const result = await exchangeRateService.getDailyRates('USD', '2024-03-15');
+
+      expect(result).toEqual({
+        base: 'USD',
+        date: '2024-03-15',
+        effectiveDate: '2024-01-02',
+        provider: 'local',
+        rates: { USD: 1, EUR: 0.9, GBP: 0.8 }
+      });
+      expect(ExchangeRate.findOneAndUpdate).toHaveBeenCalledWith(
+        { base: 'USD', date: '2024-03-15' },
+        expect.objectContaining({ effectiveDate: '2024-01-02' }),
+        { upsert: true, new: true }
+      );
+    });
+
+    it('should serve stored rates without calling the provider', async () => {
+      const provider = { name: 'http', getRates: jest.fn() };
+      exchangeRateService.setProvider(provider);
+      ExchangeRate.findOne.mockResolvedValue({
+        effectiveDate: '2024-07-01',
+        provider: 'http',
+        rates: new Map([['USD', 1], ['EUR', 0.85]])
+      });
+
+      const result = await exchangeRateService.getDailyRates('USD', '2024-07-01');
+
+      expect(result.rates).toEqual({ USD: 1, EUR: 0.85 });
+      expect(provider.getRates).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid dates', async () => {
+      await expect(exchangeRateService.getDailyRates('USD', 'not-a-date'))
+        .rejects.toThrow(BadRequestError);
+    });
+  });
+
+  describe('getExchangeRates', () => {
+    it('should return cross rates keyed by currency pair', async () => {
+      const rates = await exchangeRateService.getExchangeRates(['EUR', 'GBP'], '2024-07-01');
+
+      expect(rates.EUR_GBP).toBeCloseTo(0.9375);
+      expect(rates.GBP_EUR).toBeCloseTo(1.0667, 4);
+    });
+  });
+
+  describe('convert', () => {
+    it('should convert at the rate effective on the given date', async () => {
+      const january = await exchangeRateService.convert(100, 'EUR', 'USD', '2024-01-10');
+      const july = await exchangeRateService.convert(100, 'EUR', 'USD', '2024-07-10');
+
+      expect(january).toEqual({ amount: 111.11, currency: 'USD', rate: 1 / 0.9, date: '2024-01-10' });
+      expect(july.amount).toBe(125);
+    });
+
+    it('should reject currencies without rates', async () => {
+      await expect(exchangeRateService.convert(10, 'EUR', 'XYZ', '2024-01-10'))
+        .rejects.toThrow('No exchange rate available for XYZ');
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Export Job Service Tests
+ *
+ * Tests for background exports streamed to the artifact store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-job-test-'));
+process.env.EXPORT_ARTIFACT_DIR = artifactDir;
+process.env.EXPORT_SIGNING_SECRET = 'test-secret';
+
+jest.mock('../../../src/models/export-job.model', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn()
+}));
+
+jest.mock('../../../src/models/settlement.model', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../../src/services/settlement.service', () => ({
+  getGroupDebtGraph: jest.fn(),
+  getExchangeRates: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../../src/services/optimization.service', () => ({
+  calculateMinCashFlowSettlements: jest.fn()
+}));
+
+jest.mock('../../../src/services/expense.client', () => ({
+  getExpenses: jest.fn()
+}));
+
+jest.mock('../../../src/services/statement-pdf.service', () => ({
+  generateStatementPdf: jest.fn()
+}));
+
+jest.mock('../../../src/services/job-queue.service', () => ({
+  addExportJob: jest.fn().mockResolvedValue({ id: 'job1' }),
+  addEmailNotificationJob: jest.fn().mockResolvedValue({ id: 'email1' })
+}));
+
+const exportJobService = require('../../../src/services/export-job.service');
+const ExportJob = require('../../../src/models/export-job.model');
+const Settlement = require('../../../src/models/settlement.model');
+const { addExportJob, addEmailNotificationJob } = require('../../../src/services/job-queue.service');
+
+describe('Export Job Service', () => {
+  const exportJobId = '65f000000000000000000001';
+
+  const createSettlement = (id, amount, createdAt) => {
+    const data = {
+      _id: { toString: () => id },
+      payerId: 'user1',
+      receiverId: 'user2',
+      amount,
+      currency: 'USD',
+      status: 'pending',
+      createdAt: new Date(createdAt),
+      updatedAt: new Date(createdAt)
+    };
+    return { ...data, toObject: () => ({ ...data }) };
+  };
+
+  const mockCursor = settlements => {
+    const sort = jest.fn().mockReturnValue({
+      cursor: () => (async function* () {
+        yield* settlements;
+      })()
+    });
+    Settlement.find.mockReturnValue({ sort });
+  };
+
+  const createExportJobDocument = (overrides = {}) => ({
+    _id: { toString: () => exportJobId },
+    userId: 'user1',
+    scope: 'user',
+    format: 'csv',
+    options: { detailLevel: 'basic', type: 'all' },
+    status: 'queued',
+    createdAt: new Date(),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(artifactDir, { recursive: true, force: true });
+  });
+
+  describe('createExportJob', () => {
+    it('should save the export and queue it', async () => {
+      ExportJob.create.mockImplementation(async data => createExportJobDocument(data));
+
+      const result = await exportJobService.createExportJob('user1', {
+        scope: 'group',
+        groupId: 'group1',
+        format: 'json',
+        status: 'completed'
+      });
+
+      expect(ExportJob.create).toHaveBeenCalledWith({
+        userId: 'user1',
+        scope: 'group',
+        groupId: 'group1',
+        format: 'json',
+        options: { detailLevel: 'basic', type: 'all', dateFrom: undefined, dateTo: undefined, status: 'completed', month: undefined }
+      });
+      expect(addExportJob).toHaveBeenCalledWith({ exportJobId });
+      expect(result).toMatchObject({ id: exportJobId, status: 'queued', format: 'json', downloadUrl: undefined });
+    });
+
+    it('should reject formats that are only built in memory', async () => {
+      await expect(exportJobService.createExportJob('user1', { format: 'excel' }))
+        .rejects.toThrow('Invalid format. Supported formats: csv, json, pdf, ofx, qif');
+      expect(ExportJob.create).not.toHaveBeenCalled();
+    });
+
+    it('should require a group for group exports', async () => {
+      await expect(exportJobService.createExportJob('user1', { scope: 'group' }))
+        .rejects.toThrow('groupId is required for group exports');
+    });
+  });
+
+  describe('getExportJob', () => {
+    it('should include a signed download link once the export has completed', async () => {
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+      ExportJob.findById.mockResolvedValue(createExportJobDocument({
+        status: 'completed',
+        artifact: { key: `${exportJobId}.csv`, filename: 'settlements.csv', mimeType: 'text/csv', size: 10 },
+        expiresAt
+      }));
+
+      const result = await exportJobService.getExportJob(exportJobId, 'user1');
+
+      expect(result.downloadUrl).toContain(`/api/export/artifacts/${exportJobId}.csv?expires=${expiresAt.getTime()}&signature=`);
+    });
+
+    it('should not show another user\'s export', async () => {
+      ExportJob.findById.mockResolvedValue(createExportJobDocument({ userId: 'user2' }));
+
+      await expect(exportJobService.getExportJob(exportJobId, 'user1'))
+        .rejects.toThrow('You do not have access to this export job');
+    });
+
+    it('should throw when the export does not exist', async () => {
+      ExportJob.findById.mockResolvedValue(null);
+
+      await expect(exportJobService.getExportJob(exportJobId, 'user1')).rejects.toThrow('Export job not found');
+    });
+  });
+
+  describe('runExportJob', () => {
+    it('should stream settlements to a CSV file and email the download link', async () => {
+      const exportJob = createExportJobDocument();
+      ExportJob.findById.mockResolvedValue(exportJob);
+      mockCursor([
+        createSettlement('s1', 10, '2024-03-02T00:00:00.000Z'),
+        createSettlement('s2', 20, '2024-03-01T00:00:00.000Z')
+      ]);
+
+      const result = await exportJobService.runExportJob(exportJobId);
+
+      expect(Settlement.find).toHaveBeenCalledWith({ $or: [{ payerId: 'user1' }, { receiverId: 'user1' }] });
+      const csv = fs.readFileSync(path.join(artifactDir, `${exportJobId}.csv`), 'utf8');
+      expect(csv.split('\n')[0]).toBe('Settlement ID,Date,Amount,Currency,Payer ID,Receiver ID,Status');
+      expect(csv.split('\n').filter(Boolean)).toHaveLength(3);
+      expect(result).toMatchObject({ status: 'completed', rowCount: 2, size: Buffer.byteLength(csv) });
+      expect(result.downloadUrl).toBeDefined();
+      expect(addEmailNotificationJob).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user1',
+        templateType: 'export_ready',
+        templateData: expect.objectContaining({ downloadUrl: result.downloadUrl, rowCount: 2 })
+      }));
+    });
+
+    it('should write JSON exports as a single document', async () => {
+      const exportJob = createExportJobDocument({ scope: 'group', groupId: 'group1', format: 'json' });
+      ExportJob.findById.mockResolvedValue(exportJob);
+      mockCursor([createSettlement('s1', 10, '2024-03-02T00:00:00.000Z')]);
+
+      await exportJobService.runExportJob(exportJobId);
+
+      expect(Settlement.find).toHaveBeenCalledWith({ groupId: 'group1' });
+      const json = JSON.parse(fs.readFileSync(path.join(artifactDir, `${exportJobId}.json`), 'utf8'));
+      expect(json.count).toBe(1);
+      expect(json.settlements).toEqual([
+        { id: 's1', createdAt: '2024-03-02T00:00:00.000Z', amount: 10, currency: 'USD', payerId: 'user1', receiverId: 'user2', status: 'pending' }
+      ]);
+      expect(exportJob.artifact).toMatchObject({ filename: expect.stringMatching(/^group_group1_\d{8}\.json$/), mimeType: 'application/json' });
+    });
+
+    it('should leave the export queued for a retry and fail it on the last attempt', async () => {
+      const exportJob = createExportJobDocument();
+      ExportJob.findById.mockResolvedValue(exportJob);
+      Settlement.find.mockImplementation(() => {
+        throw new Error('Database unavailable');
+      });
+
+      await expect(exportJobService.runExportJob(exportJobId, { isFinalAttempt: false })).rejects.toThrow('Database unavailable');
+      expect(exportJob.status).toBe('queued');
+
+      await expect(exportJobService.runExportJob(exportJobId)).rejects.toThrow('Database unavailable');
+      expect(exportJob).toMatchObject({ status: 'failed', error: 'Database unavailable' });
+      expect(addEmailNotificationJob).not.toHaveBeenCalled();
+    });
+
+    it('should skip exports that have already finished', async () => {
+      ExportJob.findById.mockResolvedValue(createExportJobDocument({ status: 'completed' }));
+
+      const result = await exportJobService.runExportJob(exportJobId);
+
+      expect(result).toBeNull();
+      expect(Settlement.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getExportDownload', () => {
+    it('should reject a tampered link', async () => {
+      await expect(exportJobService.getExportDownload(`${exportJobId}.csv`, Date.now() + 1000, 'abc'))
+        .rejects.toThrow('Download link is invalid or has expired');
+      expect(ExportJob.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeExpiredExports', () => {
+    it('should delete expired files and mark the exports expired', async () => {
+      const key = `${exportJobId}.csv`;
+      fs.writeFileSync(path.join(artifactDir, key), 'data');
+      const exportJob = createExportJobDocument({ status: 'completed', artifact: { key } });
+      ExportJob.find.mockResolvedValue([exportJob]);
+
+      const expired = await exportJobService.purgeExpiredExports();
+
+      expect(expired).toBe(1);
+      expect(exportJob.status).toBe('expired');
+      expect(fs.existsSync(path.join(artifactDir, key))).toBe(false);
+    });
+  });
+});
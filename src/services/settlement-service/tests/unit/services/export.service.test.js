@@ -0,0 +1,290 @@
+/**
+ * Export Service Tests
+ *
+ * Tests for PDF, OFX and QIF settlement statements
+ */
+
+jest.mock('../../../src/models/settlement.model', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../../src/services/settlement.service', () => ({
+  getGroupDebtGraph: jest.fn(),
+  // Like the real one, needs the currencies to get rates for
+  getExchangeRates: jest.fn(async (currencies) => Object.fromEntries(currencies.map(currency => [currency, 1])))
+}));
+
+jest.mock('../../../src/services/optimization.service', () => ({
+  calculateMinCashFlowSettlements: jest.fn()
+}));
+
+jest.mock('../../../src/services/expense.client', () => ({
+  getExpenses: jest.fn()
+}));
+
+jest.mock('../../../src/services/group.client', () => ({
+  getGroupMembers: jest.fn()
+}));
+
+jest.mock('../../../src/services/statement-pdf.service', () => ({
+  generateStatementPdf: jest.fn().mockResolvedValue(Buffer.from('%PDF'))
+}));
+
+const exportService = require('../../../src/services/export.service');
+const Settlement = require('../../../src/models/settlement.model');
+const settlementService = require('../../../src/services/settlement.service');
+const optimizationService = require('../../../src/services/optimization.service');
+const expenseClient = require('../../../src/services/expense.client');
+const groupClient = require('../../../src/services/group.client');
+const { generateStatementPdf } = require('../../../src/services/statement-pdf.service');
+
+describe('Export Service', () => {
+  const march = {
+    from: new Date('2024-03-01T00:00:00.000Z'),
+    to: new Date('2024-03-31T23:59:59.999Z')
+  };
+  const settlements = [
+    {
+      _id: 'settlement1',
+      groupId: 'group1',
+      payerId: 'user1',
+      receiverId: 'user2',
+      amount: 60,
+      currency: 'USD',
+      status: 'partially_paid',
+      notes: 'Dinner & drinks',
+      createdAt: new Date('2024-02-20T00:00:00.000Z'),
+      updatedAt: new Date('2024-03-10T00:00:00.000Z'),
+      payments: [
+        { amount: 20, paidAt: new Date('2024-02-25T00:00:00.000Z') },
+        { amount: 25, paidAt: new Date('2024-03-10T00:00:00.000Z') }
+      ]
+    },
+    {
+      _id: 'settlement2',
+      groupId: 'group1',
+      payerId: 'user3',
+      receiverId: 'user1',
+      amount: 40,
+      currency: 'EUR',
+      status: 'completed',
+      createdAt: new Date('2024-03-02T00:00:00.000Z'),
+      updatedAt: new Date('2024-03-05T00:00:00.000Z'),
+      completedAt: new Date('2024-03-05T00:00:00.000Z')
+    },
+    {
+      _id: 'settlement3',
+      groupId: 'group1',
+      payerId: 'user1',
+      receiverId: 'user3',
+      amount: 15,
+      currency: 'USD',
+      status: 'pending',
+      createdAt: new Date('2024-03-12T00:00:00.000Z'),
+      updatedAt: new Date('2024-03-12T00:00:00.000Z')
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Settlement.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(settlements) });
+    groupClient.getGroupMembers.mockResolvedValue({
+      groupId: 'group1',
+      members: [{ userId: 'user1', role: 'admin' }, { userId: 'user2', role: 'member' }, { userId: 'user3', role: 'member' }]
+    });
+  });
+
+  describe('getStatementPeriod', () => {
+    it('should cover the whole requested month', () => {
+      expect(exportService.getStatementPeriod({ month: '2024-02' })).toEqual({
+        from: new Date('2024-02-01T00:00:00.000Z'),
+        to: new Date('2024-02-29T23:59:59.999Z')
+      });
+    });
+
+    it('should reject an invalid month', () => {
+      expect(() => exportService.getStatementPeriod({ month: '2024-13' }))
+        .toThrow('Invalid month. Expected YYYY-MM');
+    });
+
+    it('should use the date range when no month is given', () => {
+      expect(exportService.getStatementPeriod({ dateFrom: '2024-01-01', dateTo: '2024-01-15' })).toEqual({
+        from: new Date('2024-01-01'),
+        to: new Date('2024-01-15')
+      });
+    });
+  });
+
+  describe('getSettlementTransactions', () => {
+    it('should list the user\'s payments in the period, signed by direction', () => {
+      const transactions = exportService.getSettlementTransactions(settlements, 'user1', march);
+
+      expect(transactions).toEqual([
+        expect.objectContaining({ id: 'settlement2', amount: 40, currency: 'EUR', payee: 'user3' }),
+        expect.objectContaining({
+          id: 'settlement1-2',
+          amount: -25,
+          currency: 'USD',
+          payee: 'user2',
+          memo: 'SpendSync settlement to user2 - Dinner & drinks'
+        })
+      ]);
+    });
+  });
+
+  describe('generateSettlementsOfx', () => {
+    it('should write one statement per currency', () => {
+      const transactions = exportService.getSettlementTransactions(settlements, 'user1', march);
+
+      const ofx = exportService.generateSettlementsOfx(transactions, { userId: 'user1', period: march });
+
+      expect(ofx.startsWith('OFXHEADER:100\nDATA:OFXSGML\nVERSION:102')).toBe(true);
+      expect(ofx.match(/<STMTRS>/g)).toHaveLength(2);
+      expect(ofx).toContain('<CURDEF>USD');
+      expect(ofx).toContain('<CURDEF>EUR');
+      expect(ofx).toContain([
+        '<STMTTRN>',
+        '<TRNTYPE>DEBIT',
+        '<DTPOSTED>20240310000000',
+        '<TRNAMT>-25.00',
+        '<FITID>settlement1-2',
+        '<NAME>user2',
+        '<MEMO>SpendSync settlement to user2 - Dinner &amp; drinks',
+        '</STMTTRN>'
+      ].join('\n'));
+      expect(ofx).toContain('<DTSTART>20240301000000\n<DTEND>20240331235959');
+    });
+  });
+
+  describe('generateSettlementsQif', () => {
+    it('should write one bank account per currency', () => {
+      const transactions = exportService.getSettlementTransactions(settlements, 'user1', march);
+
+      const qif = exportService.generateSettlementsQif(transactions);
+
+      expect(qif).toBe([
+        '!Account',
+        'NSpendSync EUR',
+        'TBank',
+        '^',
+        '!Type:Bank',
+        'D03/05/2024',
+        'T40.00',
+        'Puser3',
+        'MSpendSync settlement from user3',
+        'Nsettlement2',
+        '^',
+        '!Account',
+        'NSpendSync USD',
+        'TBank',
+        '^',
+        '!Type:Bank',
+        'D03/10/2024',
+        'T-25.00',
+        'Puser2',
+        'MSpendSync settlement to user2 - Dinner & drinks',
+        'Nsettlement1-2',
+        '^',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('exportGroupStatement', () => {
+    it('should render a PDF with balances, charts, settlements and expenses', async () => {
+      settlementService.getGroupDebtGraph.mockResolvedValue({
+        groupId: 'group1',
+        currency: 'USD',
+        users: ['user1', 'user2'],
+        debts: [{ from: 'user2', to: 'user1', amount: 30 }],
+        balances: {
+          user1: { userId: 'user1', name: 'Alice', netBalance: 30 },
+          user2: { userId: 'user2', name: 'Bob', netBalance: -30 }
+        }
+      });
+      optimizationService.calculateMinCashFlowSettlements.mockResolvedValue([
+        { from: 'user2', to: 'user1', amount: 30 }
+      ]);
+      expenseClient.getExpenses.mockResolvedValue([{ description: 'Groceries', amount: 60 }]);
+
+      const file = await exportService.exportGroupStatement('group1', 'user1', { format: 'pdf', month: '2024-03' });
+
+      expect(file).toEqual({
+        data: Buffer.from('%PDF'),
+        mimeType: 'application/pdf',
+        filename: 'group_group1_20240301-20240331.pdf'
+      });
+      expect(expenseClient.getExpenses).toHaveBeenCalledWith({ groupId: 'group1', startDate: march.from, endDate: march.to });
+
+      const statement = generateStatementPdf.mock.calls[0][0];
+      expect(statement.balances).toEqual([
+        { label: 'Alice', amount: 30, currency: 'USD' },
+        { label: 'Bob', amount: -30, currency: 'USD' }
+      ]);
+      expect(statement.charts[0].data).toEqual([
+        { label: 'user2', value: -30 },
+        { label: 'user1', value: 30 }
+      ]);
+      expect(statement.stats).toEqual({ originalTransactionCount: 1, optimizedTransactionCount: 1, reductionPercentage: 0 });
+      expect(statement.settlementsInPeriod.map(settlement => settlement._id)).toEqual(['settlement1', 'settlement2', 'settlement3']);
+      expect(statement.transactions.map(transaction => transaction.id)).toEqual(['settlement2', 'settlement1-2']);
+    });
+
+    it('should not export the statement of a group the user is not in', async () => {
+      await expect(exportService.exportGroupStatement('group1', 'user4', { format: 'pdf', month: '2024-03' }))
+        .rejects.toThrow('You are not a member of this group');
+      expect(Settlement.find).not.toHaveBeenCalled();
+      expect(settlementService.getGroupDebtGraph).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportGroupStatement exchange rates', () => {
+    const debts = [
+      { from: 'user2', to: 'user1', amount: 30, currency: 'USD' },
+      { from: 'user3', to: 'user1', amount: 20, currency: 'EUR' }
+    ];
+
+    beforeEach(() => {
+      optimizationService.calculateMinCashFlowSettlements.mockResolvedValue([]);
+      expenseClient.getExpenses.mockResolvedValue([]);
+    });
+
+    it('should get rates for the currencies of a multi-currency group', async () => {
+      settlementService.getGroupDebtGraph.mockResolvedValue({ groupId: 'group1', currency: 'USD', debts, balances: {} });
+
+      await exportService.exportGroupStatement('group1', 'user1', { format: 'pdf', month: '2024-03' });
+
+      expect(settlementService.getExchangeRates).toHaveBeenCalledWith(['USD', 'EUR']);
+      expect(optimizationService.calculateMinCashFlowSettlements).toHaveBeenCalledWith(
+        expect.any(Object),
+        { USD: 1, EUR: 1 }
+      );
+    });
+
+    it('should not get rates for a group in one currency', async () => {
+      settlementService.getGroupDebtGraph.mockResolvedValue({
+        groupId: 'group1',
+        currency: 'USD',
+        debts: [debts[0]],
+        balances: {}
+      });
+
+      await exportService.exportGroupStatement('group1', 'user1', { format: 'pdf', month: '2024-03' });
+
+      expect(settlementService.getExchangeRates).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportUserStatement', () => {
+    it('should export the user\'s payments as QIF without building the PDF data', async () => {
+      const file = await exportService.exportUserStatement('user1', { format: 'qif', month: '2024-03' });
+
+      expect(Settlement.find).toHaveBeenCalledWith({ $or: [{ payerId: 'user1' }, { receiverId: 'user1' }] });
+      expect(file.mimeType).toBe('application/qif');
+      expect(file.filename).toBe('statement_user1_20240301-20240331.qif');
+      expect(file.data).toContain('T-25.00');
+      expect(settlementService.getGroupDebtGraph).not.toHaveBeenCalled();
+      expect(expenseClient.getExpenses).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Group Settlement Policy Service Tests
+ *
+ * Tests for reading and changing group settlement policies
+ */
+
+jest.mock('../../../src/services/cache.service', () => ({
+  generateCacheKey: jest.fn((type, id) => `spendsync:${type}:${id}`),
+  cacheResult: jest.fn().mockImplementation(async (fn) => fn()),
+  del: jest.fn().mockResolvedValue(true),
+  clearByPattern: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../../src/config/monitoring', () => ({
+  timers: {
+    createDbTimer: jest.fn().mockReturnValue(jest.fn())
+  }
+}));
+
+jest.mock('../../../src/models/group-settlement-policy.model', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../../../src/services/group.client', () => ({
+  getGroupMembers: jest.fn()
+}));
+
+const policyService = require('../../../src/services/group-settlement-policy.service');
+const GroupSettlementPolicy = require('../../../src/models/group-settlement-policy.model');
+const groupClient = require('../../../src/services/group.client');
+const cacheService = require('../../../src/services/cache.service');
+const { ForbiddenError } = require('../../../../../shared/errors');
+
+const toDocument = data => ({ toJSON: () => ({ ...data }) });
+
+describe('Group Settlement Policy Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    groupClient.getGroupMembers.mockResolvedValue({
+      groupId: 'group1',
+      members: [
+        { userId: 'admin1', role: 'admin' },
+        { userId: 'member1', role: 'member' }
+      ]
+    });
+  });
+
+  describe('getGroupPolicy', () => {
+    it('should return the default policy for groups without one', async () => {
+      GroupSettlementPolicy.findOne.mockResolvedValue(null);
+
+      const policy = await policyService.getGroupPolicy('group1');
+
+      expect(policy).toEqual({
+        groupId: 'group1',
+        algorithm: 'minCashFlow',
+        allowMemberOverrides: true,
+        overrideAlgorithms: [],
+        isDefault: true
+      });
+    });
+
+    it('should return the stored policy', async () => {
+      GroupSettlementPolicy.findOne.mockResolvedValue(toDocument({
+        groupId: 'group1',
+        algorithm: 'greedy',
+        allowMemberOverrides: false
+      }));
+
+      const policy = await policyService.getGroupPolicy('group1');
+
+      expect(policy).toMatchObject({ algorithm: 'greedy', allowMemberOverrides: false, isDefault: false });
+    });
+  });
+
+  describe('updateGroupPolicy', () => {
+    it('should let admins change the policy and clear cached suggestions', async () => {
+      GroupSettlementPolicy.findOneAndUpdate.mockImplementation(async (query, update) =>
+        toDocument({ ...query, ...update.$set }));
+
+      const policy = await policyService.updateGroupPolicy('group1', 'admin1', {
+        algorithm: 'minTransactions',
+        overrideAlgorithms: ['greedy', 'greedy']
+      });
+
+      expect(GroupSettlementPolicy.findOneAndUpdate).toHaveBeenCalledWith(
+        { groupId: 'group1' },
+        {
+          $set: { algorithm: 'minTransactions', overrideAlgorithms: ['greedy'], updatedBy: 'admin1' },
+          $setOnInsert: {}
+        },
+        expect.objectContaining({ upsert: true, runValidators: true })
+      );
+      expect(policy).toMatchObject({ algorithm: 'minTransactions', isDefault: false });
+      expect(cacheService.del).toHaveBeenCalledWith('spendsync:settlementPolicy:group1');
+      expect(cacheService.clearByPattern).toHaveBeenCalledWith('spendsync:api:suggestions-group1*');
+    });
+
+    it('should keep the default algorithm for new policies that do not set one', async () => {
+      GroupSettlementPolicy.findOneAndUpdate.mockResolvedValue(toDocument({ groupId: 'group1' }));
+
+      await policyService.updateGroupPolicy('group1', 'admin1', { allowMemberOverrides: false });
+
+      expect(GroupSettlementPolicy.findOneAndUpdate.mock.calls[0][1].$setOnInsert).toEqual({ algorithm: 'minCashFlow' });
+    });
+
+    it('should reject members who are not admins', async () => {
+      await expect(policyService.updateGroupPolicy('group1', 'member1', { algorithm: 'greedy' }))
+        .rejects.toThrow(ForbiddenError);
+      await expect(policyService.updateGroupPolicy('group1', 'stranger', { algorithm: 'greedy' }))
+        .rejects.toThrow('Only group admins can change the settlement policy');
+      expect(GroupSettlementPolicy.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject unregistered algorithms', async () => {
+      await expect(policyService.updateGroupPolicy('group1', 'admin1', { overrideAlgorithms: ['fastest'] }))
+        .rejects.toThrow('Invalid algorithm: fastest');
+      expect(groupClient.getGroupMembers).not.toHaveBeenCalled();
+    });
+  });
+});
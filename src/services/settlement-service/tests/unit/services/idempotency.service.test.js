@@ -0,0 +1,151 @@
+/**
+ * Idempotency Service Tests
+ *
+ * Tests for storing and replaying responses to requests sent with an
+ * Idempotency-Key
+ */
+
+jest.mock('../../../src/models/idempotency-key.model', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+const idempotencyService = require('../../../src/services/idempotency.service');
+const IdempotencyKey = require('../../../src/models/idempotency-key.model');
+const { ConflictError } = require('../../../../../shared/errors');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('Idempotency Service', () => {
+  const requestHash = idempotencyService.hashRequest({
+    method: 'POST',
+    path: '/api/settlements',
+    body: { payerId: 'user1', receiverId: 'user2', amount: 50 }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('hashRequest', () => {
+    it('should not depend on the order of body keys', () => {
+      const reordered = idempotencyService.hashRequest({
+        method: 'POST',
+        path: '/api/settlements',
+        body: { amount: 50, receiverId: 'user2', payerId: 'user1' }
+      });
+
+      expect(reordered).toBe(requestHash);
+    });
+
+    it('should differ for a different body or path', () => {
+      const otherBody = idempotencyService.hashRequest({
+        method: 'POST',
+        path: '/api/settlements',
+        body: { payerId: 'user1', receiverId: 'user2', amount: 60 }
+      });
+      const otherPath = idempotencyService.hashRequest({
+        method: 'POST',
+        path: '/api/settlements/s1/payments/process',
+        body: { payerId: 'user1', receiverId: 'user2', amount: 50 }
+      });
+
+      expect(otherBody).not.toBe(requestHash);
+      expect(otherPath).not.toBe(requestHash);
+    });
+  });
+
+  describe('beginRequest', () => {
+    it('should claim an unused key', async () => {
+      const record = { _id: 'k1', userId: 'user1', key: 'abc', requestHash };
+      IdempotencyKey.create.mockResolvedValue(record);
+
+      const result = await idempotencyService.beginRequest('user1', 'abc', requestHash);
+
+      expect(result).toEqual({ record, replay: false });
+      expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user1',
+        key: 'abc',
+        requestHash,
+        expiresAt: expect.any(Date)
+      }));
+    });
+
+    it('should replay the stored response of a completed request', async () => {
+      const record = { _id: 'k1', requestHash, status: 'completed', responseStatus: 201, responseBody: { success: true } };
+      IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+      IdempotencyKey.findOne.mockResolvedValue(record);
+
+      const result = await idempotencyService.beginRequest('user1', 'abc', requestHash);
+
+      expect(result).toEqual({ record, replay: true });
+    });
+
+    it('should replay the stored response of a failed request', async () => {
+      const record = { _id: 'k1', requestHash, status: 'failed', responseStatus: 500, responseBody: { success: false } };
+      IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+      IdempotencyKey.findOne.mockResolvedValue(record);
+
+      const result = await idempotencyService.beginRequest('user1', 'abc', requestHash);
+
+      expect(result).toEqual({ record, replay: true });
+      expect(IdempotencyKey.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject a key reused for a different request', async () => {
+      IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+      IdempotencyKey.findOne.mockResolvedValue({ _id: 'k1', requestHash: 'other', status: 'completed' });
+
+      await expect(idempotencyService.beginRequest('user1', 'abc', requestHash))
+        .rejects.toThrow('Idempotency-Key was already used for a different request');
+    });
+
+    it('should reject a repeat while the first request is processing', async () => {
+      IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+      IdempotencyKey.findOne.mockResolvedValue({ _id: 'k1', requestHash, status: 'processing', lockedAt: new Date() });
+      IdempotencyKey.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(idempotencyService.beginRequest('user1', 'abc', requestHash))
+        .rejects.toThrow(ConflictError);
+    });
+
+    it('should take over a request that stopped processing', async () => {
+      const stale = { _id: 'k1', requestHash, status: 'processing', lockedAt: new Date(0) };
+      const takenOver = { ...stale, lockedAt: new Date() };
+      IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+      IdempotencyKey.findOne.mockResolvedValue(stale);
+      IdempotencyKey.findOneAndUpdate.mockResolvedValue(takenOver);
+
+      const result = await idempotencyService.beginRequest('user1', 'abc', requestHash);
+
+      expect(result).toEqual({ record: takenOver, replay: false });
+      expect(IdempotencyKey.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'k1', status: 'processing', lockedAt: { $lt: expect.any(Date) } }),
+        expect.objectContaining({ lockedAt: expect.any(Date) }),
+        { new: true }
+      );
+    });
+  });
+
+  describe('completeRequest', () => {
+    it('should store the response', async () => {
+      await idempotencyService.completeRequest({ _id: 'k1' }, 201, { success: true });
+
+      expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+        { _id: 'k1' },
+        { status: 'completed', responseStatus: 201, responseBody: { success: true } }
+      );
+    });
+
+    it('should keep a server error as failed so the request does not run again', async () => {
+      await idempotencyService.completeRequest({ _id: 'k1' }, 503, { error: { message: 'Unavailable' } });
+
+      expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+        { _id: 'k1' },
+        { status: 'failed', responseStatus: 503, responseBody: { error: { message: 'Unavailable' } } }
+      );
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Optimization Service Tests
+ *
+ * Tests for choosing and running settlement algorithms
+ */
+
+jest.mock('../../../src/services/cache.service', () => ({
+  generateCacheKey: jest.fn((type, id, params = {}) => [type, id, ...Object.values(params)].join(':')),
+  cacheResult: jest.fn().mockImplementation(async (fn) => fn())
+}));
+
+jest.mock('../../../src/config/monitoring', () => ({
+  timers: {
+    createAlgorithmTimer: jest.fn().mockReturnValue(jest.fn())
+  }
+}));
+
+const optimizationService = require('../../../src/services/optimization.service');
+const cacheService = require('../../../src/services/cache.service');
+const { BadRequestError, ConflictError } = require('../../../../../shared/errors');
+
+describe('Optimization Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveSettlementAlgorithm', () => {
+    const policy = {
+      algorithm: 'minTransactions',
+      allowMemberOverrides: true,
+      overrideAlgorithms: []
+    };
+
+    it('should use the default algorithm without a policy or preference', () => {
+      const result = optimizationService.resolveSettlementAlgorithm({
+        preferences: { settlementAlgorithm: null }
+      });
+
+      expect(result).toEqual({ algorithm: 'minCashFlow', source: 'default' });
+    });
+
+    it('should use the member preference when the policy allows overrides', () => {
+      const result = optimizationService.resolveSettlementAlgorithm({
+        policy,
+        preferences: { settlementAlgorithm: 'greedy' }
+      });
+
+      expect(result).toEqual({ algorithm: 'greedy', source: 'member' });
+    });
+
+    it('should use the group algorithm when the member has no preference', () => {
+      const result = optimizationService.resolveSettlementAlgorithm({
+        policy,
+        preferences: { settlementAlgorithm: null }
+      });
+
+      expect(result).toEqual({ algorithm: 'minTransactions', source: 'group' });
+    });
+
+    it('should ignore preferences the policy does not allow', () => {
+      const locked = { ...policy, allowMemberOverrides: false };
+      const restricted = { ...policy, overrideAlgorithms: ['minCashFlow'] };
+
+      expect(optimizationService.resolveSettlementAlgorithm({
+        policy: locked,
+        preferences: { settlementAlgorithm: 'greedy' }
+      })).toEqual({ algorithm: 'minTransactions', source: 'group' });
+      expect(optimizationService.resolveSettlementAlgorithm({
+        policy: restricted,
+        preferences: { settlementAlgorithm: 'greedy' }
+      })).toEqual({ algorithm: 'minTransactions', source: 'group' });
+      expect(optimizationService.resolveSettlementAlgorithm({
+        policy: restricted,
+        preferences: { settlementAlgorithm: 'minCashFlow' }
+      })).toEqual({ algorithm: 'minCashFlow', source: 'member' });
+    });
+
+    it('should prefer the requested algorithm over the member preference', () => {
+      const result = optimizationService.resolveSettlementAlgorithm({
+        policy,
+        preferences: { settlementAlgorithm: 'greedy' },
+        requested: 'friendPreference'
+      });
+
+      expect(result).toEqual({ algorithm: 'friendPreference', source: 'request' });
+    });
+
+    it('should reject unknown or disallowed requested algorithms', () => {
+      expect(() => optimizationService.resolveSettlementAlgorithm({ policy, requested: 'fastest' }))
+        .toThrow(new BadRequestError('Unknown settlement algorithm: fastest'));
+      expect(() => optimizationService.resolveSettlementAlgorithm({
+        policy: { ...policy, allowMemberOverrides: false },
+        requested: 'greedy'
+      })).toThrow("The group's settlement policy does not allow the greedy algorithm");
+    });
+  });
+
+  describe('calculateSettlements', () => {
+    const debtGraph = {
+      users: ['user1', 'user2'],
+      debts: [{ from: 'user1', to: 'user2', amount: 25, currency: 'USD' }]
+    };
+
+    it('should run the registered algorithm', async () => {
+      const settlements = await optimizationService.calculateSettlements('greedy', debtGraph, {});
+
+      expect(settlements).toEqual([{ from: 'user1', to: 'user2', amount: 25, currency: 'USD' }]);
+    });
+
+    it('should key cached results on friendships only for algorithms that use them', async () => {
+      const friendships = { friendships: [{ user1: 'user1', user2: 'user2', strength: 0.5 }] };
+
+      await optimizationService.calculateSettlements('greedy', debtGraph, {}, friendships);
+      await optimizationService.calculateSettlements('friendPreference', debtGraph, {}, friendships);
+
+      expect(cacheService.generateCacheKey.mock.calls[0][2]).toEqual({ graphHash: expect.any(String) });
+      expect(cacheService.generateCacheKey.mock.calls[1][2]).toEqual({
+        graphHash: expect.any(String),
+        friendshipHash: expect.any(String)
+      });
+    });
+
+    it('should settle with the exact solver for members who prefer it', async () => {
+      const { algorithm, source } = optimizationService.resolveSettlementAlgorithm({
+        preferences: { settlementAlgorithm: 'minTransactions' }
+      });
+
+      const settlements = await optimizationService.calculateSettlements(algorithm, {
+        users: ['user1', 'user2', 'user3', 'user4'],
+        debts: [
+          { from: 'user1', to: 'user2', amount: 10, currency: 'USD' },
+          { from: 'user3', to: 'user4', amount: 10, currency: 'USD' },
+          { from: 'user2', to: 'user3', amount: 5, currency: 'USD' }
+        ]
+      }, {});
+
+      expect(source).toBe('member');
+      expect(cacheService.generateCacheKey).toHaveBeenCalledWith('algorithm', 'minTransactions', expect.any(Object));
+      expect(settlements).toHaveLength(2);
+    });
+
+    it('should reject unknown algorithms', async () => {
+      await expect(optimizationService.calculateSettlements('fastest', debtGraph, {}))
+        .rejects.toThrow('Unknown settlement algorithm: fastest');
+    });
+  });
+
+  describe('excludeBlockedPairs', () => {
+    const settlements = [
+      { from: 'user1', to: 'user2', amount: 30, currency: 'USD' },
+      { from: 'user3', to: 'user2', amount: 10, currency: 'USD' }
+    ];
+
+    it('should leave settlements alone when nobody is blocked', () => {
+      const result = optimizationService.excludeBlockedPairs(
+        settlements,
+        { friendships: [], blockedPairs: [] },
+        ['user1', 'user2', 'user3']
+      );
+
+      expect(result).toBe(settlements);
+    });
+
+    it('should pass payments between blocked members on through another member', () => {
+      const result = optimizationService.excludeBlockedPairs(
+        settlements,
+        { friendships: [], blockedPairs: [['user2', 'user1']] },
+        ['user1', 'user2', 'user3']
+      );
+
+      expect(result).toEqual([
+        { from: 'user1', to: 'user3', amount: 30, currency: 'USD', routedVia: 'user3', excludedPair: ['user1', 'user2'] },
+        { from: 'user3', to: 'user2', amount: 30, currency: 'USD', routedVia: 'user3', excludedPair: ['user1', 'user2'] },
+        { from: 'user3', to: 'user2', amount: 10, currency: 'USD' }
+      ]);
+    });
+
+    it('should reject blocked pairs nobody can pass payments on between', () => {
+      expect(() => optimizationService.excludeBlockedPairs(
+        settlements.slice(0, 1),
+        { friendships: [], blockedPairs: [['user1', 'user2']] },
+        ['user1', 'user2']
+      )).toThrow(ConflictError);
+    });
+  });
+});
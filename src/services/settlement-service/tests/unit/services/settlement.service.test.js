@@ -0,0 +1,738 @@
+/**
+ * Settlement Service Tests
+ * 
+ * Tests for debt graph retrieval, cache invalidation, partial payments,
+ * installment plans and the confirmation workflow
+ */
+
+jest.mock('../../../src/services/cache.service', () => ({
+  CACHE_TTLs: { settlement: 3600, settlementList: 1800, debtGraph: 300, friendships: 3600 },
+  generateCacheKey: jest.fn((type, id) => `spendsync:${type}:${id}`),
+  cacheResult: jest.fn().mockImplementation(async (fn) => fn()),
+  del: jest.fn().mockResolvedValue(true),
+  clearByPattern: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../../src/services/job-queue.service', () => ({
+  addSettlementProcessingJob: jest.fn().mockResolvedValue({}),
+  addEmailNotificationJob: jest.fn().mockResolvedValue({}),
+  scheduleSettlementReminder: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../../src/models/settlement.model', () => ({
+  PAYMENT_METHODS: ['card', 'bank_transfer', 'cash', 'app_balance', 'other'],
+  create: jest.fn(),
+  find: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../../../src/services/expense.client', () => ({
+  getGroupDebtGraph: jest.fn(),
+  getGroupInteractions: jest.fn()
+}));
+
+jest.mock('../../../src/services/group.client', () => ({
+  getGroupMembers: jest.fn()
+}));
+
+jest.mock('../../../src/services/user.client', () => ({
+  getFriendships: jest.fn()
+}));
+
+jest.mock('../../../src/services/exchange-rate.service', () => ({
+  getExchangeRates: jest.fn().mockResolvedValue({})
+}));
+
+const settlementService = require('../../../src/services/settlement.service.js');
+const cacheService = require('../../../src/services/cache.service');
+const Settlement = require('../../../src/models/settlement.model');
+const expenseClient = require('../../../src/services/expense.client');
+const groupClient = require('../../../src/services/group.client');
+const userClient = require('../../../src/services/user.client');
+const { scheduleSettlementReminder, addSettlementProcessingJob } = require('../../../src/services/job-queue.service');
+
+describe('Settlement Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getGroupDebtGraph', () => {
+    it('should calculate the graph in expense-service from paid settlements', async () => {
+      Settlement.find.mockResolvedValue([
+        {
+          _id: 'settlement1',
+          payerId: 'user2',
+          receiverId: 'user1',
+          amount: 10,
+          amountPaid: 10,
+          currency: 'USD',
+          status: 'completed',
+          notes: 'Not sent to expense-service'
+        }
+      ]);
+      expenseClient.getGroupDebtGraph.mockResolvedValue({
+        groupId: 'group1',
+        users: ['user1', 'user2'],
+        debts: [{ from: 'user2', to: 'user1', amount: 20, currency: 'USD' }],
+        balances: { user1: { netBalance: 20 }, user2: { netBalance: -20 } }
+      });
+
+      const result = await settlementService.getGroupDebtGraph('group1');
+
+      expect(Settlement.find).toHaveBeenCalledWith({
+        groupId: 'group1',
+        status: { $in: ['completed', 'partially_paid'] }
+      });
+      expect(expenseClient.getGroupDebtGraph).toHaveBeenCalledWith('group1', [
+        {
+          id: 'settlement1',
+          payerId: 'user2',
+          receiverId: 'user1',
+          amount: 10,
+          amountPaid: 10,
+          currency: 'USD',
+          status: 'completed',
+          payments: [],
+          createdAt: undefined,
+          completedAt: undefined
+        }
+      ]);
+      expect(result).toEqual({
+        groupId: 'group1',
+        users: ['user1', 'user2'],
+        debts: [{ from: 'user2', to: 'user1', amount: 20, currency: 'USD' }],
+        balances: { user1: { netBalance: 20 }, user2: { netBalance: -20 } }
+      });
+      expect(cacheService.cacheResult).toHaveBeenCalledWith(
+        expect.any(Function),
+        'spendsync:debtGraph:group1',
+        300
+      );
+    });
+
+    it('should propagate expense-service failures', async () => {
+      Settlement.find.mockResolvedValue([]);
+      expenseClient.getGroupDebtGraph.mockRejectedValue(new Error('expense-service is unavailable'));
+
+      await expect(settlementService.getGroupDebtGraph('group1'))
+        .rejects.toThrow('expense-service is unavailable');
+    });
+  });
+
+  describe('invalidateGroupDebtGraph', () => {
+    it('should clear the debt graph and cached suggestions', async () => {
+      await settlementService.invalidateGroupDebtGraph('group1');
+
+      expect(cacheService.del).toHaveBeenCalledWith('spendsync:debtGraph:group1');
+      expect(cacheService.del).toHaveBeenCalledWith('spendsync:friendshipInteractions:group1');
+      expect(cacheService.clearByPattern).toHaveBeenCalledWith('spendsync:api:suggestions-group1*');
+    });
+
+    it('should clear cached suggestions of every group when a block changes', async () => {
+      await settlementService.invalidateSuggestions();
+
+      expect(cacheService.clearByPattern).toHaveBeenCalledWith('spendsync:api:suggestions-*');
+    });
+
+    it('should clear the group debt graph when a settlement status changes', async () => {
+      Settlement.findById.mockResolvedValue({ _id: 'settlement1', groupId: 'group1', status: 'pending' });
+      Settlement.findOneAndUpdate.mockResolvedValue({ _id: 'settlement1', groupId: 'group1', status: 'completed' });
+
+      await settlementService.updateSettlementStatus('settlement1', 'completed');
+
+      expect(cacheService.del).toHaveBeenCalledWith('spendsync:debtGraph:group1');
+    });
+
+    it('should clear the group debt graph when a settlement is created', async () => {
+      Settlement.create.mockResolvedValue({ id: 'settlement1', groupId: 'group1', status: 'pending' });
+
+      await settlementService.createSettlement({ groupId: 'group1' });
+
+      expect(cacheService.del).toHaveBeenCalledWith('spendsync:debtGraph:group1');
+    });
+  });
+
+  describe('getFriendshipStrengths', () => {
+    const members = ['user1', 'user2', 'user3'].map(userId => ({ userId, role: 'member' }));
+
+    beforeEach(() => {
+      groupClient.getGroupMembers.mockResolvedValue({ groupId: 'group1', members });
+      userClient.getFriendships.mockResolvedValue({ friends: [], blocked: [] });
+      expenseClient.getGroupInteractions.mockResolvedValue([]);
+      Settlement.find.mockResolvedValue([]);
+    });
+
+    it('should combine friendships, shared expenses and past settlements', async () => {
+      userClient.getFriendships.mockResolvedValue({ friends: [['user2', 'user1']], blocked: [] });
+      expenseClient.getGroupInteractions.mockResolvedValue([
+        { user1: 'user1', user2: 'user2', sharedExpenses: 4 },
+        { user1: 'user2', user2: 'user3', sharedExpenses: 10 }
+      ]);
+      Settlement.find.mockResolvedValue([
+        { payerId: 'user1', receiverId: 'user2' },
+        { payerId: 'user2', receiverId: 'user1' },
+        { payerId: 'user3', receiverId: 'user2' }
+      ]);
+
+      const result = await settlementService.getFriendshipStrengths('group1');
+
+      expect(userClient.getFriendships).toHaveBeenCalledWith(['user1', 'user2', 'user3']);
+      expect(Settlement.find).toHaveBeenCalledWith(expect.objectContaining({
+        payerId: { $in: ['user1', 'user2', 'user3'] },
+        status: 'completed'
+      }));
+      expect(result).toEqual({
+        groupId: 'group1',
+        friendships: [
+          { user1: 'user1', user2: 'user2', strength: 0.78, isFriend: true, blocked: false, sharedExpenses: 4, settlements: 2 },
+          { user1: 'user2', user2: 'user3', strength: 0.35, isFriend: false, blocked: false, sharedExpenses: 10, settlements: 1 }
+        ],
+        blockedPairs: []
+      });
+    });
+
+    it('should give blocked pairs no strength and list them', async () => {
+      userClient.getFriendships.mockResolvedValue({ friends: [], blocked: [['user3', 'user1']] });
+      expenseClient.getGroupInteractions.mockResolvedValue([
+        { user1: 'user1', user2: 'user3', sharedExpenses: 12 }
+      ]);
+
+      const result = await settlementService.getFriendshipStrengths('group1');
+
+      expect(result.friendships).toEqual([
+        { user1: 'user1', user2: 'user3', strength: 0, isFriend: false, blocked: true, sharedExpenses: 12, settlements: 0 }
+      ]);
+      expect(result.blockedPairs).toEqual([['user1', 'user3']]);
+    });
+
+    it('should cache the interaction history but not friendships or blocks', async () => {
+      await settlementService.getFriendshipStrengths('group1');
+
+      expect(cacheService.cacheResult).toHaveBeenCalledWith(
+        expect.any(Function),
+        'spendsync:friendshipInteractions:group1',
+        3600
+      );
+      expect(cacheService.cacheResult).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject users outside the group', async () => {
+      await expect(settlementService.getFriendshipStrengths('group1', 'user9'))
+        .rejects.toThrow('You are not a member of this group');
+      expect(userClient.getFriendships).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordPayment', () => {
+    const updatedAt = new Date('2024-03-01T00:00:00.000Z');
+    const settlement = {
+      _id: 'settlement1',
+      groupId: 'group1',
+      payerId: 'user2',
+      receiverId: 'user1',
+      amount: 100,
+      amountPaid: 0,
+      currency: 'USD',
+      status: 'pending',
+      updatedAt
+    };
+
+    beforeEach(() => {
+      Settlement.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...settlement, ...update.$set }));
+    });
+
+    it('should record a partial payment and the remaining balance', async () => {
+      Settlement.findById.mockResolvedValue(settlement);
+
+      const result = await settlementService.recordPayment(
+        'settlement1',
+        { amount: 40.5, method: 'cash', paidAt: '2024-03-02T00:00:00.000Z' },
+        'user1'
+      );
+
+      const [filter, update] = Settlement.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'settlement1', updatedAt });
+      expect(update.$push.payments).toEqual({
+        amount: 40.5,
+        method: 'cash',
+        paidAt: new Date('2024-03-02T00:00:00.000Z'),
+        recordedBy: 'user1',
+        notes: undefined
+      });
+      expect(result).toMatchObject({ amountPaid: 40.5, remainingAmount: 59.5, status: 'partially_paid' });
+      expect(cacheService.del).toHaveBeenCalledWith('spendsync:debtGraph:group1');
+    });
+
+    it('should complete the settlement once the remaining balance is paid', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, amountPaid: 59.99, status: 'partially_paid' });
+
+      const result = await settlementService.recordPayment('settlement1', { amount: 40.01, method: 'card' }, 'user1');
+
+      expect(result).toMatchObject({ amountPaid: 100, remainingAmount: 0, status: 'completed' });
+      expect(result.completedAt).toBeInstanceOf(Date);
+    });
+
+    it('should mark the settlement sent when the payer records a payment', async () => {
+      Settlement.findById.mockResolvedValue(settlement);
+
+      const result = await settlementService.recordPayment('settlement1', { amount: 100, method: 'cash' }, 'user2');
+
+      expect(result).toMatchObject({
+        amountPaid: 100,
+        remainingAmount: 0,
+        status: 'sent',
+        'confirmation.sentBy': 'user2',
+        'confirmation.paymentAmount': 100
+      });
+      expect(result.completedAt).toBeUndefined();
+    });
+
+    it('should leave completing the settlement to the receiver when the payer pays the rest', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, amountPaid: 40, status: 'partially_paid' });
+
+      const result = await settlementService.recordPayment('settlement1', { amount: 60, method: 'cash' }, 'user2');
+
+      expect(result).toMatchObject({ remainingAmount: 0, status: 'sent' });
+      expect(result.completedAt).toBeUndefined();
+    });
+
+    it('should not let anyone outside the settlement record a payment', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, amountPaid: 40, status: 'partially_paid' });
+
+      await expect(settlementService.recordPayment('settlement1', { amount: 10, method: 'cash' }, 'user9'))
+        .rejects.toThrow('Only the payer or receiver can record a payment for this settlement');
+      expect(Settlement.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should leave a partly paid settlement open when the receiver confirms the payment', async () => {
+      Settlement.findById.mockResolvedValue({
+        ...settlement,
+        amountPaid: 40,
+        status: 'sent',
+        confirmation: { sentBy: 'user2', paymentAmount: 40 }
+      });
+
+      const result = await settlementService.confirmSettlement('settlement1', 'user1');
+
+      expect(result).toMatchObject({ status: 'partially_paid', 'confirmation.confirmedBy': 'user1' });
+      expect(result.completedAt).toBeUndefined();
+    });
+
+    it('should apply the payment to installments oldest first', async () => {
+      Settlement.findById.mockResolvedValue({
+        ...settlement,
+        installmentPlan: {
+          frequency: 'monthly',
+          installments: [
+            { number: 1, amount: 50, dueDate: new Date('2024-04-01'), amountPaid: 0, status: 'pending' },
+            { number: 2, amount: 50, dueDate: new Date('2024-05-01'), amountPaid: 0, status: 'pending' }
+          ]
+        }
+      });
+
+      await settlementService.recordPayment('settlement1', { amount: 70, method: 'cash' }, 'user2');
+
+      const [, update] = Settlement.findOneAndUpdate.mock.calls[0];
+      expect(update.$set['installmentPlan.installments']).toEqual([
+        expect.objectContaining({ number: 1, amountPaid: 50, status: 'paid' }),
+        expect.objectContaining({ number: 2, amountPaid: 20, status: 'pending' })
+      ]);
+    });
+
+    it('should reject payments over the remaining balance', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, amountPaid: 90, status: 'partially_paid' });
+
+      await expect(settlementService.recordPayment('settlement1', { amount: 10.01, method: 'cash' }, 'user2'))
+        .rejects.toThrow('Payment of 10.01 exceeds the remaining balance of 10 USD');
+      expect(Settlement.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject payments against completed settlements', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'completed' });
+
+      await expect(settlementService.recordPayment('settlement1', { amount: 10, method: 'cash' }, 'user2'))
+        .rejects.toThrow('Cannot record a payment against a completed settlement');
+    });
+
+    it('should reject an unknown payment method', async () => {
+      await expect(settlementService.recordPayment('settlement1', { amount: 10, method: 'cheque' }, 'user2'))
+        .rejects.toThrow('Invalid payment method');
+    });
+
+    it('should fail when another payment was recorded at the same time', async () => {
+      Settlement.findById.mockResolvedValue(settlement);
+      Settlement.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(settlementService.recordPayment('settlement1', { amount: 10, method: 'cash' }, 'user2'))
+        .rejects.toThrow('Settlement was updated by another request, please retry');
+    });
+  });
+
+  describe('recordWalletPayment', () => {
+    const updatedAt = new Date('2024-03-01T00:00:00.000Z');
+    const settlement = {
+      _id: 'settlement1',
+      groupId: 'group1',
+      payerId: 'user2',
+      receiverId: 'user1',
+      amount: 100,
+      amountPaid: 25,
+      currency: 'USD',
+      status: 'partially_paid',
+      payments: [{ amount: 25, method: 'cash' }],
+      updatedAt
+    };
+    const transfer = { transferId: 'transfer1', payerId: 'user2', receiverId: 'user1', amount: 75, currency: 'USD' };
+
+    beforeEach(() => {
+      Settlement.findById.mockResolvedValue(settlement);
+      Settlement.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...settlement, ...update.$set }));
+    });
+
+    it('should complete the settlement with an app balance payment', async () => {
+      const result = await settlementService.recordWalletPayment('settlement1', transfer);
+
+      const [, update] = Settlement.findOneAndUpdate.mock.calls[0];
+      expect(update.$push.payments).toMatchObject({
+        amount: 75,
+        method: 'app_balance',
+        recordedBy: 'user2',
+        reference: 'transfer1'
+      });
+      expect(result).toMatchObject({ status: 'completed', paymentMethod: 'app_balance', remainingAmount: 0 });
+    });
+
+    it('should not record the same transfer twice', async () => {
+      Settlement.findById.mockResolvedValue({
+        ...settlement,
+        status: 'completed',
+        payments: [...settlement.payments, { amount: 75, method: 'app_balance', reference: 'transfer1' }]
+      });
+
+      const result = await settlementService.recordWalletPayment('settlement1', transfer);
+
+      expect(Settlement.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(result.status).toBe('completed');
+    });
+
+    it('should reject transfers between other users', async () => {
+      await expect(settlementService.recordWalletPayment('settlement1', { ...transfer, payerId: 'user3' }))
+        .rejects.toThrow('Wallet transfers must go from the settlement\'s payer to its receiver');
+    });
+
+    it('should reject transfers that do not pay the remaining amount', async () => {
+      await expect(settlementService.recordWalletPayment('settlement1', { ...transfer, amount: 50 }))
+        .rejects.toThrow('A wallet transfer must pay the remaining 75 USD');
+    });
+  });
+
+  describe('recordBankPayment', () => {
+    const settlement = {
+      _id: 'settlement1',
+      groupId: 'group1',
+      payerId: 'user2',
+      receiverId: 'user1',
+      amount: 100,
+      amountPaid: 0,
+      currency: 'USD',
+      status: 'pending',
+      payments: [],
+      updatedAt: new Date('2024-03-01T00:00:00.000Z')
+    };
+    const payment = { transactionId: 'txn1', userId: 'user1', amount: 40, currency: 'USD', paidAt: '2024-03-02' };
+
+    beforeEach(() => {
+      Settlement.findById.mockResolvedValue(settlement);
+      Settlement.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...settlement, ...update.$set }));
+    });
+
+    it('should record a bank transfer recorded by the receiver', async () => {
+      const result = await settlementService.recordBankPayment('settlement1', payment);
+
+      const [, update] = Settlement.findOneAndUpdate.mock.calls[0];
+      expect(update.$push.payments).toMatchObject({
+        amount: 40,
+        method: 'bank_transfer',
+        recordedBy: 'user1',
+        reference: 'txn1',
+        paidAt: new Date('2024-03-02')
+      });
+      expect(result).toMatchObject({ status: 'partially_paid', remainingAmount: 60 });
+    });
+
+    it('should not record the same bank transaction twice', async () => {
+      Settlement.findById.mockResolvedValue({
+        ...settlement,
+        payments: [{ amount: 40, method: 'bank_transfer', reference: 'txn1' }]
+      });
+
+      await settlementService.recordBankPayment('settlement1', payment);
+
+      expect(Settlement.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject users outside the settlement', async () => {
+      await expect(settlementService.recordBankPayment('settlement1', { ...payment, userId: 'user3' }))
+        .rejects.toThrow('Only the payer or receiver can record a payment for this settlement');
+    });
+
+    it('should reject transactions in another currency', async () => {
+      await expect(settlementService.recordBankPayment('settlement1', { ...payment, currency: 'EUR' }))
+        .rejects.toThrow('Settlement is in USD, not EUR');
+    });
+  });
+
+  describe('createInstallmentPlan', () => {
+    const settlement = {
+      _id: 'settlement1',
+      groupId: 'group1',
+      payerId: 'user2',
+      receiverId: 'user1',
+      amount: 100,
+      amountPaid: 10,
+      currency: 'USD',
+      status: 'partially_paid'
+    };
+    const startDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+    beforeEach(() => {
+      Settlement.findById.mockResolvedValue(settlement);
+      Settlement.findByIdAndUpdate.mockImplementation(async (id, update) => ({ ...settlement, ...update }));
+    });
+
+    it('should split the remaining amount and schedule a reminder per installment', async () => {
+      const result = await settlementService.createInstallmentPlan(
+        'settlement1',
+        { count: 4, frequency: 'weekly', startDate },
+        'user2'
+      );
+
+      const { installments } = result.installmentPlan;
+      expect(installments.map(installment => installment.amount)).toEqual([22.5, 22.5, 22.5, 22.5]);
+      expect(installments[1].dueDate.getTime() - installments[0].dueDate.getTime()).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(scheduleSettlementReminder).toHaveBeenCalledTimes(4);
+      expect(scheduleSettlementReminder).toHaveBeenCalledWith(
+        {
+          settlementId: 'settlement1',
+          userId: 'user2',
+          dueDate: installments[0].dueDate,
+          reminderType: 'initial',
+          installmentNumber: 1
+        },
+        new Date(installments[0].dueDate.getTime() - 3 * 24 * 60 * 60 * 1000)
+      );
+    });
+
+    it('should still create the plan when a reminder cannot be scheduled', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      scheduleSettlementReminder.mockRejectedValueOnce(new Error('Redis is unavailable'));
+
+      const result = await settlementService.createInstallmentPlan(
+        'settlement1',
+        { count: 2, frequency: 'monthly', startDate },
+        'user2'
+      );
+
+      expect(result.installmentPlan.installments).toHaveLength(2);
+      console.error.mockRestore();
+    });
+
+    it('should reject a second plan', async () => {
+      Settlement.findById.mockResolvedValue({
+        ...settlement,
+        installmentPlan: { installments: [{ number: 1 }] }
+      });
+
+      await expect(settlementService.createInstallmentPlan(
+        'settlement1',
+        { count: 2, frequency: 'monthly', startDate },
+        'user2'
+      )).rejects.toThrow('Settlement already has an installment plan');
+    });
+
+    it('should reject a start date in the past', async () => {
+      await expect(settlementService.createInstallmentPlan(
+        'settlement1',
+        { count: 2, frequency: 'monthly', startDate: '2020-01-01' },
+        'user2'
+      )).rejects.toThrow('Start date must be a valid date that is not in the past');
+    });
+
+    it('should reject an unknown frequency', async () => {
+      await expect(settlementService.createInstallmentPlan(
+        'settlement1',
+        { count: 2, frequency: 'daily', startDate },
+        'user2'
+      )).rejects.toThrow('Invalid frequency, must be one of: weekly, biweekly, monthly');
+    });
+  });
+
+  describe('confirmation workflow', () => {
+    const settlement = {
+      _id: 'settlement1',
+      groupId: 'group1',
+      payerId: 'user2',
+      receiverId: 'user1',
+      amount: 50,
+      currency: 'USD',
+      status: 'pending'
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Settlement.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...settlement, ...update.$set }));
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('should let the payer mark a settlement sent and schedule its escalation', async () => {
+      Settlement.findById.mockResolvedValue(settlement);
+
+      const result = await settlementService.markSettlementSent('settlement1', 'user2', { note: 'Paid in cash' });
+
+      const [filter, update] = Settlement.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'settlement1', status: 'pending' });
+      expect(update.$set['confirmation.sentBy']).toBe('user2');
+      expect(update.$push.auditLog).toMatchObject({
+        action: 'marked_sent',
+        actorId: 'user2',
+        fromStatus: 'pending',
+        toStatus: 'sent',
+        note: 'Paid in cash'
+      });
+      expect(result.status).toBe('sent');
+      expect(addSettlementProcessingJob).toHaveBeenCalledWith(
+        expect.objectContaining({ settlementId: 'settlement1', processType: 'confirmation_escalation' }),
+        { delay: 72 * 60 * 60 * 1000 }
+      );
+    });
+
+    it('should not let the payer complete a settlement', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'sent' });
+
+      await expect(settlementService.confirmSettlement('settlement1', 'user2'))
+        .rejects.toThrow('Only the receiver can change a sent settlement to completed');
+      expect(Settlement.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not let anyone outside the settlement change it', async () => {
+      Settlement.findById.mockResolvedValue(settlement);
+
+      await expect(settlementService.updateSettlementStatus('settlement1', 'cancelled', {}, 'user9'))
+        .rejects.toThrow('Only the payer or receiver can update this settlement');
+    });
+
+    it('should reject transitions the state machine does not allow', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'completed' });
+
+      await expect(settlementService.updateSettlementStatus('settlement1', 'cancelled', {}, 'user1'))
+        .rejects.toThrow('Cannot change a completed settlement to cancelled');
+    });
+
+    it('should complete the settlement when the receiver confirms', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'sent' });
+
+      const result = await settlementService.confirmSettlement('settlement1', 'user1');
+
+      expect(result).toMatchObject({ status: 'completed', remainingAmount: 0, 'confirmation.confirmedBy': 'user1' });
+      expect(result.completedAt).toBeInstanceOf(Date);
+      expect(cacheService.del).toHaveBeenCalledWith('spendsync:debtGraph:group1');
+    });
+
+    it('should resolve an open dispute when the receiver confirms', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'disputed' });
+
+      const result = await settlementService.confirmSettlement('settlement1', 'user1');
+
+      expect(result['dispute.resolution']).toBe('completed');
+      expect(result['dispute.resolvedAt']).toBeInstanceOf(Date);
+    });
+
+    it('should fail when the settlement changed status at the same time', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'sent' });
+      Settlement.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(settlementService.confirmSettlement('settlement1', 'user1'))
+        .rejects.toThrow('Settlement was updated by another request, please retry');
+    });
+
+    it('should open a dispute thread with the receiver\'s evidence', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'sent' });
+
+      await settlementService.disputeSettlement('settlement1', 'user1', {
+        reason: 'Nothing arrived',
+        message: 'My bank statement shows no transfer',
+        attachments: [{ url: 'https://files.example.com/statement.pdf', filename: 'statement.pdf' }]
+      });
+
+      const [, update] = Settlement.findOneAndUpdate.mock.calls[0];
+      expect(update.$set).toMatchObject({ status: 'disputed', 'dispute.reason': 'Nothing arrived', 'dispute.openedBy': 'user1' });
+      expect(update.$push['dispute.messages']).toEqual({
+        authorId: 'user1',
+        message: 'My bank statement shows no transfer',
+        attachments: [{ url: 'https://files.example.com/statement.pdf', filename: 'statement.pdf', contentType: undefined }]
+      });
+      expect(update.$push.auditLog).toMatchObject({ action: 'disputed', note: 'Nothing arrived' });
+    });
+
+    it('should require a reason to dispute', async () => {
+      await expect(settlementService.disputeSettlement('settlement1', 'user1', { reason: ' ' }))
+        .rejects.toThrow('A reason is required to dispute a settlement');
+    });
+
+    it('should reject attachments that are not http links', async () => {
+      await expect(settlementService.disputeSettlement('settlement1', 'user1', {
+        reason: 'Nothing arrived',
+        attachments: [{ url: 'file:///etc/passwd' }]
+      })).rejects.toThrow('Attachment urls must use http or https');
+    });
+
+    it('should add messages from either party to a dispute', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'disputed' });
+
+      await settlementService.addDisputeMessage('settlement1', 'user2', {
+        attachments: [{ url: 'https://files.example.com/receipt.jpg', contentType: 'image/jpeg' }]
+      });
+
+      const [filter, update] = Settlement.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'settlement1', status: 'disputed' });
+      expect(update.$push['dispute.messages'].authorId).toBe('user2');
+      expect(update.$push.auditLog).toMatchObject({ action: 'dispute_message_added', actorId: 'user2' });
+    });
+
+    it('should only accept dispute messages while the settlement is disputed', async () => {
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'completed' });
+
+      await expect(settlementService.addDisputeMessage('settlement1', 'user2', { message: 'Hello' }))
+        .rejects.toThrow('Messages can only be added while a settlement is disputed');
+    });
+
+    it('should escalate a settlement still waiting for confirmation', async () => {
+      const sentAt = new Date('2024-03-01T00:00:00.000Z');
+      Settlement.findById.mockResolvedValue({ ...settlement, status: 'sent', confirmation: { sentAt } });
+
+      const result = await settlementService.escalateUnconfirmedSettlement('settlement1', sentAt.toISOString());
+
+      expect(result.status).toBe('escalated');
+      const [, update] = Settlement.findOneAndUpdate.mock.calls[0];
+      expect(update.$push.auditLog).toMatchObject({ action: 'escalated', actorId: 'system' });
+    });
+
+    it('should not escalate a settlement that was marked sent again', async () => {
+      Settlement.findById.mockResolvedValue({
+        ...settlement,
+        status: 'sent',
+        confirmation: { sentAt: new Date('2024-03-05T00:00:00.000Z') }
+      });
+
+      const result = await settlementService.escalateUnconfirmedSettlement('settlement1', '2024-03-01T00:00:00.000Z');
+
+      expect(result).toBeNull();
+      expect(Settlement.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -8,7 +8,8 @@
 jest.mock('../../../src/services/cache.service', () => ({
   generateCacheKey: jest.fn().mockReturnValue('test-cache-key'),
   cacheResult: jest.fn().mockImplementation(async (fn) => fn()),
-  del: jest.fn().mockResolvedValue(true)
+  del: jest.fn().mockResolvedValue(true),
+  clearByPattern: jest.fn().mockResolvedValue(0)
 }));
 
 // Mock the metrics and timers
@@ -52,7 +53,7 @@ jest.mock('../../../src/models/user-preference.model', () => {
   const defaultPreferences = {
     userId: 'default-user',
     defaultCurrency: 'USD',
-    settlementAlgorithm: 'minCashFlow',
+    settlementAlgorithm: null,
     notifications: {
       email: true,
       push: true,
@@ -158,7 +159,7 @@ describe('User Preference Service', () => {
       expect(preferences).not.toBeNull();
       expect(preferences.userId).toBe(userId);
       expect(preferences.defaultCurrency).toBe('USD');
-      expect(preferences.settlementAlgorithm).toBe('minCashFlow');
+      expect(preferences.settlementAlgorithm).toBeNull();
       expect(preferences.notifications.email).toBe(true);
       expect(preferences.displaySettings.theme).toBe('system');
     });
@@ -212,6 +213,15 @@ describe('User Preference Service', () => {
       expect(updatedPrefs.notifications.reminderFrequency).toBe('medium');
     });
     
+    it('should clear the user\'s cached suggestions when their algorithm changes', async () => {
+      const cacheService = require('../../../src/services/cache.service');
+      
+      await userPreferenceService.updateUserPreferences('user123', { settlementAlgorithm: 'greedy' });
+      
+      expect(cacheService.clearByPattern).toHaveBeenCalledTimes(1);
+      expect(cacheService.clearByPattern.mock.calls[0][0]).toContain(':userId:user123:');
+    });
+    
     it('should create preferences if none exist', async () => {
       const userId = 'newuser456';
       
@@ -272,7 +282,7 @@ describe('User Preference Service', () => {
       
       // Make sure other sections are unchanged
       expect(updatedPrefs.defaultCurrency).toBe('USD');
-      expect(updatedPrefs.settlementAlgorithm).toBe('minCashFlow');
+      expect(updatedPrefs.settlementAlgorithm).toBeNull();
     });
   });
   
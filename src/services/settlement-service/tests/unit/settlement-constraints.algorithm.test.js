@@ -0,0 +1,144 @@
+/**
+ * Settlement Constraints Tests
+ *
+ * Unit tests for applying group constraints to settlement suggestions
+ */
+
+const {
+  applyConstraints,
+  choosePaymentMethod
+} = require('../../src/algorithms/settlement-constraints.algorithm');
+
+/**
+ * Net balance of each user after the settlements, in cents
+ */
+function netBalances(settlements) {
+  const balances = {};
+  for (const settlement of settlements) {
+    const cents = Math.round(settlement.amount * 100);
+    balances[settlement.from] = (balances[settlement.from] || 0) - cents;
+    balances[settlement.to] = (balances[settlement.to] || 0) + cents;
+  }
+  return balances;
+}
+
+describe('Settlement Constraints', () => {
+  const settlements = [
+    { from: 'user1', to: 'user3', amount: 60, currency: 'USD' },
+    { from: 'user2', to: 'user3', amount: 40, currency: 'USD' },
+    { from: 'user2', to: 'user4', amount: 20, currency: 'USD' }
+  ];
+  const users = ['user1', 'user2', 'user3', 'user4', 'user5'];
+
+  describe('applyConstraints', () => {
+    test('should leave settlements unchanged without constraints', () => {
+      // Act
+      const result = applyConstraints(settlements);
+
+      // Assert
+      expect(result).toEqual({ settlements, violations: [] });
+    });
+
+    test('should route every payment through the banker', () => {
+      // Act
+      const result = applyConstraints(settlements, { bankerId: 'user5' }, users);
+
+      // Assert
+      expect(result.settlements).toEqual([
+        { from: 'user1', to: 'user5', amount: 60, currency: 'USD', banker: 'user5' },
+        { from: 'user2', to: 'user5', amount: 60, currency: 'USD', banker: 'user5' },
+        { from: 'user5', to: 'user3', amount: 100, currency: 'USD', banker: 'user5' },
+        { from: 'user5', to: 'user4', amount: 20, currency: 'USD', banker: 'user5' }
+      ]);
+    });
+
+    test('should net the banker\'s own balance', () => {
+      // Act
+      const result = applyConstraints(settlements, { bankerId: 'user3' }, users);
+
+      // Assert
+      expect(result.settlements.every(s => s.from === 'user3' || s.to === 'user3')).toBe(true);
+      expect(netBalances(result.settlements)).toEqual(netBalances(settlements));
+    });
+
+    test('should pass payments between excluded pairs through another member', () => {
+      // Act
+      const result = applyConstraints(settlements, { excludedPairs: [['user3', 'user1']] }, users);
+
+      // Assert
+      expect(result.violations).toEqual([]);
+      expect(result.settlements.some(s =>
+        (s.from === 'user1' && s.to === 'user3') || (s.from === 'user3' && s.to === 'user1')
+      )).toBe(false);
+      expect(result.settlements.slice(0, 2)).toEqual([
+        { from: 'user1', to: 'user2', amount: 60, currency: 'USD', routedVia: 'user2', excludedPair: ['user1', 'user3'] },
+        { from: 'user2', to: 'user3', amount: 60, currency: 'USD', routedVia: 'user2', excludedPair: ['user1', 'user3'] }
+      ]);
+      expect(netBalances(result.settlements)).toEqual(netBalances(settlements));
+    });
+
+    test('should prefer an intermediary who shares payment methods with both sides', () => {
+      // Arrange
+      const paymentMethods = { user1: ['venmo'], user2: ['paypal'], user3: ['venmo'], user4: ['venmo'] };
+
+      // Act
+      const result = applyConstraints(settlements, { excludedPairs: [['user1', 'user3']], paymentMethods }, users);
+
+      // Assert
+      expect(result.settlements[0]).toMatchObject({ from: 'user1', to: 'user4', routedVia: 'user4', paymentMethod: 'venmo' });
+    });
+
+    test('should report excluded pairs nobody can pass payments between', () => {
+      // Act
+      const result = applyConstraints(
+        [{ from: 'user1', to: 'user2', amount: 10 }],
+        { excludedPairs: [['user1', 'user2']] },
+        ['user1', 'user2']
+      );
+
+      // Assert
+      expect(result.violations).toEqual([['user1', 'user2']]);
+    });
+
+    test('should split transfers over the maximum into parts that stay under it', () => {
+      // Act
+      const result = applyConstraints(
+        [{ from: 'user1', to: 'user2', amount: 10.99, currency: 'USD' }],
+        { maxTransferAmount: 1 }
+      );
+
+      // Assert
+      expect(result.settlements).toHaveLength(11);
+      expect(result.settlements.every(s => s.amount <= 1 && s.parts === 11)).toBe(true);
+      expect(result.settlements.map(s => s.part)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+      expect(netBalances(result.settlements)).toEqual({ user1: -1099, user2: 1099 });
+    });
+  });
+
+  describe('choosePaymentMethod', () => {
+    test('should pick the payer\'s most preferred method the receiver accepts', () => {
+      // Arrange
+      const paymentMethods = { user1: ['cash', 'paypal', 'venmo'], user2: ['venmo', 'paypal'] };
+
+      // Act & Assert
+      expect(choosePaymentMethod('user1', 'user2', paymentMethods)).toBe('paypal');
+    });
+
+    test('should use either side\'s preference when only one has preferences', () => {
+      // Arrange
+      const paymentMethods = { user1: ['cash'] };
+
+      // Act & Assert
+      expect(choosePaymentMethod('user1', 'user2', paymentMethods)).toBe('cash');
+      expect(choosePaymentMethod('user2', 'user1', paymentMethods)).toBe('cash');
+    });
+
+    test('should return null when there is no method in common', () => {
+      // Arrange
+      const paymentMethods = { user1: ['cash'], user2: ['venmo'] };
+
+      // Act & Assert
+      expect(choosePaymentMethod('user1', 'user2', paymentMethods)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Installment Utilities Tests
+ *
+ * Unit tests for building installment schedules and allocating payments
+ */
+
+const {
+  buildInstallmentSchedule,
+  allocatePayment
+} = require('../../../src/utils/installment.utils');
+
+describe('Installment Utilities', () => {
+  describe('buildInstallmentSchedule', () => {
+    test('should split the amount into installments that add up to it', () => {
+      // Act
+      const installments = buildInstallmentSchedule(100, 3, 'weekly', '2024-03-01T00:00:00.000Z');
+
+      // Assert
+      expect(installments.map(installment => installment.amount)).toEqual([33.34, 33.33, 33.33]);
+      expect(installments.map(installment => installment.dueDate.toISOString())).toEqual([
+        '2024-03-01T00:00:00.000Z',
+        '2024-03-08T00:00:00.000Z',
+        '2024-03-15T00:00:00.000Z'
+      ]);
+      expect(installments[0]).toMatchObject({ number: 1, amountPaid: 0, status: 'pending' });
+    });
+
+    test('should space biweekly installments two weeks apart', () => {
+      // Act
+      const installments = buildInstallmentSchedule(20, 2, 'biweekly', '2024-03-01T00:00:00.000Z');
+
+      // Assert
+      expect(installments[1].dueDate.toISOString()).toBe('2024-03-15T00:00:00.000Z');
+    });
+
+    test('should fall back to the last day of shorter months', () => {
+      // Act
+      const installments = buildInstallmentSchedule(40, 4, 'monthly', '2024-01-31T00:00:00.000Z');
+
+      // Assert
+      expect(installments.map(installment => installment.dueDate.toISOString())).toEqual([
+        '2024-01-31T00:00:00.000Z',
+        '2024-02-29T00:00:00.000Z',
+        '2024-03-31T00:00:00.000Z',
+        '2024-04-30T00:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('allocatePayment', () => {
+    const paidAt = new Date('2024-03-10T00:00:00.000Z');
+    const installments = [
+      { number: 1, amount: 33.34, amountPaid: 0, status: 'pending' },
+      { number: 2, amount: 33.33, amountPaid: 0, status: 'pending' },
+      { number: 3, amount: 33.33, amountPaid: 0, status: 'pending' }
+    ];
+
+    test('should pay off the oldest installments first', () => {
+      // Act
+      const result = allocatePayment(installments, 50, paidAt);
+
+      // Assert
+      expect(result).toEqual([
+        { number: 1, amount: 33.34, amountPaid: 33.34, status: 'paid', paidAt },
+        { number: 2, amount: 33.33, amountPaid: 16.66, status: 'pending', paidAt: undefined },
+        { number: 3, amount: 33.33, amountPaid: 0, status: 'pending' }
+      ]);
+    });
+
+    test('should continue from a partly paid installment', () => {
+      // Arrange
+      const partlyPaid = allocatePayment(installments, 50, paidAt);
+
+      // Act
+      const result = allocatePayment(partlyPaid, 16.67, paidAt);
+
+      // Assert
+      expect(result[1]).toMatchObject({ amountPaid: 33.33, status: 'paid', paidAt });
+      expect(result[2]).toMatchObject({ amountPaid: 0, status: 'pending' });
+    });
+
+    test('should not change the installments passed in', () => {
+      // Act
+      allocatePayment(installments, 100, paidAt);
+
+      // Assert
+      expect(installments.every(installment => installment.amountPaid === 0)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Settlement Workflow Utilities Tests
+ *
+ * Unit tests for the settlement state machine
+ */
+
+const {
+  getActorRole,
+  assertTransition
+} = require('../../../src/utils/settlement-workflow.utils');
+
+describe('Settlement Workflow Utilities', () => {
+  const settlement = { payerId: 'user2', receiverId: 'user1', status: 'pending' };
+
+  describe('getActorRole', () => {
+    test('should identify the payer, receiver and system', () => {
+      // Act & Assert
+      expect(getActorRole(settlement, 'user2')).toBe('payer');
+      expect(getActorRole(settlement, 'user1')).toBe('receiver');
+      expect(getActorRole(settlement, 'system')).toBe('system');
+      expect(getActorRole(settlement, undefined)).toBe('system');
+      expect(getActorRole(settlement, 'user9')).toBeNull();
+    });
+  });
+
+  describe('assertTransition', () => {
+    test('should allow the payer to mark a pending settlement sent', () => {
+      // Act & Assert
+      expect(() => assertTransition(settlement, 'sent', 'user2')).not.toThrow();
+    });
+
+    test('should only let the receiver confirm or dispute a sent settlement', () => {
+      // Arrange
+      const sent = { ...settlement, status: 'sent' };
+
+      // Act & Assert
+      expect(() => assertTransition(sent, 'completed', 'user1')).not.toThrow();
+      expect(() => assertTransition(sent, 'disputed', 'user1')).not.toThrow();
+      expect(() => assertTransition(sent, 'completed', 'user2')).toThrow(
+        expect.objectContaining({ statusCode: 403 })
+      );
+    });
+
+    test('should keep transitions made by background processing away from users', () => {
+      // Arrange
+      const sent = { ...settlement, status: 'sent' };
+
+      // Act & Assert
+      expect(() => assertTransition(sent, 'escalated', 'system')).not.toThrow();
+      expect(() => assertTransition(sent, 'escalated', 'user1')).toThrow(
+        expect.objectContaining({ statusCode: 400, message: 'Cannot change a sent settlement to escalated' })
+      );
+    });
+
+    test('should let the payer send a disputed settlement again', () => {
+      // Arrange
+      const disputed = { ...settlement, status: 'disputed' };
+
+      // Act & Assert
+      expect(() => assertTransition(disputed, 'sent', 'user2')).not.toThrow();
+    });
+
+    test('should not change completed or cancelled settlements', () => {
+      // Act & Assert
+      expect(() => assertTransition({ ...settlement, status: 'completed' }, 'pending', 'system')).toThrow(
+        'Cannot change a completed settlement to pending'
+      );
+      expect(() => assertTransition({ ...settlement, status: 'cancelled' }, 'completed', 'user1')).toThrow(
+        'Cannot change a cancelled settlement to completed'
+      );
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for Friend Service
+ */
+
+const friendService = require('../../src/services/friend.service');
+
+// Mock friendship repository
+jest.mock('../../src/repositories/friendship.repository', () => ({
+  createFriendship: jest.fn(),
+  findDirected: jest.fn(),
+  findBetween: jest.fn(),
+  findByUser: jest.fn(),
+  findAmong: jest.fn(),
+  updateStatus: jest.fn(),
+  deleteOrFail: jest.fn()
+}));
+
+const friendshipRepository = require('../../src/repositories/friendship.repository');
+
+describe('Friend Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getFriendshipByUsers', () => {
+    test('should ignore blocks between the users', async () => {
+      // Arrange
+      friendshipRepository.findBetween.mockResolvedValue(null);
+
+      // Act
+      const result = await friendService.getFriendshipByUsers('user1', 'user2');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(friendshipRepository.findBetween).toHaveBeenCalledWith('user1', 'user2', ['pending', 'accepted']);
+    });
+  });
+
+  describe('createFriendship', () => {
+    test('should create a pending invitation by default', async () => {
+      // Arrange
+      friendshipRepository.createFriendship.mockImplementation(async data => ({ _id: 'friendship1', ...data }));
+
+      // Act
+      const result = await friendService.createFriendship('user1', 'user2');
+
+      // Assert
+      expect(result).toMatchObject({ id: 'friendship1', userId: 'user1', friendId: 'user2', status: 'pending' });
+    });
+
+    test('should not let users befriend themselves', async () => {
+      // Act & Assert
+      await expect(friendService.createFriendship('user1', 'user1'))
+        .rejects.toThrow('A friendship needs two different users');
+    });
+  });
+
+  describe('getUserFriends', () => {
+    test('should reject unknown statuses', async () => {
+      // Act & Assert
+      await expect(friendService.getUserFriends('user1', 'removed')).rejects.toThrow('Invalid status');
+      expect(friendshipRepository.findByUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getFriendshipsAmong', () => {
+    test('should split friendships from blocks', async () => {
+      // Arrange
+      friendshipRepository.findAmong.mockResolvedValue([
+        { userId: 'user1', friendId: 'user2', status: 'accepted' },
+        { userId: 'user3', friendId: 'user1', status: 'blocked' }
+      ]);
+
+      // Act
+      const result = await friendService.getFriendshipsAmong(['user1', 'user2', 'user3']);
+
+      // Assert
+      expect(friendshipRepository.findAmong).toHaveBeenCalledWith(['user1', 'user2', 'user3'], ['accepted', 'blocked']);
+      expect(result).toEqual({
+        friends: [['user1', 'user2']],
+        blocked: [['user3', 'user1']]
+      });
+    });
+
+    test('should require user IDs', async () => {
+      // Act & Assert
+      await expect(friendService.getFriendshipsAmong([])).rejects.toThrow('User IDs array is required');
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Friend Controller
+ * 
+ * Handles service-to-service requests about friendships between users
+ */
+
+const friendService = require('../services/friend.service');
+
+/**
+ * Get the friendships and blocks between a set of users (service-to-service)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getFriendshipsAmong(req, res, next) {
+  try {
+    const userIds = String(req.query.userIds || '').split(',').filter(Boolean);
+
+    const friendships = await friendService.getFriendshipsAmong(userIds);
+
+    res.json({
+      success: true,
+      data: friendships
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getFriendshipsAmong
+};
@@ -9,6 +9,7 @@ const { BadRequestError, NotFoundError, ConflictError, UnauthorizedError } = req
 const userService = require('../services/user.service');
 const authService = require('../services/auth.service');
 const friendService = require('../services/friend.service');
+const settlementClient = require('../services/settlement.client');
 
 /**
  * Register a new user
@@ -561,6 +562,9 @@ async function blockUser(req, res, next) {
     // Create block relationship
     const block = await friendService.createFriendship(userId, targetUserId, 'blocked');
     
+    // Cached settlement suggestions may still pair the two users
+    await settlementClient.invalidateSuggestions();
+    
     res.status(201).json({
       success: true,
       message: 'User blocked successfully'
@@ -589,6 +593,7 @@ async function unblockUser(req, res, next) {
     
     // Delete block
     await friendService.deleteFriendship(block.id);
+    await settlementClient.invalidateSuggestions();
     
     res.json({
       success: true,
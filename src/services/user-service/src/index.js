@@ -9,6 +9,8 @@ const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const { createClient } = require('@supabase/supabase-js');
+const { initializeDatabase } = require('../../../shared/database');
+const internalRoutes = require('./routes/internal.routes');
 
 // Create Express app
 const app = express();
@@ -265,13 +267,39 @@ app.get('/groups/:id', authenticate, async (req, res) => {
   }
 });
 
+// Service-to-service routes
+app.use('/api/internal', internalRoutes);
+
+// Error handler
+app.use((err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+
+  if (statusCode >= 500) {
+    console.error('User service error:', err);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode >= 500 ? 'Internal server error' : err.message,
+    code: err.errorCode || 'ERR_INTERNAL'
+  });
+});
+
 // Start server
 if (!module.parent) {
-  app.listen(PORT, () => {
-    console.log(`User Service running on port ${PORT}`);
-    console.log(`Health check available at http://localhost:${PORT}/health`);
-    console.log(`Supabase URL: ${process.env.SUPABASE_URL ? 'configured' : 'not configured'}`);
-  });
+  // Friendships are stored in MongoDB
+  initializeDatabase()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`User Service running on port ${PORT}`);
+        console.log(`Health check available at http://localhost:${PORT}/health`);
+        console.log(`Supabase URL: ${process.env.SUPABASE_URL ? 'configured' : 'not configured'}`);
+      });
+    })
+    .catch(error => {
+      console.error('Failed to start User Service:', error);
+      process.exit(1);
+    });
 }
 
 module.exports = app; 
\ No newline at end of file
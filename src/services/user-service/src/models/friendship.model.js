@@ -0,0 +1,62 @@
+/**
+ * Friendship Model
+ * 
+ * A connection between two users: a friend invitation, an accepted
+ * friendship or a block. Invitations and blocks are directional, from
+ * `userId` to `friendId`.
+ */
+const BaseModel = require('../../../../shared/database/models/base.model');
+
+const STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  BLOCKED: 'blocked'
+};
+
+class FriendshipModel extends BaseModel {
+  /**
+   * Friendship statuses
+   * @returns {Object} Status constants
+   */
+  static get STATUS() {
+    return STATUS;
+  }
+
+  /**
+   * Create a new friendship instance
+   * @param {Object} data - Friendship data
+   * @returns {Object} Friendship object
+   */
+  static create(data) {
+    const now = this.timestamp();
+
+    return {
+      _id: data._id || this.generateId(),
+      userId: String(data.userId),
+      friendId: String(data.friendId),
+      status: data.status || STATUS.PENDING,
+      createdAt: data.createdAt || now,
+      updatedAt: data.updatedAt || now
+    };
+  }
+
+  /**
+   * Convert a friendship document to a JSON response object
+   * @param {Object} friendship - Friendship document
+   * @returns {Object} Formatted friendship
+   */
+  static toJSON(friendship) {
+    if (!friendship) return null;
+
+    return {
+      id: friendship._id,
+      userId: friendship.userId,
+      friendId: friendship.friendId,
+      status: friendship.status,
+      createdAt: friendship.createdAt,
+      updatedAt: friendship.updatedAt
+    };
+  }
+}
+
+module.exports = FriendshipModel;
@@ -0,0 +1,105 @@
+/**
+ * Friendship Repository
+ * 
+ * Handles data access for friend invitations, friendships and blocks
+ */
+const BaseRepository = require('../../../../shared/database/repositories/base.repository');
+const FriendshipModel = require('../models/friendship.model');
+
+class FriendshipRepository extends BaseRepository {
+  constructor() {
+    super('friendships');
+  }
+
+  /**
+   * Create a new friendship
+   * @param {Object} friendshipData - Friendship data
+   * @returns {Promise<Object>} Created friendship
+   */
+  async createFriendship(friendshipData) {
+    const friendship = FriendshipModel.create(friendshipData);
+    return this.create(friendship);
+  }
+
+  /**
+   * Find the friendship one user created for another
+   * @param {string} userId - User who created the friendship
+   * @param {string} friendId - Other user
+   * @param {string} [status] - Only a friendship with this status
+   * @returns {Promise<Object|null>} Friendship or null
+   */
+  async findDirected(userId, friendId, status) {
+    const query = { userId: String(userId), friendId: String(friendId) };
+    if (status) {
+      query.status = status;
+    }
+
+    const [friendship] = await this.find(query, { limit: 1 });
+    return friendship || null;
+  }
+
+  /**
+   * Find a friendship between two users created by either of them
+   * @param {string} userA - User ID
+   * @param {string} userB - User ID
+   * @param {Array<string>} statuses - Statuses to match
+   * @returns {Promise<Object|null>} Friendship or null
+   */
+  async findBetween(userA, userB, statuses) {
+    const [friendship] = await this.find({
+      $or: [
+        { userId: String(userA), friendId: String(userB) },
+        { userId: String(userB), friendId: String(userA) }
+      ],
+      status: { $in: statuses }
+    }, { limit: 1 });
+
+    return friendship || null;
+  }
+
+  /**
+   * Find a user's friendships with a status. Blocks are only those the
+   * user created; other statuses include both directions.
+   * @param {string} userId - User ID
+   * @param {string} status - Friendship status
+   * @returns {Promise<Array>} Friendships, newest first
+   */
+  async findByUser(userId, status) {
+    const query = status === FriendshipModel.STATUS.BLOCKED
+      ? { userId: String(userId), status }
+      : { $or: [{ userId: String(userId) }, { friendId: String(userId) }], status };
+
+    return this.find(query, { sort: { createdAt: -1 } });
+  }
+
+  /**
+   * Find the friendships with a status between any two of a set of users
+   * @param {Array<string>} userIds - User IDs
+   * @param {Array<string>} statuses - Statuses to match
+   * @returns {Promise<Array>} Friendships
+   */
+  async findAmong(userIds, statuses) {
+    const ids = userIds.map(String);
+
+    return this.find({
+      userId: { $in: ids },
+      friendId: { $in: ids },
+      status: { $in: statuses }
+    });
+  }
+
+  /**
+   * Change a friendship's status
+   * @param {string} friendshipId - Friendship ID
+   * @param {string} status - New status
+   * @returns {Promise<Object|null>} Updated friendship or null if not found
+   */
+  async updateStatus(friendshipId, status) {
+    return this.update(friendshipId, {
+      status,
+      updatedAt: FriendshipModel.timestamp()
+    });
+  }
+}
+
+module.exports = new FriendshipRepository();
@@ -0,0 +1,20 @@
+/**
+ * Internal Routes
+ * 
+ * Service-to-service routes. Callers must send the shared service key.
+ */
+
+const express = require('express');
+const router = express.Router();
+const friendController = require('../controllers/friend.controller');
+const { requireServiceAuth } = require('../../../../shared/middleware/service-auth.middleware');
+
+router.use(requireServiceAuth());
+
+/**
+ * Friendships and blocks between a group's members (?userIds=a,b,c), used
+ * by settlement-service to weigh and restrict settlement suggestions
+ */
+router.get('/friendships', friendController.getFriendshipsAmong);
+
+module.exports = router;
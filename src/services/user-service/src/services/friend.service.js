@@ -0,0 +1,123 @@
+/**
+ * Friend Service
+ *
+ * Business logic for friend invitations, friendships and blocks
+ */
+
+const friendshipRepository = require('../repositories/friendship.repository');
+const FriendshipModel = require('../models/friendship.model');
+const { BadRequestError, NotFoundError } = require('../../../../shared/errors');
+
+const { PENDING, ACCEPTED, BLOCKED } = FriendshipModel.STATUS;
+
+/**
+ * Get a user's friends, or their pending invitations or blocks
+ * @param {string} userId - User ID
+ * @param {string} [status='accepted'] - Friendship status
+ * @returns {Promise<Array>} Friendships
+ */
+async function getUserFriends(userId, status = ACCEPTED) {
+  if (!Object.values(FriendshipModel.STATUS).includes(status)) {
+    throw new BadRequestError(`Invalid status. Must be one of: ${Object.values(FriendshipModel.STATUS).join(', ')}`);
+  }
+
+  const friendships = await friendshipRepository.findByUser(userId, status);
+  return friendships.map(friendship => FriendshipModel.toJSON(friendship));
+}
+
+/**
+ * Get the friendship, invitation or block one user created for another
+ * @param {string} userId - User who created it
+ * @param {string} friendId - Other user
+ * @param {string} [status] - Only one with this status
+ * @returns {Promise<Object|null>} Friendship or null
+ */
+async function getFriendship(userId, friendId, status) {
+  const friendship = await friendshipRepository.findDirected(userId, friendId, status);
+  return FriendshipModel.toJSON(friendship);
+}
+
+/**
+ * Get the friendship or pending invitation between two users, whoever
+ * created it. Blocks are not friendships and are never returned.
+ * @param {string} userA - User ID
+ * @param {string} userB - User ID
+ * @returns {Promise<Object|null>} Friendship or null
+ */
+async function getFriendshipByUsers(userA, userB) {
+  const friendship = await friendshipRepository.findBetween(userA, userB, [PENDING, ACCEPTED]);
+  return FriendshipModel.toJSON(friendship);
+}
+
+/**
+ * Create a friend invitation, or a block
+ * @param {string} userId - User creating it
+ * @param {string} friendId - Other user
+ * @param {string} [status='pending'] - Friendship status
+ * @returns {Promise<Object>} Created friendship
+ */
+async function createFriendship(userId, friendId, status = PENDING) {
+  if (!userId || !friendId || userId === friendId) {
+    throw new BadRequestError('A friendship needs two different users');
+  }
+
+  const friendship = await friendshipRepository.createFriendship({ userId, friendId, status });
+  return FriendshipModel.toJSON(friendship);
+}
+
+/**
+ * Change a friendship's status, e.g. to accept an invitation
+ * @param {string} friendshipId - Friendship ID
+ * @param {string} status - New status
+ * @returns {Promise<Object>} Updated friendship
+ */
+async function updateFriendshipStatus(friendshipId, status) {
+  const friendship = await friendshipRepository.updateStatus(friendshipId, status);
+  if (!friendship) {
+    throw new NotFoundError(`Friendship with ID ${friendshipId} not found`);
+  }
+
+  return FriendshipModel.toJSON(friendship);
+}
+
+/**
+ * Delete a friendship, invitation or block
+ * @param {string} friendshipId - Friendship ID
+ * @returns {Promise<void>}
+ */
+async function deleteFriendship(friendshipId) {
+  await friendshipRepository.deleteOrFail(friendshipId);
+}
+
+/**
+ * Get the friendships and blocks between members of a set of users, e.g.
+ * the members of a group
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Object>} `{ friends, blocked }`: pairs of user IDs who
+ *   are friends, and pairs where the first user blocked the second
+ */
+async function getFriendshipsAmong(userIds) {
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    throw new BadRequestError('User IDs array is required');
+  }
+
+  const friendships = await friendshipRepository.findAmong(userIds, [ACCEPTED, BLOCKED]);
+
+  const friends = [];
+  const blocked = [];
+  for (const { userId, friendId, status } of friendships) {
+    (status === BLOCKED ? blocked : friends).push([userId, friendId]);
+  }
+
+  return { friends, blocked };
+}
+
+module.exports = {
+  getUserFriends,
+  getFriendship,
+  getFriendshipByUsers,
+  createFriendship,
+  updateFriendshipStatus,
+  deleteFriendship,
+  getFriendshipsAmong
+};
@@ -0,0 +1,34 @@
+/**
+ * Settlement Service Client
+ *
+ * Notifies settlement-service about blocks between users, which change
+ * who its settlement suggestions may pair.
+ */
+
+const { createServiceClient } = require('../../../../shared/services/service-client');
+
+const client = createServiceClient({
+  serviceName: 'user-service',
+  targetService: 'settlement-service',
+  baseURL: process.env.SETTLEMENT_SERVICE_URL || 'http://localhost:4003'
+});
+
+/**
+ * Invalidate cached settlement suggestions.
+ * Failures are logged rather than thrown so blocking never fails because
+ * settlement-service is unreachable; the cached suggestions expire on their own.
+ * @returns {Promise<boolean>} Whether the invalidation was delivered
+ */
+async function invalidateSuggestions() {
+  try {
+    await client.post('/api/internal/suggestions/invalidate');
+    return true;
+  } catch (error) {
+    console.error('Failed to invalidate settlement suggestions:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  invalidateSuggestions
+};
@@ -0,0 +1,15 @@
+/**
+ * Event store configuration
+ */
+module.exports = {
+  // Adapter: eventstoredb, memory or file. Without an EventStoreDB
+  // connection string, events are kept in memory.
+  adapter: process.env.EVENT_STORE_ADAPTER ||
+    (process.env.EVENT_STORE_CONNECTION_STRING ? 'eventstoredb' : 'memory'),
+
+  // EventStoreDB connection
+  connectionString: process.env.EVENT_STORE_CONNECTION_STRING || 'esdb://localhost:2113?tls=false',
+
+  // Event log for the file adapter
+  filePath: process.env.EVENT_STORE_FILE_PATH || './data/events.jsonl'
+};
@@ -141,7 +141,7 @@ class BaseRepository {
       const result = await collection.findOneAndUpdate(
         query,
         { $set: updateData },
-        { returnDocument: 'after', upsert }
+        { returnDocument: 'after', upsert, includeResultMetadata: true }
       );
       
       return result.value;
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryEventStoreAdapter = require('../adapters/memory.adapter');
+const FileEventStoreAdapter = require('../adapters/file.adapter');
+const { EXPECTED_REVISION } = require('../adapters/event-store.adapter');
+const eventStore = require('../event-store');
+const { ConflictError } = require('../../errors');
+
+const event = (type, data = {}) => ({ type, data, userId: 'user1' });
+
+const collect = async events => {
+  const collected = [];
+  for await (const item of events) {
+    collected.push(item);
+  }
+  return collected;
+};
+
+describe('MemoryEventStoreAdapter', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryEventStoreAdapter();
+  });
+
+  describe('appendToStream', () => {
+    it('should number events by revision and return the last one', async () => {
+      expect(await store.appendToStream('expense-1', [event('Created'), event('Updated')])).toBe(1);
+      expect(await store.appendToStream('expense-1', [event('Deleted')], 1)).toBe(2);
+
+      const events = await collect(store.readStream('expense-1'));
+      expect(events.map(item => [item.type, item.revision])).toEqual([['Created', 0], ['Updated', 1], ['Deleted', 2]]);
+      expect(events[0].metadata).toMatchObject({ userId: 'user1', timestamp: expect.any(String) });
+      expect(events[0].streamName).toBe('expense-1');
+    });
+
+    it('should enforce the expected revision', async () => {
+      await store.appendToStream('expense-1', [event('Created')], EXPECTED_REVISION.NO_STREAM);
+
+      await expect(store.appendToStream('expense-1', [event('Created')], EXPECTED_REVISION.NO_STREAM))
+        .rejects.toBeInstanceOf(ConflictError);
+      await expect(store.appendToStream('expense-1', [event('Updated')], 5))
+        .rejects.toThrow('Stream expense-1 was modified concurrently (expected revision 5, actual 0)');
+      await expect(store.appendToStream('expense-2', [event('Updated')], EXPECTED_REVISION.STREAM_EXISTS))
+        .rejects.toBeInstanceOf(ConflictError);
+
+      expect(await store.appendToStream('expense-1', [event('Updated')], 0)).toBe(1);
+      expect(await store.appendToStream('expense-1', [event('Updated')])).toBe(2);
+    });
+
+    it('should only let one of two concurrent writers win', async () => {
+      await store.appendToStream('expense-1', [event('Created')]);
+
+      const results = await Promise.allSettled([
+        store.appendToStream('expense-1', [event('Updated', { by: 'a' })], 0),
+        store.appendToStream('expense-1', [event('Updated', { by: 'b' })], 0)
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(await collect(store.readStream('expense-1'))).toHaveLength(2);
+    });
+  });
+
+  describe('reading', () => {
+    it('should read from a revision and treat missing streams as empty', async () => {
+      await store.appendToStream('expense-1', [event('A'), event('B'), event('C')]);
+
+      expect((await collect(store.readStream('expense-1', 1))).map(item => item.type)).toEqual(['B', 'C']);
+      expect(await collect(store.readStream('expense-2'))).toEqual([]);
+    });
+
+    it('should read every stream with a prefix in write order', async () => {
+      await store.appendToStream('expense-1', [event('A')]);
+      await store.appendToStream('group-1', [event('B')]);
+      await store.appendToStream('expense-2', [event('C')]);
+
+      expect((await collect(store.readAll('expense-'))).map(item => item.type)).toEqual(['A', 'C']);
+    });
+
+    it('should not let readers change stored events', async () => {
+      await store.appendToStream('expense-1', [event('A', { amount: 10 })]);
+
+      const [read] = await collect(store.readStream('expense-1'));
+      read.data.amount = 20;
+
+      expect((await collect(store.readStream('expense-1')))[0].data.amount).toBe(10);
+    });
+  });
+
+  describe('subscribeToStream', () => {
+    it('should catch up and then receive new events in order', async () => {
+      const received = [];
+      await store.appendToStream('expense-1', [event('A')]);
+
+      await store.subscribeToStream('expense-1', async item => {
+        received.push(item.type);
+      });
+      expect(received).toEqual(['A']);
+
+      await store.appendToStream('expense-1', [event('B'), event('C')]);
+      await store.appendToStream('expense-2', [event('D')]);
+      await store.waitForSubscriptions();
+
+      expect(received).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should subscribe to a category of streams', async () => {
+      const received = [];
+      await store.subscribeToStream('$ce-expense', item => received.push(`${item.streamName}:${item.type}`));
+
+      await store.appendToStream('expense-1', [event('A')]);
+      await store.appendToStream('group-1', [event('B')]);
+      await store.appendToStream('expense-2', [event('C')]);
+      await store.waitForSubscriptions();
+
+      expect(received).toEqual(['expense-1:A', 'expense-2:C']);
+    });
+
+    it('should share events between members of a consumer group', async () => {
+      const first = [];
+      const second = [];
+      const other = [];
+
+      await store.subscribeToStream('$ce-expense', item => first.push(item.type), 'projection');
+      await store.subscribeToStream('$ce-expense', item => second.push(item.type), 'projection');
+      await store.subscribeToStream('$ce-expense', item => other.push(item.type), 'notifications');
+
+      await store.appendToStream('expense-1', [event('A'), event('B'), event('C'), event('D')]);
+      await store.waitForSubscriptions();
+
+      expect([...first, ...second].sort()).toEqual(['A', 'B', 'C', 'D']);
+      expect(first.length).toBe(2);
+      expect(other).toEqual(['A', 'B', 'C', 'D']);
+    });
+
+    it('should resume a consumer group where it left off', async () => {
+      const received = [];
+      const subscription = await store.subscribeToStream('expense-1', item => received.push(item.type), 'projection');
+
+      await store.appendToStream('expense-1', [event('A')]);
+      await store.waitForSubscriptions();
+      await subscription.unsubscribe();
+
+      await store.appendToStream('expense-1', [event('B')]);
+      await store.subscribeToStream('expense-1', item => received.push(item.type), 'projection');
+
+      expect(received).toEqual(['A', 'B']);
+    });
+
+    it('should keep delivering when a handler fails', async () => {
+      const onHandlerError = jest.fn();
+      const received = [];
+      store = new MemoryEventStoreAdapter({ onHandlerError });
+
+      await store.subscribeToStream('expense-1', item => {
+        if (item.type === 'A') {
+          throw new Error('boom');
+        }
+        received.push(item.type);
+      });
+      await store.appendToStream('expense-1', [event('A'), event('B')]);
+      await store.waitForSubscriptions();
+
+      expect(onHandlerError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ type: 'A' }));
+      expect(received).toEqual(['B']);
+    });
+  });
+});
+
+describe('FileEventStoreAdapter', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'event-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should load events written by an earlier instance', async () => {
+    const filePath = path.join(directory, 'events.jsonl');
+
+    await new FileEventStoreAdapter({ filePath }).appendToStream('expense-1', [event('A'), event('B')]);
+
+    const store = new FileEventStoreAdapter({ filePath });
+    expect((await collect(store.readStream('expense-1'))).map(item => item.type)).toEqual(['A', 'B']);
+    await expect(store.appendToStream('expense-1', [event('C')], 0)).rejects.toBeInstanceOf(ConflictError);
+    expect(await store.appendToStream('expense-1', [event('C')], 1)).toBe(2);
+  });
+});
+
+describe('event store', () => {
+  afterEach(() => {
+    eventStore.useAdapter(null);
+  });
+
+  it('should use the in-memory adapter without an EventStoreDB connection', async () => {
+    expect(eventStore.getAdapter()).toBeInstanceOf(MemoryEventStoreAdapter);
+
+    await eventStore.appendToStream('expense-1', [event('A')], EXPECTED_REVISION.NO_STREAM);
+    expect(await collect(eventStore.readStream('expense-1'))).toHaveLength(1);
+  });
+
+  it('should reject unknown adapters', () => {
+    expect(() => eventStore.createAdapter('postgres')).toThrow('Unknown event store adapter: postgres');
+  });
+});
@@ -0,0 +1,125 @@
+const { ConflictError } = require('../../errors');
+
+/**
+ * Expected revision values for appendToStream, besides the revision
+ * number of the last event in the stream. The values match the
+ * EventStoreDB client's, so they can be passed straight through.
+ */
+const EXPECTED_REVISION = {
+  ANY: 'any',
+  NO_STREAM: 'no_stream',
+  STREAM_EXISTS: 'stream_exists'
+};
+
+/**
+ * Event store adapter interface. Adapters store events in streams, each
+ * event numbered by its revision in the stream (starting at 0).
+ *
+ * Events passed to appendToStream have `type`, `data`, optional `userId`
+ * and `metadata`. Events read back also have `streamName` and `revision`.
+ */
+class EventStoreAdapter {
+  /**
+   * Append events to a stream
+   * @param {string} streamName Name of the event stream
+   * @param {Array} events Array of events to append
+   * @param {number|string} [expectedRevision=EXPECTED_REVISION.ANY] Revision of the last event in
+   *   the stream, or an EXPECTED_REVISION value (for optimistic concurrency)
+   * @returns {Promise<number>} Revision of the last appended event
+   * @throws {ConflictError} If the stream is not at the expected revision
+   */
+  async appendToStream() {
+    throw new Error(`${this.constructor.name} does not implement appendToStream`);
+  }
+
+  /**
+   * Read events from a stream
+   * @param {string} streamName Name of the event stream
+   * @param {number} [fromRevision=0] Starting revision number
+   * @returns {AsyncGenerator} Event stream (empty if the stream does not exist)
+   */
+  readStream() {
+    throw new Error(`${this.constructor.name} does not implement readStream`);
+  }
+
+  /**
+   * Read the events of every stream whose name starts with a prefix, in
+   * the order they were written
+   * @param {string} streamPrefix Stream name prefix, e.g. `expense-`
+   * @returns {AsyncGenerator} Event stream
+   */
+  readAll() {
+    throw new Error(`${this.constructor.name} does not implement readAll`);
+  }
+
+  /**
+   * Subscribe to a stream, or to a category with `$ce-<category>`. The
+   * subscription catches up from the start of the stream, then receives
+   * new events as they are written. Subscriptions sharing a consumer group
+   * share the work: each event goes to one member of the group, and the
+   * group remembers where it got to.
+   * @param {string} streamName Name of the event stream
+   * @param {Function} eventHandler Event handler function
+   * @param {string} [groupName] Consumer group name for competing consumers
+   * @returns {Promise<Object>} Subscription with an `unsubscribe()` method
+   */
+  async subscribeToStream() {
+    throw new Error(`${this.constructor.name} does not implement subscribeToStream`);
+  }
+
+  /**
+   * Release any connections held by the adapter
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Check an expected revision against the current revision of a stream
+   * @param {string} streamName Name of the event stream
+   * @param {number} currentRevision Revision of the last event, or -1 if the stream does not exist
+   * @param {number|string} expectedRevision Expected revision
+   * @throws {ConflictError} If they do not match
+   */
+  static checkExpectedRevision(streamName, currentRevision, expectedRevision) {
+    const exists = currentRevision >= 0;
+    const matches =
+      expectedRevision === EXPECTED_REVISION.ANY ||
+      (expectedRevision === EXPECTED_REVISION.NO_STREAM && !exists) ||
+      (expectedRevision === EXPECTED_REVISION.STREAM_EXISTS && exists) ||
+      // -1 is the legacy "no stream" revision
+      (typeof expectedRevision === 'number' && (expectedRevision < 0 ? !exists : expectedRevision === currentRevision));
+
+    if (!matches) {
+      throw new ConflictError(
+        `Stream ${streamName} was modified concurrently (expected revision ${expectedRevision}, ` +
+        `actual ${currentRevision})`
+      );
+    }
+  }
+
+  /**
+   * Build the metadata stored with an event
+   * @param {Object} event Event to append
+   * @returns {Object} Metadata
+   */
+  static buildMetadata(event) {
+    return {
+      timestamp: new Date().toISOString(),
+      userId: event.userId,
+      ...event.metadata
+    };
+  }
+
+  /**
+   * Get the category of a stream: the part of its name before the first dash
+   * @param {string} streamName Name of the event stream
+   * @returns {string} Category
+   */
+  static streamCategory(streamName) {
+    const index = streamName.indexOf('-');
+    return index === -1 ? streamName : streamName.slice(0, index);
+  }
+}
+
+module.exports = EventStoreAdapter;
+module.exports.EXPECTED_REVISION = EXPECTED_REVISION;
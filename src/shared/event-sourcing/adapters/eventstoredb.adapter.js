@@ -0,0 +1,195 @@
+const EventStoreAdapter = require('./event-store.adapter');
+const { ConflictError } = require('../../errors');
+const logger = require('../../utils/logger');
+
+/**
+ * Convert a resolved client event into a plain event
+ * @param {Object} resolvedEvent Resolved client event
+ * @returns {Object} Event
+ */
+function toEvent(resolvedEvent) {
+  return {
+    type: resolvedEvent.event.type,
+    data: resolvedEvent.event.data,
+    metadata: resolvedEvent.event.metadata,
+    streamName: resolvedEvent.event.streamId,
+    revision: Number(resolvedEvent.event.revision)
+  };
+}
+
+/**
+ * Event store backed by an EventStoreDB server
+ */
+class EventStoreDBAdapter extends EventStoreAdapter {
+  /**
+   * @param {Object} options Adapter options
+   * @param {string} options.connectionString EventStoreDB connection string
+   */
+  constructor({ connectionString }) {
+    super();
+    // Loaded here so the other adapters work without the client installed
+    this.db = require('@eventstore/db-client');
+    this.client = this.db.EventStoreDBClient.connectionString(connectionString);
+  }
+
+  /**
+   * Convert an expected revision to the form the client expects
+   * @param {number|string} expectedRevision Revision number or EXPECTED_REVISION value
+   * @returns {bigint|string} Client expected revision
+   * @private
+   */
+  _toClientRevision(expectedRevision) {
+    if (typeof expectedRevision !== 'number') {
+      return expectedRevision;
+    }
+    // -1 is the legacy "no stream" revision
+    return expectedRevision < 0 ? this.db.NO_STREAM : BigInt(expectedRevision);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async appendToStream(streamName, events, expectedRevision = EventStoreAdapter.EXPECTED_REVISION.ANY) {
+    try {
+      const eventData = events.map(event => this.db.jsonEvent({
+        type: event.type,
+        data: event.data,
+        metadata: EventStoreAdapter.buildMetadata(event)
+      }));
+
+      const result = await this.client.appendToStream(streamName, eventData, {
+        expectedRevision: this._toClientRevision(expectedRevision)
+      });
+
+      logger.info(`Appended ${events.length} events to stream: ${streamName}`);
+
+      return Number(result.nextExpectedRevision);
+    } catch (error) {
+      if (error.type === 'wrong-expected-version') {
+        throw new ConflictError(
+          `Stream ${streamName} was modified concurrently (expected revision ${expectedRevision}, ` +
+          `actual ${error.actualVersion})`
+        );
+      }
+
+      logger.error(`Failed to append events to stream ${streamName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async *readStream(streamName, fromRevision = 0) {
+    try {
+      const events = this.client.readStream(streamName, {
+        fromRevision: fromRevision > 0 ? BigInt(fromRevision) : this.db.START,
+        maxCount: 1000
+      });
+
+      for await (const resolvedEvent of events) {
+        yield toEvent(resolvedEvent);
+      }
+    } catch (error) {
+      if (error.type === 'stream-not-found') {
+        return;
+      }
+
+      logger.error(`Failed to read stream ${streamName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async *readAll(streamPrefix) {
+    try {
+      const events = this.client.readAll({
+        fromPosition: this.db.START,
+        filter: this.db.streamNameFilter({ prefixes: [streamPrefix] })
+      });
+
+      for await (const resolvedEvent of events) {
+        if (resolvedEvent.event) {
+          yield toEvent(resolvedEvent);
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to read streams with prefix ${streamPrefix}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async subscribeToStream(streamName, eventHandler, groupName) {
+    const subscription = groupName
+      ? await this._subscribeToGroup(streamName, groupName)
+      : this.client.subscribeToStream(streamName, {
+        fromRevision: this.db.START,
+        resolveLinkTos: true
+      });
+
+    // Handle events in the background; the caller gets the subscription handle
+    (async () => {
+      try {
+        for await (const resolvedEvent of subscription) {
+          try {
+            await eventHandler(toEvent(resolvedEvent));
+            if (groupName) {
+              await subscription.ack(resolvedEvent);
+            }
+          } catch (error) {
+            logger.error('Event handler failed:', error);
+            if (groupName) {
+              await subscription.nack('park', error.message, resolvedEvent);
+            }
+          }
+        }
+      } catch (error) {
+        logger.error(`Stream subscription failed for ${streamName}:`, error);
+      }
+    })();
+
+    return {
+      unsubscribe: () => subscription.unsubscribe()
+    };
+  }
+
+  /**
+   * Join a persistent subscription, creating it on first use
+   * @param {string} streamName Name of the event stream
+   * @param {string} groupName Consumer group name
+   * @returns {Promise<Object>} Persistent subscription
+   * @private
+   */
+  async _subscribeToGroup(streamName, groupName) {
+    try {
+      await this.client.createPersistentSubscriptionToStream(
+        streamName,
+        groupName,
+        this.db.persistentSubscriptionToStreamSettingsFromDefaults({
+          startFrom: this.db.START,
+          resolveLinkTos: true
+        })
+      );
+    } catch (error) {
+      if (error.type !== 'persistent-subscription-exists') {
+        throw error;
+      }
+    }
+
+    return this.client.subscribeToPersistentSubscriptionToStream(streamName, groupName);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async close() {
+    await this.client.dispose();
+  }
+}
+
+module.exports = EventStoreDBAdapter;
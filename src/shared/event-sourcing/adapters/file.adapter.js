@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryEventStoreAdapter = require('./memory.adapter');
+
+/**
+ * File-backed event store for local development. Works like the in-memory
+ * store, but every event is also written to a JSON lines file and loaded
+ * again on start, so events survive restarts. Writes are synchronous to
+ * keep appends atomic; this is not meant for production.
+ */
+class FileEventStoreAdapter extends MemoryEventStoreAdapter {
+  /**
+   * @param {Object} options Adapter options
+   * @param {string} options.filePath Path of the event log file
+   * @param {Function} [options.onHandlerError] Called when a subscription handler throws
+   */
+  constructor({ filePath, onHandlerError } = {}) {
+    super({ onHandlerError });
+
+    if (!filePath) {
+      throw new Error('File event store requires a file path');
+    }
+
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+      const events = fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+
+      super._store(events);
+    }
+  }
+
+  /**
+   * Write recorded events to the file before adding them to memory
+   * @param {Array} recorded Recorded events
+   * @protected
+   */
+  _store(recorded) {
+    fs.appendFileSync(this.filePath, recorded.map(event => `${JSON.stringify(event)}\n`).join(''));
+    super._store(recorded);
+  }
+}
+
+module.exports = FileEventStoreAdapter;
@@ -0,0 +1,204 @@
+const EventStoreAdapter = require('./event-store.adapter');
+
+const CATEGORY_PREFIX = '$ce-';
+
+/**
+ * In-memory event store for tests and local development. Events live in
+ * a single ordered log for the lifetime of the process.
+ */
+class MemoryEventStoreAdapter extends EventStoreAdapter {
+  /**
+   * @param {Object} [options] Adapter options
+   * @param {Function} [options.onHandlerError] Called when a subscription handler throws
+   */
+  constructor({ onHandlerError } = {}) {
+    super();
+    this.log = [];
+    this.streams = new Map();
+    this.groups = new Map();
+    this.anonymousGroups = 0;
+    this.onHandlerError = onHandlerError || ((error, event) => {
+      console.error(`Event handler failed for ${event.type} in ${event.streamName}:`, error);
+    });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async appendToStream(streamName, events, expectedRevision = EventStoreAdapter.EXPECTED_REVISION.ANY) {
+    const currentRevision = (this.streams.get(streamName) || []).length - 1;
+    EventStoreAdapter.checkExpectedRevision(streamName, currentRevision, expectedRevision);
+
+    const recorded = events.map((event, index) => ({
+      type: event.type,
+      data: structuredClone(event.data),
+      metadata: EventStoreAdapter.buildMetadata(event),
+      streamName,
+      revision: currentRevision + 1 + index
+    }));
+
+    this._store(recorded);
+    this._notify();
+
+    return currentRevision + recorded.length;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async *readStream(streamName, fromRevision = 0) {
+    const stream = this.streams.get(streamName) || [];
+
+    for (const event of stream.slice(fromRevision)) {
+      yield structuredClone(event);
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async *readAll(streamPrefix) {
+    for (const event of this.log.slice()) {
+      if (event.streamName.startsWith(streamPrefix)) {
+        yield structuredClone(event);
+      }
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async subscribeToStream(streamName, eventHandler, groupName) {
+    const key = groupName
+      ? `${streamName}::${groupName}`
+      : `${streamName}::$anonymous-${++this.anonymousGroups}`;
+
+    if (!this.groups.has(key)) {
+      // New groups start from the beginning of the log
+      this.groups.set(key, {
+        streamName,
+        anonymous: !groupName,
+        members: [],
+        nextMember: 0,
+        position: 0,
+        delivering: null
+      });
+    }
+
+    const group = this.groups.get(key);
+    group.members.push(eventHandler);
+
+    // Resolve once caught up, like a catch-up subscription going live
+    await this._deliver(group);
+
+    return {
+      unsubscribe: async () => {
+        group.members = group.members.filter(member => member !== eventHandler);
+
+        // Named groups keep their position for the next member to join
+        if (group.anonymous && group.members.length === 0) {
+          this.groups.delete(key);
+        }
+      }
+    };
+  }
+
+  /**
+   * Wait until every subscription has handled every event written so far
+   * @returns {Promise<void>}
+   */
+  async waitForSubscriptions() {
+    const delivering = [...this.groups.values()]
+      .map(group => group.delivering)
+      .filter(Boolean);
+
+    if (delivering.length > 0) {
+      await Promise.all(delivering);
+      await this.waitForSubscriptions();
+    }
+  }
+
+  /**
+   * Add recorded events to the log and their stream
+   * @param {Array} recorded Recorded events
+   * @protected
+   */
+  _store(recorded) {
+    recorded.forEach(event => {
+      if (!this.streams.has(event.streamName)) {
+        this.streams.set(event.streamName, []);
+      }
+      this.streams.get(event.streamName).push(event);
+      this.log.push(event);
+    });
+  }
+
+  /**
+   * Start delivering new events to every subscription
+   * @private
+   */
+  _notify() {
+    this.groups.forEach(group => {
+      this._deliver(group);
+    });
+  }
+
+  /**
+   * Deliver events a group has not seen yet, one at a time. Returns the
+   * running delivery if there is one.
+   * @param {Object} group Consumer group
+   * @returns {Promise<void>} Resolves when the group has caught up
+   * @private
+   */
+  _deliver(group) {
+    if (!group.delivering) {
+      group.delivering = this._deliverPending(group);
+    }
+    return group.delivering;
+  }
+
+  /**
+   * Hand pending events to the group's members in turn
+   * @param {Object} group Consumer group
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deliverPending(group) {
+    // Let _deliver record the running delivery before any work is done
+    await null;
+
+    try {
+      while (group.members.length > 0 && group.position < this.log.length) {
+        const event = this.log[group.position++];
+        if (!this._matches(group.streamName, event)) {
+          continue;
+        }
+
+        const handler = group.members[group.nextMember++ % group.members.length];
+        try {
+          await handler(structuredClone(event));
+        } catch (error) {
+          this.onHandlerError(error, event);
+        }
+      }
+    } finally {
+      group.delivering = null;
+    }
+  }
+
+  /**
+   * Check whether an event belongs to a subscribed stream
+   * @param {string} streamName Subscribed stream or `$ce-<category>`
+   * @param {Object} event Recorded event
+   * @returns {boolean} Whether the event matches
+   * @private
+   */
+  _matches(streamName, event) {
+    if (streamName.startsWith(CATEGORY_PREFIX)) {
+      return EventStoreAdapter.streamCategory(event.streamName) === streamName.slice(CATEGORY_PREFIX.length);
+    }
+    return event.streamName === streamName;
+  }
+}
+
+module.exports = MemoryEventStoreAdapter;
@@ -1,96 +1,107 @@
-const { EventStoreDBClient } = require('@eventstore/db-client');
-const config = require('../config');
-const logger = require('../utils/logger');
+const config = require('../config/event-store.config');
+const EventStoreAdapter = require('./adapters/event-store.adapter');
 
+const { EXPECTED_REVISION } = EventStoreAdapter;
+
+/**
+ * Create an event store adapter
+ * @param {string} name Adapter name: eventstoredb, memory or file
+ * @param {Object} [options] Adapter options (defaults from config)
+ * @returns {EventStoreAdapter} Adapter
+ */
+function createAdapter(name, options = {}) {
+  switch (name) {
+    case 'eventstoredb': {
+      const EventStoreDBAdapter = require('./adapters/eventstoredb.adapter');
+      return new EventStoreDBAdapter({ connectionString: config.connectionString, ...options });
+    }
+    case 'file': {
+      const FileEventStoreAdapter = require('./adapters/file.adapter');
+      return new FileEventStoreAdapter({ filePath: config.filePath, ...options });
+    }
+    case 'memory': {
+      const MemoryEventStoreAdapter = require('./adapters/memory.adapter');
+      return new MemoryEventStoreAdapter(options);
+    }
+    default:
+      throw new Error(`Unknown event store adapter: ${name}`);
+  }
+}
+
+/**
+ * Event store used by the event-sourced services. Delegates to the
+ * configured adapter, which is created on first use so that importing
+ * this module never needs a running EventStoreDB.
+ */
 class EventStore {
   constructor() {
-    this.client = EventStoreDBClient.connectionString(config.eventStore.connectionString);
+    this.adapter = null;
+  }
+
+  /**
+   * Get the adapter, creating the configured one on first use
+   * @returns {EventStoreAdapter} Adapter
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      this.adapter = createAdapter(config.adapter);
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Replace the adapter, e.g. with a fresh in-memory store in tests
+   * @param {EventStoreAdapter} adapter Adapter
+   * @returns {EventStoreAdapter} The adapter
+   */
+  useAdapter(adapter) {
+    this.adapter = adapter;
+    return adapter;
   }
 
   /**
    * Append events to a stream
    * @param {string} streamName Name of the event stream
    * @param {Array} events Array of events to append
-   * @param {number} expectedRevision Expected stream revision (for optimistic concurrency)
+   * @param {number|string} expectedRevision Revision of the last event in the stream, or an
+   *   EXPECTED_REVISION value (for optimistic concurrency)
+   * @returns {Promise<number>} Revision of the last appended event
+   * @throws {ConflictError} If the stream is not at the expected revision
    */
-  async appendToStream(streamName, events, expectedRevision = -1) {
-    try {
-      const eventData = events.map(event => ({
-        type: event.type,
-        data: event.data,
-        metadata: {
-          timestamp: new Date().toISOString(),
-          userId: event.userId,
-          ...event.metadata
-        }
-      }));
-
-      await this.client.appendToStream(streamName, eventData, {
-        expectedRevision
-      });
-
-      logger.info(`Appended ${events.length} events to stream: ${streamName}`);
-    } catch (error) {
-      logger.error(`Failed to append events to stream ${streamName}:`, error);
-      throw error;
-    }
+  appendToStream(streamName, events, expectedRevision = EXPECTED_REVISION.ANY) {
+    return this.getAdapter().appendToStream(streamName, events, expectedRevision);
   }
 
   /**
    * Read events from a stream
    * @param {string} streamName Name of the event stream
    * @param {number} fromRevision Starting revision number
-   * @returns {AsyncGenerator} Event stream
+   * @returns {AsyncGenerator} Event stream (empty if the stream does not exist)
    */
-  async *readStream(streamName, fromRevision = 0) {
-    try {
-      const events = this.client.readStream(streamName, {
-        fromRevision,
-        maxCount: 1000
-      });
+  readStream(streamName, fromRevision = 0) {
+    return this.getAdapter().readStream(streamName, fromRevision);
+  }
 
-      for await (const resolvedEvent of events) {
-        yield {
-          type: resolvedEvent.event.type,
-          data: resolvedEvent.event.data,
-          metadata: resolvedEvent.event.metadata,
-          revision: resolvedEvent.event.revision
-        };
-      }
-    } catch (error) {
-      logger.error(`Failed to read stream ${streamName}:`, error);
-      throw error;
-    }
+  /**
+   * Read the events of every stream whose name starts with a prefix, in
+   * the order they were written
+   * @param {string} streamPrefix Stream name prefix, e.g. `expense-`
+   * @returns {AsyncGenerator} Event stream
+   */
+  readAll(streamPrefix) {
+    return this.getAdapter().readAll(streamPrefix);
   }
 
   /**
-   * Subscribe to stream events
-   * @param {string} streamName Name of the event stream
+   * Subscribe to stream events. Catches up from the start of the stream,
+   * then receives new events.
+   * @param {string} streamName Name of the event stream, or `$ce-<category>`
    * @param {Function} eventHandler Event handler function
    * @param {string} groupName Consumer group name for competing consumers
+   * @returns {Promise<Object>} Subscription with an `unsubscribe()` method
    */
-  async subscribeToStream(streamName, eventHandler, groupName) {
-    try {
-      const subscription = this.client.subscribeToStream(streamName, {
-        groupName,
-        fromRevision: 'start'
-      });
-
-      for await (const resolvedEvent of subscription) {
-        try {
-          await eventHandler({
-            type: resolvedEvent.event.type,
-            data: resolvedEvent.event.data,
-            metadata: resolvedEvent.event.metadata
-          });
-        } catch (error) {
-          logger.error('Event handler failed:', error);
-        }
-      }
-    } catch (error) {
-      logger.error(`Stream subscription failed for ${streamName}:`, error);
-      throw error;
-    }
+  subscribeToStream(streamName, eventHandler, groupName) {
+    return this.getAdapter().subscribeToStream(streamName, eventHandler, groupName);
   }
 
   /**
@@ -100,24 +111,16 @@ class EventStore {
    * @param {number} revision Stream revision for the snapshot
    */
   async createSnapshot(streamName, snapshot, revision) {
-    const snapshotStreamName = `${streamName}-snapshot`;
-    
-    try {
-      await this.appendToStream(snapshotStreamName, [{
-        type: 'snapshot',
-        data: snapshot,
-        metadata: {
-          streamRevision: revision,
-          timestamp: new Date().toISOString()
-        }
-      }]);
-
-      logger.info(`Created snapshot for stream ${streamName} at revision ${revision}`);
-    } catch (error) {
-      logger.error(`Failed to create snapshot for stream ${streamName}:`, error);
-      throw error;
-    }
+    await this.appendToStream(`${streamName}-snapshot`, [{
+      type: 'snapshot',
+      data: snapshot,
+      metadata: {
+        streamRevision: revision
+      }
+    }]);
   }
 }
 
-module.exports = new EventStore(); 
\ No newline at end of file
+module.exports = new EventStore();
+module.exports.EXPECTED_REVISION = EXPECTED_REVISION;
+module.exports.createAdapter = createAdapter;
@@ -0,0 +1,72 @@
+/**
+ * Authentication Middleware
+ *
+ * Authenticates requests that reach a microservice through the API Gateway.
+ * The gateway verifies the Supabase session and forwards the user identity
+ * in the `x-user-id` and `x-user-roles` headers.
+ */
+
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+const { requireRole, requireOwnership } = require('./service-auth.middleware');
+
+/**
+ * Parse the roles header forwarded by the API Gateway
+ * @param {string} header - Raw `x-user-roles` header value
+ * @returns {Array<string>} User roles
+ */
+function parseRoles(header) {
+  if (!header) {
+    return ['user'];
+  }
+
+  try {
+    const roles = JSON.parse(header);
+    return Array.isArray(roles) ? roles : [String(roles)];
+  } catch (error) {
+    return header.split(',').map(role => role.trim()).filter(Boolean);
+  }
+}
+
+/**
+ * Middleware factory that attaches the authenticated user to the request.
+ * Can also be mounted directly (`router.get('/', authenticate, handler)`),
+ * which applies the default options.
+ * @param {Object} [options] - Authentication options
+ * @param {boolean} [options.required=true] - Reject unauthenticated requests
+ * @param {Array<string>} [options.roles] - Roles allowed to access the route
+ * @returns {Function} Express middleware function
+ */
+function authenticate(options = {}, res, next) {
+  if (typeof next === 'function') {
+    return authenticate()(options, res, next);
+  }
+
+  const { required = true, roles = [] } = options;
+
+  return (req, res, next) => {
+    const userId = req.headers['x-user-id'];
+
+    if (!userId) {
+      return required
+        ? next(new UnauthorizedError('Authentication required'))
+        : next();
+    }
+
+    req.user = {
+      ...(req.user || {}),
+      id: userId,
+      roles: parseRoles(req.headers['x-user-roles'])
+    };
+
+    if (roles.length > 0 && !roles.some(role => req.user.roles.includes(role))) {
+      return next(new ForbiddenError('Insufficient permissions'));
+    }
+
+    next();
+  };
+}
+
+module.exports = authenticate;
+module.exports.authenticate = authenticate;
+module.exports.requireRole = requireRole;
+module.exports.requireOwnership = requireOwnership;
@@ -36,7 +36,7 @@ const STATUS_CODES = {
  * @returns {Object} Formatted error response
  */
 function formatErrorResponse(error, requestId) {
-  const statusCode = STATUS_CODES[error.name] || 500;
+  const statusCode = error.statusCode || STATUS_CODES[error.name] || 500;
   const isInternalError = statusCode >= 500;
 
   // Base error response
@@ -70,7 +70,7 @@ function formatErrorResponse(error, requestId) {
  */
 function logError(error, req) {
   const requestId = req.headers['x-request-id'];
-  const statusCode = STATUS_CODES[error.name] || 500;
+  const statusCode = error.statusCode || STATUS_CODES[error.name] || 500;
   const isInternalError = statusCode >= 500;
 
   const logData = {
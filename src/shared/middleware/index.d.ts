@@ -28,6 +28,11 @@ export function asyncHandler(fn: (req: Request, res: Response, next: NextFunctio
  */
 export function serviceAuth(req: Request, res: Response, next: NextFunction): void;
 
+/**
+ * Requires the shared service key in the `x-service-key` header
+ */
+export function requireServiceAuth(): (req: Request, res: Response, next: NextFunction) => void;
+
 /**
  * Validation middleware for request validation
  * Validates request data against a schema
@@ -7,7 +7,7 @@
 const { errorHandler, notFoundHandler } = require('./error.middleware');
 const { validate } = require('./validation.middleware');
 const { authenticate, requireRole, requireOwnership } = require('./auth.middleware');
-const { extractUser, requireAuth, requireRole: serviceRequireRole, requireOwnership: serviceRequireOwnership } = require('./service-auth.middleware');
+const { extractUser, requireAuth, requireRole: serviceRequireRole, requireOwnership: serviceRequireOwnership, requireServiceAuth } = require('./service-auth.middleware');
 const { asyncHandler } = require('./async.middleware');
 const { rateLimit, ipRateLimit, userRateLimit } = require('./rate-limit.middleware');
 const { cors, developmentCors, productionCors } = require('./cors.middleware');
@@ -35,6 +35,7 @@ module.exports = {
   requireAuth,
   serviceRequireRole,
   serviceRequireOwnership,
+  requireServiceAuth,
   
   // Rate limiting middleware
   rateLimit,
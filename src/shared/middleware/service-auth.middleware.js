@@ -5,6 +5,7 @@
  * within microservices. Extracts user information from headers.
  */
 
+const crypto = require('crypto');
 const { UnauthorizedError, ForbiddenError } = require('../errors');
 
 /**
@@ -108,9 +109,39 @@ const requireOwnership = (resourceIdGetter) => {
   };
 };
 
+/**
+ * Middleware to require a trusted service-to-service call.
+ * Callers send the shared `SERVICE_AUTH_KEY` in the `x-service-key` header.
+ * @returns {Function} Express middleware function
+ */
+const requireServiceAuth = () => {
+  return (req, res, next) => {
+    const serviceKey = req.headers['x-service-key'];
+    const expectedKey = process.env.SERVICE_AUTH_KEY;
+
+    if (!serviceKey || !expectedKey) {
+      return next(new UnauthorizedError('Service authentication required'));
+    }
+
+    const provided = Buffer.from(String(serviceKey));
+    const expected = Buffer.from(expectedKey);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return next(new UnauthorizedError('Invalid service key'));
+    }
+
+    req.service = {
+      name: req.headers['x-service-name'] || 'unknown'
+    };
+
+    next();
+  };
+};
+
 module.exports = {
   extractUser,
   requireAuth,
   requireRole,
-  requireOwnership
+  requireOwnership,
+  requireServiceAuth
 }; 
\ No newline at end of file
@@ -34,7 +34,7 @@ const validate = (schema) => (req, res, next) => {
         // Update request with validated and sanitized values
         schemaKeys.forEach((key, index) => {
           if (validationTargets[key]) {
-            validationTargets[key] = validatedValues[index];
+            req[key] = validatedValues[index];
           }
         });
         next();
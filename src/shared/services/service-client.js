@@ -0,0 +1,84 @@
+/**
+ * Service Client
+ *
+ * Authenticated HTTP client for service-to-service calls. Requests carry
+ * the shared `SERVICE_AUTH_KEY` so internal routes can be protected with
+ * the `requireServiceAuth` middleware.
+ */
+
+const axios = require('axios');
+const {
+  APIError,
+  ExternalServiceError,
+  ServiceUnavailableError
+} = require('../errors');
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Translate an axios error into an API error
+ * @param {Error} error - Axios error
+ * @param {string} targetService - Name of the service that was called
+ * @returns {APIError} Translated error
+ */
+function toServiceError(error, targetService) {
+  if (!error.response) {
+    return new ServiceUnavailableError(`${targetService} is unavailable: ${error.message}`);
+  }
+
+  const { status, data } = error.response;
+  const message = (data && (data.message || data.error)) || `${targetService} request failed`;
+
+  // Pass client errors through so callers can react to them (e.g. 404)
+  if (status >= 400 && status < 500) {
+    return new APIError(message, status, true, data && data.errorCode);
+  }
+
+  return new ExternalServiceError(message, targetService);
+}
+
+/**
+ * Create a client for another SpendSync service
+ * @param {Object} options - Client options
+ * @param {string} options.serviceName - Name of the calling service
+ * @param {string} options.targetService - Name of the service being called
+ * @param {string} options.baseURL - Base URL of the target service
+ * @param {number} [options.timeout=5000] - Request timeout in milliseconds
+ * @returns {Object} Client with get, post, put and delete methods resolving to response bodies
+ */
+function createServiceClient({ serviceName, targetService, baseURL, timeout = DEFAULT_TIMEOUT }) {
+  const http = axios.create({
+    baseURL,
+    timeout,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-service-name': serviceName
+    }
+  });
+
+  // Read the key per request so rotated keys are picked up without a restart
+  http.interceptors.request.use(requestConfig => {
+    requestConfig.headers['x-service-key'] = process.env.SERVICE_AUTH_KEY;
+    return requestConfig;
+  });
+
+  const request = async (method, url, data, config = {}) => {
+    try {
+      const response = await http.request({ method, url, data, ...config });
+      return response.data;
+    } catch (error) {
+      throw toServiceError(error, targetService);
+    }
+  };
+
+  return {
+    get: (url, config) => request('get', url, undefined, config),
+    post: (url, data, config) => request('post', url, data, config),
+    put: (url, data, config) => request('put', url, data, config),
+    delete: (url, config) => request('delete', url, undefined, config)
+  };
+}
+
+module.exports = {
+  createServiceClient
+};
@@ -58,7 +58,7 @@ const groupCommonFields = {
 };
 
 // Split types
-const splitTypes = ['equal', 'percentage', 'fixed', 'share'];
+const splitTypes = ['equal', 'percentage', 'fixed', 'share', 'itemized'];
 
 // Common split fields
 const splitCommonFields = {